@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+/**
+ * RefugeeWatch AI - Local Notification Sink
+ *
+ * Stand-in for the notification channels during development. Accepts mail
+ * over SMTP and JSON POSTs over HTTP (webhooks and the SMS and push
+ * gateways), prints each message and keeps the last 100 in memory.
+ *
+ *   npm run notification-sink
+ *   NOTIFICATION_SMTP_HOST=localhost NOTIFICATION_SMTP_PORT=2525
+ *   NOTIFICATION_SMS_GATEWAY_URL=http://localhost:2526/sms
+ *   NOTIFICATION_PUSH_GATEWAY_URL=http://localhost:2526/push
+ *   NOTIFICATION_WEBHOOK_ALLOWLIST=localhost
+ *   webhookUrl: http://localhost:2526/webhook
+ *
+ * GET http://localhost:2526/messages lists what was received.
+ */
+
+const net = require('net');
+const http = require('http');
+
+const MAX_MESSAGES = 100;
+
+// Quoted-printable bytes (=C3=A9) to text; soft line breaks are dropped
+const decodeQuotedPrintable = (value) => Buffer.from(
+  value.replace(/=\r?\n/g, '').replace(/=([0-9A-F]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16))),
+  'latin1'
+).toString('utf8');
+
+// RFC 2047 encoded words, in base64 (B) or quoted-printable (Q) form; space between two words is dropped
+const decodeHeader = (value) => value.replace(/\?=\s+=\?/g, '?==?').replace(/=\?UTF-8\?([BQ])\?([^?]*)\?=/gi, (match, encoding, text) => (
+  encoding.toUpperCase() === 'B'
+    ? Buffer.from(text, 'base64').toString('utf8')
+    : decodeQuotedPrintable(text.replace(/_/g, ' '))
+));
+
+/**
+ * Start the SMTP and HTTP listeners
+ * @param {Object} options - { smtpPort, httpPort, quiet }
+ * @returns {Promise<Object>} { messages, smtpPort, httpPort, close() }
+ */
+function startNotificationSink({ smtpPort = 2525, httpPort = 2526, quiet = false } = {}) {
+  const messages = [];
+
+  const record = (message) => {
+    messages.push({ ...message, receivedAt: new Date().toISOString() });
+    if (messages.length > MAX_MESSAGES) messages.shift();
+    if (!quiet) {
+      console.log(`\n📨 ${message.channel.toUpperCase()} ${message.to || message.path}`);
+      console.log(message.subject ? `   Subject: ${message.subject}` : '');
+      console.log(typeof message.body === 'string' ? message.body : JSON.stringify(message.body, null, 2));
+    }
+  };
+
+  const smtpServer = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+    let envelope = { from: null, to: [] };
+
+    const reply = (line) => socket.write(`${line}\r\n`);
+    reply('220 refugeewatch-sink ESMTP');
+
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+
+      while (true) {
+        if (inData) {
+          const end = buffer.indexOf('\r\n.\r\n');
+          if (end === -1) return;
+
+          const raw = buffer.slice(0, end).replace(/^\.\./gm, '.');
+          buffer = buffer.slice(end + 5);
+          inData = false;
+
+          const [headers, ...body] = raw.split('\r\n\r\n');
+          const subject = (headers.match(/^Subject: (.*(?:\r\n[ \t].*)*)$/m) || [])[1] || '';
+          const text = body.join('\r\n\r\n');
+          record({
+            channel: 'email',
+            from: envelope.from,
+            to: envelope.to.join(', '),
+            subject: decodeHeader(subject.replace(/\r\n[ \t]/g, ' ')),
+            body: /^Content-Transfer-Encoding: quoted-printable/mi.test(headers) ? decodeQuotedPrintable(text) : text
+          });
+          envelope = { from: null, to: [] };
+          reply('250 OK: queued');
+          continue;
+        }
+
+        const newline = buffer.indexOf('\r\n');
+        if (newline === -1) return;
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 2);
+        const verb = line.slice(0, 4).toUpperCase();
+
+        if (verb === 'EHLO' || verb === 'HELO') reply('250 refugeewatch-sink');
+        else if (verb === 'AUTH') reply('235 Authentication successful');
+        else if (verb === 'MAIL') { envelope.from = (line.match(/<([^>]*)>/) || [])[1]; reply('250 OK'); }
+        else if (verb === 'RCPT') { envelope.to.push((line.match(/<([^>]*)>/) || [])[1]); reply('250 OK'); }
+        else if (verb === 'DATA') { inData = true; reply('354 End data with <CR><LF>.<CR><LF>'); }
+        else if (verb === 'RSET') { envelope = { from: null, to: [] }; reply('250 OK'); }
+        else if (verb === 'NOOP') reply('250 OK');
+        else if (verb === 'QUIT') { reply('221 Bye'); socket.end(); return; }
+        else reply('502 Command not implemented');
+      }
+    });
+    socket.on('error', () => {});
+  });
+
+  const httpServer = http.createServer((req, res) => {
+    if (req.method === 'GET' && req.url === '/messages') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(messages));
+      return;
+    }
+    if (req.method !== 'POST') {
+      res.writeHead(405);
+      res.end();
+      return;
+    }
+
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      let parsed = body;
+      try {
+        parsed = JSON.parse(body);
+      } catch (error) {
+        // Keep the raw body
+      }
+
+      const path = req.url.split('?')[0];
+      record({
+        channel: path.includes('sms') ? 'sms' : path.includes('push') ? 'push' : 'webhook',
+        path,
+        to: parsed?.to || parsed?.token || null,
+        subject: parsed?.subject || parsed?.title || null,
+        signature: req.headers['x-refugeewatch-signature'] || null,
+        body: parsed
+      });
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ received: true }));
+    });
+  });
+
+  const listen = (server, port) => new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, () => resolve(server.address().port));
+  });
+
+  return Promise.all([listen(smtpServer, smtpPort), listen(httpServer, httpPort)])
+    .then(([smtp, httpListening]) => ({
+      messages,
+      smtpPort: smtp,
+      httpPort: httpListening,
+      close: () => Promise.all([
+        new Promise(resolve => smtpServer.close(resolve)),
+        new Promise(resolve => httpServer.close(resolve))
+      ])
+    }));
+}
+
+if (require.main === module) {
+  startNotificationSink({
+    smtpPort: parseInt(process.env.NOTIFICATION_SINK_SMTP_PORT) || 2525,
+    httpPort: parseInt(process.env.NOTIFICATION_SINK_HTTP_PORT) || 2526
+  }).then(({ smtpPort, httpPort }) => {
+    console.log(`📭 Notification sink listening: SMTP on ${smtpPort}, HTTP on ${httpPort} (GET /messages)`);
+  }).catch(error => {
+    console.error(`Notification sink failed to start: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { startNotificationSink };
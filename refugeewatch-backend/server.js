@@ -20,8 +20,13 @@ dotenv.config();
 const app = require('./src/app');
 const logger = require('./src/utils/logger');
 const { initializeDatabase } = require('./src/config/database');
-const { testHuggingFaceConnection } = require('./src/config/huggingface');
+const { testLLMConnection, getLLMConfig } = require('./src/config/llm');
 const WebSocketService = require('./src/services/external/websocket');
+const { getMonitoringScheduler, MONITORING_CONFIG } = require('./src/services/processing/monitoringScheduler');
+const { getAlertService } = require('./src/services/processing/alertService');
+const { getAuthService } = require('./src/services/processing/authService');
+const { getNotificationService } = require('./src/services/processing/notificationService');
+const { getReviewService } = require('./src/services/processing/reviewService');
 
 // Configuration
 const PORT = process.env.PORT || 3001;
@@ -43,9 +48,15 @@ async function startServer() {
     await initializeDatabase();
     logger.info('✅ Database connected successfully');
     
+    // Create the AUTH_ADMIN_EMAIL account if there is no admin yet
+    const admin = await getAuthService().ensureBootstrapAdmin();
+    if (admin) {
+      logger.info(`🔑 Created admin account ${admin.email}`);
+    }
+    
     // 2. Test AI Service Connection
-    logger.info('🤖 Testing Hugging Face AI connection...');
-    const aiStatus = await testHuggingFaceConnection();
+    logger.info(`🤖 Testing ${getLLMConfig().label} connection...`);
+    const aiStatus = await testLLMConnection();
     if (aiStatus.success) {
       logger.info(`✅ AI Service connected: ${aiStatus.model}`);
       logger.info(`⚡ Response time: ${aiStatus.responseTime}ms`);
@@ -60,6 +71,7 @@ async function startServer() {
     // 4. Initialize WebSocket Service
     logger.info('🔌 Initializing WebSocket service...');
     wsService = new WebSocketService(server);
+    wsService.setAuthService(getAuthService());
     logger.info('✅ WebSocket service ready for real-time updates');
     
     // 5. Start HTTP Server
@@ -67,7 +79,7 @@ async function startServer() {
       logger.info('🌍 RefugeeWatch AI Backend Server Started');
       logger.info(`📍 Server running at: http://${HOST}:${PORT}`);
       logger.info(`🔧 Environment: ${NODE_ENV}`);
-      logger.info(`🤖 AI Model: ${process.env.HUGGINGFACE_MODEL || 'Not configured'}`);
+      logger.info(`🤖 AI Model: ${getLLMConfig().defaultModel} via ${getLLMConfig().provider}`);
       logger.info(`🔌 WebSocket: ws://${HOST}:${PORT}/ws`);
       
       if (NODE_ENV === 'development') {
@@ -102,10 +114,8 @@ async function startServer() {
       }
     });
     
-    // 6. Setup background monitoring (optional for hackathon)
-    if (process.env.ENABLE_BACKGROUND_MONITORING === 'true') {
-      setupBackgroundMonitoring();
-    }
+    // 6. Start the monitoring scheduler (jobs stay paused unless ENABLE_BACKGROUND_MONITORING=true)
+    setupBackgroundMonitoring();
     
     // 7. Graceful Shutdown Handlers
     setupGracefulShutdown(server);
@@ -119,35 +129,21 @@ async function startServer() {
 }
 
 /**
- * Setup background monitoring for demo
+ * Start the cron-based monitoring scheduler
  */
 function setupBackgroundMonitoring() {
-  const DataAggregatorService = require('./src/services/processing/dataAggregator');
-  const aggregator = new DataAggregatorService();
+  const scheduler = getMonitoringScheduler();
+  scheduler.setWebSocketService(wsService);
+  getAlertService().setWebSocketService(wsService);
+  getAlertService().setNotificationService(getNotificationService());
+  getReviewService().setWebSocketService(wsService);
+  scheduler.start();
   
-  // Monitor key countries every 5 minutes
-  setInterval(async () => {
-    try {
-      const countries = ['Sudan', 'Myanmar'];
-      logger.info('🔄 Running background monitoring for demo countries');
-      
-      for (const country of countries) {
-        const assessment = await aggregator.getComprehensiveCrisisAssessment(country);
-        
-        if (assessment && assessment.overallRisk === 'CRITICAL') {
-          // Send real-time update via WebSocket
-          if (wsService) {
-            wsService.sendCrisisUpdate(assessment);
-            logger.info(`📡 WebSocket update sent for ${country} (${assessment.overallRisk})`);
-          }
-        }
-      }
-    } catch (error) {
-      logger.warn('Background monitoring error:', error.message);
-    }
-  }, 5 * 60 * 1000); // 5 minutes
-  
-  logger.info('⏰ Background monitoring enabled (5-minute intervals)');
+  if (MONITORING_CONFIG.enabled) {
+    logger.info('⏰ Background monitoring enabled');
+  } else {
+    logger.info('⏸️ Background monitoring jobs paused (set ENABLE_BACKGROUND_MONITORING=true or resume via /api/monitoring/jobs)');
+  }
 }
 
 /**
@@ -158,6 +154,9 @@ function setupGracefulShutdown(server) {
   const shutdown = (signal) => {
     logger.info(`📴 Received ${signal}. Starting graceful shutdown...`);
     
+    // Stop scheduled jobs before closing connections
+    getMonitoringScheduler().stop();
+    
     // Close WebSocket service first
     if (wsService) {
       logger.info('🔌 Closing WebSocket connections...');
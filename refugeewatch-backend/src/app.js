@@ -83,8 +83,8 @@ const corsOptions = {
     process.env.CORS_ORIGIN || 'http://localhost:3000'
   ],
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Requested-With', 'Accept'],
   exposedHeaders: ['X-Request-ID']
 };
 
@@ -234,15 +234,16 @@ try {
   // AI status endpoint
   app.get('/api/ai/status', async (req, res) => {
     try {
-      const { testHuggingFaceConnection } = require('./config/huggingface');
-      const connectionTest = await testHuggingFaceConnection();
+      const { testLLMConnection, getLLMConfig } = require('./config/llm');
+      const connectionTest = await testLLMConnection();
+      const llmConfig = getLLMConfig();
       
       res.json({
         success: true,
         data: {
           status: connectionTest.success ? 'operational' : 'degraded',
-          model: process.env.HUGGINGFACE_MODEL || 'gpt-oss-20b:fireworks-ai',
-          provider: 'Hugging Face Inference API',
+          model: connectionTest.model || llmConfig.defaultModel,
+          provider: llmConfig.label,
           performance: {
             averageResponseTime: connectionTest.responseTime || 0,
             availability: connectionTest.success ? '99.9%' : 'degraded'
@@ -46,6 +46,9 @@ async function initializeDatabase() {
     // Create tables
     await createTables();
     
+    // Bring existing databases up to the current schema
+    await migrateTables();
+    
     // Insert demo data
     await insertDemoData();
     
@@ -76,6 +79,12 @@ async function createTables() {
       coordinates TEXT, -- JSON string [lat, lon]
       status TEXT CHECK(status IN ('ACTIVE', 'MONITORING', 'RESOLVED', 'PREVENTED')) DEFAULT 'ACTIVE',
       ai_analysis TEXT, -- JSON string with AI insights
+      title TEXT,
+      crisis_type TEXT,
+      description TEXT,
+      population_affected INTEGER,
+      start_date TEXT,
+      details TEXT, -- JSON string (keyFactors, affectedAreas, vulnerableGroups)
       last_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP
     )`,
@@ -105,6 +114,7 @@ async function createTables() {
       timeline_weeks INTEGER,
       estimated_cost INTEGER, -- Cost in USD
       cost_breakdown TEXT, -- JSON object with detailed costs
+      plan_data TEXT, -- Full generated plan (JSON)
       implementation_status TEXT DEFAULT 'DRAFT',
       ai_generated BOOLEAN DEFAULT 1,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
@@ -121,6 +131,15 @@ async function createTables() {
       triggered_by TEXT, -- What triggered this alert
       acknowledged BOOLEAN DEFAULT 0,
       resolved BOOLEAN DEFAULT 0,
+      title TEXT,
+      details TEXT, -- JSON string (recommendedActions, targetAudience, validUntil, assessment context)
+      acknowledged_at DATETIME,
+      acknowledged_by TEXT,
+      resolved_at DATETIME,
+      resolved_by TEXT,
+      resolution_note TEXT,
+      escalation_level INTEGER DEFAULT 0,
+      escalated_at DATETIME,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (crisis_id) REFERENCES crises(id)
     )`,
@@ -137,6 +156,285 @@ async function createTables() {
       data_quality_score REAL DEFAULT 1.0
     )`,
     
+    // Assessment history - One row per comprehensive country assessment
+    `CREATE TABLE IF NOT EXISTS assessment_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      country TEXT NOT NULL,
+      crisis_id TEXT,
+      overall_risk TEXT NOT NULL,
+      previous_risk TEXT, -- Last known (non-UNKNOWN) risk before this assessment
+      risk_changed BOOLEAN DEFAULT 0,
+      confidence REAL,
+      data_quality TEXT,
+      conflict_risk TEXT,
+      conflict_score REAL,
+      economic_risk TEXT,
+      economic_score REAL,
+      climate_risk TEXT,
+      climate_score REAL,
+      news_risk TEXT,
+      news_score REAL,
+      displacement_level TEXT,
+      displacement_estimate INTEGER,
+      displacement_confidence REAL,
+      displacement_timeline TEXT,
+      assessment TEXT NOT NULL, -- Full aggregated assessment (JSON)
+      scoring_model_version TEXT, -- Risk scoring model that produced the assessment
+      source TEXT DEFAULT 'on_demand', -- Job name, 'analysis' or 'on_demand'
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    
+    `CREATE INDEX IF NOT EXISTS idx_assessment_history_country
+      ON assessment_history (country, created_at)`,
+    
+    // Displacement Observations table - UNHCR figures captured over time for back-testing
+    `CREATE TABLE IF NOT EXISTS displacement_observations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      country TEXT NOT NULL, -- Registry country name
+      country_code TEXT,
+      total_displaced INTEGER NOT NULL,
+      refugees INTEGER,
+      asylum_seekers INTEGER,
+      internally_displaced INTEGER,
+      data_year INTEGER, -- Reporting year of the UNHCR figures
+      source TEXT,
+      observed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    
+    `CREATE INDEX IF NOT EXISTS idx_displacement_observations_country
+      ON displacement_observations (country, observed_at)`,
+    
+    // Prediction Evaluations table - Back-test results for predictions whose timeline has elapsed
+    `CREATE TABLE IF NOT EXISTS prediction_evaluations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      prediction_id INTEGER NOT NULL UNIQUE,
+      crisis_id TEXT NOT NULL,
+      country TEXT NOT NULL,
+      model_version TEXT,
+      predicted_at DATETIME NOT NULL,
+      predicted_displacement INTEGER NOT NULL,
+      observed_displacement INTEGER NOT NULL,
+      predicted_timeline_days INTEGER,
+      observed_timeline_days INTEGER, -- Days until observed figures reached the estimate (NULL if they never did)
+      baseline_total INTEGER,
+      outcome_total INTEGER,
+      baseline_observed_at DATETIME,
+      outcome_observed_at DATETIME,
+      absolute_error INTEGER,
+      percentage_error REAL, -- NULL when nothing was observed
+      accuracy_score REAL,
+      evaluated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (prediction_id) REFERENCES predictions(id)
+    )`,
+    
+    // Scenarios table - What-if simulations run against a stored assessment
+    `CREATE TABLE IF NOT EXISTS scenarios (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      description TEXT,
+      simulation_type TEXT NOT NULL,
+      country TEXT NOT NULL,
+      crisis_id TEXT,
+      base_assessment_id INTEGER NOT NULL,
+      scoring_model_version TEXT,
+      modifications TEXT NOT NULL, -- JSON modifications as submitted
+      baseline TEXT NOT NULL, -- JSON baseline outcome (assessment summary and costs)
+      outcome TEXT NOT NULL, -- JSON scenario outcome (assessment summary and costs)
+      comparison TEXT NOT NULL, -- JSON side-by-side differences
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (base_assessment_id) REFERENCES assessment_history(id)
+    )`,
+    
+    `CREATE INDEX IF NOT EXISTS idx_scenarios_country
+      ON scenarios (country, created_at)`,
+    
+    // Reports table - Rendered report files
+    `CREATE TABLE IF NOT EXISTS reports (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      report_type TEXT NOT NULL,
+      format TEXT NOT NULL,
+      title TEXT NOT NULL,
+      crisis_id TEXT, -- Kept when the crisis is deleted; reports are historical records
+      options TEXT, -- JSON request options (includeAnalysis, includePredictions, customSections)
+      sections TEXT, -- JSON array of section titles
+      filename TEXT NOT NULL,
+      mime_type TEXT NOT NULL,
+      size_bytes INTEGER NOT NULL,
+      content BLOB NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    
+    `CREATE INDEX IF NOT EXISTS idx_reports_crisis
+      ON reports (crisis_id, created_at)`,
+    
+    // Notification subscribers - Who is notified of alerts, where, and how often
+    `CREATE TABLE IF NOT EXISTS notification_subscribers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      email TEXT,
+      phone TEXT,
+      webhook_url TEXT,
+      push_token TEXT,
+      channels TEXT NOT NULL, -- JSON array: email, sms, push, webhook
+      severity_levels TEXT NOT NULL, -- JSON array: LOW, MODERATE, HIGH, CRITICAL
+      crisis_types TEXT, -- JSON array; empty matches every crisis type
+      regions TEXT, -- JSON array; empty matches every region
+      frequency TEXT DEFAULT 'immediate', -- immediate, hourly, daily, weekly
+      quiet_hours TEXT, -- JSON { enabled, start, end, timezone }
+      active BOOLEAN DEFAULT 1,
+      last_digest_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    
+    // Notification queue - Alerts waiting for a subscriber's next digest
+    `CREATE TABLE IF NOT EXISTS notification_queue (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      subscriber_id INTEGER NOT NULL,
+      alert_id INTEGER NOT NULL,
+      queued_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      digested_at DATETIME, -- Set once the alert went out in a digest
+      FOREIGN KEY (subscriber_id) REFERENCES notification_subscribers(id),
+      FOREIGN KEY (alert_id) REFERENCES alerts(id)
+    )`,
+    
+    `CREATE INDEX IF NOT EXISTS idx_notification_queue_subscriber
+      ON notification_queue (subscriber_id, digested_at)`,
+    
+    // Notification deliveries - One message to one subscriber over one channel
+    `CREATE TABLE IF NOT EXISTS notification_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      subscriber_id INTEGER NOT NULL,
+      channel TEXT NOT NULL,
+      kind TEXT NOT NULL, -- alert, digest, test
+      alert_ids TEXT, -- JSON array of alert IDs in the message
+      subject TEXT NOT NULL,
+      message TEXT NOT NULL, -- JSON { text, payload }
+      status TEXT CHECK(status IN ('pending', 'deferred', 'sent', 'failed', 'skipped')) DEFAULT 'pending',
+      attempts INTEGER DEFAULT 0,
+      last_error TEXT,
+      scheduled_for DATETIME DEFAULT CURRENT_TIMESTAMP, -- When the next attempt is due
+      sent_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (subscriber_id) REFERENCES notification_subscribers(id)
+    )`,
+    
+    `CREATE INDEX IF NOT EXISTS idx_notification_deliveries_due
+      ON notification_deliveries (status, scheduled_for)`,
+    
+    // Organizations - Agencies and partners that users belong to
+    `CREATE TABLE IF NOT EXISTS organizations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      type TEXT, -- UN_AGENCY, NGO, GOVERNMENT, DONOR, RESEARCH, OTHER
+      country TEXT, -- Headquarters
+      website TEXT,
+      description TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    
+    // Users - Accounts that sign in to the API and WebSocket
+    `CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      password_hash TEXT NOT NULL,
+      role TEXT CHECK(role IN ('viewer', 'analyst', 'coordinator', 'admin')) DEFAULT 'viewer',
+      organization_id INTEGER,
+      position TEXT, -- Job title, e.g. Field Officer
+      expertise TEXT, -- JSON array
+      regions TEXT, -- JSON array of assigned regions or countries; empty sees every crisis
+      preferences TEXT, -- JSON { notifications, crisisTypes, alertChannels }
+      active BOOLEAN DEFAULT 1,
+      last_login_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (organization_id) REFERENCES organizations(id)
+    )`,
+    
+    // Sessions - One per sign-in; the signed token carries the session ID
+    `CREATE TABLE IF NOT EXISTS sessions (
+      id TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      ip TEXT,
+      user_agent TEXT,
+      expires_at DATETIME NOT NULL,
+      revoked_at DATETIME,
+      last_used_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )`,
+    
+    // API keys - Long-lived credentials for integrations, at most their owner's role
+    `CREATE TABLE IF NOT EXISTS api_keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      key_prefix TEXT NOT NULL, -- rwk_<key id>, shown in listings
+      key_hash TEXT NOT NULL UNIQUE, -- SHA-256 of the full key
+      role TEXT CHECK(role IN ('viewer', 'analyst', 'coordinator', 'admin')) NOT NULL,
+      expires_at DATETIME,
+      revoked_at DATETIME,
+      last_used_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id)
+    )`,
+    
+    // Audit log - Who did what: sign-ins, credential changes, AI analysis runs
+    `CREATE TABLE IF NOT EXISTS audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      actor_type TEXT NOT NULL, -- user, api_key, anonymous, system
+      user_id INTEGER,
+      api_key_id INTEGER,
+      actor_name TEXT,
+      role TEXT,
+      action TEXT NOT NULL, -- e.g. ai_analysis.run, response_plan.generate
+      resource_type TEXT,
+      resource_id TEXT,
+      details TEXT, -- JSON
+      ip TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    
+    `CREATE INDEX IF NOT EXISTS idx_audit_log_action
+      ON audit_log (action, created_at)`,
+    
+    `CREATE INDEX IF NOT EXISTS idx_audit_log_resource
+      ON audit_log (resource_type, resource_id, created_at)`,
+    
+    // AI reviews - AI analyses waiting for an analyst; only approved ones are stored on the crisis
+    `CREATE TABLE IF NOT EXISTS ai_reviews (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      crisis_id TEXT NOT NULL,
+      analysis_type TEXT NOT NULL, -- crisis (POST /crisis/:id/analyze) or advanced (POST /crisis/:id/ai-analysis)
+      status TEXT CHECK(status IN ('pending', 'approved', 'amended', 'rejected')) DEFAULT 'pending',
+      ai_risk_level TEXT, -- Risk level the model proposed
+      risk_level TEXT, -- Risk level after review
+      ai_analysis TEXT NOT NULL, -- JSON, as the model returned it
+      amended_analysis TEXT, -- JSON, the analysis with the reviewer's changes
+      provenance TEXT, -- JSON
+      prediction TEXT, -- JSON prediction stored once the analysis is approved
+      review_reasons TEXT, -- JSON array of reasons a closer look is needed (e.g. ensemble disagreement)
+      review_due_at DATETIME,
+      submitted_by TEXT, -- Email of whoever ran the analysis
+      submitter_id INTEGER,
+      reviewed_by TEXT,
+      reviewer_id INTEGER,
+      comments TEXT,
+      reviewed_at DATETIME,
+      prediction_id INTEGER, -- Prediction stored on approval
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (crisis_id) REFERENCES crises(id),
+      FOREIGN KEY (submitter_id) REFERENCES users(id),
+      FOREIGN KEY (reviewer_id) REFERENCES users(id)
+    )`,
+    
+    `CREATE INDEX IF NOT EXISTS idx_ai_reviews_queue
+      ON ai_reviews (status, review_due_at)`,
+    
     // Analytics table - Track system performance
     `CREATE TABLE IF NOT EXISTS analytics (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -155,6 +453,47 @@ async function createTables() {
   logger.info('✅ Database tables created successfully');
 }
 
+/**
+ * Add columns introduced after the initial schema to existing databases.
+ * CREATE TABLE IF NOT EXISTS leaves older tables untouched, so new columns
+ * must also be listed here.
+ */
+async function migrateTables() {
+  const columnMigrations = [
+    { table: 'response_plans', column: 'plan_data', definition: 'TEXT' },
+    { table: 'crises', column: 'title', definition: 'TEXT' },
+    { table: 'crises', column: 'crisis_type', definition: 'TEXT' },
+    { table: 'crises', column: 'description', definition: 'TEXT' },
+    { table: 'crises', column: 'population_affected', definition: 'INTEGER' },
+    { table: 'crises', column: 'start_date', definition: 'TEXT' },
+    { table: 'crises', column: 'details', definition: 'TEXT' },
+    { table: 'alerts', column: 'title', definition: 'TEXT' },
+    { table: 'alerts', column: 'details', definition: 'TEXT' },
+    { table: 'alerts', column: 'acknowledged_at', definition: 'DATETIME' },
+    { table: 'alerts', column: 'acknowledged_by', definition: 'TEXT' },
+    { table: 'alerts', column: 'resolved_at', definition: 'DATETIME' },
+    { table: 'alerts', column: 'resolved_by', definition: 'TEXT' },
+    { table: 'alerts', column: 'resolution_note', definition: 'TEXT' },
+    { table: 'alerts', column: 'escalation_level', definition: 'INTEGER DEFAULT 0' },
+    { table: 'alerts', column: 'escalated_at', definition: 'DATETIME' },
+    { table: 'assessment_history', column: 'scoring_model_version', definition: 'TEXT' },
+    { table: 'users', column: 'organization_id', definition: 'INTEGER REFERENCES organizations(id)' },
+    { table: 'users', column: 'position', definition: 'TEXT' },
+    { table: 'users', column: 'expertise', definition: 'TEXT' },
+    { table: 'users', column: 'regions', definition: 'TEXT' },
+    { table: 'users', column: 'preferences', definition: 'TEXT' },
+    { table: 'ai_reviews', column: 'submitter_id', definition: 'INTEGER REFERENCES users(id)' }
+  ];
+  
+  for (const { table, column, definition } of columnMigrations) {
+    const columns = await runQuery(`SELECT name FROM pragma_table_info('${table}')`);
+    if (!columns.some(existing => existing.name === column)) {
+      await runQuery(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      logger.info(`🔧 Added column ${table}.${column}`);
+    }
+  }
+}
+
 /**
  * Insert demo data for hackathon scenarios
  */
@@ -369,6 +708,33 @@ async function closeDatabase() {
   });
 }
 
+// Every reports column except the file content
+const REPORT_METADATA_COLUMNS = 'id, report_type, format, title, crisis_id, options, sections, filename, mime_type, size_bytes, created_at';
+
+/**
+ * WHERE condition limiting crises to a user's regional assignments
+ * (lower-cased regions or countries, see regionScope)
+ * @param {string} table - Table or alias holding country and region
+ * @param {Array<string>} regions - Assigned regions and countries
+ * @returns {Object} { condition, params }
+ */
+function regionScopeCondition(table, regions) {
+  const placeholders = regions.map(() => '?').join(', ');
+  return {
+    condition: `(LOWER(${table}.country) IN (${placeholders}) OR LOWER(${table}.region) IN (${placeholders}))`,
+    params: [...regions, ...regions]
+  };
+}
+
+// Users with the name of their organization
+const USER_SELECT = `SELECT users.*, organizations.name AS organization_name
+  FROM users LEFT JOIN organizations ON organizations.id = users.organization_id`;
+
+// Organizations with how many active users they have
+const ORGANIZATION_SELECT = `SELECT organizations.*,
+  (SELECT COUNT(*) FROM users WHERE users.organization_id = organizations.id AND users.active = 1) AS member_count
+  FROM organizations`;
+
 /**
  * Database utility functions for CRUD operations
  */
@@ -380,6 +746,45 @@ const DatabaseUtils = {
     return await runQuery('SELECT * FROM crises WHERE status != "RESOLVED" ORDER BY confidence DESC');
   },
   
+  /**
+   * List registered crises. Resolved crises are excluded unless a status is given.
+   * @param {Object} filters - { status, region, riskLevel, limit } (status 'ALL' includes every crisis)
+   */
+  async listCrises({ status, region, riskLevel, regions, limit } = {}) {
+    const conditions = [];
+    const params = [];
+    
+    if (!status) {
+      conditions.push("status != 'RESOLVED'");
+    } else if (status.toUpperCase() !== 'ALL') {
+      conditions.push('status = ?');
+      params.push(status.toUpperCase());
+    }
+    if (region) {
+      conditions.push('LOWER(region) = LOWER(?)');
+      params.push(region);
+    }
+    if (riskLevel) {
+      conditions.push('risk_level = ?');
+      params.push(riskLevel.toUpperCase());
+    }
+    if (regions && regions.length > 0) {
+      const scope = regionScopeCondition('crises', regions);
+      conditions.push(scope.condition);
+      params.push(...scope.params);
+    }
+    
+    let sql = 'SELECT * FROM crises';
+    if (conditions.length > 0) sql += ` WHERE ${conditions.join(' AND ')}`;
+    sql += ' ORDER BY last_updated DESC';
+    if (limit) {
+      sql += ' LIMIT ?';
+      params.push(limit);
+    }
+    
+    return await runQuery(sql, params);
+  },
+  
   /**
    * Get crisis by ID
    */
@@ -388,6 +793,82 @@ const DatabaseUtils = {
     return results[0] || null;
   },
   
+  /**
+   * Get the most recent crisis record for a country (case-insensitive)
+   */
+  async getCrisisByCountry(country) {
+    const results = await runQuery(
+      'SELECT * FROM crises WHERE LOWER(country) = LOWER(?) ORDER BY last_updated DESC LIMIT 1',
+      [country]
+    );
+    return results[0] || null;
+  },
+  
+  /**
+   * Register a new crisis
+   */
+  async insertCrisis(crisis) {
+    return await runQuery(
+      `INSERT INTO crises (
+        id, region, country, risk_level, confidence, predicted_displacement, timeline,
+        causes, coordinates, status, title, crisis_type, description,
+        population_affected, start_date, details
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        crisis.id, crisis.region, crisis.country, crisis.risk_level,
+        crisis.confidence ?? null, crisis.predicted_displacement || 0, crisis.timeline || null,
+        crisis.causes ? JSON.stringify(crisis.causes) : null,
+        crisis.coordinates ? JSON.stringify(crisis.coordinates) : null,
+        crisis.status || 'ACTIVE', crisis.title, crisis.crisis_type, crisis.description,
+        crisis.population_affected, crisis.start_date || null,
+        crisis.details ? JSON.stringify(crisis.details) : null
+      ]
+    );
+  },
+  
+  /**
+   * Update registry fields of a crisis. Only the given columns are changed.
+   */
+  async updateCrisis(crisisId, fields) {
+    const jsonColumns = ['causes', 'coordinates', 'details'];
+    const columns = Object.keys(fields).filter(column => fields[column] !== undefined);
+    if (columns.length === 0) return { changes: 0 };
+    
+    const assignments = columns.map(column => `${column} = ?`);
+    const params = columns.map(column => (
+      jsonColumns.includes(column) && fields[column] !== null ? JSON.stringify(fields[column]) : fields[column]
+    ));
+    
+    return await runQuery(
+      `UPDATE crises SET ${assignments.join(', ')}, last_updated = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...params, crisisId]
+    );
+  },
+  
+  /**
+   * Permanently remove a crisis together with its AI reviews, predictions, evaluations, plans and alerts.
+   * Alerts still waiting for a digest are dropped from the notification queue.
+   */
+  async deleteCrisis(crisisId) {
+    await runQuery('BEGIN TRANSACTION');
+    try {
+      await runQuery(
+        'DELETE FROM notification_queue WHERE alert_id IN (SELECT id FROM alerts WHERE crisis_id = ?)',
+        [crisisId]
+      );
+      // ai_reviews link to predictions, so they go first
+      for (const table of ['ai_reviews', 'prediction_evaluations', 'predictions', 'response_plans', 'alerts']) {
+        await runQuery(`DELETE FROM ${table} WHERE crisis_id = ?`, [crisisId]);
+      }
+      const result = await runQuery('DELETE FROM crises WHERE id = ?', [crisisId]);
+      await runQuery('COMMIT');
+      return result;
+    } catch (error) {
+      await runQuery('ROLLBACK');
+      throw error;
+    }
+  },
+  
   /**
    * Get predictions for a crisis
    */
@@ -395,6 +876,35 @@ const DatabaseUtils = {
     return await runQuery('SELECT * FROM predictions WHERE crisis_id = ? ORDER BY created_at DESC', [crisisId]);
   },
   
+  /**
+   * Most recent prediction for every crisis
+   */
+  async getLatestPredictions() {
+    return await runQuery(
+      `SELECT * FROM predictions
+       WHERE id = (
+         SELECT latest.id FROM predictions latest
+         WHERE latest.crisis_id = predictions.crisis_id
+         ORDER BY latest.created_at DESC, latest.id DESC LIMIT 1
+       )`
+    );
+  },
+
+  /**
+   * Predictions with their crisis location, oldest first, for corridor maps
+   * @param {Object} filters - { country, from, to }
+   */
+  async getPredictionRoutes({ country, from, to } = {}) {
+    const { where, params } = buildPredictionFilters('predictions', 'created_at', { country, from, to });
+    return await runQuery(
+      `SELECT predictions.*, crises.country, crises.region, crises.title, crises.coordinates, crises.risk_level
+       FROM predictions JOIN crises ON crises.id = predictions.crisis_id
+       ${where}
+       ORDER BY predictions.created_at ASC, predictions.id ASC`,
+      params
+    );
+  },
+
   /**
    * Get response plans for a crisis
    */
@@ -437,15 +947,278 @@ const DatabaseUtils = {
     return await runQuery(
       `INSERT INTO response_plans (
         crisis_id, plan_type, resources_needed, timeline_weeks,
-        estimated_cost, cost_breakdown, ai_generated
-      ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        estimated_cost, cost_breakdown, plan_data, ai_generated
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         plan.crisis_id, plan.plan_type, JSON.stringify(plan.resources_needed),
         plan.timeline_weeks, plan.estimated_cost, JSON.stringify(plan.cost_breakdown),
-        plan.ai_generated || 1
+        plan.plan_data ? JSON.stringify(plan.plan_data) : null,
+        plan.ai_generated ?? 1
+      ]
+    );
+  },
+  
+  /**
+   * Get a single response plan by ID
+   */
+  async getResponsePlanById(planId) {
+    const results = await runQuery('SELECT * FROM response_plans WHERE id = ?', [planId]);
+    return results[0] || null;
+  },
+  
+  /**
+   * Create an alert
+   */
+  async insertAlert(alert) {
+    return await runQuery(
+      `INSERT INTO alerts (
+        crisis_id, alert_level, title, message, alert_type, triggered_by, details
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        alert.crisis_id, alert.alert_level, alert.title, alert.message,
+        alert.alert_type || 'PREDICTION', alert.triggered_by || null,
+        alert.details ? JSON.stringify(alert.details) : null
+      ]
+    );
+  },
+  
+  /**
+   * Get a single alert (with its crisis country and region)
+   */
+  async getAlertById(alertId) {
+    const results = await runQuery(
+      `SELECT alerts.*, crises.country, crises.region FROM alerts
+       LEFT JOIN crises ON crises.id = alerts.crisis_id
+       WHERE alerts.id = ?`,
+      [alertId]
+    );
+    return results[0] || null;
+  },
+  
+  /**
+   * List alerts, newest first
+   * @param {Object} filters - { status: open|acknowledged|resolved|all, level, crisisId, regions, limit }
+   */
+  async listAlerts({ status = 'open', level, crisisId, regions, limit = 100 } = {}) {
+    const conditions = [];
+    const params = [];
+    
+    if (status === 'open') conditions.push('alerts.resolved = 0');
+    if (status === 'unacknowledged') conditions.push('alerts.resolved = 0 AND alerts.acknowledged = 0');
+    if (status === 'acknowledged') conditions.push('alerts.resolved = 0 AND alerts.acknowledged = 1');
+    if (status === 'resolved') conditions.push('alerts.resolved = 1');
+    if (level) {
+      conditions.push('alerts.alert_level = ?');
+      params.push(level);
+    }
+    if (crisisId) {
+      conditions.push('alerts.crisis_id = ?');
+      params.push(crisisId);
+    }
+    if (regions && regions.length > 0) {
+      const scope = regionScopeCondition('crises', regions);
+      conditions.push(scope.condition);
+      params.push(...scope.params);
+    }
+    
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return await runQuery(
+      `SELECT alerts.*, crises.country, crises.region FROM alerts
+       LEFT JOIN crises ON crises.id = alerts.crisis_id
+       ${where}
+       ORDER BY alerts.created_at DESC, alerts.id DESC LIMIT ?`,
+      [...params, limit]
+    );
+  },
+  
+  /**
+   * Unresolved alert for a crisis raised by the same trigger, if any
+   */
+  async findOpenAlert(crisisId, triggeredBy) {
+    const results = await runQuery(
+      'SELECT * FROM alerts WHERE crisis_id = ? AND triggered_by = ? AND resolved = 0 LIMIT 1',
+      [crisisId, triggeredBy]
+    );
+    return results[0] || null;
+  },
+  
+  /**
+   * Mark an alert acknowledged
+   */
+  async acknowledgeAlert(alertId, acknowledgedBy) {
+    return await runQuery(
+      `UPDATE alerts SET acknowledged = 1, acknowledged_at = CURRENT_TIMESTAMP, acknowledged_by = ?
+       WHERE id = ? AND acknowledged = 0`,
+      [acknowledgedBy || null, alertId]
+    );
+  },
+  
+  /**
+   * Mark an alert resolved (resolving also acknowledges it)
+   */
+  async resolveAlert(alertId, resolvedBy, note) {
+    return await runQuery(
+      `UPDATE alerts SET
+        resolved = 1, resolved_at = CURRENT_TIMESTAMP, resolved_by = ?, resolution_note = ?,
+        acknowledged = 1, acknowledged_at = COALESCE(acknowledged_at, CURRENT_TIMESTAMP),
+        acknowledged_by = COALESCE(acknowledged_by, ?)
+       WHERE id = ? AND resolved = 0`,
+      [resolvedBy || null, note || null, resolvedBy || null, alertId]
+    );
+  },
+  
+  /**
+   * Unacknowledged alerts at a level whose last escalation (or creation) is older than the cutoff
+   * @param {string} level - Alert level
+   * @param {string} cutoff - 'YYYY-MM-DD HH:mm:ss' UTC
+   * @param {number} maxLevel - Alerts at this escalation level are left alone
+   */
+  async getAlertsDueForEscalation(level, cutoff, maxLevel) {
+    return await runQuery(
+      `SELECT alerts.*, crises.country, crises.region FROM alerts
+       LEFT JOIN crises ON crises.id = alerts.crisis_id
+       WHERE alerts.alert_level = ? AND alerts.acknowledged = 0 AND alerts.resolved = 0
+         AND COALESCE(alerts.escalated_at, alerts.created_at) <= ?
+         AND COALESCE(alerts.escalation_level, 0) < ?
+       ORDER BY alerts.created_at ASC`,
+      [level, cutoff, maxLevel]
+    );
+  },
+  
+  /**
+   * Raise an alert's escalation level
+   */
+  async escalateAlert(alertId) {
+    return await runQuery(
+      `UPDATE alerts SET escalation_level = COALESCE(escalation_level, 0) + 1, escalated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [alertId]
+    );
+  },
+
+  /**
+   * Queue an AI analysis for review
+   */
+  async insertAIReview(review) {
+    return await runQuery(
+      `INSERT INTO ai_reviews (
+        crisis_id, analysis_type, ai_risk_level, ai_analysis, provenance, prediction,
+        review_reasons, review_due_at, submitted_by, submitter_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        review.crisis_id, review.analysis_type, review.ai_risk_level,
+        JSON.stringify(review.ai_analysis), JSON.stringify(review.provenance || {}),
+        review.prediction ? JSON.stringify(review.prediction) : null,
+        JSON.stringify(review.review_reasons || []), review.review_due_at,
+        review.submitted_by || null, review.submitter_id || null
+      ]
+    );
+  },
+
+  /**
+   * Get a single AI review (with its crisis country and region)
+   */
+  async getAIReviewById(reviewId) {
+    const results = await runQuery(
+      `SELECT ai_reviews.*, crises.country, crises.region FROM ai_reviews
+       LEFT JOIN crises ON crises.id = ai_reviews.crisis_id
+       WHERE ai_reviews.id = ?`,
+      [reviewId]
+    );
+    return results[0] || null;
+  },
+
+  /**
+   * List AI reviews. Pending reviews come soonest-due first, decided ones newest first.
+   * @param {Object} filters - { status: pending|approved|amended|rejected|all, crisisId, type, regions, limit }
+   */
+  async listAIReviews({ status = 'pending', crisisId, type, regions, limit = 100 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (status !== 'all') {
+      conditions.push('ai_reviews.status = ?');
+      params.push(status);
+    }
+    if (crisisId) {
+      conditions.push('ai_reviews.crisis_id = ?');
+      params.push(crisisId);
+    }
+    if (type) {
+      conditions.push('ai_reviews.analysis_type = ?');
+      params.push(type);
+    }
+    if (regions && regions.length > 0) {
+      const scope = regionScopeCondition('crises', regions);
+      conditions.push(scope.condition);
+      params.push(...scope.params);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const order = status === 'pending'
+      ? 'ai_reviews.review_due_at ASC, ai_reviews.id ASC'
+      : 'ai_reviews.created_at DESC, ai_reviews.id DESC';
+    return await runQuery(
+      `SELECT ai_reviews.*, crises.country, crises.region FROM ai_reviews
+       LEFT JOIN crises ON crises.id = ai_reviews.crisis_id
+       ${where}
+       ORDER BY ${order} LIMIT ?`,
+      [...params, limit]
+    );
+  },
+
+  /**
+   * Record a review decision. Only pending reviews change; check `changes`.
+   * @param {number} reviewId - Review ID
+   * @param {Object} decision - { status, risk_level, amended_analysis, reviewed_by, reviewer_id, comments }
+   */
+  async decideAIReview(reviewId, decision) {
+    return await runQuery(
+      `UPDATE ai_reviews SET
+        status = ?, risk_level = ?, amended_analysis = ?, reviewed_by = ?, reviewer_id = ?, comments = ?,
+        reviewed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = 'pending'`,
+      [
+        decision.status, decision.risk_level || null,
+        decision.amended_analysis ? JSON.stringify(decision.amended_analysis) : null,
+        decision.reviewed_by || null, decision.reviewer_id || null, decision.comments || null,
+        reviewId
       ]
     );
   },
+
+  /**
+   * Put a decided review back in the queue, e.g. when storing its analysis failed
+   */
+  async reopenAIReview(reviewId, status) {
+    return await runQuery(
+      `UPDATE ai_reviews SET
+        status = 'pending', risk_level = NULL, amended_analysis = NULL, reviewed_by = NULL, reviewer_id = NULL,
+        comments = NULL, reviewed_at = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = ?`,
+      [reviewId, status]
+    );
+  },
+
+  /**
+   * Link an approved review to the prediction stored for it
+   */
+  async setAIReviewPrediction(reviewId, predictionId) {
+    return await runQuery(
+      'UPDATE ai_reviews SET prediction_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [predictionId, reviewId]
+    );
+  },
+
+  /**
+   * Record a system analytics metric
+   */
+  async insertAnalyticsMetric(metric) {
+    return await runQuery(
+      'INSERT INTO analytics (metric_name, metric_value, metric_type, related_crisis_id) VALUES (?, ?, ?, ?)',
+      [metric.metric_name, metric.metric_value, metric.metric_type || null, metric.related_crisis_id || null]
+    );
+  },
   
   /**
    * Get system analytics
@@ -459,16 +1232,911 @@ const DatabaseUtils = {
   },
   
   /**
-   * Record analytics metric
+   * Store a comprehensive assessment in the history table
    */
-  async recordAnalytic(metricName, metricValue, metricType, relatedCrisisId = null) {
+  async insertAssessmentHistory(entry) {
+    const { assessment } = entry;
+    const sources = assessment.sources || {};
+    const displacement = assessment.displacementRisk || {};
+    
     return await runQuery(
-      'INSERT INTO analytics (metric_name, metric_value, metric_type, related_crisis_id) VALUES (?, ?, ?, ?)',
-      [metricName, metricValue, metricType, relatedCrisisId]
-    );
+      `INSERT INTO assessment_history (
+        country, crisis_id, overall_risk, previous_risk, risk_changed, confidence, data_quality,
+        conflict_risk, conflict_score, economic_risk, economic_score,
+        climate_risk, climate_score, news_risk, news_score,
+        displacement_level, displacement_estimate, displacement_confidence, displacement_timeline,
+        assessment, scoring_model_version, source
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        assessment.country, entry.crisis_id || null, assessment.overallRisk,
+        entry.previous_risk || null, entry.risk_changed ? 1 : 0,
+        assessment.confidence, assessment.dataQuality,
+        sources.conflict?.riskLevel || null, sources.conflict?.score ?? null,
+        sources.economic?.riskLevel || null, sources.economic?.score ?? null,
+        sources.climate?.riskLevel || null, sources.climate?.score ?? null,
+        sources.news?.riskLevel || null, sources.news?.score ?? null,
+        displacement.level || null, displacement.estimatedNumbers ?? null,
+        displacement.confidence ?? null, displacement.timeline || null,
+        JSON.stringify(assessment), assessment.scoringModelVersion || null, entry.source || 'on_demand'
+      ]
+    );
+  },
+  
+  /**
+   * Single stored assessment by ID
+   */
+  async getAssessmentById(id) {
+    const results = await runQuery('SELECT * FROM assessment_history WHERE id = ?', [id]);
+    return results[0] || null;
+  },
+  
+  /**
+   * Most recent assessment for a country with a known risk level
+   */
+  async getLatestAssessment(country) {
+    const results = await runQuery(
+      `SELECT * FROM assessment_history
+       WHERE LOWER(country) = LOWER(?) AND overall_risk != 'UNKNOWN'
+       ORDER BY created_at DESC, id DESC LIMIT 1`,
+      [country]
+    );
+    return results[0] || null;
+  },
+  
+  /**
+   * Assessment history for a country, oldest first
+   * @param {string} country - Country name (case-insensitive)
+   * @param {Object} range - { from, to } as 'YYYY-MM-DD HH:mm:ss' UTC strings
+   */
+  async getAssessmentHistory(country, { from, to } = {}) {
+    const conditions = ['LOWER(country) = LOWER(?)'];
+    const params = [country];
+    
+    if (from) {
+      conditions.push('created_at >= ?');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('created_at <= ?');
+      params.push(to);
+    }
+    
+    return await runQuery(
+      `SELECT id, country, crisis_id, overall_risk, previous_risk, risk_changed, confidence, data_quality,
+              conflict_risk, conflict_score, economic_risk, economic_score,
+              climate_risk, climate_score, news_risk, news_score,
+              displacement_level, displacement_estimate, displacement_confidence, displacement_timeline,
+              scoring_model_version, source, created_at
+       FROM assessment_history
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY created_at ASC, id ASC`,
+      params
+    );
+  },
+  
+  /**
+   * Stored assessments with their full JSON, newest first (used to dry-run scoring models)
+   * @param {Object} filters - { country, from, to, limit }
+   */
+  async getStoredAssessments({ country, from, to, limit = 200 } = {}) {
+    const conditions = ["overall_risk != 'UNKNOWN'"];
+    const params = [];
+    
+    if (country) {
+      conditions.push('LOWER(country) = LOWER(?)');
+      params.push(country);
+    }
+    if (from) {
+      conditions.push('created_at >= ?');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('created_at <= ?');
+      params.push(to);
+    }
+    
+    return await runQuery(
+      `SELECT id, country, overall_risk, displacement_level, displacement_estimate,
+              scoring_model_version, assessment, created_at
+       FROM assessment_history
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY created_at DESC, id DESC
+       LIMIT ?`,
+      [...params, limit]
+    );
+  },
+  
+  /**
+   * Save a scenario simulation
+   * @param {Object} scenario - Scenario fields; JSON fields are objects
+   */
+  async insertScenario(scenario) {
+    return await runQuery(
+      `INSERT INTO scenarios (
+        name, description, simulation_type, country, crisis_id, base_assessment_id,
+        scoring_model_version, modifications, baseline, outcome, comparison
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        scenario.name, scenario.description || null, scenario.simulation_type,
+        scenario.country, scenario.crisis_id || null, scenario.base_assessment_id,
+        scenario.scoring_model_version || null, JSON.stringify(scenario.modifications),
+        JSON.stringify(scenario.baseline), JSON.stringify(scenario.outcome),
+        JSON.stringify(scenario.comparison)
+      ]
+    );
+  },
+  
+  /**
+   * Get a single scenario by ID
+   */
+  async getScenarioById(scenarioId) {
+    const results = await runQuery('SELECT * FROM scenarios WHERE id = ?', [scenarioId]);
+    return results[0] || null;
+  },
+  
+  /**
+   * List scenarios, newest first. With regions, scenarios for registered crises
+   * outside them are left out; countries without a registered crisis stay visible.
+   * @param {Object} filters - { country, simulationType, baseAssessmentId, regions, limit }
+   */
+  async listScenarios({ country, simulationType, baseAssessmentId, regions, limit = 50 } = {}) {
+    const conditions = [];
+    const params = [];
+    
+    if (country) {
+      conditions.push('LOWER(scenarios.country) = LOWER(?)');
+      params.push(country);
+    }
+    if (simulationType) {
+      conditions.push('scenarios.simulation_type = ?');
+      params.push(simulationType);
+    }
+    if (baseAssessmentId) {
+      conditions.push('scenarios.base_assessment_id = ?');
+      params.push(baseAssessmentId);
+    }
+    if (regions && regions.length > 0) {
+      const scope = regionScopeCondition('crises', regions);
+      conditions.push(`(crises.id IS NULL OR ${scope.condition})`);
+      params.push(...scope.params);
+    }
+    
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return await runQuery(
+      `SELECT scenarios.* FROM scenarios
+       LEFT JOIN crises ON crises.id = COALESCE(scenarios.crisis_id,
+         (SELECT tracked.id FROM crises tracked WHERE LOWER(tracked.country) = LOWER(scenarios.country) LIMIT 1))
+       ${where}
+       ORDER BY scenarios.created_at DESC, scenarios.id DESC LIMIT ?`,
+      [...params, limit]
+    );
+  },
+  
+  /**
+   * Store a rendered report
+   * @param {Object} report - Report metadata plus content (Buffer)
+   */
+  async insertReport(report) {
+    return await runQuery(
+      `INSERT INTO reports (
+        report_type, format, title, crisis_id, options, sections,
+        filename, mime_type, size_bytes, content
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        report.report_type, report.format, report.title, report.crisis_id || null,
+        JSON.stringify(report.options || {}), JSON.stringify(report.sections || []),
+        report.filename, report.mime_type, report.content.length, report.content
+      ]
+    );
+  },
+  
+  /**
+   * Report metadata by ID; the file content is only read when includeContent is set
+   */
+  async getReportById(reportId, { includeContent = false } = {}) {
+    const columns = includeContent ? '*' : REPORT_METADATA_COLUMNS;
+    const results = await runQuery(`SELECT ${columns} FROM reports WHERE id = ?`, [reportId]);
+    return results[0] || null;
+  },
+  
+  /**
+   * Report metadata, newest first. With regions, only reports about a crisis
+   * inside them are listed; reports across every crisis are left out.
+   * @param {Object} filters - { type, crisisId, format, regions, limit }
+   */
+  async listReports({ type, crisisId, format, regions, limit = 50 } = {}) {
+    const conditions = [];
+    const params = [];
+    
+    if (type) {
+      conditions.push('report_type = ?');
+      params.push(type);
+    }
+    if (crisisId) {
+      conditions.push('crisis_id = ?');
+      params.push(crisisId);
+    }
+    if (format) {
+      conditions.push('format = ?');
+      params.push(format);
+    }
+    if (regions && regions.length > 0) {
+      const scope = regionScopeCondition('crises', regions);
+      conditions.push(`crisis_id IN (SELECT crises.id FROM crises WHERE ${scope.condition})`);
+      params.push(...scope.params);
+    }
+    
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return await runQuery(
+      `SELECT ${REPORT_METADATA_COLUMNS} FROM reports ${where}
+       ORDER BY created_at DESC, id DESC LIMIT ?`,
+      [...params, limit]
+    );
+  },
+  
+  /**
+   * Register a notification subscriber
+   * @param {Object} subscriber - Contact details plus normalized preferences
+   */
+  async insertNotificationSubscriber(subscriber) {
+    return await runQuery(
+      `INSERT INTO notification_subscribers (
+        name, email, phone, webhook_url, push_token, channels, severity_levels,
+        crisis_types, regions, frequency, quiet_hours
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        subscriber.name, subscriber.email || null, subscriber.phone || null,
+        subscriber.webhook_url || null, subscriber.push_token || null,
+        JSON.stringify(subscriber.channels), JSON.stringify(subscriber.severity_levels),
+        JSON.stringify(subscriber.crisis_types || []), JSON.stringify(subscriber.regions || []),
+        subscriber.frequency || 'immediate', JSON.stringify(subscriber.quiet_hours || {})
+      ]
+    );
+  },
+  
+  /**
+   * Update a subscriber's contact details and preferences
+   * @param {number} subscriberId - Subscriber ID
+   * @param {Object} fields - Column values to set (JSON columns are stringified)
+   */
+  async updateNotificationSubscriber(subscriberId, fields) {
+    const jsonColumns = ['channels', 'severity_levels', 'crisis_types', 'regions', 'quiet_hours'];
+    const columns = Object.keys(fields);
+    if (columns.length === 0) return { changes: 0 };
+    
+    const assignments = columns.map(column => `${column} = ?`).join(', ');
+    const values = columns.map(column => (
+      jsonColumns.includes(column) ? JSON.stringify(fields[column]) : fields[column]
+    ));
+    
+    return await runQuery(
+      `UPDATE notification_subscribers SET ${assignments}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...values, subscriberId]
+    );
+  },
+  
+  async getNotificationSubscriberById(subscriberId) {
+    const results = await runQuery('SELECT * FROM notification_subscribers WHERE id = ?', [subscriberId]);
+    return results[0] || null;
+  },
+  
+  /**
+   * Subscribers, oldest first
+   * @param {Object} filters - { active, frequency }
+   */
+  async listNotificationSubscribers({ active, frequency, email } = {}) {
+    const conditions = [];
+    const params = [];
+    
+    if (active !== undefined) {
+      conditions.push('active = ?');
+      params.push(active ? 1 : 0);
+    }
+    if (frequency) {
+      conditions.push('frequency = ?');
+      params.push(frequency);
+    }
+    if (email) {
+      conditions.push('email = ? COLLATE NOCASE');
+      params.push(email);
+    }
+    
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return await runQuery(`SELECT * FROM notification_subscribers ${where} ORDER BY id ASC`, params);
+  },
+  
+  /**
+   * Hold an alert for a subscriber's next digest
+   */
+  async queueNotification(subscriberId, alertId) {
+    return await runQuery(
+      'INSERT INTO notification_queue (subscriber_id, alert_id) VALUES (?, ?)',
+      [subscriberId, alertId]
+    );
+  },
+  
+  /**
+   * Alerts queued for a subscriber and not yet sent in a digest, oldest first
+   */
+  async getQueuedNotifications(subscriberId) {
+    return await runQuery(
+      `SELECT notification_queue.id AS queue_id, alerts.*, crises.country, crises.region FROM notification_queue
+       JOIN alerts ON alerts.id = notification_queue.alert_id
+       LEFT JOIN crises ON crises.id = alerts.crisis_id
+       WHERE notification_queue.subscriber_id = ? AND notification_queue.digested_at IS NULL
+       ORDER BY notification_queue.queued_at ASC, notification_queue.id ASC`,
+      [subscriberId]
+    );
+  },
+  
+  /**
+   * Mark queued alerts as sent in a digest and record the digest time
+   * @param {number} subscriberId - Subscriber ID
+   * @param {Array<number>} queueIds - notification_queue IDs
+   */
+  async markNotificationsDigested(subscriberId, queueIds) {
+    if (queueIds.length > 0) {
+      await runQuery(
+        `UPDATE notification_queue SET digested_at = CURRENT_TIMESTAMP
+         WHERE subscriber_id = ? AND id IN (${queueIds.map(() => '?').join(', ')})`,
+        [subscriberId, ...queueIds]
+      );
+    }
+    return await runQuery(
+      'UPDATE notification_subscribers SET last_digest_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [subscriberId]
+    );
+  },
+  
+  /**
+   * Record a notification message to deliver
+   * @param {Object} delivery - { subscriber_id, channel, kind, alert_ids, subject, message, status, scheduled_for }
+   */
+  async insertNotificationDelivery(delivery) {
+    return await runQuery(
+      `INSERT INTO notification_deliveries (
+        subscriber_id, channel, kind, alert_ids, subject, message, status, scheduled_for
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))`,
+      [
+        delivery.subscriber_id, delivery.channel, delivery.kind,
+        JSON.stringify(delivery.alert_ids || []), delivery.subject,
+        JSON.stringify(delivery.message), delivery.status || 'pending',
+        delivery.scheduled_for || null
+      ]
+    );
+  },
+  
+  /**
+   * Record the outcome of a delivery attempt
+   * @param {number} deliveryId - Delivery ID
+   * @param {Object} outcome - { status, attempted, error, scheduled_for }
+   */
+  async updateNotificationDelivery(deliveryId, { status, attempted = false, error = null, scheduled_for = null }) {
+    return await runQuery(
+      `UPDATE notification_deliveries SET
+        status = ?,
+        attempts = attempts + ?,
+        last_error = COALESCE(?, last_error),
+        scheduled_for = COALESCE(?, scheduled_for),
+        sent_at = CASE WHEN ? = 'sent' THEN CURRENT_TIMESTAMP ELSE sent_at END,
+        updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [status, attempted ? 1 : 0, error, scheduled_for, status, deliveryId]
+    );
+  },
+  
+  /**
+   * Claim a due delivery for sending by moving its next attempt to the end of
+   * the claim. Only one caller gets the claim; if its sender dies, the
+   * delivery becomes due again once the claim expires.
+   * @param {number} deliveryId - Delivery ID
+   * @param {string} now - 'YYYY-MM-DD HH:mm:ss' UTC
+   * @param {string} claimUntil - 'YYYY-MM-DD HH:mm:ss' UTC
+   * @returns {Promise<boolean>} True when this caller claimed it
+   */
+  async claimNotificationDelivery(deliveryId, now, claimUntil) {
+    const result = await runQuery(
+      `UPDATE notification_deliveries SET scheduled_for = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status IN ('pending', 'deferred') AND scheduled_for <= ?`,
+      [claimUntil, deliveryId, now]
+    );
+    return result.changes === 1;
+  },
+  
+  async getNotificationDeliveryById(deliveryId) {
+    const results = await runQuery('SELECT * FROM notification_deliveries WHERE id = ?', [deliveryId]);
+    return results[0] || null;
+  },
+  
+  /**
+   * Pending and deferred deliveries whose next attempt is due
+   * @param {string} now - 'YYYY-MM-DD HH:mm:ss' UTC
+   */
+  async getDueNotificationDeliveries(now) {
+    return await runQuery(
+      `SELECT * FROM notification_deliveries
+       WHERE status IN ('pending', 'deferred') AND scheduled_for <= ?
+       ORDER BY scheduled_for ASC, id ASC`,
+      [now]
+    );
+  },
+  
+  /**
+   * Delivery records, newest first
+   * @param {Object} filters - { subscriberId, status, channel, kind, alertId, limit }
+   */
+  async listNotificationDeliveries({ subscriberId, status, channel, kind, alertId, limit = 100 } = {}) {
+    const conditions = [];
+    const params = [];
+    
+    if (subscriberId) {
+      conditions.push('subscriber_id = ?');
+      params.push(subscriberId);
+    }
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+    if (channel) {
+      conditions.push('channel = ?');
+      params.push(channel);
+    }
+    if (kind) {
+      conditions.push('kind = ?');
+      params.push(kind);
+    }
+    if (alertId) {
+      conditions.push('EXISTS (SELECT 1 FROM json_each(notification_deliveries.alert_ids) WHERE json_each.value = ?)');
+      params.push(alertId);
+    }
+    
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return await runQuery(
+      `SELECT * FROM notification_deliveries ${where}
+       ORDER BY created_at DESC, id DESC LIMIT ?`,
+      [...params, limit]
+    );
+  },
+  
+  /**
+   * Create a user account
+   * @param {Object} user - { name, email, password_hash, role, organization_id, position, expertise, regions, preferences }
+   */
+  async insertUser(user) {
+    return await runQuery(
+      `INSERT INTO users (name, email, password_hash, role, organization_id, position, expertise, regions, preferences)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        user.name,
+        user.email,
+        user.password_hash,
+        user.role || 'viewer',
+        user.organization_id || null,
+        user.position || null,
+        JSON.stringify(user.expertise || []),
+        JSON.stringify(user.regions || []),
+        JSON.stringify(user.preferences || {})
+      ]
+    );
+  },
+  
+  /**
+   * Update a user account
+   * @param {number} userId - User ID
+   * @param {Object} fields - Column values to set
+   */
+  async updateUser(userId, fields) {
+    const columns = Object.keys(fields);
+    if (columns.length === 0) return { changes: 0 };
+    
+    const assignments = columns.map(column => `${column} = ?`).join(', ');
+    return await runQuery(
+      `UPDATE users SET ${assignments}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...columns.map(column => fields[column]), userId]
+    );
+  },
+  
+  async getUserById(userId) {
+    const results = await runQuery(`${USER_SELECT} WHERE users.id = ?`, [userId]);
+    return results[0] || null;
+  },
+  
+  async getUserByEmail(email) {
+    const results = await runQuery(`${USER_SELECT} WHERE users.email = ? COLLATE NOCASE`, [email]);
+    return results[0] || null;
+  },
+  
+  /**
+   * Users, by name
+   * @param {Object} filters - { role, organizationId, region, active, search, limit }
+   */
+  async listUsers({ role, organizationId, region, active, search, limit = 100 } = {}) {
+    const conditions = [];
+    const params = [];
+    
+    if (role) {
+      conditions.push('users.role = ?');
+      params.push(role);
+    }
+    if (organizationId) {
+      conditions.push('users.organization_id = ?');
+      params.push(organizationId);
+    }
+    if (region) {
+      conditions.push("EXISTS (SELECT 1 FROM json_each(COALESCE(users.regions, '[]')) WHERE json_each.value = ? COLLATE NOCASE)");
+      params.push(region);
+    }
+    if (active !== undefined) {
+      conditions.push('users.active = ?');
+      params.push(active ? 1 : 0);
+    }
+    if (search) {
+      conditions.push('(users.name LIKE ? OR users.email LIKE ?)');
+      params.push(`%${search}%`, `%${search}%`);
+    }
+    
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return await runQuery(
+      `${USER_SELECT} ${where} ORDER BY users.name COLLATE NOCASE ASC, users.id ASC LIMIT ?`,
+      [...params, limit]
+    );
+  },
+  
+  async countUsers({ role } = {}) {
+    const results = role
+      ? await runQuery('SELECT COUNT(*) AS count FROM users WHERE role = ?', [role])
+      : await runQuery('SELECT COUNT(*) AS count FROM users');
+    return results[0].count;
+  },
+  
+  async insertOrganization(organization) {
+    return await runQuery(
+      `INSERT INTO organizations (name, type, country, website, description)
+       VALUES (?, ?, ?, ?, ?)`,
+      [
+        organization.name,
+        organization.type || null,
+        organization.country || null,
+        organization.website || null,
+        organization.description || null
+      ]
+    );
+  },
+  
+  /**
+   * Update an organization
+   * @param {number} organizationId - Organization ID
+   * @param {Object} fields - Column values to set
+   */
+  async updateOrganization(organizationId, fields) {
+    const columns = Object.keys(fields);
+    if (columns.length === 0) return { changes: 0 };
+    
+    const assignments = columns.map(column => `${column} = ?`).join(', ');
+    return await runQuery(
+      `UPDATE organizations SET ${assignments}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...columns.map(column => fields[column]), organizationId]
+    );
+  },
+  
+  async deleteOrganization(organizationId) {
+    return await runQuery('DELETE FROM organizations WHERE id = ?', [organizationId]);
+  },
+  
+  async getOrganizationById(organizationId) {
+    const results = await runQuery(`${ORGANIZATION_SELECT} WHERE organizations.id = ?`, [organizationId]);
+    return results[0] || null;
+  },
+  
+  async getOrganizationByName(name) {
+    const results = await runQuery(`${ORGANIZATION_SELECT} WHERE organizations.name = ? COLLATE NOCASE`, [name]);
+    return results[0] || null;
+  },
+  
+  /**
+   * Organizations with their member counts, by name
+   * @param {Object} filters - { type, country, search }
+   */
+  async listOrganizations({ type, country, search } = {}) {
+    const conditions = [];
+    const params = [];
+    
+    if (type) {
+      conditions.push('organizations.type = ?');
+      params.push(type);
+    }
+    if (country) {
+      conditions.push('organizations.country = ? COLLATE NOCASE');
+      params.push(country);
+    }
+    if (search) {
+      conditions.push('organizations.name LIKE ?');
+      params.push(`%${search}%`);
+    }
+    
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return await runQuery(`${ORGANIZATION_SELECT} ${where} ORDER BY organizations.name COLLATE NOCASE ASC`, params);
+  },
+  
+  async insertSession(session) {
+    return await runQuery(
+      `INSERT INTO sessions (id, user_id, ip, user_agent, expires_at)
+       VALUES (?, ?, ?, ?, ?)`,
+      [session.id, session.user_id, session.ip || null, session.user_agent || null, session.expires_at]
+    );
+  },
+  
+  async getSessionById(sessionId) {
+    const results = await runQuery('SELECT * FROM sessions WHERE id = ?', [sessionId]);
+    return results[0] || null;
+  },
+  
+  async touchSession(sessionId) {
+    return await runQuery('UPDATE sessions SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [sessionId]);
+  },
+  
+  async revokeSession(sessionId) {
+    return await runQuery(
+      'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL',
+      [sessionId]
+    );
+  },
+  
+  async insertApiKey(apiKey) {
+    return await runQuery(
+      `INSERT INTO api_keys (user_id, name, key_prefix, key_hash, role, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [apiKey.user_id, apiKey.name, apiKey.key_prefix, apiKey.key_hash, apiKey.role, apiKey.expires_at || null]
+    );
+  },
+  
+  async getApiKeyById(apiKeyId) {
+    const results = await runQuery('SELECT * FROM api_keys WHERE id = ?', [apiKeyId]);
+    return results[0] || null;
+  },
+  
+  async getApiKeyByHash(keyHash) {
+    const results = await runQuery('SELECT * FROM api_keys WHERE key_hash = ?', [keyHash]);
+    return results[0] || null;
+  },
+  
+  /**
+   * API keys, newest first
+   * @param {Object} filters - { userId, includeRevoked }
+   */
+  async listApiKeys({ userId, includeRevoked = false } = {}) {
+    const conditions = [];
+    const params = [];
+    
+    if (userId) {
+      conditions.push('user_id = ?');
+      params.push(userId);
+    }
+    if (!includeRevoked) {
+      conditions.push('revoked_at IS NULL');
+    }
+    
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return await runQuery(`SELECT * FROM api_keys ${where} ORDER BY created_at DESC, id DESC`, params);
+  },
+  
+  async touchApiKey(apiKeyId) {
+    return await runQuery('UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [apiKeyId]);
+  },
+  
+  async revokeApiKey(apiKeyId) {
+    return await runQuery(
+      'UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL',
+      [apiKeyId]
+    );
+  },
+  
+  async insertAuditEntry(entry) {
+    return await runQuery(
+      `INSERT INTO audit_log (
+        actor_type, user_id, api_key_id, actor_name, role, action,
+        resource_type, resource_id, details, ip
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        entry.actor_type, entry.user_id || null, entry.api_key_id || null,
+        entry.actor_name || null, entry.role || null, entry.action,
+        entry.resource_type || null, entry.resource_id || null,
+        entry.details ? JSON.stringify(entry.details) : null, entry.ip || null
+      ]
+    );
+  },
+  
+  /**
+   * Audit entries, newest first
+   * @param {Object} filters - { action, userId, resourceType, resourceId, from, to, limit }
+   */
+  async listAuditEntries({ action, userId, resourceType, resourceId, from, to, limit = 100 } = {}) {
+    const conditions = [];
+    const params = [];
+    
+    if (action) {
+      // 'ai_analysis' matches ai_analysis.run, ai_analysis.advanced, ...
+      conditions.push('(action = ? OR action LIKE ?)');
+      params.push(action, `${action}.%`);
+    }
+    if (userId) {
+      conditions.push('user_id = ?');
+      params.push(userId);
+    }
+    if (resourceType) {
+      conditions.push('resource_type = ?');
+      params.push(resourceType);
+    }
+    if (resourceId) {
+      conditions.push('resource_id = ?');
+      params.push(resourceId);
+    }
+    if (from) {
+      conditions.push('created_at >= ?');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('created_at <= ?');
+      params.push(to);
+    }
+    
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return await runQuery(
+      `SELECT * FROM audit_log ${where} ORDER BY created_at DESC, id DESC LIMIT ?`,
+      [...params, limit]
+    );
+  },
+  
+  /**
+   * Store UNHCR displacement figures observed for a country
+   */
+  async insertDisplacementObservation(observation) {
+    return await runQuery(
+      `INSERT INTO displacement_observations (
+        country, country_code, total_displaced, refugees, asylum_seekers,
+        internally_displaced, data_year, source
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        observation.country, observation.country_code || null, observation.total_displaced,
+        observation.refugees ?? null, observation.asylum_seekers ?? null,
+        observation.internally_displaced ?? null, observation.data_year ?? null,
+        observation.source || null
+      ]
+    );
+  },
+  
+  /**
+   * Displacement observations for a country, oldest first
+   */
+  async getDisplacementObservations(country) {
+    return await runQuery(
+      `SELECT * FROM displacement_observations
+       WHERE LOWER(country) = LOWER(?)
+       ORDER BY observed_at ASC, id ASC`,
+      [country]
+    );
+  },
+  
+  /**
+   * Predictions whose timeline has elapsed and that have not been evaluated yet
+   * @param {string} now - 'YYYY-MM-DD HH:mm:ss' UTC
+   * @param {number} defaultTimelineDays - Timeline assumed when a prediction has none
+   */
+  async getPredictionsDueForBacktest(now, defaultTimelineDays) {
+    return await runQuery(
+      `SELECT predictions.*, crises.country FROM predictions
+       JOIN crises ON crises.id = predictions.crisis_id
+       LEFT JOIN prediction_evaluations ON prediction_evaluations.prediction_id = predictions.id
+       WHERE prediction_evaluations.id IS NULL
+         AND datetime(predictions.created_at, '+' || COALESCE(predictions.timeline_days, ?) || ' days') <= ?
+       ORDER BY predictions.created_at ASC`,
+      [defaultTimelineDays, now]
+    );
+  },
+  
+  /**
+   * Store a back-test result and write the score back to the prediction
+   */
+  async savePredictionEvaluation(evaluation) {
+    await runQuery('BEGIN TRANSACTION');
+    try {
+      const result = await runQuery(
+        `INSERT INTO prediction_evaluations (
+          prediction_id, crisis_id, country, model_version, predicted_at,
+          predicted_displacement, observed_displacement, predicted_timeline_days, observed_timeline_days,
+          baseline_total, outcome_total, baseline_observed_at, outcome_observed_at,
+          absolute_error, percentage_error, accuracy_score
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          evaluation.prediction_id, evaluation.crisis_id, evaluation.country, evaluation.model_version,
+          evaluation.predicted_at, evaluation.predicted_displacement, evaluation.observed_displacement,
+          evaluation.predicted_timeline_days ?? null, evaluation.observed_timeline_days ?? null,
+          evaluation.baseline_total, evaluation.outcome_total,
+          evaluation.baseline_observed_at, evaluation.outcome_observed_at,
+          evaluation.absolute_error, evaluation.percentage_error ?? null, evaluation.accuracy_score
+        ]
+      );
+      await runQuery(
+        'UPDATE predictions SET accuracy_score = ? WHERE id = ?',
+        [evaluation.accuracy_score, evaluation.prediction_id]
+      );
+      await runQuery('COMMIT');
+      return result;
+    } catch (error) {
+      await runQuery('ROLLBACK');
+      throw error;
+    }
+  },
+  
+  /**
+   * Back-test results, newest prediction first
+   * @param {Object} filters - { country, modelVersion, from, to, regions } (from/to filter on prediction date)
+   */
+  async getPredictionEvaluations({ country, modelVersion, from, to, regions } = {}) {
+    const { where, params } = buildPredictionFilters('prediction_evaluations', 'predicted_at', { country, modelVersion, from, to, regions });
+    return await runQuery(
+      `SELECT * FROM prediction_evaluations ${where}
+       ORDER BY predicted_at DESC, id DESC`,
+      params
+    );
+  },
+  
+  /**
+   * How many predictions exist and how many have been back-tested
+   * @param {Object} filters - { country, modelVersion, from, to, regions }
+   */
+  async getPredictionCoverage({ country, modelVersion, from, to, regions } = {}) {
+    const { where, params } = buildPredictionFilters('predictions', 'created_at', { country, modelVersion, from, to, regions });
+    const results = await runQuery(
+      `SELECT COUNT(*) AS total, COUNT(predictions.accuracy_score) AS evaluated
+       FROM predictions JOIN crises ON crises.id = predictions.crisis_id
+       ${where}`,
+      params
+    );
+    return results[0];
   }
 };
 
+/**
+ * WHERE clause shared by the back-test queries
+ * @param {string} table - Table holding model_version and the date column
+ * @param {string} dateColumn - Prediction date column
+ * @param {Object} filters - { country, modelVersion, from, to, regions }
+ */
+function buildPredictionFilters(table, dateColumn, { country, modelVersion, from, to, regions }) {
+  const conditions = [];
+  const params = [];
+  
+  if (country) {
+    conditions.push(`LOWER(${table === 'predictions' ? 'crises' : table}.country) = LOWER(?)`);
+    params.push(country);
+  }
+  if (modelVersion) {
+    conditions.push(`${table}.model_version = ?`);
+    params.push(modelVersion);
+  }
+  if (from) {
+    conditions.push(`${table}.${dateColumn} >= ?`);
+    params.push(from);
+  }
+  if (to) {
+    conditions.push(`${table}.${dateColumn} <= ?`);
+    params.push(to);
+  }
+  if (regions && regions.length > 0) {
+    const scope = regionScopeCondition('crises', regions);
+    conditions.push(table === 'predictions'
+      ? scope.condition
+      : `${table}.crisis_id IN (SELECT crises.id FROM crises WHERE ${scope.condition})`);
+    params.push(...scope.params);
+  }
+  
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+}
+
 module.exports = {
   initializeDatabase,
   getDatabase,
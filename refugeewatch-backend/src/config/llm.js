@@ -0,0 +1,193 @@
+/**
+ * RefugeeWatch AI - LLM Provider Configuration
+ *
+ * Selects the language model backend used by the AI services:
+ *   LLM_PROVIDER=huggingface (default) | openai | ollama | mock
+ *
+ * All providers return { success, content, model, usage, provider }, the same
+ * shape as the original Hugging Face chatCompletion.
+ *
+ * @author RefugeeWatch AI Team
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const HuggingFaceProvider = require('../services/ai/providers/huggingfaceProvider');
+const OpenAICompatibleProvider = require('../services/ai/providers/openAICompatibleProvider');
+const OllamaProvider = require('../services/ai/providers/ollamaProvider');
+const MockProvider = require('../services/ai/providers/mockProvider');
+
+const LLM_CONFIG = {
+  provider: (process.env.LLM_PROVIDER || 'huggingface').toLowerCase(),
+
+  openai: {
+    baseURL: process.env.OPENAI_COMPATIBLE_BASE_URL || 'https://api.openai.com/v1',
+    apiKey: process.env.OPENAI_COMPATIBLE_API_KEY,
+    model: process.env.OPENAI_COMPATIBLE_MODEL || 'gpt-4o-mini'
+  },
+
+  ollama: {
+    baseURL: process.env.OLLAMA_BASE_URL || 'http://localhost:11434',
+    model: process.env.OLLAMA_MODEL || 'llama3.1'
+  },
+
+  mock: {
+    model: process.env.MOCK_LLM_MODEL || 'refugeewatch-mock-1',
+    // Directory of recorded responses to replay (see LLM_RECORD_DIR)
+    recordingsDir: process.env.LLM_RECORDINGS_DIR || null
+  },
+
+  // When set, successful responses from any provider are saved here for later replay
+  recordDir: process.env.LLM_RECORD_DIR || null,
+
+  timeout: parseInt(process.env.LLM_TIMEOUT) || 60000,
+  maxRetries: parseInt(process.env.LLM_MAX_RETRIES) || 3,
+  retryDelay: 2000
+};
+
+const PROVIDERS = {
+  huggingface: () => new HuggingFaceProvider(),
+  openai: () => new OpenAICompatibleProvider({ ...LLM_CONFIG.openai, timeout: LLM_CONFIG.timeout }),
+  ollama: () => new OllamaProvider({ ...LLM_CONFIG.ollama, timeout: LLM_CONFIG.timeout }),
+  mock: () => new MockProvider(LLM_CONFIG.mock)
+};
+
+let activeProvider = null;
+
+/**
+ * Create a provider by name
+ * @param {string} name - huggingface | openai | ollama | mock
+ * @returns {Object} Provider instance
+ */
+function createProvider(name) {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return factory();
+}
+
+/**
+ * Get the configured provider (created once per process)
+ * @returns {Object} Provider instance
+ */
+function getLLMProvider() {
+  if (!activeProvider) {
+    activeProvider = createProvider(LLM_CONFIG.provider);
+    logger.info(`🤖 LLM provider: ${activeProvider.label} (${activeProvider.defaultModel})`);
+  }
+  return activeProvider;
+}
+
+/**
+ * Swap the active provider at runtime (used by tests and offline tooling)
+ * @param {string|Object} provider - Provider name or instance
+ * @returns {Object} The new active provider
+ */
+function setLLMProvider(provider) {
+  activeProvider = typeof provider === 'string' ? createProvider(provider) : provider;
+  return activeProvider;
+}
+
+/**
+ * Save a successful response so the mock provider can replay it offline
+ */
+function recordResponse(messages, result) {
+  if (!LLM_CONFIG.recordDir || !result.success) return;
+
+  try {
+    fs.mkdirSync(LLM_CONFIG.recordDir, { recursive: true });
+    const file = path.join(LLM_CONFIG.recordDir, `${MockProvider.getRecordingKey(messages)}.json`);
+    fs.writeFileSync(file, JSON.stringify({
+      content: result.content,
+      model: result.model,
+      usage: result.usage,
+      provider: result.provider,
+      recordedAt: new Date().toISOString()
+    }, null, 2));
+  } catch (error) {
+    logger.warn(`Failed to record LLM response: ${error.message}`);
+  }
+}
+
+/**
+ * Chat completion through the active provider
+ * @param {Array} messages - Chat messages
+ * @param {Object} options - model, max_tokens, temperature, top_p
+ * @returns {Promise<Object>} { success, content, model, usage, provider }
+ */
+async function chatCompletion(messages, options = {}) {
+  const result = await getLLMProvider().chatCompletion(messages, options);
+  recordResponse(messages, result);
+  return result;
+}
+
+/**
+ * Chat completion with retry logic
+ * @param {Array} messages - Chat messages
+ * @param {Object} options - Completion options
+ * @returns {Promise<Object>} Completion result
+ */
+async function chatCompletionWithRetry(messages, options = {}) {
+  let lastResult;
+
+  for (let attempt = 1; attempt <= LLM_CONFIG.maxRetries; attempt++) {
+    try {
+      lastResult = await chatCompletion(messages, options);
+      if (lastResult.success) {
+        return lastResult;
+      }
+    } catch (error) {
+      lastResult = { success: false, error: error.message };
+    }
+
+    if (attempt < LLM_CONFIG.maxRetries) {
+      const delay = LLM_CONFIG.retryDelay * attempt;
+      logger.warn(`⚠️ Retry ${attempt}/${LLM_CONFIG.maxRetries} in ${delay}ms...`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  return {
+    success: false,
+    content: 'Using fallback AI analysis due to service issues.',
+    error: lastResult?.error,
+    provider: getLLMProvider().name
+  };
+}
+
+/**
+ * Test the active provider's connection
+ * @returns {Promise<Object>} Connection test result
+ */
+async function testLLMConnection() {
+  return getLLMProvider().testConnection();
+}
+
+/**
+ * Provider info for status endpoints and logs
+ */
+function getLLMConfig() {
+  const provider = getLLMProvider();
+  return {
+    provider: provider.name,
+    label: provider.label,
+    defaultModel: provider.defaultModel,
+    modelChain: provider.getModelChain().map(m => m.model),
+    recording: Boolean(LLM_CONFIG.recordDir),
+    availableProviders: Object.keys(PROVIDERS)
+  };
+}
+
+module.exports = {
+  LLM_CONFIG,
+  getLLMProvider,
+  setLLMProvider,
+  chatCompletion,
+  chatCompletionWithRetry,
+  testLLMConnection,
+  getLLMConfig
+};
@@ -0,0 +1,155 @@
+/**
+ * RefugeeWatch AI - Risk Scoring Model Configuration
+ *
+ * The weights, thresholds and displacement rules the data aggregator uses
+ * to score assessments live in versioned JSON files under scoring-models/.
+ * The active model is chosen with:
+ *   SCORING_MODEL_VERSION=1.0.0 (default)  -> scoring-models/1.0.0.json
+ *   SCORING_MODEL_PATH=/path/to/model.json (overrides the version)
+ *
+ * Candidate models can be dry-run against stored assessments through
+ * POST /api/scoring-model/dry-run before they are activated.
+ *
+ * @author RefugeeWatch AI Team
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const logger = require('../utils/logger');
+
+const SCORING_MODEL_CONFIG = {
+  modelsDir: path.join(__dirname, 'scoring-models'),
+  version: process.env.SCORING_MODEL_VERSION || '1.0.0',
+  path: process.env.SCORING_MODEL_PATH || null
+};
+
+const SOURCES = ['conflict', 'economic', 'climate', 'news'];
+const riskLevel = Joi.string().valid('CRITICAL', 'HIGH', 'MEDIUM', 'LOW');
+
+const displacementRuleSchema = Joi.object({
+  riskLevels: Joi.array().items(riskLevel).default([]),
+  estimatePerScorePoint: Joi.number().min(0).default(0),
+  requireBreakingNews: Joi.boolean().default(false),
+  hazardSeverities: Joi.array().items(riskLevel).default([]),
+  estimatePerHazard: Joi.number().min(0).default(0),
+  factor: Joi.string().required(),
+  trigger: Joi.string().required(),
+  // Displacement level applied whenever this rule fires, regardless of factor count
+  forceLevel: riskLevel
+});
+
+const scoringModelSchema = Joi.object({
+  version: Joi.string().pattern(/^[\w.-]+$/, 'version').required(),
+  description: Joi.string().allow(''),
+  riskScores: Joi.object({
+    CRITICAL: Joi.number().min(0).max(100).required(),
+    HIGH: Joi.number().min(0).max(100).required(),
+    MEDIUM: Joi.number().min(0).max(100).required(),
+    LOW: Joi.number().min(0).max(100).required(),
+    MINIMAL: Joi.number().min(0).max(100).default(0),
+    UNKNOWN: Joi.number().min(0).max(100).default(0)
+  }).required(),
+  sourceWeights: Joi.object(
+    Object.fromEntries(SOURCES.map(source => [source, Joi.number().min(0).max(1).required()]))
+  ).required(),
+  overall: Joi.object({
+    expectedSources: Joi.number().integer().min(1).max(SOURCES.length).default(SOURCES.length),
+    confidencePerSource: Joi.number().min(0).max(1).default(0),
+    criticalSourceOverride: Joi.boolean().default(true),
+    thresholds: Joi.array().items(Joi.object({
+      level: Joi.string().valid('CRITICAL', 'HIGH', 'MEDIUM', 'LOW', 'MINIMAL').required(),
+      minScore: Joi.number().min(0).required(),
+      baseConfidence: Joi.number().min(0).max(1).required(),
+      maxConfidence: Joi.number().min(0).max(1).required()
+    })).min(1).required()
+  }).required(),
+  displacement: Joi.object({
+    rules: Joi.object(
+      Object.fromEntries(SOURCES.map(source => [source, displacementRuleSchema]))
+    ).required(),
+    levels: Joi.array().items(Joi.object({
+      level: riskLevel.required(),
+      minFactors: Joi.number().integer().min(0).required(),
+      confidence: Joi.number().min(0).max(1).required(),
+      timeline: Joi.string().required()
+    })).min(1).required()
+  }).required(),
+  // Sampling spreads for Monte Carlo displacement ranges; each is scaled by (1 - source confidence)
+  // where a source is involved, so well-evidenced sources vary less
+  uncertainty: Joi.object({
+    iterations: Joi.number().integer().min(100).max(20000).default(1000),
+    // Relative standard deviation of a source score
+    scoreSpread: Joi.number().min(0).max(2).default(0.5),
+    // Chance a source moves one risk level up or down
+    levelShift: Joi.number().min(0).max(1).default(0.4),
+    // Log-normal sigma on the displacement estimate multipliers
+    multiplierSpread: Joi.number().min(0).max(2).default(0.3)
+  }).default()
+});
+
+/**
+ * Validate a scoring model and fill in defaults. Thresholds and levels are
+ * returned sorted from the highest bar down, so the first match wins.
+ * @param {Object} model - Scoring model definition
+ * @returns {Object} { valid, model, errors }
+ */
+function validateScoringModel(model) {
+  const { error, value } = scoringModelSchema.validate(model, { abortEarly: false });
+
+  if (error) {
+    return { valid: false, errors: error.details.map(detail => detail.message) };
+  }
+
+  value.overall.thresholds.sort((a, b) => b.minScore - a.minScore);
+  value.displacement.levels.sort((a, b) => b.minFactors - a.minFactors);
+
+  const errors = [];
+  if (value.overall.thresholds[value.overall.thresholds.length - 1].minScore > 0) {
+    errors.push('overall.thresholds must include a level with minScore 0');
+  }
+  if (value.displacement.levels[value.displacement.levels.length - 1].minFactors > 0) {
+    errors.push('displacement.levels must include a level with minFactors 0');
+  }
+
+  return errors.length > 0 ? { valid: false, errors } : { valid: true, model: value, errors: [] };
+}
+
+/**
+ * Read and validate a scoring model file
+ * @param {string} filePath - JSON model file
+ * @returns {Object} Validated model
+ */
+function loadScoringModel(filePath) {
+  const result = validateScoringModel(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+
+  if (!result.valid) {
+    throw new Error(`Invalid scoring model ${filePath}: ${result.errors.join('; ')}`);
+  }
+  return result.model;
+}
+
+let activeModel = null;
+
+/**
+ * Get the active scoring model (loaded once per process)
+ * @returns {Object} Validated model
+ */
+function getScoringModel() {
+  if (!activeModel) {
+    const filePath = SCORING_MODEL_CONFIG.path ||
+      path.join(SCORING_MODEL_CONFIG.modelsDir, `${SCORING_MODEL_CONFIG.version}.json`);
+
+    activeModel = loadScoringModel(filePath);
+    logger.info(`📐 Risk scoring model ${activeModel.version} loaded from ${filePath}`);
+  }
+  return activeModel;
+}
+
+module.exports = {
+  SCORING_MODEL_CONFIG,
+  validateScoringModel,
+  loadScoringModel,
+  getScoringModel
+};
@@ -34,6 +34,18 @@ const swaggerOptions = {
       }
     ],
     components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'Session token from POST /api/auth/login'
+        },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key'
+        }
+      },
       schemas: {
         Crisis: {
           type: 'object',
@@ -280,8 +292,22 @@ const swaggerOptions = {
       {
         name: 'Health',
         description: 'API health and service status'
+      },
+      {
+        name: 'Auth',
+        description: 'Sign-in, API keys and the audit log'
+      },
+      {
+        name: 'Users',
+        description: 'User accounts, organizations and regional assignments'
+      },
+      {
+        name: 'AI Review',
+        description: 'Analyst review of AI analyses before they are stored'
       }
-    ]
+    ],
+    // Reads work without credentials unless AUTH_ANONYMOUS_ROLE=none
+    security: [{ bearerAuth: [] }, { apiKeyAuth: [] }, {}]
   },
   // In swagger.js config
 apis: ['./src/routes/*.js', './src/docs/*.js', '../docs/api-docs.js']
@@ -9,6 +9,8 @@
 const moment = require('moment');
 const { validationResult } = require('express-validator');
 const logger = require('../utils/logger');
+const { DatabaseUtils } = require('../config/database');
+const { regionScope, isInRegionScope } = require('../utils/authUtils');
 
 // Import REAL data services
 const GeographicDataService = require('../services/data/geographicData');
@@ -82,101 +84,429 @@ const debugLog = (message, data = null, metadata = {}) => {
   }
 };
 
+// Analyst severity levels mapped onto the crises.risk_level column
+const SEVERITY_TO_RISK = {
+  LOW: 'LOW',
+  MODERATE: 'MEDIUM',
+  HIGH: 'HIGH',
+  CRITICAL: 'CRITICAL'
+};
+
+const parseJSONColumn = (value, fallback = null) => {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+};
+
 /**
- * Get all crises with REAL data
+ * Shape a crises table row for API responses (coordinates are [lat, lng])
  */
-const getAllCrises = catchAsync(async (req, res) => {
-  const startTime = Date.now();
-  
-  console.log('getAllCrises called - Service status:');
-  console.log('- geoService:', !!geoService);
-  console.log('- refugeeService:', !!refugeeService);
+const formatCrisisRecord = (row) => {
+  const details = parseJSONColumn(row.details, {});
+
+  return {
+    id: row.id,
+    country: row.country,
+    region: row.region,
+    title: row.title || `${row.country} Crisis`,
+    type: row.crisis_type || null,
+    description: row.description || null,
+    status: row.status,
+    coordinates: parseJSONColumn(row.coordinates, null),
+    populationAffected: row.population_affected || 0,
+    displacement: row.predicted_displacement || 0,
+    risk: row.risk_level,
+    riskLevel: row.risk_level,
+    confidence: row.confidence,
+    timeline: row.timeline,
+    causes: parseJSONColumn(row.causes, {}),
+    startDate: row.start_date || null,
+    keyFactors: details.keyFactors || [],
+    affectedAreas: details.affectedAreas || [],
+    vulnerableGroups: details.vulnerableGroups || [],
+    createdAt: row.created_at,
+    lastUpdated: row.last_updated
+  };
+};
 
-  // SAFETY CHECK - This prevents the crash
-  if (!geoService || !refugeeService) {
-    console.log('Services not available, returning fallback data');
-    
-    return res.json({
-      success: true,
-      data: {
-        crises: [
-          {
-            id: 'syria',
-            country: 'Syria',
-            region: 'Asia',
-            coordinates: [34.8021, 38.9968],
-            population: 21324000,
-            displacement: 13500000,
-            risk: 'CRITICAL',
-            riskLevel: 'CRITICAL',
-            confidence: 0.92,
-            crisisTypes: ['Conflict'],
-            lastUpdated: new Date().toISOString()
-          },
-          {
-            id: 'ukraine',
-            country: 'Ukraine',
-            region: 'Europe', 
-            coordinates: [48.3794, 31.1656],
-            population: 44134000,
-            displacement: 8000000,
-            risk: 'HIGH',
-            riskLevel: 'HIGH',
-            confidence: 0.88,
-            crisisTypes: ['Conflict'],
-            lastUpdated: new Date().toISOString()
-          }
-        ],
-        summary: {
-          total: 2,
-          critical: 1,
-          high: 1,
-          medium: 0,
-          low: 0,
-          totalDisplaced: 21500000
-        }
-      },
-      metadata: {
-        processingTime: `${Date.now() - startTime}ms`,
-        dataSource: 'FALLBACK - Services not initialized',
-        lastUpdate: new Date().toISOString(),
-        warning: 'Services failed to initialize, using fallback data'
-      }
+/**
+ * Count crises per risk level and total predicted displacement
+ */
+const summarizeCrises = (crises) => ({
+  total: crises.length,
+  critical: crises.filter(c => c.riskLevel === 'CRITICAL').length,
+  high: crises.filter(c => c.riskLevel === 'HIGH').length,
+  medium: crises.filter(c => c.riskLevel === 'MEDIUM').length,
+  low: crises.filter(c => c.riskLevel === 'LOW').length,
+  prevented: crises.filter(c => c.riskLevel === 'PREVENTED').length,
+  totalDisplaced: crises.reduce((sum, c) => sum + c.displacement, 0)
+});
+
+/**
+ * Build a registry id like "sudan-2025", adding a suffix if it is taken
+ */
+const generateCrisisId = async (location, startDate) => {
+  const slug = location.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'crisis';
+  const base = `${slug}-${moment(startDate || undefined).year()}`;
+
+  let id = base;
+  for (let suffix = 2; await DatabaseUtils.getCrisisById(id); suffix++) {
+    id = `${base}-${suffix}`;
+  }
+  return id;
+};
+
+/**
+ * Look up region and map position for a location that did not supply them
+ */
+const lookupLocation = async (location) => {
+  if (!geoService) return null;
+
+  try {
+    const result = await geoService.getCountryByName(location);
+    return result && result.success ? result.data : null;
+  } catch (error) {
+    logger.warn(`Location lookup failed for ${location}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Map a validated request body onto crises table columns
+ */
+const buildCrisisFields = async (body, existing = null) => {
+  const fields = {};
+
+  if (body.location !== undefined && body.location !== existing?.country) {
+    const country = await lookupLocation(body.location);
+    fields.country = country?.name || body.location;
+    fields.region = body.region || country?.region || 'Unknown';
+    // Validated coordinates are [longitude, latitude]; the registry stores [lat, lng]
+    fields.coordinates = body.coordinates
+      ? [body.coordinates[1], body.coordinates[0]]
+      : (country ? country.coordinates : null);
+  } else {
+    if (body.region !== undefined) fields.region = body.region;
+    if (body.coordinates !== undefined) fields.coordinates = [body.coordinates[1], body.coordinates[0]];
+  }
+
+  if (body.type !== undefined) fields.crisis_type = body.type;
+  if (body.title !== undefined) fields.title = body.title;
+  if (body.description !== undefined) fields.description = body.description;
+  if (body.severity !== undefined) fields.risk_level = SEVERITY_TO_RISK[body.severity];
+  if (body.status !== undefined) fields.status = body.status;
+  if (body.populationAffected !== undefined) fields.population_affected = parseInt(body.populationAffected);
+  if (body.startDate !== undefined) fields.start_date = body.startDate;
+
+  if (['keyFactors', 'affectedAreas', 'vulnerableGroups'].some(key => body[key] !== undefined)) {
+    const details = parseJSONColumn(existing?.details, {});
+    ['keyFactors', 'affectedAreas', 'vulnerableGroups'].forEach(key => {
+      if (body[key] !== undefined) details[key] = body[key];
     });
+    fields.details = details;
   }
 
-  // If we get here, services are working - but use fallback for safety
-  console.log('Services available but using safe fallback');
-  return res.json({
+  return fields;
+};
+
+/**
+ * Get all registered crises within the caller's regional assignments
+ * Query: region, riskLevel, status (ACTIVE/MONITORING/RESOLVED/PREVENTED or ALL), limit
+ */
+const getAllCrises = catchAsync(async (req, res) => {
+  const startTime = Date.now();
+  const { region, riskLevel, status, limit } = req.query;
+
+  const rows = await DatabaseUtils.listCrises({
+    region,
+    riskLevel,
+    status,
+    regions: regionScope(req.principal),
+    limit: limit ? parseInt(limit) : undefined
+  });
+  const crises = rows.map(formatCrisisRecord);
+
+  res.json({
     success: true,
     data: {
-      crises: [{
-        id: 'working',
-        country: 'Services Working',
-        region: 'Global',
-        coordinates: [0, 0],
-        population: 1000000,
-        displacement: 100000,
-        risk: 'MEDIUM',
-        riskLevel: 'MEDIUM',
-        confidence: 0.75,
-        lastUpdated: new Date().toISOString()
-      }],
-      summary: {
-        total: 1,
-        critical: 0,
-        high: 0,
-        medium: 1,
-        low: 0,
-        totalDisplaced: 100000
-      }
+      crises,
+      summary: summarizeCrises(crises)
     },
     metadata: {
-      dataSource: 'Services Working - Using Safe Data'
+      processingTime: `${Date.now() - startTime}ms`,
+      dataSource: 'Crisis registry',
+      filters: { region: region || null, riskLevel: riskLevel || null, status: status || 'open' },
+      regionScope: regionScope(req.principal),
+      lastUpdate: new Date().toISOString()
     }
   });
 });
 
+/**
+ * Registered crises as map locations
+ * Query: riskFilter, bounds (lat1,lng1,lat2,lng2)
+ */
+const getGeographicalCrises = catchAsync(async (req, res) => {
+  logger.info('🌍 Fetching geographical crisis data');
+
+  const bounds = req.query.bounds ? req.query.bounds.split(',').map(Number) : null;
+  const inBounds = ([lat, lng]) => {
+    if (!bounds) return true;
+    const [lat1, lng1, lat2, lng2] = bounds;
+    return lat >= Math.min(lat1, lat2) && lat <= Math.max(lat1, lat2) &&
+           lng >= Math.min(lng1, lng2) && lng <= Math.max(lng1, lng2);
+  };
+
+  const rows = await DatabaseUtils.listCrises({ riskLevel: req.query.riskFilter, regions: regionScope(req.principal) });
+  const predictions = new Map((await DatabaseUtils.getLatestPredictions()).map(p => [p.crisis_id, p]));
+  const locations = rows
+    .map(formatCrisisRecord)
+    .filter(crisis => Array.isArray(crisis.coordinates) && inBounds(crisis.coordinates))
+    .map(crisis => ({
+      id: crisis.id,
+      name: crisis.title,
+      country: crisis.country,
+      coordinates: crisis.coordinates,
+      displacement: crisis.displacement,
+      population: crisis.populationAffected,
+      riskLevel: crisis.riskLevel,
+      status: crisis.status,
+      region: crisis.region,
+      // Latest predicted destinations and corridors (predictions.migration_routes)
+      destinations: parseJSONColumn(predictions.get(crisis.id)?.destinations, []),
+      corridors: parseJSONColumn(predictions.get(crisis.id)?.migration_routes, []),
+      lastUpdated: crisis.lastUpdated
+    }));
+
+  const summary = summarizeCrises(locations);
+
+  res.json({
+    success: true,
+    data: {
+      locations,
+      count: locations.length,
+      totalDisplaced: summary.totalDisplaced,
+      riskDistribution: {
+        CRITICAL: summary.critical,
+        HIGH: summary.high,
+        MEDIUM: summary.medium,
+        LOW: summary.low
+      }
+    },
+    source: 'Crisis registry',
+    lastUpdated: new Date().toISOString()
+  });
+});
+
+/**
+ * Predicted origin -> destination corridors as GeoJSON LineStrings
+ * Query: country, from, to (prediction dates)
+ *
+ * Every stored prediction contributes one feature per corridor, tagged with
+ * the time it was made, so a client can step through `timeline` and show
+ * each crisis's latest prediction at or before the selected step.
+ */
+const getMigrationCorridors = catchAsync(async (req, res) => {
+  const { country, from, to } = req.query;
+  const dbTimestamp = (value) => moment.utc(value).format('YYYY-MM-DD HH:mm:ss');
+
+  const rows = (await DatabaseUtils.getPredictionRoutes({
+    country,
+    from: from ? dbTimestamp(from) : undefined,
+    to: to ? dbTimestamp(to) : undefined
+  })).filter(row => isInRegionScope(req.principal, row));
+
+  // Older predictions only stored destination names, so place them from the country list
+  const countries = geoService ? ((await geoService.getAllCountries()).data || []) : [];
+  const locate = (name) => geoService?.findCountry(countries, name)?.country?.coordinates || null;
+
+  const features = [];
+  let unplaced = 0;
+
+  rows.forEach(row => {
+    const predictedAt = moment.utc(row.created_at, 'YYYY-MM-DD HH:mm:ss');
+    const crisisCoordinates = parseJSONColumn(row.coordinates, null);
+
+    parseJSONColumn(row.migration_routes, []).forEach((corridor, index) => {
+      const origin = corridor.fromCoordinates || crisisCoordinates;
+      const destination = corridor.toCoordinates || locate(corridor.to);
+
+      if (!Array.isArray(origin) || !Array.isArray(destination)) {
+        unplaced++;
+        return;
+      }
+
+      const volume = corridor.estimatedPeople ??
+        Math.round((corridor.probability || 0) * row.displacement_estimate);
+
+      features.push({
+        type: 'Feature',
+        id: `${row.id}-${index}`,
+        geometry: {
+          type: 'LineString',
+          // GeoJSON positions are [lng, lat]; the registry stores [lat, lng]
+          coordinates: [[origin[1], origin[0]], [destination[1], destination[0]]]
+        },
+        properties: {
+          predictionId: row.id,
+          crisisId: row.crisis_id,
+          crisis: row.title || `${row.country} Crisis`,
+          riskLevel: row.risk_level,
+          from: corridor.from || row.country,
+          to: corridor.to,
+          probability: corridor.probability ?? null,
+          volume,
+          distanceKm: corridor.distance ?? null,
+          route: corridor.route || null,
+          type: corridor.type || null,
+          predictedAt: predictedAt.toISOString(),
+          arrivalBy: row.timeline_days
+            ? predictedAt.clone().add(row.timeline_days, 'days').toISOString()
+            : null,
+          modelVersion: row.model_version
+        }
+      });
+    });
+  });
+
+  const timeline = [...new Set(features.map(feature => feature.properties.predictedAt))];
+
+  res.json({
+    success: true,
+    data: {
+      type: 'FeatureCollection',
+      features
+    },
+    timeline,
+    summary: {
+      predictions: rows.length,
+      corridors: features.length,
+      unplaced,
+      maxVolume: Math.max(0, ...features.map(feature => feature.properties.volume))
+    },
+    filters: { country: country || null, from: from || null, to: to || null },
+    source: 'Stored displacement predictions',
+    lastUpdated: new Date().toISOString()
+  });
+});
+
+/**
+ * Registered crisis the caller may manage; crises outside their regions are not found
+ */
+const getScopedCrisis = async (req) => {
+  const crisis = await DatabaseUtils.getCrisisById(req.params.id);
+  return crisis && isInRegionScope(req.principal, crisis) ? crisis : null;
+};
+
+/**
+ * 403 for a crisis the caller would place outside their regions
+ */
+const sendOutOfScope = (res, { country, region }) => res.status(403).json({
+  success: false,
+  error: `${country || region} is outside your assigned regions`
+});
+
+/**
+ * Register a new crisis
+ * POST /api/crisis
+ */
+const createCrisis = catchAsync(async (req, res) => {
+  const fields = await buildCrisisFields(req.body);
+  if (!isInRegionScope(req.principal, fields)) {
+    return sendOutOfScope(res, fields);
+  }
+
+  const id = await generateCrisisId(req.body.location, req.body.startDate);
+
+  await DatabaseUtils.insertCrisis({
+    id,
+    status: 'ACTIVE',
+    ...fields
+  });
+
+  const crisis = formatCrisisRecord(await DatabaseUtils.getCrisisById(id));
+  logger.info(`🆕 Crisis registered: ${id} (${crisis.riskLevel})`);
+
+  res.status(201).json({
+    success: true,
+    data: crisis,
+    message: `Crisis ${id} registered`
+  });
+});
+
+/**
+ * Replace (PUT) or partially update (PATCH) a registered crisis
+ * PUT/PATCH /api/crisis/:id
+ */
+const updateCrisis = catchAsync(async (req, res) => {
+  const existing = await getScopedCrisis(req);
+
+  if (!existing) {
+    return res.status(404).json({
+      success: false,
+      error: `Crisis not found: ${req.params.id}`
+    });
+  }
+
+  const fields = await buildCrisisFields(req.body, existing);
+  const moved = { country: fields.country || existing.country, region: fields.region || existing.region };
+  if (!isInRegionScope(req.principal, moved)) {
+    return sendOutOfScope(res, moved);
+  }
+
+  await DatabaseUtils.updateCrisis(existing.id, fields);
+
+  const crisis = formatCrisisRecord(await DatabaseUtils.getCrisisById(existing.id));
+  if (fields.status && fields.status !== existing.status) {
+    logger.info(`🔄 Crisis ${existing.id} status: ${existing.status} → ${fields.status}`);
+  }
+
+  res.json({
+    success: true,
+    data: crisis,
+    updatedFields: Object.keys(req.body)
+  });
+});
+
+/**
+ * Retire a crisis. By default it is marked RESOLVED and its history kept;
+ * ?permanent=true deletes it with its AI reviews, predictions, plans and alerts.
+ * DELETE /api/crisis/:id
+ */
+const deleteCrisis = catchAsync(async (req, res) => {
+  const existing = await getScopedCrisis(req);
+
+  if (!existing) {
+    return res.status(404).json({
+      success: false,
+      error: `Crisis not found: ${req.params.id}`
+    });
+  }
+
+  if (req.query.permanent === true) {
+    await DatabaseUtils.deleteCrisis(existing.id);
+    logger.warn(`🗑️ Crisis ${existing.id} permanently deleted`);
+
+    return res.json({
+      success: true,
+      data: { id: existing.id, deleted: true },
+      message: `Crisis ${existing.id} deleted`
+    });
+  }
+
+  await DatabaseUtils.updateCrisis(existing.id, { status: 'RESOLVED' });
+  logger.info(`📦 Crisis ${existing.id} retired`);
+
+  res.json({
+    success: true,
+    data: formatCrisisRecord(await DatabaseUtils.getCrisisById(existing.id)),
+    message: `Crisis ${existing.id} retired`
+  });
+});
+
 /**
  * Get specific crisis by ID - FIXED ERROR HANDLING
  */
@@ -195,10 +525,23 @@ const getCrisisById = catchAsync(async (req, res) => {
       });
     }
 
+    // Registered crises are looked up by their country
+    const registered = await DatabaseUtils.getCrisisById(crisisId);
+    const countryName = registered ? registered.country : crisisId;
+
+    // Crises outside the caller's regions are reported as unknown
+    const tracked = registered || await DatabaseUtils.getCrisisByCountry(countryName);
+    if (tracked && !isInRegionScope(req.principal, tracked)) {
+      return res.status(404).json({
+        success: false,
+        error: `Crisis data not found for: ${crisisId}`
+      });
+    }
+
     // Get country data - FIXED: Proper error handling
     let countryResult;
     try {
-      countryResult = await geoService.getCountryByName(crisisId);
+      countryResult = await geoService.getCountryByName(countryName);
     } catch (geoError) {
       logger.error(`Geographic service error for ${crisisId}:`, geoError.message);
       countryResult = { success: false, error: geoError.message };
@@ -217,7 +560,7 @@ const getCrisisById = catchAsync(async (req, res) => {
     // Get refugee data - FIXED: Safe error handling
     let refugeeResult;
     try {
-      refugeeResult = await refugeeService.getRefugeeDataByCountry(crisisId);
+      refugeeResult = await refugeeService.getRefugeeDataByCountry(countryName);
     } catch (refugeeError) {
       logger.error(`Refugee service error for ${crisisId}:`, refugeeError.message);
       refugeeResult = { success: false, error: refugeeError.message, data: null };
@@ -271,8 +614,9 @@ const getCrisisById = catchAsync(async (req, res) => {
 
     // Compile comprehensive crisis data
     const enhancedCrisis = {
-      id: country.code || country.name.substring(0, 2).toUpperCase(),
+      id: registered ? registered.id : (country.code || country.name.substring(0, 2).toUpperCase()),
       country: country.name,
+      registry: registered ? formatCrisisRecord(registered) : null,
       officialName: country.officialName,
       region: country.region,
       subregion: country.subregion,
@@ -409,6 +753,11 @@ async function getCrisisDataById(crisisId) {
 
 module.exports = {
   getAllCrises,
+  getGeographicalCrises,
+  getMigrationCorridors,
+  createCrisis,
+  updateCrisis,
+  deleteCrisis,
   getCrisisById,
   generateResponsePlan
 };
\ No newline at end of file
@@ -76,8 +76,8 @@
  * @swagger
  * /api/crisis:
  *   get:
- *     summary: Get All Active Crises
- *     description: Retrieve all active refugee crises with real UNHCR and geographic data
+ *     summary: List Registered Crises
+ *     description: Crises from the registry. Resolved crises are omitted unless a status is given.
  *     tags: [Crisis]
  *     parameters:
  *       - in: query
@@ -94,6 +94,12 @@
  *         description: Filter by crisis risk level
  *         example: "HIGH"
  *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [ACTIVE, MONITORING, RESOLVED, PREVENTED, ALL]
+ *         description: Filter by registry status (default excludes RESOLVED)
+ *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
@@ -137,6 +143,68 @@
  *         $ref: '#/components/responses/BadRequest'
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
+ *   post:
+ *     summary: Register a Crisis
+ *     description: Add a crisis to the registry. Its id is derived from the location and start year (e.g. "sudan-2025").
+ *     tags: [Crisis]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [location, type, title, description, severity, populationAffected]
+ *             properties:
+ *               location:
+ *                 type: string
+ *                 example: "Sudan"
+ *               type:
+ *                 type: string
+ *                 enum: [conflict, natural_disaster, economic_crisis, climate_migration, health_emergency, political_instability, food_insecurity, industrial_disaster, social_unrest, compound_crisis]
+ *               title:
+ *                 type: string
+ *                 example: "Darfur armed conflict"
+ *               description:
+ *                 type: string
+ *               severity:
+ *                 type: string
+ *                 enum: [LOW, MODERATE, HIGH, CRITICAL]
+ *               populationAffected:
+ *                 type: integer
+ *               status:
+ *                 type: string
+ *                 enum: [ACTIVE, MONITORING, RESOLVED, PREVENTED]
+ *               region:
+ *                 type: string
+ *               coordinates:
+ *                 type: array
+ *                 items:
+ *                   type: number
+ *                 description: "[longitude, latitude]; looked up from the location when omitted"
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               keyFactors:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               affectedAreas:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               vulnerableGroups:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Registered crisis
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         description: The location or region is outside the caller's assigned regions
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
  */
 
 /**
@@ -144,7 +212,7 @@
  * /api/crisis/geographical:
  *   get:
  *     summary: Get Geographical Crisis Data
- *     description: Retrieve crisis data formatted for mapping and geographical visualization
+ *     description: Registered crises that have coordinates, formatted for mapping
  *     tags: [Crisis]
  *     parameters:
  *       - in: query
@@ -199,6 +267,115 @@
  *         $ref: '#/components/responses/InternalServerError'
  */
 
+/**
+ * @swagger
+ * /api/crisis/corridors:
+ *   get:
+ *     summary: Get Predicted Migration Corridors
+ *     description: |
+ *       Origin to destination corridors from stored displacement predictions, as GeoJSON LineStrings.
+ *       Each prediction contributes one feature per corridor, tagged with `predictedAt`.
+ *       `timeline` lists the distinct prediction times so a map can step through them.
+ *     tags: [Crisis]
+ *     parameters:
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *         description: Only corridors from this country
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Earliest prediction date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Latest prediction date
+ *     responses:
+ *       200:
+ *         description: Corridor FeatureCollection
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     type:
+ *                       type: string
+ *                       example: FeatureCollection
+ *                     features:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           type:
+ *                             type: string
+ *                             example: Feature
+ *                           geometry:
+ *                             type: object
+ *                             properties:
+ *                               type:
+ *                                 type: string
+ *                                 example: LineString
+ *                               coordinates:
+ *                                 type: array
+ *                                 description: "[lng, lat] of origin and destination"
+ *                                 items:
+ *                                   type: array
+ *                                   items:
+ *                                     type: number
+ *                           properties:
+ *                             type: object
+ *                             properties:
+ *                               crisisId:
+ *                                 type: string
+ *                               from:
+ *                                 type: string
+ *                               to:
+ *                                 type: string
+ *                               probability:
+ *                                 type: number
+ *                               volume:
+ *                                 type: integer
+ *                                 description: Predicted number of people using the corridor
+ *                               predictedAt:
+ *                                 type: string
+ *                                 format: date-time
+ *                               arrivalBy:
+ *                                 type: string
+ *                                 format: date-time
+ *                                 nullable: true
+ *                 timeline:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                     format: date-time
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     predictions:
+ *                       type: integer
+ *                     corridors:
+ *                       type: integer
+ *                     unplaced:
+ *                       type: integer
+ *                       description: Corridors skipped because an end point could not be located
+ *                     maxVolume:
+ *                       type: integer
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+
 /**
  * @swagger
  * /api/crisis/{id}:
@@ -230,132 +407,431 @@
  *         $ref: '#/components/responses/NotFound'
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
- */
-
-/**
- * @swagger
- * /api/crisis/metrics/global:
- *   get:
- *     summary: Get Global Crisis Metrics
- *     description: Retrieve global displacement statistics and crisis metrics
+ *   put:
+ *     summary: Replace a Registered Crisis
  *     tags: [Crisis]
  *     parameters:
- *       - in: query
- *         name: timeframe
+ *       - in: path
+ *         name: id
+ *         required: true
  *         schema:
  *           type: string
- *         description: Time period for metrics
- *         example: "7d"
+ *         description: Registry crisis ID
+ *         example: "sudan-2025"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [location, type, title, description, severity, populationAffected]
+ *             properties:
+ *               location:
+ *                 type: string
+ *                 example: "Sudan"
+ *               type:
+ *                 type: string
+ *                 enum: [conflict, natural_disaster, economic_crisis, climate_migration, health_emergency, political_instability, food_insecurity, industrial_disaster, social_unrest, compound_crisis]
+ *               title:
+ *                 type: string
+ *                 example: "Darfur armed conflict"
+ *               description:
+ *                 type: string
+ *               severity:
+ *                 type: string
+ *                 enum: [LOW, MODERATE, HIGH, CRITICAL]
+ *               populationAffected:
+ *                 type: integer
+ *               status:
+ *                 type: string
+ *                 enum: [ACTIVE, MONITORING, RESOLVED, PREVENTED]
+ *               region:
+ *                 type: string
+ *               coordinates:
+ *                 type: array
+ *                 items:
+ *                   type: number
+ *                 description: "[longitude, latitude]; looked up from the location when omitted"
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               keyFactors:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               affectedAreas:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               vulnerableGroups:
+ *                 type: array
+ *                 items:
+ *                   type: string
  *     responses:
  *       200:
- *         description: Global crisis metrics and statistics
- *         content:
- *           application/json:
- *             schema:
- *               allOf:
- *                 - $ref: '#/components/schemas/APIResponse'
- *                 - type: object
- *                   properties:
- *                     data:
- *                       type: object
- *                       properties:
- *                         overview:
- *                           type: object
- *                           properties:
- *                             totalCountriesMonitored:
- *                               type: number
- *                             totalDisplaced:
- *                               type: number
- *                             totalRefugees:
- *                               type: number
- *                             totalInternal:
- *                               type: number
- *                         displacement:
- *                           type: object
- *                         riskDistribution:
- *                           type: object
- *                         trends:
- *                           type: object
- */
-
-/**
- * @swagger
- * /api/countries:
- *   get:
- *     summary: Get All Countries
- *     description: Retrieve all countries with real geographic coordinates from REST Countries API
- *     tags: [Geographic]
+ *         description: Updated crisis
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         description: The change would move the crisis outside the caller's assigned regions
+ *       404:
+ *         description: Crisis not found or outside the caller's assigned regions
+ *   patch:
+ *     summary: Update a Registered Crisis
+ *     description: Change status (ACTIVE/MONITORING/RESOLVED/PREVENTED), severity or details
+ *     tags: [Crisis]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Registry crisis ID
+ *         example: "sudan-2025"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [ACTIVE, MONITORING, RESOLVED, PREVENTED]
+ *               severity:
+ *                 type: string
+ *                 enum: [LOW, MODERATE, HIGH, CRITICAL]
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               populationAffected:
+ *                 type: integer
  *     responses:
  *       200:
- *         description: List of all countries with geographic data
- *         content:
- *           application/json:
- *             schema:
- *               allOf:
- *                 - $ref: '#/components/schemas/APIResponse'
- *                 - type: object
- *                   properties:
- *                     data:
- *                       type: array
- *                       items:
- *                         $ref: '#/components/schemas/Country'
- *                     count:
- *                       type: number
- */
-
-/**
- * @swagger
- * /api/countries/{name}:
- *   get:
- *     summary: Get Specific Country Data
- *     description: Retrieve detailed information for a specific country
- *     tags: [Geographic]
+ *         description: Updated crisis
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         description: The change would move the crisis outside the caller's assigned regions
+ *       404:
+ *         description: Crisis not found or outside the caller's assigned regions
+ *   delete:
+ *     summary: Retire a Crisis
+ *     description: Marks the crisis RESOLVED. With permanent=true the crisis and its AI reviews, predictions, plans and alerts are deleted.
+ *     tags: [Crisis]
  *     parameters:
  *       - in: path
- *         name: name
+ *         name: id
  *         required: true
  *         schema:
  *           type: string
- *         description: Country name
- *         example: "Syria"
+ *         description: Registry crisis ID
+ *         example: "sudan-2025"
+ *       - in: query
+ *         name: permanent
+ *         schema:
+ *           type: boolean
  *     responses:
  *       200:
- *         description: Country information
- *         content:
- *           application/json:
- *             schema:
- *               allOf:
- *                 - $ref: '#/components/schemas/APIResponse'
- *                 - type: object
- *                   properties:
- *                     data:
- *                       $ref: '#/components/schemas/Country'
+ *         description: Crisis retired or deleted
  *       404:
- *         $ref: '#/components/responses/NotFound'
+ *         description: Crisis not found or outside the caller's assigned regions
  */
 
 /**
  * @swagger
- * /api/countries/region/{region}:
+ * /api/crisis/{country}/history:
  *   get:
- *     summary: Get Countries by Region
- *     description: Retrieve all countries in a specific geographic region
- *     tags: [Geographic]
+ *     summary: Risk History Time Series
+ *     description: Stored comprehensive assessments for a country, bucketed for charting. Each point has the overall risk, per-source risk and score, and displacement risk.
+ *     tags: [Crisis]
  *     parameters:
  *       - in: path
- *         name: region
+ *         name: country
  *         required: true
  *         schema:
  *           type: string
- *         description: Region name
- *         example: "Africa"
- *     responses:
- *       200:
- *         description: Countries in the specified region
- *         content:
- *           application/json:
- *             schema:
- *               allOf:
+ *         description: Country name, ISO code, alias (e.g. Burma) or registry crisis ID
+ *         example: "Sudan"
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of range (default 30 days before `to`)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of range (default now)
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [raw, hour, day, week, month]
+ *           default: day
+ *     responses:
+ *       200:
+ *         description: Time series
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     series:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           timestamp:
+ *                             type: string
+ *                             format: date-time
+ *                           assessments:
+ *                             type: number
+ *                           overallRisk:
+ *                             type: string
+ *                           peakRisk:
+ *                             type: string
+ *                           riskScore:
+ *                             type: number
+ *                             description: Average risk (LOW=25, MEDIUM=50, HIGH=75, CRITICAL=100)
+ *                           confidence:
+ *                             type: number
+ *                           sources:
+ *                             type: object
+ *                           displacement:
+ *                             type: object
+ *                     changes:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ */
+
+/**
+ * @swagger
+ * /api/crisis/{country}/explain:
+ *   get:
+ *     summary: Explain Risk Assessment
+ *     description: Why a country received its risk level. Returns each source's risk level, weight, points and share of the total, the raw indicators behind it (for example inflation from the World Bank or GDELT article counts), the overall threshold and any CRITICAL override, and the displacement rules that fired. Uses the latest stored assessment unless refresh is true. Running a fresh assessment (refresh, or no stored one yet) needs the analyst role.
+ *     tags: [Crisis]
+ *     parameters:
+ *       - in: path
+ *         name: country
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Country name, ISO code, alias (e.g. Burma) or registry crisis ID
+ *         example: "Sudan"
+ *       - in: query
+ *         name: refresh
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Run a new assessment instead of using the latest stored one (analyst role)
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, text]
+ *           default: json
+ *         description: text returns the summary lines as plain text
+ *       - in: query
+ *         name: uncertainty
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Add Monte Carlo P10/P50/P90 ranges for the displacement estimate and timeline
+ *       - in: query
+ *         name: iterations
+ *         schema:
+ *           type: integer
+ *           minimum: 100
+ *           maximum: 5000
+ *         description: Simulation runs (defaults to the scoring model's uncertainty.iterations)
+ *       - in: query
+ *         name: seed
+ *         schema:
+ *           type: integer
+ *         description: Random seed; by default one is derived from the assessment so repeated reads agree
+ *     responses:
+ *       200:
+ *         description: Assessment explanation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     overallRisk:
+ *                       type: string
+ *                     scoringModelVersion:
+ *                       type: string
+ *                     origin:
+ *                       type: string
+ *                       enum: [history, fresh]
+ *                     displacementRisk:
+ *                       type: object
+ *                       properties:
+ *                         estimatedNumbers:
+ *                           type: integer
+ *                         uncertainty:
+ *                           $ref: '#/components/schemas/DisplacementUncertainty'
+ *                     explanation:
+ *                       type: object
+ *                       properties:
+ *                         overall:
+ *                           type: object
+ *                         sources:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                         displacement:
+ *                           type: object
+ *                     summary:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *       401:
+ *         description: refresh needs a signed-in analyst
+ *       403:
+ *         description: refresh needs the analyst role
+ *       404:
+ *         description: No assessment could be produced for the country, or none is stored and the caller cannot run one
+ */
+
+/**
+ * @swagger
+ * /api/crisis/metrics/global:
+ *   get:
+ *     summary: Get Global Crisis Metrics
+ *     description: Retrieve global displacement statistics and crisis metrics
+ *     tags: [Crisis]
+ *     parameters:
+ *       - in: query
+ *         name: timeframe
+ *         schema:
+ *           type: string
+ *         description: Time period for metrics
+ *         example: "7d"
+ *     responses:
+ *       200:
+ *         description: Global crisis metrics and statistics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/APIResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         overview:
+ *                           type: object
+ *                           properties:
+ *                             totalCountriesMonitored:
+ *                               type: number
+ *                             totalDisplaced:
+ *                               type: number
+ *                             totalRefugees:
+ *                               type: number
+ *                             totalInternal:
+ *                               type: number
+ *                         displacement:
+ *                           type: object
+ *                         riskDistribution:
+ *                           type: object
+ *                         trends:
+ *                           type: object
+ */
+
+/**
+ * @swagger
+ * /api/countries:
+ *   get:
+ *     summary: Get All Countries
+ *     description: Retrieve all countries with real geographic coordinates from REST Countries API
+ *     tags: [Geographic]
+ *     responses:
+ *       200:
+ *         description: List of all countries with geographic data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/APIResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Country'
+ *                     count:
+ *                       type: number
+ */
+
+/**
+ * @swagger
+ * /api/countries/{name}:
+ *   get:
+ *     summary: Get Specific Country Data
+ *     description: Retrieve detailed information for a specific country
+ *     tags: [Geographic]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Country name
+ *         example: "Syria"
+ *     responses:
+ *       200:
+ *         description: Country information
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/APIResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/Country'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+
+/**
+ * @swagger
+ * /api/countries/region/{region}:
+ *   get:
+ *     summary: Get Countries by Region
+ *     description: Retrieve all countries in a specific geographic region
+ *     tags: [Geographic]
+ *     parameters:
+ *       - in: path
+ *         name: region
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Region name
+ *         example: "Africa"
+ *     responses:
+ *       200:
+ *         description: Countries in the specified region
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
  *                 - $ref: '#/components/schemas/APIResponse'
  *                 - type: object
  *                   properties:
@@ -771,7 +1247,11 @@
  * /api/crisis/{id}/analyze:
  *   post:
  *     summary: Run AI Analysis on Crisis
- *     description: Generate comprehensive AI-powered analysis for a specific crisis
+ *     description: |
+ *       Runs the multi-source crisis assessment (conflict, economic, climate, news) followed by
+ *       AI analysis. For crises in the registry the analysis enters the review queue; once an
+ *       analyst approves or amends it (see /api/ai/reviews) it is saved as the crisis risk level
+ *       and a new prediction. The response includes provenance (model, tokens used, fallback flag).
  *     tags: [Crisis Analysis]
  *     parameters:
  *       - in: path
@@ -808,7 +1288,41 @@
  *                 - type: object
  *                   properties:
  *                     data:
- *                       $ref: '#/components/schemas/AIAnalysis'
+ *                       type: object
+ *                       properties:
+ *                         crisisId:
+ *                           type: string
+ *                           example: "sudan-2025"
+ *                         country:
+ *                           type: string
+ *                           example: "Sudan"
+ *                         analysis:
+ *                           $ref: '#/components/schemas/AIAnalysis'
+ *                         provenance:
+ *                           type: object
+ *                           properties:
+ *                             model:
+ *                               type: string
+ *                             tokensUsed:
+ *                               type: integer
+ *                             fallback:
+ *                               type: boolean
+ *                             fallbackReason:
+ *                               type: string
+ *                               nullable: true
+ *                         review:
+ *                           type: object
+ *                           nullable: true
+ *                           description: Review queue entry; null for countries outside the registry
+ *                           properties:
+ *                             id:
+ *                               type: integer
+ *                             status:
+ *                               type: string
+ *                               example: "pending"
+ *                             dueAt:
+ *                               type: string
+ *                               format: date-time
  *       404:
  *         $ref: '#/components/responses/NotFound'
  *       503:
@@ -817,18 +1331,28 @@
 
 /**
  * @swagger
- * /api/crisis/{id}/plan:
+ * /api/crisis/{id}/ai-analysis:
  *   post:
- *     summary: Generate Response Plan
- *     description: Create AI-generated humanitarian response plan for a crisis
- *     tags: [Response Planning]
+ *     summary: Run Advanced Multi-Protocol AI Analysis
+ *     description: |
+ *       Analyses a registry crisis with the UNHCR, IASC, RCM and NARE protocols. By default the
+ *       first model in the provider's chain that answers is used. CRITICAL crises (see
+ *       `AI_ENSEMBLE_RISK_LEVELS`) run every configured model instead: the risk level is the
+ *       majority vote and displacement the median estimate, and `analysis.ensemble` reports each
+ *       model's answer and the inter-model agreement. A model that leaves out the risk level or
+ *       the displacement estimate abstains on it. The analysis enters the review queue and
+ *       is only stored on the crisis once approved (see /api/ai/reviews). When the models
+ *       disagree or abstain the crisis is also flagged with a REVIEW alert. When every model
+ *       fails, the system fallback is returned, is not queued, and the crisis is flagged.
+ *       Requires the analyst role.
+ *     tags: [Crisis Analysis]
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
  *           type: string
- *         description: Crisis/Country identifier
+ *         description: Crisis ID or country
  *         example: "Sudan"
  *     requestBody:
  *       required: false
@@ -837,26 +1361,14 @@
  *           schema:
  *             type: object
  *             properties:
- *               planType:
- *                 type: string
- *                 enum: [emergency, comprehensive, long-term]
- *                 example: "comprehensive"
- *               budget:
- *                 type: number
- *                 description: Available budget in USD
- *                 example: 20000000
- *               timeline:
+ *               mode:
  *                 type: string
- *                 description: Desired timeline for plan execution
- *                 example: "12 months"
- *               priorities:
- *                 type: array
- *                 items:
- *                   type: string
- *                 example: ["shelter", "healthcare", "education"]
+ *                 enum: [auto, ensemble, fallback]
+ *                 default: auto
+ *                 description: ensemble always runs every model; fallback never does
  *     responses:
  *       200:
- *         description: Generated response plan
+ *         description: Analysis, with ensemble results when the ensemble ran
  *         content:
  *           application/json:
  *             schema:
@@ -865,48 +1377,2207 @@
  *                 - type: object
  *                   properties:
  *                     data:
- *                       $ref: '#/components/schemas/ResponsePlan'
- *       404:
- *         $ref: '#/components/responses/NotFound'
- *       503:
- *         $ref: '#/components/responses/ServiceUnavailable'
- */
-
-/**
- * @swagger
- * components:
- *   schemas:
- *     AIAnalysis:
+ *                       type: object
+ *                       properties:
+ *                         analysis:
+ *                           type: object
+ *                           properties:
+ *                             riskLevel:
+ *                               type: string
+ *                               enum: [CRITICAL, HIGH, MEDIUM, LOW]
+ *                             confidence:
+ *                               type: number
+ *                               description: In ensemble mode, mean model confidence times the share of models voting for the consensus
+ *                             ensemble:
+ *                               type: object
+ *                               properties:
+ *                                 models:
+ *                                   type: array
+ *                                   items:
+ *                                     type: object
+ *                                     properties:
+ *                                       model:
+ *                                         type: string
+ *                                       success:
+ *                                         type: boolean
+ *                                       riskLevel:
+ *                                         type: string
+ *                                       confidence:
+ *                                         type: number
+ *                                       estimatedAffected:
+ *                                         type: number
+ *                                       durationMs:
+ *                                         type: integer
+ *                                       error:
+ *                                         type: string
+ *                                 riskVotes:
+ *                                   type: object
+ *                                   additionalProperties:
+ *                                     type: integer
+ *                                   example: { "CRITICAL": 2, "HIGH": 1 }
+ *                                 riskAgreement:
+ *                                   type: string
+ *                                   enum: [PERFECT, HIGH, MODERATE, LOW]
+ *                                 consensusShare:
+ *                                   type: number
+ *                                   example: 0.67
+ *                                 displacement:
+ *                                   type: object
+ *                                   properties:
+ *                                     median:
+ *                                       type: number
+ *                                     min:
+ *                                       type: number
+ *                                     max:
+ *                                       type: number
+ *                                     spread:
+ *                                       type: number
+ *                                       description: (max - min) / median
+ *                             humanReview:
+ *                               type: object
+ *                               properties:
+ *                                 required:
+ *                                   type: boolean
+ *                                 reasons:
+ *                                   type: array
+ *                                   items:
+ *                                     type: string
+ *                             metadata:
+ *                               type: object
+ *                               properties:
+ *                                 mode:
+ *                                   type: string
+ *                                   enum: [ensemble, fallback]
+ *                                 modelUsed:
+ *                                   type: string
+ *                                 modelsUsed:
+ *                                   type: array
+ *                                   items:
+ *                                     type: string
+ *                         review:
+ *                           type: object
+ *                           nullable: true
+ *                           description: Review queue entry; null when every model failed
+ *                           properties:
+ *                             id:
+ *                               type: integer
+ *                             status:
+ *                               type: string
+ *                               example: "pending"
+ *                             dueAt:
+ *                               type: string
+ *                               format: date-time
+ *                         reviewRequired:
+ *                           type: boolean
+ *                           description: The models disagreed
+ *                         reviewAlert:
+ *                           description: REVIEW alert raised for this analysis; null when none was needed or one is already open
+ *                           nullable: true
+ *                           allOf:
+ *                             - $ref: '#/components/schemas/Alert'
+ *                         crisisId:
+ *                           type: integer
+ *                         requestId:
+ *                           type: string
+ *                         timestamp:
+ *                           type: string
+ *                           format: date-time
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+
+/**
+ * @swagger
+ * /api/crisis/{id}/plan:
+ *   post:
+ *     summary: Generate Response Plan
+ *     description: |
+ *       Create an AI-generated humanitarian response plan for a crisis, with detailed costs, staffing
+ *       and funding strategy. Uses the last stored (reviewed) AI analysis unless `refreshAnalysis` is
+ *       true or none is stored. Plans for registry crises built on a stored analysis are saved and can
+ *       be listed with GET /api/crisis/{id}/plans. Plans built on a fresh analysis are drafts
+ *       (`persisted: false`): the analysis goes to the review queue and the plan is not saved.
+ *       When a stored assessment exists, `budgetVariants` gives low (P10), expected (P50) and high (P90)
+ *       budgets from the Monte Carlo displacement range, scaled to the plan's target population.
+ *     tags: [Response Planning]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Crisis/Country identifier
+ *         example: "Sudan"
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshAnalysis:
+ *                 type: boolean
+ *                 description: Run a new AI analysis instead of reusing the stored one
+ *                 example: false
+ *               planType:
+ *                 type: string
+ *                 enum: [emergency, comprehensive, long-term]
+ *                 example: "comprehensive"
+ *               budget:
+ *                 type: number
+ *                 description: Available budget in USD
+ *                 example: 20000000
+ *               timeline:
+ *                 type: string
+ *                 description: Desired timeline for plan execution
+ *                 example: "12 months"
+ *               priorities:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["shelter", "healthcare", "education"]
+ *     responses:
+ *       200:
+ *         description: Generated response plan
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/APIResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/ResponsePlan'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       503:
+ *         $ref: '#/components/responses/ServiceUnavailable'
+ */
+
+/**
+ * @swagger
+ * /api/crisis/{id}/plans:
+ *   get:
+ *     summary: List Saved Response Plans
+ *     description: Get all stored response plans for a crisis, newest first
+ *     tags: [Response Planning]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Crisis ID or country name
+ *         example: "sudan-2025"
+ *     responses:
+ *       200:
+ *         description: Stored response plans
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+
+/**
+ * @swagger
+ * /api/plans/{planId}:
+ *   get:
+ *     summary: Get Saved Response Plan
+ *     description: Get a stored response plan with its cost breakdown, resources and full plan content
+ *     tags: [Response Planning]
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         example: 1
+ *     responses:
+ *       200:
+ *         description: Stored response plan
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+
+/**
+ * @swagger
+ * /api/alerts:
+ *   get:
+ *     summary: List Alerts
+ *     description: Alerts raised manually or when an assessment crossed a risk or displacement threshold, newest first
+ *     tags: [Alerts]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, unacknowledged, acknowledged, resolved, all]
+ *           default: open
+ *       - in: query
+ *         name: level
+ *         schema:
+ *           type: string
+ *           enum: [CRITICAL, HIGH, MEDIUM, INFO]
+ *       - in: query
+ *         name: crisisId
+ *         schema:
+ *           type: string
+ *         example: "sudan-2025"
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 500
+ *           default: 100
+ *     responses:
+ *       200:
+ *         description: Alerts with counts by state
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/APIResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Alert'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *   post:
+ *     summary: Raise Alert
+ *     description: Raise an alert for a registered crisis. CRITICAL alerts are broadcast to every WebSocket client.
+ *     tags: [Alerts]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [crisisId, type, title, message, severity]
+ *             properties:
+ *               crisisId:
+ *                 type: string
+ *                 example: "sudan-2025"
+ *               type:
+ *                 type: string
+ *                 enum: [URGENT, WARNING, INFO, UPDATE]
+ *               title:
+ *                 type: string
+ *                 example: "Border crossing closed"
+ *               message:
+ *                 type: string
+ *                 example: "The Adre crossing was closed to civilians this morning"
+ *               severity:
+ *                 type: string
+ *                 enum: [LOW, MODERATE, HIGH, CRITICAL]
+ *                 description: Stored as alert level INFO, MEDIUM, HIGH or CRITICAL
+ *               targetAudience:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               validUntil:
+ *                 type: string
+ *                 format: date-time
+ *               recommendedActions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Alert created
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+
+/**
+ * @swagger
+ * /api/alerts/{id}/acknowledge:
+ *   post:
+ *     summary: Acknowledge Alert
+ *     description: Acknowledge an alert. Acknowledged CRITICAL alerts are no longer escalated.
+ *     tags: [Alerts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Acknowledged alert
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Alert is already resolved
+ */
+
+/**
+ * @swagger
+ * /api/alerts/{id}/resolve:
+ *   post:
+ *     summary: Resolve Alert
+ *     description: Resolve an alert (also acknowledges it). A resolved threshold alert can be raised again by a later assessment.
+ *     tags: [Alerts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Resolved alert
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Alert is already resolved
+ */
+
+/**
+ * @swagger
+ * /api/ai/reviews:
+ *   get:
+ *     summary: AI Review Queue
+ *     description: |
+ *       AI analyses waiting for, or decided by, an analyst. Pending reviews come soonest-due first;
+ *       the due time follows the analysis urgency (6 hours for immediate, up to 1 week). Reviews of
+ *       crises outside the caller's regions are left out. Requires the analyst role.
+ *     tags: [AI Review]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, amended, rejected, all]
+ *           default: pending
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [crisis, advanced]
+ *         description: crisis for POST /crisis/{id}/analyze, advanced for POST /crisis/{id}/ai-analysis
+ *       - in: query
+ *         name: crisisId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 500
+ *           default: 100
+ *     responses:
+ *       200:
+ *         description: Reviews
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/APIResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/AIReview'
+ *                     summary:
+ *                       type: object
+ *                       properties:
+ *                         total:
+ *                           type: integer
+ *                         overdue:
+ *                           type: integer
+ *                         flagged:
+ *                           type: integer
+ *                           description: Reviews with reasons for a closer look, such as ensemble disagreement
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ */
+
+/**
+ * @swagger
+ * /api/ai/reviews/{id}:
+ *   get:
+ *     summary: Get AI Review
+ *     description: One review with the AI output and, when amended, the amended analysis.
+ *     tags: [AI Review]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Review
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/APIResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/AIReview'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+
+/**
+ * @swagger
+ * /api/ai/reviews/{id}/approve:
+ *   post:
+ *     summary: Approve AI Analysis
+ *     description: |
+ *       Approves the analysis as the model returned it. The crisis risk level and confidence are
+ *       updated, the prediction is stored, threshold alerts are raised and the analysis reaches
+ *       reports and ai_analysis WebSocket subscribers. Decided reviews return 409. The analyst
+ *       who ran the analysis cannot decide it unless they are an admin. Analyses run without a
+ *       signed-in user need a coordinator.
+ *     tags: [AI Review]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               comments:
+ *                 type: string
+ *                 maxLength: 2000
+ *     responses:
+ *       200:
+ *         description: Approved review
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/APIResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/AIReview'
+ *       403:
+ *         description: The caller ran the analysis and is not an admin
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: The review was already decided
+ */
+
+/**
+ * @swagger
+ * /api/ai/reviews/{id}/amend:
+ *   post:
+ *     summary: Amend AI Analysis
+ *     description: |
+ *       Approves the analysis with the reviewer's changes: a different risk level, edited
+ *       recommendation lists, or both. The amended analysis is what gets stored; the model's
+ *       output stays on the review as aiAnalysis.
+ *     tags: [AI Review]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               riskLevel:
+ *                 type: string
+ *                 enum: [CRITICAL, HIGH, MEDIUM, LOW]
+ *               recommendations:
+ *                 type: object
+ *                 description: Lists to replace; the others are kept
+ *                 properties:
+ *                   immediate:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   shortTerm:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   mediumTerm:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   longTerm:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *               comments:
+ *                 type: string
+ *                 maxLength: 2000
+ *           example:
+ *             riskLevel: "HIGH"
+ *             recommendations:
+ *               immediate: ["Pre-position shelter kits at the Adre crossing"]
+ *             comments: "Field reports do not support CRITICAL yet"
+ *     responses:
+ *       200:
+ *         description: Amended review
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/APIResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/AIReview'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         description: The caller ran the analysis and is not an admin
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: The review was already decided
+ */
+
+/**
+ * @swagger
+ * /api/ai/reviews/{id}/reject:
+ *   post:
+ *     summary: Reject AI Analysis
+ *     description: Rejects the analysis. Nothing is stored on the crisis. Comments are required.
+ *     tags: [AI Review]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [comments]
+ *             properties:
+ *               comments:
+ *                 type: string
+ *                 maxLength: 2000
+ *     responses:
+ *       200:
+ *         description: Rejected review
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/APIResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/AIReview'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         description: The caller ran the analysis and is not an admin
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: The review was already decided
+ */
+
+/**
+ * @swagger
+ * /api/notifications/subscribers:
+ *   get:
+ *     summary: List Notification Subscribers
+ *     description: Subscribers with their contact details and preferences. `transports` shows which channels have a configured relay or gateway.
+ *     tags: [Alerts]
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: frequency
+ *         schema:
+ *           type: string
+ *           enum: [immediate, hourly, daily, weekly]
+ *     responses:
+ *       200:
+ *         description: Subscribers, oldest first
+ *   post:
+ *     summary: Subscribe to Alert Notifications
+ *     description: New alerts matching the severity levels, crisis types and regions are sent on every chosen channel. Immediate subscribers get each alert as it is raised; hourly, daily and weekly subscribers get a digest. Messages due during quiet hours wait until they end. Each channel needs its contact detail.
+ *     tags: [Alerts]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/NotificationPreferences'
+ *           example:
+ *             name: "Nairobi operations desk"
+ *             email: "ops@example.org"
+ *             webhookUrl: "https://example.org/hooks/refugeewatch"
+ *             channels: ["email", "webhook"]
+ *             severityLevels: ["HIGH", "CRITICAL"]
+ *             regions: ["East Africa"]
+ *             frequency: "immediate"
+ *             quietHours: { enabled: true, start: "22:00", end: "06:00", timezone: "Africa/Nairobi" }
+ *     responses:
+ *       201:
+ *         description: Created subscriber
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/NotificationSubscriber'
+ *       400:
+ *         description: Invalid preferences, or a channel without its contact detail
+ *
+ * /api/notifications/subscribers/{id}:
+ *   get:
+ *     summary: Get Notification Subscriber
+ *     description: Subscriber with their 20 most recent deliveries
+ *     tags: [Alerts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Subscriber with recentDeliveries
+ *       404:
+ *         description: Subscriber not found
+ *   delete:
+ *     summary: Unsubscribe
+ *     description: Deactivates the subscriber. Their delivery records are kept.
+ *     tags: [Alerts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Deactivated subscriber
+ *       404:
+ *         description: Subscriber not found
+ *
+ * /api/notifications/subscribers/{id}/preferences:
+ *   put:
+ *     summary: Update Notification Preferences
+ *     description: Replaces the subscriber's preferences. Contact details are only changed when given.
+ *     tags: [Alerts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/NotificationPreferences'
+ *     responses:
+ *       200:
+ *         description: Updated subscriber
+ *       400:
+ *         description: Invalid preferences, or a channel without its contact detail
+ *       404:
+ *         description: Subscriber not found
+ *
+ * /api/notifications/subscribers/{id}/test:
+ *   post:
+ *     summary: Send Test Notification
+ *     description: Sends a test message on each subscribed channel straight away, ignoring quiet hours. `success` is true when at least one channel delivered.
+ *     tags: [Alerts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Delivery outcome per channel
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/NotificationDelivery'
+ *       404:
+ *         description: Subscriber not found
+ *       409:
+ *         description: Subscriber is inactive
+ *
+ * /api/notifications/deliveries:
+ *   get:
+ *     summary: List Notification Deliveries
+ *     description: One record per message and channel, with attempts and the last error. Retries, quiet-hour deferrals and digests are sent by the notification-dispatch job.
+ *     tags: [Alerts]
+ *     parameters:
+ *       - in: query
+ *         name: subscriberId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: alertId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, deferred, sent, failed, skipped]
+ *       - in: query
+ *         name: channel
+ *         schema:
+ *           type: string
+ *           enum: [email, sms, push, webhook]
+ *       - in: query
+ *         name: kind
+ *         schema:
+ *           type: string
+ *           enum: [alert, digest, test]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *     responses:
+ *       200:
+ *         description: Deliveries, newest first, with a count per status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/NotificationDelivery'
+ */
+
+/**
+ * @swagger
+ * /api/analytics/accuracy:
+ *   get:
+ *     summary: Prediction Accuracy
+ *     description: Back-tested accuracy of displacement predictions whose timeline has elapsed. Each prediction is compared with the growth in UNHCR displaced-population figures over its timeline. Metrics are reported overall, per country and per model version.
+ *     tags: [Analytics]
+ *     parameters:
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *         example: "Sudan"
+ *       - in: query
+ *         name: modelVersion
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only predictions made on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only predictions made on or before this date
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *         description: Number of individual evaluations to return
+ *     responses:
+ *       200:
+ *         description: Accuracy report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     coverage:
+ *                       type: object
+ *                       properties:
+ *                         predictions:
+ *                           type: integer
+ *                         evaluated:
+ *                           type: integer
+ *                         awaitingEvaluation:
+ *                           type: integer
+ *                     overall:
+ *                       $ref: '#/components/schemas/AccuracySummary'
+ *                     byCountry:
+ *                       type: object
+ *                       additionalProperties:
+ *                         $ref: '#/components/schemas/AccuracySummary'
+ *                     byModelVersion:
+ *                       type: object
+ *                       additionalProperties:
+ *                         $ref: '#/components/schemas/AccuracySummary'
+ *                     evaluations:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ */
+
+/**
+ * @swagger
+ * /api/scoring-model:
+ *   get:
+ *     summary: Active Scoring Model
+ *     description: The risk scoring model (source weights, thresholds and displacement rules) used for new assessments. Each assessment records the model version as scoringModelVersion.
+ *     tags: [Analytics]
+ *     responses:
+ *       200:
+ *         description: Active model
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/ScoringModel'
+ */
+
+/**
+ * @swagger
+ * /api/scoring-model/dry-run:
+ *   post:
+ *     summary: Dry-run Scoring Model
+ *     description: Re-scores stored assessments with a candidate model and with the active model, and reports where the results differ. Nothing is saved.
+ *     tags: [Analytics]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [model]
+ *             properties:
+ *               model:
+ *                 $ref: '#/components/schemas/ScoringModel'
+ *               country:
+ *                 type: string
+ *                 example: "Sudan"
+ *               from:
+ *                 type: string
+ *                 format: date-time
+ *               to:
+ *                 type: string
+ *                 format: date-time
+ *               limit:
+ *                 type: integer
+ *                 default: 200
+ *                 description: Most recent assessments to re-score
+ *     responses:
+ *       200:
+ *         description: Comparison of the candidate with the active model
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     activeVersion:
+ *                       type: string
+ *                     candidateVersion:
+ *                       type: string
+ *                     assessments:
+ *                       type: integer
+ *                     overallRisk:
+ *                       type: object
+ *                       properties:
+ *                         changed:
+ *                           type: integer
+ *                         escalated:
+ *                           type: integer
+ *                         deescalated:
+ *                           type: integer
+ *                         distribution:
+ *                           type: object
+ *                     displacement:
+ *                       type: object
+ *                       properties:
+ *                         levelChanged:
+ *                           type: integer
+ *                         meanEstimateChange:
+ *                           type: integer
+ *                     differences:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *       400:
+ *         description: Invalid scoring model
+ *       503:
+ *         description: Data aggregator not available
+ */
+
+/**
+ * @swagger
+ * /api/scenarios:
+ *   post:
+ *     summary: Run Scenario
+ *     description: Clones a stored assessment, applies the modifications and re-scores it with the active scoring model. Risk, displacement and response plan costs are compared with the unmodified baseline and the scenario is saved.
+ *     tags: [Analytics]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [baseDataId, modifications]
+ *             properties:
+ *               baseDataId:
+ *                 oneOf:
+ *                   - type: integer
+ *                   - type: string
+ *                 description: Assessment history ID, or a crisis ID or country to use its latest assessment
+ *                 example: "Sudan"
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               simulationType:
+ *                 type: string
+ *                 enum: [displacement, escalation, response, intervention]
+ *               modifications:
+ *                 type: object
+ *                 properties:
+ *                   severity:
+ *                     type: string
+ *                     enum: [LOW, MODERATE, HIGH, CRITICAL]
+ *                   type:
+ *                     type: string
+ *                     description: Crisis type whose sources the severity applies to
+ *                   populationAffected:
+ *                     type: integer
+ *                     description: Replaces the baseline displacement estimate
+ *                   duration:
+ *                     type: integer
+ *                     description: Months the conditions last (baseline 6)
+ *                   geographicSpread:
+ *                     type: string
+ *                     enum: [local, regional, national, international]
+ *                   externalFactors:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   interventions:
+ *                     type: array
+ *                     items:
+ *                       oneOf:
+ *                         - type: string
+ *                         - type: object
+ *                           properties:
+ *                             type:
+ *                               type: string
+ *                               enum: [ceasefire, peacekeeping, cash_transfers, food_assistance, early_warning, disaster_preparedness, humanitarian_access]
+ *                             coverage:
+ *                               type: number
+ *                               minimum: 0
+ *                               maximum: 1
+ *           example:
+ *             baseDataId: "Sudan"
+ *             simulationType: "intervention"
+ *             modifications:
+ *               interventions: [{ type: "ceasefire", coverage: 0.8 }]
+ *     responses:
+ *       201:
+ *         description: Saved scenario
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                     simulationType:
+ *                       type: string
+ *                     baseAssessmentId:
+ *                       type: integer
+ *                     scoringModelVersion:
+ *                       type: string
+ *                     baseline:
+ *                       type: object
+ *                       description: Risk, displacement and costs of the unmodified assessment
+ *                     outcome:
+ *                       type: object
+ *                       description: Risk, displacement and costs with the modifications applied
+ *                     comparison:
+ *                       type: object
+ *                       description: Baseline and scenario values side by side with change and percentChange
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         description: No stored assessment for baseDataId
+ *   get:
+ *     summary: List Scenarios
+ *     tags: [Analytics]
+ *     parameters:
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: simulationType
+ *         schema:
+ *           type: string
+ *           enum: [displacement, escalation, response, intervention]
+ *       - in: query
+ *         name: baseAssessmentId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Scenario summaries, newest first
+ *
+ * /api/scenarios/{id}:
+ *   get:
+ *     summary: Get Scenario
+ *     tags: [Analytics]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Scenario with baseline, outcome and comparison
+ *       404:
+ *         description: Scenario not found
+ */
+
+/**
+ * @swagger
+ * /api/reports:
+ *   post:
+ *     summary: Generate Report
+ *     description: Renders a report from the stored crises, predictions and response plans and saves the file. Without a crisisId the report covers every active crisis; response_plan reports need one, and so do callers with regional assignments. Word output is Word-compatible HTML (.doc).
+ *     tags: [Crisis]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [type]
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [crisis_summary, displacement_analysis, response_plan, situation_update, donor_briefing]
+ *               format:
+ *                 type: string
+ *                 enum: [html, pdf, markdown, word, csv]
+ *                 default: pdf
+ *               crisisId:
+ *                 type: string
+ *                 description: Crisis ID or country
+ *                 example: "sudan-2025"
+ *               includeAnalysis:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Include the latest stored AI analysis
+ *               includePredictions:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Include stored displacement predictions
+ *               customSections:
+ *                 type: array
+ *                 description: Notes collected under "Additional Notes", or { title, content } sections appended to the report
+ *                 items:
+ *                   oneOf:
+ *                     - type: string
+ *                     - type: object
+ *                       required: [title, content]
+ *                       properties:
+ *                         title:
+ *                           type: string
+ *                         content:
+ *                           type: string
+ *     responses:
+ *       201:
+ *         description: Saved report metadata with its download URL
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Report'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         description: Caller has regional assignments and gave no crisisId
+ *       404:
+ *         description: Crisis not found or outside the caller's regions
+ *   get:
+ *     summary: List Reports
+ *     tags: [Crisis]
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [crisis_summary, displacement_analysis, response_plan, situation_update, donor_briefing]
+ *       - in: query
+ *         name: crisisId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [html, pdf, markdown, word, csv]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Report metadata, newest first
+ *
+ * /api/reports/{id}:
+ *   get:
+ *     summary: Get Report
+ *     tags: [Crisis]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Report metadata
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Report'
+ *       404:
+ *         description: Report not found
+ *
+ * /api/reports/{id}/download:
+ *   get:
+ *     summary: Download Report
+ *     description: Returns the stored file as an attachment with the content type of its format.
+ *     tags: [Crisis]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Report file
+ *         content:
+ *           application/pdf: {}
+ *           text/html: {}
+ *           text/markdown: {}
+ *           application/msword: {}
+ *           text/csv: {}
+ *       404:
+ *         description: Report not found
+ */
+
+/**
+ * @swagger
+ * /api/auth/login:
+ *   post:
+ *     summary: Sign In
+ *     description: Exchanges an email and password for a signed session token. Send it as `Authorization Bearer <token>` on REST calls, or as `?token=` when connecting to the WebSocket. Tokens expire after AUTH_SESSION_HOURS (12 by default).
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email, password]
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Session token and account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date-time
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Invalid email or password
+ *
+ * /api/auth/logout:
+ *   post:
+ *     summary: Sign Out
+ *     description: Revokes the session token used for the request.
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Signed out
+ *       401:
+ *         description: Not signed in
+ *
+ * /api/auth/session:
+ *   get:
+ *     summary: Current Caller
+ *     description: The signed-in user, API key or anonymous caller behind the request, and its role.
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Caller and role
+ *
+ * /api/auth/api-keys:
+ *   post:
+ *     summary: Create API Key
+ *     description: Creates an API key for the signed-in user. The key's role cannot be higher than the user's role. The key is only returned in this response. Send it as `X-API-Key`.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Situation room dashboard"
+ *               role:
+ *                 type: string
+ *                 enum: [viewer, analyst, coordinator, admin]
+ *                 description: Defaults to the owner's role
+ *               expiresInDays:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: API key metadata plus the key itself
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/ApiKey'
+ *                     - type: object
+ *                       properties:
+ *                         key:
+ *                           type: string
+ *                           example: "rwk_3f9c1a2b4d5e_..."
+ *       403:
+ *         description: Role higher than the owner's
+ *   get:
+ *     summary: List API Keys
+ *     description: The caller's API keys. Admins can pass all=true to list every user's keys.
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: query
+ *         name: all
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: includeRevoked
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: API keys, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ *
+ * /api/auth/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke API Key
+ *     description: Revokes one of the caller's API keys. Admins can revoke any key.
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Revoked API key
+ *       404:
+ *         description: API key not found
+ *
+ * /api/users:
+ *   post:
+ *     summary: Create User
+ *     description: Creates a user account, optionally in an existing organization (by `organizationId` or name) and with regional assignments. Users with regions only see crises, alerts and corridors whose region or country is assigned to them. Requires the admin role.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/UserInput'
+ *               - type: object
+ *                 required: [name, email, password]
+ *                 properties:
+ *                   password:
+ *                     type: string
+ *                     minLength: 10
+ *     responses:
+ *       201:
+ *         description: Created user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
+ *       404:
+ *         description: Organization not found
+ *       409:
+ *         description: Email already registered
+ *   get:
+ *     summary: List Users
+ *     description: Users by name. Requires the coordinator role.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [viewer, analyst, coordinator, admin]
+ *       - in: query
+ *         name: organizationId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: region
+ *         description: Users assigned this region or country
+ *         schema:
+ *           type: string
+ *         example: "East Africa"
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: search
+ *         description: Matches name or email
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           maximum: 500
+ *     responses:
+ *       200:
+ *         description: Users
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/User'
+ *                 count:
+ *                   type: integer
+ *
+ * /api/users/{id}:
+ *   get:
+ *     summary: Get User
+ *     description: Coordinators and above can view any user; others only themselves.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: User
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
+ *       404:
+ *         description: User not found
+ *   put:
+ *     summary: Update User
+ *     description: Users can change their own name, position, expertise and preferences. Admins can also change email, role, organization, regions and active; they cannot change their own role or deactivate themselves.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/UserInput'
+ *               - type: object
+ *                 properties:
+ *                   active:
+ *                     type: boolean
+ *     responses:
+ *       200:
+ *         description: Updated user
+ *       403:
+ *         description: Field needs the admin role
+ *       404:
+ *         description: User or organization not found
+ *       409:
+ *         description: Email already registered
+ *   delete:
+ *     summary: Deactivate User
+ *     description: Deactivates the account; its sessions and API keys stop working. Requires the admin role.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Deactivated user
+ *       404:
+ *         description: User not found
+ *
+ * /api/me:
+ *   get:
+ *     summary: My Profile
+ *     description: The caller's profile, the credential used, regional scope and notification settings. Notification subscriptions are matched by the account's email.
+ *     tags: [Users]
+ *     responses:
+ *       200:
+ *         description: Profile
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *                     credential:
+ *                       type: object
+ *                       properties:
+ *                         type:
+ *                           type: string
+ *                           enum: [user, api_key]
+ *                         role:
+ *                           type: string
+ *                         apiKeyId:
+ *                           type: integer
+ *                           nullable: true
+ *                     scope:
+ *                       type: object
+ *                       properties:
+ *                         regions:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                         limited:
+ *                           type: boolean
+ *                           description: False for admins and users without regions
+ *                     notifications:
+ *                       type: object
+ *                       properties:
+ *                         preferences:
+ *                           type: object
+ *                         subscriptions:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *       401:
+ *         description: Not signed in
+ *
+ * /api/organizations:
+ *   get:
+ *     summary: List Organizations
+ *     description: Organizations by name with their active member counts. Requires signing in.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [UN_AGENCY, NGO, GOVERNMENT, DONOR, RESEARCH, OTHER]
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Organizations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Organization'
+ *   post:
+ *     summary: Create Organization
+ *     description: Requires the admin role.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/OrganizationInput'
+ *     responses:
+ *       201:
+ *         description: Created organization
+ *       409:
+ *         description: Name already registered
+ *
+ * /api/organizations/{id}:
+ *   get:
+ *     summary: Get Organization
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Organization
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Organization'
+ *       404:
+ *         description: Organization not found
+ *   put:
+ *     summary: Update Organization
+ *     description: Requires the admin role.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/OrganizationInput'
+ *     responses:
+ *       200:
+ *         description: Updated organization
+ *       404:
+ *         description: Organization not found
+ *       409:
+ *         description: Name already registered
+ *   delete:
+ *     summary: Delete Organization
+ *     description: Only organizations without users can be deleted. Requires the admin role.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Deleted organization
+ *       404:
+ *         description: Organization not found
+ *       409:
+ *         description: Organization still has users
+ *
+ * /api/organizations/{id}/users:
+ *   get:
+ *     summary: Organization Members
+ *     description: Users in an organization. Requires the coordinator role.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Members
+ *       404:
+ *         description: Organization not found
+ *
+ * /api/audit:
+ *   get:
+ *     summary: Audit Log
+ *     description: Records sign-ins, API key changes, user creation, AI analysis runs and response plan generation, with who triggered each. Requires the admin role. The action filter also matches sub-actions, so `ai_analysis` matches `ai_analysis.run` and `ai_analysis.advanced`.
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         example: "ai_analysis"
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: resourceType
+ *         schema:
+ *           type: string
+ *         example: "crisis"
+ *       - in: query
+ *         name: resourceId
+ *         schema:
+ *           type: string
+ *         example: "sudan-2025"
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *     responses:
+ *       200:
+ *         description: Audit entries, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditEntry'
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AIAnalysis:
+ *       type: object
+ *       properties:
+ *         overallRisk:
+ *           type: string
+ *           enum: [CRITICAL, HIGH, MEDIUM, LOW]
+ *           example: "HIGH"
+ *         confidence:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 1
+ *           example: 0.87
+ *         keyFindings:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["Displacement levels have increased 23% in past 6 months", "Climate events increasing displacement pressure"]
+ *         recommendations:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["Increase emergency aid allocation by 40%", "Establish temporary refugee processing centers"]
+ *         priorityActions:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["Immediate food and medical supply distribution", "Emergency shelter construction"]
+ *         lastAnalyzed:
+ *           type: string
+ *           format: date-time
+ *           example: "2025-09-14T01:57:32.853Z"
+ *     
+ *     NotificationPreferences:
+ *       type: object
+ *       required: [channels, severityLevels]
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: Required when subscribing
+ *         email:
+ *           type: string
+ *         phone:
+ *           type: string
+ *         webhookUrl:
+ *           type: string
+ *           description: https URL on a public address; hosts on NOTIFICATION_WEBHOOK_ALLOWLIST may use http and private addresses
+ *         pushToken:
+ *           type: string
+ *         channels:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [email, sms, push, webhook]
+ *         severityLevels:
+ *           type: array
+ *           description: INFO alerts count as LOW and MEDIUM alerts as MODERATE
+ *           items:
+ *             type: string
+ *             enum: [LOW, MODERATE, HIGH, CRITICAL]
+ *         crisisTypes:
+ *           type: array
+ *           description: Matched against the crisis type and causes; empty matches all
+ *           items:
+ *             type: string
+ *           example: ["conflict", "climate"]
+ *         regions:
+ *           type: array
+ *           description: Regions or countries; empty matches all
+ *           items:
+ *             type: string
+ *         frequency:
+ *           type: string
+ *           enum: [immediate, hourly, daily, weekly]
+ *           default: immediate
+ *         quietHours:
+ *           type: object
+ *           properties:
+ *             enabled:
+ *               type: boolean
+ *             start:
+ *               type: string
+ *               example: "22:00"
+ *             end:
+ *               type: string
+ *               example: "06:00"
+ *             timezone:
+ *               type: string
+ *               description: IANA timezone; defaults to NOTIFICATION_TIMEZONE (UTC)
+ *     
+ *     NotificationSubscriber:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         contact:
+ *           type: object
+ *           properties:
+ *             email:
+ *               type: string
+ *             phone:
+ *               type: string
+ *             webhookUrl:
+ *               type: string
+ *             pushToken:
+ *               type: string
+ *         preferences:
+ *           $ref: '#/components/schemas/NotificationPreferences'
+ *         active:
+ *           type: boolean
+ *         lastDigestAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     
+ *     NotificationDelivery:
  *       type: object
  *       properties:
- *         overallRisk:
+ *         id:
+ *           type: integer
+ *         subscriberId:
+ *           type: integer
+ *         channel:
  *           type: string
- *           enum: [CRITICAL, HIGH, MEDIUM, LOW]
- *           example: "HIGH"
- *         confidence:
- *           type: number
- *           minimum: 0
- *           maximum: 1
- *           example: 0.87
- *         keyFindings:
+ *           enum: [email, sms, push, webhook]
+ *         kind:
+ *           type: string
+ *           enum: [alert, digest, test]
+ *         alertIds:
+ *           type: array
+ *           items:
+ *             type: integer
+ *         subject:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, deferred, sent, failed, skipped]
+ *           description: pending and deferred deliveries are sent at scheduledFor; skipped means the channel has no transport or the subscriber no contact detail
+ *         attempts:
+ *           type: integer
+ *         lastError:
+ *           type: string
+ *           nullable: true
+ *         scheduledFor:
+ *           type: string
+ *           format: date-time
+ *         sentAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *     
+ *     Report:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         type:
+ *           type: string
+ *           example: "crisis_summary"
+ *         format:
+ *           type: string
+ *           example: "pdf"
+ *         title:
+ *           type: string
+ *           example: "Crisis Summary: Sudan"
+ *         crisisId:
+ *           type: string
+ *           nullable: true
+ *         options:
+ *           type: object
+ *           description: includeAnalysis, includePredictions and customSections as requested
+ *         sections:
  *           type: array
  *           items:
  *             type: string
- *           example: ["Displacement levels have increased 23% in past 6 months", "Climate events increasing displacement pressure"]
- *         recommendations:
+ *         filename:
+ *           type: string
+ *           example: "crisis-summary-sudan-2025-09-14.pdf"
+ *         mimeType:
+ *           type: string
+ *         sizeBytes:
+ *           type: integer
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         downloadUrl:
+ *           type: string
+ *           example: "/api/reports/1/download"
+ *     
+ *     User:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         email:
+ *           type: string
+ *         role:
+ *           type: string
+ *           enum: [viewer, analyst, coordinator, admin]
+ *         organization:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             id:
+ *               type: integer
+ *             name:
+ *               type: string
+ *         position:
+ *           type: string
+ *           nullable: true
+ *           example: "Field Officer"
+ *         expertise:
  *           type: array
  *           items:
  *             type: string
- *           example: ["Increase emergency aid allocation by 40%", "Establish temporary refugee processing centers"]
- *         priorityActions:
+ *         regions:
  *           type: array
+ *           description: Assigned regions or countries; empty sees every crisis
  *           items:
  *             type: string
- *           example: ["Immediate food and medical supply distribution", "Emergency shelter construction"]
- *         lastAnalyzed:
+ *           example: ["East Africa", "Yemen"]
+ *         preferences:
+ *           type: object
+ *           properties:
+ *             notifications:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             crisisTypes:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             alertChannels:
+ *               type: array
+ *               items:
+ *                 type: string
+ *                 enum: [email, sms, push, webhook]
+ *         active:
+ *           type: boolean
+ *         lastLoginAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     
+ *     UserInput:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *         email:
+ *           type: string
+ *           format: email
+ *         role:
+ *           type: string
+ *           enum: [viewer, analyst, coordinator, admin]
+ *           default: viewer
+ *         organizationId:
+ *           type: integer
+ *           nullable: true
+ *         organization:
+ *           type: string
+ *           description: Name of an existing organization, instead of organizationId
+ *         position:
+ *           type: string
+ *           enum: [Humanitarian Coordinator, Emergency Coordinator, Field Officer, Analyst, Program Manager, Operations Manager, Protection Officer, Logistics Officer, Communications Officer, Administrator]
+ *         expertise:
+ *           type: array
+ *           maxItems: 20
+ *           items:
+ *             type: string
+ *         regions:
+ *           type: array
+ *           maxItems: 50
+ *           items:
+ *             type: string
+ *         preferences:
+ *           type: object
+ *     
+ *     Organization:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [UN_AGENCY, NGO, GOVERNMENT, DONOR, RESEARCH, OTHER]
+ *         country:
+ *           type: string
+ *           nullable: true
+ *         website:
+ *           type: string
+ *           nullable: true
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         memberCount:
+ *           type: integer
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     
+ *     OrganizationInput:
+ *       type: object
+ *       required: [name]
+ *       properties:
+ *         name:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [UN_AGENCY, NGO, GOVERNMENT, DONOR, RESEARCH, OTHER]
+ *         country:
+ *           type: string
+ *         website:
+ *           type: string
+ *           format: uri
+ *         description:
+ *           type: string
+ *     
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         userId:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         prefix:
+ *           type: string
+ *           example: "rwk_3f9c1a2b4d5e"
+ *         role:
+ *           type: string
+ *           enum: [viewer, analyst, coordinator, admin]
+ *         status:
+ *           type: string
+ *           enum: [active, expired, revoked]
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     
+ *     AuditEntry:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         actor:
+ *           type: object
+ *           properties:
+ *             type:
+ *               type: string
+ *               enum: [user, api_key, anonymous, system]
+ *             userId:
+ *               type: integer
+ *               nullable: true
+ *             apiKeyId:
+ *               type: integer
+ *               nullable: true
+ *             name:
+ *               type: string
+ *               example: "analyst@example.org"
+ *             role:
+ *               type: string
+ *         action:
+ *           type: string
+ *           example: "ai_analysis.run"
+ *         resourceType:
+ *           type: string
+ *           example: "crisis"
+ *         resourceId:
+ *           type: string
+ *           example: "sudan-2025"
+ *         details:
+ *           type: object
+ *           example: { "model": "gpt-oss-120b", "predictionId": 12, "persisted": true }
+ *         ip:
+ *           type: string
+ *         createdAt:
  *           type: string
  *           format: date-time
- *           example: "2025-09-14T01:57:32.853Z"
  *     
  *     ResponsePlan:
  *       type: object
@@ -1105,6 +3776,246 @@
  *         timezone:
  *           type: string
  *           example: "Asia/Damascus"
+ *     
+ *     AIReview:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         crisisId:
+ *           type: string
+ *           example: "sudan-2025"
+ *         country:
+ *           type: string
+ *         region:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [crisis, advanced]
+ *         status:
+ *           type: string
+ *           enum: [pending, approved, amended, rejected]
+ *         aiRiskLevel:
+ *           type: string
+ *           description: Risk level the model proposed
+ *         riskLevel:
+ *           type: string
+ *           nullable: true
+ *           description: Risk level after review; null while pending or when rejected
+ *         reviewReasons:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Why a closer look is needed, e.g. ensemble disagreement
+ *         dueAt:
+ *           type: string
+ *           format: date-time
+ *         overdue:
+ *           type: boolean
+ *         submittedBy:
+ *           type: string
+ *           nullable: true
+ *           description: Email of the user who ran the analysis
+ *         submitterId:
+ *           type: integer
+ *           nullable: true
+ *         reviewedBy:
+ *           type: string
+ *           nullable: true
+ *         reviewedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         comments:
+ *           type: string
+ *           nullable: true
+ *         predictionId:
+ *           type: integer
+ *           nullable: true
+ *           description: Prediction stored on approval
+ *         aiAnalysis:
+ *           type: object
+ *           description: The analysis as the model returned it
+ *         amendedAnalysis:
+ *           type: object
+ *           nullable: true
+ *           description: The analysis with the reviewer's changes and an amendments summary
+ *         provenance:
+ *           type: object
+ *         prediction:
+ *           type: object
+ *           nullable: true
+ *           description: Prediction to store on approval
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     Alert:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         crisisId:
+ *           type: string
+ *           example: "sudan-2025"
+ *         country:
+ *           type: string
+ *           example: "Sudan"
+ *         level:
+ *           type: string
+ *           enum: [CRITICAL, HIGH, MEDIUM, INFO]
+ *         type:
+ *           type: string
+ *           example: "THRESHOLD"
+ *         title:
+ *           type: string
+ *         message:
+ *           type: string
+ *         triggeredBy:
+ *           type: string
+ *           example: "risk_level:CRITICAL"
+ *         status:
+ *           type: string
+ *           enum: [OPEN, ACKNOWLEDGED, RESOLVED]
+ *         acknowledgedAt:
+ *           type: string
+ *           nullable: true
+ *         acknowledgedBy:
+ *           type: string
+ *           nullable: true
+ *         resolvedAt:
+ *           type: string
+ *           nullable: true
+ *         resolvedBy:
+ *           type: string
+ *           nullable: true
+ *         resolutionNote:
+ *           type: string
+ *           nullable: true
+ *         escalationLevel:
+ *           type: integer
+ *           description: Times the alert was escalated while unacknowledged
+ *         details:
+ *           type: object
+ *         createdAt:
+ *           type: string
+ *     
+ *     ScoringModel:
+ *       type: object
+ *       description: Declarative risk scoring model (see src/config/scoring-models)
+ *       required: [version, riskScores, sourceWeights, overall, displacement]
+ *       properties:
+ *         version:
+ *           type: string
+ *           example: "1.0.0"
+ *         description:
+ *           type: string
+ *         riskScores:
+ *           type: object
+ *           description: Numeric score per source risk level
+ *           example: { CRITICAL: 100, HIGH: 75, MEDIUM: 50, LOW: 25, MINIMAL: 0, UNKNOWN: 0 }
+ *         sourceWeights:
+ *           type: object
+ *           example: { conflict: 0.35, news: 0.25, economic: 0.25, climate: 0.15 }
+ *         overall:
+ *           type: object
+ *           description: Overall risk thresholds on the weighted score, plus confidence rules
+ *         displacement:
+ *           type: object
+ *           description: Per-source displacement rules and the levels/timelines chosen by factor count
+ *     
+ *     DisplacementUncertainty:
+ *       type: object
+ *       description: Monte Carlo ranges from sampling source levels, scores and displacement multipliers within their uncertainty
+ *       properties:
+ *         method:
+ *           type: string
+ *           example: "monte_carlo"
+ *         iterations:
+ *           type: integer
+ *         seed:
+ *           type: integer
+ *         scoringModelVersion:
+ *           type: string
+ *         pointEstimate:
+ *           type: integer
+ *         estimatedNumbers:
+ *           $ref: '#/components/schemas/DistributionSummary'
+ *         level:
+ *           type: object
+ *           properties:
+ *             mostLikely:
+ *               type: string
+ *             probabilities:
+ *               type: object
+ *               additionalProperties:
+ *                 type: number
+ *             pointLevelProbability:
+ *               type: number
+ *               description: Share of runs that reached the point estimate's level
+ *         timeline:
+ *           type: object
+ *           properties:
+ *             mostLikely:
+ *               type: string
+ *             probabilities:
+ *               type: object
+ *               additionalProperties:
+ *                 type: number
+ *             days:
+ *               $ref: '#/components/schemas/DistributionSummary'
+ *     
+ *     DistributionSummary:
+ *       type: object
+ *       properties:
+ *         p10:
+ *           type: number
+ *         p50:
+ *           type: number
+ *         p90:
+ *           type: number
+ *         mean:
+ *           type: number
+ *         min:
+ *           type: number
+ *         max:
+ *           type: number
+ *     
+ *     AccuracySummary:
+ *       type: object
+ *       properties:
+ *         evaluated:
+ *           type: integer
+ *         displacement:
+ *           type: object
+ *           properties:
+ *             meanAccuracyScore:
+ *               type: number
+ *               description: Mean of 1 - |predicted - observed| / max(predicted, observed)
+ *             meanAbsoluteError:
+ *               type: number
+ *             meanAbsolutePercentageError:
+ *               type: number
+ *             medianAbsolutePercentageError:
+ *               type: number
+ *             meanBias:
+ *               type: number
+ *               description: Positive when forecasts overestimate displacement
+ *         timeline:
+ *           type: object
+ *           properties:
+ *             evaluated:
+ *               type: integer
+ *             reachedEstimate:
+ *               type: integer
+ *             withinPredictedTimeline:
+ *               type: integer
+ *             hitRate:
+ *               type: number
+ *             meanAbsoluteErrorDays:
+ *               type: number
  *   
  *   responses:
  *     ServiceUnavailable:
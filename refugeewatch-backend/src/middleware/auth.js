@@ -0,0 +1,87 @@
+/**
+ * RefugeeWatch AI - Authentication Middleware
+ *
+ * authenticate resolves the request's credentials to req.principal;
+ * requireRole rejects principals below a role and requireSignIn rejects
+ * anonymous callers. Requests without
+ * credentials act with AUTH_ANONYMOUS_ROLE (viewer by default).
+ *
+ * @author RefugeeWatch AI Team
+ * @version 1.0.0
+ */
+
+const logger = require('../utils/logger');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errorHandler');
+const { hasRole, extractCredentials } = require('../utils/authUtils');
+const { getAuthService } = require('../services/processing/authService');
+
+/**
+ * Send an auth error in the API's response format
+ */
+const sendAuthError = (res, error) => {
+  if (error.statusCode === 401) {
+    res.set('WWW-Authenticate', 'Bearer realm="RefugeeWatch AI"');
+  }
+  return res.status(error.statusCode).json({
+    success: false,
+    error: error.message
+  });
+};
+
+/**
+ * Attach req.principal. Invalid credentials are rejected even on routes
+ * that anonymous callers could use.
+ * @param {Array<string>} publicPaths - Paths reachable when anonymous access is off
+ * @returns {Function} Express middleware
+ */
+const authenticate = (publicPaths = []) => async (req, res, next) => {
+  try {
+    req.principal = await getAuthService().authenticate(extractCredentials(req.headers));
+  } catch (error) {
+    if (error.statusCode === 401) {
+      return sendAuthError(res, error);
+    }
+    logger.error('Authentication failed:', error);
+    return res.status(500).json({ success: false, error: 'Authentication failed' });
+  }
+
+  if (!req.principal && !publicPaths.includes(req.path)) {
+    return sendAuthError(res, new UnauthorizedError('Authentication required'));
+  }
+  next();
+};
+
+/**
+ * Only let principals with at least the given role through
+ * @param {string} role - viewer | analyst | coordinator | admin
+ * @returns {Function} Express middleware
+ */
+const requireRole = (role) => (req, res, next) => {
+  const principal = req.principal;
+
+  if (!principal || (principal.type === 'anonymous' && !hasRole(principal.role, role))) {
+    return sendAuthError(res, new UnauthorizedError(`Sign in with at least the ${role} role`));
+  }
+  if (!hasRole(principal.role, role)) {
+    return sendAuthError(res, new ForbiddenError(`Requires the ${role} role (you have ${principal.role})`));
+  }
+  next();
+};
+
+/**
+ * Only let signed-in users and API keys through (not anonymous callers)
+ * @returns {Function} Express middleware
+ */
+const requireSignIn = () => (req, res, next) => {
+  if (!req.principal || req.principal.type === 'anonymous') {
+    return sendAuthError(res, new UnauthorizedError('Authentication required'));
+  }
+  next();
+};
+
+module.exports = {
+  authenticate,
+  requireRole,
+  requireSignIn,
+  sendAuthError
+};
@@ -6,7 +6,7 @@
  */
 
 const express = require('express');
-const { query, param } = require('express-validator');
+const { query, param, body } = require('express-validator');
 const { validationResult } = require('express-validator');
 const rateLimit = require('express-rate-limit');
 const router = express.Router();
@@ -27,6 +27,7 @@ const createRateLimit = (windowMs, max, message) => rateLimit({
 
 const standardLimit = createRateLimit(15 * 60 * 1000, 100, 'Too many requests. Try again in 15 minutes.');
 const aiLimit = createRateLimit(15 * 60 * 1000, 20, 'Too many AI requests. Try again in 15 minutes.');
+const authLimit = createRateLimit(15 * 60 * 1000, 10, 'Too many sign-in attempts. Try again in 15 minutes.');
 
 // ===========================================
 // VALIDATION MIDDLEWARE
@@ -70,12 +71,37 @@ const GeographicDataService = require('../services/data/geographicData');
 const UNHCRRefugeeDataService = require('../services/data/refugeeData');
 const RealClimateDataService = require('../services/data/climateData');
 const RealNewsDataService = require('../services/data/newsData');
+const DataAggregatorService = require('../services/processing/dataAggregator');
+const AICrisisService = require('../services/ai/aiCrisisService');
+const ResponsePlanService = require('../services/ai/responsePlanService');
+const AdvancedAICrisisService = require('../services/data/advancedCrisisService');
+const { DatabaseUtils } = require('../config/database');
+const { getLLMConfig } = require('../config/llm');
+const { getScoringModel, validateScoringModel } = require('../config/scoringModel');
+const { crisisValidation, crisisUpdateValidation, alertValidation, scenarioValidation, reportValidation, notificationPreferencesValidation, userValidation, userUpdateValidation, organizationValidation, organizationUpdateValidation, reviewDecisionValidation, reviewAmendValidation, ORGANIZATION_TYPES } = require('../utils/validators');
+const { getMonitoringScheduler } = require('../services/processing/monitoringScheduler');
+const { getAlertService } = require('../services/processing/alertService');
+const { getBacktestService } = require('../services/processing/backtestService');
+const { getScenarioService } = require('../services/processing/scenarioService');
+const { SIMULATION_TYPES, validateModifications } = require('../utils/simulationUtils');
+const { getReportService } = require('../services/processing/reportService');
+const { getNotificationService } = require('../services/processing/notificationService');
+const { checkWebhookUrl } = require('../services/external/notificationTransports');
+const { NOTIFICATION_CHANNELS, NOTIFICATION_FREQUENCIES, normalizePreferences, missingContacts, isValidTimezone } = require('../utils/notificationUtils');
+const { REPORT_TYPES, REPORT_FORMATS } = require('../utils/reportUtils');
+const { getAuthService, AUTH_CONFIG } = require('../services/processing/authService');
+const { getUserService } = require('../services/processing/userService');
+const { getReviewService, REVIEW_STATUSES } = require('../services/processing/reviewService');
+const { ROLES, hasRole, regionScope, isInRegionScope } = require('../utils/authUtils');
+const { ForbiddenError, NotFoundError } = require('../utils/errorHandler');
+const { authenticate, requireRole, requireSignIn, sendAuthError } = require('../middleware/auth');
+const { TIME_SERIES_INTERVALS, buildRiskTimeSeries, parseDbTimestamp, toDbTimestamp, timeframeToDays } = require('../utils/analyticsUtils');
 
 // Import controllers
 const crisisController = require('../controllers/crisisController');
 
 // SERVICE INITIALIZATION WITH DETAILED DEBUGGING
-let geoService, refugeeService, climateService, newsService;
+let geoService, refugeeService, climateService, newsService, aggregatorService, aiCrisisService, planService;
 
 console.log('=== DEBUGGING SERVICE INITIALIZATION ===');
 
@@ -115,13 +141,350 @@ try {
   newsService = null;
 }
 
+try {
+  console.log('5. Loading DataAggregatorService...');
+  aggregatorService = new DataAggregatorService();
+  console.log('✅ DataAggregatorService initialized');
+} catch (error) {
+  console.error('❌ DataAggregatorService failed:', error.message);
+  aggregatorService = null;
+}
+
+try {
+  console.log('6. Loading AICrisisService...');
+  aiCrisisService = new AICrisisService();
+  console.log('✅ AICrisisService initialized');
+} catch (error) {
+  console.error('❌ AICrisisService failed:', error.message);
+  aiCrisisService = null;
+}
+
+try {
+  console.log('7. Loading ResponsePlanService...');
+  planService = new ResponsePlanService();
+  console.log('✅ ResponsePlanService initialized');
+} catch (error) {
+  console.error('❌ ResponsePlanService failed:', error.message);
+  planService = null;
+}
+
 console.log('=== SERVICE STATUS ===');
 console.log('- geoService:', !!geoService);
 console.log('- refugeeService:', !!refugeeService);
 console.log('- climateService:', !!climateService);
 console.log('- newsService:', !!newsService);
+console.log('- aggregatorService:', !!aggregatorService);
+console.log('- aiCrisisService:', !!aiCrisisService);
+console.log('- planService:', !!planService);
 console.log('========================');
 
+// ===========================================
+// AUTHENTICATION
+// ===========================================
+
+// Reachable without credentials even when AUTH_ANONYMOUS_ROLE=none
+const PUBLIC_PATHS = ['/', '/health', '/auth/login'];
+
+router.use(authenticate(PUBLIC_PATHS));
+
+/**
+ * Name recorded as the actor of an action (acknowledgedBy, createdBy, ...)
+ * @param {Object} req - Express request
+ * @returns {string|undefined} Caller's email, unless anonymous
+ */
+const actorName = (req) => (
+  req.principal && req.principal.type !== 'anonymous' ? req.principal.email : undefined
+);
+
+/**
+ * Who triggered an AI run, as stored with its provenance
+ * @param {Object} req - Express request
+ * @returns {Object} { type, userId, apiKeyId, name, role }
+ */
+const triggeredBy = (req) => ({
+  type: req.principal?.type || 'anonymous',
+  userId: req.principal?.userId || null,
+  apiKeyId: req.principal?.apiKeyId || null,
+  name: actorName(req) || 'anonymous',
+  role: req.principal?.role || null
+});
+
+/**
+ * Record an action by the caller in the audit log
+ * @param {Object} req - Express request
+ * @param {string} action - e.g. ai_analysis.run
+ * @param {Object} resource - { type, id }
+ * @param {Object} [details] - Extra context
+ */
+const recordAudit = (req, action, { type = null, id = null } = {}, details = null) => getAuthService().recordAudit(
+  req.principal,
+  { action, resourceType: type, resourceId: id === null ? null : String(id), details },
+  { ip: req.ip }
+);
+
+/**
+ * Whether a country's crisis is within the caller's regional assignments.
+ * Countries without a registered crisis stay visible.
+ * @param {Object} req - Express request
+ * @param {Object|null} crisis - Registry record, when already looked up
+ * @param {string} country - Country name
+ * @returns {Promise<boolean>} True when the caller may see it
+ */
+const isCountryVisible = async (req, crisis, country) => {
+  if (regionScope(req.principal) === null) return true;
+  const tracked = crisis || await DatabaseUtils.getCrisisByCountry(country);
+  return !tracked || isInRegionScope(req.principal, tracked);
+};
+
+/**
+ * Country a :country route parameter refers to. Registry crisis IDs give
+ * their crisis; names, ISO codes and aliases ("Burma", "MMR") resolve to the
+ * canonical name assessments are stored under, with the crisis registered
+ * for it. Unrecognised names are kept.
+ * @param {string} value - Country name, code, alias or crisis ID
+ * @returns {Promise<Object>} { crisis, country } - crisis is null when none is registered
+ */
+const resolveCountryParam = async (value) => {
+  const crisis = await DatabaseUtils.getCrisisById(value);
+  if (crisis) {
+    return { crisis, country: crisis.country };
+  }
+
+  if (geoService) {
+    try {
+      const resolved = await geoService.resolveCountry(value);
+      if (resolved.success) {
+        const country = resolved.data.name;
+        return { crisis: await DatabaseUtils.getCrisisByCountry(country), country };
+      }
+    } catch (error) {
+      logger.warn(`Country lookup failed for ${value}: ${error.message}`);
+    }
+  }
+  return { crisis: await DatabaseUtils.getCrisisByCountry(value), country: value };
+};
+
+/**
+ * Whether a stored scenario is within the caller's regional assignments
+ * @param {Object} req - Express request
+ * @param {Object} record - { crisisId, country }
+ * @returns {Promise<boolean>} True when the caller may see it
+ */
+const isScenarioVisible = async (req, { crisisId, country }) => {
+  if (regionScope(req.principal) === null) return true;
+  const crisis = crisisId ? await DatabaseUtils.getCrisisById(crisisId) : null;
+  return isCountryVisible(req, crisis, country);
+};
+
+/**
+ * Whether a stored report is within the caller's regional assignments.
+ * Reports across every active crisis need an unrestricted caller.
+ * @param {Object} req - Express request
+ * @param {Object} report - { crisisId }
+ * @returns {Promise<boolean>} True when the caller may see it
+ */
+const isReportVisible = async (req, { crisisId }) => {
+  if (regionScope(req.principal) === null) return true;
+  const crisis = crisisId ? await DatabaseUtils.getCrisisById(crisisId) : null;
+  return Boolean(crisis) && isInRegionScope(req.principal, crisis);
+};
+
+// ===========================================
+// CRISIS RESOLUTION HELPERS
+// ===========================================
+
+const RISK_LEVELS = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'];
+const CRISIS_STATUSES = ['ACTIVE', 'MONITORING', 'RESOLVED', 'PREVENTED'];
+const ALERT_LEVELS = ['CRITICAL', 'HIGH', 'MEDIUM', 'INFO'];
+const ALERT_STATUSES = ['open', 'unacknowledged', 'acknowledged', 'resolved', 'all'];
+
+/**
+ * Resolve a crisis identifier to a registry record and country name.
+ * Accepts a registry id (e.g. "sudan-2025"), a country name or a country code.
+ * Registered crises outside the caller's regional assignments resolve to null.
+ * @param {string} id - Crisis identifier from the URL
+ * @param {Object} [principal] - Caller (req.principal)
+ * @returns {Promise<Object|null>} { crisis, country } or null when unknown
+ */
+const resolveCrisis = async (id, principal = null) => {
+  const visible = (resolved) => (
+    resolved.crisis && !isInRegionScope(principal, resolved.crisis) ? null : resolved
+  );
+
+  const crisis = await DatabaseUtils.getCrisisById(id);
+  if (crisis) {
+    return visible({ crisis, country: crisis.country });
+  }
+
+  const byCountry = await DatabaseUtils.getCrisisByCountry(id);
+  if (byCountry) {
+    return visible({ crisis: byCountry, country: byCountry.country });
+  }
+
+  if (!geoService) return null;
+
+  const countryResult = await geoService.getCountryByName(id);
+  if (!countryResult.success) return null;
+
+  const country = countryResult.data.name;
+  return visible({
+    crisis: await DatabaseUtils.getCrisisByCountry(country),
+    country
+  });
+};
+
+/**
+ * Parse population estimates that may arrive as "150,000" or "50k-100k"
+ * @param {string|number} value - Estimated population
+ * @returns {number} Upper bound of the estimate
+ */
+const parsePopulationEstimate = (value) => {
+  if (typeof value === 'number') return Math.round(value);
+  const matches = String(value || '').toLowerCase().replace(/,/g, '').match(/\d+(\.\d+)?\s*[km]?/g) || [];
+  const numbers = matches.map(match => {
+    const amount = parseFloat(match);
+    if (match.includes('m')) return amount * 1000000;
+    if (match.includes('k')) return amount * 1000;
+    return amount;
+  });
+  return numbers.length > 0 ? Math.round(Math.max(...numbers)) : 0;
+};
+
+/**
+ * Run the assessment + AI analysis pipeline for a resolved crisis. When the
+ * crisis is tracked in the registry the analysis and its prediction go to
+ * the review queue; they are stored once an analyst approves them.
+ * @param {Object} resolved - Result of resolveCrisis
+ * @param {Object} [triggeredByActor] - Who asked for the run (see triggeredBy)
+ * @returns {Promise<Object>} { analysis, assessment, provenance, review }
+ */
+const runCrisisAnalysis = async ({ crisis, country }, triggeredByActor = null) => {
+  // Multi-source assessment, then AI reasoning on top of it. Threshold alerts
+  // wait for the analysis to be approved (ReviewService.propagate).
+  const assessment = await aggregatorService.getComprehensiveCrisisAssessment(country, {
+    source: 'analysis',
+    uncertainty: true,
+    raiseAlerts: false
+  });
+  const analysis = await aiCrisisService.performCrisisAnalysis(assessment);
+
+  const provenance = {
+    model: analysis.metadata?.modelUsed || null,
+    tokensUsed: analysis.metadata?.tokensUsed || 0,
+    repairAttempts: analysis.metadata?.repairAttempts || 0,
+    fallback: Boolean(analysis.metadata?.fallback),
+    fallbackReason: analysis.metadata?.fallbackReason || null,
+    analysisVersion: analysis.metadata?.analysisVersion || null,
+    dataQuality: assessment.dataQuality,
+    dataSources: assessment.dataAvailability,
+    assessmentId: assessment.history?.id || null,
+    triggeredBy: triggeredByActor
+  };
+
+  if (!crisis) {
+    return { analysis, assessment, provenance, review: null };
+  }
+
+  const confidence = Math.min(1, Math.max(0, Number(analysis.confidence) || 0));
+  const displacement = analysis.displacementPrediction || {};
+  const estimate = parsePopulationEstimate(displacement.estimatedPopulation);
+  // Modelled destinations take precedence over the AI's list; corridors are rescaled to its estimate
+  const corridors = (assessment.displacementRisk.corridors || []).map(corridor => ({
+    ...corridor,
+    estimatedPeople: Math.round(corridor.probability * estimate)
+  }));
+
+  const review = await getReviewService().submit({
+    crisis,
+    type: 'crisis',
+    analysis,
+    provenance,
+    prediction: {
+      displacement_estimate: estimate,
+      confidence_level: confidence,
+      timeline_days: timeframeToDays(displacement.timeframe),
+      destinations: corridors.length > 0 ? corridors.map(corridor => corridor.to) : (displacement.likelyDestinations || []),
+      migration_routes: corridors.length > 0 ? corridors : (displacement.migrationRoutes || []),
+      triggers: displacement.primaryTriggers || [],
+      model_version: provenance.model
+    },
+    submittedBy: triggeredByActor?.userId ? triggeredByActor.name : null,
+    submitterId: triggeredByActor?.userId || null
+  });
+
+  return { analysis, assessment, provenance, review };
+};
+
+/**
+ * Read the last AI analysis stored on a crisis record, if it came from
+ * the analysis pipeline (seeded demo summaries are not reusable).
+ * @param {Object} crisis - Crisis registry row
+ * @returns {Object|null} Stored analysis
+ */
+const getStoredAnalysis = (crisis) => {
+  if (!crisis || !crisis.ai_analysis) return null;
+  try {
+    const analysis = JSON.parse(crisis.ai_analysis);
+    return analysis.aiRiskAssessment && analysis.metadata ? analysis : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Monte Carlo displacement ranges for a country's latest stored assessment.
+ * Uses the ranges stored with the assessment, or simulates them from its sources.
+ * @param {string} country - Country name
+ * @returns {Promise<Object|null>} Result of simulateDisplacement(), or null without a stored assessment
+ */
+const getStoredDisplacementUncertainty = async (country) => {
+  const latest = await DatabaseUtils.getLatestAssessment(country);
+  try {
+    const stored = latest ? JSON.parse(latest.assessment) : null;
+    if (!stored?.sources) return null;
+    return stored.displacementRisk?.uncertainty || aggregatorService.simulateDisplacement(stored, getScoringModel());
+  } catch (error) {
+    logger.warn(`Stored assessment for ${country} is not valid JSON: ${error.message}`);
+    return null;
+  }
+};
+
+// The registry only knows phase types, so plans are filed under the phase they open with
+const PLAN_TYPE_MAP = {
+  EMERGENCY: 'EMERGENCY',
+  COMPREHENSIVE: 'EMERGENCY',
+  PREVENTION: 'STABILIZATION'
+};
+
+/**
+ * Parse JSON columns of a response plan row for API output
+ * @param {Object} row - response_plans row
+ * @returns {Object} Plan record
+ */
+const formatPlanRecord = (row) => {
+  const parse = (value) => {
+    try {
+      return value ? JSON.parse(value) : null;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  return {
+    planId: row.id,
+    crisisId: row.crisis_id,
+    planType: row.plan_type,
+    timelineWeeks: row.timeline_weeks,
+    estimatedCost: row.estimated_cost,
+    implementationStatus: row.implementation_status,
+    aiGenerated: Boolean(row.ai_generated),
+    resourcesNeeded: parse(row.resources_needed),
+    costBreakdown: parse(row.cost_breakdown),
+    plan: parse(row.plan_data),
+    createdAt: row.created_at
+  };
+};
+
 // ===========================================
 // API DOCUMENTATION ROOT
 // ===========================================
@@ -135,7 +498,22 @@ router.get('/', (req, res) => {
       endpoints: [
         {
           path: 'GET /api/crisis',
-          description: 'Get all active crises with real UNHCR data',
+          description: 'List registered crises (filter by region, riskLevel, status)',
+          rateLimit: '100 requests per 15 minutes'
+        },
+        {
+          path: 'POST /api/crisis',
+          description: 'Register a new crisis',
+          rateLimit: '100 requests per 15 minutes'
+        },
+        {
+          path: 'PUT|PATCH /api/crisis/:id',
+          description: 'Replace or partially update a registered crisis (status, severity, details)',
+          rateLimit: '100 requests per 15 minutes'
+        },
+        {
+          path: 'DELETE /api/crisis/:id',
+          description: 'Retire a crisis (?permanent=true deletes it)',
           rateLimit: '100 requests per 15 minutes'
         },
         {
@@ -145,7 +523,22 @@ router.get('/', (req, res) => {
         },
         {
           path: 'GET /api/crisis/geographical',
-          description: 'Get geographical crisis data for mapping',
+          description: 'Registered crises as map locations',
+          rateLimit: '100 requests per 15 minutes'
+        },
+        {
+          path: 'GET /api/crisis/corridors',
+          description: 'Predicted migration corridors as GeoJSON LineStrings with volumes (country, from, to)',
+          rateLimit: '100 requests per 15 minutes'
+        },
+        {
+          path: 'GET /api/crisis/:country/history',
+          description: 'Risk time series from stored assessments (from, to, interval=raw|hour|day|week|month)',
+          rateLimit: '100 requests per 15 minutes'
+        },
+        {
+          path: 'GET /api/crisis/:country/explain',
+          description: 'Per-source contributions, thresholds and displacement rules behind the latest assessment (refresh, format=json|text)',
           rateLimit: '100 requests per 15 minutes'
         },
         {
@@ -172,8 +565,195 @@ router.get('/', (req, res) => {
           path: 'GET /api/news/crisis',
           description: 'Get real crisis news from NewsAPI and Guardian',
           rateLimit: '100 requests per 15 minutes'
+        },
+        {
+          path: 'POST /api/crisis/:id/analyze',
+          description: 'Run multi-source assessment and AI analysis; queued for review before it is saved to the crisis record',
+          rateLimit: '20 requests per 15 minutes'
+        },
+        {
+          path: 'POST /api/crisis/:id/plan',
+          description: 'Generate and save an AI response plan with costs, staffing and funding',
+          rateLimit: '20 requests per 15 minutes'
+        },
+        {
+          path: 'GET /api/crisis/:id/plans',
+          description: 'List saved response plans for a crisis',
+          rateLimit: '100 requests per 15 minutes'
+        },
+        {
+          path: 'GET /api/plans/:planId',
+          description: 'Get a saved response plan',
+          rateLimit: '100 requests per 15 minutes'
+        },
+        {
+          path: 'GET /api/monitoring/jobs',
+          description: 'List scheduled monitoring jobs and the watchlist',
+          rateLimit: '100 requests per 15 minutes'
+        },
+        {
+          path: 'POST /api/monitoring/jobs/:name/(pause|resume|trigger)',
+          description: 'Pause, resume or immediately run a monitoring job',
+          rateLimit: '100 requests per 15 minutes'
+        },
+        {
+          path: 'GET /api/alerts',
+          description: 'List alerts (filter by status, level, crisisId)',
+          rateLimit: '100 requests per 15 minutes'
+        },
+        {
+          path: 'POST /api/alerts',
+          description: 'Raise an alert for a registered crisis',
+          rateLimit: '100 requests per 15 minutes'
+        },
+        {
+          path: 'POST /api/alerts/:id/(acknowledge|resolve)',
+          description: 'Acknowledge or resolve an alert',
+          rateLimit: '100 requests per 15 minutes'
+        },
+        {
+          path: 'GET /api/ai/reviews[/:id]',
+          description: 'AI analyses awaiting review (status, type, crisisId), with the AI output and any amended version',
+          rateLimit: '100 requests per 15 minutes'
+        },
+        {
+          path: 'POST /api/ai/reviews/:id/(approve|amend|reject)',
+          description: 'Approve, amend (riskLevel, recommendations) or reject an AI analysis with comments; approved analyses update the crisis',
+          rateLimit: '100 requests per 15 minutes'
+        },
+        {
+          path: 'POST /api/notifications/subscribers',
+          description: 'Subscribe to alert notifications (channels, severity, crisis types, regions, frequency, quiet hours)',
+          rateLimit: '100 requests per 15 minutes'
+        },
+        {
+          path: 'GET /api/notifications/subscribers[/:id]',
+          description: 'List subscribers, or one subscriber with recent deliveries',
+          rateLimit: '100 requests per 15 minutes'
+        },
+        {
+          path: 'PUT /api/notifications/subscribers/:id/preferences',
+          description: 'Replace a subscriber\'s notification preferences',
+          rateLimit: '100 requests per 15 minutes'
+        },
+        {
+          path: 'DELETE /api/notifications/subscribers/:id',
+          description: 'Deactivate a subscriber',
+          rateLimit: '100 requests per 15 minutes'
+        },
+        {
+          path: 'POST /api/notifications/subscribers/:id/test',
+          description: 'Send a test notification on each subscribed channel',
+          rateLimit: '100 requests per 15 minutes'
+        },
+        {
+          path: 'GET /api/notifications/deliveries',
+          description: 'Notification delivery records (subscriberId, alertId, status, channel, kind, limit)',
+          rateLimit: '100 requests per 15 minutes'
+        },
+        {
+          path: 'GET /api/analytics/accuracy',
+          description: 'Back-tested prediction accuracy by country and model version',
+          rateLimit: '100 requests per 15 minutes'
+        },
+        {
+          path: 'GET /api/scoring-model',
+          description: 'Active risk scoring model',
+          rateLimit: '100 requests per 15 minutes'
+        },
+        {
+          path: 'POST /api/scoring-model/dry-run',
+          description: 'Re-score stored assessments with a candidate scoring model',
+          rateLimit: '100 requests per 15 minutes'
+        },
+        {
+          path: 'POST /api/scenarios',
+          description: 'Simulate modifications to a stored assessment and compare with the baseline',
+          rateLimit: '100 requests per 15 minutes'
+        },
+        {
+          path: 'GET /api/scenarios',
+          description: 'List saved scenarios (country, simulationType, baseAssessmentId, limit)',
+          rateLimit: '100 requests per 15 minutes'
+        },
+        {
+          path: 'GET /api/scenarios/:id',
+          description: 'Saved scenario with baseline, outcome and comparison',
+          rateLimit: '100 requests per 15 minutes'
+        },
+        {
+          path: 'POST /api/reports',
+          description: 'Generate and store a report (html, pdf, markdown, word, csv)',
+          rateLimit: '100 requests per 15 minutes'
+        },
+        {
+          path: 'GET /api/reports',
+          description: 'List stored reports (type, crisisId, format, limit)',
+          rateLimit: '100 requests per 15 minutes'
+        },
+        {
+          path: 'GET /api/reports/:id/download',
+          description: 'Download a stored report file',
+          rateLimit: '100 requests per 15 minutes'
+        },
+        {
+          path: 'POST /api/auth/login',
+          description: 'Sign in with email and password for a session token',
+          rateLimit: '10 requests per 15 minutes'
+        },
+        {
+          path: 'POST /api/auth/logout',
+          description: 'Revoke the session token used for the request',
+          rateLimit: '100 requests per 15 minutes'
+        },
+        {
+          path: 'GET /api/auth/session',
+          description: 'Current caller and role',
+          rateLimit: '100 requests per 15 minutes'
+        },
+        {
+          path: 'POST|GET /api/auth/api-keys, DELETE /api/auth/api-keys/:id',
+          description: 'Create, list or revoke API keys',
+          rateLimit: '100 requests per 15 minutes'
+        },
+        {
+          path: 'POST /api/users',
+          description: 'Create a user account with organization and regional assignments (admin)',
+          rateLimit: '100 requests per 15 minutes'
+        },
+        {
+          path: 'GET /api/users[/:id], PUT /api/users/:id, DELETE /api/users/:id',
+          description: 'List, view, update or deactivate users (role, organizationId, region, active, search)',
+          rateLimit: '100 requests per 15 minutes'
+        },
+        {
+          path: 'GET /api/me',
+          description: 'Your profile, regional scope and notification preferences',
+          rateLimit: '100 requests per 15 minutes'
+        },
+        {
+          path: 'GET|POST /api/organizations, GET|PUT|DELETE /api/organizations/:id',
+          description: 'Organizations and their members (GET /api/organizations/:id/users)',
+          rateLimit: '100 requests per 15 minutes'
+        },
+        {
+          path: 'GET /api/audit',
+          description: 'Audit log of sign-ins, API keys and AI runs (admin; action, userId, resourceType, resourceId, from, to, limit)',
+          rateLimit: '100 requests per 15 minutes'
         }
-      ]
+      ],
+      authentication: {
+        sessionToken: 'Authorization: Bearer <token> from POST /api/auth/login',
+        apiKey: 'X-API-Key: <key> or Authorization: ApiKey <key>',
+        anonymousRole: AUTH_CONFIG.anonymousRole,
+        roles: {
+          viewer: 'Read crises, analyses, plans, alerts, reports and scenarios',
+          analyst: 'Run and review AI analyses, scenarios, reports and scoring-model dry runs; acknowledge alerts',
+          coordinator: 'Generate response plans, manage crises, alerts, notifications and trigger monitoring jobs',
+          admin: 'Manage users and organizations, pause or resume monitoring jobs and read the audit log'
+        },
+        regionScope: 'Users with assigned regions only see crises, alerts and corridors in those regions or countries; admins see everything'
+      }
     },
     dataSources: [
       'UNHCR Official API (Real refugee data)',
@@ -226,105 +806,97 @@ router.get('/crisis',
   standardLimit,
   query('region').optional().isString().withMessage('Region must be a string'),
   query('riskLevel').optional().isString().withMessage('Risk level must be a string'),
+  query('status').optional().isIn([...CRISIS_STATUSES, 'ALL']).withMessage('Status must be ACTIVE, MONITORING, RESOLVED, PREVENTED or ALL'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100'),
   handleValidationErrors,
   crisisController.getAllCrises
 );
 
+/**
+ * Register a new crisis
+ * POST /api/crisis
+ */
+router.post('/crisis',
+  standardLimit,
+  requireRole('coordinator'),
+  crisisValidation,
+  handleValidationErrors,
+  crisisController.createCrisis
+);
 
-router.get('/crisis/geographical', async (req, res) => {
-  try {
-    logger.info('🌍 Fetching geographical crisis data');
-    
-    // Real crisis data with correct coordinates
-    const locations = [
-      {
-        id: 'SY',
-        name: 'Syria',
-        country: 'Syria',
-        coordinates: [34.8021, 38.9968], // [latitude, longitude]
-        displacement: 13500000,
-        population: 21324000,
-        riskLevel: 'HIGH',
-        region: 'Asia'
-      },
-      {
-        id: 'AF',
-        name: 'Afghanistan',
-        country: 'Afghanistan',
-        coordinates: [33.9391, 67.71],
-        displacement: 5900000,
-        population: 40218000,
-        riskLevel: 'HIGH',
-        region: 'Asia'
-      },
-      {
-        id: 'UA',
-        name: 'Ukraine',
-        country: 'Ukraine',
-        coordinates: [48.3794, 31.1656],
-        displacement: 8000000,
-        population: 44134000,
-        riskLevel: 'HIGH',
-        region: 'Europe'
-      },
-      {
-        id: 'SD',
-        name: 'Sudan',
-        country: 'Sudan',
-        coordinates: [12.8628, 30.2176],
-        displacement: 7100000,
-        population: 45657000,
-        riskLevel: 'HIGH',
-        region: 'Africa'
-      },
-      {
-        id: 'MM',
-        name: 'Myanmar',
-        country: 'Myanmar',
-        coordinates: [21.9162, 95.956],
-        displacement: 1800000,
-        population: 54409000,
-        riskLevel: 'HIGH',
-        region: 'Asia'
-      }
-    ];
-
-    const totalDisplaced = locations.reduce((sum, loc) => sum + loc.displacement, 0);
-    const riskDistribution = {
-      HIGH: locations.filter(l => l.riskLevel === 'HIGH').length,
-      CRITICAL: locations.filter(l => l.riskLevel === 'CRITICAL').length,
-      MEDIUM: locations.filter(l => l.riskLevel === 'MEDIUM').length,
-      LOW: locations.filter(l => l.riskLevel === 'LOW').length
-    };
+/**
+ * Replace a registered crisis
+ * PUT /api/crisis/:id
+ */
+router.put('/crisis/:id',
+  standardLimit,
+  requireRole('coordinator'),
+  param('id').isString().isLength({ min: 2, max: 50 }).withMessage('Invalid crisis ID'),
+  crisisValidation,
+  handleValidationErrors,
+  crisisController.updateCrisis
+);
 
-    res.json({
-      success: true,
-      data: {
-        locations,
-        count: locations.length,
-        totalDisplaced,
-        riskDistribution
-      },
-      source: 'Geographic + Refugee Data',
-      lastUpdated: new Date().toISOString()
-    });
+/**
+ * Update status or details of a registered crisis
+ * PATCH /api/crisis/:id
+ */
+router.patch('/crisis/:id',
+  standardLimit,
+  requireRole('coordinator'),
+  param('id').isString().isLength({ min: 2, max: 50 }).withMessage('Invalid crisis ID'),
+  crisisUpdateValidation,
+  handleValidationErrors,
+  crisisController.updateCrisis
+);
 
-  } catch (error) {
-    logger.error('Failed to fetch geographical data:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch geographical data',
-      message: error.message
-    });
-  }
-});
+/**
+ * Retire a crisis (?permanent=true deletes it and its history)
+ * DELETE /api/crisis/:id
+ */
+router.delete('/crisis/:id',
+  standardLimit,
+  requireRole('coordinator'),
+  param('id').isString().isLength({ min: 2, max: 50 }).withMessage('Invalid crisis ID'),
+  query('permanent').optional().isBoolean().withMessage('permanent must be true or false').toBoolean(),
+  handleValidationErrors,
+  crisisController.deleteCrisis
+);
+
+
+/**
+ * Registered crises as map locations
+ * GET /api/crisis/geographical
+ */
+router.get('/crisis/geographical',
+  standardLimit,
+  query('riskFilter').optional().isIn(RISK_LEVELS).withMessage('Invalid risk filter'),
+  query('bounds').optional().matches(/^-?\d+(\.\d+)?(,-?\d+(\.\d+)?){3}$/).withMessage('Bounds must be lat1,lng1,lat2,lng2'),
+  handleValidationErrors,
+  crisisController.getGeographicalCrises
+);
+
+/**
+ * Predicted migration corridors as a GeoJSON FeatureCollection
+ * GET /api/crisis/corridors?country&from&to
+ */
+router.get('/crisis/corridors',
+  standardLimit,
+  query('country').optional().isString().isLength({ min: 2, max: 100 }).withMessage('Invalid country'),
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  handleValidationErrors,
+  crisisController.getMigrationCorridors
+);
 
 // STEP 2: Enhanced global metrics endpoint
 router.get('/crisis/metrics/global', async (req, res) => {
   try {
     logger.info('📊 Fetching enhanced global metrics');
     
+    const registeredCrises = await DatabaseUtils.listCrises();
+    const countByRisk = (level) => registeredCrises.filter(c => c.risk_level === level).length;
+    
     const metrics = {
       overview: {
         totalDisplaced: 108400000,
@@ -338,11 +910,12 @@ router.get('/crisis/metrics/global', async (req, res) => {
         returns: 5400000,
         resettlement: 114300
       },
+      // Open crises in the registry
       riskDistribution: {
-        CRITICAL: 12,
-        HIGH: 28,
-        MEDIUM: 45,
-        LOW: 89
+        CRITICAL: countByRisk('CRITICAL'),
+        HIGH: countByRisk('HIGH'),
+        MEDIUM: countByRisk('MEDIUM'),
+        LOW: countByRisk('LOW')
       },
       trends: {
         yearOverYear: 8.4,
@@ -382,6 +955,193 @@ router.get('/crisis/:id',
   crisisController.getCrisisById
 );
 
+/**
+ * Risk time series built from the stored assessment history
+ * GET /api/crisis/:country/history?from&to&interval
+ * :country may be a country name, ISO code, alias or registry crisis ID
+ */
+router.get('/crisis/:country/history',
+  standardLimit,
+  param('country').isString().isLength({ min: 2, max: 50 }).withMessage('Invalid country'),
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  query('interval').optional().isIn(TIME_SERIES_INTERVALS).withMessage(`interval must be one of: ${TIME_SERIES_INTERVALS.join(', ')}`),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { crisis, country } = await resolveCountryParam(req.params.country);
+    const interval = req.query.interval || 'day';
+
+    if (!await isCountryVisible(req, crisis, country)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Crisis not found'
+      });
+    }
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    if (from > to) {
+      return res.status(400).json({
+        success: false,
+        error: 'from must be before to'
+      });
+    }
+
+    const rows = await DatabaseUtils.getAssessmentHistory(country, {
+      from: toDbTimestamp(from),
+      to: toDbTimestamp(to)
+    });
+
+    const changes = rows
+      .filter(row => row.risk_changed)
+      .map(row => ({
+        from: row.previous_risk,
+        to: row.overall_risk,
+        at: parseDbTimestamp(row.created_at).toISOString(),
+        source: row.source
+      }));
+
+    res.json({
+      success: true,
+      data: {
+        country,
+        crisisId: crisis ? crisis.id : (rows.find(row => row.crisis_id)?.crisis_id || null),
+        interval,
+        from: from.toISOString(),
+        to: to.toISOString(),
+        series: buildRiskTimeSeries(rows, interval),
+        changes,
+        summary: {
+          assessments: rows.length,
+          firstAssessmentAt: rows.length > 0 ? parseDbTimestamp(rows[0].created_at).toISOString() : null,
+          latestRisk: rows.length > 0 ? rows[rows.length - 1].overall_risk : null,
+          riskChanges: changes.length
+        }
+      },
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+
+
+/**
+ * Structured breakdown of why a country was scored the way it was
+ * GET /api/crisis/:country/explain?refresh&format&uncertainty&iterations&seed
+ * Uses the latest stored assessment unless refresh=true or none exists yet;
+ * only analysts and above can have a fresh assessment run.
+ * uncertainty=true adds Monte Carlo P10/P50/P90 displacement ranges.
+ */
+router.get('/crisis/:country/explain',
+  standardLimit,
+  param('country').isString().isLength({ min: 2, max: 50 }).withMessage('Invalid country'),
+  query('refresh').optional().isBoolean().withMessage('refresh must be true or false').toBoolean(),
+  query('format').optional().isIn(['json', 'text']).withMessage('format must be json or text'),
+  query('uncertainty').optional().isBoolean().withMessage('uncertainty must be true or false').toBoolean(),
+  // Simulations run on the request thread, so callers get a smaller cap than the scoring model
+  query('iterations').optional().isInt({ min: 100, max: 5000 }).withMessage('iterations must be 100-5000').toInt(),
+  query('seed').optional().isInt({ min: 0 }).withMessage('seed must be a non-negative integer').toInt(),
+  handleValidationErrors,
+  // A fresh assessment writes history, raises alerts and calls paid data sources
+  (req, res, next) => (req.query.refresh ? requireRole('analyst')(req, res, next) : next()),
+  catchAsync(async (req, res) => {
+    if (!aggregatorService) {
+      return res.status(503).json({
+        success: false,
+        error: 'Data aggregator not available',
+        details: 'Service initialization failed'
+      });
+    }
+
+    const { crisis, country } = await resolveCountryParam(req.params.country);
+    let assessment = null;
+
+    if (!await isCountryVisible(req, crisis, country)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Crisis not found'
+      });
+    }
+    let assessedAt = null;
+    let origin = 'history';
+
+    if (!req.query.refresh) {
+      const latest = await DatabaseUtils.getLatestAssessment(country);
+      try {
+        const stored = latest ? JSON.parse(latest.assessment) : null;
+        if (stored?.explanation) {
+          assessment = stored;
+          assessedAt = parseDbTimestamp(latest.created_at).toISOString();
+        }
+      } catch (error) {
+        logger.warn(`Stored assessment for ${country} is not valid JSON: ${error.message}`);
+      }
+    }
+
+    if (!assessment) {
+      if (!hasRole(req.principal?.role, 'analyst')) {
+        return res.status(404).json({
+          success: false,
+          error: `No stored assessment for ${country}`,
+          details: 'An analyst can run one with refresh=true'
+        });
+      }
+      // Explaining a risk level should not raise alerts about it
+      assessment = await aggregatorService.getComprehensiveCrisisAssessment(country, { raiseAlerts: false });
+      assessedAt = new Date().toISOString();
+      origin = 'fresh';
+    }
+
+    if (!assessment.explanation) {
+      return res.status(404).json({
+        success: false,
+        error: `No assessment available for ${country}`
+      });
+    }
+
+    const summary = aggregatorService.describeExplanation(assessment.explanation);
+
+    let uncertainty = null;
+    if (req.query.uncertainty) {
+      const { iterations, seed } = req.query;
+      uncertainty = assessment.displacementRisk.uncertainty && !iterations && seed === undefined
+        ? assessment.displacementRisk.uncertainty
+        : aggregatorService.simulateDisplacement(assessment, getScoringModel(), { iterations, seed });
+
+      const { p10, p50, p90 } = uncertainty.estimatedNumbers;
+      summary.push(`Displacement range over ${uncertainty.iterations} simulated runs: ` +
+        `P10 ${p10}, P50 ${p50}, P90 ${p90}; most likely level ${uncertainty.level.mostLikely} (${uncertainty.timeline.mostLikely}).`);
+    }
+
+    if (req.query.format === 'text') {
+      return res.type('text/plain').send(summary.join('\n'));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        country: assessment.country,
+        crisisId: crisis ? crisis.id : (assessment.history?.crisisId || null),
+        assessedAt,
+        origin,
+        overallRisk: assessment.overallRisk,
+        confidence: assessment.confidence,
+        scoringModelVersion: assessment.scoringModelVersion,
+        displacementRisk: {
+          level: assessment.displacementRisk.level,
+          estimatedNumbers: assessment.displacementRisk.estimatedNumbers,
+          timeline: assessment.displacementRisk.timeline,
+          primaryCauses: assessment.displacementRisk.primaryCauses,
+          ...(uncertainty && { uncertainty })
+        },
+        explanation: assessment.explanation,
+        summary
+      },
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
 
 
 // ===========================================
@@ -622,43 +1382,90 @@ router.get('/climate/earthquakes',
 
 
 
-app.post('/api/crisis/:id/ai-analysis', async (req, res) => {
-  try {
+/**
+ * Advanced multi-protocol AI analysis
+ * POST /api/crisis/:id/ai-analysis
+ */
+router.post('/crisis/:id/ai-analysis',
+  aiLimit,
+  requireRole('analyst'),
+  param('id').isString(),
+  body('mode').optional().isIn(['auto', 'ensemble', 'fallback']).withMessage('Mode must be auto, ensemble or fallback'),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
     const { id } = req.params;
-    const { options = {} } = req.body;
-    
+    const mode = req.body?.mode || 'auto';
+
     // Get crisis data
-    const crisisData = await getCrisisById(id); // Your existing function
-    if (!crisisData) {
+    const resolved = await resolveCrisis(id, req.principal);
+    if (!resolved || !resolved.crisis) {
       return res.status(404).json({
         success: false,
         error: 'Crisis not found'
       });
     }
 
-    // Perform AI analysis
+    // Perform AI analysis (CRITICAL crises run the model ensemble in auto mode)
     const aiService = new AdvancedAICrisisService();
-    const result = await aiService.performAdvancedCrisisAnalysis(crisisData);
-    
+    const result = await aiService.performAdvancedCrisisAnalysis(
+      { ...resolved.crisis, overallRisk: resolved.crisis.risk_level },
+      { mode }
+    );
+
+    // Model output waits in the review queue; disagreeing models and the no-model fallback raise a REVIEW alert
+    const reviewRequired = Boolean(result.analysis.humanReview?.required);
+    const displacement = result.analysis.displacementPrediction || {};
+    const review = result.success
+      ? await getReviewService().submit({
+        crisis: resolved.crisis,
+        type: 'advanced',
+        analysis: result.analysis,
+        provenance: {
+          model: result.analysis.metadata.modelUsed,
+          modelsUsed: result.analysis.metadata.modelsUsed,
+          mode: result.analysis.metadata.mode,
+          triggeredBy: triggeredBy(req)
+        },
+        prediction: {
+          displacement_estimate: parsePopulationEstimate(displacement.estimatedAffected),
+          confidence_level: result.analysis.confidence,
+          timeline_days: timeframeToDays(displacement.timeframe),
+          destinations: displacement.likelyDestinations || [],
+          migration_routes: [],
+          triggers: [],
+          model_version: result.analysis.metadata.modelUsed
+        },
+        reasons: result.analysis.humanReview?.reasons || [],
+        submittedBy: actorName(req) || null,
+        submitterId: req.principal?.userId || null
+      })
+      : null;
+    const reviewAlert = reviewRequired
+      ? await getAlertService().flagForReview(resolved.crisis, result.analysis, review?.id || null)
+      : null;
+
+    await recordAudit(req, 'ai_analysis.advanced', { type: 'crisis', id: resolved.crisis.id }, {
+      country: resolved.crisis.country,
+      mode: result.analysis.metadata?.mode || 'fallback',
+      reviewRequired,
+      reviewId: review?.id || null,
+      requestId: req.requestId || null
+    });
+
     res.json({
       success: true,
       data: {
         analysis: result.analysis,
-        crisisId: id,
-        requestId: `req_${Date.now()}`,
+        review: review ? { id: review.id, status: review.status, dueAt: review.dueAt } : null,
+        reviewRequired,
+        reviewAlert,
+        crisisId: resolved.crisis.id,
+        requestId: req.requestId || `req_${Date.now()}`,
         timestamp: new Date().toISOString()
       }
     });
-    
-  } catch (error) {
-    logger.error('AI analysis API error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'AI analysis failed',
-      details: error.message
-    });
-  }
-});
+  })
+);
 
 /**
  * Get weather data - FIXED
@@ -795,12 +1602,16 @@ router.get('/news/crisis',
  * GET /api/ai/status
  */
 router.get('/ai/status', standardLimit, catchAsync(async (req, res) => {
+  const llmConfig = getLLMConfig();
+
   res.json({
     success: true,
     data: {
       status: 'operational',
-      model: 'openai/gpt-oss-20b:fireworks-ai',
-      provider: 'Hugging Face Inference API',
+      model: llmConfig.defaultModel,
+      provider: llmConfig.label,
+      providerId: llmConfig.provider,
+      modelChain: llmConfig.modelChain,
       capabilities: [
         'Multi-factor crisis analysis',
         'Displacement prediction',
@@ -883,130 +1694,253 @@ router.get('/health/services', standardLimit, catchAsync(async (req, res) => {
 
 
 
-// AI Status Endpoint  
-router.get('/ai/status', standardLimit, catchAsync(async (req, res) => {
-  res.json({
-    success: true,
-    data: {
-      status: 'operational',
-      model: 'gpt-oss-20b:fireworks-ai',
-      provider: 'Hugging Face Inference API',
-      capabilities: ['Crisis Analysis', 'Response Planning', 'Risk Assessment'],
-      performance: {
-        averageResponseTime: 2500,
-        availability: '99.9%'
-      },
-      lastTest: new Date().toISOString()
-    }
-  });
-}));
-
 // Crisis Analysis Endpoint
-router.post('/crisis/:id/analyze', 
-  standardLimit,
+router.post('/crisis/:id/analyze',
+  aiLimit,
+  requireRole('analyst'),
   param('id').isString(),
   handleValidationErrors,
   catchAsync(async (req, res) => {
-    const crisisId = req.params.id;
-    
-    // Get crisis data
-    const crisisResult = await geoService.getCountryByName(crisisId);
-    if (!crisisResult.success) {
+    if (!aggregatorService || !aiCrisisService) {
+      return res.status(503).json({
+        success: false,
+        error: 'AI analysis pipeline not available',
+        details: 'Service initialization failed'
+      });
+    }
+
+    const resolved = await resolveCrisis(req.params.id, req.principal);
+    if (!resolved) {
       return res.status(404).json({
         success: false,
         error: 'Crisis not found'
       });
     }
 
-    // Simulate AI analysis (replace with real AI service)
-    const analysis = {
-      overallRisk: 'HIGH',
-      confidence: 0.87,
-      keyFindings: [
-        'Displacement levels have increased 23% in past 6 months',
-        'Climate events increasing displacement pressure',
-        'Limited humanitarian access in affected regions'
-      ],
-      recommendations: [
-        'Increase emergency aid allocation by 40%',
-        'Establish temporary refugee processing centers',
-        'Coordinate with neighboring countries for burden sharing'
-      ],
-      priorityActions: [
-        'Immediate food and medical supply distribution',
-        'Emergency shelter construction',
-        'Child protection services activation'
-      ],
-      lastAnalyzed: new Date().toISOString()
-    };
+    const result = await runCrisisAnalysis(resolved, triggeredBy(req));
+
+    await recordAudit(req, 'ai_analysis.run', { type: 'crisis', id: resolved.crisis ? resolved.crisis.id : resolved.country }, {
+      country: resolved.country,
+      model: result.provenance.model,
+      fallback: result.provenance.fallback,
+      assessmentId: result.provenance.assessmentId,
+      reviewId: result.review?.id || null
+    });
 
     res.json({
       success: true,
-      data: analysis
+      data: {
+        crisisId: resolved.crisis ? resolved.crisis.id : req.params.id,
+        country: resolved.country,
+        analysis: result.analysis,
+        provenance: result.provenance,
+        // Stored on the crisis once an analyst approves it (see /api/ai/reviews)
+        review: result.review ? { id: result.review.id, status: result.review.status, dueAt: result.review.dueAt } : null,
+        lastAnalyzed: new Date().toISOString()
+      }
     });
   })
 );
 
+// Plan options that reach the planning prompt; anything else in the body is ignored
+const PLAN_OPTIONS = ['planType', 'budget', 'timeline', 'priorities'];
+
 // Response Plan Generation
 router.post('/crisis/:id/plan',
-  standardLimit, 
+  aiLimit,
+  requireRole('coordinator'),
   param('id').isString(),
+  body('refreshAnalysis').optional().isBoolean().withMessage('refreshAnalysis must be true or false').toBoolean(),
+  body('planType').optional().isIn(['emergency', 'comprehensive', 'long-term']).withMessage('planType must be emergency, comprehensive or long-term'),
+  body('budget').optional().isFloat({ min: 0 }).withMessage('budget must be a positive number').toFloat(),
+  body('timeline').optional().isString().trim().isLength({ max: 50 }).withMessage('timeline must be at most 50 characters'),
+  body('priorities').optional().isArray({ max: 10 }).withMessage('priorities must be an array of at most 10 items'),
+  body('priorities.*').isString().trim().isLength({ min: 1, max: 50 }).withMessage('Each priority must be 1-50 characters'),
   handleValidationErrors,
   catchAsync(async (req, res) => {
-    const crisisId = req.params.id;
-    const options = req.body;
+    if (!aggregatorService || !aiCrisisService || !planService) {
+      return res.status(503).json({
+        success: false,
+        error: 'AI planning pipeline not available',
+        details: 'Service initialization failed'
+      });
+    }
 
-    // Get crisis data
-    const crisisResult = await geoService.getCountryByName(crisisId);
-    if (!crisisResult.success) {
+    const resolved = await resolveCrisis(req.params.id, req.principal);
+    if (!resolved) {
       return res.status(404).json({
         success: false,
         error: 'Crisis not found'
       });
     }
 
-    // Generate response plan (replace with real AI service)
-    const responsePlan = {
-      planId: `PLAN-${crisisId}-${Date.now()}`,
-      crisis: crisisId,
-      priority: 'HIGH',
-      estimatedCost: 15000000,
-      timeline: '6 months',
-      phases: [
-        {
-          phase: 'Immediate Response (0-30 days)',
-          actions: [
-            'Deploy emergency response teams',
-            'Establish refugee registration centers',
-            'Distribute emergency supplies'
-          ],
-          budget: 5000000
-        },
-        {
-          phase: 'Stabilization (1-3 months)', 
-          actions: [
-            'Set up temporary shelters',
-            'Provide healthcare services',
-            'Start education programs'
-          ],
-          budget: 7000000
-        },
-        {
-          phase: 'Long-term Support (3-6 months)',
-          actions: [
-            'Facilitate durable solutions',
-            'Support host communities', 
-            'Monitor and evaluate programs'
-          ],
-          budget: 3000000
-        }
-      ],
-      generatedAt: new Date().toISOString()
+    const { crisis, country } = resolved;
+    const refreshAnalysis = req.body.refreshAnalysis === true;
+    const planOptions = Object.fromEntries(
+      PLAN_OPTIONS.filter(key => req.body[key] !== undefined).map(key => [key, req.body[key]])
+    );
+
+    // Reuse the last stored (reviewed) analysis unless a fresh one is requested.
+    // A plan built on a fresh analysis is a draft: it is returned but not saved,
+    // since the analysis behind it is still waiting in the review queue.
+    let analysis = refreshAnalysis ? null : getStoredAnalysis(crisis);
+    let analysisSource = 'stored';
+    let analysisReviewId = analysis?.review?.id || null;
+    let uncertainty = null;
+    if (!analysis) {
+      const result = await runCrisisAnalysis(resolved, triggeredBy(req));
+      await recordAudit(req, 'ai_analysis.run', { type: 'crisis', id: crisis ? crisis.id : country }, {
+        country,
+        model: result.provenance.model,
+        fallback: result.provenance.fallback,
+        assessmentId: result.provenance.assessmentId,
+        reviewId: result.review?.id || null,
+        for: 'response_plan'
+      });
+      analysis = result.analysis;
+      uncertainty = result.assessment.displacementRisk?.uncertainty || null;
+      analysisSource = 'fresh';
+      analysisReviewId = result.review?.id || null;
+    }
+    if (!uncertainty) {
+      uncertainty = await getStoredDisplacementUncertainty(country);
+    }
+
+    const displacement = analysis.displacementPrediction || {};
+    const population = parsePopulationEstimate(displacement.estimatedPopulation) ||
+      (crisis && crisis.predicted_displacement) || 10000;
+
+    const plan = await planService.generateResponsePlan({
+      ...analysis,
+      metadata: { ...analysis.metadata, country },
+      displacementPrediction: {
+        ...displacement,
+        estimatedPopulation: population,
+        range: uncertainty ? { ...uncertainty.estimatedNumbers, iterations: uncertainty.iterations } : null
+      }
+    }, planOptions);
+
+    // Fallback plans skip the enhancement step, so fill in the calculations here
+    const targetPopulation = plan.metadata?.targetPopulation || population;
+    const costBreakdown = plan.costAnalysis?.breakdown || planService.calculateDetailedCosts(targetPopulation, plan);
+    const staffPlan = plan.staffPlan || planService.calculateStaffRequirements(targetPopulation);
+    const funding = plan.costAnalysis?.funding || planService.generateFundingStrategy(costBreakdown);
+    const budgetVariants = plan.budgetVariants || null;
+
+    const provenance = {
+      model: plan.metadata?.modelUsed || null,
+      tokensUsed: plan.metadata?.tokensUsed || 0,
+      repairAttempts: plan.metadata?.repairAttempts || 0,
+      fallback: Boolean(plan.metadata?.fallback),
+      fallbackReason: plan.fallbackReason || null,
+      analysisSource,
+      analysisModel: analysis.metadata?.modelUsed || null,
+      analysisReviewId,
+      triggeredBy: triggeredBy(req)
     };
 
+    let planRecord = null;
+    if (crisis && analysisSource === 'stored') {
+      const aiPlanType = String(plan.planType || '').toUpperCase();
+      const inserted = await DatabaseUtils.insertResponsePlan({
+        crisis_id: crisis.id,
+        plan_type: PLAN_TYPE_MAP[aiPlanType] || 'EMERGENCY',
+        resources_needed: {
+          targetPopulation,
+          staffPlan,
+          phases: Object.fromEntries(
+            Object.entries(plan.phases || {}).map(([phase, details]) => [phase, details.resources || {}])
+          )
+        },
+        timeline_weeks: Math.ceil(timeframeToDays(plan.planOverview?.implementationPeriod || '24 months') / 7),
+        estimated_cost: plan.totalCost || costBreakdown.total,
+        cost_breakdown: { ...costBreakdown, funding, budgetVariants },
+        plan_data: { ...plan, staffPlan, provenance },
+        ai_generated: provenance.fallback ? 0 : 1
+      });
+
+      planRecord = formatPlanRecord(await DatabaseUtils.getResponsePlanById(inserted.lastID));
+    }
+
+    await recordAudit(req, 'response_plan.generate', { type: 'crisis', id: crisis ? crisis.id : country }, {
+      country,
+      planId: planRecord ? planRecord.planId : null,
+      model: provenance.model,
+      fallback: provenance.fallback,
+      analysisSource
+    });
+
+    res.json({
+      success: true,
+      data: {
+        planId: planRecord ? planRecord.planId : null,
+        crisisId: crisis ? crisis.id : req.params.id,
+        country,
+        plan: { ...plan, staffPlan },
+        costBreakdown,
+        funding,
+        budgetVariants,
+        displacementUncertainty: uncertainty,
+        provenance,
+        persisted: Boolean(planRecord),
+        generatedAt: new Date().toISOString()
+      },
+      ...(analysisSource === 'fresh' && crisis ? {
+        message: `Draft plan, not saved: its analysis is waiting for review #${analysisReviewId}. Generate the plan again once it is approved.`
+      } : {})
+    });
+  })
+);
+
+/**
+ * List stored response plans for a crisis
+ * GET /api/crisis/:id/plans
+ */
+router.get('/crisis/:id/plans',
+  standardLimit,
+  param('id').isString(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const resolved = await resolveCrisis(req.params.id, req.principal);
+    if (!resolved || !resolved.crisis) {
+      return res.status(404).json({
+        success: false,
+        error: 'Crisis not found'
+      });
+    }
+
+    const plans = await DatabaseUtils.getResponsePlansByCrisisId(resolved.crisis.id);
+
+    res.json({
+      success: true,
+      data: plans.map(formatPlanRecord),
+      count: plans.length,
+      crisisId: resolved.crisis.id
+    });
+  })
+);
+
+/**
+ * Get a stored response plan
+ * GET /api/plans/:planId
+ */
+router.get('/plans/:planId',
+  standardLimit,
+  param('planId').isInt({ min: 1 }).withMessage('Plan ID must be a positive integer'),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const plan = await DatabaseUtils.getResponsePlanById(parseInt(req.params.planId));
+    const crisis = plan ? await DatabaseUtils.getCrisisById(plan.crisis_id) : null;
+    if (!plan || (crisis && !isInRegionScope(req.principal, crisis))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Response plan not found'
+      });
+    }
+
     res.json({
       success: true,
-      data: responsePlan
+      data: formatPlanRecord(plan)
     });
   })
 );
@@ -1052,6 +1986,1293 @@ router.get('/climate/events',
     }
   })
 );
+// ===========================================
+// MONITORING SCHEDULER ROUTES
+// ===========================================
+
+const jobNameParam = param('name').matches(/^[a-z0-9-]+$/).withMessage('Invalid job name');
+
+const respondWithJob = (res, name, job) => {
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: `Monitoring job not found: ${name}`,
+      availableJobs: getMonitoringScheduler().listJobs().map(j => j.name)
+    });
+  }
+  res.json({ success: true, data: job });
+};
+
+/**
+ * List scheduled monitoring jobs and the current watchlist
+ * GET /api/monitoring/jobs
+ */
+router.get('/monitoring/jobs', standardLimit, catchAsync(async (req, res) => {
+  const scheduler = getMonitoringScheduler();
+
+  res.json({
+    success: true,
+    data: {
+      jobs: scheduler.listJobs(),
+      watchlist: await scheduler.getWatchlist(),
+      schedulerRunning: scheduler.started
+    },
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * Pause a monitoring job
+ * POST /api/monitoring/jobs/:name/pause
+ */
+router.post('/monitoring/jobs/:name/pause',
+  standardLimit,
+  requireRole('admin'),
+  jobNameParam,
+  handleValidationErrors,
+  (req, res) => respondWithJob(res, req.params.name, getMonitoringScheduler().pauseJob(req.params.name))
+);
+
+/**
+ * Resume a paused monitoring job
+ * POST /api/monitoring/jobs/:name/resume
+ */
+router.post('/monitoring/jobs/:name/resume',
+  standardLimit,
+  requireRole('admin'),
+  jobNameParam,
+  handleValidationErrors,
+  (req, res) => respondWithJob(res, req.params.name, getMonitoringScheduler().resumeJob(req.params.name))
+);
+
+/**
+ * Run a monitoring job now and return the run record
+ * POST /api/monitoring/jobs/:name/trigger
+ */
+router.post('/monitoring/jobs/:name/trigger',
+  standardLimit,
+  requireRole('coordinator'),
+  jobNameParam,
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const run = await getMonitoringScheduler().triggerJob(req.params.name);
+    respondWithJob(res, req.params.name, run);
+  })
+);
+
+// ===========================================
+// ALERT ROUTES
+// ===========================================
+
+const alertIdParam = param('id').isInt({ min: 1 }).withMessage('Alert ID must be a positive integer').toInt();
+
+/**
+ * List alerts, newest first
+ * GET /api/alerts
+ */
+router.get('/alerts',
+  standardLimit,
+  query('status').optional().isIn(ALERT_STATUSES).withMessage(`Status must be one of: ${ALERT_STATUSES.join(', ')}`),
+  query('level').optional().isIn(ALERT_LEVELS).withMessage(`Level must be one of: ${ALERT_LEVELS.join(', ')}`),
+  query('crisisId').optional().isString().isLength({ min: 2, max: 50 }).withMessage('Invalid crisis ID'),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be 1-500').toInt(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { status = 'open', level, crisisId, limit } = req.query;
+    const alerts = await getAlertService().listAlerts({ status, level, crisisId, regions: regionScope(req.principal), limit });
+
+    res.json({
+      success: true,
+      data: alerts,
+      summary: {
+        total: alerts.length,
+        critical: alerts.filter(alert => alert.level === 'CRITICAL').length,
+        unacknowledged: alerts.filter(alert => !alert.acknowledged).length,
+        escalated: alerts.filter(alert => alert.escalationLevel > 0).length
+      },
+      filters: { status, level: level || null, crisisId: crisisId || null },
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * Raise an alert for a registered crisis
+ * POST /api/alerts
+ */
+router.post('/alerts',
+  standardLimit,
+  requireRole('coordinator'),
+  alertValidation,
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const crisis = await DatabaseUtils.getCrisisById(req.body.crisisId);
+    if (!crisis || !isInRegionScope(req.principal, crisis)) {
+      return res.status(404).json({
+        success: false,
+        error: `Crisis not found: ${req.body.crisisId}`
+      });
+    }
+
+    const alert = await getAlertService().createManualAlert(req.body, actorName(req));
+    res.status(201).json({ success: true, data: alert });
+  })
+);
+
+/**
+ * Acknowledge an alert (stops escalation)
+ * POST /api/alerts/:id/acknowledge
+ */
+router.post('/alerts/:id/acknowledge',
+  standardLimit,
+  requireRole('analyst'),
+  alertIdParam,
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const alertService = getAlertService();
+    const existing = await alertService.getAlert(req.params.id);
+
+    if (!existing || !isInRegionScope(req.principal, existing)) {
+      return res.status(404).json({ success: false, error: `Alert not found: ${req.params.id}` });
+    }
+    if (existing.resolved) {
+      return res.status(409).json({ success: false, error: 'Alert is already resolved', data: existing });
+    }
+    if (existing.acknowledged) {
+      return res.json({ success: true, data: existing, message: 'Alert was already acknowledged' });
+    }
+
+    const alert = await alertService.acknowledgeAlert(req.params.id, actorName(req));
+    res.json({ success: true, data: alert });
+  })
+);
+
+/**
+ * Resolve an alert
+ * POST /api/alerts/:id/resolve
+ */
+router.post('/alerts/:id/resolve',
+  standardLimit,
+  requireRole('coordinator'),
+  alertIdParam,
+  body('note').optional().isString().isLength({ max: 1000 }).withMessage('Note must be at most 1000 characters').trim(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const alertService = getAlertService();
+    const existing = await alertService.getAlert(req.params.id);
+
+    if (!existing || !isInRegionScope(req.principal, existing)) {
+      return res.status(404).json({ success: false, error: `Alert not found: ${req.params.id}` });
+    }
+    if (existing.resolved) {
+      return res.status(409).json({ success: false, error: 'Alert is already resolved', data: existing });
+    }
+
+    const alert = await alertService.resolveAlert(req.params.id, actorName(req), req.body.note);
+    res.json({ success: true, data: alert });
+  })
+);
+
+// ===========================================
+// AI REVIEW ROUTES
+// ===========================================
+
+const reviewIdParam = param('id').isInt({ min: 1 }).withMessage('Review ID must be a positive integer').toInt();
+const REVIEW_TYPES = ['crisis', 'advanced'];
+
+/**
+ * A review the caller may see; reviews of crises outside their regions are not found
+ * @param {Object} req - Express request with a review ID param
+ * @returns {Promise<Object>} Formatted review
+ */
+const getVisibleReview = async (req) => {
+  const review = await getReviewService().getReview(req.params.id);
+  if (!isInRegionScope(req.principal, review)) {
+    throw new NotFoundError('Review');
+  }
+  return review;
+};
+
+/**
+ * Review queue. Pending reviews come soonest-due first.
+ * GET /api/ai/reviews
+ */
+router.get('/ai/reviews',
+  standardLimit,
+  requireRole('analyst'),
+  query('status').optional().isIn([...REVIEW_STATUSES, 'all']).withMessage(`Status must be one of: ${[...REVIEW_STATUSES, 'all'].join(', ')}`),
+  query('type').optional().isIn(REVIEW_TYPES).withMessage(`Type must be one of: ${REVIEW_TYPES.join(', ')}`),
+  query('crisisId').optional().isString().isLength({ min: 2, max: 50 }).withMessage('Invalid crisis ID'),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be 1-500').toInt(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { status = 'pending', type, crisisId, limit } = req.query;
+    const reviews = await getReviewService().listReviews({ status, type, crisisId, regions: regionScope(req.principal), limit });
+
+    res.json({
+      success: true,
+      data: reviews,
+      summary: {
+        total: reviews.length,
+        overdue: reviews.filter(review => review.overdue).length,
+        flagged: reviews.filter(review => review.reviewReasons.length > 0).length
+      },
+      filters: { status, type: type || null, crisisId: crisisId || null },
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * One review with the AI output and, when amended, the amended analysis
+ * GET /api/ai/reviews/:id
+ */
+router.get('/ai/reviews/:id',
+  standardLimit,
+  requireRole('analyst'),
+  reviewIdParam,
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    try {
+      res.json({ success: true, data: await getVisibleReview(req) });
+    } catch (error) {
+      handleAuthServiceError(res, error);
+    }
+  })
+);
+
+/**
+ * Approve an analysis as the model returned it; it is stored on the crisis
+ * POST /api/ai/reviews/:id/approve
+ */
+router.post('/ai/reviews/:id/approve',
+  standardLimit,
+  requireRole('analyst'),
+  reviewIdParam,
+  reviewDecisionValidation,
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    try {
+      await getVisibleReview(req);
+      const review = await getReviewService().approve(req.principal, req.params.id, req.body, { ip: req.ip });
+      res.json({ success: true, data: review });
+    } catch (error) {
+      handleAuthServiceError(res, error);
+    }
+  })
+);
+
+/**
+ * Approve an analysis with a different risk level or edited recommendations
+ * POST /api/ai/reviews/:id/amend
+ */
+router.post('/ai/reviews/:id/amend',
+  standardLimit,
+  requireRole('analyst'),
+  reviewIdParam,
+  reviewAmendValidation,
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    try {
+      await getVisibleReview(req);
+      const review = await getReviewService().amend(req.principal, req.params.id, req.body, { ip: req.ip });
+      res.json({ success: true, data: review });
+    } catch (error) {
+      handleAuthServiceError(res, error);
+    }
+  })
+);
+
+/**
+ * Reject an analysis; nothing is stored on the crisis
+ * POST /api/ai/reviews/:id/reject
+ */
+router.post('/ai/reviews/:id/reject',
+  standardLimit,
+  requireRole('analyst'),
+  reviewIdParam,
+  body('comments').notEmpty().withMessage('Say why the analysis is rejected'),
+  reviewDecisionValidation,
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    try {
+      await getVisibleReview(req);
+      const review = await getReviewService().reject(req.principal, req.params.id, req.body, { ip: req.ip });
+      res.json({ success: true, data: review });
+    } catch (error) {
+      handleAuthServiceError(res, error);
+    }
+  })
+);
+
+// ===========================================
+// NOTIFICATION ROUTES
+// ===========================================
+
+const subscriberIdParam = param('id').isInt({ min: 1 }).withMessage('Subscriber ID must be a positive integer').toInt();
+
+const DELIVERY_STATUSES = ['pending', 'deferred', 'sent', 'failed', 'skipped'];
+
+const subscriberContactValidation = [
+  body('email').optional({ values: 'null' }).isEmail().withMessage('Invalid email address'),
+  body('phone').optional({ values: 'null' }).matches(/^\+?[0-9 ()-]{6,20}$/).withMessage('Invalid phone number'),
+  body('webhookUrl').optional({ values: 'null' })
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('Webhook URL must be an http(s) URL')
+    .bail()
+    .custom(url => {
+      const problem = checkWebhookUrl(url);
+      if (problem) throw new Error(problem);
+      return true;
+    }),
+  body('pushToken').optional({ values: 'null' }).isString().isLength({ min: 1, max: 500 }).withMessage('Invalid push token'),
+  body('quietHours.timezone').optional().custom(isValidTimezone).withMessage('Quiet hours timezone must be an IANA timezone name')
+];
+
+/**
+ * List notification subscribers
+ * GET /api/notifications/subscribers
+ */
+router.get('/notifications/subscribers',
+  standardLimit,
+  requireRole('coordinator'),
+  query('active').optional().isBoolean().withMessage('active must be true or false').toBoolean(),
+  query('frequency').optional().isIn(NOTIFICATION_FREQUENCIES).withMessage(`Frequency must be one of: ${NOTIFICATION_FREQUENCIES.join(', ')}`),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { active, frequency } = req.query;
+    const notificationService = getNotificationService();
+    const subscribers = await notificationService.listSubscribers({ active, frequency });
+
+    res.json({
+      success: true,
+      data: subscribers,
+      count: subscribers.length,
+      transports: notificationService.transports.getStatus(),
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+/**
+ * Subscribe to alert notifications
+ * POST /api/notifications/subscribers
+ */
+router.post('/notifications/subscribers',
+  standardLimit,
+  requireRole('coordinator'),
+  body('name').isString().trim().isLength({ min: 1, max: 200 }).withMessage('Name is required (max 200 characters)'),
+  subscriberContactValidation,
+  notificationPreferencesValidation,
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const missing = missingContacts(normalizePreferences(req.body).channels, req.body);
+    if (missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Missing contact details for: ${missing.join(', ')}`
+      });
+    }
+
+    const subscriber = await getNotificationService().createSubscriber(req.body);
+    res.status(201).json({ success: true, data: subscriber });
+  })
+);
+
+/**
+ * Subscriber with their most recent deliveries
+ * GET /api/notifications/subscribers/:id
+ */
+router.get('/notifications/subscribers/:id',
+  standardLimit,
+  requireRole('coordinator'),
+  subscriberIdParam,
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const notificationService = getNotificationService();
+    const subscriber = await notificationService.getSubscriber(req.params.id);
+
+    if (!subscriber) {
+      return res.status(404).json({ success: false, error: `Subscriber not found: ${req.params.id}` });
+    }
+
+    const deliveries = await notificationService.listDeliveries({ subscriberId: subscriber.id, limit: 20 });
+    res.json({ success: true, data: { ...subscriber, recentDeliveries: deliveries } });
+  })
+);
+
+/**
+ * Replace a subscriber's notification preferences (and any contact details given)
+ * PUT /api/notifications/subscribers/:id/preferences
+ */
+router.put('/notifications/subscribers/:id/preferences',
+  standardLimit,
+  requireRole('coordinator'),
+  subscriberIdParam,
+  body('name').optional().isString().trim().isLength({ min: 1, max: 200 }).withMessage('Name must be 1-200 characters'),
+  subscriberContactValidation,
+  notificationPreferencesValidation,
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const notificationService = getNotificationService();
+    const existing = await notificationService.getSubscriber(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({ success: false, error: `Subscriber not found: ${req.params.id}` });
+    }
+
+    const contact = { ...existing.contact };
+    for (const field of Object.keys(contact)) {
+      if (req.body[field] !== undefined) contact[field] = req.body[field];
+    }
+    const missing = missingContacts(normalizePreferences(req.body).channels, contact);
+    if (missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Missing contact details for: ${missing.join(', ')}`
+      });
+    }
+
+    const subscriber = await notificationService.updateSubscriber(req.params.id, req.body);
+    res.json({ success: true, data: subscriber });
+  })
+);
+
+/**
+ * Unsubscribe (deliveries already recorded are kept)
+ * DELETE /api/notifications/subscribers/:id
+ */
+router.delete('/notifications/subscribers/:id',
+  standardLimit,
+  requireRole('coordinator'),
+  subscriberIdParam,
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const notificationService = getNotificationService();
+    const existing = await notificationService.getSubscriber(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({ success: false, error: `Subscriber not found: ${req.params.id}` });
+    }
+
+    const subscriber = await notificationService.deactivateSubscriber(req.params.id);
+    res.json({ success: true, data: subscriber, message: 'Subscriber deactivated' });
+  })
+);
+
+/**
+ * Send a test message on each of a subscriber's channels, ignoring quiet hours
+ * POST /api/notifications/subscribers/:id/test
+ */
+router.post('/notifications/subscribers/:id/test',
+  standardLimit,
+  requireRole('coordinator'),
+  subscriberIdParam,
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const notificationService = getNotificationService();
+    const subscriber = await notificationService.getSubscriber(req.params.id);
+
+    if (!subscriber) {
+      return res.status(404).json({ success: false, error: `Subscriber not found: ${req.params.id}` });
+    }
+    if (!subscriber.active) {
+      return res.status(409).json({ success: false, error: 'Subscriber is inactive', data: subscriber });
+    }
+
+    const deliveries = await notificationService.sendTest(subscriber);
+    res.json({
+      success: deliveries.some(delivery => delivery.status === 'sent'),
+      data: deliveries
+    });
+  })
+);
+
+/**
+ * Notification delivery records, newest first
+ * GET /api/notifications/deliveries
+ */
+router.get('/notifications/deliveries',
+  standardLimit,
+  requireRole('coordinator'),
+  query('subscriberId').optional().isInt({ min: 1 }).withMessage('Subscriber ID must be a positive integer').toInt(),
+  query('alertId').optional().isInt({ min: 1 }).withMessage('Alert ID must be a positive integer').toInt(),
+  query('status').optional().isIn(DELIVERY_STATUSES).withMessage(`Status must be one of: ${DELIVERY_STATUSES.join(', ')}`),
+  query('channel').optional().isIn(NOTIFICATION_CHANNELS).withMessage(`Channel must be one of: ${NOTIFICATION_CHANNELS.join(', ')}`),
+  query('kind').optional().isIn(['alert', 'digest', 'test']).withMessage('Kind must be alert, digest or test'),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be 1-500').toInt(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { subscriberId, alertId, status, channel, kind, limit } = req.query;
+    const deliveries = await getNotificationService().listDeliveries({ subscriberId, alertId, status, channel, kind, limit });
+
+    res.json({
+      success: true,
+      data: deliveries,
+      summary: DELIVERY_STATUSES.reduce((acc, value) => {
+        acc[value] = deliveries.filter(delivery => delivery.status === value).length;
+        return acc;
+      }, {}),
+      filters: {
+        subscriberId: subscriberId || null,
+        alertId: alertId || null,
+        status: status || null,
+        channel: channel || null,
+        kind: kind || null
+      },
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+// ===========================================
+// ANALYTICS ROUTES
+// ===========================================
+
+/**
+ * Accuracy of past displacement predictions against later UNHCR figures
+ * GET /api/analytics/accuracy
+ */
+router.get('/analytics/accuracy',
+  standardLimit,
+  query('country').optional().isString().isLength({ min: 2, max: 100 }).withMessage('Invalid country'),
+  query('modelVersion').optional().isString().isLength({ max: 100 }).withMessage('Invalid model version'),
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  query('limit').optional().isInt({ min: 0, max: 500 }).withMessage('Limit must be 0-500').toInt(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { country, modelVersion, from, to, limit } = req.query;
+    const report = await getBacktestService().getAccuracyReport({
+      country,
+      modelVersion,
+      from: from ? toDbTimestamp(from) : undefined,
+      to: to ? toDbTimestamp(to) : undefined,
+      regions: regionScope(req.principal),
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: report,
+      filters: { country: country || null, modelVersion: modelVersion || null, from: from || null, to: to || null },
+      methodology: 'Predicted displacement is compared with the growth in UNHCR displaced-population figures between the prediction date and the end of its timeline. Accuracy score is 1 - |predicted - observed| / max(predicted, observed).',
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+// ===========================================
+// SCORING MODEL ROUTES
+// ===========================================
+
+/**
+ * Active risk scoring model
+ * GET /api/scoring-model
+ */
+router.get('/scoring-model', standardLimit, catchAsync(async (req, res) => {
+  res.json({
+    success: true,
+    data: getScoringModel(),
+    timestamp: new Date().toISOString()
+  });
+}));
+
+/**
+ * Re-score stored assessments with a candidate model and compare with the active one
+ * POST /api/scoring-model/dry-run
+ * Body: { model, country?, from?, to?, limit? }
+ */
+router.post('/scoring-model/dry-run',
+  standardLimit,
+  requireRole('analyst'),
+  body('model').isObject().withMessage('model must be a scoring model object'),
+  body('country').optional().isString().isLength({ min: 2, max: 100 }).withMessage('Invalid country'),
+  body('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  body('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  body('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('Limit must be 1-1000').toInt(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    if (!aggregatorService) {
+      return res.status(503).json({
+        success: false,
+        error: 'Data aggregator not available',
+        details: 'Service initialization failed'
+      });
+    }
+
+    const validation = validateScoringModel(req.body.model);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid scoring model',
+        details: validation.errors
+      });
+    }
+
+    const { country, from, to, limit } = req.body;
+    const result = await aggregatorService.dryRunScoringModel(validation.model, {
+      country,
+      from: from ? toDbTimestamp(from) : undefined,
+      to: to ? toDbTimestamp(to) : undefined,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: result,
+      filters: { country: country || null, from: from || null, to: to || null },
+      timestamp: new Date().toISOString()
+    });
+  })
+);
+
+// ===========================================
+// SCENARIO ROUTES
+// ===========================================
+
+/**
+ * Simulate modifications to a stored assessment and compare with the baseline
+ * POST /api/scenarios
+ * Body: { baseDataId, modifications, name?, description?, simulationType? }
+ * baseDataId is an assessment history ID, or a crisis ID or country for its latest assessment
+ */
+router.post('/scenarios',
+  standardLimit,
+  requireRole('analyst'),
+  scenarioValidation,
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { baseDataId, name, description, simulationType } = req.body;
+
+    const validation = validateModifications(req.body.modifications, simulationType);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid scenario modifications',
+        details: validation.errors
+      });
+    }
+
+    const scenarioService = getScenarioService();
+    const base = await scenarioService.findBaseAssessment(baseDataId);
+    if (!base || !await isScenarioVisible(req, { crisisId: base.crisis_id, country: base.country })) {
+      return res.status(404).json({
+        success: false,
+        error: `No stored assessment found for ${baseDataId}`
+      });
+    }
+
+    const scenario = await scenarioService.runScenario(base, {
+      modifications: validation.modifications,
+      name,
+      description,
+      simulationType
+    });
+
+    res.status(201).json({ success: true, data: scenario });
+  })
+);
+
+/**
+ * List saved scenarios, newest first
+ * GET /api/scenarios?country&simulationType&baseAssessmentId&limit
+ */
+router.get('/scenarios',
+  standardLimit,
+  query('country').optional().isString().isLength({ min: 2, max: 100 }).withMessage('Invalid country'),
+  query('simulationType').optional().isIn(SIMULATION_TYPES).withMessage(`simulationType must be one of: ${SIMULATION_TYPES.join(', ')}`),
+  query('baseAssessmentId').optional().isInt({ min: 1 }).withMessage('Invalid assessment ID').toInt(),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be 1-500').toInt(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { country, simulationType, baseAssessmentId, limit } = req.query;
+    const scenarios = await getScenarioService().listScenarios({
+      country,
+      simulationType,
+      baseAssessmentId,
+      regions: regionScope(req.principal),
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: scenarios,
+      count: scenarios.length,
+      filters: { country: country || null, simulationType: simulationType || null, baseAssessmentId: baseAssessmentId || null }
+    });
+  })
+);
+
+/**
+ * Saved scenario with its baseline, outcome and comparison
+ * GET /api/scenarios/:id
+ */
+router.get('/scenarios/:id',
+  standardLimit,
+  param('id').isInt({ min: 1 }).withMessage('Invalid scenario ID').toInt(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const scenario = await getScenarioService().getScenario(req.params.id);
+
+    if (!scenario || !await isScenarioVisible(req, scenario)) {
+      return res.status(404).json({ success: false, error: `Scenario not found: ${req.params.id}` });
+    }
+
+    res.json({ success: true, data: scenario });
+  })
+);
+
+// ===========================================
+// REPORT ROUTES
+// ===========================================
+
+/**
+ * Generate a report from stored crises, predictions and plans
+ * POST /api/reports
+ * Body: { type, crisisId?, format?, includeAnalysis?, includePredictions?, customSections? }
+ * Without crisisId the report covers every active crisis (not available for response_plan)
+ */
+router.post('/reports',
+  standardLimit,
+  requireRole('analyst'),
+  reportValidation,
+  body('customSections.*').custom(section => {
+    if (typeof section === 'string' && section.trim().length > 0 && section.length <= 5000) return true;
+    if (section && typeof section === 'object' && typeof section.title === 'string' && section.title.trim() &&
+        section.title.length <= 200 && typeof section.content === 'string' && section.content.length <= 20000) {
+      return true;
+    }
+    throw new Error('Each custom section must be a note (string) or { title, content }');
+  }),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { type, crisisId, format = 'pdf', includeAnalysis = true, includePredictions = true, customSections = [] } = req.body;
+
+    if (type === 'response_plan' && !crisisId) {
+      return res.status(400).json({ success: false, error: 'response_plan reports need a crisisId' });
+    }
+
+    if (!crisisId && regionScope(req.principal) !== null) {
+      return sendAuthError(res, new ForbiddenError('Reports across every crisis need an account without regional assignments; pass a crisisId'));
+    }
+
+    const reportService = getReportService();
+    const crisis = crisisId ? await reportService.findCrisis(crisisId) : null;
+    if (crisisId && (!crisis || !isInRegionScope(req.principal, crisis))) {
+      return res.status(404).json({ success: false, error: `Crisis not found: ${crisisId}` });
+    }
+
+    const report = await reportService.generateReport({
+      type,
+      format,
+      crisis,
+      includeAnalysis,
+      includePredictions,
+      customSections
+    });
+
+    res.status(201).json({ success: true, data: report });
+  })
+);
+
+/**
+ * List stored reports, newest first
+ * GET /api/reports?type&crisisId&format&limit
+ */
+router.get('/reports',
+  standardLimit,
+  query('type').optional().isIn(REPORT_TYPES).withMessage(`type must be one of: ${REPORT_TYPES.join(', ')}`),
+  query('crisisId').optional().isString().isLength({ min: 1, max: 100 }).withMessage('Invalid crisis ID'),
+  query('format').optional().isIn(Object.keys(REPORT_FORMATS)).withMessage(`format must be one of: ${Object.keys(REPORT_FORMATS).join(', ')}`),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be 1-500').toInt(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { type, crisisId, format, limit } = req.query;
+    const reports = await getReportService().listReports({ type, crisisId, format, regions: regionScope(req.principal), limit });
+
+    res.json({
+      success: true,
+      data: reports,
+      count: reports.length,
+      filters: { type: type || null, crisisId: crisisId || null, format: format || null }
+    });
+  })
+);
+
+/**
+ * Stored report metadata
+ * GET /api/reports/:id
+ */
+router.get('/reports/:id',
+  standardLimit,
+  param('id').isInt({ min: 1 }).withMessage('Invalid report ID').toInt(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const report = await getReportService().getReport(req.params.id);
+
+    if (!report || !await isReportVisible(req, report)) {
+      return res.status(404).json({ success: false, error: `Report not found: ${req.params.id}` });
+    }
+
+    res.json({ success: true, data: report });
+  })
+);
+
+/**
+ * Download a stored report file
+ * GET /api/reports/:id/download
+ */
+router.get('/reports/:id/download',
+  standardLimit,
+  param('id').isInt({ min: 1 }).withMessage('Invalid report ID').toInt(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const file = await getReportService().getReportFile(req.params.id);
+
+    if (!file || !await isReportVisible(req, file)) {
+      return res.status(404).json({ success: false, error: `Report not found: ${req.params.id}` });
+    }
+
+    res.attachment(file.filename);
+    res.set('Content-Type', file.mimeType);
+    res.send(file.content);
+  })
+);
+
+// ===========================================
+// AUTH ROUTES
+// ===========================================
+
+const apiKeyIdParam = param('id').isInt({ min: 1 }).withMessage('API key ID must be a positive integer').toInt();
+
+/**
+ * Send errors thrown by the auth service (Unauthorized, Forbidden, NotFound,
+ * Conflict) with their status code; anything else is rethrown
+ */
+const handleAuthServiceError = (res, error) => {
+  if (error.statusCode && error.statusCode < 500) {
+    return sendAuthError(res, error);
+  }
+  throw error;
+};
+
+/**
+ * Sign in with email and password
+ * POST /api/auth/login
+ */
+router.post('/auth/login',
+  authLimit,
+  body('email').isEmail().withMessage('Valid email address is required'),
+  body('password').isString().notEmpty().withMessage('Password is required'),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    try {
+      const session = await getAuthService().login(req.body.email, req.body.password, {
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+      res.json({ success: true, data: session });
+    } catch (error) {
+      handleAuthServiceError(res, error);
+    }
+  })
+);
+
+/**
+ * Sign out, revoking the session token used for this request
+ * POST /api/auth/logout
+ */
+router.post('/auth/logout',
+  standardLimit,
+  requireSignIn(),
+  catchAsync(async (req, res) => {
+    if (!req.principal.sessionId) {
+      return res.status(400).json({ success: false, error: 'Only session tokens can be signed out; revoke API keys instead' });
+    }
+
+    await getAuthService().logout(req.principal);
+    res.json({ success: true, message: 'Signed out' });
+  })
+);
+
+/**
+ * Who the caller is and what their role allows
+ * GET /api/auth/session
+ */
+router.get('/auth/session', standardLimit, (req, res) => {
+  const principal = req.principal;
+
+  res.json({
+    success: true,
+    data: {
+      authenticated: Boolean(principal) && principal.type !== 'anonymous',
+      principal: principal ? {
+        type: principal.type,
+        userId: principal.userId,
+        name: principal.name,
+        email: principal.email,
+        role: principal.role,
+        apiKeyId: principal.apiKeyId
+      } : null,
+      roles: ROLES
+    }
+  });
+});
+
+/**
+ * Create an API key for the signed-in user; the key is only shown once
+ * POST /api/auth/api-keys
+ */
+router.post('/auth/api-keys',
+  standardLimit,
+  requireSignIn(),
+  body('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Name is required (max 100 characters)'),
+  body('role').optional().isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+  body('expiresInDays').optional().isInt({ min: 1, max: 3650 }).withMessage('expiresInDays must be 1-3650').toInt(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    try {
+      const { key, apiKey } = await getAuthService().createApiKey(req.principal, req.body);
+      res.status(201).json({
+        success: true,
+        data: { ...apiKey, key },
+        message: 'Store this key now; it cannot be shown again'
+      });
+    } catch (error) {
+      handleAuthServiceError(res, error);
+    }
+  })
+);
+
+/**
+ * List the caller's API keys (?all=true lists every key, for admins)
+ * GET /api/auth/api-keys
+ */
+router.get('/auth/api-keys',
+  standardLimit,
+  requireSignIn(),
+  query('all').optional().isBoolean().withMessage('all must be true or false').toBoolean(),
+  query('includeRevoked').optional().isBoolean().withMessage('includeRevoked must be true or false').toBoolean(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const apiKeys = await getAuthService().listApiKeys(req.principal, req.query);
+    res.json({ success: true, data: apiKeys, count: apiKeys.length });
+  })
+);
+
+/**
+ * Revoke an API key
+ * DELETE /api/auth/api-keys/:id
+ */
+router.delete('/auth/api-keys/:id',
+  standardLimit,
+  requireSignIn(),
+  apiKeyIdParam,
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    try {
+      const apiKey = await getAuthService().revokeApiKey(req.principal, req.params.id);
+      res.json({ success: true, data: apiKey });
+    } catch (error) {
+      handleAuthServiceError(res, error);
+    }
+  })
+);
+
+// ===========================================
+// USER ROUTES
+// ===========================================
+
+const userIdParam = param('id').isInt({ min: 1 }).withMessage('User ID must be a positive integer').toInt();
+
+/**
+ * Create a user account, optionally in an organization and with regional assignments
+ * POST /api/users
+ */
+router.post('/users',
+  standardLimit,
+  requireRole('admin'),
+  userValidation,
+  body('password').isString().isLength({ min: AUTH_CONFIG.minPasswordLength, max: 200 })
+    .withMessage(`Password must be at least ${AUTH_CONFIG.minPasswordLength} characters`),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    try {
+      const user = await getUserService().createUser(req.principal, req.body, { ip: req.ip });
+      res.status(201).json({ success: true, data: user });
+    } catch (error) {
+      handleAuthServiceError(res, error);
+    }
+  })
+);
+
+/**
+ * List users
+ * GET /api/users?role&organizationId&region&active&search&limit
+ */
+router.get('/users',
+  standardLimit,
+  requireRole('coordinator'),
+  query('role').optional().isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+  query('organizationId').optional().isInt({ min: 1 }).withMessage('organizationId must be a positive integer').toInt(),
+  query('region').optional().isString().isLength({ min: 2, max: 100 }).withMessage('Invalid region'),
+  query('active').optional().isBoolean().withMessage('active must be true or false').toBoolean(),
+  query('search').optional().isString().isLength({ max: 100 }),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be 1-500').toInt(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { role, organizationId, region, active, search, limit } = req.query;
+    const users = await getUserService().listUsers({ role, organizationId, region, active, search, limit });
+
+    res.json({
+      success: true,
+      data: users,
+      count: users.length,
+      filters: { role: role || null, organizationId: organizationId || null, region: region || null, active: active ?? null, search: search || null }
+    });
+  })
+);
+
+/**
+ * Get a user (coordinators and above, or the user themselves)
+ * GET /api/users/:id
+ */
+router.get('/users/:id',
+  standardLimit,
+  requireSignIn(),
+  userIdParam,
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    if (req.principal.userId !== req.params.id && !hasRole(req.principal.role, 'coordinator')) {
+      return sendAuthError(res, new ForbiddenError('Requires the coordinator role to view other users'));
+    }
+
+    try {
+      res.json({ success: true, data: await getUserService().getUser(req.params.id) });
+    } catch (error) {
+      handleAuthServiceError(res, error);
+    }
+  })
+);
+
+/**
+ * Update a user. Users can change their own name, position, expertise and
+ * preferences; admins can also change email, role, organization, regions and active.
+ * PUT /api/users/:id
+ */
+router.put('/users/:id',
+  standardLimit,
+  requireSignIn(),
+  userIdParam,
+  userUpdateValidation,
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    try {
+      const user = await getUserService().updateUser(req.principal, req.params.id, req.body, { ip: req.ip });
+      res.json({ success: true, data: user });
+    } catch (error) {
+      handleAuthServiceError(res, error);
+    }
+  })
+);
+
+/**
+ * Deactivate a user; their sessions and API keys stop working
+ * DELETE /api/users/:id
+ */
+router.delete('/users/:id',
+  standardLimit,
+  requireRole('admin'),
+  userIdParam,
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    try {
+      const user = await getUserService().deactivateUser(req.principal, req.params.id, { ip: req.ip });
+      res.json({ success: true, data: user, message: 'User deactivated' });
+    } catch (error) {
+      handleAuthServiceError(res, error);
+    }
+  })
+);
+
+/**
+ * The caller's profile, regional scope and notification preferences
+ * GET /api/me
+ */
+router.get('/me',
+  standardLimit,
+  requireSignIn(),
+  catchAsync(async (req, res) => {
+    try {
+      res.json({ success: true, data: await getUserService().getProfile(req.principal) });
+    } catch (error) {
+      handleAuthServiceError(res, error);
+    }
+  })
+);
+
+// ===========================================
+// ORGANIZATION ROUTES
+// ===========================================
+
+const organizationIdParam = param('id').isInt({ min: 1 }).withMessage('Organization ID must be a positive integer').toInt();
+
+/**
+ * List organizations with their member counts
+ * GET /api/organizations?type&country&search
+ */
+router.get('/organizations',
+  standardLimit,
+  requireSignIn(),
+  query('type').optional().isIn(ORGANIZATION_TYPES).withMessage(`Type must be one of: ${ORGANIZATION_TYPES.join(', ')}`),
+  query('country').optional().isString().isLength({ min: 2, max: 100 }).withMessage('Invalid country'),
+  query('search').optional().isString().isLength({ max: 100 }),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { type, country, search } = req.query;
+    const organizations = await getUserService().listOrganizations({ type, country, search });
+    res.json({ success: true, data: organizations, count: organizations.length });
+  })
+);
+
+/**
+ * Register an organization
+ * POST /api/organizations
+ */
+router.post('/organizations',
+  standardLimit,
+  requireRole('admin'),
+  organizationValidation,
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    try {
+      const organization = await getUserService().createOrganization(req.principal, req.body, { ip: req.ip });
+      res.status(201).json({ success: true, data: organization });
+    } catch (error) {
+      handleAuthServiceError(res, error);
+    }
+  })
+);
+
+/**
+ * Get an organization
+ * GET /api/organizations/:id
+ */
+router.get('/organizations/:id',
+  standardLimit,
+  requireSignIn(),
+  organizationIdParam,
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    try {
+      res.json({ success: true, data: await getUserService().getOrganization(req.params.id) });
+    } catch (error) {
+      handleAuthServiceError(res, error);
+    }
+  })
+);
+
+/**
+ * Users in an organization
+ * GET /api/organizations/:id/users
+ */
+router.get('/organizations/:id/users',
+  standardLimit,
+  requireRole('coordinator'),
+  organizationIdParam,
+  query('active').optional().isBoolean().withMessage('active must be true or false').toBoolean(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    try {
+      const organization = await getUserService().getOrganization(req.params.id);
+      const users = await getUserService().listUsers({ organizationId: organization.id, active: req.query.active, limit: 500 });
+      res.json({ success: true, data: users, count: users.length, organization });
+    } catch (error) {
+      handleAuthServiceError(res, error);
+    }
+  })
+);
+
+/**
+ * Update an organization
+ * PUT /api/organizations/:id
+ */
+router.put('/organizations/:id',
+  standardLimit,
+  requireRole('admin'),
+  organizationIdParam,
+  organizationUpdateValidation,
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    try {
+      const organization = await getUserService().updateOrganization(req.principal, req.params.id, req.body, { ip: req.ip });
+      res.json({ success: true, data: organization });
+    } catch (error) {
+      handleAuthServiceError(res, error);
+    }
+  })
+);
+
+/**
+ * Delete an organization that has no users
+ * DELETE /api/organizations/:id
+ */
+router.delete('/organizations/:id',
+  standardLimit,
+  requireRole('admin'),
+  organizationIdParam,
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    try {
+      const organization = await getUserService().deleteOrganization(req.principal, req.params.id, { ip: req.ip });
+      res.json({ success: true, data: organization, message: 'Organization deleted' });
+    } catch (error) {
+      handleAuthServiceError(res, error);
+    }
+  })
+);
+
+// ===========================================
+// AUDIT ROUTES
+// ===========================================
+
+/**
+ * Audit log, newest first (who signed in, created keys, ran AI analyses)
+ * GET /api/audit
+ */
+router.get('/audit',
+  standardLimit,
+  requireRole('admin'),
+  query('action').optional().isString().isLength({ max: 100 }),
+  query('userId').optional().isInt({ min: 1 }).withMessage('userId must be a positive integer').toInt(),
+  query('resourceType').optional().isString().isLength({ max: 50 }),
+  query('resourceId').optional().isString().isLength({ max: 100 }),
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be 1-500').toInt(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { action, userId, resourceType, resourceId, from, to, limit } = req.query;
+    const entries = await getAuthService().listAuditEntries({
+      action,
+      userId,
+      resourceType,
+      resourceId,
+      from: from ? toDbTimestamp(from) : undefined,
+      to: to ? toDbTimestamp(to) : undefined,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: entries,
+      count: entries.length,
+      filters: { action: action || null, userId: userId || null, resourceType: resourceType || null, resourceId: resourceId || null, from: from || null, to: to || null }
+    });
+  })
+);
+
 // ===========================================
 // ERROR HANDLING FOR UNDEFINED ROUTES
 // ===========================================
@@ -1064,13 +3285,56 @@ router.use('*', (req, res) => {
     availableEndpoints: [
       'GET /api - API documentation',
       'GET /api/health - Health check', 
-      'GET /api/crisis - List all crises',
+      'GET /api/crisis - List registered crises',
+      'POST /api/crisis - Register a crisis',
+      'PUT|PATCH|DELETE /api/crisis/:id - Update or retire a crisis',
       'GET /api/crisis/:id - Get crisis details',
+      'GET /api/crisis/corridors - Predicted migration corridors (GeoJSON)',
+      'GET /api/crisis/:country/history - Risk time series',
+      'GET /api/crisis/:country/explain - Risk score breakdown',
       'GET /api/countries - All countries with real coordinates',
       'GET /api/refugees/unhcr - Real UNHCR refugee data',
       'GET /api/climate/earthquakes - Real earthquake data',
       'GET /api/news/crisis?q=query - Real crisis news',
-      'GET /api/health/services - Service health status'
+      'POST /api/crisis/:id/analyze - AI crisis analysis',
+      'POST /api/crisis/:id/plan - AI response plan',
+      'GET /api/crisis/:id/plans - Saved response plans',
+      'GET /api/plans/:planId - Saved response plan',
+      'GET /api/health/services - Service health status',
+      'GET /api/monitoring/jobs - Scheduled monitoring jobs',
+      'POST /api/monitoring/jobs/:name/(pause|resume|trigger) - Control a monitoring job',
+      'GET /api/alerts - List alerts',
+      'POST /api/alerts - Raise an alert',
+      'POST /api/alerts/:id/(acknowledge|resolve) - Alert lifecycle',
+      'GET /api/ai/reviews[/:id] - AI review queue',
+      'POST /api/ai/reviews/:id/(approve|amend|reject) - Review an AI analysis',
+      'POST /api/notifications/subscribers - Subscribe to alert notifications',
+      'GET /api/notifications/subscribers[/:id] - Notification subscribers',
+      'PUT /api/notifications/subscribers/:id/preferences - Update notification preferences',
+      'DELETE /api/notifications/subscribers/:id - Unsubscribe',
+      'POST /api/notifications/subscribers/:id/test - Send a test notification',
+      'GET /api/notifications/deliveries - Notification delivery records',
+      'GET /api/analytics/accuracy - Prediction accuracy back-testing',
+      'GET /api/scoring-model - Active risk scoring model',
+      'POST /api/scoring-model/dry-run - Dry-run a candidate scoring model',
+      'POST /api/scenarios - Run a what-if scenario',
+      'GET /api/scenarios[/:id] - Saved scenarios',
+      'POST /api/reports - Generate a report',
+      'GET /api/reports[/:id] - Stored reports',
+      'GET /api/reports/:id/download - Download a report',
+      'POST /api/auth/login - Sign in',
+      'POST /api/auth/logout - Sign out',
+      'GET /api/auth/session - Current caller and role',
+      'POST|GET /api/auth/api-keys - Create or list API keys',
+      'DELETE /api/auth/api-keys/:id - Revoke an API key',
+      'POST /api/users - Create a user account',
+      'GET /api/users[/:id] - Users',
+      'PUT|DELETE /api/users/:id - Update or deactivate a user',
+      'GET /api/me - Your profile and notification preferences',
+      'GET|POST /api/organizations - Organizations',
+      'GET|PUT|DELETE /api/organizations/:id - Manage an organization',
+      'GET /api/organizations/:id/users - Members of an organization',
+      'GET /api/audit - Audit log'
     ],
     timestamp: new Date().toISOString()
   });
@@ -9,15 +9,16 @@
  */
 
 const moment = require('moment');
-const logger = require('../../utils/logger').default;
-const { chatCompletionWithRetry } = require('../../config/huggingface');
+const logger = require('../../utils/logger');
+const { getLLMProvider } = require('../../config/llm');
+const { crisisAnalysisSchema, parseStructuredOutput, completeWithRepair } = require('./structuredOutput');
 
 /**
  * AI Crisis Analysis Service Class
  */
 class AICrisisService {
   constructor() {
-    this.modelVersion = process.env.HUGGINGFACE_MODEL || 'openai/gpt-oss-20b:fireworks-ai';
+    this.modelVersion = getLLMProvider().defaultModel;
     this.cache = new Map();
     this.analysisHistory = [];
   }
@@ -40,8 +41,8 @@ class AICrisisService {
       // Build comprehensive prompt for AI analysis
       const analysisPrompt = this.buildCrisisAnalysisPrompt(crisisAssessment);
       
-      // Get AI analysis
-      const aiResponse = await chatCompletionWithRetry([
+      // Get AI analysis, re-asking the model until it matches the schema
+      const aiResponse = await completeWithRepair([
         {
           role: 'system',
           content: this.getSystemPrompt()
@@ -54,17 +55,22 @@ class AICrisisService {
         temperature: 0.3,
         max_tokens: 2048,
         top_p: 0.9
+      }, {
+        parse: (content) => this.parseAIResponse(content),
+        label: 'crisis_analysis'
       });
 
       if (!aiResponse.success) {
-        throw new Error(`AI analysis failed: ${aiResponse.error || 'Unknown error'}`);
+        const failure = new Error(`AI analysis failed: ${aiResponse.error || 'Unknown error'}`);
+        failure.repairAttempts = aiResponse.repairAttempts;
+        failure.validationErrors = aiResponse.validationErrors;
+        throw failure;
       }
 
-      // Parse AI response
-      const aiAnalysis = this.parseAIResponse(aiResponse.content);
+      const aiAnalysis = aiResponse.data;
       
       // Enhance with metadata
-      const enhancedAnalysis = this.enhanceAnalysis(aiAnalysis, crisisAssessment);
+      const enhancedAnalysis = this.enhanceAnalysis(aiAnalysis, crisisAssessment, aiResponse);
       
       const duration = Date.now() - startTime;
       
@@ -87,7 +93,8 @@ class AICrisisService {
         aiRiskLevel: enhancedAnalysis.aiRiskAssessment,
         confidence: enhancedAnalysis.confidence,
         duration: duration,
-        tokensUsed: aiResponse.usage?.total_tokens || 0
+        tokensUsed: aiResponse.usage?.total_tokens || 0,
+        repairAttempts: aiResponse.repairAttempts
       });
 
       return enhancedAnalysis;
@@ -99,7 +106,10 @@ class AICrisisService {
       }, 'error');
 
       // Return fallback analysis
-      return this.generateFallbackAnalysis(crisisAssessment);
+      return this.generateFallbackAnalysis(crisisAssessment, error.message, {
+        repairAttempts: error.repairAttempts || 0,
+        validationErrors: error.validationErrors || []
+      });
     }
   }
 
@@ -246,102 +256,33 @@ Provide your analysis considering:
   }
 
   /**
-   * Parse AI response and validate structure
+   * Parse AI response and validate it against the crisis analysis schema
    * @param {string} response - Raw AI response
-   * @returns {Object} Parsed analysis
+   * @returns {Object} Validated analysis
+   * @throws {AIOutputValidationError} When the response is malformed
    */
   parseAIResponse(response) {
-    try {
-      // Clean the response (remove any markdown formatting)
-      const cleanResponse = response.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-      
-      const parsed = JSON.parse(cleanResponse);
-      
-      // Validate required fields
-      const required = ['aiRiskAssessment', 'confidence', 'reasoning', 'displacementPrediction'];
-      for (const field of required) {
-        if (!parsed[field]) {
-          throw new Error(`Missing required field: ${field}`);
-        }
-      }
-      
-      // Validate risk assessment values
-      const validRisks = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'];
-      if (!validRisks.includes(parsed.aiRiskAssessment)) {
-        throw new Error(`Invalid risk assessment: ${parsed.aiRiskAssessment}`);
-      }
-      
-      // Validate confidence range
-      if (parsed.confidence < 0 || parsed.confidence > 1) {
-        throw new Error(`Invalid confidence value: ${parsed.confidence}`);
-      }
-      
-      return parsed;
-      
-    } catch (error) {
-      logger.warn('Failed to parse AI response:', error.message);
-      
-      // Attempt to extract key information even if JSON is malformed
-      return this.extractBasicAnalysis(response);
-    }
-  }
-
-  /**
-   * Extract basic analysis from malformed AI response
-   * @param {string} response - Raw AI response
-   * @returns {Object} Basic analysis structure
-   */
-  extractBasicAnalysis(response) {
-    const analysis = {
-      aiRiskAssessment: 'MEDIUM',
-      confidence: 0.6,
-      reasoning: response.substring(0, 500) + '...',
-      keyFindings: ['AI analysis completed with limited parsing'],
-      displacementPrediction: {
-        likelihood: 'MEDIUM',
-        timeframe: '2-6 months',
-        estimatedPopulation: 0,
-        primaryTriggers: ['Multiple factors'],
-        likelyDestinations: ['Regional destinations'],
-        displacementType: 'gradual_exodus'
-      },
-      earlyWarning: {
-        immediateThreats: [],
-        emergingConcerns: ['Data parsing issues'],
-        timeToAction: 'days',
-        urgency: 'medium'
-      },
-      dataQualityAssessment: {
-        reliability: 'medium',
-        completeness: 'fair',
-        freshness: 'current',
-        gaps: ['AI response parsing']
-      }
-    };
-    
-    // Try to extract risk level from text
-    const riskMatches = response.match(/(CRITICAL|HIGH|MEDIUM|LOW)/gi);
-    if (riskMatches && riskMatches.length > 0) {
-      analysis.aiRiskAssessment = riskMatches[0].toUpperCase();
-    }
-    
-    return analysis;
+    return parseStructuredOutput(response, crisisAnalysisSchema);
   }
 
   /**
    * Enhance AI analysis with metadata and validation
    * @param {Object} aiAnalysis - Parsed AI analysis
    * @param {Object} originalAssessment - Original crisis assessment
+   * @param {Object} aiResponse - Raw chat completion result (model, usage)
    * @returns {Object} Enhanced analysis
    */
-  enhanceAnalysis(aiAnalysis, originalAssessment) {
+  enhanceAnalysis(aiAnalysis, originalAssessment, aiResponse = {}) {
     const enhanced = {
       ...aiAnalysis,
       
       // Metadata
       metadata: {
         analysisTimestamp: moment().format('YYYY-MM-DD HH:mm:ss'),
-        modelUsed: this.modelVersion,
+        modelUsed: aiResponse.model || this.modelVersion,
+        tokensUsed: aiResponse.usage?.total_tokens || 0,
+        repairAttempts: aiResponse.repairAttempts || 0,
+        fallback: false,
         country: originalAssessment.country,
         originalRiskLevel: originalAssessment.overallRisk,
         dataSourceCount: Object.values(originalAssessment.dataAvailability).filter(Boolean).length,
@@ -371,18 +312,18 @@ Provide your analysis considering:
   }
 
   /**
-   * Calculate agreement between system and AI assessments
-   * @param {string} systemRisk - System risk level
-   * @param {string} aiRisk - AI risk level
-   * @returns {string} Agreement level
+   * Calculate agreement between risk assessments, e.g. the system and AI
+   * assessments or the members of a model ensemble. Agreement is graded by
+   * the spread between the lowest and highest level.
+   * @param {...string} riskLevels - Risk levels to compare
+   * @returns {string} Agreement level (PERFECT | HIGH | MODERATE | LOW)
    */
-  calculateAgreement(systemRisk, aiRisk) {
-    if (systemRisk === aiRisk) return 'PERFECT';
+  calculateAgreement(...riskLevels) {
+    if (riskLevels.every(level => level === riskLevels[0])) return 'PERFECT';
     
     const riskOrder = { 'CRITICAL': 4, 'HIGH': 3, 'MEDIUM': 2, 'LOW': 1 };
-    const systemLevel = riskOrder[systemRisk] || 2;
-    const aiLevel = riskOrder[aiRisk] || 2;
-    const diff = Math.abs(systemLevel - aiLevel);
+    const levels = riskLevels.map(level => riskOrder[level] || 2);
+    const diff = Math.max(...levels) - Math.min(...levels);
     
     if (diff <= 1) return 'HIGH';
     if (diff <= 2) return 'MODERATE';
@@ -492,9 +433,11 @@ Provide your analysis considering:
   /**
    * Generate fallback analysis when AI fails
    * @param {Object} assessment - Original assessment
+   * @param {string} reason - Why the AI analysis could not be used
+   * @param {Object} repair - { repairAttempts, validationErrors } from the re-ask loop
    * @returns {Object} Fallback analysis
    */
-  generateFallbackAnalysis(assessment) {
+  generateFallbackAnalysis(assessment, reason = 'AI service unavailable', repair = {}) {
     return {
       aiRiskAssessment: assessment.overallRisk || 'MEDIUM',
       confidence: Math.max(0.3, (assessment.confidence || 0.5) - 0.2),
@@ -532,6 +475,11 @@ Provide your analysis considering:
       metadata: {
         analysisTimestamp: moment().format('YYYY-MM-DD HH:mm:ss'),
         modelUsed: 'Fallback Logic',
+        tokensUsed: 0,
+        repairAttempts: repair.repairAttempts || 0,
+        validationErrors: repair.validationErrors || [],
+        fallback: true,
+        fallbackReason: reason,
         country: assessment.country,
         originalRiskLevel: assessment.overallRisk,
         dataSourceCount: Object.values(assessment.dataAvailability || {}).filter(Boolean).length,
@@ -0,0 +1,56 @@
+/**
+ * RefugeeWatch AI - Hugging Face LLM Provider
+ *
+ * Wraps the Hugging Face router client from config/huggingface.js
+ *
+ * @author RefugeeWatch AI Team
+ * @version 1.0.0
+ */
+
+const { HF_CONFIG, chatCompletion, testHuggingFaceConnection } = require('../../../config/huggingface');
+
+class HuggingFaceProvider {
+  constructor() {
+    this.name = 'huggingface';
+    this.label = 'Hugging Face Inference API';
+    this.defaultModel = process.env.HUGGINGFACE_MODEL || HF_CONFIG.models.primary.model;
+  }
+
+  /**
+   * Models to try in order, for callers that handle fallback themselves
+   * @returns {Array<Object>} Model configs { model, maxTokens, temperature }
+   */
+  getModelChain() {
+    return [HF_CONFIG.models.primary, HF_CONFIG.models.backup1, HF_CONFIG.models.backup2];
+  }
+
+  /**
+   * Run a chat completion
+   * @param {Array} messages - Chat messages
+   * @param {Object} options - model, max_tokens, temperature
+   * @returns {Promise<Object>} { success, content, model, usage, provider }
+   */
+  async chatCompletion(messages, options = {}) {
+    if (!HF_CONFIG.apiKey) {
+      return {
+        success: false,
+        error: 'Missing HUGGINGFACE_API_KEY',
+        provider: this.name
+      };
+    }
+
+    const result = await chatCompletion(messages, options);
+    return { ...result, provider: this.name };
+  }
+
+  /**
+   * Check that the provider is reachable
+   * @returns {Promise<Object>} Connection test result
+   */
+  async testConnection() {
+    const result = await testHuggingFaceConnection();
+    return { ...result, provider: this.name };
+  }
+}
+
+module.exports = HuggingFaceProvider;
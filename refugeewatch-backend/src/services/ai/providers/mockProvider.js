@@ -0,0 +1,293 @@
+/**
+ * RefugeeWatch AI - Recorded / Mock LLM Provider
+ *
+ * Deterministic stand-in for air-gapped field offices and tests.
+ * Replays responses recorded from a real provider (see LLM_RECORD_DIR)
+ * and otherwise synthesizes a well-formed answer from the prompt itself,
+ * so the same prompt always yields the same response.
+ *
+ * @author RefugeeWatch AI Team
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const RISK_LEVELS = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW', 'MINIMAL'];
+
+/**
+ * Stable key for a conversation, used to name recording files
+ * @param {Array} messages - Chat messages
+ * @returns {string} Hex digest
+ */
+function getRecordingKey(messages) {
+  const normalized = messages.map(({ role, content }) => ({ role, content }));
+  return crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('hex').slice(0, 24);
+}
+
+/**
+ * Small deterministic number derived from text
+ * @param {string} text - Seed text
+ * @returns {number} Integer in [0, 1000)
+ */
+function seedFrom(text) {
+  return parseInt(crypto.createHash('md5').update(text).digest('hex').slice(0, 8), 16) % 1000;
+}
+
+function matchFirst(text, patterns, fallback) {
+  for (const pattern of patterns) {
+    const match = text.match(pattern);
+    if (match) return match[1].trim();
+  }
+  return fallback;
+}
+
+function parseJSONList(text, pattern) {
+  const match = text.match(pattern);
+  if (!match) return [];
+  try {
+    const parsed = JSON.parse(match[1]);
+    return Array.isArray(parsed) ? parsed.filter(item => typeof item === 'string') : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+class MockProvider {
+  /**
+   * @param {Object} config - { model, recordingsDir }
+   */
+  constructor(config = {}) {
+    this.name = 'mock';
+    this.label = 'Recorded/mock provider (offline)';
+    this.defaultModel = config.model || 'refugeewatch-mock-1';
+    this.recordingsDir = config.recordingsDir || null;
+  }
+
+  getModelChain() {
+    return [{ model: this.defaultModel, maxTokens: 2000, temperature: 0 }];
+  }
+
+  async chatCompletion(messages, options = {}) {
+    const recorded = this.loadRecording(messages);
+    const content = recorded ? recorded.content : this.synthesize(messages);
+    const promptTokens = Math.ceil(messages.reduce((sum, m) => sum + (m.content || '').length, 0) / 4);
+    const completionTokens = Math.ceil(content.length / 4);
+
+    return {
+      success: true,
+      content,
+      model: recorded?.model || options.model || this.defaultModel,
+      usage: recorded?.usage || {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens
+      },
+      provider: this.name,
+      recorded: Boolean(recorded)
+    };
+  }
+
+  async testConnection() {
+    return {
+      success: true,
+      model: this.defaultModel,
+      responseTime: 0,
+      provider: this.name
+    };
+  }
+
+  /**
+   * Load a recorded response for these exact messages, if one exists
+   * @param {Array} messages - Chat messages
+   * @returns {Object|null} Recording { content, model, usage }
+   */
+  loadRecording(messages) {
+    if (!this.recordingsDir) return null;
+
+    const file = path.join(this.recordingsDir, `${getRecordingKey(messages)}.json`);
+    if (!fs.existsSync(file)) return null;
+
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  /**
+   * Build a deterministic response that matches the prompt's requested format
+   * @param {Array} messages - Chat messages
+   * @returns {string} Response content
+   */
+  synthesize(messages) {
+    const prompt = messages.map(m => m.content || '').join('\n');
+
+    if (prompt.includes('"planOverview"')) {
+      return JSON.stringify(this.buildPlan(prompt), null, 2);
+    }
+    if (prompt.includes('"aiRiskAssessment"')) {
+      return JSON.stringify(this.buildCrisisAnalysis(prompt), null, 2);
+    }
+    if (prompt.includes('HUMANITARIAN CRISIS ANALYSIS REQUEST')) {
+      return JSON.stringify(this.buildHumanitarianAnalysis(prompt), null, 2);
+    }
+
+    return 'Mock provider response: humanitarian crisis assessment combines conflict, economic, climate and media signals to anticipate displacement.';
+  }
+
+  readContext(prompt) {
+    const country = matchFirst(prompt, [
+      /crisis situation for ([^:\n]+):/,
+      /\*\*Country\*\*:\s*([^\n]+)/,
+      /^Country:\s*([^\n]+)/m
+    ], 'Unknown');
+    const riskText = matchFirst(prompt, [
+      /Overall Risk Level:\s*(\w+)/,
+      /\*\*AI Risk Assessment\*\*:\s*(\w+)/,
+      /Current Risk Level:\s*(\w+)/
+    ], 'MEDIUM').toUpperCase();
+    // The AI output schemas stop at LOW, so a MINIMAL system risk is answered as LOW
+    const known = RISK_LEVELS.includes(riskText) ? riskText : 'MEDIUM';
+    const risk = known === 'MINIMAL' ? 'LOW' : known;
+    const seed = seedFrom(country);
+    const statedPopulation = parseInt(matchFirst(prompt, [
+      /Estimated Numbers:\s*(\d+)/,
+      /\*\*Displacement Prediction\*\*:\s*(\d+)/,
+      /Population at Risk:\s*(\d+)/
+    ], '0'), 10);
+    const destinations = parseJSONList(prompt, /Likely Destinations\**:\s*\**\s*(\[[^\n]*\])/);
+
+    return {
+      country,
+      risk,
+      seed,
+      population: statedPopulation || 20000 + (seed % 80) * 1000,
+      destinations: destinations.length > 0 ? destinations : ['Neighboring countries']
+    };
+  }
+
+  buildCrisisAnalysis(prompt) {
+    const { country, risk, seed, population, destinations } = this.readContext(prompt);
+    const urgent = risk === 'CRITICAL' || risk === 'HIGH';
+
+    return {
+      aiRiskAssessment: risk,
+      confidence: Math.round((0.6 + (seed % 30) / 100) * 100) / 100,
+      reasoning: `Deterministic offline assessment for ${country} based on the aggregated ${risk} system risk level.`,
+      keyFindings: [
+        `Aggregated indicators place ${country} at ${risk} risk`,
+        'Offline analysis: findings mirror the multi-source data assessment',
+        'Verify with a connected model when available'
+      ],
+      displacementPrediction: {
+        likelihood: urgent ? 'HIGH' : 'MEDIUM',
+        timeframe: urgent ? '2-8 weeks' : '2-6 months',
+        estimatedPopulation: population,
+        primaryTriggers: ['Multi-factor crisis pressure'],
+        likelyDestinations: destinations,
+        displacementType: urgent ? 'emergency_flight' : 'gradual_exodus'
+      },
+      criticalFactors: [
+        {
+          factor: 'Aggregated crisis indicators',
+          severity: risk === 'LOW' ? 'MEDIUM' : risk,
+          trend: 'stable',
+          impact: 'Drives the overall displacement outlook'
+        }
+      ],
+      earlyWarning: {
+        immediateThreats: urgent ? ['Escalating displacement pressure'] : [],
+        emergingConcerns: ['Data coverage gaps while offline'],
+        timeToAction: urgent ? 'days' : 'weeks',
+        urgency: urgent ? 'high' : 'medium'
+      },
+      recommendations: {
+        immediate: ['Review latest field reports', 'Confirm pre-positioned stock levels'],
+        shortTerm: ['Update contingency plans'],
+        longTerm: ['Strengthen early warning coverage']
+      },
+      dataQualityAssessment: {
+        reliability: 'medium',
+        completeness: 'fair',
+        freshness: 'current',
+        gaps: ['Generated by offline mock provider']
+      }
+    };
+  }
+
+  buildPlan(prompt) {
+    const { country, risk, population } = this.readContext(prompt);
+    const personnel = Math.ceil(population / 1000) * 25;
+
+    return {
+      planOverview: {
+        planName: `Offline Response Plan for ${country}`,
+        planType: risk === 'CRITICAL' || risk === 'HIGH' ? 'EMERGENCY' : 'COMPREHENSIVE',
+        targetPopulation: population,
+        implementationPeriod: '24 months',
+        priority: risk,
+        coordinator: 'UNHCR'
+      },
+      phases: {
+        emergency: {
+          duration: '4 weeks',
+          objectives: ['Provide life-saving assistance', 'Establish protection measures'],
+          activities: [
+            { category: 'WASH', action: 'Provide clean water', quantity: '15L/person/day', timeline: 'Immediate', priority: 'CRITICAL' },
+            { category: 'Shelter', action: 'Emergency shelter', quantity: '3.5m²/person', timeline: '48 hours', priority: 'CRITICAL' }
+          ],
+          resources: { personnel, budget: population * 385, materials: ['Tents', 'Water containers'] }
+        },
+        stabilization: {
+          duration: '6 months',
+          objectives: ['Establish temporary services'],
+          activities: [],
+          resources: { personnel: personnel * 2, budget: population * 1920, infrastructure: ['Health posts'] }
+        },
+        integration: {
+          duration: '18 months',
+          objectives: ['Support durable solutions'],
+          activities: [],
+          resources: { personnel, budget: population * 4950, programs: ['Livelihoods'] }
+        }
+      },
+      crossCutting: {
+        protection: ['Child protection referral pathways'],
+        genderAge: ['Separate facilities for women and girls'],
+        environment: ['Minimise firewood collection'],
+        coordination: ['Refugee Coordination Model']
+      },
+      riskMitigation: [
+        { risk: 'Funding shortfalls', likelihood: 'MEDIUM', impact: 'HIGH', mitigation: 'Diversified funding strategy' }
+      ],
+      implementation: {
+        leadAgencies: ['UNHCR'],
+        partners: ['IOM', 'WFP'],
+        timeline: {
+          week1: ['Activate emergency response'],
+          month1: ['Basic services operational'],
+          month6: ['Begin integration planning']
+        },
+        monitoringFramework: ['People reached with assistance']
+      }
+    };
+  }
+
+  buildHumanitarianAnalysis(prompt) {
+    const { country, risk, seed, population, destinations } = this.readContext(prompt);
+
+    return {
+      riskLevel: risk,
+      confidence: Math.round((0.6 + (seed % 30) / 100) * 100) / 100,
+      reasoning: `Deterministic offline analysis for ${country} at ${risk} risk.`,
+      displacementPrediction: {
+        estimatedAffected: population,
+        likelyDestinations: destinations,
+        timeframe: risk === 'CRITICAL' ? '1-2 weeks' : '2-8 weeks',
+        movementPattern: risk === 'CRITICAL' ? 'emergency_flight' : 'gradual_exodus'
+      }
+    };
+  }
+}
+
+MockProvider.getRecordingKey = getRecordingKey;
+
+module.exports = MockProvider;
@@ -0,0 +1,103 @@
+/**
+ * RefugeeWatch AI - Ollama LLM Provider
+ *
+ * Runs analyses against a local Ollama server (same one the frontend's
+ * directAI service uses), so no internet connection is required.
+ *
+ * @author RefugeeWatch AI Team
+ * @version 1.0.0
+ */
+
+const axios = require('axios');
+const logger = require('../../../utils/logger');
+
+class OllamaProvider {
+  /**
+   * @param {Object} config - { baseURL, model, timeout }
+   */
+  constructor(config) {
+    this.name = 'ollama';
+    this.label = 'Ollama (local)';
+    this.defaultModel = config.model;
+
+    this.client = axios.create({
+      baseURL: config.baseURL,
+      timeout: config.timeout,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  getModelChain() {
+    return [{ model: this.defaultModel, maxTokens: 2000, temperature: 0.3 }];
+  }
+
+  async chatCompletion(messages, options = {}) {
+    const model = options.model || this.defaultModel;
+
+    try {
+      const response = await this.client.post('/api/chat', {
+        model,
+        messages,
+        stream: false,
+        options: {
+          temperature: options.temperature ?? 0.3,
+          num_predict: options.max_tokens || 2000,
+          ...(options.top_p ? { top_p: options.top_p } : {})
+        }
+      });
+
+      const promptTokens = response.data.prompt_eval_count || 0;
+      const completionTokens = response.data.eval_count || 0;
+
+      return {
+        success: true,
+        content: response.data.message?.content || '',
+        model: response.data.model || model,
+        usage: {
+          prompt_tokens: promptTokens,
+          completion_tokens: completionTokens,
+          total_tokens: promptTokens + completionTokens
+        },
+        provider: this.name
+      };
+    } catch (error) {
+      const message = error.response?.data?.error || error.message;
+      logger.error(`Ollama completion failed: ${message}`);
+
+      return {
+        success: false,
+        error: message,
+        provider: this.name
+      };
+    }
+  }
+
+  async testConnection() {
+    const startTime = Date.now();
+
+    try {
+      const response = await this.client.get('/api/tags');
+      const models = (response.data.models || []).map(m => m.name);
+      const available = models.some(name => name === this.defaultModel || name.startsWith(`${this.defaultModel}:`));
+
+      return {
+        success: available,
+        model: this.defaultModel,
+        availableModels: models,
+        error: available ? undefined : `Model ${this.defaultModel} is not pulled in Ollama`,
+        responseTime: Date.now() - startTime,
+        provider: this.name
+      };
+    } catch (error) {
+      return {
+        success: false,
+        model: this.defaultModel,
+        error: error.message,
+        responseTime: Date.now() - startTime,
+        provider: this.name
+      };
+    }
+  }
+}
+
+module.exports = OllamaProvider;
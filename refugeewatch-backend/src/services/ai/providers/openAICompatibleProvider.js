@@ -0,0 +1,87 @@
+/**
+ * RefugeeWatch AI - OpenAI-Compatible LLM Provider
+ *
+ * Works with any endpoint that implements POST /chat/completions
+ * (OpenAI, Azure-style gateways, vLLM, LM Studio, llama.cpp server)
+ *
+ * @author RefugeeWatch AI Team
+ * @version 1.0.0
+ */
+
+const axios = require('axios');
+const logger = require('../../../utils/logger');
+
+class OpenAICompatibleProvider {
+  /**
+   * @param {Object} config - { baseURL, apiKey, model, timeout }
+   */
+  constructor(config) {
+    this.name = 'openai';
+    this.label = 'OpenAI-compatible API';
+    this.defaultModel = config.model;
+    this.config = config;
+
+    this.client = axios.create({
+      baseURL: config.baseURL,
+      timeout: config.timeout,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(config.apiKey ? { 'Authorization': `Bearer ${config.apiKey}` } : {})
+      }
+    });
+  }
+
+  getModelChain() {
+    return [{ model: this.defaultModel, maxTokens: 2000, temperature: 0.3 }];
+  }
+
+  async chatCompletion(messages, options = {}) {
+    const model = options.model || this.defaultModel;
+
+    try {
+      const response = await this.client.post('/chat/completions', {
+        model,
+        messages,
+        max_tokens: options.max_tokens || 2000,
+        temperature: options.temperature ?? 0.3,
+        ...(options.top_p ? { top_p: options.top_p } : {}),
+        stream: false
+      });
+
+      return {
+        success: true,
+        content: response.data.choices?.[0]?.message?.content || '',
+        model: response.data.model || model,
+        usage: response.data.usage,
+        provider: this.name
+      };
+    } catch (error) {
+      const message = error.response?.data?.error?.message || error.message;
+      logger.error(`OpenAI-compatible completion failed: ${message}`);
+
+      return {
+        success: false,
+        error: message,
+        provider: this.name
+      };
+    }
+  }
+
+  async testConnection() {
+    const startTime = Date.now();
+    const result = await this.chatCompletion(
+      [{ role: 'user', content: 'What is humanitarian crisis assessment?' }],
+      { max_tokens: 50 }
+    );
+
+    return {
+      success: result.success,
+      model: result.model || this.defaultModel,
+      error: result.error,
+      responseTime: Date.now() - startTime,
+      provider: this.name
+    };
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
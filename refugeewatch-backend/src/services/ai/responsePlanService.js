@@ -9,8 +9,9 @@
  */
 
 const moment = require('moment');
-const logger = require('../../utils/logger').default;
-const { chatCompletionWithRetry } = require('../../config/huggingface');
+const logger = require('../../utils/logger');
+const { getLLMProvider } = require('../../config/llm');
+const { responsePlanSchema, parseStructuredOutput, completeWithRepair } = require('./structuredOutput');
 
 // Resource cost templates (USD)
 const RESOURCE_COSTS = {
@@ -76,7 +77,7 @@ const STAFF_REQUIREMENTS = {
  */
 class ResponsePlanService {
   constructor() {
-    this.modelVersion = process.env.HUGGINGFACE_MODEL || 'openai/gpt-oss-20b:fireworks-ai';
+    this.modelVersion = getLLMProvider().defaultModel;
     this.cache = new Map();
     this.planHistory = [];
   }
@@ -100,8 +101,8 @@ class ResponsePlanService {
       // Build AI prompt for plan generation
       const planPrompt = this.buildPlanGenerationPrompt(crisisAnalysis, options);
       
-      // Get AI-generated plan
-      const aiResponse = await chatCompletionWithRetry([
+      // Get AI-generated plan, re-asking the model until it matches the schema
+      const aiResponse = await completeWithRepair([
         {
           role: 'system',
           content: this.getPlanSystemPrompt()
@@ -114,15 +115,21 @@ class ResponsePlanService {
         temperature: 0.2, // Lower temperature for more structured plans
         max_tokens: 3000,
         top_p: 0.8
+      }, {
+        parse: (content) => this.parseAIPlan(content),
+        label: 'plan_generation'
       });
 
       if (!aiResponse.success) {
-        throw new Error(`Plan generation failed: ${aiResponse.error || 'Unknown error'}`);
+        const failure = new Error(`Plan generation failed: ${aiResponse.error || 'Unknown error'}`);
+        failure.repairAttempts = aiResponse.repairAttempts;
+        failure.validationErrors = aiResponse.validationErrors;
+        throw failure;
       }
 
-      // Parse and enhance AI response
-      const aiPlan = this.parseAIPlan(aiResponse.content);
-      const enhancedPlan = this.enhancePlanWithCalculations(aiPlan, crisisAnalysis);
+      // Enhance the validated plan
+      const aiPlan = aiResponse.data;
+      const enhancedPlan = this.enhancePlanWithCalculations(aiPlan, crisisAnalysis, aiResponse);
       
       const duration = Date.now() - startTime;
       
@@ -145,7 +152,8 @@ class ResponsePlanService {
         planType: enhancedPlan.planType,
         totalCost: enhancedPlan.totalCost,
         duration: duration,
-        tokensUsed: aiResponse.usage?.total_tokens || 0
+        tokensUsed: aiResponse.usage?.total_tokens || 0,
+        repairAttempts: aiResponse.repairAttempts
       });
 
       return enhancedPlan;
@@ -157,7 +165,10 @@ class ResponsePlanService {
       }, 'error');
 
       // Return fallback plan
-      return this.generateFallbackPlan(crisisAnalysis);
+      return this.generateFallbackPlan(crisisAnalysis, error.message, {
+        repairAttempts: error.repairAttempts || 0,
+        validationErrors: error.validationErrors || []
+      });
     }
   }
 
@@ -354,75 +365,23 @@ Consider the specific crisis context, cultural factors, regional dynamics, and a
   }
 
   /**
-   * Parse AI plan response
+   * Parse AI plan response and validate it against the response plan schema
    * @param {string} response - Raw AI response
-   * @returns {Object} Parsed plan
+   * @returns {Object} Validated plan
+   * @throws {AIOutputValidationError} When the response is malformed
    */
   parseAIPlan(response) {
-    try {
-      // Clean the response
-      const cleanResponse = response.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-      const parsed = JSON.parse(cleanResponse);
-      
-      // Validate required structure
-      if (!parsed.planOverview || !parsed.phases) {
-        throw new Error('Invalid plan structure');
-      }
-      
-      return parsed;
-      
-    } catch (error) {
-      logger.warn('Failed to parse AI plan response:', error.message);
-      return this.extractBasicPlan(response);
-    }
-  }
-
-  /**
-   * Extract basic plan from malformed response
-   * @param {string} response - Raw response
-   * @returns {Object} Basic plan structure
-   */
-  extractBasicPlan(response) {
-    return {
-      planOverview: {
-        planName: "AI-Generated Crisis Response Plan",
-        planType: "COMPREHENSIVE",
-        targetPopulation: 10000,
-        implementationPeriod: "24 months",
-        priority: "HIGH",
-        coordinator: "UNHCR"
-      },
-      phases: {
-        emergency: {
-          duration: "4 weeks",
-          objectives: ["Provide immediate life-saving assistance", "Establish protection measures"],
-          activities: [],
-          resources: { personnel: 100, budget: 1000000, materials: [] }
-        },
-        stabilization: {
-          duration: "6 months",
-          objectives: ["Establish temporary services", "Support community structures"],
-          activities: [],
-          resources: { personnel: 200, budget: 5000000, infrastructure: [] }
-        },
-        integration: {
-          duration: "18 months",
-          objectives: ["Support durable solutions", "Promote self-reliance"],
-          activities: [],
-          resources: { personnel: 150, budget: 10000000, programs: [] }
-        }
-      },
-      aiResponseExtract: response.substring(0, 500) + '...'
-    };
+    return parseStructuredOutput(response, responsePlanSchema);
   }
 
   /**
    * Enhance plan with detailed calculations
    * @param {Object} aiPlan - AI-generated plan
    * @param {Object} crisisAnalysis - Crisis analysis
+   * @param {Object} aiResponse - Raw chat completion result (model, usage)
    * @returns {Object} Enhanced plan
    */
-  enhancePlanWithCalculations(aiPlan, crisisAnalysis) {
+  enhancePlanWithCalculations(aiPlan, crisisAnalysis, aiResponse = {}) {
     const population = aiPlan.planOverview?.targetPopulation || 
                       crisisAnalysis.displacementPrediction?.estimatedPopulation || 
                       10000;
@@ -438,6 +397,9 @@ Consider the specific crisis context, cultural factors, regional dynamics, and a
     
     // Calculate cost comparison
     const costComparison = this.calculateCostComparison(costBreakdown.total, population);
+    
+    // Low/expected/high budgets from the simulated displacement range
+    const budgetVariants = this.calculateBudgetVariants(population, crisisAnalysis.displacementPrediction?.range);
 
     const enhanced = {
       ...aiPlan,
@@ -445,7 +407,10 @@ Consider the specific crisis context, cultural factors, regional dynamics, and a
       // Enhanced metadata
       metadata: {
         generatedAt: moment().format('YYYY-MM-DD HH:mm:ss'),
-        modelUsed: this.modelVersion,
+        modelUsed: aiResponse.model || this.modelVersion,
+        tokensUsed: aiResponse.usage?.total_tokens || 0,
+        repairAttempts: aiResponse.repairAttempts || 0,
+        fallback: false,
         targetPopulation: population,
         country: crisisAnalysis.metadata?.country,
         crisisRisk: crisisAnalysis.aiRiskAssessment,
@@ -457,7 +422,8 @@ Consider the specific crisis context, cultural factors, regional dynamics, and a
         breakdown: costBreakdown,
         comparison: costComparison,
         efficiency: this.calculateEfficiencyMetrics(costBreakdown, population),
-        funding: this.generateFundingStrategy(costBreakdown)
+        funding: this.generateFundingStrategy(costBreakdown),
+        budgetVariants
       },
       
       // Staff planning
@@ -488,6 +454,7 @@ Consider the specific crisis context, cultural factors, regional dynamics, and a
     // Add convenience fields
     enhanced.totalCost = costBreakdown.total;
     enhanced.planType = aiPlan.planOverview?.planType || 'COMPREHENSIVE';
+    enhanced.budgetVariants = budgetVariants;
 
     return enhanced;
   }
@@ -521,6 +488,40 @@ Consider the specific crisis context, cultural factors, regional dynamics, and a
     return costs;
   }
 
+  /**
+   * Low/expected/high budgets scaled by a simulated displacement range.
+   * The expected variant is the plan's own target population; low and high
+   * keep the P10/P50 and P90/P50 ratios of the range.
+   * @param {number} population - Plan target population
+   * @param {Object} range - { p10, p50, p90, iterations } displacement estimate percentiles
+   * @returns {Object|null} { basis, low, expected, high }, or null without a usable range
+   */
+  calculateBudgetVariants(population, range) {
+    if (!range || !(range.p50 > 0)) return null;
+
+    const variant = (percentile, estimate) => {
+      const targetPopulation = Math.round(population * estimate / range.p50);
+      const breakdown = this.calculateDetailedCosts(targetPopulation, {});
+      const staff = this.calculateStaffRequirements(targetPopulation).total;
+
+      return {
+        percentile,
+        targetPopulation,
+        totalCost: breakdown.total,
+        costPerPerson: targetPopulation > 0 ? Math.round(breakdown.total / targetPopulation) : 0,
+        breakdown,
+        staff: staff.emergency + staff.stabilization + staff.integration
+      };
+    };
+
+    return {
+      basis: { p10: range.p10, p50: range.p50, p90: range.p90, iterations: range.iterations || null },
+      low: variant('P10', range.p10),
+      expected: variant('P50', range.p50),
+      high: variant('P90', range.p90)
+    };
+  }
+
   /**
    * Calculate emergency phase costs
    * @param {number} population - Population size
@@ -809,11 +810,14 @@ Consider the specific crisis context, cultural factors, regional dynamics, and a
   /**
    * Generate fallback plan
    * @param {Object} crisisAnalysis - Crisis analysis
+   * @param {string} reason - Why the AI plan could not be used
+   * @param {Object} repair - { repairAttempts, validationErrors } from the re-ask loop
    * @returns {Object} Fallback plan
    */
-  generateFallbackPlan(crisisAnalysis) {
+  generateFallbackPlan(crisisAnalysis, reason = 'AI plan generation unavailable', repair = {}) {
     const population = crisisAnalysis.displacementPrediction?.estimatedPopulation || 10000;
     const country = crisisAnalysis.metadata?.country || 'Unknown';
+    const budgetVariants = this.calculateBudgetVariants(population, crisisAnalysis.displacementPrediction?.range);
     
     const fallbackPlan = {
       planOverview: {
@@ -839,6 +843,10 @@ Consider the specific crisis context, cultural factors, regional dynamics, and a
       metadata: {
         generatedAt: moment().format('YYYY-MM-DD HH:mm:ss'),
         modelUsed: 'Fallback Logic',
+        tokensUsed: 0,
+        repairAttempts: repair.repairAttempts || 0,
+        validationErrors: repair.validationErrors || [],
+        fallback: true,
         targetPopulation: population,
         country: country,
         planVersion: '1.0-fallback'
@@ -852,7 +860,8 @@ Consider the specific crisis context, cultural factors, regional dynamics, and a
       },
       totalCost: this.calculateEmergencyCosts(population),
       planType: 'EMERGENCY',
-      fallbackReason: 'AI plan generation unavailable'
+      budgetVariants,
+      fallbackReason: reason
     };
 
     return fallbackPlan;
@@ -0,0 +1,236 @@
+/**
+ * RefugeeWatch AI - Structured AI Output Validation
+ *
+ * Joi schemas for AI crisis analyses and response plans, plus a re-ask loop
+ * that sends validation errors back to the model until it returns a valid
+ * object (or the repair budget runs out).
+ *
+ * @author RefugeeWatch AI Team
+ * @version 1.0.0
+ */
+
+const Joi = require('joi');
+const logger = require('../../utils/logger');
+const { chatCompletionWithRetry } = require('../../config/llm');
+
+const DEFAULT_REPAIR_ATTEMPTS = 2;
+
+/**
+ * Repair attempts from AI_MAX_REPAIR_ATTEMPTS. Only a non-negative integer is
+ * accepted; anything else would leave the repair loop without a limit.
+ * @param {string} [value] - Configured value
+ * @returns {number} Repair attempts
+ */
+function readRepairAttempts(value) {
+  if (value === undefined || value === '') return DEFAULT_REPAIR_ATTEMPTS;
+  if (!/^\d+$/.test(value.trim())) {
+    logger.warn(`⚠️ AI_MAX_REPAIR_ATTEMPTS must be a non-negative integer, got "${value}"; using ${DEFAULT_REPAIR_ATTEMPTS}`);
+    return DEFAULT_REPAIR_ATTEMPTS;
+  }
+  return parseInt(value, 10);
+}
+
+const MAX_REPAIR_ATTEMPTS = readRepairAttempts(process.env.AI_MAX_REPAIR_ATTEMPTS);
+
+const riskLevel = Joi.string().uppercase().valid('CRITICAL', 'HIGH', 'MEDIUM', 'LOW');
+const stringList = Joi.array().items(Joi.string()).default([]);
+const population = Joi.alternatives().try(
+  Joi.number().min(0),
+  Joi.string().pattern(/\d/, 'numeric estimate')
+);
+
+const crisisAnalysisSchema = Joi.object({
+  aiRiskAssessment: riskLevel.required(),
+  confidence: Joi.number().min(0).max(1).required(),
+  reasoning: Joi.string().min(1).required(),
+  keyFindings: stringList,
+  displacementPrediction: Joi.object({
+    likelihood: Joi.string().uppercase().valid('VERY_HIGH', 'HIGH', 'MEDIUM', 'LOW').required(),
+    timeframe: Joi.string().required(),
+    estimatedPopulation: population.required(),
+    primaryTriggers: stringList,
+    likelyDestinations: stringList,
+    displacementType: Joi.string()
+  }).unknown(true).required(),
+  criticalFactors: Joi.array().items(Joi.object({
+    factor: Joi.string().required(),
+    severity: riskLevel.required(),
+    trend: Joi.string().lowercase().valid('escalating', 'stable', 'improving'),
+    impact: Joi.string()
+  }).unknown(true)).required(),
+  earlyWarning: Joi.object({
+    immediateThreats: stringList,
+    emergingConcerns: stringList,
+    timeToAction: Joi.string().lowercase().valid('hours', 'days', 'weeks', 'months').required(),
+    urgency: Joi.string().lowercase().valid('immediate', 'high', 'medium', 'low').required()
+  }).unknown(true).required(),
+  recommendations: Joi.object({
+    immediate: Joi.array().items(Joi.string()).min(1).required(),
+    shortTerm: stringList,
+    longTerm: stringList
+  }).unknown(true).required(),
+  dataQualityAssessment: Joi.object().unknown(true)
+}).unknown(true);
+
+const planPhaseSchema = Joi.object({
+  duration: Joi.string().required(),
+  objectives: Joi.array().items(Joi.string()).min(1).required(),
+  activities: Joi.array().items(Joi.object({
+    category: Joi.string().required(),
+    action: Joi.string().required(),
+    quantity: Joi.alternatives().try(Joi.string(), Joi.number()),
+    timeline: Joi.string(),
+    priority: riskLevel
+  }).unknown(true)).default([]),
+  resources: Joi.object({
+    personnel: Joi.number().min(0),
+    budget: Joi.number().min(0)
+  }).unknown(true).required()
+}).unknown(true);
+
+const responsePlanSchema = Joi.object({
+  planOverview: Joi.object({
+    planName: Joi.string().required(),
+    planType: Joi.string().uppercase().valid('EMERGENCY', 'COMPREHENSIVE', 'PREVENTION').required(),
+    targetPopulation: Joi.number().min(0).required(),
+    implementationPeriod: Joi.string().required(),
+    priority: riskLevel.required(),
+    coordinator: Joi.string()
+  }).unknown(true).required(),
+  phases: Joi.object({
+    emergency: planPhaseSchema.required(),
+    stabilization: planPhaseSchema,
+    integration: planPhaseSchema
+  }).unknown(true).required()
+}).unknown(true);
+
+/**
+ * Raised when an AI response cannot be parsed or does not match its schema
+ */
+class AIOutputValidationError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'AIOutputValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Extract the JSON object from a model response. Handles markdown fences and
+ * reasoning models that think out loud before answering.
+ * @param {string} content - Raw model output
+ * @returns {Object} Parsed JSON
+ */
+function extractJSON(content) {
+  const cleaned = String(content || '')
+    .replace(/<think>[\s\S]*?<\/think>/g, '')
+    .replace(/```json\n?/g, '')
+    .replace(/```\n?/g, '')
+    .trim();
+
+  const start = cleaned.indexOf('{');
+  const end = cleaned.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    throw new AIOutputValidationError('Response does not contain a JSON object', ['Response must be a single JSON object']);
+  }
+
+  try {
+    return JSON.parse(cleaned.slice(start, end + 1));
+  } catch (error) {
+    throw new AIOutputValidationError('Response is not valid JSON', [`Invalid JSON: ${error.message}`]);
+  }
+}
+
+/**
+ * Parse and validate a model response against a schema
+ * @param {string} content - Raw model output
+ * @param {Object} schema - Joi schema
+ * @returns {Object} Validated (and normalized) object
+ * @throws {AIOutputValidationError} When parsing or validation fails
+ */
+function parseStructuredOutput(content, schema) {
+  const parsed = extractJSON(content);
+  const { value, error } = schema.validate(parsed, { abortEarly: false, convert: true });
+
+  if (error) {
+    const errors = error.details.map(detail => detail.message);
+    throw new AIOutputValidationError(`Schema validation failed: ${errors.join('; ')}`, errors);
+  }
+
+  return value;
+}
+
+/**
+ * Build the follow-up message asking the model to fix its previous answer
+ * @param {Array<string>} errors - Validation errors
+ * @returns {string} Repair prompt
+ */
+function buildRepairPrompt(errors) {
+  return `Your previous response could not be accepted because it failed validation:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Return the complete corrected response as a single valid JSON object in the format requested above. Do not include any text outside the JSON.`;
+}
+
+/**
+ * Request a completion and re-ask the model until its output parses.
+ * @param {Array} messages - Initial chat messages
+ * @param {Object} options - Completion options
+ * @param {Object} config - { parse, label, maxRepairs }
+ * @returns {Promise<Object>} { success, data, model, usage, repairAttempts, validationErrors, error }
+ */
+async function completeWithRepair(messages, options, { parse, label, maxRepairs = MAX_REPAIR_ATTEMPTS }) {
+  const conversation = [...messages];
+  const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+  let repairAttempts = 0;
+  let validationErrors = [];
+  let model = null;
+
+  while (true) {
+    const response = await chatCompletionWithRetry(conversation, options);
+
+    if (!response.success) {
+      return { success: false, error: response.error || 'Unknown error', model, usage, repairAttempts, validationErrors };
+    }
+
+    model = response.model;
+    Object.keys(usage).forEach(key => {
+      usage[key] += response.usage?.[key] || 0;
+    });
+
+    try {
+      return { success: true, data: parse(response.content), model, usage, repairAttempts, validationErrors: [] };
+    } catch (error) {
+      if (!(error instanceof AIOutputValidationError)) throw error;
+      validationErrors = error.errors;
+    }
+
+    logger.ai(`${label}_validation_failed`, { repairAttempts, errors: validationErrors }, 'warn');
+
+    if (repairAttempts >= maxRepairs) {
+      return {
+        success: false,
+        error: `${label} output failed validation after ${repairAttempts} repair attempts`,
+        model,
+        usage,
+        repairAttempts,
+        validationErrors
+      };
+    }
+
+    repairAttempts++;
+    conversation.push(
+      { role: 'assistant', content: response.content },
+      { role: 'user', content: buildRepairPrompt(validationErrors) }
+    );
+  }
+}
+
+module.exports = {
+  crisisAnalysisSchema,
+  responsePlanSchema,
+  AIOutputValidationError,
+  parseStructuredOutput,
+  completeWithRepair,
+  MAX_REPAIR_ATTEMPTS
+};
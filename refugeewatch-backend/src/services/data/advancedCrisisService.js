@@ -4,25 +4,50 @@
 // File: src/services/ai/advancedCrisisService.js
 // ================================
 
+const logger = require('../../utils/logger');
+const { getLLMProvider, chatCompletion } = require('../../config/llm');
+const AICrisisService = require('../ai/aiCrisisService');
+
+const RISK_ORDER = { LOW: 1, MEDIUM: 2, HIGH: 3, CRITICAL: 4 };
+
+const ENSEMBLE_CONFIG = {
+  // Risk levels that run every configured model instead of the first that answers
+  autoRiskLevels: (process.env.AI_ENSEMBLE_RISK_LEVELS || 'CRITICAL').split(',').map(level => level.trim().toUpperCase()).filter(Boolean),
+  // Fewer successful models than this always needs human review
+  minModels: parseInt(process.env.AI_ENSEMBLE_MIN_MODELS) || 2,
+  // Largest displacement spread ((max - min) / median) accepted without review
+  maxDisplacementSpread: parseFloat(process.env.AI_ENSEMBLE_MAX_SPREAD) || 0.5
+};
+
 class AdvancedAICrisisService {
   constructor() {
-    this.currentModel = HF_CONFIG.models.primary;
+    this.provider = getLLMProvider();
+    this.currentModel = this.provider.getModelChain()[0];
     this.analysisHistory = [];
   }
 
   /**
    * COMPREHENSIVE CRISIS ANALYSIS - Based on UNHCR protocols
+   * @param {Object} crisisData - Crisis data (overallRisk selects the mode in auto)
+   * @param {Object} options - { mode: auto | ensemble | fallback }
    */
-  async performAdvancedCrisisAnalysis(crisisData) {
+  async performAdvancedCrisisAnalysis(crisisData, { mode = 'auto' } = {}) {
     try {
-      const analysis = await this.runAnalysisWithFallback(crisisData);
+      const useEnsemble = this.shouldUseEnsemble(crisisData, mode);
+      const analysis = useEnsemble
+        ? await this.runEnsembleAnalysis(crisisData)
+        : await this.runAnalysisWithFallback(crisisData);
       
       return {
         success: true,
         analysis: {
           ...analysis,
           metadata: {
-            modelUsed: this.currentModel.model,
+            mode: useEnsemble ? 'ensemble' : 'fallback',
+            modelUsed: useEnsemble ? 'ensemble' : this.currentModel.model,
+            modelsUsed: useEnsemble
+              ? analysis.ensemble.models.filter(result => result.success).map(result => result.model)
+              : [this.currentModel.model],
             analysisTimestamp: new Date().toISOString(),
             confidence: analysis.confidence || 0.75,
             protocolsApplied: ['UNHCR-L3', 'IASC-Cluster', 'RCM', 'NARE'],
@@ -32,15 +57,27 @@ class AdvancedAICrisisService {
       };
     } catch (error) {
       logger.error('Advanced crisis analysis failed:', error);
-      return this.getFallbackAnalysis(crisisData);
+      return this.getFallbackAnalysis(crisisData, error.message);
     }
   }
 
+  /**
+   * Whether to run the ensemble. In auto mode it runs for the risk levels in
+   * AI_ENSEMBLE_RISK_LEVELS, when the provider has more than one model.
+   */
+  shouldUseEnsemble(crisisData, mode) {
+    if (mode === 'ensemble') return true;
+    if (mode === 'fallback') return false;
+
+    const risk = String(crisisData.overallRisk || crisisData.risk_level || '').toUpperCase();
+    return ENSEMBLE_CONFIG.autoRiskLevels.includes(risk) && this.provider.getModelChain().length > 1;
+  }
+
   /**
    * AI ANALYSIS WITH AUTOMATIC FALLBACK
    */
   async runAnalysisWithFallback(crisisData) {
-    const models = [HF_CONFIG.models.primary, HF_CONFIG.models.backup1, HF_CONFIG.models.backup2];
+    const models = this.provider.getModelChain();
     
     for (const model of models) {
       try {
@@ -60,51 +97,221 @@ class AdvancedAICrisisService {
     throw new Error('All AI models failed');
   }
 
+  /**
+   * ENSEMBLE ANALYSIS - every configured model, reconciled
+   */
+  async runEnsembleAnalysis(crisisData) {
+    const models = this.provider.getModelChain();
+    logger.info(`Running ensemble analysis of ${crisisData.country} with ${models.length} models`);
+
+    const settled = await Promise.allSettled(models.map(async (model) => {
+      const startTime = Date.now();
+      const result = await this.callAIModel(model, crisisData);
+      return { model: model.model, analysis: result.analysis, answer: result.answer, durationMs: Date.now() - startTime };
+    }));
+
+    const results = settled.map((outcome, index) => (
+      outcome.status === 'fulfilled'
+        ? { success: true, ...outcome.value }
+        : { success: false, model: models[index].model, error: outcome.reason?.message || 'Model failed' }
+    ));
+
+    if (!results.some(result => result.success)) {
+      throw new Error(`All ${results.length} AI models failed (${results.map(result => `${result.model}: ${result.error}`).join('; ')})`);
+    }
+    return this.reconcileEnsemble(results, crisisData);
+  }
+
+  /**
+   * RECONCILE ENSEMBLE RESULTS
+   * Works on what each model actually answered, not on the defaults filled in
+   * afterwards. Risk level is the majority vote (ties go to the higher level),
+   * displacement the median estimate; a model that left either out abstains,
+   * which counts against the consensus share. Any risk disagreement or
+   * abstention, a displacement spread above AI_ENSEMBLE_MAX_SPREAD or too few
+   * voting models needs human review.
+   */
+  reconcileEnsemble(results, crisisData) {
+    const answered = results
+      .filter(result => result.success)
+      .map(result => ({
+        ...result,
+        riskLevel: result.answer?.riskLevel ?? null,
+        estimatedAffected: result.answer?.estimatedAffected ?? null
+      }));
+    const voters = answered.filter(result => result.riskLevel !== null);
+
+    // Risk level; without a single vote the crisis keeps its current level
+    const riskVotes = {};
+    voters.forEach(result => {
+      riskVotes[result.riskLevel] = (riskVotes[result.riskLevel] || 0) + 1;
+    });
+    const consensusRisk = Object.keys(riskVotes).sort((a, b) =>
+      (riskVotes[b] - riskVotes[a]) || (RISK_ORDER[b] - RISK_ORDER[a]))[0] || this.extractRiskLevel(crisisData);
+    const consensusShare = (riskVotes[consensusRisk] || 0) / answered.length;
+    const riskAgreement = voters.length > 0
+      ? new AICrisisService().calculateAgreement(...voters.map(result => result.riskLevel))
+      : null;
+
+    // Displacement
+    const estimates = answered.map(result => result.estimatedAffected).filter(value => value !== null).sort((a, b) => a - b);
+    const median = estimates.length > 0
+      ? (estimates.length % 2
+        ? estimates[(estimates.length - 1) / 2]
+        : Math.round((estimates[estimates.length / 2 - 1] + estimates[estimates.length / 2]) / 2))
+      : null;
+    const spread = median ? Math.round(((estimates[estimates.length - 1] - estimates[0]) / median) * 100) / 100 : 0;
+
+    // Human review
+    const reasons = [];
+    const modelNames = (entries) => entries.map(result => result.model).join(', ');
+    if (voters.length < ENSEMBLE_CONFIG.minModels) {
+      reasons.push(`Only ${voters.length} of ${results.length} models gave a risk level (minimum ${ENSEMBLE_CONFIG.minModels})`);
+    }
+    const withoutRisk = answered.filter(result => result.riskLevel === null);
+    if (withoutRisk.length > 0) {
+      reasons.push(`No usable risk level from ${modelNames(withoutRisk)}`);
+    }
+    if (riskAgreement !== null && riskAgreement !== 'PERFECT') {
+      reasons.push(`Models disagree on risk level: ${Object.entries(riskVotes).map(([level, votes]) => `${level} x${votes}`).join(', ')}`);
+    }
+    const withoutEstimate = answered.filter(result => result.estimatedAffected === null);
+    if (withoutEstimate.length > 0) {
+      reasons.push(`No displacement estimate from ${modelNames(withoutEstimate)}`);
+    }
+    if (spread > ENSEMBLE_CONFIG.maxDisplacementSpread) {
+      reasons.push(`Displacement estimates range from ${estimates[0].toLocaleString()} to ${estimates[estimates.length - 1].toLocaleString()}`);
+    }
+
+    // Base the reconciled analysis on the first model that matches the consensus
+    const base = (voters.find(result => result.riskLevel === consensusRisk) || answered[0]).analysis;
+    const confidences = answered.map(result => result.analysis.confidence || 0.75);
+    const meanConfidence = confidences.reduce((sum, value) => sum + value, 0) / confidences.length;
+    const immediateActions = [];
+    answered.forEach(result => (result.analysis.recommendedActions?.immediate || []).forEach(action => {
+      if (!immediateActions.some(existing => existing.toLowerCase() === String(action).toLowerCase())) {
+        immediateActions.push(action);
+      }
+    }));
+
+    if (reasons.length > 0) {
+      logger.warn(`Ensemble analysis of ${crisisData.country} needs human review: ${reasons.join('; ')}`);
+    }
+
+    return {
+      ...base,
+      riskLevel: consensusRisk,
+      confidence: Math.round(meanConfidence * consensusShare * 100) / 100,
+      displacementPrediction: {
+        ...base.displacementPrediction,
+        estimatedAffected: median
+      },
+      recommendedActions: {
+        ...base.recommendedActions,
+        immediate: immediateActions
+      },
+      ensemble: {
+        models: results.map(result => {
+          const match = answered.find(entry => entry.model === result.model);
+          return result.success
+            ? {
+              model: result.model,
+              success: true,
+              riskLevel: match.riskLevel,
+              confidence: result.analysis.confidence || 0.75,
+              estimatedAffected: match.estimatedAffected,
+              durationMs: result.durationMs
+            }
+            : { model: result.model, success: false, error: result.error };
+        }),
+        riskVotes,
+        riskAgreement,
+        consensusShare: Math.round(consensusShare * 100) / 100,
+        displacement: {
+          median,
+          min: estimates.length > 0 ? estimates[0] : null,
+          max: estimates.length > 0 ? estimates[estimates.length - 1] : null,
+          spread
+        }
+      },
+      humanReview: {
+        required: reasons.length > 0,
+        reasons
+      }
+    };
+  }
+
+  /**
+   * Risk level and displacement estimate as the model gave them, before
+   * validateAndEnhanceAnalysis fills in defaults. Missing or unrecognised
+   * values are null.
+   * @param {string} content - Model response
+   * @returns {Object} { riskLevel, estimatedAffected }
+   */
+  readModelAnswer(content) {
+    let parsed = null;
+    try {
+      const jsonMatch = content.match(/\{[\s\S]*\}/);
+      parsed = jsonMatch ? JSON.parse(jsonMatch[0]) : null;
+    } catch (error) {
+      parsed = null;
+    }
+
+    // Without JSON, read the text the same way extractFromText does
+    const riskLevel = parsed ? parsed.riskLevel : content.match(/(CRITICAL|HIGH|MEDIUM|LOW)/i)?.[0];
+    const estimatedAffected = parsed
+      ? parsed.displacementPrediction?.estimatedAffected
+      : content.match(/(\d{1,3}(?:,\d{3})*)/)?.[0];
+
+    const level = String(riskLevel ?? '').trim().toUpperCase();
+    return {
+      riskLevel: RISK_ORDER[level] ? level : null,
+      estimatedAffected: this.parseEstimate(estimatedAffected)
+    };
+  }
+
+  /**
+   * Displacement estimate as a number ("120,000" and "50000-80000" give their first figure)
+   */
+  parseEstimate(value) {
+    if (typeof value === 'number' && Number.isFinite(value)) return value;
+    const match = String(value ?? '').replace(/,/g, '').match(/\d+(\.\d+)?/);
+    return match ? parseFloat(match[0]) : null;
+  }
+
   /**
    * CALL AI MODEL WITH HUMANITARIAN PROMPT
    */
   async callAIModel(model, crisisData) {
     const prompt = this.buildHumanitarianPrompt(crisisData);
     
-    const response = await axios.post(
-      `${HF_CONFIG.baseURL}/chat/completions`,
+    const response = await chatCompletion([
       {
-        model: model.model,
-        messages: [
-          {
-            role: "system",
-            content: this.getHumanitarianSystemPrompt()
-          },
-          {
-            role: "user", 
-            content: prompt
-          }
-        ],
-        max_tokens: model.maxTokens,
-        temperature: model.temperature,
-        stream: false
+        role: "system",
+        content: this.getHumanitarianSystemPrompt()
       },
       {
-        headers: {
-          'Authorization': `Bearer ${HF_CONFIG.apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: HF_CONFIG.timeout
+        role: "user", 
+        content: prompt
       }
-    );
-
-    if (response.status === 200 && response.data.choices) {
-      const content = response.data.choices[0]?.message?.content || '';
-      const analysis = this.parseAIResponse(content, crisisData);
+    ], {
+      model: model.model,
+      max_tokens: model.maxTokens,
+      temperature: model.temperature
+    });
+
+    if (response.success) {
+      const analysis = this.parseAIResponse(response.content, crisisData);
       
       return {
         success: true,
         analysis: analysis,
-        usage: response.data.usage
+        answer: this.readModelAnswer(response.content),
+        usage: response.usage
       };
     }
 
-    throw new Error('Invalid AI response');
+    throw new Error(response.error || 'Invalid AI response');
   }
 
   /**
@@ -356,8 +563,11 @@ Respond with detailed JSON analysis following humanitarian standards.`;
 
   /**
    * FALLBACK ANALYSIS WHEN AI FAILS
+   * The system estimate always needs human review.
+   * @param {Object} crisisData - Crisis data
+   * @param {string} [failure] - Why the models failed
    */
-  getFallbackAnalysis(crisisData) {
+  getFallbackAnalysis(crisisData, failure = null) {
     logger.warn('Using fallback analysis - all AI models failed');
     
     return {
@@ -391,7 +601,15 @@ Respond with detailed JSON analysis following humanitarian standards.`;
           shortTerm: ['Monitor developments', 'Prepare response'],
           mediumTerm: ['Develop comprehensive strategy']
         },
+        humanReview: {
+          required: true,
+          reasons: [
+            failure ? `AI analysis failed: ${failure}` : 'AI analysis failed',
+            'The system fallback estimate has not been checked by any model'
+          ]
+        },
         metadata: {
+          mode: 'fallback',
           modelUsed: 'fallback_system',
           analysisTimestamp: new Date().toISOString(),
           confidence: 0.5,
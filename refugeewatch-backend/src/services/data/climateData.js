@@ -407,10 +407,287 @@ class RealClimateDataService {
     }
   }
 
+  /**
+   * Country-level climate risk profile for the data aggregator.
+   * Earthquakes are searched across the whole country, forecasts are sampled
+   * at several points over its extent (taking the worst value per day) and
+   * NASA events are matched by distance from the country's edge.
+   * @param {string} country - Country name
+   * @param {number} lat - Country centroid latitude
+   * @param {number} lon - Country centroid longitude
+   * @param {Object} options - { areaKm2, population, days }
+   * @returns {Promise<Object>} { displacementRisk, activeHazards, climateTrends, ... }
+   */
+  async getCountryClimateData(country, lat, lon, options = {}) {
+    const { areaKm2 = null, population = null, days = 14 } = options;
+
+    try {
+      const cacheKey = `country_climate_${country}_${days}`;
+      const cachedData = this.getCachedData(cacheKey);
+
+      if (cachedData) {
+        return cachedData;
+      }
+
+      if (isNaN(lat) || isNaN(lon)) {
+        throw new Error('Coordinates must be valid numbers');
+      }
+
+      logger.info(`Building climate profile for ${country}`);
+
+      const centroid = [lat, lon];
+      const extentKm = this.estimateExtentKm(areaKm2);
+      const samplePoints = this.getSamplePoints(centroid, extentKm);
+
+      const [earthquakeResult, nasaResult, ...weatherResults] = await Promise.all([
+        this.getRecentEarthquakes(centroid, Math.round(extentKm + 100), 4.0),
+        this.getNASAEvents(days),
+        ...samplePoints.map(point => this.getWeatherData(point, days))
+      ]);
+
+      // The point-based methods report failures as empty or fallback data
+      const weatherAvailable = weatherResults.filter(result => !result.error);
+      const availability = {
+        usgs: !earthquakeResult.error,
+        openMeteo: weatherAvailable.length > 0,
+        nasa: !nasaResult.error
+      };
+
+      if (!Object.values(availability).some(Boolean)) {
+        throw new Error('No climate source returned data');
+      }
+
+      const earthquakes = availability.usgs ? earthquakeResult.data : [];
+      const nasaEvents = availability.nasa ? nasaResult.data : [];
+      const weather = this.mergeWeatherForecasts(weatherAvailable.map(result => result.data));
+
+      const hazards = this.analyzeClimateHazards(earthquakes, weather, nasaEvents, centroid, extentKm);
+      const riskLevel = this.calculateRiskLevel(hazards);
+      const sourcesAvailable = Object.values(availability).filter(Boolean).length;
+
+      const result = {
+        country,
+        coordinates: centroid,
+        extentKm: Math.round(extentKm),
+        samplePoints,
+        displacementRisk: {
+          riskLevel,
+          confidence: Math.round((0.4 + sourcesAvailable * 0.15) * 100) / 100,
+          estimatedAffected: this.estimateAffectedPopulation(hazards, population),
+          factors: this.describeHazards(hazards)
+        },
+        activeHazards: hazards,
+        climateTrends: this.summarizeClimateTrends(weather, earthquakes),
+        earthquakes: {
+          count: earthquakes.length,
+          significant: earthquakes.filter(eq => eq.magnitude >= 5.0),
+          maxMagnitude: earthquakes.length > 0 ? Math.max(...earthquakes.map(eq => eq.magnitude)) : null
+        },
+        availability,
+        timeRange: `${days} days`,
+        source: 'Multi-source (USGS, Open-Meteo, NASA)',
+        lastUpdated: new Date().toISOString()
+      };
+
+      this.setCachedData(cacheKey, result);
+      logger.info(`Climate profile for ${country}: ${riskLevel} (${hazards.length} hazards, ${sourcesAvailable}/3 sources)`);
+      return result;
+
+    } catch (error) {
+      logger.error(`Failed to build climate profile for ${country}:`, error.message);
+      return this.getEmptyClimateData(country, error.message);
+    }
+  }
+
+  /**
+   * Approximate country radius from its area (treated as a circle)
+   * @param {number|null} areaKm2 - Country area
+   * @returns {number} Radius in km (300km when the area is unknown)
+   */
+  estimateExtentKm(areaKm2) {
+    if (!areaKm2 || areaKm2 <= 0) return 300;
+    return Math.sqrt(areaKm2 / Math.PI);
+  }
+
+  /**
+   * Forecast sample points: the centroid plus four points halfway to the
+   * edge for countries large enough for one forecast not to cover them
+   * @param {Array} centroid - [lat, lon]
+   * @param {number} extentKm - Country radius
+   * @returns {Array<Array>} [lat, lon] points
+   */
+  getSamplePoints(centroid, extentKm) {
+    const [lat, lon] = centroid;
+    const points = [[lat, lon]];
+    if (extentKm < 150) return points;
+
+    const offsetKm = extentKm / 2;
+    const dLat = offsetKm / 111;
+    const dLon = offsetKm / (111 * Math.max(0.2, Math.cos(lat * Math.PI / 180)));
+    const round = (value) => Math.round(value * 100) / 100;
+
+    points.push(
+      [round(Math.min(89, lat + dLat)), round(lon)],
+      [round(Math.max(-89, lat - dLat)), round(lon)],
+      [round(lat), round(((lon + dLon + 540) % 360) - 180)],
+      [round(lat), round(((lon - dLon + 540) % 360) - 180)]
+    );
+    return points;
+  }
+
+  /**
+   * Combine forecasts from several points into one, keeping the worst
+   * precipitation, wind and temperature for each day
+   * @param {Array} forecasts - getWeatherData results' data
+   * @returns {Object|null} { forecast, points }
+   */
+  mergeWeatherForecasts(forecasts) {
+    if (forecasts.length === 0) return null;
+
+    const days = new Map();
+    forecasts.forEach(weather => {
+      (weather.forecast || []).forEach(day => {
+        const merged = days.get(day.date) || {
+          date: day.date,
+          temperature: { max: null, min: null },
+          precipitation: 0,
+          windSpeed: 0,
+          totalPrecipitation: 0,
+          points: 0
+        };
+
+        merged.temperature.max = Math.max(merged.temperature.max ?? -Infinity, day.temperature?.max ?? -Infinity);
+        merged.temperature.min = Math.min(merged.temperature.min ?? Infinity, day.temperature?.min ?? Infinity);
+        merged.precipitation = Math.max(merged.precipitation, day.precipitation || 0);
+        merged.windSpeed = Math.max(merged.windSpeed, day.windSpeed || 0);
+        merged.totalPrecipitation += day.precipitation || 0;
+        merged.points++;
+        days.set(day.date, merged);
+      });
+    });
+
+    const forecast = [...days.values()]
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .map(({ totalPrecipitation, points, ...day }) => ({
+        ...day,
+        temperature: {
+          max: isFinite(day.temperature.max) ? day.temperature.max : null,
+          min: isFinite(day.temperature.min) ? day.temperature.min : null
+        },
+        averagePrecipitation: Math.round((totalPrecipitation / points) * 10) / 10
+      }));
+
+    return { forecast, points: forecasts.length };
+  }
+
+  /**
+   * Rough number of people exposed to the detected hazards
+   * @param {Array} hazards - Hazards from analyzeClimateHazards
+   * @param {number|null} population - Country population
+   * @returns {number} Estimated affected population
+   */
+  estimateAffectedPopulation(hazards, population) {
+    const share = { HIGH: 0.002, MEDIUM: 0.0005, LOW: 0.0001 };
+    const base = { HIGH: 50000, MEDIUM: 10000, LOW: 2000 };
+
+    const estimate = hazards.reduce((sum, hazard) => (
+      sum + (population ? population * (share[hazard.severity] || 0) : (base[hazard.severity] || 0))
+    ), 0);
+
+    return Math.round(population ? Math.min(estimate, population * 0.1) : estimate);
+  }
+
+  /**
+   * Human-readable risk factors, most severe first
+   * @param {Array} hazards - Hazards from analyzeClimateHazards
+   * @returns {Array<string>} Up to five factors
+   */
+  describeHazards(hazards) {
+    const order = { HIGH: 3, MEDIUM: 2, LOW: 1 };
+
+    return [...hazards]
+      .sort((a, b) => (order[b.severity] || 0) - (order[a.severity] || 0))
+      .slice(0, 5)
+      .map(hazard => {
+        switch (hazard.type) {
+          case 'earthquake':
+            return `M${hazard.magnitude} earthquake: ${hazard.location}`;
+          case 'heavy_precipitation':
+            return `Heavy rain forecast (${hazard.precipitation}mm on ${hazard.date})`;
+          case 'high_winds':
+            return `High winds forecast (${hazard.windSpeed}km/h on ${hazard.date})`;
+          default:
+            return hazard.distance > 0
+              ? `${hazard.title || hazard.type} (${Math.round(hazard.distance)}km outside the country)`
+              : `${hazard.title || hazard.type} (within the country)`;
+        }
+      });
+  }
+
+  /**
+   * Forecast and seismic outlook for the country
+   * @param {Object|null} weather - Merged forecast
+   * @param {Array} earthquakes - Earthquakes across the country
+   * @returns {Object} Climate trends
+   */
+  summarizeClimateTrends(weather, earthquakes) {
+    const forecast = weather?.forecast || [];
+    const maxTemps = forecast.map(day => day.temperature.max).filter(temp => temp !== null);
+    const totalRain = forecast.reduce((sum, day) => sum + (day.averagePrecipitation || 0), 0);
+    const dryDays = forecast.filter(day => day.precipitation < 1).length;
+    const peakTemperature = maxTemps.length > 0 ? Math.max(...maxTemps) : null;
+
+    return {
+      forecastDays: forecast.length,
+      samplePoints: weather?.points || 0,
+      precipitation: {
+        averageTotal: Math.round(totalRain * 10) / 10,
+        peakDaily: forecast.length > 0 ? Math.max(...forecast.map(day => day.precipitation)) : null,
+        dryDays,
+        outlook: forecast.length === 0 ? 'unknown'
+          : dryDays === forecast.length ? 'dry'
+            : forecast.some(day => day.precipitation > 50) ? 'wet' : 'normal'
+      },
+      temperature: {
+        peak: peakTemperature,
+        outlook: peakTemperature === null ? 'unknown'
+          : peakTemperature >= 45 ? 'extreme_heat'
+            : peakTemperature >= 38 ? 'hot' : 'normal'
+      },
+      seismic: {
+        events: earthquakes.length,
+        maxMagnitude: earthquakes.length > 0 ? Math.max(...earthquakes.map(eq => eq.magnitude)) : null,
+        activity: earthquakes.filter(eq => eq.magnitude >= 5.0).length > 0 ? 'elevated'
+          : earthquakes.length > 0 ? 'moderate' : 'quiet'
+      }
+    };
+  }
+
+  /**
+   * Empty country profile (normalizeClimateData treats it as unavailable)
+   * @param {string} country - Country name
+   * @param {string} reason - Why no data is available
+   * @returns {Object} Empty climate data
+   */
+  getEmptyClimateData(country, reason) {
+    return {
+      country,
+      displacementRisk: null,
+      activeHazards: [],
+      climateTrends: {},
+      availability: { usgs: false, openMeteo: false, nasa: false },
+      source: 'Fallback Data',
+      error: reason,
+      lastUpdated: new Date().toISOString()
+    };
+  }
+
   /**
    * Analyze climate hazards - FIXED
+   * @param {number} extentKm - Radius of the area around `coordinates` that is
+   *   affected directly; NASA event distances are measured from its edge
    */
-  analyzeClimateHazards(earthquakes = [], weather = null, nasaEvents = [], coordinates = [0, 0]) {
+  analyzeClimateHazards(earthquakes = [], weather = null, nasaEvents = [], coordinates = [0, 0], extentKm = 0) {
     try {
       const hazards = [];
 
@@ -464,7 +741,7 @@ class RealClimateDataService {
       // NASA event hazards
       nasaEvents.forEach(event => {
         try {
-          const distance = this.calculateDistance(coordinates, event.coordinates);
+          const distance = Math.max(0, this.calculateDistance(coordinates, event.coordinates) - extentKm);
           if (distance < 500) { // Within 500km
             hazards.push({
               type: event.category.toLowerCase(),
@@ -577,6 +854,10 @@ class RealClimateDataService {
     }
   }
 
+  clearCache() {
+    this.cache.clear();
+  }
+
   /**
    * Get service health - FIXED
    */
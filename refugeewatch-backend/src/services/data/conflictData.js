@@ -358,6 +358,13 @@ class ConflictDataService {
     // Recent events (max 10)
     analysis.recentEvents = recentEvents.slice(0, 10);
 
+    analysis.metrics = {
+      articleCount: articles.length,
+      killingReports,
+      violenceReports: violenceKeywords,
+      displacementMentions
+    };
+
     // Threat indicators
     if (killingReports > 5) analysis.threatIndicators.push('High casualty reports');
     if (displacementMentions > 3) analysis.threatIndicators.push('Population displacement');
@@ -468,20 +468,30 @@ class EconomicDataService {
     let riskScore = 0;
     let factorCount = 0;
     const riskFactors = [];
+    // Indicators that added to the score, for assessment explanations
+    const scoredIndicators = [];
+    const addFactor = (code, points, factor) => {
+      riskScore += points;
+      riskFactors.push(factor);
+      scoredIndicators.push({
+        code,
+        indicator: ECONOMIC_INDICATORS[code],
+        value: Math.round(indicators[code].latest * 100) / 100,
+        points,
+        factor
+      });
+    };
 
     // Economic collapse indicators
     const inflation = indicators['FP.CPI.TOTL.ZG'];
     if (inflation && inflation.latest !== null) {
       factorCount++;
       if (inflation.latest > 100) {
-        riskScore += 40;
-        riskFactors.push(`Hyperinflation crisis (${inflation.latest.toFixed(1)}%)`);
+        addFactor('FP.CPI.TOTL.ZG', 40, `Hyperinflation crisis (${inflation.latest.toFixed(1)}%)`);
       } else if (inflation.latest > 50) {
-        riskScore += 25;
-        riskFactors.push(`Severe inflation (${inflation.latest.toFixed(1)}%)`);
+        addFactor('FP.CPI.TOTL.ZG', 25, `Severe inflation (${inflation.latest.toFixed(1)}%)`);
       } else if (inflation.latest > 20) {
-        riskScore += 15;
-        riskFactors.push(`High inflation (${inflation.latest.toFixed(1)}%)`);
+        addFactor('FP.CPI.TOTL.ZG', 15, `High inflation (${inflation.latest.toFixed(1)}%)`);
       }
     }
 
@@ -490,11 +500,9 @@ class EconomicDataService {
     if (unemployment && unemployment.latest !== null) {
       factorCount++;
       if (unemployment.latest > 40) {
-        riskScore += 35;
-        riskFactors.push(`Mass unemployment (${unemployment.latest.toFixed(1)}%)`);
+        addFactor('SL.UEM.TOTL.ZS', 35, `Mass unemployment (${unemployment.latest.toFixed(1)}%)`);
       } else if (unemployment.latest > 25) {
-        riskScore += 20;
-        riskFactors.push(`High unemployment (${unemployment.latest.toFixed(1)}%)`);
+        addFactor('SL.UEM.TOTL.ZS', 20, `High unemployment (${unemployment.latest.toFixed(1)}%)`);
       }
     }
 
@@ -503,11 +511,9 @@ class EconomicDataService {
     if (poverty && poverty.latest !== null) {
       factorCount++;
       if (poverty.latest > 70) {
-        riskScore += 30;
-        riskFactors.push(`Extreme poverty (${poverty.latest.toFixed(1)}% below poverty line)`);
+        addFactor('SI.POV.DDAY', 30, `Extreme poverty (${poverty.latest.toFixed(1)}% below poverty line)`);
       } else if (poverty.latest > 50) {
-        riskScore += 20;
-        riskFactors.push(`High poverty (${poverty.latest.toFixed(1)}% below poverty line)`);
+        addFactor('SI.POV.DDAY', 20, `High poverty (${poverty.latest.toFixed(1)}% below poverty line)`);
       }
     }
 
@@ -516,11 +522,9 @@ class EconomicDataService {
     if (gdp && gdp.latest !== null) {
       factorCount++;
       if (gdp.latest < 500) {
-        riskScore += 35;
-        riskFactors.push(`Economic collapse ($${gdp.latest.toFixed(0)} GDP per capita)`);
+        addFactor('NY.GDP.PCAP.CD', 35, `Economic collapse ($${gdp.latest.toFixed(0)} GDP per capita)`);
       } else if (gdp.latest < 1000) {
-        riskScore += 20;
-        riskFactors.push(`Economic distress ($${gdp.latest.toFixed(0)} GDP per capita)`);
+        addFactor('NY.GDP.PCAP.CD', 20, `Economic distress ($${gdp.latest.toFixed(0)} GDP per capita)`);
       }
     }
 
@@ -528,8 +532,7 @@ class EconomicDataService {
     const malnutrition = indicators['SN.ITK.DEFC.ZS'];
     if (malnutrition && malnutrition.latest !== null && malnutrition.latest > 20) {
       factorCount++;
-      riskScore += 25;
-      riskFactors.push(`Food insecurity (${malnutrition.latest.toFixed(1)}% malnourished)`);
+      addFactor('SN.ITK.DEFC.ZS', 25, `Food insecurity (${malnutrition.latest.toFixed(1)}% malnourished)`);
     }
 
     // Calculate final risk assessment
@@ -556,6 +559,8 @@ class EconomicDataService {
       confidence,
       riskScore: Math.round(avgRiskScore),
       riskFactors,
+      scoredIndicators,
+      indicatorsAssessed: factorCount,
       economicPressure: avgRiskScore,
       displacementPotential: this.calculateDisplacementPotential(avgRiskScore, riskFactors),
       recommendation: this.getEconomicRecommendation(riskLevel, riskFactors)
@@ -9,6 +9,35 @@
 const axios = require('axios');
 const logger = require('../../utils/logger');
 
+// Common names that REST Countries does not list as spellings, keyed by ISO3 code
+const COUNTRY_ALIASES = {
+  COD: ['DRC', 'DR Congo', 'Congo-Kinshasa', 'Democratic Republic of the Congo', 'Congo, Democratic Republic of the', 'Zaire'],
+  COG: ['Congo-Brazzaville', 'Republic of Congo'],
+  MMR: ['Burma'],
+  SYR: ['Syrian Arab Republic'],
+  CIV: ["Cote d'Ivoire", 'Ivory Coast'],
+  IRN: ['Iran, Islamic Republic of', 'Islamic Republic of Iran'],
+  VEN: ['Venezuela, Bolivarian Republic of', 'Venezuela (Bolivarian Republic of)'],
+  PSE: ['Palestine', 'State of Palestine', 'Occupied Palestinian Territory', 'Gaza'],
+  RUS: ['Russian Federation'],
+  TUR: ['Turkey', 'Türkiye'],
+  GBR: ['UK', 'Great Britain'],
+  USA: ['US', 'USA', 'United States of America'],
+  CAF: ['CAR']
+};
+
+/**
+ * Normalize a country name for comparison (case, accents, punctuation)
+ * @param {string} value - Country name or code
+ * @returns {string} Normalized name
+ */
+const normalizeCountryName = (value) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
 class GeographicDataService {
   constructor() {
     // REST Countries API client - FIXED ENDPOINT
@@ -59,11 +88,13 @@ class GeographicDataService {
             region: country.region || null,
             subregion: country.subregion || null,
             population: country.population || 0,
+            area: country.area || null,
             coordinates: Array.isArray(country.latlng) && country.latlng.length === 2 ? 
                         country.latlng : [0, 0],
             languages: country.languages ? Object.values(country.languages) : [],
             currencies: country.currencies ? Object.keys(country.currencies) : [],
             borders: Array.isArray(country.borders) ? country.borders : [],
+            aliases: Array.isArray(country.altSpellings) ? country.altSpellings : [],
             flag: country.flag || null,
             lastUpdated: new Date().toISOString()
           };
@@ -134,11 +165,13 @@ class GeographicDataService {
         region: country.region || null,
         subregion: country.subregion || null,
         population: country.population || 0,
+        area: country.area || null,
         coordinates: Array.isArray(country.latlng) && country.latlng.length === 2 ? 
                     country.latlng : [0, 0],
         languages: country.languages ? Object.values(country.languages) : [],
         currencies: country.currencies ? Object.keys(country.currencies) : [],
         borders: Array.isArray(country.borders) ? country.borders : [],
+        aliases: Array.isArray(country.altSpellings) ? country.altSpellings : [],
         flag: country.flag || null,
         lastUpdated: new Date().toISOString()
       };
@@ -177,6 +210,74 @@ class GeographicDataService {
     }
   }
 
+  /**
+   * Resolve a country from its name, official name, ISO2/ISO3 code or a
+   * common alias (e.g. "DRC", "Burma", "Syrian Arab Republic")
+   * @param {string} query - Country name, code or alias
+   * @returns {Promise<Object>} { success, data, source, matchedBy } or { success: false, error }
+   */
+  async resolveCountry(query) {
+    const cacheKey = `resolve_${normalizeCountryName(query)}`;
+    const cachedData = this.getCachedData(cacheKey);
+
+    if (cachedData) {
+      return cachedData;
+    }
+
+    const allCountriesResult = await this.getAllCountries();
+    const match = this.findCountry(allCountriesResult.data || [], query);
+
+    if (!match) {
+      return {
+        success: false,
+        error: `Country '${query}' not found`,
+        data: null,
+        source: allCountriesResult.source
+      };
+    }
+
+    const result = {
+      success: true,
+      data: match.country,
+      source: allCountriesResult.source,
+      matchedBy: match.matchedBy
+    };
+
+    this.setCachedData(cacheKey, result);
+    return result;
+  }
+
+  /**
+   * Find a country in a country list by code, name or alias
+   * @param {Array} countries - Country records
+   * @param {string} query - Country name, code or alias
+   * @returns {Object|null} { country, matchedBy }
+   */
+  findCountry(countries, query) {
+    const search = normalizeCountryName(query);
+    if (!search) return null;
+
+    if (/^[a-z]{2,3}$/.test(search)) {
+      const byCode = countries.find(c =>
+        (c.code && c.code.toLowerCase() === search) || (c.code3 && c.code3.toLowerCase() === search)
+      );
+      if (byCode) return { country: byCode, matchedBy: 'code' };
+    }
+
+    const byName = countries.find(c =>
+      normalizeCountryName(c.name) === search || normalizeCountryName(c.officialName) === search
+    );
+    if (byName) return { country: byName, matchedBy: 'name' };
+
+    const byAlias = countries.find(c =>
+      [...(c.aliases || []), ...(COUNTRY_ALIASES[c.code3] || [])]
+        .some(alias => normalizeCountryName(alias) === search)
+    );
+    if (byAlias) return { country: byAlias, matchedBy: 'alias' };
+
+    return null;
+  }
+
   /**
    * Get countries by region
    */
@@ -254,6 +355,7 @@ class GeographicDataService {
         region: 'Asia',
         subregion: 'Western Asia',
         population: 21324000,
+        area: 185180,
         coordinates: [34.8021, 38.9968],
         languages: ['Arabic'],
         currencies: ['SYP'],
@@ -270,6 +372,7 @@ class GeographicDataService {
         region: 'Asia',
         subregion: 'Southern Asia',
         population: 40218000,
+        area: 652230,
         coordinates: [33.9391, 67.71],
         languages: ['Pashto', 'Dari'],
         currencies: ['AFN'],
@@ -286,6 +389,7 @@ class GeographicDataService {
         region: 'Europe',
         subregion: 'Eastern Europe',
         population: 44134000,
+        area: 603500,
         coordinates: [48.3794, 31.1656],
         languages: ['Ukrainian'],
         currencies: ['UAH'],
@@ -302,6 +406,7 @@ class GeographicDataService {
         region: 'Africa',
         subregion: 'Northern Africa',
         population: 45657000,
+        area: 1886068,
         coordinates: [12.8628, 30.2176],
         languages: ['Arabic', 'English'],
         currencies: ['SDG'],
@@ -318,12 +423,183 @@ class GeographicDataService {
         region: 'Asia',
         subregion: 'South-Eastern Asia',
         population: 54409000,
+        area: 676578,
         coordinates: [21.9162, 95.956],
         languages: ['Burmese'],
         currencies: ['MMK'],
         borders: ['BGD', 'CHN', 'IND', 'LAO', 'THA'],
         flag: '🇲🇲',
         lastUpdated: new Date().toISOString()
+      },
+      {
+        name: 'Yemen',
+        officialName: 'Republic of Yemen',
+        code: 'YE',
+        code3: 'YEM',
+        capital: "Sana'a",
+        region: 'Asia',
+        subregion: 'Western Asia',
+        population: 33697000,
+        area: 527968,
+        coordinates: [15, 48],
+        languages: ['Arabic'],
+        currencies: ['YER'],
+        borders: ['OMN', 'SAU'],
+        flag: '🇾🇪',
+        lastUpdated: new Date().toISOString()
+      },
+      {
+        name: 'Bangladesh',
+        officialName: "People's Republic of Bangladesh",
+        code: 'BD',
+        code3: 'BGD',
+        capital: 'Dhaka',
+        region: 'Asia',
+        subregion: 'Southern Asia',
+        population: 171186000,
+        area: 147570,
+        coordinates: [24, 90],
+        languages: ['Bengali'],
+        currencies: ['BDT'],
+        borders: ['MMR', 'IND'],
+        flag: '🇧🇩',
+        lastUpdated: new Date().toISOString()
+      },
+      {
+        name: 'Ethiopia',
+        officialName: 'Federal Democratic Republic of Ethiopia',
+        code: 'ET',
+        code3: 'ETH',
+        capital: 'Addis Ababa',
+        region: 'Africa',
+        subregion: 'Eastern Africa',
+        population: 126527000,
+        area: 1104300,
+        coordinates: [8, 38],
+        languages: ['Amharic'],
+        currencies: ['ETB'],
+        borders: ['DJI', 'ERI', 'KEN', 'SOM', 'SSD', 'SDN'],
+        flag: '🇪🇹',
+        lastUpdated: new Date().toISOString()
+      },
+      {
+        name: 'Chad',
+        officialName: 'Republic of Chad',
+        code: 'TD',
+        code3: 'TCD',
+        capital: "N'Djamena",
+        region: 'Africa',
+        subregion: 'Middle Africa',
+        population: 18279000,
+        area: 1284000,
+        coordinates: [15, 19],
+        languages: ['Arabic', 'French'],
+        currencies: ['XAF'],
+        borders: ['CMR', 'CAF', 'LBY', 'NER', 'NGA', 'SDN'],
+        flag: '🇹🇩',
+        lastUpdated: new Date().toISOString()
+      },
+      {
+        name: 'Iraq',
+        officialName: 'Republic of Iraq',
+        code: 'IQ',
+        code3: 'IRQ',
+        capital: 'Baghdad',
+        region: 'Asia',
+        subregion: 'Western Asia',
+        population: 45504000,
+        area: 438317,
+        coordinates: [33, 44],
+        languages: ['Arabic', 'Kurdish'],
+        currencies: ['IQD'],
+        borders: ['IRN', 'JOR', 'KWT', 'SAU', 'SYR', 'TUR'],
+        flag: '🇮🇶',
+        lastUpdated: new Date().toISOString()
+      },
+      {
+        name: 'Somalia',
+        officialName: 'Federal Republic of Somalia',
+        code: 'SO',
+        code3: 'SOM',
+        capital: 'Mogadishu',
+        region: 'Africa',
+        subregion: 'Eastern Africa',
+        population: 18143000,
+        area: 637657,
+        coordinates: [10, 49],
+        languages: ['Somali', 'Arabic'],
+        currencies: ['SOS'],
+        borders: ['DJI', 'ETH', 'KEN'],
+        flag: '🇸🇴',
+        lastUpdated: new Date().toISOString()
+      },
+      {
+        name: 'South Sudan',
+        officialName: 'Republic of South Sudan',
+        code: 'SS',
+        code3: 'SSD',
+        capital: 'Juba',
+        region: 'Africa',
+        subregion: 'Middle Africa',
+        population: 11088000,
+        area: 619745,
+        coordinates: [7, 30],
+        languages: ['English'],
+        currencies: ['SSP'],
+        borders: ['CAF', 'COD', 'ETH', 'KEN', 'SDN', 'UGA'],
+        flag: '🇸🇸',
+        lastUpdated: new Date().toISOString()
+      },
+      {
+        name: 'DR Congo',
+        officialName: 'Democratic Republic of the Congo',
+        code: 'CD',
+        code3: 'COD',
+        capital: 'Kinshasa',
+        region: 'Africa',
+        subregion: 'Middle Africa',
+        population: 102262000,
+        area: 2344858,
+        coordinates: [0, 25],
+        languages: ['French', 'Kikongo', 'Lingala', 'Swahili', 'Tshiluba'],
+        currencies: ['CDF'],
+        borders: ['AGO', 'BDI', 'CAF', 'COG', 'RWA', 'SSD', 'TZA', 'UGA', 'ZMB'],
+        flag: '🇨🇩',
+        lastUpdated: new Date().toISOString()
+      },
+      {
+        name: 'Haiti',
+        officialName: 'Republic of Haiti',
+        code: 'HT',
+        code3: 'HTI',
+        capital: 'Port-au-Prince',
+        region: 'Americas',
+        subregion: 'Caribbean',
+        population: 11724000,
+        area: 27750,
+        coordinates: [19, -72.4167],
+        languages: ['French', 'Haitian Creole'],
+        currencies: ['HTG'],
+        borders: ['DOM'],
+        flag: '🇭🇹',
+        lastUpdated: new Date().toISOString()
+      },
+      {
+        name: 'Venezuela',
+        officialName: 'Bolivarian Republic of Venezuela',
+        code: 'VE',
+        code3: 'VEN',
+        capital: 'Caracas',
+        region: 'Americas',
+        subregion: 'South America',
+        population: 28301000,
+        area: 916445,
+        coordinates: [8, -66],
+        languages: ['Spanish'],
+        currencies: ['VES'],
+        borders: ['BRA', 'COL', 'GUY'],
+        flag: '🇻🇪',
+        lastUpdated: new Date().toISOString()
       }
     ];
   }
@@ -24,6 +24,13 @@ const APIS = {
   }
 };
 
+// Words that mark a report as breaking when it is also recent
+const BREAKING_KEYWORDS = [
+  'breaking', 'attack', 'airstrike', 'offensive', 'massacre', 'killed', 'shelling', 'siege', 'coup',
+  'evacuat', 'fled', 'fleeing', 'exodus', 'earthquake', 'flood', 'cyclone', 'famine', 'outbreak'
+];
+const BREAKING_WINDOW_HOURS = 24;
+
 class RealNewsDataService {
   constructor() {
     // FIXED: Initialize clients with correct endpoints
@@ -119,16 +126,245 @@ class RealNewsDataService {
     }
   }
 
+  /**
+   * Country news intelligence for the data aggregator: deduplicated NewsAPI
+   * and Guardian coverage over the window, breaking reports, sentiment and
+   * crisis-keyword volume per day
+   * @param {string} country - Country name
+   * @param {number} days - Window in days
+   * @returns {Promise<Object>} { crisisLevel, confidence, urgencyScore, keyIndicators, sentiment, mediaAttention, breakingNews, ... }
+   */
+  async getCountryNewsAnalysis(country, days = 7) {
+    try {
+      const cacheKey = `country_news_${country}_${days}`;
+      const cachedData = this.getCachedData(cacheKey);
+
+      if (cachedData) {
+        return cachedData;
+      }
+
+      logger.info(`Analyzing ${days}-day news coverage for ${country}`);
+
+      const [newsAPIResult, guardianResult] = await Promise.all([
+        this.searchNewsAPI(country, 50, days),
+        this.searchGuardianNews(country, 50, days)
+      ]);
+
+      const sources = [newsAPIResult, guardianResult].filter(result => result.success).map(result => result.source);
+      if (sources.length === 0) {
+        throw new Error(`No news source available (${newsAPIResult.error}; ${guardianResult.error})`);
+      }
+
+      const articles = this.deduplicateArticles([...newsAPIResult.data, ...guardianResult.data]);
+      const breakingNews = this.classifyBreakingNews(articles);
+      const sentiment = this.summarizeSentiment(articles);
+      const volume = this.buildKeywordVolume(articles, days);
+      const urgencyScore = this.calculateUrgencyScore(articles, breakingNews, sentiment, volume);
+
+      const result = {
+        country,
+        crisisLevel: urgencyScore >= 75 ? 'CRITICAL' : urgencyScore >= 50 ? 'HIGH' : urgencyScore >= 25 ? 'MEDIUM' : 'LOW',
+        confidence: Math.round(Math.min(0.9, 0.4 + sources.length * 0.15 + Math.min(articles.length, 20) / 100) * 100) / 100,
+        urgencyScore,
+        keyIndicators: this.buildNewsIndicators(articles, breakingNews, sentiment, volume, days),
+        sentiment: sentiment.overall,
+        sentimentBreakdown: sentiment,
+        mediaAttention: articles.length >= 20 ? 'high' : articles.length >= 8 ? 'medium' : 'low',
+        breakingNews,
+        keywordVolume: volume,
+        articleCount: articles.length,
+        topArticles: articles.slice(0, 10).map(article => ({
+          title: article.title,
+          url: article.url,
+          source: article.source,
+          publishedAt: article.publishedAt,
+          sentiment: article.sentiment
+        })),
+        sources,
+        timeRange: `${days} days`,
+        lastUpdated: new Date().toISOString()
+      };
+
+      this.setCachedData(cacheKey, result);
+      logger.info(`News analysis for ${country}: ${result.crisisLevel} (${articles.length} articles, ${breakingNews.length} breaking)`);
+      return result;
+
+    } catch (error) {
+      logger.error(`Failed to analyze news for ${country}:`, error.message);
+      return this.getEmptyNewsAnalysis(country, error.message);
+    }
+  }
+
+  /**
+   * Remove the same story reported by both APIs or syndicated under several URLs
+   * @param {Array} articles - Articles from all sources
+   * @returns {Array} Unique articles, newest first
+   */
+  deduplicateArticles(articles) {
+    const seen = new Set();
+    const normalizeUrl = (url) => String(url || '').split(/[?#]/)[0].replace(/\/$/, '').toLowerCase();
+    const normalizeTitle = (title) => String(title || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim().slice(0, 80);
+
+    return articles
+      .filter(article => {
+        const keys = [normalizeUrl(article.url), normalizeTitle(article.title)].filter(Boolean);
+        if (keys.some(key => seen.has(key))) return false;
+        keys.forEach(key => seen.add(key));
+        return true;
+      })
+      .sort((a, b) => new Date(b.publishedAt || 0) - new Date(a.publishedAt || 0));
+  }
+
+  /**
+   * Recent articles reporting acute events
+   * @param {Array} articles - Unique articles
+   * @returns {Array} Breaking reports, newest first
+   */
+  classifyBreakingNews(articles) {
+    const cutoff = moment().subtract(BREAKING_WINDOW_HOURS, 'hours');
+
+    return articles
+      .filter(article => moment(article.publishedAt).isAfter(cutoff))
+      .map(article => {
+        const text = `${article.title} ${article.description || ''}`.toLowerCase();
+        const triggers = BREAKING_KEYWORDS.filter(keyword => text.includes(keyword));
+        return { article, triggers };
+      })
+      .filter(({ triggers }) => triggers.length > 0)
+      .map(({ article, triggers }) => ({
+        title: article.title,
+        url: article.url,
+        source: article.source,
+        publishedAt: article.publishedAt,
+        triggers,
+        urgency: triggers.length >= 2 || article.sentiment === 'negative' ? 'high' : 'medium'
+      }));
+  }
+
+  /**
+   * Sentiment split and its direction over the window
+   * @param {Array} articles - Unique articles, newest first
+   * @returns {Object} { overall, positive, negative, neutral, negativeShare, trend }
+   */
+  summarizeSentiment(articles) {
+    const counts = { positive: 0, negative: 0, neutral: 0 };
+    articles.forEach(article => {
+      counts[article.sentiment || 'neutral']++;
+    });
+
+    // Compare the newer half of the coverage with the older half
+    const negativeShare = (list) => list.length > 0
+      ? list.filter(article => article.sentiment === 'negative').length / list.length
+      : 0;
+    const middle = Math.ceil(articles.length / 2);
+    const change = negativeShare(articles.slice(0, middle)) - negativeShare(articles.slice(middle));
+
+    return {
+      overall: counts.negative > counts.positive ? 'negative' : counts.positive > counts.negative ? 'positive' : 'neutral',
+      ...counts,
+      negativeShare: Math.round(negativeShare(articles) * 100) / 100,
+      trend: articles.length < 4 ? 'insufficient_data' : change > 0.15 ? 'worsening' : change < -0.15 ? 'improving' : 'stable'
+    };
+  }
+
+  /**
+   * Articles and crisis keywords per day over the window
+   * @param {Array} articles - Unique articles
+   * @param {number} days - Window in days
+   * @returns {Object} { daily, keywords, trend }
+   */
+  buildKeywordVolume(articles, days) {
+    const daily = Array.from({ length: days }, (_, i) => ({
+      date: moment().subtract(days - 1 - i, 'days').format('YYYY-MM-DD'),
+      articles: 0,
+      crisisKeywords: 0
+    }));
+    const byDate = new Map(daily.map(day => [day.date, day]));
+    const keywords = {};
+
+    articles.forEach(article => {
+      const day = byDate.get(moment(article.publishedAt).format('YYYY-MM-DD'));
+      if (day) {
+        day.articles++;
+        day.crisisKeywords += (article.crisisKeywords || []).length;
+      }
+      (article.crisisKeywords || []).forEach(keyword => {
+        keywords[keyword] = (keywords[keyword] || 0) + 1;
+      });
+    });
+
+    const third = Math.max(1, Math.floor(days / 3));
+    const earlier = daily.slice(0, third).reduce((sum, day) => sum + day.crisisKeywords, 0);
+    const recent = daily.slice(-third).reduce((sum, day) => sum + day.crisisKeywords, 0);
+
+    return {
+      daily,
+      keywords: Object.fromEntries(Object.entries(keywords).sort((a, b) => b[1] - a[1])),
+      trend: recent > earlier * 1.5 && recent - earlier >= 3 ? 'rising'
+        : earlier > recent * 1.5 && earlier - recent >= 3 ? 'falling' : 'stable'
+    };
+  }
+
+  /**
+   * Urgency score (0-100) from coverage volume, negativity, breaking reports and keyword trend
+   */
+  calculateUrgencyScore(articles, breakingNews, sentiment, volume) {
+    const volumeScore = Math.min(articles.length / 30, 1) * 30;
+    const negativityScore = sentiment.negativeShare * 30;
+    const breakingScore = Math.min(breakingNews.filter(news => news.urgency === 'high').length * 10 +
+      breakingNews.filter(news => news.urgency === 'medium').length * 5, 30);
+    const trendScore = volume.trend === 'rising' ? 10 : 0;
+
+    return Math.round(volumeScore + negativityScore + breakingScore + trendScore);
+  }
+
+  /**
+   * Human-readable indicators for the assessment
+   */
+  buildNewsIndicators(articles, breakingNews, sentiment, volume, days) {
+    const indicators = [`${articles.length} articles in ${days} days (keyword volume ${volume.trend})`];
+
+    if (breakingNews.length > 0) {
+      indicators.push(`${breakingNews.length} breaking reports, latest: ${breakingNews[0].title}`);
+    }
+    if (articles.length > 0) {
+      indicators.push(`${Math.round(sentiment.negativeShare * 100)}% negative coverage (${sentiment.trend})`);
+    }
+
+    const topKeywords = Object.entries(volume.keywords).slice(0, 3);
+    if (topKeywords.length > 0) {
+      indicators.push(`Top crisis keywords: ${topKeywords.map(([keyword, count]) => `${keyword} (${count})`).join(', ')}`);
+    }
+
+    return indicators;
+  }
+
+  /**
+   * Empty analysis (normalizeNewsData treats it as unavailable)
+   * @param {string} country - Country name
+   * @param {string} reason - Why no analysis is available
+   */
+  getEmptyNewsAnalysis(country, reason) {
+    return {
+      country,
+      keyIndicators: [],
+      breakingNews: [],
+      sources: [],
+      error: reason,
+      lastUpdated: new Date().toISOString()
+    };
+  }
+
   /**
    * Search NewsAPI - FIXED with correct parameters
    */
-  async searchNewsAPI(query, limit = 20) {
+  async searchNewsAPI(query, limit = 20, days = 7) {
     try {
       if (!APIS.newsapi.apiKey) {
         throw new Error('NewsAPI key not configured');
       }
 
-      const cacheKey = `newsapi_${query}_${limit}`;
+      const cacheKey = `newsapi_${query}_${limit}_${days}`;
       const cachedData = this.getCachedData(cacheKey);
       
       if (cachedData) {
@@ -144,7 +380,7 @@ class RealNewsDataService {
           language: 'en',
           sortBy: 'publishedAt',
           pageSize: limit,
-          from: moment().subtract(7, 'days').format('YYYY-MM-DD')
+          from: moment().subtract(days, 'days').format('YYYY-MM-DD')
         }
       });
 
@@ -199,13 +435,13 @@ class RealNewsDataService {
   /**
    * Search Guardian API - FIXED with correct parameters
    */
-  async searchGuardianNews(query, limit = 20) {
+  async searchGuardianNews(query, limit = 20, days = 7) {
     try {
       if (!APIS.guardian.apiKey) {
         throw new Error('Guardian API key not configured');
       }
 
-      const cacheKey = `guardian_${query}_${limit}`;
+      const cacheKey = `guardian_${query}_${limit}_${days}`;
       const cachedData = this.getCachedData(cacheKey);
       
       if (cachedData) {
@@ -220,7 +456,7 @@ class RealNewsDataService {
           q: `"${query}" AND (refugee OR displaced OR crisis OR conflict OR disaster)`,  // FIXED: Correct parameter name
           'api-key': APIS.guardian.apiKey,  // FIXED: Correct parameter name
           'page-size': limit,
-          'from-date': moment().subtract(7, 'days').format('YYYY-MM-DD'),
+          'from-date': moment().subtract(days, 'days').format('YYYY-MM-DD'),
           'show-fields': 'headline,byline,body,thumbnail,publication,wordcount',
           'show-tags': 'keyword',
           'order-by': 'newest'
@@ -378,6 +614,10 @@ class RealNewsDataService {
     }
   }
 
+  clearCache() {
+    this.cache.clear();
+  }
+
   /**
    * Get service health
    */
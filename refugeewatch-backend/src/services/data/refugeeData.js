@@ -8,6 +8,9 @@
 const axios = require('axios');
 const logger = require('../../utils/logger');
 
+// UNHCR population statistics (origin -> asylum breakdown); the RSQ client above does not expose it
+const UNHCR_POPULATION_URL = 'https://api.unhcr.org/population/v1/population/';
+
 class UNHCRRefugeeDataService {
   constructor() {
     // UNHCR API client
@@ -221,6 +224,104 @@ class UNHCRRefugeeDataService {
     }
   }
 
+  /**
+   * Refugees and asylum seekers from one origin country by country of asylum,
+   * for the most recent year UNHCR has published
+   * @param {string} originCode3 - ISO3 code of the origin country
+   * @param {number} years - How many recent years to search for published figures
+   * @returns {Promise<Object>} { success, data: { origin, year, total, flows: [{ country, code3, hosted, share }] }, source }
+   */
+  async getAsylumFlows(originCode3, years = 3) {
+    const code3 = String(originCode3 || '').toUpperCase();
+    const cacheKey = `asylum_flows_${code3}_${years}`;
+    const cachedData = this.getCachedData(cacheKey);
+
+    if (cachedData) {
+      return cachedData;
+    }
+
+    let records = [];
+    let source = 'UNHCR Population API';
+
+    try {
+      const currentYear = new Date().getFullYear();
+      const response = await this.client.get(UNHCR_POPULATION_URL, {
+        params: {
+          coo: code3,
+          coa_all: true,
+          yearFrom: currentYear - years,
+          yearTo: currentYear,
+          limit: 1000
+        }
+      });
+
+      records = (response.data?.items || this.extractResponseData(response))
+        .filter(record => record && record.coa_iso && record.coa_iso !== code3)
+        .map(record => ({
+          year: this.safeParseInt(record.year),
+          country: record.coa_name,
+          code3: record.coa_iso,
+          hosted: this.safeParseInt(record.refugees) + this.safeParseInt(record.asylum_seekers) + this.safeParseInt(record.oip)
+        }));
+    } catch (error) {
+      logger.warn(`UNHCR population API unavailable for ${code3} flows:`, error.message);
+    }
+
+    // Keep only the latest published year
+    const latestYear = Math.max(0, ...records.map(record => record.year));
+    records = records.filter(record => record.year === latestYear && record.hosted > 0);
+
+    if (records.length === 0) {
+      const baseline = this.getReliableFlowData()[code3];
+      if (!baseline) {
+        return {
+          success: false,
+          error: `No asylum flow data for ${code3}`,
+          data: null
+        };
+      }
+      records = baseline.hosts.map(host => ({ ...host, year: baseline.year }));
+      source = 'Reliable UNHCR-Based Data';
+    }
+
+    const total = records.reduce((sum, record) => sum + record.hosted, 0);
+    const result = {
+      success: true,
+      data: {
+        origin: code3,
+        year: records[0].year,
+        total,
+        flows: records
+          .sort((a, b) => b.hosted - a.hosted)
+          .map(({ country, code3: hostCode3, hosted }) => ({
+            country,
+            code3: hostCode3,
+            hosted,
+            share: total > 0 ? Math.round((hosted / total) * 1000) / 1000 : 0
+          }))
+      },
+      source
+    };
+
+    this.setCachedData(cacheKey, result);
+    return result;
+  }
+
+  /**
+   * Refugees hosted per country of asylum across the baseline origins,
+   * used as a measure of how stretched each host already is
+   * @returns {Object} Hosted population keyed by ISO3 code
+   */
+  getHostedTotals() {
+    const totals = {};
+    Object.values(this.getReliableFlowData()).forEach(origin => {
+      origin.hosts.forEach(host => {
+        totals[host.code3] = (totals[host.code3] || 0) + host.hosted;
+      });
+    });
+    return totals;
+  }
+
   /**
    * Extract data from UNHCR API response - FIXED
    */
@@ -556,6 +657,116 @@ class UNHCRRefugeeDataService {
     ];
   }
 
+  /**
+   * Approximate refugees and asylum seekers by country of asylum for the
+   * baseline origins (UNHCR Global Trends 2023, rounded), keyed by origin ISO3
+   */
+  getReliableFlowData() {
+    return {
+      SYR: {
+        year: 2023,
+        hosts: [
+          { country: 'Türkiye', code3: 'TUR', hosted: 3200000 },
+          { country: 'Lebanon', code3: 'LBN', hosted: 785000 },
+          { country: 'Germany', code3: 'DEU', hosted: 710000 },
+          { country: 'Jordan', code3: 'JOR', hosted: 640000 },
+          { country: 'Iraq', code3: 'IRQ', hosted: 270000 },
+          { country: 'Egypt', code3: 'EGY', hosted: 150000 }
+        ]
+      },
+      AFG: {
+        year: 2023,
+        hosts: [
+          { country: 'Iran', code3: 'IRN', hosted: 3000000 },
+          { country: 'Pakistan', code3: 'PAK', hosted: 1950000 },
+          { country: 'Germany', code3: 'DEU', hosted: 250000 },
+          { country: 'Türkiye', code3: 'TUR', hosted: 130000 },
+          { country: 'Tajikistan', code3: 'TJK', hosted: 10000 }
+        ]
+      },
+      UKR: {
+        year: 2023,
+        hosts: [
+          { country: 'Germany', code3: 'DEU', hosted: 1100000 },
+          { country: 'Poland', code3: 'POL', hosted: 950000 },
+          { country: 'Czechia', code3: 'CZE', hosted: 380000 },
+          { country: 'Moldova', code3: 'MDA', hosted: 120000 },
+          { country: 'Slovakia', code3: 'SVK', hosted: 110000 },
+          { country: 'Romania', code3: 'ROU', hosted: 90000 },
+          { country: 'Hungary', code3: 'HUN', hosted: 50000 }
+        ]
+      },
+      SDN: {
+        year: 2023,
+        hosts: [
+          { country: 'Chad', code3: 'TCD', hosted: 900000 },
+          { country: 'South Sudan', code3: 'SSD', hosted: 500000 },
+          { country: 'Egypt', code3: 'EGY', hosted: 500000 },
+          { country: 'Libya', code3: 'LBY', hosted: 100000 },
+          { country: 'Ethiopia', code3: 'ETH', hosted: 80000 },
+          { country: 'Central African Republic', code3: 'CAF', hosted: 30000 }
+        ]
+      },
+      MMR: {
+        year: 2023,
+        hosts: [
+          { country: 'Bangladesh', code3: 'BGD', hosted: 960000 },
+          { country: 'Malaysia', code3: 'MYS', hosted: 160000 },
+          { country: 'Thailand', code3: 'THA', hosted: 90000 },
+          { country: 'India', code3: 'IND', hosted: 80000 }
+        ]
+      },
+      SOM: {
+        year: 2023,
+        hosts: [
+          { country: 'Kenya', code3: 'KEN', hosted: 300000 },
+          { country: 'Ethiopia', code3: 'ETH', hosted: 290000 },
+          { country: 'Yemen', code3: 'YEM', hosted: 60000 },
+          { country: 'Uganda', code3: 'UGA', hosted: 60000 },
+          { country: 'Djibouti', code3: 'DJI', hosted: 15000 }
+        ]
+      },
+      COD: {
+        year: 2023,
+        hosts: [
+          { country: 'Uganda', code3: 'UGA', hosted: 500000 },
+          { country: 'Burundi', code3: 'BDI', hosted: 90000 },
+          { country: 'Rwanda', code3: 'RWA', hosted: 80000 },
+          { country: 'Tanzania', code3: 'TZA', hosted: 80000 },
+          { country: 'Zambia', code3: 'ZMB', hosted: 50000 }
+        ]
+      },
+      YEM: {
+        year: 2023,
+        hosts: [
+          { country: 'Saudi Arabia', code3: 'SAU', hosted: 20000 },
+          { country: 'Djibouti', code3: 'DJI', hosted: 20000 },
+          { country: 'Somalia', code3: 'SOM', hosted: 10000 },
+          { country: 'Oman', code3: 'OMN', hosted: 5000 }
+        ]
+      },
+      SSD: {
+        year: 2023,
+        hosts: [
+          { country: 'Uganda', code3: 'UGA', hosted: 900000 },
+          { country: 'Sudan', code3: 'SDN', hosted: 800000 },
+          { country: 'Ethiopia', code3: 'ETH', hosted: 400000 },
+          { country: 'Kenya', code3: 'KEN', hosted: 170000 },
+          { country: 'DR Congo', code3: 'COD', hosted: 60000 }
+        ]
+      },
+      ETH: {
+        year: 2023,
+        hosts: [
+          { country: 'Sudan', code3: 'SDN', hosted: 60000 },
+          { country: 'Kenya', code3: 'KEN', hosted: 40000 },
+          { country: 'Uganda', code3: 'UGA', hosted: 30000 },
+          { country: 'Djibouti', code3: 'DJI', hosted: 15000 }
+        ]
+      }
+    };
+  }
+
   /**
    * Get service health - FIXED
    */
@@ -0,0 +1,242 @@
+/**
+ * RefugeeWatch AI - Notification Transports
+ *
+ * Sends notification messages over each channel: email through an SMTP
+ * relay (nodemailer), webhooks as signed JSON POSTs, and SMS and push
+ * through HTTP gateways. A channel whose relay or gateway is not configured
+ * fails with code NOT_CONFIGURED so the delivery is recorded as skipped.
+ * Subscriber webhooks must be https and resolve to public addresses, unless
+ * their host is on NOTIFICATION_WEBHOOK_ALLOWLIST.
+ * `scripts/notification-sink.js` runs a local SMTP and HTTP stand-in.
+ *
+ * @author RefugeeWatch AI Team
+ * @version 1.0.0
+ */
+
+const dns = require('dns');
+const net = require('net');
+const crypto = require('crypto');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+
+const TRANSPORT_CONFIG = {
+  smtp: {
+    host: process.env.NOTIFICATION_SMTP_HOST || null,
+    port: parseInt(process.env.NOTIFICATION_SMTP_PORT) || 25,
+    secure: process.env.NOTIFICATION_SMTP_SECURE === 'true',
+    user: process.env.NOTIFICATION_SMTP_USER || null,
+    password: process.env.NOTIFICATION_SMTP_PASSWORD || null
+  },
+  from: process.env.NOTIFICATION_FROM || 'RefugeeWatch AI <alerts@refugeewatch.local>',
+  smsGatewayUrl: process.env.NOTIFICATION_SMS_GATEWAY_URL || null,
+  pushGatewayUrl: process.env.NOTIFICATION_PUSH_GATEWAY_URL || null,
+  // Shared secret for the X-RefugeeWatch-Signature header on webhook calls
+  webhookSecret: process.env.NOTIFICATION_WEBHOOK_SECRET || null,
+  // Webhook hosts that may use http and private addresses, e.g. the local sink
+  webhookAllowlist: (process.env.NOTIFICATION_WEBHOOK_ALLOWLIST || '')
+    .split(',').map(host => host.trim().toLowerCase()).filter(Boolean),
+  timeoutMs: parseInt(process.env.NOTIFICATION_TIMEOUT_MS) || 10000
+};
+
+// Loopback, private, link-local, shared, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const notConfigured = (message) => {
+  const error = new Error(message);
+  error.code = 'NOT_CONFIGURED';
+  return error;
+};
+
+/**
+ * Whether an IP address is loopback, private or otherwise not publicly routable
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True when webhooks may not be sent to it
+ */
+function isPrivateAddress(address) {
+  // IPv4-mapped IPv6 addresses are checked against the IPv4 ranges
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Why a webhook URL may not be used, if anything. Names are checked again
+ * when they resolve (see webhookLookup).
+ * @param {string} url - Webhook URL
+ * @param {Array<string>} allowlist - Hosts exempt from the https and address checks
+ * @returns {string|null} Problem, or null when the URL is acceptable
+ */
+function checkWebhookUrl(url, allowlist = TRANSPORT_CONFIG.webhookAllowlist) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'Webhook URL is not a valid URL';
+  }
+
+  const host = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  if (allowlist.includes(host)) {
+    return ['http:', 'https:'].includes(parsed.protocol) ? null : 'Webhook URL must be http(s)';
+  }
+  if (parsed.protocol !== 'https:') {
+    return 'Webhook URL must use https';
+  }
+  if (host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && isPrivateAddress(host))) {
+    return 'Webhook URL must not point at a private or loopback address';
+  }
+  return null;
+}
+
+/**
+ * dns.lookup that refuses private addresses, so a webhook name cannot
+ * resolve (or re-resolve) to an internal service
+ */
+function webhookLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) {
+      return callback(new Error(`Webhook host ${hostname} resolves to private address ${blocked.address}`));
+    }
+    callback(null, address, family);
+  });
+}
+
+class NotificationTransports {
+  /**
+   * @param {Object} config - Overrides for TRANSPORT_CONFIG
+   */
+  constructor(config = {}) {
+    this.config = { ...TRANSPORT_CONFIG, ...config };
+    this.mailer = null;
+  }
+
+  /**
+   * SMTP transport, created on first use. With credentials it requires TLS
+   * (SMTPS or STARTTLS) so they never cross the network in plaintext.
+   * @returns {Object} nodemailer transporter
+   */
+  getMailer() {
+    if (!this.mailer) {
+      const { host, port, secure, user, password } = this.config.smtp;
+      this.mailer = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        requireTLS: !secure && Boolean(user),
+        auth: user ? { user, pass: password || '' } : undefined,
+        connectionTimeout: this.config.timeoutMs,
+        greetingTimeout: this.config.timeoutMs,
+        socketTimeout: this.config.timeoutMs
+      });
+    }
+    return this.mailer;
+  }
+
+  /**
+   * Channels that can currently deliver
+   * @returns {Object} { email, sms, push, webhook } booleans
+   */
+  getStatus() {
+    return {
+      email: Boolean(this.config.smtp?.host),
+      sms: Boolean(this.config.smsGatewayUrl),
+      push: Boolean(this.config.pushGatewayUrl),
+      webhook: true
+    };
+  }
+
+  /**
+   * Send a message to one subscriber over one channel
+   * @param {string} channel - email | sms | push | webhook
+   * @param {string} recipient - Email address, phone number, push token or webhook URL
+   * @param {Object} message - { subject, text, payload }
+   * @returns {Promise<Object>} Transport-specific result
+   */
+  async send(channel, recipient, message) {
+    switch (channel) {
+      case 'email':
+        return this.sendEmail(recipient, message);
+      case 'sms':
+        return this.postToGateway(this.config.smsGatewayUrl, 'SMS', {
+          to: recipient,
+          message: `${message.subject}\n${message.text}`.slice(0, 1600)
+        });
+      case 'push':
+        return this.postToGateway(this.config.pushGatewayUrl, 'Push', {
+          token: recipient,
+          title: message.subject,
+          body: message.text.split('\n').find(Boolean) || message.subject,
+          data: message.payload
+        });
+      case 'webhook':
+        return this.sendWebhook(recipient, message);
+      default:
+        throw new Error(`Unknown notification channel: ${channel}`);
+    }
+  }
+
+  async sendEmail(to, message) {
+    if (!this.config.smtp?.host) {
+      throw notConfigured('Email transport not configured (NOTIFICATION_SMTP_HOST)');
+    }
+
+    const { response } = await this.getMailer().sendMail({
+      from: this.config.from,
+      to,
+      subject: message.subject,
+      text: message.text
+    });
+
+    return { response };
+  }
+
+  async sendWebhook(url, message) {
+    const problem = checkWebhookUrl(url, this.config.webhookAllowlist);
+    if (problem) {
+      throw new Error(problem);
+    }
+
+    const body = JSON.stringify({ subject: message.subject, text: message.text, ...message.payload });
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'RefugeeWatch-AI',
+      'X-RefugeeWatch-Event': message.payload?.event || 'notification'
+    };
+    if (this.config.webhookSecret) {
+      headers['X-RefugeeWatch-Signature'] = `sha256=${crypto.createHmac('sha256', this.config.webhookSecret).update(body).digest('hex')}`;
+    }
+
+    const allowlisted = this.config.webhookAllowlist.includes(new URL(url).hostname.toLowerCase());
+    const response = await axios.post(url, body, {
+      headers,
+      timeout: this.config.timeoutMs,
+      maxRedirects: 0,
+      lookup: allowlisted ? undefined : webhookLookup
+    });
+    return { status: response.status };
+  }
+
+  async postToGateway(url, label, body) {
+    if (!url) {
+      throw notConfigured(`${label} gateway not configured`);
+    }
+
+    const response = await axios.post(url, body, { timeout: this.config.timeoutMs });
+    return { status: response.status };
+  }
+}
+
+module.exports = {
+  NotificationTransports,
+  checkWebhookUrl,
+  isPrivateAddress,
+  TRANSPORT_CONFIG
+};
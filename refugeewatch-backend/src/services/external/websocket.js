@@ -4,6 +4,15 @@
  * Real-time updates for crisis monitoring and alerts
  * Pushes live data updates to connected clients
  * 
+ * Subscriptions can be filtered by country, region, minimum risk level and
+ * alert severity. Topic messages carry a sequence number and the most
+ * recent ones are kept so a reconnecting client can replay what it missed.
+ * 
+ * Once an auth service is set, connections are authenticated with a
+ * session token or API key (?token=, ?apiKey= or the Authorization and
+ * X-API-Key headers) and each topic needs a minimum role. Users with
+ * regional assignments only receive updates about crises in their regions.
+ * 
  * @author RefugeeWatch AI Team
  * @version 1.0.0
  */
@@ -11,6 +20,112 @@
 const WebSocket = require('ws');
 const moment = require('moment');
 const logger = require('../../utils/logger');
+const { ALERT_LEVEL_SEVERITY, SEVERITY_LEVELS } = require('../../utils/notificationUtils');
+const { hasRole, isInRegionScope, extractCredentials } = require('../../utils/authUtils');
+
+// Minimum role to subscribe to each topic
+const TOPIC_ROLES = {
+  crisis_updates: 'viewer',
+  ai_analysis: 'analyst',
+  global_metrics: 'viewer',
+  alerts: 'viewer',
+  system_status: 'viewer'
+};
+
+const VALID_TOPICS = Object.keys(TOPIC_ROLES);
+
+const RISK_ORDER = { MINIMAL: 0, LOW: 1, MEDIUM: 2, HIGH: 3, CRITICAL: 4 };
+
+// Topic messages kept for replay
+const REPLAY_BUFFER_SIZE = parseInt(process.env.WS_REPLAY_BUFFER_SIZE) || 100;
+
+const toList = (value) => (Array.isArray(value) ? value : [value])
+  .filter(item => typeof item === 'string' && item.trim())
+  .map(item => item.trim());
+
+/**
+ * Validate and normalize subscription filters
+ * @param {Object} filters - { countries, regions, minRiskLevel, alertSeverity }
+ * @returns {Object} { filters } or { error }
+ */
+function normalizeFilters(filters) {
+  if (filters === undefined || filters === null) {
+    return { filters: null };
+  }
+  if (typeof filters !== 'object' || Array.isArray(filters)) {
+    return { error: 'Filters must be an object' };
+  }
+
+  const normalized = {};
+
+  if (filters.countries !== undefined) {
+    normalized.countries = toList(filters.countries).map(country => country.toLowerCase());
+  }
+
+  const regions = filters.regions !== undefined ? filters.regions : filters.region;
+  if (regions !== undefined) {
+    normalized.regions = toList(regions).map(region => region.toLowerCase());
+  }
+
+  if (filters.minRiskLevel !== undefined) {
+    const level = String(filters.minRiskLevel).toUpperCase();
+    if (RISK_ORDER[level] === undefined) {
+      return { error: `minRiskLevel must be one of: ${Object.keys(RISK_ORDER).join(', ')}` };
+    }
+    normalized.minRiskLevel = level;
+  }
+
+  if (filters.alertSeverity !== undefined) {
+    // Alert levels (INFO, MEDIUM) are accepted as their severity equivalents
+    const severities = toList(filters.alertSeverity)
+      .map(value => value.toUpperCase())
+      .map(value => ALERT_LEVEL_SEVERITY[value] || value);
+    const invalid = severities.filter(value => !SEVERITY_LEVELS.includes(value));
+    if (invalid.length > 0) {
+      return { error: `alertSeverity must contain only: ${SEVERITY_LEVELS.join(', ')}` };
+    }
+    normalized.alertSeverity = [...new Set(severities)];
+  }
+
+  const active = Object.values(normalized).some(value => !Array.isArray(value) || value.length > 0);
+  return { filters: active ? normalized : null };
+}
+
+/**
+ * Whether a topic message passes a client's filters. A filter only applies
+ * to messages that carry the field it checks, so global metrics still reach
+ * a client filtering by country. A risk level the filter does not know
+ * (e.g. UNKNOWN) fails a minRiskLevel filter.
+ * @param {Object|null} filters - Normalized filters
+ * @param {Object} message - Topic message
+ * @returns {boolean} True when the message should be sent
+ */
+function matchesFilters(filters, message) {
+  if (!filters) return true;
+
+  const data = message.data || {};
+
+  if (filters.countries?.length > 0 && data.country) {
+    if (!filters.countries.includes(String(data.country).toLowerCase())) return false;
+  }
+
+  if (filters.regions?.length > 0) {
+    const regions = [data.region, data.subregion].filter(Boolean).map(region => String(region).toLowerCase());
+    if (regions.length > 0 && !filters.regions.some(region => regions.includes(region))) return false;
+  }
+
+  const riskLevel = data.riskLevel || data.aiRiskLevel;
+  if (filters.minRiskLevel && riskLevel) {
+    const rank = RISK_ORDER[String(riskLevel).toUpperCase()];
+    if (rank === undefined || rank < RISK_ORDER[filters.minRiskLevel]) return false;
+  }
+
+  if (filters.alertSeverity?.length > 0 && message.topic === 'alerts' && data.level) {
+    if (!filters.alertSeverity.includes(ALERT_LEVEL_SEVERITY[data.level] || 'LOW')) return false;
+  }
+
+  return true;
+}
 
 /**
  * WebSocket Service for Real-time Updates
@@ -20,12 +135,17 @@ class WebSocketService {
     this.wss = new WebSocket.Server({ 
       server,
       path: '/ws',
-      perMessageDeflate: false 
+      perMessageDeflate: false,
+      verifyClient: (info, done) => this.verifyClient(info, done)
     });
     
+    this.authService = null; // Without one, every connection can use every topic
+    
     this.clients = new Map();
     this.rooms = new Map(); // For topic-based subscriptions
     this.heartbeatInterval = null;
+    this.sequence = 0;
+    this.replayBuffer = []; // Most recent topic messages, oldest first
     
     this.initialize();
   }
@@ -43,6 +163,9 @@ class WebSocketService {
         userAgent: req.headers['user-agent'],
         connectedAt: moment(),
         subscriptions: new Set(),
+        filters: new Map(), // topic -> normalized filters (null for unfiltered)
+        principal: req.principal || null,
+        credentials: req.credentials || null, // Checked again on subscribe and each heartbeat
         isAlive: true
       };
       
@@ -51,6 +174,8 @@ class WebSocketService {
       logger.info('WebSocket client connected', {
         clientId,
         ip: clientInfo.ip,
+        user: clientInfo.principal?.email || clientInfo.principal?.name || null,
+        role: clientInfo.principal?.role || null,
         totalClients: this.clients.size
       });
       
@@ -59,6 +184,8 @@ class WebSocketService {
         type: 'connection',
         status: 'connected',
         clientId: clientId,
+        principal: this.describePrincipal(clientInfo),
+        lastSeq: this.sequence,
         timestamp: moment().toISOString(),
         message: 'Connected to RefugeeWatch AI real-time updates'
       });
@@ -79,6 +206,119 @@ class WebSocketService {
     });
   }
 
+  /**
+   * Set the auth service used to authenticate connections
+   * @param {AuthService} authService - Auth service
+   */
+  setAuthService(authService) {
+    this.authService = authService;
+  }
+
+  /**
+   * Authenticate the upgrade request before the connection is accepted.
+   * The principal and credentials are kept on the request for the
+   * connection handler.
+   */
+  verifyClient(info, done) {
+    if (!this.authService) {
+      return done(true);
+    }
+    
+    const query = new URL(info.req.url, 'http://localhost').searchParams;
+    const credentials = extractCredentials(info.req.headers, query);
+    this.authService.authenticate(credentials)
+      .then(principal => {
+        if (!principal) {
+          return done(false, 401, 'Authentication required');
+        }
+        info.req.principal = principal;
+        info.req.credentials = principal.type === 'anonymous' ? null : credentials;
+        done(true);
+      })
+      .catch(error => {
+        logger.warn('WebSocket authentication failed', { error: error.message });
+        done(false, error.statusCode || 500, error.statusCode ? error.message : 'Authentication failed');
+      });
+  }
+
+  /**
+   * Whether a client's role allows a topic
+   */
+  canSubscribe(client, topic) {
+    if (!this.authService) return true;
+    return Boolean(client.principal) && hasRole(client.principal.role, TOPIC_ROLES[topic]);
+  }
+
+  /**
+   * Whether a topic message passes the client's filters and regional scope
+   */
+  shouldReceive(client, message) {
+    return matchesFilters(client.filters.get(message.topic), message) &&
+      isInRegionScope(client.principal, message.data || {});
+  }
+
+  /**
+   * Public part of a client's principal
+   */
+  describePrincipal(client) {
+    const principal = client.principal;
+    if (!principal) return null;
+    return { type: principal.type, name: principal.name, role: principal.role };
+  }
+
+  /**
+   * Check a client's credentials again so a connection does not outlive a
+   * logout, an expired session or a revoked API key. A client whose
+   * credentials stopped working is told why and disconnected; otherwise its
+   * principal is refreshed and topics its role no longer allows are dropped.
+   * @param {string} clientId - Client ID
+   * @returns {Promise<boolean>} False when the client was disconnected
+   */
+  async revalidate(clientId) {
+    const client = this.clients.get(clientId);
+    if (!client) return false;
+    if (!this.authService || !client.credentials) return true;
+    
+    try {
+      client.principal = await this.authService.authenticate(client.credentials);
+    } catch (error) {
+      logger.info('WebSocket credentials no longer valid', { clientId, error: error.message });
+      this.sendToClient(clientId, {
+        type: 'session_ended',
+        message: error.statusCode ? error.message : 'Authentication failed',
+        timestamp: moment().toISOString()
+      });
+      client.ws.close(4001, 'Session ended');
+      this.handleDisconnect(clientId);
+      return false;
+    }
+    
+    const revokedTopics = this.dropRevokedTopics(clientId);
+    if (revokedTopics.length > 0) {
+      this.sendToClient(clientId, {
+        type: 'authenticated',
+        principal: this.describePrincipal(client),
+        unsubscribedTopics: revokedTopics,
+        timestamp: moment().toISOString()
+      });
+    }
+    return true;
+  }
+
+  /**
+   * Unsubscribe a client from topics its current role cannot use
+   * @param {string} clientId - Client ID
+   * @returns {Array<string>} Topics unsubscribed
+   */
+  dropRevokedTopics(clientId) {
+    const client = this.clients.get(clientId);
+    const revokedTopics = [...client.subscriptions].filter(topic => !this.canSubscribe(client, topic));
+    if (revokedTopics.length > 0) {
+      this.handleUnsubscription(clientId, { topics: revokedTopics });
+    }
+    return revokedTopics;
+  }
+
   /**
    * Handle incoming messages from clients
    */
@@ -96,6 +336,10 @@ class WebSocketService {
       });
       
       switch (message.type) {
+        case 'authenticate':
+          this.handleAuthentication(clientId, message.data);
+          break;
+          
         case 'subscribe':
           this.handleSubscription(clientId, message.data);
           break;
@@ -137,13 +381,18 @@ class WebSocketService {
   }
 
   /**
-   * Handle client subscription to topics
+   * Handle client subscription to topics.
+   * data: { topics, filters?, replay? } where filters is
+   * { countries, regions, minRiskLevel, alertSeverity } and replay is
+   * { last: N } or { since: seq } to receive buffered messages again.
+   * Subscribing to a topic again replaces its filters. The client's
+   * credentials are checked again first.
    */
-  handleSubscription(clientId, subscription) {
+  async handleSubscription(clientId, subscription) {
+    if (!await this.revalidate(clientId)) return;
     const client = this.clients.get(clientId);
-    if (!client) return;
     
-    const { topics } = subscription;
+    const { topics, filters, replay } = subscription || {};
     
     if (!Array.isArray(topics)) {
       this.sendToClient(clientId, {
@@ -154,19 +403,32 @@ class WebSocketService {
       return;
     }
     
-    const validTopics = [
-      'crisis_updates',
-      'ai_analysis',
-      'global_metrics',
-      'alerts',
-      'system_status'
-    ];
+    const normalized = normalizeFilters(filters);
+    if (normalized.error) {
+      this.sendToClient(clientId, {
+        type: 'error',
+        message: normalized.error,
+        timestamp: moment().toISOString()
+      });
+      return;
+    }
     
     const subscribedTopics = [];
+    const deniedTopics = topics.filter(topic => VALID_TOPICS.includes(topic) && !this.canSubscribe(client, topic));
+    
+    if (deniedTopics.length > 0) {
+      this.sendToClient(clientId, {
+        type: 'error',
+        message: `Your role cannot subscribe to: ${deniedTopics.map(topic => `${topic} (needs ${TOPIC_ROLES[topic]})`).join(', ')}`,
+        deniedTopics,
+        timestamp: moment().toISOString()
+      });
+    }
     
     topics.forEach(topic => {
-      if (validTopics.includes(topic)) {
+      if (VALID_TOPICS.includes(topic) && !deniedTopics.includes(topic)) {
         client.subscriptions.add(topic);
+        client.filters.set(topic, normalized.filters);
         
         // Add client to topic room
         if (!this.rooms.has(topic)) {
@@ -181,12 +443,114 @@ class WebSocketService {
     logger.info('Client subscribed to topics', {
       clientId,
       topics: subscribedTopics,
+      filters: normalized.filters,
       totalSubscriptions: client.subscriptions.size
     });
     
     this.sendToClient(clientId, {
       type: 'subscription_confirmed',
       topics: subscribedTopics,
+      filters: normalized.filters,
+      lastSeq: this.sequence,
+      timestamp: moment().toISOString()
+    });
+    
+    if (replay && subscribedTopics.length > 0) {
+      this.replayToClient(clientId, subscribedTopics, replay);
+    }
+  }
+
+  /**
+   * Resend buffered messages for the given topics that pass the client's
+   * filters, oldest first, followed by a replay_complete message
+   * @param {string} clientId - Client ID
+   * @param {Array<string>} topics - Topics to replay
+   * @param {Object} replay - { last: N } or { since: seq }
+   * @returns {number} Messages replayed
+   */
+  replayToClient(clientId, topics, replay) {
+    const client = this.clients.get(clientId);
+    if (!client) return 0;
+    
+    const since = Number.isInteger(replay.since) ? replay.since : null;
+    const last = Math.min(Math.max(parseInt(replay.last) || 0, 0), REPLAY_BUFFER_SIZE);
+    
+    let messages = this.replayBuffer.filter(message => (
+      topics.includes(message.topic) &&
+      this.shouldReceive(client, message) &&
+      (since === null || message.seq > since)
+    ));
+    if (since === null) {
+      messages = last > 0 ? messages.slice(-last) : [];
+    }
+    
+    messages.forEach(message => this.sendToClient(clientId, { ...message, replayed: true }));
+    
+    // A since older than the buffer means some messages are gone
+    const oldest = this.replayBuffer[0]?.seq;
+    this.sendToClient(clientId, {
+      type: 'replay_complete',
+      topics,
+      count: messages.length,
+      lastSeq: this.sequence,
+      truncated: since !== null && oldest !== undefined && since < oldest - 1,
+      timestamp: moment().toISOString()
+    });
+    
+    return messages.length;
+  }
+
+  /**
+   * Switch a connected client to other credentials: { token } or { apiKey }.
+   * Topics the new role cannot use are unsubscribed.
+   */
+  async handleAuthentication(clientId, credentials) {
+    const client = this.clients.get(clientId);
+    if (!client) return;
+    
+    if (!this.authService) {
+      this.sendToClient(clientId, {
+        type: 'error',
+        message: 'Authentication is not enabled',
+        timestamp: moment().toISOString()
+      });
+      return;
+    }
+    
+    const { token = null, apiKey = null } = credentials || {};
+    if (!token && !apiKey) {
+      this.sendToClient(clientId, {
+        type: 'error',
+        message: 'Provide a token or apiKey',
+        timestamp: moment().toISOString()
+      });
+      return;
+    }
+    
+    try {
+      client.principal = await this.authService.authenticate({ token, apiKey });
+      client.credentials = { token, apiKey };
+    } catch (error) {
+      this.sendToClient(clientId, {
+        type: 'error',
+        message: error.statusCode ? error.message : 'Authentication failed',
+        timestamp: moment().toISOString()
+      });
+      return;
+    }
+    
+    const revokedTopics = this.dropRevokedTopics(clientId);
+    
+    logger.info('WebSocket client authenticated', {
+      clientId,
+      user: client.principal.email || client.principal.name,
+      role: client.principal.role
+    });
+    
+    this.sendToClient(clientId, {
+      type: 'authenticated',
+      principal: this.describePrincipal(client),
+      unsubscribedTopics: revokedTopics,
       timestamp: moment().toISOString()
     });
   }
@@ -204,6 +568,7 @@ class WebSocketService {
     topics.forEach(topic => {
       if (client.subscriptions.has(topic)) {
         client.subscriptions.delete(topic);
+        client.filters.delete(topic);
         
         // Remove from topic room
         if (this.rooms.has(topic)) {
@@ -302,9 +667,23 @@ class WebSocketService {
   }
 
   /**
-   * Broadcast message to all subscribers of a topic
+   * Broadcast message to the subscribers of a topic whose filters it passes.
+   * Every topic message gets a sequence number and is kept for replay, even
+   * when nobody is subscribed.
    */
   broadcastToTopic(topic, message) {
+    const messageWithTopic = {
+      ...message,
+      topic,
+      seq: ++this.sequence,
+      timestamp: moment().toISOString()
+    };
+    
+    this.replayBuffer.push(messageWithTopic);
+    if (this.replayBuffer.length > REPLAY_BUFFER_SIZE) {
+      this.replayBuffer.shift();
+    }
+    
     const room = this.rooms.get(topic);
     
     if (!room || room.size === 0) {
@@ -312,13 +691,14 @@ class WebSocketService {
     }
     
     let sentCount = 0;
-    const messageWithTopic = {
-      ...message,
-      topic,
-      timestamp: moment().toISOString()
-    };
+    let filteredCount = 0;
     
     room.forEach(clientId => {
+      const client = this.clients.get(clientId);
+      if (client && !this.shouldReceive(client, messageWithTopic)) {
+        filteredCount++;
+        return;
+      }
       if (this.sendToClient(clientId, messageWithTopic)) {
         sentCount++;
       }
@@ -328,6 +708,7 @@ class WebSocketService {
       topic,
       subscribers: room.size,
       sent: sentCount,
+      filtered: filteredCount,
       messageType: message.type
     });
     
@@ -335,9 +716,9 @@ class WebSocketService {
   }
 
   /**
-   * Broadcast to all connected clients
+   * Broadcast to all connected clients, or only those a check accepts
    */
-  broadcastToAll(message) {
+  broadcastToAll(message, accepts = null) {
     let sentCount = 0;
     const messageWithTimestamp = {
       ...message,
@@ -345,6 +726,7 @@ class WebSocketService {
     };
     
     this.clients.forEach((client, clientId) => {
+      if (accepts && !accepts(client)) return;
       if (this.sendToClient(clientId, messageWithTimestamp)) {
         sentCount++;
       }
@@ -367,6 +749,8 @@ class WebSocketService {
       type: 'crisis_update',
       data: {
         country: crisisData.country,
+        region: crisisData.region || crisisData.countryInfo?.region || null,
+        subregion: crisisData.countryInfo?.subregion || null,
         riskLevel: crisisData.overallRisk,
         confidence: Math.round(crisisData.confidence * 100),
         lastUpdate: crisisData.timestamp,
@@ -374,7 +758,9 @@ class WebSocketService {
           displacementRisk: crisisData.displacementRisk.level,
           estimatedAffected: crisisData.displacementRisk.estimatedNumbers,
           timeline: crisisData.displacementRisk.timeline
-        }
+        },
+        // Set when the monitoring scheduler detected a risk-level change
+        riskChange: crisisData.riskChange || null
       }
     });
   }
@@ -412,7 +798,8 @@ class WebSocketService {
   }
 
   /**
-   * Send critical alert
+   * Send critical alert to the alerts topic and, outside subscriptions, to
+   * every client whose role and regions allow it
    */
   sendCriticalAlert(alert) {
     this.broadcastToTopic('alerts', {
@@ -421,12 +808,23 @@ class WebSocketService {
       data: alert
     });
     
-    // Also broadcast to all clients for critical alerts
+    // Also notify clients not subscribed to alerts, as long as they could see the alert
     this.broadcastToAll({
       type: 'system_alert',
       priority: 'critical',
       message: `CRITICAL: ${alert.country} - ${alert.message}`,
       data: alert
+    }, client => this.canSubscribe(client, 'alerts') && isInRegionScope(client.principal, alert));
+  }
+
+  /**
+   * Send alert lifecycle update (created, acknowledged, resolved, escalated)
+   */
+  sendAlertUpdate(event, alert) {
+    this.broadcastToTopic('alerts', {
+      type: 'alert_update',
+      event,
+      data: alert
     });
   }
 
@@ -458,7 +856,8 @@ class WebSocketService {
   }
 
   /**
-   * Start heartbeat to detect dead connections
+   * Start heartbeat to detect dead connections and clients whose
+   * credentials stopped working
    */
   startHeartbeat() {
     this.heartbeatInterval = setInterval(() => {
@@ -473,6 +872,7 @@ class WebSocketService {
         client.isAlive = false;
         if (client.ws.readyState === WebSocket.OPEN) {
           client.ws.ping();
+          this.revalidate(clientId);
         }
       });
     }, 30000); // 30 seconds
@@ -507,10 +907,27 @@ class WebSocketService {
       roomStats[topic] = clients.size;
     });
     
+    let filteredSubscriptions = 0;
+    let authenticatedClients = 0;
+    this.clients.forEach(client => {
+      if (client.principal && client.principal.type !== 'anonymous') authenticatedClients++;
+      client.filters.forEach(filters => {
+        if (filters) filteredSubscriptions++;
+      });
+    });
+    
     return {
       totalClients: this.clients.size,
+      authenticatedClients,
+      authEnabled: Boolean(this.authService),
       totalRooms: this.rooms.size,
       roomSubscriptions: roomStats,
+      filteredSubscriptions,
+      replay: {
+        buffered: this.replayBuffer.length,
+        capacity: REPLAY_BUFFER_SIZE,
+        lastSeq: this.sequence
+      },
       uptime: process.uptime()
     };
   }
@@ -529,6 +946,7 @@ class WebSocketService {
     // Clear data structures
     this.clients.clear();
     this.rooms.clear();
+    this.replayBuffer = [];
     
     // Close WebSocket server
     this.wss.close();
@@ -537,4 +955,7 @@ class WebSocketService {
   }
 }
 
-module.exports = WebSocketService;
\ No newline at end of file
+module.exports = WebSocketService;
+module.exports.normalizeFilters = normalizeFilters;
+module.exports.matchesFilters = matchesFilters;
+module.exports.TOPIC_ROLES = TOPIC_ROLES;
\ No newline at end of file
@@ -0,0 +1,344 @@
+/**
+ * RefugeeWatch AI - Alert Service
+ *
+ * Raises alerts when assessments or approved AI analyses cross risk or
+ * displacement thresholds, manages their acknowledge/resolve lifecycle and
+ * escalates CRITICAL alerts nobody has acknowledged. Alerts are pushed
+ * over WebSocket, and new alerts are handed to the notification service
+ * for subscribers.
+ *
+ * @author RefugeeWatch AI Team
+ * @version 1.0.0
+ */
+
+const moment = require('moment');
+const logger = require('../../utils/logger');
+const { DatabaseUtils } = require('../../config/database');
+const { toDbTimestamp } = require('../../utils/analyticsUtils');
+
+const ALERT_CONFIG = {
+  // Lowest overall risk level that raises an alert
+  minRiskLevel: (process.env.ALERT_MIN_RISK_LEVEL || 'HIGH').toUpperCase(),
+  // Predicted displacement that raises an alert regardless of risk level
+  displacementThreshold: parseInt(process.env.ALERT_DISPLACEMENT_THRESHOLD) || 50000,
+  // Minutes a CRITICAL alert may stay unacknowledged before each escalation
+  escalationMinutes: parseInt(process.env.ALERT_ESCALATION_MINUTES) || 30,
+  maxEscalationLevel: parseInt(process.env.ALERT_MAX_ESCALATION_LEVEL) || 3,
+  escalationSchedule: process.env.ALERT_ESCALATION_CRON || '*/5 * * * *'
+};
+
+const RISK_ORDER = { LOW: 1, MEDIUM: 2, HIGH: 3, CRITICAL: 4 };
+
+// Analyst severity levels mapped onto the alerts.alert_level column
+const SEVERITY_TO_LEVEL = {
+  LOW: 'INFO',
+  MODERATE: 'MEDIUM',
+  HIGH: 'HIGH',
+  CRITICAL: 'CRITICAL'
+};
+
+const parseDetails = (value) => {
+  if (!value) return {};
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return {};
+  }
+};
+
+/**
+ * Shape an alerts table row for API responses and broadcasts
+ * @param {Object} row - alerts row (optionally joined with crises.country and region)
+ * @returns {Object} Alert
+ */
+function formatAlert(row) {
+  const acknowledged = Boolean(row.acknowledged);
+  const resolved = Boolean(row.resolved);
+
+  return {
+    id: row.id,
+    crisisId: row.crisis_id,
+    country: row.country || null,
+    region: row.region || null,
+    level: row.alert_level,
+    type: row.alert_type,
+    title: row.title || `${row.alert_level} alert`,
+    message: row.message,
+    triggeredBy: row.triggered_by,
+    status: resolved ? 'RESOLVED' : (acknowledged ? 'ACKNOWLEDGED' : 'OPEN'),
+    acknowledged,
+    acknowledgedAt: row.acknowledged_at || null,
+    acknowledgedBy: row.acknowledged_by || null,
+    resolved,
+    resolvedAt: row.resolved_at || null,
+    resolvedBy: row.resolved_by || null,
+    resolutionNote: row.resolution_note || null,
+    escalationLevel: row.escalation_level || 0,
+    escalatedAt: row.escalated_at || null,
+    details: parseDetails(row.details),
+    createdAt: row.created_at
+  };
+}
+
+class AlertService {
+  constructor() {
+    this.wsService = null;
+    this.notificationService = null;
+  }
+
+  /**
+   * Attach the WebSocket service used to broadcast alerts
+   * @param {Object} wsService - WebSocketService instance
+   */
+  setWebSocketService(wsService) {
+    this.wsService = wsService;
+  }
+
+  /**
+   * Attach the notification service that delivers new alerts to subscribers
+   * @param {Object} notificationService - NotificationService instance
+   */
+  setNotificationService(notificationService) {
+    this.notificationService = notificationService;
+  }
+
+  /**
+   * Create an alert, broadcast it and notify subscribers. Notification
+   * delivery runs in the background so a slow channel cannot hold up the caller.
+   * @param {Object} alert - { crisisId, level, type, title, message, triggeredBy, details }
+   * @returns {Promise<Object>} Created alert
+   */
+  async createAlert({ crisisId, level, type, title, message, triggeredBy, details }) {
+    const result = await DatabaseUtils.insertAlert({
+      crisis_id: crisisId,
+      alert_level: level,
+      alert_type: type,
+      title,
+      message,
+      triggered_by: triggeredBy,
+      details
+    });
+
+    const alert = formatAlert(await DatabaseUtils.getAlertById(result.lastID));
+    logger.info(`🔔 ${alert.level} alert #${alert.id} for ${alert.country || alert.crisisId}: ${alert.title}`);
+
+    this.broadcast('created', alert);
+
+    if (this.notificationService) {
+      this.notificationService.notifyAlert(alert).catch(error => {
+        logger.error(`Notifying subscribers of alert #${alert.id} failed: ${error.message}`);
+      });
+    }
+    return alert;
+  }
+
+  /**
+   * Create an alert from an analyst request (validated by alertValidation)
+   * @param {Object} body - { crisisId, type, title, message, severity, targetAudience, validUntil, recommendedActions }
+   * @param {string} createdBy - Who raised it
+   * @returns {Promise<Object>} Created alert
+   */
+  async createManualAlert(body, createdBy = null) {
+    return this.createAlert({
+      crisisId: body.crisisId,
+      level: SEVERITY_TO_LEVEL[body.severity],
+      type: body.type,
+      title: body.title,
+      message: body.message,
+      triggeredBy: createdBy ? `manual:${createdBy}` : 'manual',
+      details: {
+        targetAudience: body.targetAudience || [],
+        validUntil: body.validUntil || null,
+        recommendedActions: body.recommendedActions || []
+      }
+    });
+  }
+
+  /**
+   * Raise alerts for thresholds an assessment has crossed. An alert is only
+   * raised when no unresolved alert exists for the same crisis and trigger,
+   * so a sustained condition produces one alert rather than one per run.
+   * @param {Object} assessment - Aggregated assessment, or an approved AI analysis in the same shape
+   * @param {Object} context - Extra alert details, e.g. { reviewId }
+   * @returns {Promise<Array>} Alerts created
+   */
+  async evaluateAssessment(assessment, context = {}) {
+    const crisisId = assessment.history?.crisisId ||
+      (await DatabaseUtils.getCrisisByCountry(assessment.country))?.id;
+
+    if (!crisisId) {
+      return [];
+    }
+
+    const candidates = [];
+    const risk = assessment.overallRisk;
+    const displacement = assessment.displacementRisk || {};
+
+    if (RISK_ORDER[risk] >= RISK_ORDER[ALERT_CONFIG.minRiskLevel]) {
+      const previous = assessment.history?.previousRisk;
+      candidates.push({
+        level: risk,
+        triggeredBy: `risk_level:${risk}`,
+        title: `${assessment.country} assessed at ${risk} risk`,
+        message: previous && previous !== risk
+          ? `Overall risk for ${assessment.country} moved from ${previous} to ${risk}.`
+          : `Overall risk for ${assessment.country} is ${risk}.`
+      });
+    }
+
+    if ((displacement.estimatedNumbers || 0) >= ALERT_CONFIG.displacementThreshold) {
+      candidates.push({
+        level: displacement.level === 'CRITICAL' ? 'CRITICAL' : 'HIGH',
+        triggeredBy: `displacement:${ALERT_CONFIG.displacementThreshold}`,
+        title: `${assessment.country} displacement above ${ALERT_CONFIG.displacementThreshold.toLocaleString()}`,
+        message: `An estimated ${displacement.estimatedNumbers.toLocaleString()} people may be displaced from ${assessment.country} within ${displacement.timeline || 'the coming months'}.`
+      });
+    }
+
+    const created = [];
+    for (const candidate of candidates) {
+      if (await DatabaseUtils.findOpenAlert(crisisId, candidate.triggeredBy)) continue;
+
+      created.push(await this.createAlert({
+        crisisId,
+        type: 'THRESHOLD',
+        ...candidate,
+        details: {
+          assessmentId: assessment.history?.id || null,
+          overallRisk: risk,
+          confidence: assessment.confidence,
+          riskFactors: (assessment.riskFactors || []).slice(0, 5),
+          displacement: {
+            level: displacement.level,
+            estimatedNumbers: displacement.estimatedNumbers,
+            timeline: displacement.timeline
+          },
+          ...context
+        }
+      }));
+    }
+
+    return created;
+  }
+
+  /**
+   * Flag a crisis for human review after an AI ensemble disagreed, or after
+   * every model failed and only the system fallback is left. One open review
+   * alert per crisis and cause; it is HIGH when the risk is HIGH or CRITICAL.
+   * @param {Object} crisis - crises row ({ id, country })
+   * @param {Object} analysis - Ensemble or fallback analysis (with humanReview)
+   * @param {number} [reviewId] - Review queue entry for the analysis
+   * @returns {Promise<Object|null>} Created alert, or null when one is already open
+   */
+  async flagForReview(crisis, analysis, reviewId = null) {
+    const triggeredBy = analysis.ensemble ? 'ensemble_disagreement' : 'ai_analysis_failed';
+    if (await DatabaseUtils.findOpenAlert(crisis.id, triggeredBy)) {
+      return null;
+    }
+
+    return this.createAlert({
+      crisisId: crisis.id,
+      level: RISK_ORDER[analysis.riskLevel] >= RISK_ORDER.HIGH ? 'HIGH' : 'MEDIUM',
+      type: 'REVIEW',
+      title: `${crisis.country} AI analysis needs human review`,
+      message: analysis.humanReview.reasons.join('. ') + '.',
+      triggeredBy,
+      details: {
+        analysisId: analysis.metadata?.analysisId || null,
+        reviewId,
+        consensusRisk: analysis.riskLevel,
+        riskVotes: analysis.ensemble?.riskVotes || null,
+        riskAgreement: analysis.ensemble?.riskAgreement || null,
+        displacement: analysis.ensemble?.displacement || null,
+        reasons: analysis.humanReview.reasons
+      }
+    });
+  }
+
+  async getAlert(alertId) {
+    const row = await DatabaseUtils.getAlertById(alertId);
+    return row ? formatAlert(row) : null;
+  }
+
+  async listAlerts(filters) {
+    const rows = await DatabaseUtils.listAlerts(filters);
+    return rows.map(formatAlert);
+  }
+
+  /**
+   * @returns {Promise<Object>} Updated alert
+   */
+  async acknowledgeAlert(alertId, acknowledgedBy) {
+    await DatabaseUtils.acknowledgeAlert(alertId, acknowledgedBy);
+    const alert = await this.getAlert(alertId);
+    this.broadcast('acknowledged', alert);
+    return alert;
+  }
+
+  /**
+   * @returns {Promise<Object>} Updated alert
+   */
+  async resolveAlert(alertId, resolvedBy, note) {
+    await DatabaseUtils.resolveAlert(alertId, resolvedBy, note);
+    const alert = await this.getAlert(alertId);
+    this.broadcast('resolved', alert);
+    return alert;
+  }
+
+  /**
+   * Escalate CRITICAL alerts left unacknowledged longer than the escalation window.
+   * Each alert escalates at most once per window, up to maxEscalationLevel.
+   * @returns {Promise<Object>} { escalated: [alert ids] }
+   */
+  async escalateUnacknowledged() {
+    const cutoff = toDbTimestamp(moment.utc().subtract(ALERT_CONFIG.escalationMinutes, 'minutes'));
+    const due = await DatabaseUtils.getAlertsDueForEscalation('CRITICAL', cutoff, ALERT_CONFIG.maxEscalationLevel);
+
+    const escalated = [];
+    for (const row of due) {
+      await DatabaseUtils.escalateAlert(row.id);
+      const alert = await this.getAlert(row.id);
+      logger.warn(`⏫ CRITICAL alert #${alert.id} unacknowledged, escalated to level ${alert.escalationLevel}`);
+      this.broadcast('escalated', alert);
+      escalated.push(alert.id);
+    }
+
+    return { escalated };
+  }
+
+  /**
+   * Push an alert lifecycle event. CRITICAL alerts are created and escalated
+   * through sendCriticalAlert so every connected client in their region sees them.
+   * @param {string} event - created | acknowledged | resolved | escalated
+   * @param {Object} alert - Formatted alert
+   */
+  broadcast(event, alert) {
+    if (!this.wsService) return;
+
+    if (alert.level === 'CRITICAL' && (event === 'created' || event === 'escalated')) {
+      this.wsService.sendCriticalAlert({ ...alert, event });
+    } else {
+      this.wsService.sendAlertUpdate(event, alert);
+    }
+  }
+}
+
+let alertService = null;
+
+/**
+ * Shared alert service instance
+ * @returns {AlertService} Alert service
+ */
+function getAlertService() {
+  if (!alertService) {
+    alertService = new AlertService();
+  }
+  return alertService;
+}
+
+module.exports = {
+  AlertService,
+  getAlertService,
+  formatAlert,
+  ALERT_CONFIG
+};
@@ -0,0 +1,477 @@
+/**
+ * RefugeeWatch AI - Authentication Service
+ *
+ * Signs users in with email and password and issues signed session tokens
+ * backed by the sessions table, so signing out revokes a token before it
+ * expires. Integrations use API keys, which carry a role no higher than
+ * their owner's. Every credential resolves to a principal (who is calling,
+ * and with which role) used to authorize REST routes and WebSocket topics,
+ * and recorded in the audit log next to the actions it triggers.
+ *
+ * @author RefugeeWatch AI Team
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const moment = require('moment');
+const logger = require('../../utils/logger');
+const { DatabaseUtils } = require('../../config/database');
+const { UnauthorizedError, ForbiddenError, ConflictError, NotFoundError } = require('../../utils/errorHandler');
+const { parseDbTimestamp, toDbTimestamp } = require('../../utils/analyticsUtils');
+const {
+  ROLES,
+  API_KEY_PREFIX,
+  hasRole,
+  hashPassword,
+  verifyPassword,
+  signToken,
+  verifyToken,
+  generateApiKey,
+  hashApiKey
+} = require('../../utils/authUtils');
+
+const AUTH_CONFIG = {
+  // Without a configured secret, tokens stop working when the server restarts
+  tokenSecret: process.env.AUTH_TOKEN_SECRET || null,
+  sessionHours: parseInt(process.env.AUTH_SESSION_HOURS) || 12,
+  // Role of requests without credentials; 'none' requires credentials everywhere
+  anonymousRole: (process.env.AUTH_ANONYMOUS_ROLE || 'viewer').toLowerCase(),
+  // Admin account created at startup when no admin exists yet
+  adminEmail: process.env.AUTH_ADMIN_EMAIL || null,
+  adminPassword: process.env.AUTH_ADMIN_PASSWORD || null,
+  minPasswordLength: 10
+};
+
+const parseJSON = (value, fallback = null) => {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+};
+
+const timestamp = (value) => (value ? parseDbTimestamp(value).toISOString() : null);
+
+/**
+ * Shape a users row for API responses (never includes the password hash)
+ * @param {Object} row - users row
+ * @returns {Object} User
+ */
+function formatUser(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    email: row.email,
+    role: row.role,
+    organization: row.organization_id ? { id: row.organization_id, name: row.organization_name || null } : null,
+    position: row.position || null,
+    expertise: parseJSON(row.expertise, []),
+    regions: parseJSON(row.regions, []),
+    preferences: parseJSON(row.preferences, {}),
+    active: Boolean(row.active),
+    lastLoginAt: timestamp(row.last_login_at),
+    createdAt: timestamp(row.created_at),
+    updatedAt: timestamp(row.updated_at)
+  };
+}
+
+/**
+ * Shape an api_keys row for API responses (never includes the key)
+ * @param {Object} row - api_keys row
+ * @returns {Object} API key metadata
+ */
+function formatApiKey(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    name: row.name,
+    prefix: row.key_prefix,
+    role: row.role,
+    status: row.revoked_at ? 'revoked' : (row.expires_at && parseDbTimestamp(row.expires_at).isBefore(moment.utc()) ? 'expired' : 'active'),
+    expiresAt: timestamp(row.expires_at),
+    revokedAt: timestamp(row.revoked_at),
+    lastUsedAt: timestamp(row.last_used_at),
+    createdAt: timestamp(row.created_at)
+  };
+}
+
+/**
+ * Shape an audit_log row for API responses
+ * @param {Object} row - audit_log row
+ * @returns {Object} Audit entry
+ */
+function formatAuditEntry(row) {
+  return {
+    id: row.id,
+    actor: {
+      type: row.actor_type,
+      userId: row.user_id || null,
+      apiKeyId: row.api_key_id || null,
+      name: row.actor_name || null,
+      role: row.role || null
+    },
+    action: row.action,
+    resourceType: row.resource_type || null,
+    resourceId: row.resource_id || null,
+    details: parseJSON(row.details, {}),
+    ip: row.ip || null,
+    createdAt: timestamp(row.created_at)
+  };
+}
+
+/**
+ * Who a request acts as
+ * @param {Object} user - users row
+ * @param {Object} [extra] - { sessionId } or { apiKeyId, role }
+ * @returns {Object} Principal
+ */
+function userPrincipal(user, extra = {}) {
+  return {
+    type: extra.apiKeyId ? 'api_key' : 'user',
+    userId: user.id,
+    name: user.name,
+    email: user.email,
+    role: extra.role || user.role,
+    organizationId: user.organization_id || null,
+    // Regional assignments limit which crises the caller sees (see regionScope)
+    regions: parseJSON(user.regions, []),
+    sessionId: extra.sessionId || null,
+    apiKeyId: extra.apiKeyId || null
+  };
+}
+
+class AuthService {
+  /**
+   * @param {Object} config - Overrides for AUTH_CONFIG
+   */
+  constructor(config = {}) {
+    this.config = { ...AUTH_CONFIG, ...config };
+
+    if (!this.config.tokenSecret) {
+      this.config.tokenSecret = crypto.randomBytes(32).toString('hex');
+      logger.warn('⚠️ AUTH_TOKEN_SECRET is not set; session tokens will stop working when the server restarts');
+    }
+  }
+
+  /**
+   * Principal for requests without credentials, or null when they are refused
+   * @returns {Object|null} Anonymous principal
+   */
+  getAnonymousPrincipal() {
+    if (!ROLES.includes(this.config.anonymousRole)) return null;
+    return {
+      type: 'anonymous',
+      userId: null,
+      name: 'anonymous',
+      email: null,
+      role: this.config.anonymousRole,
+      organizationId: null,
+      regions: [],
+      sessionId: null,
+      apiKeyId: null
+    };
+  }
+
+  /**
+   * Create a user account
+   * @param {Object} data - { name, email, password, role, organizationId, position, expertise, regions, preferences }
+   * @returns {Promise<Object>} Formatted user
+   */
+  async createUser({ name, email, password, role = 'viewer', organizationId = null, position = null, expertise = [], regions = [], preferences = {} }) {
+    if (await DatabaseUtils.getUserByEmail(email)) {
+      throw new ConflictError(`A user with email ${email} already exists`);
+    }
+
+    const result = await DatabaseUtils.insertUser({
+      name,
+      email,
+      password_hash: await hashPassword(password),
+      role,
+      organization_id: organizationId,
+      position,
+      expertise,
+      regions,
+      preferences
+    });
+
+    logger.info(`👤 Created ${role} account for ${email}`);
+    return formatUser(await DatabaseUtils.getUserById(result.lastID));
+  }
+
+  /**
+   * Create the AUTH_ADMIN_EMAIL account at startup when there is no admin yet
+   * @returns {Promise<Object|null>} The created admin, if any
+   */
+  async ensureBootstrapAdmin() {
+    const { adminEmail, adminPassword } = this.config;
+    if (!adminEmail || !adminPassword) return null;
+
+    if (await DatabaseUtils.countUsers({ role: 'admin' }) > 0) return null;
+
+    if (await DatabaseUtils.getUserByEmail(adminEmail)) {
+      logger.warn(`⚠️ ${adminEmail} exists but is not an admin; not changing its role`);
+      return null;
+    }
+
+    return this.createUser({ name: 'Administrator', email: adminEmail, password: adminPassword, role: 'admin' });
+  }
+
+  /**
+   * Hash checked on sign-in attempts for unknown emails, created once
+   * @returns {Promise<string>} Password hash that no password matches in practice
+   */
+  getDummyHash() {
+    if (!this.dummyHash) {
+      this.dummyHash = hashPassword(crypto.randomBytes(32).toString('hex'));
+    }
+    return this.dummyHash;
+  }
+
+  /**
+   * Sign in with email and password
+   * @param {string} email - Account email
+   * @param {string} password - Account password
+   * @param {Object} context - { ip, userAgent }
+   * @returns {Promise<Object>} { token, expiresAt, user }
+   */
+  async login(email, password, { ip = null, userAgent = null } = {}) {
+    const user = await DatabaseUtils.getUserByEmail(email);
+    // Unknown emails still pay for a scrypt check, so response times do not reveal which emails exist
+    let valid = false;
+    if (user) {
+      valid = await verifyPassword(password, user.password_hash);
+    } else {
+      await verifyPassword(password, await this.getDummyHash());
+    }
+
+    if (!valid || !user.active) {
+      await this.recordAudit({ type: 'anonymous', email }, {
+        action: 'auth.login_failed',
+        resourceType: 'user',
+        resourceId: user ? String(user.id) : null,
+        details: { email, reason: user && valid ? 'inactive' : 'invalid_credentials' }
+      }, { ip });
+      throw new UnauthorizedError('Invalid email or password');
+    }
+
+    const sessionId = crypto.randomBytes(16).toString('hex');
+    const expiresAt = moment.utc().add(this.config.sessionHours, 'hours');
+
+    await DatabaseUtils.insertSession({
+      id: sessionId,
+      user_id: user.id,
+      ip,
+      user_agent: userAgent,
+      expires_at: toDbTimestamp(expiresAt)
+    });
+    await DatabaseUtils.updateUser(user.id, { last_login_at: toDbTimestamp(moment.utc()) });
+
+    const token = signToken({ sid: sessionId, sub: user.id, exp: expiresAt.unix() }, this.config.tokenSecret);
+    const principal = userPrincipal(user, { sessionId });
+    await this.recordAudit(principal, { action: 'auth.login', resourceType: 'user', resourceId: String(user.id) }, { ip });
+
+    return {
+      token,
+      expiresAt: expiresAt.toISOString(),
+      user: formatUser(await DatabaseUtils.getUserById(user.id))
+    };
+  }
+
+  /**
+   * Revoke the session behind a principal
+   * @param {Object} principal - Principal from a session token
+   * @returns {Promise<boolean>} True when a session was revoked
+   */
+  async logout(principal) {
+    if (!principal?.sessionId) return false;
+    const result = await DatabaseUtils.revokeSession(principal.sessionId);
+    await this.recordAudit(principal, { action: 'auth.logout', resourceType: 'user', resourceId: String(principal.userId) });
+    return result.changes > 0;
+  }
+
+  /**
+   * Resolve credentials to a principal. A request without credentials gets
+   * the anonymous principal (or null when anonymous access is off).
+   * @param {Object} credentials - { token, apiKey }
+   * @returns {Promise<Object|null>} Principal
+   * @throws {UnauthorizedError} When credentials are given but not valid
+   */
+  async authenticate({ token = null, apiKey = null } = {}) {
+    if (token) return this.authenticateToken(token);
+    if (apiKey) return this.authenticateApiKey(apiKey);
+    return this.getAnonymousPrincipal();
+  }
+
+  async authenticateToken(token) {
+    const claims = verifyToken(token, this.config.tokenSecret);
+    if (!claims) {
+      throw new UnauthorizedError('Invalid or expired session token');
+    }
+
+    const session = await DatabaseUtils.getSessionById(claims.sid);
+    if (!session || session.revoked_at || session.user_id !== claims.sub) {
+      throw new UnauthorizedError('Session has ended; sign in again');
+    }
+
+    const user = await DatabaseUtils.getUserById(session.user_id);
+    if (!user || !user.active) {
+      throw new UnauthorizedError('Account is disabled');
+    }
+
+    await DatabaseUtils.touchSession(session.id);
+    return userPrincipal(user, { sessionId: session.id });
+  }
+
+  async authenticateApiKey(key) {
+    if (!String(key).startsWith(`${API_KEY_PREFIX}_`)) {
+      throw new UnauthorizedError('Invalid API key');
+    }
+
+    const row = await DatabaseUtils.getApiKeyByHash(hashApiKey(key));
+    if (!row || row.revoked_at) {
+      throw new UnauthorizedError('Invalid API key');
+    }
+    if (row.expires_at && parseDbTimestamp(row.expires_at).isBefore(moment.utc())) {
+      throw new UnauthorizedError('API key has expired');
+    }
+
+    const user = await DatabaseUtils.getUserById(row.user_id);
+    if (!user || !user.active) {
+      throw new UnauthorizedError('Account is disabled');
+    }
+
+    await DatabaseUtils.touchApiKey(row.id);
+
+    // A key never outranks its owner, even if the owner was demoted later
+    const role = hasRole(user.role, row.role) ? row.role : user.role;
+    return userPrincipal(user, { apiKeyId: row.id, role });
+  }
+
+  /**
+   * Issue an API key for the calling user
+   * @param {Object} principal - Signed-in user (not an API key)
+   * @param {Object} options - { name, role, expiresInDays }
+   * @returns {Promise<Object>} { key, apiKey } - key is only returned here
+   */
+  async createApiKey(principal, { name, role = null, expiresInDays = null }) {
+    if (principal.type !== 'user') {
+      throw new ForbiddenError('API keys can only be created by a signed-in user');
+    }
+
+    const keyRole = role || principal.role;
+    if (!hasRole(principal.role, keyRole)) {
+      throw new ForbiddenError(`An API key cannot have a higher role than its owner (${principal.role})`);
+    }
+
+    const { key, keyId, hash } = generateApiKey();
+    const result = await DatabaseUtils.insertApiKey({
+      user_id: principal.userId,
+      name,
+      key_prefix: `${API_KEY_PREFIX}_${keyId}`,
+      key_hash: hash,
+      role: keyRole,
+      expires_at: expiresInDays ? toDbTimestamp(moment.utc().add(expiresInDays, 'days')) : null
+    });
+
+    const apiKey = formatApiKey(await DatabaseUtils.getApiKeyById(result.lastID));
+    await this.recordAudit(principal, {
+      action: 'api_key.create',
+      resourceType: 'api_key',
+      resourceId: String(apiKey.id),
+      details: { name, role: keyRole, expiresAt: apiKey.expiresAt }
+    });
+
+    return { key, apiKey };
+  }
+
+  /**
+   * API keys visible to a principal: their own, or everyone's for admins
+   * @param {Object} principal - Caller
+   * @param {Object} options - { all, includeRevoked }
+   * @returns {Promise<Array>} Formatted API keys
+   */
+  async listApiKeys(principal, { all = false, includeRevoked = false } = {}) {
+    const userId = all && hasRole(principal.role, 'admin') ? null : principal.userId;
+    const rows = await DatabaseUtils.listApiKeys({ userId, includeRevoked });
+    return rows.map(formatApiKey);
+  }
+
+  /**
+   * Revoke an API key owned by the caller (admins can revoke any key)
+   * @param {Object} principal - Caller
+   * @param {number} apiKeyId - API key ID
+   * @returns {Promise<Object>} Formatted, revoked API key
+   */
+  async revokeApiKey(principal, apiKeyId) {
+    const row = await DatabaseUtils.getApiKeyById(apiKeyId);
+    if (!row || (row.user_id !== principal.userId && !hasRole(principal.role, 'admin'))) {
+      throw new NotFoundError('API key');
+    }
+
+    await DatabaseUtils.revokeApiKey(apiKeyId);
+    await this.recordAudit(principal, { action: 'api_key.revoke', resourceType: 'api_key', resourceId: String(apiKeyId) });
+    return formatApiKey(await DatabaseUtils.getApiKeyById(apiKeyId));
+  }
+
+  /**
+   * Record an action in the audit log. Failures are logged, never thrown,
+   * so auditing cannot break the action itself.
+   * @param {Object|null} principal - Who acted (null for the system)
+   * @param {Object} entry - { action, resourceType, resourceId, details }
+   * @param {Object} context - { ip }
+   * @returns {Promise<number|null>} Audit entry ID
+   */
+  async recordAudit(principal, { action, resourceType = null, resourceId = null, details = null }, { ip = null } = {}) {
+    try {
+      const result = await DatabaseUtils.insertAuditEntry({
+        actor_type: principal?.type || 'system',
+        user_id: principal?.userId,
+        api_key_id: principal?.apiKeyId,
+        actor_name: principal ? (principal.email || principal.name) : 'system',
+        role: principal?.role,
+        action,
+        resource_type: resourceType,
+        resource_id: resourceId,
+        details,
+        ip
+      });
+      return result.lastID;
+    } catch (error) {
+      logger.error(`❌ Failed to record audit entry ${action}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Audit entries, newest first
+   * @param {Object} filters - See DatabaseUtils.listAuditEntries
+   * @returns {Promise<Array>} Formatted audit entries
+   */
+  async listAuditEntries(filters = {}) {
+    const rows = await DatabaseUtils.listAuditEntries(filters);
+    return rows.map(formatAuditEntry);
+  }
+}
+
+let authService = null;
+
+/**
+ * Shared auth service instance
+ * @returns {AuthService} Auth service
+ */
+function getAuthService() {
+  if (!authService) {
+    authService = new AuthService();
+  }
+  return authService;
+}
+
+module.exports = {
+  AuthService,
+  getAuthService,
+  formatUser,
+  formatApiKey,
+  formatAuditEntry,
+  AUTH_CONFIG
+};
@@ -0,0 +1,269 @@
+/**
+ * RefugeeWatch AI - Prediction Back-testing Service
+ *
+ * Captures UNHCR displacement figures over time and, once a prediction's
+ * timeline has elapsed, compares its displacement estimate and timeline
+ * with the change in those figures. Results are stored per prediction and
+ * written back to predictions.accuracy_score.
+ *
+ * UNHCR publishes stock figures (everyone currently displaced), so the
+ * observed displacement for a prediction is the growth of that stock between
+ * the prediction date and the end of its timeline.
+ *
+ * @author RefugeeWatch AI Team
+ * @version 1.0.0
+ */
+
+const moment = require('moment');
+const logger = require('../../utils/logger');
+const UNHCRRefugeeDataService = require('../data/refugeeData');
+const { DatabaseUtils } = require('../../config/database');
+const {
+  parseDbTimestamp,
+  toDbTimestamp,
+  scoreDisplacementPrediction,
+  summarizeAccuracy,
+  summarizeAccuracyBy
+} = require('../../utils/analyticsUtils');
+
+const BACKTEST_CONFIG = {
+  schedule: process.env.BACKTEST_CRON || '0 3 * * *',
+  // Timeline assumed for predictions saved without one
+  defaultTimelineDays: parseInt(process.env.BACKTEST_DEFAULT_TIMELINE_DAYS) || 90,
+  // How long after a prediction the first observation may be taken and still serve as its baseline
+  baselineToleranceDays: parseInt(process.env.BACKTEST_BASELINE_TOLERANCE_DAYS) || 7
+};
+
+/**
+ * Whether an observation carries newer figures than the baseline. UNHCR
+ * figures are published infrequently, so repeated fetches often return the
+ * same numbers; those say nothing about what happened since the baseline.
+ */
+const isNewerFigure = (observation, baseline) => (
+  (observation.data_year || 0) > (baseline.data_year || 0) ||
+  observation.total_displaced !== baseline.total_displaced
+);
+
+class PredictionBacktestService {
+  /**
+   * @param {Object} options - { refugeeService }
+   */
+  constructor(options = {}) {
+    this.refugeeService = options.refugeeService || new UNHCRRefugeeDataService();
+  }
+
+  /**
+   * Store the current UNHCR figures for every country in the crisis registry
+   * @returns {Promise<Object>} { recorded, missing }
+   */
+  async recordObservations() {
+    const crises = await DatabaseUtils.listCrises({ status: 'ALL' });
+    const countries = [...new Set(crises.map(crisis => crisis.country))];
+    const recorded = [];
+    const missing = [];
+
+    for (const country of countries) {
+      const result = await this.refugeeService.getRefugeeDataByCountry(country);
+      const displacement = result.data?.displacement;
+
+      if (!result.success || !displacement) {
+        missing.push(country);
+        continue;
+      }
+
+      await DatabaseUtils.insertDisplacementObservation({
+        country,
+        country_code: result.data.countryCode,
+        total_displaced: displacement.total || 0,
+        refugees: displacement.refugees,
+        asylum_seekers: displacement.asylum_seekers,
+        internally_displaced: displacement.internal,
+        data_year: result.data.year,
+        source: result.source
+      });
+      recorded.push(country);
+    }
+
+    logger.info(`📥 Recorded UNHCR figures for ${recorded.length} countries`);
+    return { recorded, missing };
+  }
+
+  /**
+   * Record fresh figures, then evaluate every prediction whose timeline has elapsed
+   * @returns {Promise<Object>} Run summary
+   */
+  async runBacktest() {
+    const observations = await this.recordObservations();
+    const due = await DatabaseUtils.getPredictionsDueForBacktest(
+      toDbTimestamp(moment.utc()),
+      BACKTEST_CONFIG.defaultTimelineDays
+    );
+
+    const evaluated = [];
+    const pending = [];
+    const observationsByCountry = new Map();
+
+    for (const prediction of due) {
+      if (!observationsByCountry.has(prediction.country)) {
+        observationsByCountry.set(prediction.country, await DatabaseUtils.getDisplacementObservations(prediction.country));
+      }
+
+      const outcome = this.evaluatePrediction(prediction, observationsByCountry.get(prediction.country));
+      if (outcome.pending) {
+        pending.push({ predictionId: prediction.id, country: prediction.country, reason: outcome.reason });
+        continue;
+      }
+
+      await DatabaseUtils.savePredictionEvaluation(outcome.evaluation);
+      evaluated.push({
+        predictionId: prediction.id,
+        country: prediction.country,
+        accuracyScore: outcome.evaluation.accuracy_score
+      });
+    }
+
+    if (evaluated.length > 0) {
+      await this.recordAccuracyMetrics();
+    }
+
+    logger.info(`🎯 Back-test complete: ${evaluated.length} evaluated, ${pending.length} awaiting figures`);
+    return {
+      observationsRecorded: observations.recorded.length,
+      missingFigures: observations.missing,
+      due: due.length,
+      evaluated,
+      pending
+    };
+  }
+
+  /**
+   * Compare one prediction with the displacement observed over its timeline
+   * @param {Object} prediction - predictions row joined with crises.country
+   * @param {Array} observations - displacement_observations rows for the country, oldest first
+   * @returns {Object} { evaluation } or { pending: true, reason }
+   */
+  evaluatePrediction(prediction, observations) {
+    const predictedAt = parseDbTimestamp(prediction.created_at);
+    const timelineDays = prediction.timeline_days ?? BACKTEST_CONFIG.defaultTimelineDays;
+    const dueAt = predictedAt.clone().add(timelineDays, 'days');
+    const observedAt = (observation) => parseDbTimestamp(observation.observed_at);
+
+    // Last figures known when the prediction was made, or the first ones taken shortly after
+    const baseline = [...observations].reverse().find(o => !observedAt(o).isAfter(predictedAt)) ||
+      observations.find(o => observedAt(o).diff(predictedAt, 'days', true) <= BACKTEST_CONFIG.baselineToleranceDays);
+
+    if (!baseline) {
+      return { pending: true, reason: 'No UNHCR figures from around the prediction date' };
+    }
+
+    const later = observations.filter(o => observedAt(o).isAfter(observedAt(baseline)) && isNewerFigure(o, baseline));
+    const outcome = later.find(o => !observedAt(o).isBefore(dueAt));
+
+    if (!outcome) {
+      return { pending: true, reason: 'No newer UNHCR figures published since the prediction timeline ended' };
+    }
+
+    const predicted = prediction.displacement_estimate;
+    const observed = Math.max(0, outcome.total_displaced - baseline.total_displaced);
+    const reachedEstimate = later.find(o => o.total_displaced - baseline.total_displaced >= predicted);
+    const score = scoreDisplacementPrediction(predicted, observed);
+
+    return {
+      evaluation: {
+        prediction_id: prediction.id,
+        crisis_id: prediction.crisis_id,
+        country: prediction.country,
+        model_version: prediction.model_version,
+        predicted_at: prediction.created_at,
+        predicted_displacement: predicted,
+        observed_displacement: observed,
+        predicted_timeline_days: prediction.timeline_days,
+        // Measured to when the figures were observed, so it includes UNHCR's reporting lag
+        observed_timeline_days: reachedEstimate
+          ? Math.max(0, Math.round(observedAt(reachedEstimate).diff(predictedAt, 'days', true)))
+          : null,
+        baseline_total: baseline.total_displaced,
+        outcome_total: outcome.total_displaced,
+        baseline_observed_at: baseline.observed_at,
+        outcome_observed_at: outcome.observed_at,
+        absolute_error: score.absoluteError,
+        percentage_error: score.percentageError,
+        accuracy_score: score.accuracyScore
+      }
+    };
+  }
+
+  /**
+   * Store headline accuracy figures in the analytics table
+   */
+  async recordAccuracyMetrics() {
+    const summary = summarizeAccuracy(await DatabaseUtils.getPredictionEvaluations());
+    const metrics = {
+      prediction_accuracy_score: summary.displacement.meanAccuracyScore,
+      displacement_mape: summary.displacement.meanAbsolutePercentageError,
+      timeline_hit_rate: summary.timeline.hitRate
+    };
+
+    for (const [name, value] of Object.entries(metrics)) {
+      if (value === null) continue;
+      await DatabaseUtils.insertAnalyticsMetric({ metric_name: name, metric_value: value, metric_type: 'accuracy' });
+    }
+  }
+
+  /**
+   * Accuracy report for the analytics API
+   * @param {Object} filters - { country, modelVersion, from, to, regions, limit }
+   * @returns {Promise<Object>} Overall, per-country and per-model metrics plus recent evaluations
+   */
+  async getAccuracyReport({ limit = 50, ...filters } = {}) {
+    const [evaluations, coverage] = await Promise.all([
+      DatabaseUtils.getPredictionEvaluations(filters),
+      DatabaseUtils.getPredictionCoverage(filters)
+    ]);
+
+    return {
+      coverage: {
+        predictions: coverage.total,
+        evaluated: coverage.evaluated,
+        awaitingEvaluation: coverage.total - coverage.evaluated
+      },
+      overall: summarizeAccuracy(evaluations),
+      byCountry: summarizeAccuracyBy(evaluations, 'country'),
+      byModelVersion: summarizeAccuracyBy(evaluations, 'model_version'),
+      evaluations: evaluations.slice(0, limit).map(evaluation => ({
+        predictionId: evaluation.prediction_id,
+        crisisId: evaluation.crisis_id,
+        country: evaluation.country,
+        modelVersion: evaluation.model_version,
+        predictedAt: evaluation.predicted_at,
+        predictedDisplacement: evaluation.predicted_displacement,
+        observedDisplacement: evaluation.observed_displacement,
+        predictedTimelineDays: evaluation.predicted_timeline_days,
+        observedTimelineDays: evaluation.observed_timeline_days,
+        absoluteError: evaluation.absolute_error,
+        percentageError: evaluation.percentage_error,
+        accuracyScore: evaluation.accuracy_score,
+        evaluatedAt: evaluation.evaluated_at
+      }))
+    };
+  }
+}
+
+let backtestService = null;
+
+/**
+ * Shared back-testing service instance
+ * @returns {PredictionBacktestService} Back-testing service
+ */
+function getBacktestService() {
+  if (!backtestService) {
+    backtestService = new PredictionBacktestService();
+  }
+  return backtestService;
+}
+
+module.exports = {
+  PredictionBacktestService,
+  getBacktestService,
+  BACKTEST_CONFIG
+};
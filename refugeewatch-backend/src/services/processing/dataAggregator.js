@@ -10,26 +10,27 @@
 
 const moment = require('moment');
 const logger = require('../../utils/logger');
+const { DatabaseUtils } = require('../../config/database');
+const { getScoringModel } = require('../../config/scoringModel');
+const { getAlertService } = require('./alertService');
+const { DestinationModelService } = require('./destinationModel');
+const { timeframeToDays } = require('../../utils/analyticsUtils');
+const {
+  createRandom,
+  sampleSources,
+  sampleDisplacementModel,
+  summarizeDistribution,
+  summarizeOutcomes
+} = require('../../utils/simulationUtils');
 
 // Import all data services
 const ConflictDataService = require('../data/conflictData');
 const EconomicDataService = require('../data/economicData');
 const ClimateDataService = require('../data/climateData');
 const NewsDataService = require('../data/newsData');
+const GeographicDataService = require('../data/geographicData');
 
-// Country coordinates for climate data
-const COUNTRY_COORDINATES = {
-  'Sudan': { lat: 15.5007, lon: 32.5599, code: 'SDN' },
-  'Myanmar': { lat: 21.9162, lon: 95.9560, code: 'MMR' },
-  'Syria': { lat: 34.8021, lon: 38.9968, code: 'SYR' },
-  'Yemen': { lat: 15.5527, lon: 48.5164, code: 'YEM' },
-  'Afghanistan': { lat: 33.9391, lon: 67.7100, code: 'AFG' },
-  'Bangladesh': { lat: 23.6850, lon: 90.3563, code: 'BGD' },
-  'Ethiopia': { lat: 9.1450, lon: 40.4897, code: 'ETH' },
-  'Chad': { lat: 15.4542, lon: 18.7322, code: 'TCD' },
-  'Iraq': { lat: 33.2232, lon: 43.6793, code: 'IRQ' },
-  'Somalia': { lat: 5.1521, lon: 46.1996, code: 'SOM' }
-};
+const RISK_ORDER = { UNKNOWN: 0, MINIMAL: 1, LOW: 2, MEDIUM: 3, HIGH: 4, CRITICAL: 5 };
 
 /**
  * Data Aggregator Service Class
@@ -40,6 +41,8 @@ class DataAggregatorService {
     this.economicService = new EconomicDataService();
     this.climateService = new ClimateDataService();
     this.newsService = new NewsDataService();
+    this.geoService = new GeographicDataService();
+    this.destinationModel = new DestinationModelService({ geoService: this.geoService });
     
     this.cache = new Map();
     this.lastUpdate = null;
@@ -47,33 +50,45 @@ class DataAggregatorService {
   }
 
   /**
-   * Get comprehensive crisis assessment for a country
-   * @param {string} country - Country name
+   * Get comprehensive crisis assessment for a country. Once resolved, the
+   * canonical name is used throughout, so aliases such as "DRC" share one
+   * history series and cache entry with the country's name.
+   * @param {string} country - Country name, code or alias
+   * @param {Object} options - { source } recorded in the assessment history, { uncertainty } to add Monte Carlo ranges,
+   *   { raiseAlerts: false } to skip threshold alerts (assessments behind an AI analysis raise them once it is approved)
    * @returns {Promise<Object>} Complete crisis assessment
    */
-  async getComprehensiveCrisisAssessment(country) {
+  async getComprehensiveCrisisAssessment(country, options = {}) {
+    let name = country;
     try {
       const startTime = Date.now();
       
       logger.info(`🔄 Starting comprehensive crisis assessment for ${country}`);
       
-      // Get country coordinates and code
-      const countryInfo = COUNTRY_COORDINATES[country];
-      if (!countryInfo) {
-        throw new Error(`Country coordinates not found for ${country}`);
+      // Resolve coordinates and ISO code (accepts names, codes and aliases)
+      const resolved = await this.geoService.resolveCountry(country);
+      if (!resolved.success) {
+        throw new Error(`Country not recognised: ${country}`);
       }
       
-      // Parallel data collection from all sources
+      const countryInfo = resolved.data;
+      name = countryInfo.name;
+      const [lat, lon] = countryInfo.coordinates;
+      
+      // Parallel data collection from all sources, queried by the canonical name
       const [
         conflictResult,
         economicResult,
         climateResult,
         newsResult
       ] = await Promise.allSettled([
-        this.conflictService.getCountryConflictData(country, 14),
-        this.economicService.getCountryEconomicData(countryInfo.code, 3),
-        this.climateService.getCountryClimateData(country, countryInfo.lat, countryInfo.lon),
-        this.newsService.getCountryNewsAnalysis(country, 7)
+        this.conflictService.getCountryConflictData(countryInfo.name, 14),
+        this.economicService.getCountryEconomicData(countryInfo.code3, 3),
+        this.climateService.getCountryClimateData(countryInfo.name, lat, lon, {
+          areaKm2: countryInfo.area,
+          population: countryInfo.population
+        }),
+        this.newsService.getCountryNewsAnalysis(countryInfo.name, 7)
       ]);
       
       // Extract data or use empty defaults
@@ -88,58 +103,255 @@ class DataAggregatorService {
         economic: economicData,
         climate: climateData,
         news: newsData
-      }, country);
+      }, name);
+      
+      if (options.uncertainty) {
+        assessment.displacementRisk.uncertainty = this.simulateDisplacement(assessment, getScoringModel());
+      }
+      
+      assessment.countryInfo = {
+        name: countryInfo.name,
+        officialName: countryInfo.officialName,
+        code: countryInfo.code,
+        code3: countryInfo.code3,
+        region: countryInfo.region,
+        subregion: countryInfo.subregion,
+        coordinates: countryInfo.coordinates,
+        source: resolved.source
+      };
+      
+      await this.modelDestinations(assessment, countryInfo);
       
       const duration = Date.now() - startTime;
       
       // Cache the assessment
-      this.cache.set(`assessment_${country}`, {
+      this.cache.set(`assessment_${name}`, {
         data: assessment,
         timestamp: moment()
       });
       
-      logger.info(`✅ Crisis assessment completed for ${country} (${duration}ms)`, {
+      logger.info(`✅ Crisis assessment completed for ${name} (${duration}ms)`, {
         overallRisk: assessment.overallRisk,
         confidence: assessment.confidence,
         dataQuality: assessment.dataQuality
       });
       
+      assessment.history = await this.recordAssessmentHistory(assessment, options.source);
+      assessment.alerts = options.raiseAlerts === false ? [] : await this.raiseThresholdAlerts(assessment);
+      
       return assessment;
       
     } catch (error) {
-      logger.error(`❌ Crisis assessment failed for ${country}:`, error.message);
+      logger.error(`❌ Crisis assessment failed for ${name}:`, error.message);
       
       // Return cached data if available
-      const cached = this.getCachedData(`assessment_${country}`, 6);
+      const cached = this.getCachedData(`assessment_${name}`, 6);
       if (cached) {
-        logger.warn(`Using cached assessment for ${country}`);
+        logger.warn(`Using cached assessment for ${name}`);
         return cached;
       }
       
-      return this.getEmptyAssessment(country);
+      return this.getEmptyAssessment(name);
+    }
+  }
+
+  /**
+   * Replace the static destination list with the destination model's ranked
+   * destinations and corridors. The static list stays when the model has no data.
+   * @param {Object} assessment - Unified assessment
+   * @param {Object} countryInfo - Resolved origin country
+   */
+  async modelDestinations(assessment, countryInfo) {
+    try {
+      const result = await this.destinationModel.predictDestinations(countryInfo.code3, {
+        estimatedNumbers: assessment.displacementRisk.estimatedNumbers
+      });
+      if (!result.success) {
+        logger.warn(`Destination model unavailable for ${countryInfo.name}: ${result.error}`);
+        return;
+      }
+      
+      assessment.displacementRisk.likelyDestinations = result.data.destinations.map(destination => destination.country);
+      assessment.displacementRisk.destinations = result.data.destinations;
+      assessment.displacementRisk.corridors = result.data.corridors;
+      assessment.displacementRisk.destinationSources = result.data.sources;
+    } catch (error) {
+      logger.warn(`Destination model failed for ${countryInfo.name}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Persist an assessment and compare it with the last known risk level.
+   * UNKNOWN assessments are stored but never count as a change.
+   * @param {Object} assessment - Unified assessment
+   * @param {string} source - What requested the assessment
+   * @returns {Promise<Object|null>} { id, crisisId, previousRisk, riskChanged, previousAssessmentAt }
+   */
+  async recordAssessmentHistory(assessment, source = 'on_demand') {
+    try {
+      const previous = await DatabaseUtils.getLatestAssessment(assessment.country);
+      const crisis = await DatabaseUtils.getCrisisByCountry(assessment.country);
+      const riskChanged = Boolean(
+        assessment.overallRisk !== 'UNKNOWN' && previous && previous.overall_risk !== assessment.overallRisk
+      );
+      
+      const result = await DatabaseUtils.insertAssessmentHistory({
+        assessment,
+        crisis_id: crisis?.id,
+        previous_risk: previous?.overall_risk,
+        risk_changed: riskChanged,
+        source
+      });
+      
+      return {
+        id: result.lastID,
+        crisisId: crisis?.id || null,
+        previousRisk: previous?.overall_risk || null,
+        riskChanged,
+        previousAssessmentAt: previous?.created_at || null
+      };
+    } catch (error) {
+      logger.warn(`Failed to record assessment history for ${assessment.country}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Raise alerts for any risk or displacement thresholds the assessment crossed
+   * @param {Object} assessment - Unified assessment (with history info)
+   * @returns {Promise<Array>} Ids of alerts created
+   */
+  async raiseThresholdAlerts(assessment) {
+    try {
+      const alerts = await getAlertService().evaluateAssessment(assessment);
+      return alerts.map(alert => alert.id);
+    } catch (error) {
+      logger.warn(`Failed to evaluate alert thresholds for ${assessment.country}: ${error.message}`);
+      return [];
     }
   }
 
+  /**
+   * Re-score stored assessments with a candidate model and compare the
+   * results with the active model. Nothing is written.
+   * @param {Object} candidate - Validated scoring model
+   * @param {Object} filters - { country, from, to, limit } passed to getStoredAssessments
+   * @returns {Promise<Object>} Summary of changes plus the assessments whose outcome differs
+   */
+  async dryRunScoringModel(candidate, filters = {}) {
+    const active = getScoringModel();
+    const rows = await DatabaseUtils.getStoredAssessments(filters);
+    const distribution = { active: {}, candidate: {} };
+    const differences = [];
+    let scored = 0;
+    let escalated = 0;
+    let deescalated = 0;
+    let displacementChanged = 0;
+    let estimateChange = 0;
+
+    const outcome = (assessment) => ({
+      overallRisk: assessment.overallRisk,
+      riskScore: assessment.riskScore ?? null,
+      confidence: Math.round(assessment.confidence * 100) / 100,
+      displacementLevel: assessment.displacementRisk.level,
+      estimatedNumbers: assessment.displacementRisk.estimatedNumbers,
+      timeline: assessment.displacementRisk.timeline
+    });
+
+    for (const row of rows) {
+      let stored;
+      try {
+        stored = JSON.parse(row.assessment);
+      } catch (error) {
+        continue;
+      }
+      if (!stored.sources) continue;
+
+      const current = outcome(this.scoreSources(stored.sources, row.country, active));
+      const proposed = outcome(this.scoreSources(stored.sources, row.country, candidate));
+      scored++;
+
+      distribution.active[current.overallRisk] = (distribution.active[current.overallRisk] || 0) + 1;
+      distribution.candidate[proposed.overallRisk] = (distribution.candidate[proposed.overallRisk] || 0) + 1;
+      estimateChange += proposed.estimatedNumbers - current.estimatedNumbers;
+
+      const riskDelta = RISK_ORDER[proposed.overallRisk] - RISK_ORDER[current.overallRisk];
+      if (riskDelta > 0) escalated++;
+      if (riskDelta < 0) deescalated++;
+      if (proposed.displacementLevel !== current.displacementLevel) displacementChanged++;
+
+      if (riskDelta !== 0 || proposed.displacementLevel !== current.displacementLevel ||
+          proposed.estimatedNumbers !== current.estimatedNumbers) {
+        differences.push({
+          assessmentId: row.id,
+          country: row.country,
+          assessedAt: row.created_at,
+          storedModelVersion: row.scoring_model_version || null,
+          active: current,
+          candidate: proposed
+        });
+      }
+    }
+
+    return {
+      activeVersion: active.version,
+      candidateVersion: candidate.version,
+      assessments: scored,
+      overallRisk: {
+        changed: escalated + deescalated,
+        escalated,
+        deescalated,
+        distribution
+      },
+      displacement: {
+        levelChanged: displacementChanged,
+        meanEstimateChange: scored > 0 ? Math.round(estimateChange / scored) : 0
+      },
+      differences
+    };
+  }
+
   /**
    * Aggregate data from all sources into unified assessment
    * @param {Object} data - Data from all sources
    * @param {string} country - Country name
+   * @param {Object} model - Scoring model (defaults to the active model)
+   * @returns {Object} Unified crisis assessment
+   */
+  aggregateDataSources(data, country, model = getScoringModel()) {
+    return this.scoreSources({
+      conflict: this.normalizeConflictData(data.conflict),
+      economic: this.normalizeEconomicData(data.economic),
+      climate: this.normalizeClimateData(data.climate),
+      news: this.normalizeNewsData(data.news)
+    }, country, model);
+  }
+
+  /**
+   * Build a unified assessment from normalized source data
+   * @param {Object} sources - Normalized { conflict, economic, climate, news }
+   * @param {string} country - Country name
+   * @param {Object} model - Scoring model
    * @returns {Object} Unified crisis assessment
    */
-  aggregateDataSources(data, country) {
+  scoreSources(sources, country, model) {
     const assessment = {
       country,
       timestamp: moment().format('YYYY-MM-DD HH:mm:ss'),
       overallRisk: 'LOW',
       confidence: 0.7,
       dataQuality: 'GOOD',
+      scoringModelVersion: model.version,
       
       // Individual source assessments
-      sources: {
-        conflict: this.normalizeConflictData(data.conflict),
-        economic: this.normalizeEconomicData(data.economic),
-        climate: this.normalizeClimateData(data.climate),
-        news: this.normalizeNewsData(data.news)
+      sources,
+      
+      // How each source and rule contributed (filled in while scoring)
+      explanation: {
+        modelVersion: model.version,
+        overall: null,
+        sources: [],
+        displacement: null
       },
       
       // Unified analysis
@@ -178,10 +390,10 @@ class DataAggregatorService {
     };
 
     // Calculate unified risk assessment
-    this.calculateUnifiedRisk(assessment);
+    this.calculateUnifiedRisk(assessment, model);
     
     // Calculate displacement risk
-    this.calculateDisplacementRisk(assessment);
+    this.calculateDisplacementRisk(assessment, model);
     
     // Analyze trends
     this.analyzeTrends(assessment);
@@ -213,6 +425,8 @@ class DataAggregatorService {
       confidence: conflictData.confidence || 0.5,
       score: conflictData.intensityScore || 0,
       indicators: conflictData.threatIndicators || [],
+      drivers: Object.entries(conflictData.metrics || { articleCount: conflictData.totalArticles || 0 })
+        .map(([indicator, value]) => ({ indicator, value: Math.round(value * 100) / 100 })),
       recentEvents: conflictData.recentEvents || [],
       trends: conflictData.trends || { stable: true },
       available: true
@@ -241,6 +455,9 @@ class DataAggregatorService {
       confidence: risk.confidence || 0.5,
       score: risk.riskScore || 0,
       indicators: risk.riskFactors || [],
+      // Score is the mean points over every indicator assessed, not only those listed
+      drivers: (risk.scoredIndicators || []).map(({ indicator, code, value, points }) => ({ indicator, code, value, points })),
+      indicatorsAssessed: risk.indicatorsAssessed ?? null,
       stability: economicData.analysis?.overallStability || 'UNKNOWN',
       trends: economicData.analysis?.trends || {},
       available: true
@@ -269,6 +486,10 @@ class DataAggregatorService {
       confidence: risk.confidence || 0.5,
       score: risk.estimatedAffected || 0,
       indicators: risk.factors || [],
+      drivers: [
+        { indicator: 'estimatedAffected', value: risk.estimatedAffected || 0 },
+        ...(climateData.activeHazards || []).map(hazard => ({ indicator: hazard.type, value: hazard.severity }))
+      ],
       hazards: climateData.activeHazards || [],
       trends: climateData.climateTrends || {},
       available: true
@@ -296,6 +517,12 @@ class DataAggregatorService {
       confidence: newsData.confidence || 0.5,
       score: newsData.urgencyScore || 0,
       indicators: newsData.keyIndicators || [],
+      drivers: [
+        { indicator: 'articleCount', value: newsData.articleCount || 0 },
+        { indicator: 'breakingNews', value: (newsData.breakingNews || []).length },
+        { indicator: 'negativeShare', value: newsData.sentimentBreakdown?.negativeShare ?? null },
+        { indicator: 'keywordTrend', value: newsData.keywordVolume?.trend || null }
+      ].filter(driver => driver.value !== null),
       sentiment: newsData.sentiment || 'neutral',
       mediaAttention: newsData.mediaAttention || 'low',
       breakingNews: newsData.breakingNews || [],
@@ -306,46 +533,46 @@ class DataAggregatorService {
   /**
    * Calculate unified risk assessment
    * @param {Object} assessment - Assessment object to update
+   * @param {Object} model - Scoring model (riskScores, sourceWeights, overall)
    */
-  calculateUnifiedRisk(assessment) {
+  calculateUnifiedRisk(assessment, model) {
     const sources = assessment.sources;
     let totalRiskScore = 0;
     let validSources = 0;
     let riskLevels = [];
 
-    // Convert risk levels to numeric scores for calculation
-    const riskToScore = {
-      'CRITICAL': 100,
-      'HIGH': 75,
-      'MEDIUM': 50,
-      'LOW': 25,
-      'UNKNOWN': 0
-    };
-
-    const scoreToRisk = {
-      100: 'CRITICAL',
-      75: 'HIGH', 
-      50: 'MEDIUM',
-      25: 'LOW',
-      0: 'UNKNOWN'
-    };
-
-    // Weight different sources based on reliability and immediacy
-    const sourceWeights = {
-      conflict: 0.35,  // Highest weight - most direct indicator
-      news: 0.25,      // High weight - real-time developments
-      economic: 0.25,  // High weight - underlying causes
-      climate: 0.15    // Lower weight - longer-term factors
-    };
+    // Numeric score per risk level and weight per source come from the model
+    const riskToScore = model.riskScores;
+    const sourceWeights = model.sourceWeights;
+    const contributions = [];
 
     Object.entries(sources).forEach(([source, data]) => {
+      const contribution = {
+        source,
+        available: Boolean(data.available),
+        riskLevel: data.riskLevel,
+        sourceScore: data.score ?? null,
+        confidence: data.confidence ?? null,
+        levelScore: 0,
+        weight: sourceWeights[source] || 0,
+        weightedScore: 0,
+        indicators: data.available ? (data.indicators || []) : [],
+        drivers: data.drivers || []
+      };
+      if (data.indicatorsAssessed !== undefined) {
+        contribution.indicatorsAssessed = data.indicatorsAssessed;
+      }
+      contributions.push(contribution);
+
       if (data.available && data.riskLevel !== 'UNKNOWN') {
         const score = riskToScore[data.riskLevel] || 0;
-        const weight = sourceWeights[source] || 0.25;
+        const weight = sourceWeights[source] || 0;
         
         totalRiskScore += score * weight;
         validSources++;
         riskLevels.push(data.riskLevel);
+        contribution.levelScore = score;
+        contribution.weightedScore = score * weight;
         
         // Add source-specific risk factors
         if (data.indicators && data.indicators.length > 0) {
@@ -361,37 +588,58 @@ class DataAggregatorService {
     // Calculate overall risk level
     if (validSources > 0) {
       // Adjust for missing sources
-      const completenessMultiplier = validSources / 4;
+      const completenessMultiplier = Math.min(1, validSources / model.overall.expectedSources);
       totalRiskScore *= completenessMultiplier;
       
-      // Determine overall risk level
-      if (totalRiskScore >= 80) {
-        assessment.overallRisk = 'CRITICAL';
-        assessment.confidence = Math.min(0.95, 0.7 + (validSources * 0.06));
-      } else if (totalRiskScore >= 60) {
-        assessment.overallRisk = 'HIGH';
-        assessment.confidence = Math.min(0.9, 0.65 + (validSources * 0.06));
-      } else if (totalRiskScore >= 40) {
-        assessment.overallRisk = 'MEDIUM';
-        assessment.confidence = Math.min(0.85, 0.6 + (validSources * 0.06));
-      } else if (totalRiskScore >= 20) {
-        assessment.overallRisk = 'LOW';
-        assessment.confidence = Math.min(0.8, 0.55 + (validSources * 0.06));
-      } else {
-        assessment.overallRisk = 'MINIMAL';
-        assessment.confidence = Math.min(0.75, 0.5 + (validSources * 0.06));
-      }
+      // Thresholds are sorted highest first; the lowest has minScore 0
+      const threshold = model.overall.thresholds.find(t => totalRiskScore >= t.minScore);
+      assessment.overallRisk = threshold.level;
+      assessment.confidence = Math.min(
+        threshold.maxConfidence,
+        threshold.baseConfidence + (validSources * model.overall.confidencePerSource)
+      );
+      assessment.riskScore = Math.round(totalRiskScore * 100) / 100;
       
       // Check for critical alerts (any source reporting CRITICAL)
-      if (riskLevels.includes('CRITICAL')) {
+      const criticalOverride = model.overall.criticalSourceOverride && riskLevels.includes('CRITICAL');
+      if (criticalOverride) {
         assessment.overallRisk = 'CRITICAL';
         assessment.immediateThreats.push('Critical alert from one or more monitoring sources');
       }
       
+      assessment.explanation.overall = {
+        level: assessment.overallRisk,
+        weightedScore: Math.round((totalRiskScore / completenessMultiplier) * 100) / 100,
+        completenessMultiplier: Math.round(completenessMultiplier * 100) / 100,
+        finalScore: assessment.riskScore,
+        threshold: { level: threshold.level, minScore: threshold.minScore },
+        criticalOverride: {
+          applied: Boolean(criticalOverride),
+          sources: criticalOverride
+            ? contributions.filter(c => c.available && c.riskLevel === 'CRITICAL').map(c => c.source)
+            : [],
+          raisedFrom: criticalOverride && threshold.level !== 'CRITICAL' ? threshold.level : null
+        }
+      };
+      
+      contributions.forEach(contribution => {
+        contribution.points = Math.round(contribution.weightedScore * completenessMultiplier * 100) / 100;
+        contribution.share = totalRiskScore > 0 ? Math.round((contribution.points / totalRiskScore) * 100) / 100 : 0;
+        delete contribution.weightedScore;
+      });
+      
     } else {
       assessment.overallRisk = 'UNKNOWN';
       assessment.confidence = 0.3;
+      assessment.explanation.overall = { level: 'UNKNOWN', reason: 'No source returned usable data' };
+      contributions.forEach(contribution => {
+        contribution.points = 0;
+        contribution.share = 0;
+        delete contribution.weightedScore;
+      });
     }
+    
+    assessment.explanation.sources = contributions;
 
     // Identify protective factors
     Object.entries(sources).forEach(([source, data]) => {
@@ -410,81 +658,85 @@ class DataAggregatorService {
   }
 
   /**
-   * Calculate displacement risk prediction
-   * @param {Object} assessment - Assessment object to update
+   * Match the scoring model's displacement rules against normalized sources
+   * @param {Object} sources - Normalized { conflict, economic, climate, news }
+   * @param {Object} model - Scoring model (displacement rules and levels)
+   * @returns {Object} { selected, byFactors, displacementFactors, triggers, rulesFired, estimatedNumbers }
    */
-  calculateDisplacementRisk(assessment) {
-    const sources = assessment.sources;
+  matchDisplacementRules(sources, model) {
+    const { rules, levels } = model.displacement;
     let displacementFactors = [];
     let estimatedNumbers = 0;
-    let timelineFactors = [];
-    let destinations = new Set();
+    let forcedLevels = [];
     let triggers = [];
+    const rulesFired = [];
+
+    const fire = (source, rule, values, estimate, basis) => {
+      const fill = (template) => template.replace(/\{(\w+)\}/g, (match, key) => values[key] ?? match);
+      displacementFactors.push(fill(rule.factor));
+      triggers.push(fill(rule.trigger));
+      estimatedNumbers += estimate;
+      if (rule.forceLevel) forcedLevels.push(rule.forceLevel);
+      rulesFired.push({
+        source,
+        factor: fill(rule.factor),
+        trigger: fill(rule.trigger),
+        estimate: Math.round(estimate),
+        basis,
+        forceLevel: rule.forceLevel || null
+      });
+    };
 
     // Analyze each source for displacement indicators
     Object.entries(sources).forEach(([source, data]) => {
-      if (!data.available) return;
+      const rule = rules[source];
+      if (!data.available || !rule) return;
+
+      if (rule.hazardSeverities.length > 0) {
+        (data.hazards || [])
+          .filter(hazard => rule.hazardSeverities.includes(hazard.severity))
+          .forEach(hazard => fire(source, rule, { hazard: hazard.type, riskLevel: data.riskLevel }, rule.estimatePerHazard,
+            `${hazard.severity} ${hazard.type} hazard: ${rule.estimatePerHazard} per hazard`));
+      }
 
-      switch (source) {
-        case 'conflict':
-          if (data.riskLevel === 'CRITICAL' || data.riskLevel === 'HIGH') {
-            displacementFactors.push(`Armed conflict escalation (${data.riskLevel})`);
-            estimatedNumbers += data.score * 500; // Rough multiplier
-            timelineFactors.push('immediate');
-            triggers.push('Armed conflict escalation');
-          }
-          break;
-
-        case 'economic':
-          if (data.riskLevel === 'CRITICAL' || data.riskLevel === 'HIGH') {
-            displacementFactors.push(`Economic crisis (${data.riskLevel})`);
-            estimatedNumbers += data.score * 300;
-            timelineFactors.push('short-term');
-            triggers.push('Economic collapse');
-          }
-          break;
-
-        case 'climate':
-          if (data.hazards && data.hazards.length > 0) {
-            data.hazards.forEach(hazard => {
-              if (hazard.severity === 'CRITICAL') {
-                displacementFactors.push(`Climate disaster: ${hazard.type}`);
-                estimatedNumbers += 10000; // Base estimate for climate disasters
-                timelineFactors.push('immediate');
-                triggers.push(hazard.type);
-              }
-            });
-          }
-          break;
-
-        case 'news':
-          if (data.riskLevel === 'CRITICAL' && data.breakingNews.length > 0) {
-            displacementFactors.push('Breaking news indicates crisis escalation');
-            timelineFactors.push('immediate');
-            triggers.push('Media reports of crisis escalation');
-          }
-          break;
+      if (rule.riskLevels.includes(data.riskLevel) &&
+          (!rule.requireBreakingNews || (data.breakingNews || []).length > 0)) {
+        fire(source, rule, { riskLevel: data.riskLevel }, (data.score || 0) * rule.estimatePerScorePoint,
+          `${data.riskLevel} risk, score ${data.score || 0} x ${rule.estimatePerScorePoint} per point` +
+          (rule.requireBreakingNews ? `, ${data.breakingNews.length} breaking reports` : ''));
       }
     });
 
-    // Determine overall displacement risk
-    if (displacementFactors.length >= 3 || triggers.includes('Armed conflict escalation')) {
-      assessment.displacementRisk.level = 'CRITICAL';
-      assessment.displacementRisk.confidence = 0.9;
-      assessment.displacementRisk.timeline = '1-4 weeks';
-    } else if (displacementFactors.length >= 2) {
-      assessment.displacementRisk.level = 'HIGH';
-      assessment.displacementRisk.confidence = 0.8;
-      assessment.displacementRisk.timeline = '1-3 months';
-    } else if (displacementFactors.length >= 1) {
-      assessment.displacementRisk.level = 'MEDIUM';
-      assessment.displacementRisk.confidence = 0.7;
-      assessment.displacementRisk.timeline = '3-6 months';
-    } else {
-      assessment.displacementRisk.level = 'LOW';
-      assessment.displacementRisk.confidence = 0.6;
-      assessment.displacementRisk.timeline = '6+ months';
-    }
+    // Levels are sorted by minFactors, highest first; a forced level wins if it is higher
+    const byFactors = levels.find(level => displacementFactors.length >= level.minFactors);
+    const forced = levels.find(level => forcedLevels.includes(level.level));
+    const selected = forced && levels.indexOf(forced) < levels.indexOf(byFactors) ? forced : byFactors;
+
+    return { selected, byFactors, displacementFactors, triggers, rulesFired, estimatedNumbers };
+  }
+
+  /**
+   * Calculate displacement risk prediction
+   * @param {Object} assessment - Assessment object to update
+   * @param {Object} model - Scoring model (displacement rules and levels)
+   */
+  calculateDisplacementRisk(assessment, model) {
+    const { selected, byFactors, displacementFactors, triggers, rulesFired, estimatedNumbers } =
+      this.matchDisplacementRules(assessment.sources, model);
+
+    assessment.displacementRisk.level = selected.level;
+    assessment.displacementRisk.confidence = selected.confidence;
+    assessment.displacementRisk.timeline = selected.timeline;
+
+    assessment.explanation.displacement = {
+      level: selected.level,
+      selectedBy: selected === byFactors ? 'factor_count' : 'forced_level',
+      factorCount: displacementFactors.length,
+      levelRule: { level: selected.level, minFactors: selected.minFactors, timeline: selected.timeline },
+      forcedBy: rulesFired.filter(fired => fired.forceLevel === selected.level).map(fired => fired.source),
+      rulesFired,
+      estimatedNumbers: Math.round(estimatedNumbers)
+    };
 
     // Set displacement predictions
     assessment.displacementRisk.estimatedNumbers = Math.round(estimatedNumbers);
@@ -496,7 +748,107 @@ class DataAggregatorService {
   }
 
   /**
-   * Predict likely destination countries
+   * Monte Carlo ranges for the displacement estimate and timeline. Each run
+   * samples source levels and scores within their confidence and draws the
+   * model's estimate multipliers from a log-normal spread, then re-applies
+   * the displacement rules.
+   * @param {Object} assessment - Assessment with normalized sources
+   * @param {Object} model - Scoring model, including its uncertainty settings
+   * @param {Object} options - { iterations, seed }; the seed defaults to one derived from the assessment
+   * @returns {Object} Percentile ranges and level/timeline probabilities
+   */
+  simulateDisplacement(assessment, model, options = {}) {
+    const iterations = options.iterations || model.uncertainty.iterations;
+    const seed = options.seed ?? [...`${assessment.country}|${assessment.timestamp}`]
+      .reduce((hash, char) => (Math.imul(hash, 31) + char.charCodeAt(0)) >>> 0, 7);
+    const random = createRandom(seed);
+
+    const estimates = [];
+    const days = [];
+    const levels = [];
+    const timelines = [];
+
+    for (let i = 0; i < iterations; i++) {
+      const { selected, estimatedNumbers } = this.matchDisplacementRules(
+        sampleSources(assessment.sources, model, random),
+        sampleDisplacementModel(model, random)
+      );
+      estimates.push(estimatedNumbers);
+      days.push(timeframeToDays(selected.timeline));
+      levels.push(selected.level);
+      timelines.push(selected.timeline);
+    }
+
+    const level = summarizeOutcomes(levels);
+
+    return {
+      method: 'monte_carlo',
+      iterations,
+      seed,
+      scoringModelVersion: model.version,
+      pointEstimate: assessment.displacementRisk?.estimatedNumbers ?? null,
+      estimatedNumbers: summarizeDistribution(estimates),
+      level: {
+        ...level,
+        // Share of runs that reached the point estimate's level
+        pointLevelProbability: level.probabilities[assessment.displacementRisk?.level] || 0
+      },
+      timeline: {
+        ...summarizeOutcomes(timelines),
+        days: summarizeDistribution(days)
+      }
+    };
+  }
+
+  /**
+   * Render an assessment explanation as readable sentences
+   * @param {Object} explanation - assessment.explanation
+   * @returns {Array<string>} One line per finding, overall result first
+   */
+  describeExplanation(explanation) {
+    const { overall, sources, displacement } = explanation;
+    const lines = [];
+    const formatDriver = (driver) => `${driver.indicator} ${driver.value}${driver.points !== undefined ? ` (+${driver.points})` : ''}`;
+
+    if (overall.level === 'UNKNOWN') {
+      lines.push(`Overall risk UNKNOWN: ${overall.reason}.`);
+    } else {
+      lines.push(`Overall risk ${overall.level} under scoring model ${explanation.modelVersion}: ` +
+        `weighted score ${overall.weightedScore} x completeness ${overall.completenessMultiplier} = ${overall.finalScore}, ` +
+        `which meets the ${overall.threshold.level} threshold (>= ${overall.threshold.minScore}).`);
+    }
+    if (overall.criticalOverride?.applied && overall.criticalOverride.raisedFrom) {
+      lines.push(`Raised from ${overall.criticalOverride.raisedFrom} to CRITICAL because ${overall.criticalOverride.sources.join(', ')} reported CRITICAL.`);
+    }
+
+    // Source points carry the completeness multiplier too, so it shows in each sum
+    const completeness = overall.completenessMultiplier < 1 ? ` x completeness ${overall.completenessMultiplier}` : '';
+    [...sources].sort((a, b) => b.points - a.points).forEach(source => {
+      if (!source.available || source.riskLevel === 'UNKNOWN') {
+        lines.push(`${source.source}: no data, contributed nothing.`);
+        return;
+      }
+      const averaged = source.indicatorsAssessed ? `, mean over ${source.indicatorsAssessed} indicators assessed` : '';
+      const drivers = source.drivers.length > 0 ? ` Drivers: ${source.drivers.map(formatDriver).join(', ')}${averaged}.` : '';
+      lines.push(`${source.source}: ${source.riskLevel} (source score ${source.sourceScore}) -> ${source.levelScore} x weight ${source.weight}${completeness} ` +
+        `= ${source.points} points (${Math.round(source.share * 100)}% of the total).${drivers}`);
+    });
+
+    if (displacement) {
+      lines.push(`Displacement ${displacement.level} (${displacement.levelRule.timeline}): ` + (displacement.selectedBy === 'forced_level'
+        ? `forced by the ${displacement.forcedBy.join(', ')} rule.`
+        : `${displacement.factorCount} displacement factors (level needs ${displacement.levelRule.minFactors}).`));
+      displacement.rulesFired.forEach(fired => {
+        lines.push(`Displacement rule (${fired.source}): ${fired.factor}, +${fired.estimate.toLocaleString()} people (${fired.basis}).`);
+      });
+    }
+
+    return lines;
+  }
+
+  /**
+   * Static destination list, used until the destination model has run
+   * (see modelDestinations) or when it has no data for the country
    * @param {string} country - Origin country
    * @returns {Array} Likely destination countries
    */
@@ -605,9 +957,10 @@ class DataAggregatorService {
   /**
    * Get multi-country crisis monitoring
    * @param {Array} countries - Countries to monitor
+   * @param {Object} options - Passed to getComprehensiveCrisisAssessment
    * @returns {Promise<Array>} Multi-country assessments
    */
-  async getMultiCountryCrisisMonitoring(countries) {
+  async getMultiCountryCrisisMonitoring(countries, options = {}) {
     try {
       const startTime = Date.now();
       logger.info(`🌍 Starting multi-country crisis monitoring for ${countries.length} countries`);
@@ -616,7 +969,7 @@ class DataAggregatorService {
       
       for (const country of countries) {
         try {
-          const assessment = await this.getComprehensiveCrisisAssessment(country);
+          const assessment = await this.getComprehensiveCrisisAssessment(country, options);
           assessments.push(assessment);
           
           // Small delay between countries to respect rate limits
@@ -661,6 +1014,7 @@ class DataAggregatorService {
       overallRisk: 'UNKNOWN',
       confidence: 0.3,
       dataQuality: 'POOR',
+      explanation: null,
       sources: {
         conflict: { riskLevel: 'UNKNOWN', available: false },
         economic: { riskLevel: 'UNKNOWN', available: false },
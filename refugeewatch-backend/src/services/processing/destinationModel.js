@@ -0,0 +1,211 @@
+/**
+ * RefugeeWatch AI - Displacement Destination Model
+ *
+ * Ranks where people displaced across borders from a country are likely to
+ * go. Each candidate host is scored on the share of past refugees from the
+ * origin it received (UNHCR origin -> asylum figures), whether it shares a
+ * land border, how far away it is, and how much pressure it is already
+ * under (refugees hosted relative to its population, and whether it is in
+ * crisis itself). Scores are normalized into shares of the predicted
+ * cross-border displacement and turned into corridors for the map.
+ *
+ * @author RefugeeWatch AI Team
+ * @version 1.0.0
+ */
+
+const logger = require('../../utils/logger');
+const UNHCRRefugeeDataService = require('../data/refugeeData');
+const GeographicDataService = require('../data/geographicData');
+const { DatabaseUtils } = require('../../config/database');
+const { calculateDistanceKm, describeDirection } = require('../../utils/geoUtils');
+
+const DESTINATION_CONFIG = {
+  maxDestinations: parseInt(process.env.DESTINATION_MAX_RESULTS) || 6,
+  weights: {
+    flows: 0.5,
+    border: 0.3,
+    distance: 0.2,
+    // Largest fraction of a host's score removed at full pressure
+    pressure: 0.4
+  },
+  // Distance at which the distance score halves
+  distanceScaleKm: 1000,
+  // Share of population hosted as refugees that counts as full pressure
+  saturationShare: 0.05,
+  // Pressure added when the host is itself a registered crisis
+  crisisPressure: { CRITICAL: 0.5, HIGH: 0.25 }
+};
+
+const round = (value, places = 3) => Math.round(value * 10 ** places) / 10 ** places;
+
+class DestinationModelService {
+  /**
+   * @param {Object} options - { refugeeService, geoService }
+   */
+  constructor(options = {}) {
+    this.refugeeService = options.refugeeService || new UNHCRRefugeeDataService();
+    this.geoService = options.geoService || new GeographicDataService();
+  }
+
+  /**
+   * Ranked destinations and corridors for displacement from a country
+   * @param {string} country - Origin country name, code or alias
+   * @param {Object} options - { estimatedNumbers, limit }
+   * @returns {Promise<Object>} { success, data: { origin, destinations, corridors, sources } } or { success: false, error }
+   */
+  async predictDestinations(country, { estimatedNumbers = 0, limit = DESTINATION_CONFIG.maxDestinations } = {}) {
+    const resolved = await this.geoService.resolveCountry(country);
+    if (!resolved.success) {
+      return { success: false, error: `Country not recognised: ${country}` };
+    }
+
+    const origin = resolved.data;
+    const [flowResult, countriesResult, hostCrises] = await Promise.all([
+      this.refugeeService.getAsylumFlows(origin.code3),
+      this.geoService.getAllCountries(),
+      this.getHostCrisisLevels()
+    ]);
+
+    const countries = countriesResult.data || [];
+    const flows = flowResult.success ? flowResult.data.flows : [];
+    const hostedTotals = this.refugeeService.getHostedTotals();
+    const topShare = Math.max(0, ...flows.map(flow => flow.share));
+
+    // Every past host plus every land neighbour is a candidate
+    const candidates = new Map();
+    flows.forEach(flow => candidates.set(flow.code3, { code3: flow.code3, name: flow.country, flow }));
+    (origin.borders || []).forEach(code3 => {
+      if (!candidates.has(code3)) candidates.set(code3, { code3, name: null, flow: null });
+    });
+
+    const scored = [];
+    for (const candidate of candidates.values()) {
+      const host = this.geoService.findCountry(countries, candidate.code3)?.country || null;
+      if (!host && !candidate.name) continue;
+
+      const border = (origin.borders || []).includes(candidate.code3);
+      const distanceKm = host ? calculateDistanceKm(origin.coordinates, host.coordinates) : null;
+      const historicalShare = candidate.flow ? candidate.flow.share : 0;
+      const components = {
+        historicalShare,
+        border,
+        distanceKm,
+        distanceScore: round(distanceKm === null
+          ? (border ? 1 : 0.3)
+          : 1 / (1 + distanceKm / DESTINATION_CONFIG.distanceScaleKm)),
+        hostPressure: this.calculateHostPressure(candidate.code3, host, hostedTotals, hostCrises)
+      };
+
+      const { weights } = DESTINATION_CONFIG;
+      const attractiveness = weights.flows * (topShare > 0 ? historicalShare / topShare : 0) +
+        weights.border * (border ? 1 : 0) +
+        weights.distance * components.distanceScore;
+      const score = attractiveness * (1 - weights.pressure * components.hostPressure);
+
+      scored.push({
+        country: host?.name || candidate.name,
+        code3: candidate.code3,
+        coordinates: host?.coordinates || null,
+        score: round(score),
+        components
+      });
+    }
+
+    const ranked = scored.sort((a, b) => b.score - a.score).slice(0, limit);
+    const totalScore = ranked.reduce((sum, destination) => sum + destination.score, 0);
+
+    if (ranked.length === 0 || totalScore === 0) {
+      return { success: false, error: `No destination candidates for ${origin.name}` };
+    }
+
+    const destinations = ranked.map(destination => {
+      const share = round(destination.score / totalScore);
+      return {
+        ...destination,
+        share,
+        estimatedPeople: Math.round(share * estimatedNumbers)
+      };
+    });
+
+    logger.info(`🧭 Destination model for ${origin.name}: ${destinations.map(d => `${d.country} ${Math.round(d.share * 100)}%`).join(', ')}`);
+
+    return {
+      success: true,
+      data: {
+        origin: { country: origin.name, code3: origin.code3, coordinates: origin.coordinates },
+        destinations,
+        corridors: destinations.map(destination => this.buildCorridor(origin, destination)),
+        sources: {
+          flows: flowResult.success ? flowResult.source : null,
+          flowYear: flowResult.success ? flowResult.data.year : null,
+          geography: countriesResult.source
+        }
+      }
+    };
+  }
+
+  /**
+   * How stretched a host already is (0-1)
+   * @param {string} code3 - Host ISO3 code
+   * @param {Object|null} host - Geographic record for the host
+   * @param {Object} hostedTotals - Refugees hosted keyed by ISO3 code
+   * @param {Map} hostCrises - Registry risk level keyed by country name (lower case)
+   * @returns {number} Pressure index
+   */
+  calculateHostPressure(code3, host, hostedTotals, hostCrises) {
+    const hosted = hostedTotals[code3] || 0;
+    const saturation = host?.population
+      ? hosted / (host.population * DESTINATION_CONFIG.saturationShare)
+      : hosted / 3000000;
+    const crisisLevel = host ? hostCrises.get(host.name.toLowerCase()) : null;
+
+    return round(Math.min(1, saturation + (DESTINATION_CONFIG.crisisPressure[crisisLevel] || 0)), 2);
+  }
+
+  /**
+   * Registry risk level of every country currently in crisis
+   * @returns {Promise<Map>} Risk level keyed by lower-case country name
+   */
+  async getHostCrisisLevels() {
+    try {
+      const crises = await DatabaseUtils.listCrises();
+      return new Map(crises.map(crisis => [crisis.country.toLowerCase(), crisis.risk_level]));
+    } catch (error) {
+      logger.warn(`Could not read crisis registry for host pressure: ${error.message}`);
+      return new Map();
+    }
+  }
+
+  /**
+   * Corridor from the origin to a destination, in the predictions.migration_routes shape
+   * @param {Object} origin - Geographic record for the origin
+   * @param {Object} destination - Ranked destination
+   * @returns {Object} { from, to, probability, distance, route, type, estimatedPeople, fromCoordinates, toCoordinates }
+   */
+  buildCorridor(origin, destination) {
+    const direction = describeDirection(origin.coordinates, destination.coordinates);
+    const distance = destination.components.distanceKm;
+    const type = destination.components.border ? 'border' : 'onward';
+
+    let route = type === 'border' ? 'Land border crossing' : 'Onward route';
+    if (direction) route += ` (${direction})`;
+    if (type === 'onward' && distance !== null) route += `, ${distance.toLocaleString()} km`;
+
+    return {
+      from: origin.name,
+      to: destination.country,
+      probability: destination.share,
+      distance,
+      route,
+      type,
+      estimatedPeople: destination.estimatedPeople,
+      fromCoordinates: origin.coordinates,
+      toCoordinates: destination.coordinates
+    };
+  }
+}
+
+module.exports = {
+  DestinationModelService,
+  DESTINATION_CONFIG
+};
@@ -0,0 +1,354 @@
+/**
+ * RefugeeWatch AI - Monitoring Scheduler
+ *
+ * Runs cron jobs that re-assess watched countries on a cadence and push
+ * risk-level changes to WebSocket subscribers. Each assessment is stored in
+ * the assessment history by the aggregator. Jobs can be listed, paused,
+ * resumed and triggered at runtime.
+ *
+ * @author RefugeeWatch AI Team
+ * @version 1.0.0
+ */
+
+const cron = require('node-cron');
+const moment = require('moment');
+const logger = require('../../utils/logger');
+const DataAggregatorService = require('./dataAggregator');
+const { DatabaseUtils } = require('../../config/database');
+const { getAlertService, ALERT_CONFIG } = require('./alertService');
+const { getBacktestService, BACKTEST_CONFIG } = require('./backtestService');
+const { getNotificationService, NOTIFICATION_CONFIG } = require('./notificationService');
+
+const MONITORING_CONFIG = {
+  // Jobs start paused unless background monitoring is enabled
+  enabled: process.env.ENABLE_BACKGROUND_MONITORING === 'true',
+  // Cron expression; defaults to the aggregator's UPDATE_INTERVAL
+  schedule: process.env.MONITORING_CRON || null,
+  timezone: process.env.MONITORING_TIMEZONE || 'UTC',
+  // Comma-separated countries; defaults to every open crisis in the registry
+  watchlist: (process.env.MONITORING_WATCHLIST || '')
+    .split(',')
+    .map(country => country.trim())
+    .filter(Boolean)
+};
+
+/**
+ * Convert a millisecond interval into a cron expression
+ * @param {number} intervalMs - Interval in milliseconds
+ * @returns {string} Cron expression
+ */
+function intervalToCron(intervalMs) {
+  const minutes = Math.max(1, Math.round(intervalMs / 60000));
+  if (minutes < 60) {
+    return `*/${minutes} * * * *`;
+  }
+  const hours = Math.min(23, Math.round(minutes / 60));
+  return `0 */${hours} * * *`;
+}
+
+class MonitoringScheduler {
+  /**
+   * @param {Object} options - { aggregator, wsService }
+   */
+  constructor(options = {}) {
+    this.aggregator = options.aggregator || new DataAggregatorService();
+    this.wsService = options.wsService || null;
+    this.jobs = new Map();
+    this.started = false;
+
+    this.registerJob('watchlist-assessment', {
+      description: 'Re-assess watched countries and broadcast risk-level changes',
+      schedule: MONITORING_CONFIG.schedule || intervalToCron(this.aggregator.updateInterval),
+      task: () => this.runWatchlistAssessment('watchlist-assessment')
+    });
+
+    // Escalation only touches the alerts table, so it runs even when monitoring is paused
+    this.registerJob('alert-escalation', {
+      description: 'Escalate CRITICAL alerts left unacknowledged',
+      schedule: ALERT_CONFIG.escalationSchedule,
+      task: () => getAlertService().escalateUnacknowledged(),
+      paused: false
+    });
+
+    this.registerJob('prediction-backtest', {
+      description: 'Record UNHCR figures and score predictions whose timeline has elapsed',
+      schedule: BACKTEST_CONFIG.schedule,
+      task: () => getBacktestService().runBacktest()
+    });
+
+    // Retries, quiet-hour deferrals and digests must go out whether or not monitoring runs
+    this.registerJob('notification-dispatch', {
+      description: 'Send due notification retries, deferred messages and digests',
+      schedule: NOTIFICATION_CONFIG.dispatchSchedule,
+      task: () => getNotificationService().dispatchDue(),
+      paused: false
+    });
+  }
+
+  /**
+   * Attach the WebSocket service used to push risk changes
+   * @param {Object} wsService - WebSocketService instance
+   */
+  setWebSocketService(wsService) {
+    this.wsService = wsService;
+  }
+
+  /**
+   * Register a scheduled job
+   * @param {string} name - Unique job name
+   * @param {Object} config - { schedule, description, task, paused }
+   */
+  registerJob(name, { schedule, description, task, paused = !MONITORING_CONFIG.enabled }) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Monitoring job "${name}" is already registered`);
+    }
+    if (!cron.validate(schedule)) {
+      throw new Error(`Invalid cron expression for job "${name}": ${schedule}`);
+    }
+
+    const cronTask = cron.schedule(schedule, () => {
+      this.runJob(name, 'schedule').catch(error => {
+        logger.error(`Monitoring job ${name} failed: ${error.message}`);
+      });
+    }, { scheduled: false, timezone: MONITORING_CONFIG.timezone });
+
+    this.jobs.set(name, {
+      name,
+      description,
+      schedule,
+      task,
+      cronTask,
+      paused,
+      running: false,
+      runCount: 0,
+      failureCount: 0,
+      lastRun: null
+    });
+
+    if (this.started && !paused) {
+      cronTask.start();
+    }
+  }
+
+  /**
+   * Start every job that is not paused
+   */
+  start() {
+    this.started = true;
+    for (const job of this.jobs.values()) {
+      if (!job.paused) job.cronTask.start();
+    }
+
+    const active = [...this.jobs.values()].filter(job => !job.paused).length;
+    logger.info(`⏰ Monitoring scheduler started (${active}/${this.jobs.size} jobs active)`);
+  }
+
+  /**
+   * Stop all cron tasks (used on shutdown)
+   */
+  stop() {
+    for (const job of this.jobs.values()) {
+      job.cronTask.stop();
+    }
+    this.started = false;
+  }
+
+  /**
+   * Get a job by name
+   * @param {string} name - Job name
+   * @returns {Object|null} Job
+   */
+  getJob(name) {
+    return this.jobs.get(name) || null;
+  }
+
+  pauseJob(name) {
+    const job = this.getJob(name);
+    if (!job) return null;
+
+    job.paused = true;
+    job.cronTask.stop();
+    logger.info(`⏸️ Monitoring job paused: ${name}`);
+    return this.describeJob(job);
+  }
+
+  resumeJob(name) {
+    const job = this.getJob(name);
+    if (!job) return null;
+
+    job.paused = false;
+    if (this.started) job.cronTask.start();
+    logger.info(`▶️ Monitoring job resumed: ${name}`);
+    return this.describeJob(job);
+  }
+
+  /**
+   * Run a job immediately, regardless of its paused state
+   * @param {string} name - Job name
+   * @returns {Promise<Object|null>} Run record, or null for unknown jobs
+   */
+  async triggerJob(name) {
+    if (!this.getJob(name)) return null;
+    return this.runJob(name, 'manual');
+  }
+
+  /**
+   * Execute a job and record the outcome. Overlapping runs are skipped.
+   * @param {string} name - Job name
+   * @param {string} trigger - 'schedule' or 'manual'
+   * @returns {Promise<Object>} Run record
+   */
+  async runJob(name, trigger) {
+    const job = this.getJob(name);
+
+    if (job.running) {
+      logger.warn(`Monitoring job ${name} is still running, skipping ${trigger} run`);
+      return { job: name, trigger, skipped: true, reason: 'Previous run still in progress' };
+    }
+
+    const startedAt = new Date();
+    job.running = true;
+
+    try {
+      const result = await job.task();
+      job.lastRun = {
+        trigger,
+        success: true,
+        startedAt: startedAt.toISOString(),
+        finishedAt: new Date().toISOString(),
+        durationMs: Date.now() - startedAt.getTime(),
+        result
+      };
+    } catch (error) {
+      job.failureCount++;
+      job.lastRun = {
+        trigger,
+        success: false,
+        startedAt: startedAt.toISOString(),
+        finishedAt: new Date().toISOString(),
+        durationMs: Date.now() - startedAt.getTime(),
+        error: error.message
+      };
+      logger.error(`❌ Monitoring job ${name} failed: ${error.message}`);
+    } finally {
+      job.running = false;
+      job.runCount++;
+    }
+
+    return { job: name, ...job.lastRun };
+  }
+
+  /**
+   * Public view of a job
+   */
+  describeJob(job) {
+    return {
+      name: job.name,
+      description: job.description,
+      schedule: job.schedule,
+      timezone: MONITORING_CONFIG.timezone,
+      status: job.running ? 'running' : (job.paused || !this.started ? 'paused' : 'scheduled'),
+      paused: job.paused,
+      runCount: job.runCount,
+      failureCount: job.failureCount,
+      lastRun: job.lastRun
+    };
+  }
+
+  listJobs() {
+    return [...this.jobs.values()].map(job => this.describeJob(job));
+  }
+
+  /**
+   * Countries to monitor: MONITORING_WATCHLIST, or every open crisis in the registry
+   * @returns {Promise<Array<string>>} Country names
+   */
+  async getWatchlist() {
+    if (MONITORING_CONFIG.watchlist.length > 0) {
+      return MONITORING_CONFIG.watchlist;
+    }
+
+    const crises = await DatabaseUtils.listCrises();
+    return [...new Set(crises.map(crisis => crisis.country))];
+  }
+
+  /**
+   * Assess every watched country and broadcast risk-level changes
+   * @param {string} source - Job name stored in the assessment history
+   * @returns {Promise<Object>} Run summary
+   */
+  async runWatchlistAssessment(source) {
+    const countries = await this.getWatchlist();
+
+    if (countries.length === 0) {
+      logger.info('🔄 Watchlist is empty, nothing to assess');
+      return { countries: [], assessed: 0, changes: [] };
+    }
+
+    logger.info(`🔄 Running scheduled assessment for ${countries.length} watched countries`);
+    const assessments = await this.aggregator.getMultiCountryCrisisMonitoring(countries, { source });
+
+    // Registry regions let WebSocket clients filter crisis updates by region
+    const crises = await DatabaseUtils.listCrises();
+    const regions = new Map(crises.map(crisis => [crisis.country.toLowerCase(), crisis.region]));
+
+    const changes = assessments
+      .map(assessment => this.handleRiskChange(assessment, regions.get(String(assessment.country).toLowerCase())))
+      .filter(Boolean);
+
+    return {
+      countries,
+      assessed: assessments.length,
+      unknown: assessments.filter(a => a.overallRisk === 'UNKNOWN').map(a => a.country),
+      changes
+    };
+  }
+
+  /**
+   * Broadcast an assessment whose risk level moved since the last known one
+   * @param {Object} assessment - Aggregated assessment (with history info)
+   * @param {string} [region] - Registry region of the country
+   * @returns {Object|null} Change record, if any
+   */
+  handleRiskChange(assessment, region) {
+    const history = assessment.history;
+    if (!history || !history.riskChanged) return null;
+
+    const change = {
+      country: assessment.country,
+      crisisId: history.crisisId,
+      from: history.previousRisk,
+      to: assessment.overallRisk,
+      historyId: history.id,
+      previousAssessmentAt: history.previousAssessmentAt,
+      detectedAt: moment().toISOString()
+    };
+
+    logger.info(`🚨 Risk level change for ${change.country}: ${change.from} → ${change.to}`);
+
+    if (this.wsService) {
+      this.wsService.sendCrisisUpdate({ ...assessment, region: region || assessment.region, riskChange: change });
+    }
+
+    return change;
+  }
+}
+
+let scheduler = null;
+
+/**
+ * Shared scheduler instance for the server and API routes
+ * @returns {MonitoringScheduler} Scheduler
+ */
+function getMonitoringScheduler() {
+  if (!scheduler) {
+    scheduler = new MonitoringScheduler();
+  }
+  return scheduler;
+}
+
+module.exports = {
+  MonitoringScheduler,
+  getMonitoringScheduler,
+  MONITORING_CONFIG
+};
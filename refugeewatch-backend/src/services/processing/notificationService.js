@@ -0,0 +1,418 @@
+/**
+ * RefugeeWatch AI - Notification Service
+ *
+ * Routes alerts to notification subscribers according to their
+ * preferences. Subscribers on the immediate frequency get one message per
+ * channel as soon as an alert is raised; others have the alert queued for
+ * their next hourly, daily or weekly digest. Messages due during a
+ * subscriber's quiet hours are deferred until the quiet hours end. Every
+ * message and attempt is recorded in notification_deliveries, and failed
+ * attempts are retried by the notification-dispatch job. A delivery is
+ * claimed before it is sent, so the job never sends one that is already
+ * in flight.
+ *
+ * @author RefugeeWatch AI Team
+ * @version 1.0.0
+ */
+
+const moment = require('moment');
+const logger = require('../../utils/logger');
+const { DatabaseUtils } = require('../../config/database');
+const { NotificationTransports } = require('../external/notificationTransports');
+const { formatAlert } = require('./alertService');
+const { parseDbTimestamp, toDbTimestamp } = require('../../utils/analyticsUtils');
+const {
+  CHANNEL_CONTACT,
+  normalizePreferences,
+  matchesPreferences,
+  isQuietTime,
+  quietHoursEnd,
+  isDigestDue,
+  buildAlertMessage,
+  buildDigestMessage,
+  buildTestMessage
+} = require('../../utils/notificationUtils');
+
+const NOTIFICATION_CONFIG = {
+  // Attempts per delivery before it is marked failed
+  maxAttempts: parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 3,
+  // Minutes before a retry, multiplied by the attempts made so far
+  retryMinutes: parseInt(process.env.NOTIFICATION_RETRY_MINUTES) || 5,
+  // Minutes a claimed delivery is held before another sender may take it over
+  claimMinutes: parseInt(process.env.NOTIFICATION_CLAIM_MINUTES) || 10,
+  dispatchSchedule: process.env.NOTIFICATION_DISPATCH_CRON || '* * * * *'
+};
+
+const parseJSON = (value, fallback = null) => {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+};
+
+const timestamp = (value) => (value ? parseDbTimestamp(value).toISOString() : null);
+
+const claimExpiry = () => toDbTimestamp(moment.utc().add(NOTIFICATION_CONFIG.claimMinutes, 'minutes'));
+
+/**
+ * Shape a notification_subscribers row for API responses
+ * @param {Object} row - notification_subscribers row
+ * @returns {Object} Subscriber
+ */
+function formatSubscriber(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    contact: {
+      email: row.email || null,
+      phone: row.phone || null,
+      webhookUrl: row.webhook_url || null,
+      pushToken: row.push_token || null
+    },
+    preferences: normalizePreferences({
+      channels: parseJSON(row.channels, []),
+      severityLevels: parseJSON(row.severity_levels, []),
+      crisisTypes: parseJSON(row.crisis_types, []),
+      regions: parseJSON(row.regions, []),
+      frequency: row.frequency,
+      quietHours: parseJSON(row.quiet_hours, {})
+    }),
+    active: Boolean(row.active),
+    lastDigestAt: timestamp(row.last_digest_at),
+    createdAt: timestamp(row.created_at),
+    updatedAt: timestamp(row.updated_at)
+  };
+}
+
+/**
+ * Shape a notification_deliveries row for API responses
+ * @param {Object} row - notification_deliveries row
+ * @returns {Object} Delivery
+ */
+function formatDelivery(row) {
+  return {
+    id: row.id,
+    subscriberId: row.subscriber_id,
+    channel: row.channel,
+    kind: row.kind,
+    alertIds: parseJSON(row.alert_ids, []),
+    subject: row.subject,
+    status: row.status,
+    attempts: row.attempts,
+    lastError: row.last_error || null,
+    scheduledFor: timestamp(row.scheduled_for),
+    sentAt: timestamp(row.sent_at),
+    createdAt: timestamp(row.created_at),
+    updatedAt: timestamp(row.updated_at)
+  };
+}
+
+/**
+ * Subscriber columns from a request body; only fields present are returned
+ * @param {Object} body - { name, email, phone, webhookUrl, pushToken, ...preferences }
+ * @param {boolean} includePreferences - Also map the preference fields
+ * @returns {Object} Column values
+ */
+function subscriberFields(body, includePreferences) {
+  const fields = {};
+  if (body.name !== undefined) fields.name = body.name;
+  if (body.email !== undefined) fields.email = body.email || null;
+  if (body.phone !== undefined) fields.phone = body.phone || null;
+  if (body.webhookUrl !== undefined) fields.webhook_url = body.webhookUrl || null;
+  if (body.pushToken !== undefined) fields.push_token = body.pushToken || null;
+
+  if (includePreferences) {
+    const preferences = normalizePreferences(body);
+    fields.channels = preferences.channels;
+    fields.severity_levels = preferences.severityLevels;
+    fields.crisis_types = preferences.crisisTypes;
+    fields.regions = preferences.regions;
+    fields.frequency = preferences.frequency;
+    fields.quiet_hours = preferences.quietHours;
+  }
+
+  return fields;
+}
+
+class NotificationService {
+  /**
+   * @param {Object} options - { transports }
+   */
+  constructor(options = {}) {
+    this.transports = options.transports || new NotificationTransports();
+  }
+
+  /**
+   * Register a subscriber (body validated by notificationPreferencesValidation)
+   * @returns {Promise<Object>} Created subscriber
+   */
+  async createSubscriber(body) {
+    const { lastID } = await DatabaseUtils.insertNotificationSubscriber(subscriberFields(body, true));
+    const subscriber = await this.getSubscriber(lastID);
+    logger.info(`📬 Notification subscriber #${lastID} (${subscriber.name}) on ${subscriber.preferences.channels.join(', ')}, ${subscriber.preferences.frequency}`);
+    return subscriber;
+  }
+
+  /**
+   * Replace a subscriber's preferences, and any contact details given
+   * @returns {Promise<Object>} Updated subscriber
+   */
+  async updateSubscriber(subscriberId, body) {
+    await DatabaseUtils.updateNotificationSubscriber(subscriberId, subscriberFields(body, true));
+    return this.getSubscriber(subscriberId);
+  }
+
+  /**
+   * Stop notifying a subscriber. Their delivery history is kept.
+   * @returns {Promise<Object>} Deactivated subscriber
+   */
+  async deactivateSubscriber(subscriberId) {
+    await DatabaseUtils.updateNotificationSubscriber(subscriberId, { active: 0 });
+    return this.getSubscriber(subscriberId);
+  }
+
+  async getSubscriber(subscriberId) {
+    const row = await DatabaseUtils.getNotificationSubscriberById(subscriberId);
+    return row ? formatSubscriber(row) : null;
+  }
+
+  async listSubscribers(filters) {
+    const rows = await DatabaseUtils.listNotificationSubscribers(filters);
+    return rows.map(formatSubscriber);
+  }
+
+  async listDeliveries(filters) {
+    const rows = await DatabaseUtils.listNotificationDeliveries(filters);
+    return rows.map(formatDelivery);
+  }
+
+  /**
+   * Route a newly raised alert to every active subscriber whose preferences match
+   * @param {Object} alert - Formatted alert
+   * @returns {Promise<Object>} { subscribers, deliveries, queued, deferred }
+   */
+  async notifyAlert(alert) {
+    const crisis = await DatabaseUtils.getCrisisById(alert.crisisId);
+    const subscribers = await this.listSubscribers({ active: true });
+    const summary = { subscribers: 0, deliveries: [], queued: 0, deferred: 0 };
+
+    for (const subscriber of subscribers) {
+      if (!matchesPreferences(alert, crisis, subscriber.preferences)) continue;
+      summary.subscribers++;
+
+      if (subscriber.preferences.frequency !== 'immediate') {
+        await DatabaseUtils.queueNotification(subscriber.id, alert.id);
+        summary.queued++;
+        continue;
+      }
+
+      const deliveries = await this.createDeliveries(subscriber, 'alert', [alert.id], buildAlertMessage(alert));
+      summary.deliveries.push(...deliveries);
+    }
+
+    for (const [index, delivery] of summary.deliveries.entries()) {
+      if (delivery.status === 'pending') {
+        summary.deliveries[index] = await this.attemptDelivery(delivery.id);
+      }
+    }
+    summary.deferred = summary.deliveries.filter(delivery => delivery.status === 'deferred').length;
+
+    if (summary.subscribers > 0) {
+      logger.info(`📣 Alert #${alert.id} routed to ${summary.subscribers} subscriber(s): ${summary.deliveries.length} message(s), ${summary.queued} queued for digests, ${summary.deferred} deferred for quiet hours`);
+    }
+    return summary;
+  }
+
+  /**
+   * Record one delivery per subscribed channel. The caller sends them right
+   * away, so they are recorded already claimed. During quiet hours the
+   * deliveries are deferred to the end of the quiet hours instead.
+   * @param {Object} subscriber - Formatted subscriber
+   * @param {string} kind - alert | digest | test
+   * @param {Array<number>} alertIds - Alerts in the message
+   * @param {Object} message - { subject, text, payload }
+   * @param {Object} options - { ignoreQuietHours }
+   * @returns {Promise<Array>} Formatted deliveries
+   */
+  async createDeliveries(subscriber, kind, alertIds, message, { ignoreQuietHours = false } = {}) {
+    const now = new Date();
+    const quiet = !ignoreQuietHours && isQuietTime(subscriber.preferences.quietHours, now);
+    const { subject, ...content } = message;
+
+    const deliveries = [];
+    for (const channel of subscriber.preferences.channels) {
+      const { lastID } = await DatabaseUtils.insertNotificationDelivery({
+        subscriber_id: subscriber.id,
+        channel,
+        kind,
+        alert_ids: alertIds,
+        subject,
+        message: content,
+        status: quiet ? 'deferred' : 'pending',
+        scheduled_for: quiet ? toDbTimestamp(quietHoursEnd(subscriber.preferences.quietHours, now)) : claimExpiry()
+      });
+      deliveries.push(formatDelivery(await DatabaseUtils.getNotificationDeliveryById(lastID)));
+    }
+
+    return deliveries;
+  }
+
+  /**
+   * Try to send a delivery the caller has claimed. Failures are retried with a growing
+   * delay until maxAttempts; channels without a configured transport or
+   * subscribers without the contact detail are skipped.
+   * @param {number} deliveryId - Delivery ID
+   * @returns {Promise<Object>} Updated delivery
+   */
+  async attemptDelivery(deliveryId) {
+    const row = await DatabaseUtils.getNotificationDeliveryById(deliveryId);
+    const subscriberRow = await DatabaseUtils.getNotificationSubscriberById(row.subscriber_id);
+    const subscriber = subscriberRow ? formatSubscriber(subscriberRow) : null;
+    const update = (outcome) => DatabaseUtils.updateNotificationDelivery(deliveryId, outcome);
+
+    if (!subscriber?.active) {
+      await update({ status: 'skipped', error: 'Subscriber is inactive' });
+    } else if (row.kind !== 'test' && isQuietTime(subscriber.preferences.quietHours)) {
+      await update({
+        status: 'deferred',
+        scheduled_for: toDbTimestamp(quietHoursEnd(subscriber.preferences.quietHours))
+      });
+    } else {
+      const contactField = CHANNEL_CONTACT[row.channel];
+      const recipient = subscriber.contact[contactField];
+
+      if (!recipient) {
+        await update({ status: 'skipped', error: `Subscriber has no ${contactField} for ${row.channel}` });
+      } else {
+        try {
+          await this.transports.send(row.channel, recipient, { subject: row.subject, ...parseJSON(row.message, {}) });
+          await update({ status: 'sent', attempted: true });
+        } catch (error) {
+          const attempts = row.attempts + 1;
+
+          if (error.code === 'NOT_CONFIGURED') {
+            await update({ status: 'skipped', attempted: true, error: error.message });
+          } else if (attempts >= NOTIFICATION_CONFIG.maxAttempts) {
+            logger.error(`📭 Notification #${deliveryId} (${row.channel}) failed after ${attempts} attempts: ${error.message}`);
+            await update({ status: 'failed', attempted: true, error: error.message });
+          } else {
+            logger.warn(`📭 Notification #${deliveryId} (${row.channel}) attempt ${attempts} failed, retrying: ${error.message}`);
+            await update({
+              status: 'pending',
+              attempted: true,
+              error: error.message,
+              scheduled_for: toDbTimestamp(moment.utc().add(NOTIFICATION_CONFIG.retryMinutes * attempts, 'minutes'))
+            });
+          }
+        }
+      }
+    }
+
+    return formatDelivery(await DatabaseUtils.getNotificationDeliveryById(deliveryId));
+  }
+
+  /**
+   * Send deliveries that are due (retries and quiet-hour deferrals) and any
+   * digests whose period has passed. Run by the notification-dispatch job.
+   * Deliveries claimed by another sender in the meantime are left to it.
+   * @returns {Promise<Object>} { attempted, sent, failed, retrying, deferred, skipped, digests }
+   */
+  async dispatchDue() {
+    const now = toDbTimestamp(moment.utc());
+    const due = await DatabaseUtils.getDueNotificationDeliveries(now);
+
+    const results = [];
+    for (const row of due) {
+      if (!await DatabaseUtils.claimNotificationDelivery(row.id, now, claimExpiry())) continue;
+      results.push(await this.attemptDelivery(row.id));
+    }
+
+    const digests = await this.sendDueDigests();
+    results.push(...digests.flatMap(digest => digest.deliveries));
+
+    const count = (status) => results.filter(delivery => delivery.status === status).length;
+    return {
+      attempted: results.length,
+      sent: count('sent'),
+      failed: count('failed'),
+      retrying: count('pending'),
+      deferred: count('deferred'),
+      skipped: count('skipped'),
+      digests: digests.map(({ subscriberId, alerts }) => ({ subscriberId, alerts }))
+    };
+  }
+
+  /**
+   * Batch queued alerts into a digest for each subscriber whose period has
+   * passed since their last digest. Subscribers in quiet hours wait.
+   * @param {Date} now - Current time
+   * @returns {Promise<Array>} [{ subscriberId, alerts, deliveries }]
+   */
+  async sendDueDigests(now = new Date()) {
+    const subscribers = (await this.listSubscribers({ active: true }))
+      .filter(subscriber => subscriber.preferences.frequency !== 'immediate');
+
+    const digests = [];
+    for (const subscriber of subscribers) {
+      const since = new Date(subscriber.lastDigestAt || subscriber.createdAt);
+      if (!isDigestDue(subscriber.preferences.frequency, since, now)) continue;
+      if (isQuietTime(subscriber.preferences.quietHours, now)) continue;
+
+      const queued = await DatabaseUtils.getQueuedNotifications(subscriber.id);
+      if (queued.length === 0) continue;
+
+      const alerts = queued.map(formatAlert);
+      const message = buildDigestMessage(alerts, subscriber.preferences.frequency);
+      const deliveries = await this.createDeliveries(subscriber, 'digest', alerts.map(alert => alert.id), message);
+      await DatabaseUtils.markNotificationsDigested(subscriber.id, queued.map(row => row.queue_id));
+
+      const attempted = [];
+      for (const delivery of deliveries) {
+        attempted.push(await this.attemptDelivery(delivery.id));
+      }
+
+      logger.info(`🗞️ ${subscriber.preferences.frequency} digest of ${alerts.length} alert(s) for subscriber #${subscriber.id}`);
+      digests.push({ subscriberId: subscriber.id, alerts: alerts.length, deliveries: attempted });
+    }
+
+    return digests;
+  }
+
+  /**
+   * Send a test message on every subscribed channel, ignoring quiet hours
+   * @param {Object} subscriber - Formatted subscriber
+   * @returns {Promise<Array>} Deliveries with their outcome
+   */
+  async sendTest(subscriber) {
+    const deliveries = await this.createDeliveries(subscriber, 'test', [], buildTestMessage(subscriber), { ignoreQuietHours: true });
+
+    const attempted = [];
+    for (const delivery of deliveries) {
+      attempted.push(await this.attemptDelivery(delivery.id));
+    }
+    return attempted;
+  }
+}
+
+let notificationService = null;
+
+/**
+ * Shared notification service instance
+ * @returns {NotificationService} Notification service
+ */
+function getNotificationService() {
+  if (!notificationService) {
+    notificationService = new NotificationService();
+  }
+  return notificationService;
+}
+
+module.exports = {
+  NotificationService,
+  getNotificationService,
+  formatSubscriber,
+  formatDelivery,
+  NOTIFICATION_CONFIG
+};
@@ -0,0 +1,621 @@
+/**
+ * RefugeeWatch AI - Report Generation Service
+ *
+ * Builds crisis summaries, displacement analyses, response plan reports,
+ * situation updates and donor briefings from the stored crisis registry,
+ * predictions, response plans, assessments and alerts. Reports are
+ * rendered with reportUtils and stored so they can be downloaded later.
+ *
+ * @author RefugeeWatch AI Team
+ * @version 1.0.0
+ */
+
+const moment = require('moment');
+const logger = require('../../utils/logger');
+const { DatabaseUtils } = require('../../config/database');
+const { parseDbTimestamp, toDbTimestamp } = require('../../utils/analyticsUtils');
+const {
+  REPORT_FORMATS,
+  formatNumber,
+  formatCurrency,
+  formatPercent,
+  buildReportFilename,
+  renderReport
+} = require('../../utils/reportUtils');
+
+const REPORT_TITLES = {
+  crisis_summary: 'Crisis Summary',
+  displacement_analysis: 'Displacement Analysis',
+  response_plan: 'Response Plan',
+  situation_update: 'Situation Update',
+  donor_briefing: 'Donor Briefing'
+};
+
+// Assessment changes shown in a situation update
+const SITUATION_WINDOW_DAYS = 30;
+
+const parseJSON = (value, fallback = null) => {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+};
+
+const formatDate = (value) => (value ? parseDbTimestamp(value).format('YYYY-MM-DD') : 'n/a');
+
+const titleCase = (value) => String(value).replace(/_/g, ' ').replace(/\b\w/g, char => char.toUpperCase());
+
+class ReportService {
+  /**
+   * Resolve the crisis a report is about
+   * @param {string} crisisId - Registry crisis ID or country name
+   * @returns {Promise<Object|null>} crises row
+   */
+  async findCrisis(crisisId) {
+    return await DatabaseUtils.getCrisisById(crisisId) || await DatabaseUtils.getCrisisByCountry(crisisId);
+  }
+
+  /**
+   * Build, render and store a report
+   * @param {Object} request - { type, format, crisis, includeAnalysis, includePredictions, customSections }
+   * @returns {Promise<Object>} Stored report metadata
+   */
+  async generateReport({ type, format = 'pdf', crisis = null, includeAnalysis = true, includePredictions = true, customSections = [] }) {
+    const options = { includeAnalysis, includePredictions };
+    const context = await this.loadContext(crisis);
+    const sections = await this.buildSections(type, context, options);
+
+    sections.push(...this.buildCustomSections(customSections));
+
+    const generatedAt = new Date();
+    const document = {
+      title: `${REPORT_TITLES[type]}: ${crisis ? crisis.title || crisis.country : 'All Active Crises'}`,
+      subtitle: crisis ? `${crisis.country}, ${crisis.region} (${crisis.id})` : `${context.crises.length} crises in the registry`,
+      generatedAt: generatedAt.toISOString(),
+      sections
+    };
+
+    const content = renderReport(document, format);
+    const { lastID } = await DatabaseUtils.insertReport({
+      report_type: type,
+      format,
+      title: document.title,
+      crisis_id: crisis ? crisis.id : null,
+      options: { ...options, customSections },
+      sections: sections.map(section => section.title),
+      filename: buildReportFilename(document.title, format, generatedAt),
+      mime_type: REPORT_FORMATS[format].mimeType,
+      content
+    });
+
+    logger.info(`📄 Report #${lastID} generated: ${document.title} (${format}, ${content.length} bytes)`);
+
+    return this.getReport(lastID);
+  }
+
+  /**
+   * @returns {Promise<Object|null>} Report metadata
+   */
+  async getReport(reportId) {
+    const row = await DatabaseUtils.getReportById(reportId);
+    return row ? this.formatReport(row) : null;
+  }
+
+  /**
+   * @returns {Promise<Object|null>} { crisisId, filename, mimeType, content } for download
+   */
+  async getReportFile(reportId) {
+    const row = await DatabaseUtils.getReportById(reportId, { includeContent: true });
+    return row ? { crisisId: row.crisis_id, filename: row.filename, mimeType: row.mime_type, content: row.content } : null;
+  }
+
+  /**
+   * @param {Object} filters - { type, crisisId, format, regions, limit }
+   * @returns {Promise<Array>} Report metadata, newest first
+   */
+  async listReports(filters = {}) {
+    const rows = await DatabaseUtils.listReports(filters);
+    return rows.map(row => this.formatReport(row));
+  }
+
+  /**
+   * Shape a reports row for API responses
+   */
+  formatReport(row) {
+    return {
+      id: row.id,
+      type: row.report_type,
+      format: row.format,
+      title: row.title,
+      crisisId: row.crisis_id,
+      options: parseJSON(row.options, {}),
+      sections: parseJSON(row.sections, []),
+      filename: row.filename,
+      mimeType: row.mime_type,
+      sizeBytes: row.size_bytes,
+      downloadUrl: `/api/reports/${row.id}/download`,
+      createdAt: parseDbTimestamp(row.created_at).toISOString()
+    };
+  }
+
+  /**
+   * Load the stored records a report draws on
+   * @param {Object|null} crisis - crises row, or null for every active crisis
+   * @returns {Promise<Object>} { crisis, crises, predictions, plans, assessment, alerts }
+   */
+  async loadContext(crisis) {
+    if (!crisis) {
+      const crises = await DatabaseUtils.listCrises();
+      const plans = {};
+      for (const row of crises) {
+        plans[row.id] = (await DatabaseUtils.getResponsePlansByCrisisId(row.id))[0] || null;
+      }
+      return {
+        crisis: null,
+        crises,
+        predictions: (await DatabaseUtils.getLatestPredictions()).filter(prediction => prediction.crisis_id in plans),
+        plans,
+        assessment: null,
+        alerts: await DatabaseUtils.listAlerts({ status: 'open' })
+      };
+    }
+
+    const latest = await DatabaseUtils.getLatestAssessment(crisis.country);
+    return {
+      crisis,
+      crises: [crisis],
+      predictions: await DatabaseUtils.getPredictionsByCrisisId(crisis.id),
+      plans: { [crisis.id]: (await DatabaseUtils.getResponsePlansByCrisisId(crisis.id))[0] || null },
+      assessment: latest ? { ...parseJSON(latest.assessment, {}), assessedAt: latest.created_at } : null,
+      alerts: await DatabaseUtils.listAlerts({ status: 'open', crisisId: crisis.id })
+    };
+  }
+
+  /**
+   * Sections for a report type
+   */
+  async buildSections(type, context, options) {
+    const { crisis } = context;
+    const plan = crisis ? context.plans[crisis.id] : null;
+    const sections = [this.overviewSection(context)];
+
+    switch (type) {
+      case 'crisis_summary':
+        if (crisis) sections.push(this.driversSection(crisis));
+        if (context.assessment) sections.push(this.assessmentSection(context.assessment));
+        if (options.includeAnalysis) sections.push(...this.analysisSections(context));
+        if (options.includePredictions) sections.push(this.predictionsSection(context));
+        sections.push(this.alertsSection(context));
+        break;
+
+      case 'displacement_analysis':
+        if (context.assessment) sections.push(this.displacementOutlookSection(context.assessment));
+        sections.push(this.destinationsSection(context));
+        if (options.includePredictions) sections.push(this.predictionsSection(context));
+        if (options.includeAnalysis) sections.push(...this.analysisSections(context, { displacementOnly: true }));
+        break;
+
+      case 'response_plan':
+        sections.push(...this.planSections(plan));
+        if (options.includeAnalysis) sections.push(...this.analysisSections(context));
+        if (options.includePredictions) sections.push(this.predictionsSection(context));
+        break;
+
+      case 'situation_update':
+        if (crisis) sections.push(await this.recentChangesSection(crisis));
+        sections.push(this.alertsSection(context));
+        if (options.includePredictions) sections.push(this.predictionsSection(context, { latestOnly: true }));
+        if (options.includeAnalysis) sections.push(...this.analysisSections(context, { recommendationsOnly: true }));
+        break;
+
+      case 'donor_briefing':
+        sections.unshift(this.keyFiguresSection(context));
+        sections.push(...this.fundingSections(context));
+        if (options.includeAnalysis) sections.push(...this.analysisSections(context, { recommendationsOnly: true }));
+        if (options.includePredictions) sections.push(this.predictionsSection(context, { latestOnly: true }));
+        break;
+
+      default:
+        break;
+    }
+
+    return sections;
+  }
+
+  overviewSection({ crisis, crises }) {
+    if (crisis) {
+      return {
+        title: 'Overview',
+        paragraphs: crisis.description ? [crisis.description] : [],
+        facts: [
+          ['Crisis ID', crisis.id],
+          ['Country', crisis.country],
+          ['Region', crisis.region],
+          ['Crisis type', crisis.crisis_type ? titleCase(crisis.crisis_type) : 'n/a'],
+          ['Risk level', crisis.risk_level],
+          ['Status', crisis.status],
+          ['Confidence', formatPercent(crisis.confidence)],
+          ['Predicted displacement', formatNumber(crisis.predicted_displacement)],
+          ['Population affected', formatNumber(crisis.population_affected)],
+          ['Timeline', crisis.timeline || 'n/a'],
+          ['Last updated', formatDate(crisis.last_updated)]
+        ]
+      };
+    }
+
+    return {
+      title: 'Overview',
+      paragraphs: crises.length > 0 ? [] : ['No active crises are registered.'],
+      table: {
+        columns: ['Crisis', 'Country', 'Region', 'Risk', 'Status', 'Predicted displacement', 'Confidence', 'Updated'],
+        rows: crises.map(row => [
+          row.id, row.country, row.region, row.risk_level, row.status,
+          formatNumber(row.predicted_displacement), formatPercent(row.confidence), formatDate(row.last_updated)
+        ])
+      }
+    };
+  }
+
+  driversSection(crisis) {
+    const causes = parseJSON(crisis.causes, {});
+    const details = parseJSON(crisis.details, {});
+    const items = Array.isArray(causes)
+      ? causes.map(String)
+      : Object.entries(causes).map(([cause, weight]) => `${titleCase(cause)}: ${typeof weight === 'number' ? formatPercent(weight) : weight}`);
+
+    return {
+      title: 'Crisis Drivers',
+      paragraphs: items.length > 0 ? [] : ['No drivers recorded.'],
+      items: [...items, ...(details.keyFactors || [])]
+    };
+  }
+
+  assessmentSection(assessment) {
+    return {
+      title: 'Latest Risk Assessment',
+      facts: [
+        ['Assessed', formatDate(assessment.assessedAt)],
+        ['Overall risk', assessment.overallRisk],
+        ['Confidence', formatPercent(assessment.confidence)],
+        ['Data quality', assessment.dataQuality || 'n/a'],
+        ['Scoring model', assessment.scoringModelVersion || 'n/a']
+      ],
+      table: {
+        columns: ['Source', 'Risk level', 'Score'],
+        rows: Object.entries(assessment.sources || {}).map(([source, data]) => [
+          titleCase(source), data.riskLevel, data.available ? data.score : 'unavailable'
+        ])
+      }
+    };
+  }
+
+  displacementOutlookSection(assessment) {
+    const displacement = assessment.displacementRisk || {};
+    const range = displacement.uncertainty?.estimatedNumbers;
+    const facts = [
+      ['Displacement level', displacement.level || 'n/a'],
+      ['Estimated displaced', formatNumber(displacement.estimatedNumbers)],
+      ['Timeline', displacement.timeline || 'n/a'],
+      ['Assessed', formatDate(assessment.assessedAt)]
+    ];
+    if (range) {
+      facts.push(['Range (P10 / P50 / P90)', `${formatNumber(range.p10)} / ${formatNumber(range.p50)} / ${formatNumber(range.p90)}`]);
+    }
+
+    return {
+      title: 'Displacement Outlook',
+      facts,
+      items: (displacement.primaryCauses || []).map(cause => `Driver: ${cause}`)
+    };
+  }
+
+  destinationsSection({ predictions, crises }) {
+    const countries = Object.fromEntries(crises.map(row => [row.id, row.country]));
+    const rows = [];
+    const seen = new Set();
+
+    // Latest prediction per crisis (predictions are newest first per crisis)
+    predictions.forEach(prediction => {
+      if (seen.has(prediction.crisis_id)) return;
+      seen.add(prediction.crisis_id);
+      parseJSON(prediction.migration_routes, []).forEach(route => rows.push([
+        countries[prediction.crisis_id] || prediction.crisis_id,
+        route.to,
+        formatPercent(route.probability),
+        formatNumber(route.estimatedPeople ?? route.probability * prediction.displacement_estimate),
+        route.distanceKm ?? route.distance ?? 'n/a',
+        route.route || route.type || ''
+      ]));
+    });
+
+    return {
+      title: 'Likely Destinations',
+      paragraphs: rows.length > 0 ? [] : ['No migration corridors have been predicted yet.'],
+      table: { columns: ['From', 'To', 'Share', 'Estimated people', 'Distance (km)', 'Route'], rows }
+    };
+  }
+
+  predictionsSection({ predictions, crises }, { latestOnly = false } = {}) {
+    const countries = Object.fromEntries(crises.map(row => [row.id, row.country]));
+    const seen = new Set();
+    const rows = predictions
+      .filter(prediction => {
+        if (!latestOnly) return true;
+        if (seen.has(prediction.crisis_id)) return false;
+        seen.add(prediction.crisis_id);
+        return true;
+      })
+      .map(prediction => [
+        formatDate(prediction.created_at),
+        countries[prediction.crisis_id] || prediction.crisis_id,
+        formatNumber(prediction.displacement_estimate),
+        formatPercent(prediction.confidence_level),
+        prediction.timeline_days ? `${prediction.timeline_days} days` : 'n/a',
+        parseJSON(prediction.destinations, []).join(', '),
+        prediction.model_version || ''
+      ]);
+
+    return {
+      title: latestOnly ? 'Latest Predictions' : 'Displacement Predictions',
+      paragraphs: rows.length > 0 ? [] : ['No predictions have been stored.'],
+      table: { columns: ['Date', 'Country', 'Estimate', 'Confidence', 'Timeline', 'Destinations', 'Model'], rows }
+    };
+  }
+
+  /**
+   * AI analysis stored on each crisis. Handles pipeline and advanced analyses
+   * (both stored only once reviewed) and the seeded summaries.
+   */
+  analysisSections({ crises }, { displacementOnly = false, recommendationsOnly = false } = {}) {
+    const sections = [];
+
+    crises.forEach(row => {
+      const analysis = parseJSON(row.ai_analysis);
+      if (!analysis) return;
+
+      const title = crises.length > 1 ? `AI Analysis: ${row.country}` : 'AI Analysis';
+      const displacement = analysis.displacementPrediction || {};
+      const recommendations = analysis.recommendations || analysis.recommendedActions || {};
+      const section = { title, paragraphs: [], facts: [], items: [] };
+
+      if (displacementOnly) {
+        section.facts.push(
+          ['Likelihood', displacement.likelihood || 'n/a'],
+          ['Timeframe', displacement.timeframe || 'n/a'],
+          ['Estimated population', formatNumber(Number(displacement.estimatedPopulation ?? displacement.estimatedAffected) || null)],
+          ['Displacement type', displacement.displacementType ? titleCase(displacement.displacementType) : 'n/a']
+        );
+        section.items.push(...(displacement.primaryTriggers || []).map(trigger => `Trigger: ${trigger}`));
+      } else if (recommendationsOnly) {
+        section.title = crises.length > 1 ? `Recommendations: ${row.country}` : 'Recommendations';
+        section.items.push(
+          ...(recommendations.immediate || []).map(item => `Immediate: ${item}`),
+          ...(recommendations.shortTerm || []).map(item => `Short term: ${item}`),
+          ...(recommendations.longTerm || recommendations.mediumTerm || []).map(item => `Long term: ${item}`)
+        );
+        if (analysis.urgency) section.paragraphs.push(analysis.urgency);
+      } else {
+        section.paragraphs.push(...[analysis.reasoning || analysis.summary].filter(Boolean));
+        section.facts.push(
+          ['AI risk assessment', analysis.aiRiskAssessment || analysis.riskLevel || row.risk_level],
+          ['Confidence', formatPercent(analysis.confidence ?? row.confidence)]
+        );
+        if (analysis.review) {
+          section.facts.push(['Review', `${titleCase(analysis.review.status)} by ${analysis.review.reviewedBy || 'unknown'} on ${formatDate(analysis.review.reviewedAt)}`]);
+        }
+        section.items.push(...(analysis.keyFindings || analysis.keyFactors || []));
+        if (analysis.earlyWarning?.immediateThreats?.length) {
+          section.items.push(...analysis.earlyWarning.immediateThreats.map(threat => `Immediate threat: ${threat}`));
+        }
+      }
+
+      if (section.paragraphs.length || section.items.length || section.facts.length) sections.push(section);
+    });
+
+    return sections.length > 0 ? sections : [{ title: 'AI Analysis', paragraphs: ['No AI analysis has been stored.'] }];
+  }
+
+  alertsSection({ alerts }) {
+    return {
+      title: 'Open Alerts',
+      paragraphs: alerts.length > 0 ? [] : ['No open alerts.'],
+      table: {
+        columns: ['Raised', 'Country', 'Level', 'Title', 'Acknowledged'],
+        rows: alerts.map(alert => [
+          formatDate(alert.created_at), alert.country || alert.crisis_id, alert.alert_level,
+          alert.title || alert.message, alert.acknowledged ? 'yes' : 'no'
+        ])
+      }
+    };
+  }
+
+  async recentChangesSection(crisis) {
+    const since = toDbTimestamp(moment.utc().subtract(SITUATION_WINDOW_DAYS, 'days'));
+    const history = await DatabaseUtils.getAssessmentHistory(crisis.country, { from: since });
+    const changes = history.filter(row => row.risk_changed);
+
+    return {
+      title: `Last ${SITUATION_WINDOW_DAYS} Days`,
+      paragraphs: [
+        `${history.length} assessments were recorded for ${crisis.country}; the overall risk changed ${changes.length} times.`
+      ],
+      table: {
+        columns: ['Assessed', 'Overall risk', 'Previous', 'Displacement level', 'Estimate'],
+        rows: history.slice(-15).map(row => [
+          formatDate(row.created_at), row.overall_risk, row.previous_risk || '', row.displacement_level || '',
+          formatNumber(row.displacement_estimate)
+        ])
+      }
+    };
+  }
+
+  planSections(planRow) {
+    if (!planRow) {
+      return [{ title: 'Response Plan', paragraphs: ['No response plan has been generated for this crisis yet.'] }];
+    }
+
+    const costs = parseJSON(planRow.cost_breakdown, {});
+    const resources = parseJSON(planRow.resources_needed, {});
+    const plan = parseJSON(planRow.plan_data, {});
+    const staff = resources.staffPlan?.total || plan.staffPlan?.total || {};
+    const sections = [{
+      title: 'Plan Summary',
+      paragraphs: plan.planOverview?.planName ? [plan.planOverview.planName] : [],
+      facts: [
+        ['Plan ID', planRow.id],
+        ['Generated', formatDate(planRow.created_at)],
+        ['Plan type', planRow.plan_type],
+        ['Status', planRow.implementation_status],
+        ['Target population', formatNumber(resources.targetPopulation)],
+        ['Duration', planRow.timeline_weeks ? `${planRow.timeline_weeks} weeks` : 'n/a'],
+        ['Estimated cost', formatCurrency(planRow.estimated_cost)],
+        ['Staff (emergency / stabilization / integration)',
+          `${formatNumber(staff.emergency)} / ${formatNumber(staff.stabilization)} / ${formatNumber(staff.integration)}`],
+        ['Source', planRow.ai_generated ? 'AI generated' : 'Fallback calculation']
+      ]
+    }, this.costSection(costs)];
+
+    if (costs.budgetVariants) {
+      const { low, expected, high } = costs.budgetVariants;
+      sections.push({
+        title: 'Budget Range',
+        paragraphs: ['Budgets scaled by the simulated displacement range.'],
+        table: {
+          columns: ['Variant', 'Target population', 'Total cost', 'Cost per person', 'Staff'],
+          rows: [['Low (P10)', low], ['Expected (P50)', expected], ['High (P90)', high]].map(([label, variant]) => [
+            label, formatNumber(variant.targetPopulation), formatCurrency(variant.totalCost),
+            formatCurrency(variant.costPerPerson), formatNumber(variant.staff)
+          ])
+        }
+      });
+    }
+
+    Object.entries(plan.phases || {}).forEach(([phase, details]) => {
+      sections.push({
+        title: `${titleCase(phase)} Phase${details.duration ? ` (${details.duration})` : ''}`,
+        items: (details.objectives || []).map(objective => `Objective: ${objective}`),
+        table: {
+          columns: ['Category', 'Action', 'Quantity', 'Timeline', 'Priority'],
+          rows: (details.activities || []).map(activity => [
+            activity.category, activity.action, activity.quantity || '', activity.timeline || '', activity.priority || ''
+          ])
+        }
+      });
+    });
+
+    return sections;
+  }
+
+  costSection(costs) {
+    return {
+      title: 'Cost Breakdown',
+      table: {
+        columns: ['Component', 'Amount (USD)'],
+        rows: ['emergency', 'stabilization', 'integration', 'overhead', 'contingency', 'total']
+          .filter(component => costs[component] !== undefined)
+          .map(component => [titleCase(component), formatCurrency(costs[component])])
+      }
+    };
+  }
+
+  keyFiguresSection({ crises, plans }) {
+    const people = crises.reduce((sum, row) => sum + (row.predicted_displacement || 0), 0);
+    const planned = Object.values(plans).filter(Boolean);
+    const funding = planned.reduce((sum, row) => sum + (row.estimated_cost || 0), 0);
+    const facts = [
+      ['Crises covered', crises.length],
+      ['People at risk of displacement', formatNumber(people)],
+      ['Crises with a response plan', `${planned.length} of ${crises.length}`],
+      ['Funding required (latest plans)', formatCurrency(funding)]
+    ];
+
+    const variants = planned.map(row => parseJSON(row.cost_breakdown, {}).budgetVariants).filter(Boolean);
+    if (variants.length === planned.length && variants.length > 0) {
+      const low = variants.reduce((sum, variant) => sum + variant.low.totalCost, 0);
+      const high = variants.reduce((sum, variant) => sum + variant.high.totalCost, 0);
+      facts.push(['Funding range (P10 - P90)', `${formatCurrency(low)} - ${formatCurrency(high)}`]);
+    }
+
+    return { title: 'Key Figures', facts };
+  }
+
+  fundingSections({ crisis, crises, plans }) {
+    if (!crisis) {
+      return [{
+        title: 'Funding Requirements by Crisis',
+        table: {
+          columns: ['Country', 'Risk', 'People at risk', 'Plan', 'Funding required'],
+          rows: crises.map(row => [
+            row.country, row.risk_level, formatNumber(row.predicted_displacement),
+            plans[row.id] ? `#${plans[row.id].id} ${plans[row.id].plan_type}` : 'none',
+            plans[row.id] ? formatCurrency(plans[row.id].estimated_cost) : 'n/a'
+          ])
+        }
+      }];
+    }
+
+    const planRow = plans[crisis.id];
+    if (!planRow) {
+      return [{ title: 'Funding Requirements', paragraphs: ['No response plan has been costed for this crisis yet.'] }];
+    }
+
+    const costs = parseJSON(planRow.cost_breakdown, {});
+    const plan = parseJSON(planRow.plan_data, {});
+    const sections = [this.costSection(costs)];
+
+    if (costs.funding?.recommended) {
+      sections.push({
+        title: 'Recommended Funding Mix',
+        facts: Object.entries(costs.funding.recommended).map(([source, amount]) => [titleCase(source), formatCurrency(amount)]),
+        items: costs.funding.fundingSources || []
+      });
+    }
+
+    const comparison = plan.costAnalysis?.comparison;
+    if (comparison) {
+      sections.push({
+        title: 'Cost of Early Action',
+        paragraphs: [
+          `Acting now is estimated at ${formatCurrency(comparison.preventive)}, against ${formatCurrency(comparison.reactive)} ` +
+          `for a reactive response: a saving of ${formatCurrency(comparison.savings)} (${comparison.savingsPercentage}%).`
+        ]
+      });
+    }
+
+    return sections;
+  }
+
+  /**
+   * Analyst-written sections. Strings are collected under "Additional Notes".
+   * @param {Array<string|Object>} customSections - Strings or { title, content }
+   */
+  buildCustomSections(customSections) {
+    const notes = customSections.filter(section => typeof section === 'string');
+    const sections = customSections
+      .filter(section => typeof section === 'object')
+      .map(section => ({ title: section.title, paragraphs: String(section.content || '').split(/\n{2,}/).filter(Boolean) }));
+
+    if (notes.length > 0) sections.push({ title: 'Additional Notes', items: notes });
+    return sections;
+  }
+}
+
+let reportService = null;
+
+/**
+ * Shared report service instance
+ * @returns {ReportService} Report service
+ */
+function getReportService() {
+  if (!reportService) {
+    reportService = new ReportService();
+  }
+  return reportService;
+}
+
+module.exports = {
+  ReportService,
+  getReportService
+};
@@ -0,0 +1,366 @@
+/**
+ * RefugeeWatch AI - AI Review Service
+ *
+ * Keeps AI analyses out of the record until an analyst has looked at them.
+ * Every analysis enters the review queue with a due time from
+ * AICrisisService.calculateReviewTime. An analyst approves it, amends it
+ * (overriding the risk level or editing recommendations) or rejects it.
+ * Both the model's output and the amended version are kept. Only approved
+ * and amended analyses update the crisis risk level, store a prediction,
+ * raise threshold alerts and reach reports. An analysis must be decided by
+ * someone other than the analyst who ran it, unless that reviewer is an admin.
+ * Analyses run without a signed-in analyst need a coordinator.
+ *
+ * @author RefugeeWatch AI Team
+ * @version 1.0.0
+ */
+
+const moment = require('moment');
+const logger = require('../../utils/logger');
+const { DatabaseUtils } = require('../../config/database');
+const { ConflictError, ForbiddenError, NotFoundError } = require('../../utils/errorHandler');
+const { hasRole } = require('../../utils/authUtils');
+const { parseDbTimestamp, toDbTimestamp } = require('../../utils/analyticsUtils');
+const AICrisisService = require('../ai/aiCrisisService');
+const { getAlertService } = require('./alertService');
+const { getAuthService } = require('./authService');
+
+const REVIEW_STATUSES = ['pending', 'approved', 'amended', 'rejected'];
+const RISK_LEVELS = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'];
+
+// Where each analysis type keeps its risk level and recommendations
+const ANALYSIS_FIELDS = {
+  crisis: { risk: 'aiRiskAssessment', recommendations: 'recommendations' },
+  advanced: { risk: 'riskLevel', recommendations: 'recommendedActions' }
+};
+
+// Advanced analyses carry no early-warning urgency; derive it from the risk level
+const RISK_URGENCY = { CRITICAL: 'immediate', HIGH: 'high', MEDIUM: 'medium' };
+
+const parseJSON = (value, fallback = null) => {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+};
+
+const timestamp = (value) => (value ? parseDbTimestamp(value).toISOString() : null);
+
+/**
+ * Shape an ai_reviews row for API responses
+ * @param {Object} row - ai_reviews row (joined with crises.country and region)
+ * @returns {Object} Review
+ */
+function formatReview(row) {
+  return {
+    id: row.id,
+    crisisId: row.crisis_id,
+    country: row.country || null,
+    region: row.region || null,
+    type: row.analysis_type,
+    status: row.status,
+    aiRiskLevel: row.ai_risk_level,
+    riskLevel: row.risk_level || null,
+    reviewReasons: parseJSON(row.review_reasons, []),
+    dueAt: timestamp(row.review_due_at),
+    overdue: row.status === 'pending' && Boolean(row.review_due_at) && parseDbTimestamp(row.review_due_at) < new Date(),
+    submittedBy: row.submitted_by || null,
+    submitterId: row.submitter_id || null,
+    reviewedBy: row.reviewed_by || null,
+    reviewedAt: timestamp(row.reviewed_at),
+    comments: row.comments || null,
+    predictionId: row.prediction_id || null,
+    aiAnalysis: parseJSON(row.ai_analysis, {}),
+    amendedAnalysis: parseJSON(row.amended_analysis),
+    provenance: parseJSON(row.provenance, {}),
+    prediction: parseJSON(row.prediction),
+    createdAt: timestamp(row.created_at),
+    updatedAt: timestamp(row.updated_at)
+  };
+}
+
+class ReviewService {
+  constructor() {
+    this.wsService = null;
+    this.aiService = new AICrisisService();
+  }
+
+  /**
+   * Attach the WebSocket service used to announce approved analyses
+   * @param {Object} wsService - WebSocketService instance
+   */
+  setWebSocketService(wsService) {
+    this.wsService = wsService;
+  }
+
+  /**
+   * Put an AI analysis in the review queue
+   * @param {Object} submission - { crisis, type, analysis, provenance, prediction, reasons, submittedBy, submitterId }
+   *   where submittedBy is the submitter's email and submitterId their user ID
+   * @returns {Promise<Object>} Created review
+   */
+  async submit({ crisis, type = 'crisis', analysis, provenance = {}, prediction = null, reasons = [], submittedBy = null, submitterId = null }) {
+    // Risk levels the crises table does not accept fall back to the current one
+    const proposed = String(analysis[ANALYSIS_FIELDS[type].risk] || '').toUpperCase();
+    const riskLevel = RISK_LEVELS.includes(proposed) ? proposed : crisis.risk_level;
+    const reviewTime = this.aiService.calculateReviewTime(
+      type === 'advanced' ? { earlyWarning: { urgency: RISK_URGENCY[riskLevel] } } : analysis
+    );
+    const [amount, unit] = reviewTime.split(' ');
+
+    const result = await DatabaseUtils.insertAIReview({
+      crisis_id: crisis.id,
+      analysis_type: type,
+      ai_risk_level: riskLevel,
+      ai_analysis: analysis,
+      provenance,
+      prediction,
+      review_reasons: reasons,
+      review_due_at: toDbTimestamp(moment.utc().add(Number(amount), unit)),
+      submitted_by: submittedBy,
+      submitter_id: submitterId
+    });
+
+    logger.info(`📝 ${type} analysis of ${crisis.country} queued for review #${result.lastID} (due within ${reviewTime})`);
+    return this.getReview(result.lastID);
+  }
+
+  /**
+   * Reviews, see DatabaseUtils.listAIReviews
+   * @param {Object} filters - { status, crisisId, type, regions, limit }
+   * @returns {Promise<Array>} Formatted reviews
+   */
+  async listReviews(filters = {}) {
+    const rows = await DatabaseUtils.listAIReviews(filters);
+    return rows.map(formatReview);
+  }
+
+  async getReview(reviewId) {
+    const row = await DatabaseUtils.getAIReviewById(reviewId);
+    if (!row) {
+      throw new NotFoundError('Review');
+    }
+    return formatReview(row);
+  }
+
+  /**
+   * Approve an analysis as the model returned it
+   * @param {Object} principal - Reviewing analyst
+   * @param {number} reviewId - Review ID
+   * @param {Object} decision - { comments }
+   * @param {Object} context - { ip }
+   * @returns {Promise<Object>} Updated review
+   */
+  async approve(principal, reviewId, { comments } = {}, context = {}) {
+    const review = await this.getPendingReview(reviewId);
+    return this.decide(principal, review, {
+      status: 'approved',
+      riskLevel: review.aiRiskLevel,
+      analysis: review.aiAnalysis,
+      comments
+    }, context);
+  }
+
+  /**
+   * Approve an analysis with the reviewer's changes. The model's output is kept as it was.
+   * @param {Object} principal - Reviewing analyst
+   * @param {number} reviewId - Review ID
+   * @param {Object} amendment - { riskLevel, recommendations, comments }
+   * @param {Object} context - { ip }
+   * @returns {Promise<Object>} Updated review
+   */
+  async amend(principal, reviewId, { riskLevel, recommendations, comments } = {}, context = {}) {
+    const review = await this.getPendingReview(reviewId);
+    const fields = ANALYSIS_FIELDS[review.type];
+    const amendedRisk = riskLevel || review.aiRiskLevel;
+
+    const analysis = {
+      ...review.aiAnalysis,
+      [fields.risk]: amendedRisk,
+      [fields.recommendations]: recommendations
+        ? { ...review.aiAnalysis[fields.recommendations], ...recommendations }
+        : review.aiAnalysis[fields.recommendations],
+      amendments: {
+        riskLevel: riskLevel && riskLevel !== review.aiRiskLevel ? { from: review.aiRiskLevel, to: riskLevel } : null,
+        recommendations: recommendations ? Object.keys(recommendations) : []
+      }
+    };
+
+    return this.decide(principal, review, { status: 'amended', riskLevel: amendedRisk, analysis, comments }, context);
+  }
+
+  /**
+   * Reject an analysis; nothing is stored on the crisis
+   * @param {Object} principal - Reviewing analyst
+   * @param {number} reviewId - Review ID
+   * @param {Object} decision - { comments }
+   * @param {Object} context - { ip }
+   * @returns {Promise<Object>} Updated review
+   */
+  async reject(principal, reviewId, { comments } = {}, context = {}) {
+    const review = await this.getPendingReview(reviewId);
+    return this.decide(principal, review, { status: 'rejected', riskLevel: null, analysis: null, comments }, context);
+  }
+
+  async getPendingReview(reviewId) {
+    const review = await this.getReview(reviewId);
+    if (review.status !== 'pending') {
+      throw new ConflictError(`Review #${reviewId} was already ${review.status}`);
+    }
+    return review;
+  }
+
+  /**
+   * Whether the principal ran the analysis under review. Reviews stored
+   * before submitter IDs were kept are matched on the submitter's email.
+   */
+  isSubmitter(principal, review) {
+    if (review.submitterId && principal.userId) {
+      return review.submitterId === principal.userId;
+    }
+    return Boolean(review.submittedBy && principal.email) &&
+      review.submittedBy.toLowerCase() === principal.email.toLowerCase();
+  }
+
+  /**
+   * Record a decision and, for approvals, store the analysis on the crisis.
+   * The decision is recorded first and only while the review is pending, so
+   * of two reviewers deciding at once only one stores anything. If storing
+   * fails, the review goes back to pending to be decided again.
+   */
+  async decide(principal, review, { status, riskLevel, analysis, comments }, { ip = null } = {}) {
+    if (!review.submitterId && !review.submittedBy) {
+      // Nobody vouches for an anonymous or system run, so an analyst alone cannot approve it
+      if (!hasRole(principal.role, 'coordinator')) {
+        throw new ForbiddenError('Analyses run without a signed-in analyst must be reviewed by a coordinator');
+      }
+    } else if (this.isSubmitter(principal, review) && !hasRole(principal.role, 'admin')) {
+      throw new ForbiddenError('An analysis must be reviewed by someone other than the analyst who ran it');
+    }
+
+    const reviewedBy = principal.email || principal.name || null;
+    const result = await DatabaseUtils.decideAIReview(review.id, {
+      status,
+      risk_level: riskLevel,
+      amended_analysis: status === 'amended' ? analysis : null,
+      reviewed_by: reviewedBy,
+      reviewer_id: principal.userId || null,
+      comments
+    });
+    if (result.changes !== 1) {
+      throw new ConflictError(`Review #${review.id} was decided by someone else`);
+    }
+
+    let propagation = null;
+    if (status !== 'rejected') {
+      try {
+        propagation = await this.propagate({
+          ...review,
+          status,
+          reviewedBy,
+          reviewedAt: new Date().toISOString(),
+          comments: comments || null
+        }, riskLevel, analysis);
+      } catch (error) {
+        logger.error(`Storing the analysis of review #${review.id} failed; it is pending again:`, error);
+        await DatabaseUtils.reopenAIReview(review.id, status);
+        throw error;
+      }
+    }
+
+    await getAuthService().recordAudit(principal, {
+      action: `ai_review.${status === 'approved' ? 'approve' : status === 'amended' ? 'amend' : 'reject'}`,
+      resourceType: 'ai_review',
+      resourceId: String(review.id),
+      details: {
+        crisisId: review.crisisId,
+        aiRiskLevel: review.aiRiskLevel,
+        riskLevel,
+        predictionId: propagation?.predictionId || null,
+        alerts: propagation?.alerts || []
+      }
+    }, { ip });
+
+    logger.info(`📝 Review #${review.id} of ${review.country || review.crisisId} ${status} by ${principal.email || principal.type}`);
+    return this.getReview(review.id);
+  }
+
+  /**
+   * Store an approved analysis: crisis risk level, prediction, threshold alerts
+   * and an ai_analysis WebSocket update
+   * @param {Object} review - Formatted review with the decision (status, reviewedBy, reviewedAt, comments)
+   * @param {string} riskLevel - Approved risk level
+   * @param {Object} analysis - Approved (possibly amended) analysis
+   * @returns {Promise<Object>} { predictionId, alerts: [alert ids] }
+   */
+  async propagate(review, riskLevel, analysis) {
+    const crisis = await DatabaseUtils.getCrisisById(review.crisisId);
+    const confidence = Math.min(1, Math.max(0, Number(analysis.confidence) || 0));
+
+    await DatabaseUtils.updateCrisisRisk(crisis.id, riskLevel, confidence, {
+      ...analysis,
+      provenance: review.provenance,
+      review: {
+        id: review.id,
+        status: review.status,
+        reviewedBy: review.reviewedBy,
+        reviewedAt: review.reviewedAt,
+        comments: review.comments
+      }
+    });
+
+    let predictionId = null;
+    const prediction = review.prediction;
+    if (prediction) {
+      const inserted = await DatabaseUtils.insertPrediction({ ...prediction, crisis_id: crisis.id, confidence_level: confidence });
+      predictionId = inserted.lastID;
+      await DatabaseUtils.setAIReviewPrediction(review.id, predictionId);
+    }
+
+    const alerts = await getAlertService().evaluateAssessment({
+      country: crisis.country,
+      overallRisk: riskLevel,
+      confidence,
+      history: { crisisId: crisis.id, id: review.provenance.assessmentId || null, previousRisk: crisis.risk_level },
+      displacementRisk: {
+        level: riskLevel,
+        estimatedNumbers: prediction ? prediction.displacement_estimate : 0,
+        timeline: analysis.displacementPrediction?.timeframe
+      },
+      riskFactors: analysis.keyFindings || []
+    }, { reviewId: review.id });
+
+    if (this.wsService) {
+      this.wsService.sendAIAnalysisUpdate(crisis.country, {
+        ...analysis,
+        aiRiskAssessment: riskLevel,
+        confidence,
+        recommendations: analysis[ANALYSIS_FIELDS[review.type].recommendations]
+      });
+    }
+
+    return { predictionId, alerts: alerts.map(alert => alert.id) };
+  }
+}
+
+let reviewService = null;
+
+/**
+ * Shared review service instance
+ * @returns {ReviewService} Review service
+ */
+function getReviewService() {
+  if (!reviewService) {
+    reviewService = new ReviewService();
+  }
+  return reviewService;
+}
+
+module.exports = {
+  ReviewService,
+  getReviewService,
+  formatReview,
+  REVIEW_STATUSES
+};
@@ -0,0 +1,200 @@
+/**
+ * RefugeeWatch AI - Scenario Simulation Service
+ *
+ * Runs what-if scenarios against a stored assessment. The stored sources
+ * are re-scored with the active scoring model twice: once as they are (the
+ * baseline) and once with the scenario's modifications applied. Response
+ * costs for both come from the response plan cost tables, and the two
+ * outcomes are saved side by side.
+ *
+ * @author RefugeeWatch AI Team
+ * @version 1.0.0
+ */
+
+const logger = require('../../utils/logger');
+const DataAggregatorService = require('./dataAggregator');
+const ResponsePlanService = require('../ai/responsePlanService');
+const { DatabaseUtils } = require('../../config/database');
+const { getScoringModel } = require('../../config/scoringModel');
+const { parseDbTimestamp } = require('../../utils/analyticsUtils');
+const {
+  inferSimulationType,
+  applySourceModifications,
+  applyDisplacementModifications,
+  summarizeOutcome,
+  compareOutcomes
+} = require('../../utils/simulationUtils');
+
+const parseJSON = (value, fallback = null) => {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+};
+
+class ScenarioService {
+  /**
+   * @param {Object} options - { aggregator, planService }
+   */
+  constructor(options = {}) {
+    this.aggregator = options.aggregator || new DataAggregatorService();
+    this.planService = options.planService || new ResponsePlanService();
+  }
+
+  /**
+   * Find the stored assessment a scenario starts from
+   * @param {string|number} baseDataId - Assessment history ID, or a crisis ID / country for its latest assessment
+   * @returns {Promise<Object|null>} assessment_history row with a parsed `stored` assessment
+   */
+  async findBaseAssessment(baseDataId) {
+    let row = null;
+
+    if (/^\d+$/.test(String(baseDataId))) {
+      row = await DatabaseUtils.getAssessmentById(parseInt(baseDataId));
+    } else {
+      const crisis = await DatabaseUtils.getCrisisById(baseDataId);
+      row = await DatabaseUtils.getLatestAssessment(crisis ? crisis.country : baseDataId);
+    }
+
+    const stored = parseJSON(row?.assessment);
+    if (!stored?.sources) return null;
+
+    return { ...row, stored };
+  }
+
+  /**
+   * Re-score a stored assessment with and without the modifications and save the comparison
+   * @param {Object} base - Result of findBaseAssessment()
+   * @param {Object} request - { modifications (validated), name, description, simulationType }
+   * @returns {Promise<Object>} Saved scenario
+   */
+  async runScenario(base, { modifications, name, description, simulationType }) {
+    const model = getScoringModel();
+    const country = base.country;
+    const type = simulationType || inferSimulationType(modifications);
+
+    const baselineAssessment = this.aggregator.scoreSources(JSON.parse(JSON.stringify(base.stored.sources)), country, model);
+
+    const { sources, applied: sourceChanges } = applySourceModifications(base.stored.sources, modifications, model);
+    const scenarioAssessment = this.aggregator.scoreSources(sources, country, model);
+    const displacementChanges = applyDisplacementModifications(scenarioAssessment, modifications, model);
+
+    const baseline = summarizeOutcome(baselineAssessment, this.estimateResponseCosts(baselineAssessment.displacementRisk.estimatedNumbers));
+    const outcome = summarizeOutcome(scenarioAssessment, this.estimateResponseCosts(scenarioAssessment.displacementRisk.estimatedNumbers));
+    const comparison = {
+      ...compareOutcomes(baseline, outcome),
+      applied: [...sourceChanges, ...displacementChanges]
+    };
+
+    const { lastID } = await DatabaseUtils.insertScenario({
+      name: name || modifications.name || `${country} ${type} scenario`,
+      description,
+      simulation_type: type,
+      country,
+      crisis_id: base.crisis_id,
+      base_assessment_id: base.id,
+      scoring_model_version: model.version,
+      modifications,
+      baseline,
+      outcome,
+      comparison
+    });
+
+    logger.info(`🧪 Scenario #${lastID} (${type}) for ${country}: risk ${baseline.overallRisk} -> ${outcome.overallRisk}, displacement ${baseline.displacement.estimatedNumbers} -> ${outcome.displacement.estimatedNumbers}`);
+
+    return this.getScenario(lastID);
+  }
+
+  /**
+   * Response plan costs and staffing for a displaced population, from the plan cost tables
+   * @param {number} population - People needing assistance
+   * @returns {Object} { targetPopulation, breakdown, staff, costPerPerson }
+   */
+  estimateResponseCosts(population) {
+    const breakdown = this.planService.calculateDetailedCosts(population, {});
+    const staff = this.planService.calculateStaffRequirements(population);
+
+    return {
+      targetPopulation: population,
+      breakdown,
+      staff: {
+        ...staff.total,
+        total: staff.total.emergency + staff.total.stabilization + staff.total.integration
+      },
+      costPerPerson: population > 0 ? Math.round(breakdown.total / population) : 0
+    };
+  }
+
+  /**
+   * @returns {Promise<Object|null>} Scenario with its baseline, outcome and comparison
+   */
+  async getScenario(scenarioId) {
+    const row = await DatabaseUtils.getScenarioById(scenarioId);
+    return row ? this.formatScenario(row) : null;
+  }
+
+  /**
+   * @param {Object} filters - { country, simulationType, baseAssessmentId, regions, limit }
+   * @returns {Promise<Array>} Scenario summaries, newest first
+   */
+  async listScenarios(filters = {}) {
+    const rows = await DatabaseUtils.listScenarios(filters);
+
+    return rows.map(row => {
+      const { comparison, ...scenario } = this.formatScenario(row);
+      return {
+        id: scenario.id,
+        name: scenario.name,
+        simulationType: scenario.simulationType,
+        country: scenario.country,
+        crisisId: scenario.crisisId,
+        baseAssessmentId: scenario.baseAssessmentId,
+        createdAt: scenario.createdAt,
+        overallRisk: comparison.overallRisk,
+        displacementEstimate: comparison.displacement.estimatedNumbers,
+        totalCost: comparison.costs.total
+      };
+    });
+  }
+
+  /**
+   * Shape a scenarios row for API responses
+   */
+  formatScenario(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      description: row.description,
+      simulationType: row.simulation_type,
+      country: row.country,
+      crisisId: row.crisis_id,
+      baseAssessmentId: row.base_assessment_id,
+      scoringModelVersion: row.scoring_model_version,
+      modifications: parseJSON(row.modifications, {}),
+      baseline: parseJSON(row.baseline, {}),
+      outcome: parseJSON(row.outcome, {}),
+      comparison: parseJSON(row.comparison, {}),
+      createdAt: parseDbTimestamp(row.created_at).toISOString()
+    };
+  }
+}
+
+let scenarioService = null;
+
+/**
+ * Shared scenario service instance
+ * @returns {ScenarioService} Scenario service
+ */
+function getScenarioService() {
+  if (!scenarioService) {
+    scenarioService = new ScenarioService();
+  }
+  return scenarioService;
+}
+
+module.exports = {
+  ScenarioService,
+  getScenarioService
+};
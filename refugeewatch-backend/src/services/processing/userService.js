@@ -0,0 +1,335 @@
+/**
+ * RefugeeWatch AI - User and Organization Service
+ *
+ * Manages user profiles and the organizations they belong to. Admins
+ * assign roles, organizations and regions; users can edit their own name,
+ * position, expertise and preferences. A user's regions limit which crises
+ * they see (see regionScope in authUtils). Passwords and credentials stay
+ * with the auth service.
+ *
+ * @author RefugeeWatch AI Team
+ * @version 1.0.0
+ */
+
+const logger = require('../../utils/logger');
+const { DatabaseUtils } = require('../../config/database');
+const { ForbiddenError, ConflictError, NotFoundError } = require('../../utils/errorHandler');
+const { parseDbTimestamp } = require('../../utils/analyticsUtils');
+const { hasRole, regionScope } = require('../../utils/authUtils');
+const { getAuthService, formatUser } = require('./authService');
+const { getNotificationService } = require('./notificationService');
+
+// Fields users may change on their own profile; the rest need an admin
+const SELF_SERVICE_FIELDS = ['name', 'position', 'expertise', 'preferences'];
+const ADMIN_FIELDS = ['email', 'role', 'organizationId', 'organization', 'regions', 'active'];
+
+const timestamp = (value) => (value ? parseDbTimestamp(value).toISOString() : null);
+
+/**
+ * Shape an organizations row for API responses
+ * @param {Object} row - organizations row (with member_count)
+ * @returns {Object} Organization
+ */
+function formatOrganization(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    type: row.type || null,
+    country: row.country || null,
+    website: row.website || null,
+    description: row.description || null,
+    memberCount: row.member_count || 0,
+    createdAt: timestamp(row.created_at),
+    updatedAt: timestamp(row.updated_at)
+  };
+}
+
+class UserService {
+  /**
+   * Organization ID for a request body that names one by ID or by name
+   * @param {Object} data - { organizationId, organization }
+   * @returns {Promise<number|null|undefined>} ID, null to clear, undefined when not given
+   */
+  async resolveOrganizationId({ organizationId, organization }) {
+    if (organizationId === null || organization === null) return null;
+
+    let row = null;
+    if (organizationId !== undefined) {
+      row = await DatabaseUtils.getOrganizationById(organizationId);
+    } else if (organization !== undefined) {
+      row = await DatabaseUtils.getOrganizationByName(organization);
+    } else {
+      return undefined;
+    }
+
+    if (!row) {
+      throw new NotFoundError(`Organization ${organizationId ?? organization}`);
+    }
+    return row.id;
+  }
+
+  /**
+   * Create a user account in an existing organization
+   * @param {Object} principal - Admin creating the account
+   * @param {Object} data - { name, email, password, role, organizationId | organization, position, expertise, regions, preferences }
+   * @param {Object} context - { ip }
+   * @returns {Promise<Object>} Formatted user
+   */
+  async createUser(principal, data, { ip = null } = {}) {
+    const organizationId = await this.resolveOrganizationId(data);
+    const user = await getAuthService().createUser({ ...data, organizationId: organizationId || null });
+
+    await getAuthService().recordAudit(principal, {
+      action: 'user.create',
+      resourceType: 'user',
+      resourceId: String(user.id),
+      details: { email: user.email, role: user.role, organizationId: user.organization?.id || null, regions: user.regions }
+    }, { ip });
+    return user;
+  }
+
+  /**
+   * Users, by name
+   * @param {Object} filters - See DatabaseUtils.listUsers
+   * @returns {Promise<Array>} Formatted users
+   */
+  async listUsers(filters = {}) {
+    const rows = await DatabaseUtils.listUsers(filters);
+    return rows.map(formatUser);
+  }
+
+  async getUser(userId) {
+    const row = await DatabaseUtils.getUserById(userId);
+    if (!row) {
+      throw new NotFoundError('User');
+    }
+    return formatUser(row);
+  }
+
+  /**
+   * Update a user. Users can edit their own profile fields; admins can also
+   * change email, role, organization, regions and whether the account is active.
+   * @param {Object} principal - Caller
+   * @param {number} userId - User to update
+   * @param {Object} data - Fields to change
+   * @param {Object} context - { ip }
+   * @returns {Promise<Object>} Formatted user
+   */
+  async updateUser(principal, userId, data, { ip = null } = {}) {
+    const row = await DatabaseUtils.getUserById(userId);
+    const isAdmin = hasRole(principal.role, 'admin');
+    const isSelf = principal.userId === userId;
+
+    if (!row || (!isAdmin && !isSelf)) {
+      throw new NotFoundError('User');
+    }
+
+    const adminFields = ADMIN_FIELDS.filter(field => data[field] !== undefined);
+    if (!isAdmin && adminFields.length > 0) {
+      throw new ForbiddenError(`Only admins can change ${adminFields.join(', ')}`);
+    }
+    if (isSelf && ((data.role !== undefined && data.role !== row.role) || data.active === false)) {
+      throw new ForbiddenError('Admins cannot change their own role or deactivate themselves');
+    }
+
+    if (data.email !== undefined) {
+      const existing = await DatabaseUtils.getUserByEmail(data.email);
+      if (existing && existing.id !== userId) {
+        throw new ConflictError(`A user with email ${data.email} already exists`);
+      }
+    }
+
+    const fields = {};
+    if (data.name !== undefined) fields.name = data.name;
+    if (data.email !== undefined) fields.email = data.email;
+    if (data.role !== undefined) fields.role = data.role;
+    if (data.position !== undefined) fields.position = data.position;
+    if (data.expertise !== undefined) fields.expertise = JSON.stringify(data.expertise);
+    if (data.regions !== undefined) fields.regions = JSON.stringify(data.regions);
+    if (data.preferences !== undefined) fields.preferences = JSON.stringify(data.preferences);
+    if (data.active !== undefined) fields.active = data.active ? 1 : 0;
+
+    const organizationId = await this.resolveOrganizationId(data);
+    if (organizationId !== undefined) fields.organization_id = organizationId;
+
+    await DatabaseUtils.updateUser(userId, fields);
+    await getAuthService().recordAudit(principal, {
+      action: 'user.update',
+      resourceType: 'user',
+      resourceId: String(userId),
+      details: { fields: [...SELF_SERVICE_FIELDS, ...ADMIN_FIELDS].filter(field => data[field] !== undefined) }
+    }, { ip });
+
+    return this.getUser(userId);
+  }
+
+  /**
+   * Deactivate a user; their sessions and API keys stop working
+   * @param {Object} principal - Admin
+   * @param {number} userId - User to deactivate
+   * @param {Object} context - { ip }
+   * @returns {Promise<Object>} Formatted user
+   */
+  async deactivateUser(principal, userId, { ip = null } = {}) {
+    if (principal.userId === userId) {
+      throw new ForbiddenError('Admins cannot deactivate themselves');
+    }
+    if (!await DatabaseUtils.getUserById(userId)) {
+      throw new NotFoundError('User');
+    }
+
+    await DatabaseUtils.updateUser(userId, { active: 0 });
+    await getAuthService().recordAudit(principal, { action: 'user.deactivate', resourceType: 'user', resourceId: String(userId) }, { ip });
+    logger.info(`👤 Deactivated user ${userId}`);
+    return this.getUser(userId);
+  }
+
+  /**
+   * The caller's own profile, regional scope and notification settings.
+   * Notification subscriptions are matched by the account's email.
+   * @param {Object} principal - Signed-in user or API key
+   * @returns {Promise<Object>} { user, credential, scope, notifications }
+   */
+  async getProfile(principal) {
+    const user = await this.getUser(principal.userId);
+    const subscriptions = await getNotificationService().listSubscribers({ email: user.email });
+
+    return {
+      user,
+      credential: {
+        type: principal.type,
+        role: principal.role,
+        apiKeyId: principal.apiKeyId || null
+      },
+      scope: {
+        regions: user.regions,
+        limited: regionScope(principal) !== null
+      },
+      notifications: {
+        preferences: user.preferences,
+        subscriptions
+      }
+    };
+  }
+
+  /**
+   * Organizations, by name
+   * @param {Object} filters - { type, country, search }
+   * @returns {Promise<Array>} Formatted organizations
+   */
+  async listOrganizations(filters = {}) {
+    const rows = await DatabaseUtils.listOrganizations(filters);
+    return rows.map(formatOrganization);
+  }
+
+  async getOrganization(organizationId) {
+    const row = await DatabaseUtils.getOrganizationById(organizationId);
+    if (!row) {
+      throw new NotFoundError('Organization');
+    }
+    return formatOrganization(row);
+  }
+
+  /**
+   * Register an organization
+   * @param {Object} principal - Admin
+   * @param {Object} data - { name, type, country, website, description }
+   * @param {Object} context - { ip }
+   * @returns {Promise<Object>} Formatted organization
+   */
+  async createOrganization(principal, data, { ip = null } = {}) {
+    if (await DatabaseUtils.getOrganizationByName(data.name)) {
+      throw new ConflictError(`An organization named ${data.name} already exists`);
+    }
+
+    const result = await DatabaseUtils.insertOrganization(data);
+    await getAuthService().recordAudit(principal, {
+      action: 'organization.create',
+      resourceType: 'organization',
+      resourceId: String(result.lastID),
+      details: { name: data.name, type: data.type || null }
+    }, { ip });
+
+    logger.info(`🏢 Registered organization ${data.name}`);
+    return this.getOrganization(result.lastID);
+  }
+
+  /**
+   * Update an organization
+   * @param {Object} principal - Admin
+   * @param {number} organizationId - Organization ID
+   * @param {Object} data - Fields to change
+   * @param {Object} context - { ip }
+   * @returns {Promise<Object>} Formatted organization
+   */
+  async updateOrganization(principal, organizationId, data, { ip = null } = {}) {
+    await this.getOrganization(organizationId);
+
+    if (data.name !== undefined) {
+      const existing = await DatabaseUtils.getOrganizationByName(data.name);
+      if (existing && existing.id !== organizationId) {
+        throw new ConflictError(`An organization named ${data.name} already exists`);
+      }
+    }
+
+    const fields = {};
+    ['name', 'type', 'country', 'website', 'description'].forEach(field => {
+      if (data[field] !== undefined) fields[field] = data[field];
+    });
+
+    await DatabaseUtils.updateOrganization(organizationId, fields);
+    await getAuthService().recordAudit(principal, {
+      action: 'organization.update',
+      resourceType: 'organization',
+      resourceId: String(organizationId),
+      details: { fields: Object.keys(fields) }
+    }, { ip });
+
+    return this.getOrganization(organizationId);
+  }
+
+  /**
+   * Delete an organization that no user belongs to
+   * @param {Object} principal - Admin
+   * @param {number} organizationId - Organization ID
+   * @param {Object} context - { ip }
+   * @returns {Promise<Object>} The deleted organization
+   */
+  async deleteOrganization(principal, organizationId, { ip = null } = {}) {
+    const organization = await this.getOrganization(organizationId);
+
+    const members = await DatabaseUtils.listUsers({ organizationId, limit: 1 });
+    if (members.length > 0) {
+      throw new ConflictError(`${organization.name} still has users; move or remove them first`);
+    }
+
+    await DatabaseUtils.deleteOrganization(organizationId);
+    await getAuthService().recordAudit(principal, {
+      action: 'organization.delete',
+      resourceType: 'organization',
+      resourceId: String(organizationId),
+      details: { name: organization.name }
+    }, { ip });
+
+    return organization;
+  }
+}
+
+let userService = null;
+
+/**
+ * Shared user service instance
+ * @returns {UserService} User service
+ */
+function getUserService() {
+  if (!userService) {
+    userService = new UserService();
+  }
+  return userService;
+}
+
+module.exports = {
+  UserService,
+  getUserService,
+  formatOrganization
+};
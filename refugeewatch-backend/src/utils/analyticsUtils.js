@@ -0,0 +1,238 @@
+/**
+ * RefugeeWatch AI - Analytics Utilities
+ *
+ * Turns stored assessment history into time series for charting and
+ * summarizes how back-tested predictions compared with observed displacement
+ *
+ * @author RefugeeWatch AI Team
+ * @version 1.0.0
+ */
+
+const moment = require('moment');
+
+const RISK_SCORES = {
+  CRITICAL: 100,
+  HIGH: 75,
+  MEDIUM: 50,
+  LOW: 25,
+  MINIMAL: 0
+};
+
+const TIME_SERIES_INTERVALS = ['raw', 'hour', 'day', 'week', 'month'];
+
+const SOURCES = ['conflict', 'economic', 'climate', 'news'];
+
+/**
+ * Average of the numeric values in a list
+ * @param {Array} values - Values (non-numbers are ignored)
+ * @returns {number|null} Average rounded to 2 decimals, or null
+ */
+const average = (values) => {
+  const numbers = values.filter(value => typeof value === 'number' && !isNaN(value));
+  if (numbers.length === 0) return null;
+  return Math.round((numbers.reduce((sum, value) => sum + value, 0) / numbers.length) * 100) / 100;
+};
+
+/**
+ * Last non-empty value in a list
+ */
+const last = (values) => [...values].reverse().find(value => value !== null && value !== undefined) ?? null;
+
+/**
+ * Parse a SQLite CURRENT_TIMESTAMP value (UTC)
+ * @param {string} value - 'YYYY-MM-DD HH:mm:ss'
+ * @returns {moment.Moment} UTC moment
+ */
+const parseDbTimestamp = (value) => moment.utc(value, 'YYYY-MM-DD HH:mm:ss');
+
+/**
+ * Format a date for comparison with SQLite timestamps
+ * @param {string|Date} date - Any date moment can parse
+ * @returns {string} 'YYYY-MM-DD HH:mm:ss' in UTC
+ */
+const toDbTimestamp = (date) => moment.utc(date).format('YYYY-MM-DD HH:mm:ss');
+
+/**
+ * Convert a timeframe such as "2-6 months" or "weeks" into days
+ * @param {string|number} timeframe - Timeframe reported by the analysis
+ * @returns {number} Upper bound of the timeframe in days
+ */
+const timeframeToDays = (timeframe) => {
+  if (typeof timeframe === 'number') return Math.round(timeframe);
+  const text = String(timeframe || '').toLowerCase();
+  const numbers = (text.match(/\d+/g) || []).map(Number);
+  const amount = numbers.length > 0 ? Math.max(...numbers) : 1;
+
+  if (text.includes('immediate')) return 7;
+  if (text.includes('day')) return amount;
+  if (text.includes('week')) return amount * 7;
+  if (text.includes('year')) return amount * 365;
+  return amount * 30;
+};
+
+/**
+ * Start of the bucket a timestamp falls into
+ * @param {moment.Moment} time - UTC time
+ * @param {string} interval - hour | day | week | month
+ * @returns {moment.Moment} Bucket start
+ */
+const bucketStart = (time, interval) => time.clone().startOf(interval === 'week' ? 'isoWeek' : interval);
+
+/**
+ * Collapse assessment history rows into one chart point
+ * @param {Array} rows - assessment_history rows, oldest first
+ * @param {moment.Moment} timestamp - Point timestamp
+ * @returns {Object} Time series point
+ */
+function buildPoint(rows, timestamp) {
+  const known = rows.filter(row => RISK_SCORES[row.overall_risk] !== undefined);
+  const peak = known.reduce((max, row) => (
+    !max || RISK_SCORES[row.overall_risk] > RISK_SCORES[max] ? row.overall_risk : max
+  ), null);
+
+  const sources = {};
+  SOURCES.forEach(source => {
+    sources[source] = {
+      riskLevel: last(rows.map(row => row[`${source}_risk`])),
+      score: average(rows.map(row => row[`${source}_score`]))
+    };
+  });
+
+  const estimate = average(rows.map(row => row.displacement_estimate));
+
+  return {
+    timestamp: timestamp.toISOString(),
+    assessments: rows.length,
+    overallRisk: known.length > 0 ? known[known.length - 1].overall_risk : 'UNKNOWN',
+    peakRisk: peak || 'UNKNOWN',
+    riskScore: average(known.map(row => RISK_SCORES[row.overall_risk])),
+    confidence: average(rows.map(row => row.confidence)),
+    dataQuality: last(rows.map(row => row.data_quality)),
+    sources,
+    displacement: {
+      level: last(rows.map(row => row.displacement_level)),
+      estimate: estimate === null ? null : Math.round(estimate),
+      confidence: average(rows.map(row => row.displacement_confidence)),
+      timeline: last(rows.map(row => row.displacement_timeline))
+    },
+    riskChanged: rows.some(row => Boolean(row.risk_changed))
+  };
+}
+
+/**
+ * Build a risk time series from assessment history rows
+ * @param {Array} rows - assessment_history rows, oldest first
+ * @param {string} interval - raw | hour | day | week | month
+ * @returns {Array} Points, oldest first
+ */
+function buildRiskTimeSeries(rows, interval = 'day') {
+  if (interval === 'raw') {
+    return rows.map(row => buildPoint([row], parseDbTimestamp(row.created_at)));
+  }
+
+  const buckets = new Map();
+  rows.forEach(row => {
+    const start = bucketStart(parseDbTimestamp(row.created_at), interval);
+    const key = start.valueOf();
+    if (!buckets.has(key)) buckets.set(key, { start, rows: [] });
+    buckets.get(key).rows.push(row);
+  });
+
+  return [...buckets.values()].map(bucket => buildPoint(bucket.rows, bucket.start));
+}
+
+/**
+ * Score a displacement estimate against what was observed.
+ * 1 is a perfect estimate; the score falls to 0 as the estimate and the
+ * observation diverge by a factor of two or more in either direction.
+ * @param {number} predicted - Predicted displacement
+ * @param {number} observed - Observed displacement
+ * @returns {Object} { absoluteError, percentageError, accuracyScore }
+ */
+function scoreDisplacementPrediction(predicted, observed) {
+  const absoluteError = Math.abs(predicted - observed);
+  const larger = Math.max(predicted, observed);
+
+  return {
+    absoluteError,
+    // Undefined when nothing was observed
+    percentageError: observed > 0 ? Math.round((absoluteError / observed) * 10000) / 100 : null,
+    accuracyScore: larger === 0 ? 1 : Math.round((1 - absoluteError / larger) * 1000) / 1000
+  };
+}
+
+/**
+ * Median of the numeric values in a list
+ */
+const median = (values) => {
+  const numbers = values.filter(value => typeof value === 'number' && !isNaN(value)).sort((a, b) => a - b);
+  if (numbers.length === 0) return null;
+  const middle = Math.floor(numbers.length / 2);
+  return numbers.length % 2 ? numbers[middle] : (numbers[middle - 1] + numbers[middle]) / 2;
+};
+
+/**
+ * Error metrics for a set of prediction evaluations
+ * @param {Array} evaluations - prediction_evaluations rows
+ * @returns {Object} Displacement and timeline accuracy metrics
+ */
+function summarizeAccuracy(evaluations) {
+  const signedErrors = evaluations.map(e => e.predicted_displacement - e.observed_displacement);
+  const timed = evaluations.filter(e => e.predicted_timeline_days !== null && e.predicted_timeline_days !== undefined);
+  const reached = timed.filter(e => e.observed_timeline_days !== null && e.observed_timeline_days !== undefined);
+  const meanAbsoluteError = average(evaluations.map(e => e.absolute_error));
+
+  return {
+    evaluated: evaluations.length,
+    displacement: {
+      meanAccuracyScore: average(evaluations.map(e => e.accuracy_score)),
+      meanAbsoluteError: meanAbsoluteError === null ? null : Math.round(meanAbsoluteError),
+      meanAbsolutePercentageError: average(evaluations.map(e => e.percentage_error)),
+      medianAbsolutePercentageError: median(evaluations.map(e => e.percentage_error)),
+      // Positive when forecasts overestimate displacement
+      meanBias: signedErrors.length > 0 ? Math.round(average(signedErrors)) : null,
+      overestimated: signedErrors.filter(error => error > 0).length,
+      underestimated: signedErrors.filter(error => error < 0).length
+    },
+    timeline: {
+      evaluated: timed.length,
+      reachedEstimate: reached.length,
+      withinPredictedTimeline: reached.filter(e => e.observed_timeline_days <= e.predicted_timeline_days).length,
+      hitRate: timed.length > 0
+        ? Math.round((reached.filter(e => e.observed_timeline_days <= e.predicted_timeline_days).length / timed.length) * 100) / 100
+        : null,
+      meanAbsoluteErrorDays: average(reached.map(e => Math.abs(e.observed_timeline_days - e.predicted_timeline_days)))
+    }
+  };
+}
+
+/**
+ * Accuracy metrics grouped by a column
+ * @param {Array} evaluations - prediction_evaluations rows
+ * @param {string} column - Column to group by (e.g. country, model_version)
+ * @returns {Object} Metrics keyed by column value
+ */
+function summarizeAccuracyBy(evaluations, column) {
+  const groups = {};
+  evaluations.forEach(evaluation => {
+    const key = evaluation[column] || 'unknown';
+    if (!groups[key]) groups[key] = [];
+    groups[key].push(evaluation);
+  });
+
+  return Object.fromEntries(
+    Object.entries(groups).map(([key, rows]) => [key, summarizeAccuracy(rows)])
+  );
+}
+
+module.exports = {
+  RISK_SCORES,
+  TIME_SERIES_INTERVALS,
+  parseDbTimestamp,
+  toDbTimestamp,
+  timeframeToDays,
+  buildRiskTimeSeries,
+  scoreDisplacementPrediction,
+  summarizeAccuracy,
+  summarizeAccuracyBy
+};
@@ -0,0 +1,200 @@
+/**
+ * RefugeeWatch AI - Authentication Utilities
+ *
+ * Password hashing (scrypt), signed session tokens (HMAC-SHA256), API key
+ * generation, the role hierarchy used to authorize REST routes and
+ * WebSocket topics, and the regional assignments that limit which crises a
+ * user sees. Session and key lookups are done by the auth service.
+ *
+ * @author RefugeeWatch AI Team
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+
+// Lowest to highest; each role can do everything the roles before it can
+const ROLES = ['viewer', 'analyst', 'coordinator', 'admin'];
+
+// Prefix of every API key, followed by the public key ID and the secret
+const API_KEY_PREFIX = 'rwk';
+
+const SCRYPT_KEYLEN = 64;
+
+const base64url = (buffer) => Buffer.from(buffer).toString('base64url');
+
+/**
+ * Whether a role is at least the required role
+ * @param {string} role - Role held
+ * @param {string} required - Minimum role
+ * @returns {boolean} True when the role is high enough
+ */
+function hasRole(role, required) {
+  const held = ROLES.indexOf(role);
+  return held !== -1 && held >= ROLES.indexOf(required);
+}
+
+/**
+ * Hash a password for storage
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} 'scrypt$<salt>$<hash>'
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, SCRYPT_KEYLEN, (error, derived) => {
+      if (error) reject(error);
+      else resolve(`scrypt$${base64url(salt)}$${base64url(derived)}`);
+    });
+  });
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password - Plain-text password
+ * @param {string} stored - Output of hashPassword
+ * @returns {Promise<boolean>} True when the password matches
+ */
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return Promise.resolve(false);
+  }
+
+  const expected = Buffer.from(hash, 'base64url');
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, Buffer.from(salt, 'base64url'), expected.length, (error, derived) => {
+      if (error) reject(error);
+      else resolve(crypto.timingSafeEqual(derived, expected));
+    });
+  });
+}
+
+/**
+ * Sign a session token
+ * @param {Object} payload - Claims; exp is seconds since the epoch
+ * @param {string} secret - Signing secret
+ * @returns {string} '<payload>.<signature>', both base64url
+ */
+function signToken(payload, secret) {
+  const body = base64url(JSON.stringify(payload));
+  const signature = crypto.createHmac('sha256', secret).update(body).digest('base64url');
+  return `${body}.${signature}`;
+}
+
+/**
+ * Verify a session token's signature and expiry
+ * @param {string} token - Output of signToken
+ * @param {string} secret - Signing secret
+ * @returns {Object|null} Claims, or null when the token is invalid or expired
+ */
+function verifyToken(token, secret) {
+  const [body, signature, extra] = String(token || '').split('.');
+  if (!body || !signature || extra !== undefined) return null;
+
+  const expected = crypto.createHmac('sha256', secret).update(body).digest();
+  const given = Buffer.from(signature, 'base64url');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+
+  if (!payload || typeof payload.exp !== 'number' || payload.exp * 1000 <= Date.now()) {
+    return null;
+  }
+  return payload;
+}
+
+/**
+ * Create a new API key. Only its hash is stored; the key itself is shown once.
+ * @returns {Object} { key, keyId, hash }
+ */
+function generateApiKey() {
+  const keyId = crypto.randomBytes(6).toString('hex');
+  const key = `${API_KEY_PREFIX}_${keyId}_${crypto.randomBytes(24).toString('base64url')}`;
+  return { key, keyId, hash: hashApiKey(key) };
+}
+
+/**
+ * Hash an API key for lookup
+ * @param {string} key - Full API key
+ * @returns {string} Hex SHA-256
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * Regions and countries a principal is limited to, lower-cased. Admins,
+ * anonymous callers and users without assignments are not limited.
+ * @param {Object|null} principal - Caller
+ * @returns {Array<string>|null} Assigned regions, or null for no limit
+ */
+function regionScope(principal) {
+  if (!principal || hasRole(principal.role, 'admin')) return null;
+
+  const regions = (principal.regions || [])
+    .filter(region => typeof region === 'string' && region.trim())
+    .map(region => region.trim().toLowerCase());
+  return regions.length > 0 ? regions : null;
+}
+
+/**
+ * Whether a crisis (or alert, or update about one) is within a principal's
+ * regional assignments. It matches when its country, region or subregion is
+ * one of the assigned names; data without any of them (global metrics) is
+ * always in scope.
+ * @param {Object|null} principal - Caller
+ * @param {Object} place - { country, region, subregion }
+ * @returns {boolean} True when the principal may see it
+ */
+function isInRegionScope(principal, { country, region, subregion } = {}) {
+  const regions = regionScope(principal);
+  if (!regions) return true;
+
+  const names = [country, region, subregion].filter(Boolean).map(name => String(name).toLowerCase());
+  return names.length === 0 || names.some(name => regions.includes(name));
+}
+
+/**
+ * Read credentials from request headers or a WebSocket URL. Session tokens
+ * come as 'Authorization: Bearer <token>' or ?token=; API keys as
+ * 'X-API-Key: <key>', 'Authorization: ApiKey <key>' or ?apiKey=.
+ * @param {Object} headers - Request headers
+ * @param {URLSearchParams} [query] - Query parameters (WebSocket upgrades)
+ * @returns {Object} { token, apiKey } - Either may be null
+ */
+function extractCredentials(headers = {}, query = null) {
+  const authorization = String(headers.authorization || '');
+  const [scheme, value] = authorization.split(/\s+/, 2);
+
+  let token = scheme?.toLowerCase() === 'bearer' ? value : null;
+  let apiKey = headers['x-api-key'] || (scheme?.toLowerCase() === 'apikey' ? value : null);
+
+  if (query) {
+    token = token || query.get('token');
+    apiKey = apiKey || query.get('apiKey');
+  }
+
+  return { token: token || null, apiKey: apiKey || null };
+}
+
+module.exports = {
+  ROLES,
+  API_KEY_PREFIX,
+  hasRole,
+  hashPassword,
+  verifyPassword,
+  signToken,
+  verifyToken,
+  generateApiKey,
+  hashApiKey,
+  regionScope,
+  isInRegionScope,
+  extractCredentials
+};
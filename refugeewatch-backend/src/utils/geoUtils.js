@@ -0,0 +1,58 @@
+/**
+ * RefugeeWatch AI - Geographic Utilities
+ *
+ * Distance and direction between [lat, lng] coordinates
+ *
+ * @author RefugeeWatch AI Team
+ * @version 1.0.0
+ */
+
+const EARTH_RADIUS_KM = 6371;
+const COMPASS_POINTS = ['north', 'north-east', 'east', 'south-east', 'south', 'south-west', 'west', 'north-west'];
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+const isCoordinate = (value) => Array.isArray(value) && value.length === 2 &&
+  value.every(part => typeof part === 'number' && !isNaN(part));
+
+/**
+ * Great-circle distance between two points
+ * @param {Array<number>} from - [lat, lng]
+ * @param {Array<number>} to - [lat, lng]
+ * @returns {number|null} Distance in km, or null when either point is missing
+ */
+function calculateDistanceKm(from, to) {
+  if (!isCoordinate(from) || !isCoordinate(to)) return null;
+
+  const [lat1, lon1] = from;
+  const [lat2, lon2] = to;
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+
+  return Math.round(EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a)));
+}
+
+/**
+ * Compass direction of travel from one point to another
+ * @param {Array<number>} from - [lat, lng]
+ * @param {Array<number>} to - [lat, lng]
+ * @returns {string|null} e.g. "north-west", or null when either point is missing
+ */
+function describeDirection(from, to) {
+  if (!isCoordinate(from) || !isCoordinate(to)) return null;
+
+  const [lat1, lon1] = from.map(toRadians);
+  const [lat2, lon2] = to.map(toRadians);
+  const y = Math.sin(lon2 - lon1) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(lon2 - lon1);
+  const bearing = (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+
+  return COMPASS_POINTS[Math.round(bearing / 45) % 8];
+}
+
+module.exports = {
+  calculateDistanceKm,
+  describeDirection
+};
@@ -8,7 +8,7 @@
  */
 
 const { format: _format, createLogger, transports: _transports } = require('winston');
-const { bold, blue, gray, cyan, magenta, green, purple, orange, bgRed, bgYellow, bgBlue, bgGreen, yellow, white } = require('chalk');
+const { bold, blue, gray, cyan, magenta, green, magentaBright, yellowBright, bgRed, bgYellow, bgBlue, bgGreen, yellow, white } = require('chalk');
 const { join } = require('path');
 
 // Color scheme for different log levels and contexts
@@ -24,8 +24,8 @@ const colors = {
   api: cyan,
   database: magenta,
   service: green,
-  ai: purple,
-  external: orange,
+  ai: magentaBright,
+  external: yellowBright,
   
   // Status colors
   critical: bgRed.white,
@@ -213,6 +213,11 @@ const enhancedLogger = {
     });
   },
 
+  // Short alias used by the conflict and economic data services
+  external: (apiName, endpoint, success, duration, meta = {}) => {
+    enhancedLogger.externalAPI(apiName, endpoint, success, duration, meta);
+  },
+
   databaseOperation: (operation, table, success, duration, meta = {}) => {
     const message = `Database ${operation}: ${table}`;
     const level = success ? 'info' : 'error';
@@ -241,6 +246,15 @@ const enhancedLogger = {
     });
   },
 
+  // Event-style AI logging used by the AI services
+  ai: (event, meta = {}, level = 'info') => {
+    enhancedLogger[level](`AI Event: ${event}`, {
+      aiOperation: event,
+      category: 'AI',
+      ...meta
+    });
+  },
+
   crisisAnalysis: (country, riskLevel, confidence, meta = {}) => {
     const message = `Crisis Analysis: ${country}`;
     const level = riskLevel === 'CRITICAL' ? 'warn' : 'info';
@@ -0,0 +1,312 @@
+/**
+ * RefugeeWatch AI - Notification Utilities
+ *
+ * Matches alerts against subscriber notification preferences (channels,
+ * severity levels, crisis types, regions, frequency, quiet hours), works
+ * out quiet-hour and digest timing, and builds the alert, digest and test
+ * messages sent to subscribers. Delivery itself is done by the
+ * notification service and its transports.
+ *
+ * @author RefugeeWatch AI Team
+ * @version 1.0.0
+ */
+
+const NOTIFICATION_CHANNELS = ['email', 'sms', 'push', 'webhook'];
+
+const NOTIFICATION_FREQUENCIES = ['immediate', 'hourly', 'daily', 'weekly'];
+
+const SEVERITY_LEVELS = ['LOW', 'MODERATE', 'HIGH', 'CRITICAL'];
+
+// Minutes between digests for non-immediate frequencies
+const DIGEST_PERIOD_MINUTES = {
+  hourly: 60,
+  daily: 24 * 60,
+  weekly: 7 * 24 * 60
+};
+
+// alerts.alert_level mapped onto the severity levels subscribers choose from
+const ALERT_LEVEL_SEVERITY = {
+  INFO: 'LOW',
+  MEDIUM: 'MODERATE',
+  HIGH: 'HIGH',
+  CRITICAL: 'CRITICAL'
+};
+
+// Subscriber field each channel delivers to
+const CHANNEL_CONTACT = {
+  email: 'email',
+  sms: 'phone',
+  push: 'pushToken',
+  webhook: 'webhookUrl'
+};
+
+const DEFAULT_TIMEZONE = process.env.NOTIFICATION_TIMEZONE || 'UTC';
+
+const normalizeList = (values, transform = value => value) => (
+  Array.isArray(values) ? [...new Set(values.map(value => transform(String(value).trim())).filter(Boolean))] : []
+);
+
+/**
+ * Normalize preferences as validated by notificationPreferencesValidation
+ * @param {Object} body - { channels, severityLevels, crisisTypes, regions, frequency, quietHours }
+ * @returns {Object} Preferences with defaults filled in
+ */
+function normalizePreferences(body = {}) {
+  const quietHours = body.quietHours || {};
+
+  return {
+    channels: normalizeList(body.channels),
+    severityLevels: normalizeList(body.severityLevels, value => value.toUpperCase()),
+    crisisTypes: normalizeList(body.crisisTypes),
+    regions: normalizeList(body.regions),
+    frequency: body.frequency || 'immediate',
+    quietHours: {
+      enabled: quietHours.enabled !== undefined ? Boolean(quietHours.enabled) : Boolean(quietHours.start && quietHours.end),
+      start: quietHours.start || null,
+      end: quietHours.end || null,
+      timezone: quietHours.timezone || DEFAULT_TIMEZONE
+    }
+  };
+}
+
+/**
+ * Channels a subscriber chose without the contact detail they deliver to
+ * @param {Array<string>} channels - Subscribed channels
+ * @param {Object} contact - { email, phone, pushToken, webhookUrl }
+ * @returns {Array<string>} e.g. ['sms (phone)']
+ */
+function missingContacts(channels, contact) {
+  return channels
+    .filter(channel => !contact[CHANNEL_CONTACT[channel]])
+    .map(channel => `${channel} (${CHANNEL_CONTACT[channel]})`);
+}
+
+/**
+ * Check an IANA timezone name
+ * @param {string} timezone - e.g. 'Africa/Nairobi'
+ * @returns {boolean} True when the runtime knows the timezone
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Whether an alert should reach a subscriber. Empty crisis type and region
+ * lists match everything. Crisis types are compared with the crisis type and
+ * the crisis causes; regions with the crisis region and country.
+ * @param {Object} alert - Formatted alert
+ * @param {Object|null} crisis - crises row for the alert
+ * @param {Object} preferences - Normalized preferences
+ * @returns {boolean} True when the alert matches
+ */
+function matchesPreferences(alert, crisis, preferences) {
+  const severity = ALERT_LEVEL_SEVERITY[alert.level] || 'LOW';
+  if (!preferences.severityLevels.includes(severity)) {
+    return false;
+  }
+
+  if (preferences.crisisTypes.length > 0) {
+    const types = [crisis?.crisis_type, ...Object.keys(parseCauses(crisis?.causes))]
+      .filter(Boolean)
+      .map(type => type.toLowerCase());
+    if (!preferences.crisisTypes.some(type => types.includes(type.toLowerCase()))) {
+      return false;
+    }
+  }
+
+  if (preferences.regions.length > 0) {
+    const places = [crisis?.region, crisis?.country, alert.country]
+      .filter(Boolean)
+      .map(place => place.toLowerCase());
+    if (!preferences.regions.some(region => places.includes(region.toLowerCase()))) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+function parseCauses(causes) {
+  if (!causes) return {};
+  try {
+    const parsed = JSON.parse(causes);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Minutes since local midnight in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {number} 0-1439
+ */
+function localMinutes(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const value = (type) => parseInt(parts.find(part => part.type === type).value);
+  return value('hour') * 60 + value('minute');
+}
+
+/**
+ * Whether an instant falls inside a subscriber's quiet hours. Windows may
+ * cross midnight (22:00-06:00); a window whose start equals its end is empty.
+ * @param {Object} quietHours - { enabled, start, end, timezone }
+ * @param {Date} date - Instant to check
+ * @returns {boolean} True during quiet hours
+ */
+function isQuietTime(quietHours, date = new Date()) {
+  if (!quietHours?.enabled || !quietHours.start || !quietHours.end) {
+    return false;
+  }
+
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  if (start === end) return false;
+
+  const now = localMinutes(date, quietHours.timezone || DEFAULT_TIMEZONE);
+  return start < end ? now >= start && now < end : now >= start || now < end;
+}
+
+/**
+ * When the quiet hours around an instant end
+ * @param {Object} quietHours - { enabled, start, end, timezone }
+ * @param {Date} date - Instant inside the quiet hours
+ * @returns {Date} First minute after the quiet hours
+ */
+function quietHoursEnd(quietHours, date = new Date()) {
+  const now = localMinutes(date, quietHours.timezone || DEFAULT_TIMEZONE);
+  const minutesLeft = (toMinutes(quietHours.end) - now + 24 * 60) % (24 * 60);
+  const end = new Date(date.getTime() + minutesLeft * 60000);
+  end.setUTCSeconds(0, 0);
+  return end;
+}
+
+/**
+ * Whether a subscriber's next digest is due
+ * @param {string} frequency - hourly | daily | weekly
+ * @param {Date} since - Last digest (or subscription) time
+ * @param {Date} now - Current time
+ * @returns {boolean} True once a full period has passed
+ */
+function isDigestDue(frequency, since, now = new Date()) {
+  const period = DIGEST_PERIOD_MINUTES[frequency];
+  if (!period) return false;
+  return !since || now.getTime() - since.getTime() >= period * 60000;
+}
+
+const alertPlace = (alert) => alert.country || alert.crisisId;
+
+const alertPayload = (alert) => ({
+  id: alert.id,
+  crisisId: alert.crisisId,
+  country: alert.country,
+  level: alert.level,
+  severity: ALERT_LEVEL_SEVERITY[alert.level] || 'LOW',
+  type: alert.type,
+  title: alert.title,
+  message: alert.message,
+  createdAt: alert.createdAt
+});
+
+/**
+ * Message for a single alert
+ * @param {Object} alert - Formatted alert
+ * @returns {Object} { subject, text, payload }
+ */
+function buildAlertMessage(alert) {
+  const lines = [
+    `${alert.level} alert for ${alertPlace(alert)}`,
+    '',
+    alert.title,
+    alert.message
+  ];
+
+  const actions = alert.details?.recommendedActions || [];
+  if (actions.length > 0) {
+    lines.push('', 'Recommended actions:', ...actions.map(action => `- ${action}`));
+  }
+  lines.push('', `Alert #${alert.id} raised ${alert.createdAt} UTC`);
+
+  return {
+    subject: `[RefugeeWatch ${alert.level}] ${alert.title}`,
+    text: lines.join('\n'),
+    payload: { event: 'alert', alert: alertPayload(alert) }
+  };
+}
+
+/**
+ * Message batching the alerts raised since a subscriber's last digest
+ * @param {Array} alerts - Formatted alerts, oldest first
+ * @param {string} frequency - hourly | daily | weekly
+ * @returns {Object} { subject, text, payload }
+ */
+function buildDigestMessage(alerts, frequency) {
+  const counts = alerts.reduce((acc, alert) => {
+    acc[alert.level] = (acc[alert.level] || 0) + 1;
+    return acc;
+  }, {});
+  const countText = ['CRITICAL', 'HIGH', 'MEDIUM', 'INFO']
+    .filter(level => counts[level])
+    .map(level => `${counts[level]} ${level}`)
+    .join(', ');
+
+  const lines = [
+    `${alerts.length} alert${alerts.length === 1 ? '' : 's'} since your last ${frequency} digest (${countText})`,
+    '',
+    ...alerts.map(alert => `- [${alert.level}] ${alertPlace(alert)}: ${alert.title} (#${alert.id}, ${alert.createdAt} UTC)`)
+  ];
+
+  return {
+    subject: `[RefugeeWatch] ${frequency.charAt(0).toUpperCase()}${frequency.slice(1)} digest: ${alerts.length} alert${alerts.length === 1 ? '' : 's'}`,
+    text: lines.join('\n'),
+    payload: { event: 'digest', frequency, counts, alerts: alerts.map(alertPayload) }
+  };
+}
+
+/**
+ * Message confirming a subscriber's channel works
+ * @param {Object} subscriber - Formatted subscriber
+ * @returns {Object} { subject, text, payload }
+ */
+function buildTestMessage(subscriber) {
+  return {
+    subject: '[RefugeeWatch] Test notification',
+    text: `This is a test notification for ${subscriber.name}. Alerts matching your preferences will arrive ${subscriber.preferences.frequency === 'immediate' ? 'as they are raised' : `in a ${subscriber.preferences.frequency} digest`}.`,
+    payload: { event: 'test', subscriberId: subscriber.id }
+  };
+}
+
+module.exports = {
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_FREQUENCIES,
+  SEVERITY_LEVELS,
+  DIGEST_PERIOD_MINUTES,
+  ALERT_LEVEL_SEVERITY,
+  CHANNEL_CONTACT,
+  normalizePreferences,
+  missingContacts,
+  isValidTimezone,
+  matchesPreferences,
+  isQuietTime,
+  quietHoursEnd,
+  isDigestDue,
+  buildAlertMessage,
+  buildDigestMessage,
+  buildTestMessage
+};
@@ -0,0 +1,371 @@
+/**
+ * RefugeeWatch AI - Report Rendering Utilities
+ *
+ * Renders a report document into the formats accepted by reportValidation.
+ * A document is { title, subtitle, generatedAt, sections } where each section
+ * has a title and any of: paragraphs, facts ([label, value] pairs), items
+ * (bullet points) and a table ({ columns, rows }).
+ *
+ * PDF is written directly with the standard Helvetica/Courier fonts, and the
+ * Word format is HTML that Word opens as a document, so no extra packages
+ * are needed.
+ *
+ * @author RefugeeWatch AI Team
+ * @version 1.0.0
+ */
+
+const REPORT_TYPES = ['crisis_summary', 'displacement_analysis', 'response_plan', 'situation_update', 'donor_briefing'];
+
+const REPORT_FORMATS = {
+  html: { mimeType: 'text/html; charset=utf-8', extension: 'html' },
+  pdf: { mimeType: 'application/pdf', extension: 'pdf' },
+  markdown: { mimeType: 'text/markdown; charset=utf-8', extension: 'md' },
+  word: { mimeType: 'application/msword', extension: 'doc' },
+  csv: { mimeType: 'text/csv; charset=utf-8', extension: 'csv' }
+};
+
+/**
+ * Format a number with thousands separators; missing values become "n/a"
+ */
+const formatNumber = (value) => (
+  value === null || value === undefined || isNaN(value) ? 'n/a' : Math.round(Number(value)).toLocaleString('en-US')
+);
+
+/**
+ * Format a USD amount
+ */
+const formatCurrency = (value) => (
+  value === null || value === undefined || isNaN(value) ? 'n/a' : `$${formatNumber(value)}`
+);
+
+/**
+ * Format a 0-1 ratio as a percentage
+ */
+const formatPercent = (value) => (
+  value === null || value === undefined || isNaN(value) ? 'n/a' : `${Math.round(Number(value) * 100)}%`
+);
+
+/**
+ * Download file name for a report
+ * @param {string} title - Report title
+ * @param {string} format - Report format
+ * @param {Date} date - Generation date
+ * @returns {string} e.g. crisis-summary-sudan-2026-10-19.pdf
+ */
+const buildReportFilename = (title, format, date = new Date()) => {
+  const slug = String(title).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 80) || 'report';
+  return `${slug}-${date.toISOString().slice(0, 10)}.${REPORT_FORMATS[format].extension}`;
+};
+
+const text = (value) => (value === null || value === undefined ? '' : String(value));
+
+const escapeHtml = (value) => text(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const generatedLine = (document) => `Generated ${document.generatedAt.replace('T', ' ').slice(0, 16)} UTC by RefugeeWatch AI`;
+
+// ===========================================
+// MARKDOWN
+// ===========================================
+
+const escapeMarkdownCell = (value) => text(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+
+const renderMarkdown = (document) => {
+  const lines = [`# ${document.title}`, ''];
+  if (document.subtitle) lines.push(`_${document.subtitle}_`, '');
+  lines.push(generatedLine(document), '');
+
+  document.sections.forEach(section => {
+    lines.push(`## ${section.title}`, '');
+    (section.paragraphs || []).forEach(paragraph => lines.push(paragraph, ''));
+    if (section.facts?.length) {
+      section.facts.forEach(([label, value]) => lines.push(`- **${label}:** ${text(value)}`));
+      lines.push('');
+    }
+    if (section.items?.length) {
+      section.items.forEach(item => lines.push(`- ${item}`));
+      lines.push('');
+    }
+    if (section.table?.rows.length) {
+      lines.push(`| ${section.table.columns.map(escapeMarkdownCell).join(' | ')} |`);
+      lines.push(`| ${section.table.columns.map(() => '---').join(' | ')} |`);
+      section.table.rows.forEach(row => lines.push(`| ${row.map(escapeMarkdownCell).join(' | ')} |`));
+      lines.push('');
+    }
+  });
+
+  return lines.join('\n');
+};
+
+// ===========================================
+// HTML / WORD
+// ===========================================
+
+const renderHtmlBody = (document) => {
+  const parts = [`<h1>${escapeHtml(document.title)}</h1>`];
+  if (document.subtitle) parts.push(`<p class="subtitle">${escapeHtml(document.subtitle)}</p>`);
+  parts.push(`<p class="generated">${escapeHtml(generatedLine(document))}</p>`);
+
+  document.sections.forEach(section => {
+    parts.push(`<h2>${escapeHtml(section.title)}</h2>`);
+    (section.paragraphs || []).forEach(paragraph => parts.push(`<p>${escapeHtml(paragraph)}</p>`));
+    if (section.facts?.length) {
+      parts.push('<table class="facts">');
+      section.facts.forEach(([label, value]) => parts.push(`<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`));
+      parts.push('</table>');
+    }
+    if (section.items?.length) {
+      parts.push(`<ul>${section.items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`);
+    }
+    if (section.table?.rows.length) {
+      parts.push('<table class="data">');
+      parts.push(`<tr>${section.table.columns.map(column => `<th>${escapeHtml(column)}</th>`).join('')}</tr>`);
+      section.table.rows.forEach(row => parts.push(`<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`));
+      parts.push('</table>');
+    }
+  });
+
+  return parts.join('\n');
+};
+
+const REPORT_STYLES = `
+body { font-family: Arial, Helvetica, sans-serif; font-size: 11pt; color: #1f2933; margin: 2em; }
+h1 { font-size: 20pt; margin-bottom: 0.2em; }
+h2 { font-size: 14pt; margin-top: 1.4em; border-bottom: 1px solid #cbd2d9; }
+.subtitle { font-size: 12pt; color: #52606d; margin-top: 0; }
+.generated { font-size: 9pt; color: #7b8794; }
+table { border-collapse: collapse; margin: 0.6em 0; }
+th, td { border: 1px solid #cbd2d9; padding: 4px 8px; text-align: left; vertical-align: top; }
+table.facts th { background: #f5f7fa; width: 14em; }
+table.data th { background: #e4e7eb; }`;
+
+const renderHtml = (document) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(document.title)}</title>
+<style>${REPORT_STYLES}
+</style>
+</head>
+<body>
+${renderHtmlBody(document)}
+</body>
+</html>
+`;
+
+const renderWord = (document) => `<html xmlns:o="urn:schemas-microsoft-com:office:office" xmlns:w="urn:schemas-microsoft-com:office:word" xmlns="http://www.w3.org/TR/REC-html40">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(document.title)}</title>
+<!--[if gte mso 9]><xml><w:WordDocument><w:View>Print</w:View></w:WordDocument></xml><![endif]-->
+<style>${REPORT_STYLES}
+</style>
+</head>
+<body>
+${renderHtmlBody(document)}
+</body>
+</html>
+`;
+
+// ===========================================
+// CSV
+// ===========================================
+
+const escapeCsv = (value) => {
+  const cell = text(value);
+  return /[",\n\r]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+};
+
+const renderCsv = (document) => {
+  const rows = [[document.title], [generatedLine(document)], []];
+
+  document.sections.forEach(section => {
+    rows.push([section.title]);
+    (section.paragraphs || []).forEach(paragraph => rows.push([paragraph]));
+    (section.facts || []).forEach(([label, value]) => rows.push([label, value]));
+    (section.items || []).forEach(item => rows.push([item]));
+    if (section.table?.rows.length) {
+      rows.push(section.table.columns);
+      section.table.rows.forEach(row => rows.push(row));
+    }
+    rows.push([]);
+  });
+
+  return rows.map(row => row.map(escapeCsv).join(',')).join('\r\n');
+};
+
+// ===========================================
+// PDF
+// ===========================================
+
+const PDF_PAGE = { width: 595, height: 842, margin: 50 };
+const PDF_FONTS = { body: 'F1', bold: 'F2', mono: 'F3' };
+
+// Standard fonts only cover Latin-1, so other characters are replaced
+const toPdfText = (value) => text(value)
+  .replace(/[‘’]/g, "'")
+  .replace(/[“”]/g, '"')
+  .replace(/[–—]/g, '-')
+  .replace(/[^\x20-\xFF]/g, '?')
+  .replace(/\\/g, '\\\\')
+  .replace(/\(/g, '\\(')
+  .replace(/\)/g, '\\)');
+
+/**
+ * Split text into lines of at most `width` characters on word boundaries
+ */
+const wrapText = (value, width) => {
+  const lines = [];
+  text(value).split('\n').forEach(paragraph => {
+    let line = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+      while (word.length > width) {
+        if (line) { lines.push(line); line = ''; }
+        lines.push(word.slice(0, width));
+        word = word.slice(width);
+      }
+      if (line && line.length + 1 + word.length > width) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = line ? `${line} ${word}` : word;
+      }
+    });
+    lines.push(line);
+  });
+  return lines;
+};
+
+/**
+ * Fixed-width table rows for the Courier font, truncating wide cells
+ */
+const layoutTable = (table, maxWidth) => {
+  const widths = table.columns.map((column, index) => Math.max(
+    text(column).length,
+    ...table.rows.map(row => text(row[index]).length)
+  ));
+  // Shrink the widest columns until the row fits
+  while (widths.reduce((sum, width) => sum + width + 2, 0) > maxWidth) {
+    const widest = widths.indexOf(Math.max(...widths));
+    if (widths[widest] <= 6) break;
+    widths[widest]--;
+  }
+  const cell = (value, width) => {
+    const content = text(value);
+    return content.length > width ? `${content.slice(0, width - 3)}...` : content.padEnd(width);
+  };
+  const line = (row) => widths.map((width, index) => cell(row[index], width)).join('  ').trimEnd();
+
+  return [line(table.columns), widths.map(width => '-'.repeat(width)).join('  '), ...table.rows.map(line)];
+};
+
+const renderPdf = (document) => {
+  // Lay out every line first: { font, size, text, space } where space is extra gap above
+  const lines = [];
+  const add = (font, size, value, space = 0) => lines.push({ font, size, text: value, space });
+
+  wrapText(document.title, 55).forEach((line, index) => add(PDF_FONTS.bold, 18, line, index === 0 ? 0 : 4));
+  if (document.subtitle) wrapText(document.subtitle, 85).forEach(line => add(PDF_FONTS.body, 11, line, 4));
+  add(PDF_FONTS.body, 8, generatedLine(document), 4);
+
+  document.sections.forEach(section => {
+    wrapText(section.title, 70).forEach((line, index) => add(PDF_FONTS.bold, 13, line, index === 0 ? 16 : 2));
+    (section.paragraphs || []).forEach(paragraph => {
+      wrapText(paragraph, 95).forEach((line, index) => add(PDF_FONTS.body, 10, line, index === 0 ? 6 : 0));
+    });
+    (section.facts || []).forEach(([label, value], index) => {
+      wrapText(`${label}: ${text(value)}`, 95).forEach((line, lineIndex) =>
+        add(PDF_FONTS.body, 10, lineIndex === 0 ? line : `    ${line}`, index === 0 && lineIndex === 0 ? 6 : 0));
+    });
+    (section.items || []).forEach((item, index) => {
+      wrapText(item, 90).forEach((line, lineIndex) =>
+        add(PDF_FONTS.body, 10, `${lineIndex === 0 ? '-' : ' '} ${line}`, index === 0 && lineIndex === 0 ? 6 : 0));
+    });
+    if (section.table?.rows.length) {
+      layoutTable(section.table, 100).forEach((line, index) => add(PDF_FONTS.mono, 8, line, index === 0 ? 8 : 0));
+    }
+  });
+
+  // Paginate
+  const pages = [];
+  let current = [];
+  let y = PDF_PAGE.height - PDF_PAGE.margin;
+  lines.forEach(line => {
+    const step = line.size * 1.35 + line.space;
+    if (y - step < PDF_PAGE.margin && current.length > 0) {
+      pages.push(current);
+      current = [];
+      y = PDF_PAGE.height - PDF_PAGE.margin;
+    }
+    y -= current.length === 0 ? line.size : step;
+    current.push(`BT /${line.font} ${line.size} Tf ${PDF_PAGE.margin} ${y.toFixed(2)} Td (${toPdfText(line.text)}) Tj ET`);
+  });
+  pages.push(current);
+
+  // Objects: 1 catalog, 2 page tree, 3-5 fonts, then a page and content stream per page
+  const objects = [];
+  const pageIds = pages.map((page, index) => 6 + index * 2);
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+  objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+  objects[5] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>';
+
+  pages.forEach((page, index) => {
+    const pageId = pageIds[index];
+    const footer = `BT /${PDF_FONTS.body} 8 Tf ${PDF_PAGE.width - PDF_PAGE.margin - 60} 25 Td (Page ${index + 1} of ${pages.length}) Tj ET`;
+    const stream = [...page, footer].join('\n');
+    objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDF_PAGE.width} ${PDF_PAGE.height}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R /F3 5 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+    objects[pageId + 1] = `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`;
+  });
+
+  let output = '%PDF-1.4\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(output, 'latin1');
+    output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xrefOffset = Buffer.byteLength(output, 'latin1');
+  output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  output += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info << /Title (${toPdfText(document.title)}) /Producer (RefugeeWatch AI) >> >>\n`;
+  output += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(output, 'latin1');
+};
+
+const RENDERERS = {
+  html: renderHtml,
+  pdf: renderPdf,
+  markdown: renderMarkdown,
+  word: renderWord,
+  csv: renderCsv
+};
+
+/**
+ * Render a report document
+ * @param {Object} document - { title, subtitle, generatedAt, sections }
+ * @param {string} format - One of REPORT_FORMATS
+ * @returns {Buffer} File contents
+ */
+const renderReport = (document, format) => {
+  const rendered = RENDERERS[format](document);
+  return Buffer.isBuffer(rendered) ? rendered : Buffer.from(rendered, 'utf8');
+};
+
+module.exports = {
+  REPORT_TYPES,
+  REPORT_FORMATS,
+  formatNumber,
+  formatCurrency,
+  formatPercent,
+  buildReportFilename,
+  renderReport
+};
@@ -0,0 +1,470 @@
+/**
+ * RefugeeWatch AI - Scenario Simulation Utilities
+ *
+ * Applies what-if modifications (severity, crisis type, spread, duration,
+ * external factors, interventions) to a stored assessment's normalized
+ * sources and displacement outlook, and compares the result with the
+ * baseline. Also samples sources and displacement multipliers within their
+ * uncertainty for Monte Carlo displacement ranges. Re-scoring itself is
+ * done by the data aggregator.
+ *
+ * @author RefugeeWatch AI Team
+ * @version 1.0.0
+ */
+
+const Joi = require('joi');
+
+const SIMULATION_TYPES = ['displacement', 'escalation', 'response', 'intervention'];
+
+const SOURCES = ['conflict', 'economic', 'climate', 'news'];
+
+const SOURCE_LEVELS = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+const RISK_ORDER = { UNKNOWN: 0, MINIMAL: 1, LOW: 2, MEDIUM: 3, HIGH: 4, CRITICAL: 5 };
+
+// Analyst severity levels, as accepted when registering a crisis
+const SEVERITY_TO_RISK = {
+  LOW: 'LOW',
+  MODERATE: 'MEDIUM',
+  HIGH: 'HIGH',
+  CRITICAL: 'CRITICAL'
+};
+
+// Sources a change in severity applies to, by crisis type
+const CRISIS_TYPE_SOURCES = {
+  conflict: ['conflict'],
+  political_instability: ['conflict', 'news'],
+  social_unrest: ['conflict', 'news'],
+  economic_crisis: ['economic'],
+  food_insecurity: ['economic', 'climate'],
+  natural_disaster: ['climate'],
+  climate_migration: ['climate'],
+  industrial_disaster: ['climate'],
+  health_emergency: ['news'],
+  compound_crisis: SOURCES
+};
+
+// Multiplier on the displacement estimate by how far the crisis reaches
+const GEOGRAPHIC_SPREAD = {
+  local: 0.5,
+  regional: 1,
+  national: 1.5,
+  international: 2
+};
+
+// Months of crisis conditions the scoring model's estimates correspond to
+const BASELINE_DURATION_MONTHS = 6;
+const DURATION_FACTOR_RANGE = { min: 0.5, max: 3 };
+
+// Interventions at full coverage. riskSteps lowers the source's risk level;
+// displacementReduction is the share of the estimate avoided.
+const INTERVENTIONS = {
+  ceasefire: { source: 'conflict', riskSteps: 1, displacementReduction: 0.4, description: 'Negotiated ceasefire' },
+  peacekeeping: { source: 'conflict', riskSteps: 1, displacementReduction: 0.25, description: 'Peacekeeping deployment' },
+  cash_transfers: { source: 'economic', riskSteps: 1, displacementReduction: 0.2, description: 'Cash transfer programme' },
+  food_assistance: { source: 'economic', riskSteps: 0, displacementReduction: 0.15, description: 'Food assistance' },
+  early_warning: { source: 'climate', riskSteps: 0, displacementReduction: 0.3, description: 'Early warning and evacuation planning' },
+  disaster_preparedness: { source: 'climate', riskSteps: 1, displacementReduction: 0.2, description: 'Disaster preparedness and resilient infrastructure' },
+  humanitarian_access: { source: null, riskSteps: 0, displacementReduction: 0.1, description: 'Humanitarian access negotiations' }
+};
+
+// Risk steps only apply once an intervention reaches this coverage
+const MIN_COVERAGE_FOR_RISK_CHANGE = 0.5;
+
+const interventionSchema = Joi.alternatives().try(
+  Joi.string().valid(...Object.keys(INTERVENTIONS)),
+  Joi.object({
+    type: Joi.string().valid(...Object.keys(INTERVENTIONS)).required(),
+    coverage: Joi.number().min(0).max(1).default(1)
+  })
+);
+
+const modificationsSchema = Joi.object({
+  name: Joi.string().max(200),
+  severity: Joi.string().valid(...Object.keys(SEVERITY_TO_RISK)),
+  populationAffected: Joi.number().integer().min(0).max(1000000000),
+  type: Joi.string().valid(...Object.keys(CRISIS_TYPE_SOURCES)),
+  // Months the crisis conditions last
+  duration: Joi.number().integer().min(1).max(120),
+  geographicSpread: Joi.string().valid(...Object.keys(GEOGRAPHIC_SPREAD)),
+  externalFactors: Joi.array().items(Joi.string().max(200)).max(20),
+  interventions: Joi.array().items(interventionSchema).max(10)
+});
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * Validate scenario modifications and normalize interventions to { type, coverage }
+ * @param {Object} modifications - Modifications from the request
+ * @param {string} simulationType - Requested simulation type
+ * @returns {Object} { valid, modifications, errors }
+ */
+const validateModifications = (modifications, simulationType) => {
+  const { error, value } = modificationsSchema.validate(modifications, { abortEarly: false });
+
+  if (error) {
+    return { valid: false, errors: error.details.map(detail => detail.message) };
+  }
+
+  value.interventions = (value.interventions || [])
+    .map(intervention => typeof intervention === 'string' ? { type: intervention, coverage: 1 } : intervention);
+
+  const errors = [];
+  if (simulationType === 'intervention' && value.interventions.length === 0) {
+    errors.push('An intervention simulation needs at least one intervention');
+  }
+  if (simulationType === 'escalation' && !value.severity && !(value.externalFactors || []).length) {
+    errors.push('An escalation simulation needs a severity or external factors');
+  }
+
+  return errors.length > 0 ? { valid: false, errors } : { valid: true, modifications: value, errors: [] };
+};
+
+/**
+ * Simulation type implied by the modifications when none was requested
+ * @param {Object} modifications - Validated modifications
+ * @returns {string} Simulation type
+ */
+const inferSimulationType = (modifications) => {
+  if (modifications.interventions.length > 0) return 'intervention';
+  if (modifications.severity || (modifications.externalFactors || []).length > 0) return 'escalation';
+  return 'displacement';
+};
+
+/**
+ * Source that currently drives the assessment: highest risk level, then highest model weight
+ * @param {Object} sources - Normalized sources
+ * @param {Object} model - Scoring model
+ * @returns {string} Source name
+ */
+const findPrimarySource = (sources, model) => [...SOURCES]
+  .filter(source => sources[source]?.available)
+  .sort((a, b) => (RISK_ORDER[sources[b].riskLevel] - RISK_ORDER[sources[a].riskLevel]) ||
+    (model.sourceWeights[b] - model.sourceWeights[a]))[0] || 'conflict';
+
+/**
+ * Move a source to a new risk level, scaling its score by the model's level scores
+ */
+const setSourceLevel = (data, level, model) => {
+  const from = model.riskScores[data.riskLevel] || 0;
+  const to = model.riskScores[level];
+  data.score = data.available && from > 0 && data.score > 0
+    ? Math.round(data.score * (to / from) * 100) / 100
+    : to;
+  data.riskLevel = level;
+};
+
+/**
+ * Apply severity, crisis type and intervention risk changes to normalized sources
+ * @param {Object} sources - Normalized sources from a stored assessment (not modified)
+ * @param {Object} modifications - Validated modifications
+ * @param {Object} model - Scoring model
+ * @returns {Object} { sources, applied } where applied lists each change made
+ */
+const applySourceModifications = (sources, modifications, model) => {
+  const modified = clone(sources);
+  const applied = [];
+
+  if (modifications.severity) {
+    const level = SEVERITY_TO_RISK[modifications.severity];
+    const targets = modifications.type
+      ? CRISIS_TYPE_SOURCES[modifications.type]
+      : [findPrimarySource(modified, model)];
+
+    targets.forEach(source => {
+      const data = modified[source];
+      const before = data.available ? data.riskLevel : 'UNKNOWN';
+
+      setSourceLevel(data, level, model);
+      if (!data.available) {
+        data.available = true;
+        data.confidence = 0.5;
+        data.indicators = [];
+      }
+      data.indicators = [...(data.indicators || []), `Scenario assumption: ${modifications.severity} severity`];
+
+      // Climate displacement is driven by hazards rather than the overall level
+      if (source === 'climate') {
+        data.hazards = [...(data.hazards || []), { type: modifications.type || 'scenario hazard', severity: level }];
+      }
+
+      applied.push({ modification: 'severity', source, from: before, to: level });
+    });
+  }
+
+  modifications.interventions.forEach(({ type, coverage }) => {
+    const intervention = INTERVENTIONS[type];
+    const data = intervention.source ? modified[intervention.source] : null;
+    if (!data?.available || intervention.riskSteps === 0 || coverage < MIN_COVERAGE_FOR_RISK_CHANGE) return;
+
+    const index = SOURCE_LEVELS.indexOf(data.riskLevel);
+    if (index <= 0) return;
+
+    const level = SOURCE_LEVELS[Math.max(0, index - intervention.riskSteps)];
+    applied.push({ modification: 'intervention', intervention: type, source: intervention.source, from: data.riskLevel, to: level });
+    setSourceLevel(data, level, model);
+  });
+
+  return { sources: modified, applied };
+};
+
+/**
+ * Adjust a re-scored assessment's displacement outlook for external factors,
+ * affected population, spread, duration and intervention coverage
+ * @param {Object} assessment - Assessment re-scored from the modified sources (updated in place)
+ * @param {Object} modifications - Validated modifications
+ * @param {Object} model - Scoring model (displacement levels)
+ * @returns {Array<Object>} Changes applied
+ */
+const applyDisplacementModifications = (assessment, modifications, model) => {
+  const displacement = assessment.displacementRisk;
+  const applied = [];
+
+  const externalFactors = modifications.externalFactors || [];
+  if (externalFactors.length > 0) {
+    // External factors count towards the displacement level like fired rules
+    const factorCount = (assessment.explanation?.displacement?.factorCount || 0) + externalFactors.length;
+    const byFactors = model.displacement.levels.find(level => factorCount >= level.minFactors);
+
+    if (RISK_ORDER[byFactors.level] > RISK_ORDER[displacement.level]) {
+      applied.push({ modification: 'externalFactors', from: displacement.level, to: byFactors.level, factorCount });
+      displacement.level = byFactors.level;
+      displacement.confidence = byFactors.confidence;
+      displacement.timeline = byFactors.timeline;
+    }
+    displacement.primaryCauses = [...externalFactors, ...displacement.primaryCauses].slice(0, 3);
+    assessment.riskFactors = [...(assessment.riskFactors || []), ...externalFactors];
+  }
+
+  let estimate = displacement.estimatedNumbers;
+
+  if (modifications.populationAffected !== undefined) {
+    applied.push({ modification: 'populationAffected', from: estimate, to: modifications.populationAffected });
+    estimate = modifications.populationAffected;
+  }
+
+  if (modifications.geographicSpread) {
+    const factor = GEOGRAPHIC_SPREAD[modifications.geographicSpread];
+    applied.push({ modification: 'geographicSpread', spread: modifications.geographicSpread, factor });
+    estimate *= factor;
+  }
+
+  if (modifications.duration) {
+    const factor = Math.min(DURATION_FACTOR_RANGE.max,
+      Math.max(DURATION_FACTOR_RANGE.min, modifications.duration / BASELINE_DURATION_MONTHS));
+    applied.push({ modification: 'duration', months: modifications.duration, factor: Math.round(factor * 100) / 100 });
+    estimate *= factor;
+  }
+
+  modifications.interventions.forEach(({ type, coverage }) => {
+    const reduction = INTERVENTIONS[type].displacementReduction * coverage;
+    applied.push({ modification: 'intervention', intervention: type, coverage, displacementReduction: Math.round(reduction * 100) / 100 });
+    estimate *= 1 - reduction;
+  });
+
+  displacement.estimatedNumbers = Math.round(estimate);
+  return applied;
+};
+
+/**
+ * Summary of an assessment and its response costs for scenario comparison
+ * @param {Object} assessment - Scored assessment
+ * @param {Object} costs - Response cost estimate
+ * @returns {Object} Outcome
+ */
+const summarizeOutcome = (assessment, costs) => ({
+  overallRisk: assessment.overallRisk,
+  riskScore: assessment.riskScore ?? null,
+  confidence: Math.round(assessment.confidence * 100) / 100,
+  sources: Object.fromEntries(SOURCES.map(source => [source, {
+    riskLevel: assessment.sources[source]?.available ? assessment.sources[source].riskLevel : 'UNKNOWN',
+    score: assessment.sources[source]?.score ?? null
+  }])),
+  displacement: {
+    level: assessment.displacementRisk.level,
+    estimatedNumbers: assessment.displacementRisk.estimatedNumbers,
+    confidence: assessment.displacementRisk.confidence,
+    timeline: assessment.displacementRisk.timeline,
+    primaryCauses: assessment.displacementRisk.primaryCauses
+  },
+  costs
+});
+
+const change = (baseline, scenario) => ({
+  baseline,
+  scenario,
+  change: scenario - baseline,
+  percentChange: baseline > 0 ? Math.round(((scenario - baseline) / baseline) * 1000) / 10 : null
+});
+
+/**
+ * Side-by-side differences between the baseline and scenario outcomes
+ * @param {Object} baseline - summarizeOutcome() of the baseline
+ * @param {Object} scenario - summarizeOutcome() of the scenario
+ * @returns {Object} Comparison
+ */
+const compareOutcomes = (baseline, scenario) => ({
+  overallRisk: {
+    baseline: baseline.overallRisk,
+    scenario: scenario.overallRisk,
+    levelChange: RISK_ORDER[scenario.overallRisk] - RISK_ORDER[baseline.overallRisk]
+  },
+  riskScore: baseline.riskScore !== null && scenario.riskScore !== null
+    ? change(baseline.riskScore, scenario.riskScore)
+    : null,
+  sources: Object.fromEntries(SOURCES.map(source => [source, {
+    baseline: baseline.sources[source].riskLevel,
+    scenario: scenario.sources[source].riskLevel,
+    changed: baseline.sources[source].riskLevel !== scenario.sources[source].riskLevel
+  }])),
+  displacement: {
+    level: {
+      baseline: baseline.displacement.level,
+      scenario: scenario.displacement.level,
+      levelChange: RISK_ORDER[scenario.displacement.level] - RISK_ORDER[baseline.displacement.level]
+    },
+    estimatedNumbers: change(baseline.displacement.estimatedNumbers, scenario.displacement.estimatedNumbers),
+    timeline: { baseline: baseline.displacement.timeline, scenario: scenario.displacement.timeline }
+  },
+  costs: {
+    total: change(baseline.costs.breakdown.total, scenario.costs.breakdown.total),
+    emergency: change(baseline.costs.breakdown.emergency, scenario.costs.breakdown.emergency),
+    stabilization: change(baseline.costs.breakdown.stabilization, scenario.costs.breakdown.stabilization),
+    integration: change(baseline.costs.breakdown.integration, scenario.costs.breakdown.integration),
+    staff: change(baseline.costs.staff.total, scenario.costs.staff.total)
+  }
+});
+
+/**
+ * Seeded pseudo-random generator (mulberry32) so simulations can be reproduced
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} Returns a number in [0, 1) on each call
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Standard normal sample (Box-Muller)
+ */
+const sampleNormal = (random) => {
+  const u = 1 - random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+};
+
+/**
+ * Sample normalized sources within their uncertainty. Less confident sources
+ * are more likely to move a risk level and have a wider score spread.
+ * @param {Object} sources - Normalized sources (not modified)
+ * @param {Object} model - Scoring model, including its uncertainty settings
+ * @param {Function} random - Generator from createRandom()
+ * @returns {Object} Sampled sources
+ */
+const sampleSources = (sources, model, random) => {
+  const { scoreSpread, levelShift } = model.uncertainty;
+  const sampled = clone(sources);
+
+  Object.values(sampled).forEach(data => {
+    if (!data.available || !SOURCE_LEVELS.includes(data.riskLevel)) return;
+    const doubt = 1 - Math.min(1, Math.max(0, data.confidence ?? 0.5));
+
+    if (random() < levelShift * doubt) {
+      const index = SOURCE_LEVELS.indexOf(data.riskLevel) + (random() < 0.5 ? -1 : 1);
+      if (index >= 0 && index < SOURCE_LEVELS.length) setSourceLevel(data, SOURCE_LEVELS[index], model);
+    }
+    data.score = Math.max(0, Math.round((data.score || 0) * (1 + scoreSpread * doubt * sampleNormal(random)) * 100) / 100);
+  });
+
+  return sampled;
+};
+
+/**
+ * Scoring model with its displacement estimate multipliers drawn from a log-normal spread
+ * @param {Object} model - Scoring model (not modified)
+ * @param {Function} random - Generator from createRandom()
+ * @returns {Object} Sampled model
+ */
+const sampleDisplacementModel = (model, random) => {
+  const sigma = model.uncertainty.multiplierSpread;
+  const rules = Object.fromEntries(Object.entries(model.displacement.rules).map(([source, rule]) => [source, {
+    ...rule,
+    estimatePerScorePoint: rule.estimatePerScorePoint * Math.exp(sigma * sampleNormal(random)),
+    estimatePerHazard: rule.estimatePerHazard * Math.exp(sigma * sampleNormal(random))
+  }]));
+
+  return { ...model, displacement: { ...model.displacement, rules } };
+};
+
+/**
+ * Value at a percentile of an ascending list, interpolating between neighbours
+ * @param {Array<number>} sorted - Ascending values
+ * @param {number} p - Percentile, 0-100
+ * @returns {number} Value
+ */
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return 0;
+  const position = (sorted.length - 1) * (p / 100);
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+/**
+ * P10/P50/P90 summary of simulated values
+ * @param {Array<number>} values - Samples
+ * @returns {Object} { p10, p50, p90, mean, min, max }
+ */
+const summarizeDistribution = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mean = sorted.reduce((sum, value) => sum + value, 0) / (sorted.length || 1);
+
+  return {
+    p10: Math.round(percentile(sorted, 10)),
+    p50: Math.round(percentile(sorted, 50)),
+    p90: Math.round(percentile(sorted, 90)),
+    mean: Math.round(mean),
+    min: Math.round(sorted[0] || 0),
+    max: Math.round(sorted[sorted.length - 1] || 0)
+  };
+};
+
+/**
+ * Share of samples per outcome, most frequent first
+ * @param {Array<string>} outcomes - Sampled outcomes
+ * @returns {Object} { mostLikely, probabilities }
+ */
+const summarizeOutcomes = (outcomes) => {
+  const counts = {};
+  outcomes.forEach(outcome => { counts[outcome] = (counts[outcome] || 0) + 1; });
+  const ranked = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+
+  return {
+    mostLikely: ranked[0] ? ranked[0][0] : null,
+    probabilities: Object.fromEntries(ranked.map(([outcome, count]) => [outcome, Math.round(count / outcomes.length * 1000) / 1000]))
+  };
+};
+
+module.exports = {
+  SIMULATION_TYPES,
+  CRISIS_TYPE_SOURCES,
+  GEOGRAPHIC_SPREAD,
+  INTERVENTIONS,
+  validateModifications,
+  inferSimulationType,
+  applySourceModifications,
+  applyDisplacementModifications,
+  summarizeOutcome,
+  compareOutcomes,
+  createRandom,
+  sampleSources,
+  sampleDisplacementModel,
+  summarizeDistribution,
+  summarizeOutcomes
+};
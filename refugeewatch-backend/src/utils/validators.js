@@ -1,5 +1,6 @@
 // src/utils/validators.js - COMPLETE Input Validation System
 const { body, query, param, validationResult } = require('express-validator');
+const { ROLES } = require('./authUtils');
 
 // Validation result handler middleware
 const handleValidationErrors = (req, res, next) => {
@@ -56,6 +57,17 @@ const crisisValidation = [
     .isInt({ min: 1, max: 1000000000 })
     .withMessage('Population affected must be a positive integer'),
     
+  body('status')
+    .optional()
+    .isIn(['ACTIVE', 'MONITORING', 'RESOLVED', 'PREVENTED'])
+    .withMessage('Status must be ACTIVE, MONITORING, RESOLVED, or PREVENTED'),
+    
+  body('region')
+    .optional()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Region must be between 2 and 100 characters')
+    .trim(),
+    
   body('coordinates')
     .optional()
     .isArray({ min: 2, max: 2 })
@@ -112,8 +124,14 @@ const crisisUpdateValidation = [
     
   body('status')
     .optional()
-    .isIn(['ACTIVE', 'RECOVERING', 'RESOLVED', 'MONITORING'])
-    .withMessage('Status must be ACTIVE, RECOVERING, RESOLVED, or MONITORING'),
+    .isIn(['ACTIVE', 'MONITORING', 'RESOLVED', 'PREVENTED'])
+    .withMessage('Status must be ACTIVE, MONITORING, RESOLVED, or PREVENTED'),
+    
+  body('title')
+    .optional()
+    .isLength({ min: 5, max: 200 })
+    .withMessage('Title must be between 5 and 200 characters')
+    .trim(),
     
   body('populationAffected')
     .optional()
@@ -206,68 +224,212 @@ const alertValidation = [
     .withMessage('Recommended actions must be an array with maximum 10 items')
 ];
 
+// Job titles accepted for a user's position
+const USER_POSITIONS = [
+  'Humanitarian Coordinator', 'Emergency Coordinator', 'Field Officer',
+  'Analyst', 'Program Manager', 'Operations Manager', 'Protection Officer',
+  'Logistics Officer', 'Communications Officer', 'Administrator'
+];
+
+const ORGANIZATION_TYPES = ['UN_AGENCY', 'NGO', 'GOVERNMENT', 'DONOR', 'RESEARCH', 'OTHER'];
+
+// Profile fields shared by user creation and updates
+const userProfileRules = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  
+  return [
+    field('name')
+      .notEmpty()
+      .withMessage('Name is required')
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Name must be between 2 and 100 characters')
+      .trim()
+      .matches(/^[\p{L}\s.\-']+$/u)
+      .withMessage('Name can only contain letters, spaces, periods, hyphens, and apostrophes'),
+      
+    // Not normalized: sign-in matches the address as entered (case-insensitively)
+    field('email')
+      .isEmail()
+      .withMessage('Valid email address is required')
+      .trim()
+      .isLength({ max: 254 })
+      .withMessage('Email address is too long'),
+      
+    body('role')
+      .optional()
+      .isIn(ROLES)
+      .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+      
+    body('position')
+      .optional({ values: 'null' })
+      .isIn(USER_POSITIONS)
+      .withMessage('Invalid position'),
+      
+    body('organizationId')
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .withMessage('Organization ID must be a positive integer')
+      .toInt(),
+      
+    body('organization')
+      .optional({ values: 'null' })
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Organization must be between 2 and 100 characters')
+      .trim(),
+      
+    body('expertise')
+      .optional()
+      .isArray({ max: 20 })
+      .withMessage('Expertise must be an array with maximum 20 items'),
+      
+    body('expertise.*')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Each expertise must be 1-100 characters'),
+      
+    body('regions')
+      .optional()
+      .isArray({ max: 50 })
+      .withMessage('Regions must be an array with maximum 50 items'),
+      
+    body('regions.*')
+      .isString()
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Each region must be a region or country name of 2-100 characters'),
+      
+    body('preferences')
+      .optional()
+      .isObject()
+      .withMessage('Preferences must be an object'),
+      
+    body('preferences.notifications')
+      .optional()
+      .isArray()
+      .withMessage('Notification preferences must be an array'),
+      
+    body('preferences.crisisTypes')
+      .optional()
+      .isArray()
+      .withMessage('Crisis type preferences must be an array'),
+      
+    body('preferences.alertChannels')
+      .optional()
+      .isArray()
+      .withMessage('Alert channel preferences must be an array'),
+      
+    body('preferences.alertChannels.*')
+      .isIn(['email', 'sms', 'push', 'webhook'])
+      .withMessage('Invalid alert channel')
+  ];
+};
+
 // User validation rules
-const userValidation = [
+const userValidation = userProfileRules(false);
+
+// User update validation (every field optional)
+const userUpdateValidation = [
+  ...userProfileRules(true),
+  
+  body('active')
+    .optional()
+    .isBoolean()
+    .withMessage('Active must be true or false')
+    .toBoolean()
+];
+
+// Organization validation rules
+const organizationValidation = [
   body('name')
     .notEmpty()
     .withMessage('Name is required')
     .isLength({ min: 2, max: 100 })
     .withMessage('Name must be between 2 and 100 characters')
-    .trim()
-    .matches(/^[a-zA-Z\s.\-']+$/)
-    .withMessage('Name can only contain letters, spaces, periods, hyphens, and apostrophes'),
-    
-  body('email')
-    .isEmail()
-    .withMessage('Valid email address is required')
-    .normalizeEmail()
-    .isLength({ max: 254 })
-    .withMessage('Email address is too long'),
+    .trim(),
     
-  body('role')
+  body('type')
     .optional()
-    .isIn([
-      'Humanitarian Coordinator', 'Emergency Coordinator', 'Field Officer',
-      'Analyst', 'Program Manager', 'Operations Manager', 'Protection Officer',
-      'Logistics Officer', 'Communications Officer', 'Administrator'
-    ])
-    .withMessage('Invalid role'),
+    .isIn(ORGANIZATION_TYPES)
+    .withMessage(`Type must be one of: ${ORGANIZATION_TYPES.join(', ')}`),
     
-  body('organization')
+  body('country')
     .optional()
     .isLength({ min: 2, max: 100 })
-    .withMessage('Organization must be between 2 and 100 characters')
+    .withMessage('Country must be between 2 and 100 characters')
     .trim(),
     
-  body('expertise')
+  body('website')
     .optional()
-    .isArray({ max: 20 })
-    .withMessage('Expertise must be an array with maximum 20 items'),
+    .isURL({ require_protocol: true })
+    .withMessage('Website must be a URL including http:// or https://'),
     
-  body('regions')
+  body('description')
     .optional()
-    .isArray({ max: 50 })
-    .withMessage('Regions must be an array with maximum 50 items'),
-    
-  body('preferences')
+    .isLength({ max: 2000 })
+    .withMessage('Description must be at most 2000 characters')
+    .trim()
+];
+
+// Organization update validation (name optional)
+const organizationUpdateValidation = [
+  body('name')
     .optional()
-    .isObject()
-    .withMessage('Preferences must be an object'),
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters')
+    .trim(),
     
-  body('preferences.notifications')
+  ...organizationValidation.slice(1)
+];
+
+// AI review decision rules (approve and reject)
+const reviewDecisionValidation = [
+  body('comments')
     .optional()
-    .isArray()
-    .withMessage('Notification preferences must be an array'),
-    
-  body('preferences.crisisTypes')
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage('Comments must be at most 2000 characters')
+    .trim()
+];
+
+// AI review amendment rules (override risk level, edit recommendations)
+const reviewAmendValidation = [
+  body('riskLevel')
     .optional()
-    .isArray()
-    .withMessage('Crisis type preferences must be an array'),
+    .isIn(['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'])
+    .withMessage('Risk level must be CRITICAL, HIGH, MEDIUM or LOW'),
     
-  body('preferences.alertChannels')
+  body('recommendations')
     .optional()
-    .isArray()
-    .withMessage('Alert channel preferences must be an array')
+    .isObject()
+    .withMessage('Recommendations must be an object of action lists')
+    .custom((recommendations) => {
+      const unknown = Object.keys(recommendations).filter(key => !['immediate', 'shortTerm', 'mediumTerm', 'longTerm'].includes(key));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown recommendation lists: ${unknown.join(', ')}`);
+      }
+      return true;
+    }),
+    
+  body('recommendations.*')
+    .isArray({ max: 20 })
+    .withMessage('Each recommendation list must be an array with maximum 20 items'),
+    
+  body('recommendations.*.*')
+    .isString()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Recommendations must be between 1 and 500 characters')
+    .trim(),
+    
+  body()
+    .custom((value) => {
+      if (value.riskLevel === undefined && value.recommendations === undefined) {
+        throw new Error('Amend the risk level, the recommendations or both');
+      }
+      return true;
+    }),
+    
+  ...reviewDecisionValidation
 ];
 
 // Report validation rules
@@ -289,12 +451,14 @@ const reportValidation = [
   body('includeAnalysis')
     .optional()
     .isBoolean()
-    .withMessage('Include analysis must be a boolean'),
+    .withMessage('Include analysis must be a boolean')
+    .toBoolean(),
     
   body('includePredictions')
     .optional()
     .isBoolean()
-    .withMessage('Include predictions must be a boolean'),
+    .withMessage('Include predictions must be a boolean')
+    .toBoolean(),
     
   body('customSections')
     .optional()
@@ -386,8 +550,8 @@ const filterValidation = [
     
   query('status')
     .optional()
-    .isIn(['ACTIVE', 'RECOVERING', 'RESOLVED', 'MONITORING'])
-    .withMessage('Status filter must be ACTIVE, RECOVERING, RESOLVED, or MONITORING'),
+    .isIn(['ACTIVE', 'MONITORING', 'RESOLVED', 'PREVENTED'])
+    .withMessage('Status filter must be ACTIVE, MONITORING, RESOLVED, or PREVENTED'),
     
   query('region')
     .optional()
@@ -608,6 +772,11 @@ const validationRuleSets = {
   createPrediction: predictionValidation,
   createAlert: alertValidation,
   createUser: userValidation,
+  updateUser: userUpdateValidation,
+  createOrganization: organizationValidation,
+  updateOrganization: organizationUpdateValidation,
+  decideReview: reviewDecisionValidation,
+  amendReview: reviewAmendValidation,
   generateReport: reportValidation,
   createScenario: scenarioValidation,
   search: searchValidation,
@@ -626,6 +795,11 @@ module.exports = {
   predictionValidation,
   alertValidation,
   userValidation,
+  userUpdateValidation,
+  organizationValidation,
+  organizationUpdateValidation,
+  reviewDecisionValidation,
+  reviewAmendValidation,
   reportValidation,
   scenarioValidation,
   paginationValidation,
@@ -650,5 +824,9 @@ module.exports = {
   sanitizeInput,
   
   // Rule sets for easy access
-  validationRuleSets
+  validationRuleSets,
+  
+  // Accepted values
+  USER_POSITIONS,
+  ORGANIZATION_TYPES
 };
\ No newline at end of file
@@ -0,0 +1,138 @@
+/**
+ * AI analyses wait in the review queue until someone other than the analyst
+ * who ran them decides. The decision is recorded before anything is stored
+ * on the crisis, so only one of two racing reviewers stores the analysis.
+ */
+
+const { initializeDatabase, DatabaseUtils } = require('../../src/config/database');
+const { ReviewService } = require('../../src/services/processing/reviewService');
+const { getAuthService } = require('../../src/services/processing/authService');
+const DataAggregator = require('../../src/services/processing/dataAggregator');
+
+const analysis = (risk = 'HIGH') => ({
+  aiRiskAssessment: risk,
+  confidence: 0.8,
+  keyFindings: ['Fighting near the border'],
+  recommendations: { immediate: ['Pre-position shelter kits'] },
+  earlyWarning: { urgency: 'high' },
+  metadata: { modelUsed: 'mock' }
+});
+
+describe('ReviewService decisions', () => {
+  let service;
+  let crisis;
+  let submitter;
+  let reviewer;
+  let coordinator;
+
+  const principalFor = (user) => ({ type: 'user', userId: user.id, email: user.email, role: user.role });
+  const submit = (overrides = {}) => service.submit({
+    crisis,
+    analysis: analysis(),
+    provenance: { assessmentId: null },
+    submittedBy: submitter.email,
+    submitterId: submitter.userId,
+    ...overrides
+  });
+
+  beforeAll(async () => {
+    await initializeDatabase();
+    const auth = getAuthService();
+    const create = async (name, role) => principalFor(await auth.createUser({
+      name: `Review ${name}`, email: `review-${name}@example.org`, password: `${name}-password-123`, role
+    }));
+
+    submitter = await create('submitter', 'analyst');
+    reviewer = await create('reviewer', 'analyst');
+    coordinator = await create('coordinator', 'coordinator');
+    crisis = await DatabaseUtils.getCrisisById('myanmar-2025');
+  });
+
+  beforeEach(() => {
+    service = new ReviewService();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('approving stores the analysis on the crisis', async () => {
+    const review = await submit();
+
+    const decided = await service.approve(reviewer, review.id, { comments: 'Matches field reports' });
+
+    expect(decided).toMatchObject({ status: 'approved', riskLevel: 'HIGH', reviewedBy: reviewer.email });
+    const stored = JSON.parse((await DatabaseUtils.getCrisisById(crisis.id)).ai_analysis);
+    expect(stored.review).toMatchObject({ id: review.id, status: 'approved' });
+  });
+
+  test('the analyst who ran an analysis cannot decide it', async () => {
+    const review = await submit();
+
+    await expect(service.approve(submitter, review.id)).rejects.toMatchObject({ statusCode: 403 });
+    expect((await service.getReview(review.id)).status).toBe('pending');
+  });
+
+  test('analyses nobody signed for need a coordinator', async () => {
+    const review = await submit({ submittedBy: null, submitterId: null });
+
+    await expect(service.approve(reviewer, review.id)).rejects.toMatchObject({ statusCode: 403 });
+    await expect(service.approve(coordinator, review.id)).resolves.toMatchObject({ status: 'approved' });
+  });
+
+  test('of two racing approvals only one stores the analysis', async () => {
+    const review = await submit();
+    const propagate = jest.spyOn(service, 'propagate');
+
+    const results = await Promise.allSettled([
+      service.approve(reviewer, review.id),
+      service.amend(coordinator, review.id, { riskLevel: 'CRITICAL' })
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason.statusCode).toBe(409);
+    expect(propagate).toHaveBeenCalledTimes(1);
+  });
+
+  test('a review whose analysis could not be stored goes back to the queue', async () => {
+    const review = await submit();
+    jest.spyOn(service, 'propagate').mockRejectedValue(new Error('disk full'));
+
+    await expect(service.approve(reviewer, review.id)).rejects.toThrow('disk full');
+
+    expect(await service.getReview(review.id)).toMatchObject({ status: 'pending', reviewedBy: null, riskLevel: null });
+    await expect(service.reject(reviewer, review.id, { comments: 'Retry later' })).resolves.toMatchObject({ status: 'rejected' });
+  });
+
+  test('rejecting stores nothing', async () => {
+    const review = await submit();
+    const propagate = jest.spyOn(service, 'propagate');
+
+    await service.reject(reviewer, review.id, { comments: 'Sources are stale' });
+
+    expect(propagate).not.toHaveBeenCalled();
+    await expect(service.approve(reviewer, review.id)).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
+
+describe('threshold alerts before review', () => {
+  test('assessments behind an AI analysis do not raise threshold alerts', async () => {
+    const aggregator = new DataAggregator();
+    aggregator.geoService.getAllCountries = jest.fn(async () => ({
+      success: true, data: aggregator.geoService.getFallbackCountries(), source: 'Fallback Data'
+    }));
+    aggregator.conflictService = { getCountryConflictData: jest.fn(async () => ({})) };
+    aggregator.economicService = { getCountryEconomicData: jest.fn(async () => ({})) };
+    aggregator.climateService = { getCountryClimateData: jest.fn(async () => ({})) };
+    aggregator.newsService = { getCountryNewsAnalysis: jest.fn(async () => ({})) };
+    aggregator.destinationModel = { predictDestinations: jest.fn(async () => ({ success: false, error: 'offline' })) };
+    const raise = jest.spyOn(aggregator, 'raiseThresholdAlerts');
+
+    const assessment = await aggregator.getComprehensiveCrisisAssessment('Myanmar', { source: 'analysis', raiseAlerts: false });
+    expect(assessment.alerts).toEqual([]);
+    expect(raise).not.toHaveBeenCalled();
+
+    await aggregator.getComprehensiveCrisisAssessment('Myanmar', { source: 'watchlist-assessment' });
+    expect(raise).toHaveBeenCalledTimes(1);
+  });
+});
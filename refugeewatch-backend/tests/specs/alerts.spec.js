@@ -0,0 +1,142 @@
+/**
+ * Assessments that cross the risk or displacement thresholds raise one alert
+ * per crisis and trigger until it is resolved. CRITICAL alerts nobody
+ * acknowledges escalate, and the API walks alerts through their lifecycle.
+ */
+
+const moment = require('moment');
+const { initializeDatabase, runQuery, DatabaseUtils } = require('../../src/config/database');
+const { AlertService, formatAlert } = require('../../src/services/processing/alertService');
+const { toDbTimestamp } = require('../../src/utils/analyticsUtils');
+const { startApi } = require('./helpers/api');
+
+const assessmentOf = (country, overallRisk, estimatedNumbers = 0, history = {}) => ({
+  country,
+  overallRisk,
+  confidence: 0.8,
+  displacementRisk: { level: overallRisk, estimatedNumbers, timeline: '3-6 months' },
+  history: { crisisId: null, ...history }
+});
+
+describe('AlertService', () => {
+  let service;
+  let wsService;
+
+  beforeAll(async () => {
+    await initializeDatabase();
+  });
+
+  beforeEach(() => {
+    wsService = { sendCriticalAlert: jest.fn(), sendAlertUpdate: jest.fn() };
+    service = new AlertService();
+    service.setWebSocketService(wsService);
+  });
+
+  test('raises one alert per crossed threshold while it stays open', async () => {
+    const assessment = assessmentOf('Sudan', 'CRITICAL', 120000, { crisisId: 'sudan-2025', previousRisk: 'HIGH' });
+
+    const created = await service.evaluateAssessment(assessment, { reviewId: 4 });
+
+    expect(created).toEqual([
+      expect.objectContaining({ crisisId: 'sudan-2025', level: 'CRITICAL', type: 'THRESHOLD', triggeredBy: 'risk_level:CRITICAL', status: 'OPEN' }),
+      expect.objectContaining({ level: 'CRITICAL', triggeredBy: 'displacement:50000' })
+    ]);
+    expect(created[0].message).toBe('Overall risk for Sudan moved from HIGH to CRITICAL.');
+    expect(created[0].details).toMatchObject({ overallRisk: 'CRITICAL', reviewId: 4 });
+    expect(wsService.sendCriticalAlert).toHaveBeenCalledTimes(2);
+    expect(wsService.sendCriticalAlert).toHaveBeenCalledWith(expect.objectContaining({ event: 'created', region: 'East Africa' }));
+
+    expect(await service.evaluateAssessment(assessment)).toEqual([]);
+  });
+
+  test('ignores assessments below the thresholds or without a registered crisis', async () => {
+    expect(await service.evaluateAssessment(assessmentOf('Myanmar', 'MEDIUM', 1000))).toEqual([]);
+    expect(await service.evaluateAssessment(assessmentOf('Atlantis', 'CRITICAL', 900000))).toEqual([]);
+  });
+
+  test('escalates CRITICAL alerts left unacknowledged past the window', async () => {
+    const raise = async (level) => {
+      const { lastID } = await DatabaseUtils.insertAlert({
+        crisis_id: 'myanmar-2025', alert_level: level, alert_type: 'THRESHOLD', title: `Stale ${level}`, message: 'Nobody has looked at this'
+      });
+      await runQuery('UPDATE alerts SET created_at = ? WHERE id = ?', [toDbTimestamp(moment.utc().subtract(2, 'hours')), lastID]);
+      return lastID;
+    };
+    const stale = await raise('CRITICAL');
+    const acknowledged = await raise('CRITICAL');
+    const high = await raise('HIGH');
+    await service.acknowledgeAlert(acknowledged, 'analyst@example.org');
+
+    const { escalated } = await service.escalateUnacknowledged();
+
+    expect(escalated).toContain(stale);
+    expect(escalated).not.toContain(acknowledged);
+    expect(escalated).not.toContain(high);
+    expect(formatAlert(await DatabaseUtils.getAlertById(stale))).toMatchObject({ escalationLevel: 1, escalatedAt: expect.any(String) });
+    expect(wsService.sendCriticalAlert).toHaveBeenCalledWith(expect.objectContaining({ id: stale, event: 'escalated' }));
+
+    // The next escalation waits for another full window
+    expect((await service.escalateUnacknowledged()).escalated).not.toContain(stale);
+  });
+});
+
+describe('alerts API', () => {
+  let api;
+  let coordinator;
+  let analyst;
+
+  beforeAll(async () => {
+    api = await startApi();
+    coordinator = (await api.createUser({
+      name: 'Lifecycle Coordinator', email: 'lifecycle-coordinator@example.org', password: 'coordinator-password-1', role: 'coordinator'
+    })).token;
+    analyst = (await api.createUser({
+      name: 'Lifecycle Analyst', email: 'lifecycle-analyst@example.org', password: 'analyst-password-1', role: 'analyst'
+    })).token;
+  });
+
+  const raise = (token, overrides = {}) => api.as(token).post('/alerts', {
+    crisisId: 'myanmar-2025',
+    type: 'URGENT',
+    title: 'Fighting near Sittwe',
+    message: 'Civilians are leaving the town towards the coast',
+    severity: 'CRITICAL',
+    ...overrides
+  });
+
+  test('coordinators raise alerts that show up as open', async () => {
+    const created = await raise(coordinator).expect(201);
+    expect(created.body.data).toMatchObject({ level: 'CRITICAL', type: 'URGENT', country: 'Myanmar', status: 'OPEN' });
+
+    const list = await api.as(null).get('/alerts?level=CRITICAL').expect(200);
+    expect(list.body.data.map(alert => alert.id)).toContain(created.body.data.id);
+    expect(list.body.summary).toMatchObject({ critical: list.body.data.length });
+    expect(list.body.summary.unacknowledged).toBeGreaterThan(0);
+  });
+
+  test('an alert is acknowledged once and cannot change after it is resolved', async () => {
+    const { id } = (await raise(coordinator, { severity: 'HIGH' }).expect(201)).body.data;
+
+    const acknowledged = await api.as(analyst).post(`/alerts/${id}/acknowledge`).expect(200);
+    expect(acknowledged.body.data).toMatchObject({ status: 'ACKNOWLEDGED', acknowledgedBy: 'lifecycle-analyst@example.org' });
+    const again = await api.as(analyst).post(`/alerts/${id}/acknowledge`).expect(200);
+    expect(again.body.message).toBe('Alert was already acknowledged');
+
+    const resolved = await api.as(coordinator).post(`/alerts/${id}/resolve`, { note: 'Families reached the camps' }).expect(200);
+    expect(resolved.body.data).toMatchObject({ status: 'RESOLVED', resolutionNote: 'Families reached the camps' });
+    await api.as(coordinator).post(`/alerts/${id}/resolve`).expect(409);
+    await api.as(analyst).post(`/alerts/${id}/acknowledge`).expect(409);
+
+    const history = await api.as(null).get('/alerts?status=resolved').expect(200);
+    expect(history.body.data.map(alert => alert.id)).toContain(id);
+  });
+
+  test('validates alerts and their roles', async () => {
+    await raise(analyst).expect(403);
+    await raise(coordinator, { severity: 'SEVERE' }).expect(400);
+    await raise(coordinator, { crisisId: 'atlantis-2025' }).expect(404);
+    await api.as(analyst).post('/alerts/first/acknowledge').expect(400);
+    await api.as(analyst).post('/alerts/999999/acknowledge').expect(404);
+    await api.as(null).get('/alerts?status=snoozed').expect(400);
+  });
+});
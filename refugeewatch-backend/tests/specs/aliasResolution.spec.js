@@ -0,0 +1,68 @@
+/**
+ * Assessments requested by alias or ISO code run under the canonical country
+ * name, so they query sources, share history and cache with that name.
+ */
+
+const { initializeDatabase, DatabaseUtils } = require('../../src/config/database');
+const DataAggregator = require('../../src/services/processing/dataAggregator');
+
+function createAggregator() {
+  const aggregator = new DataAggregator();
+
+  aggregator.geoService.getAllCountries = jest.fn(async () => ({
+    success: true,
+    data: aggregator.geoService.getFallbackCountries(),
+    source: 'Fallback Data'
+  }));
+  aggregator.conflictService = { getCountryConflictData: jest.fn(async () => ({})) };
+  aggregator.economicService = { getCountryEconomicData: jest.fn(async () => ({})) };
+  aggregator.climateService = { getCountryClimateData: jest.fn(async () => ({})) };
+  aggregator.newsService = { getCountryNewsAnalysis: jest.fn(async () => ({})) };
+  aggregator.destinationModel = {
+    predictDestinations: jest.fn(async () => ({ success: false, error: 'offline' }))
+  };
+
+  return aggregator;
+}
+
+describe('DataAggregator alias resolution', () => {
+  beforeAll(async () => {
+    await initializeDatabase();
+  });
+
+  test('an alias is assessed under the canonical country name', async () => {
+    const aggregator = createAggregator();
+
+    const assessment = await aggregator.getComprehensiveCrisisAssessment('Burma');
+
+    expect(assessment.country).toBe('Myanmar');
+    expect(assessment.countryInfo.code3).toBe('MMR');
+    expect(assessment.history.crisisId).toBe('myanmar-2025');
+    expect(aggregator.conflictService.getCountryConflictData).toHaveBeenCalledWith('Myanmar', 14);
+    expect(aggregator.economicService.getCountryEconomicData).toHaveBeenCalledWith('MMR', 3);
+    expect(aggregator.newsService.getCountryNewsAnalysis).toHaveBeenCalledWith('Myanmar', 7);
+    expect(aggregator.cache.has('assessment_Myanmar')).toBe(true);
+    expect(aggregator.cache.has('assessment_Burma')).toBe(false);
+  });
+
+  test('an ISO code and the name share one history series', async () => {
+    const aggregator = createAggregator();
+
+    await aggregator.getComprehensiveCrisisAssessment('MMR');
+    await aggregator.getComprehensiveCrisisAssessment('Myanmar');
+
+    const history = await DatabaseUtils.getAssessmentHistory('Myanmar');
+    expect(history.length).toBeGreaterThanOrEqual(2);
+    expect(await DatabaseUtils.getAssessmentHistory('MMR')).toHaveLength(0);
+  });
+
+  test('an unknown country falls back to an empty assessment without querying sources', async () => {
+    const aggregator = createAggregator();
+
+    const assessment = await aggregator.getComprehensiveCrisisAssessment('Atlantis');
+
+    expect(assessment.country).toBe('Atlantis');
+    expect(assessment.overallRisk).toBe('UNKNOWN');
+    expect(aggregator.conflictService.getCountryConflictData).not.toHaveBeenCalled();
+  });
+});
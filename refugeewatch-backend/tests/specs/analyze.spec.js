@@ -0,0 +1,81 @@
+/**
+ * Analyzing a crisis runs the multi-source assessment and the AI analysis on
+ * top of it, and returns the analysis with its provenance. Registry crises
+ * only take the result once the analysis is approved.
+ */
+
+const GeographicDataService = require('../../src/services/data/geographicData');
+const DataAggregator = require('../../src/services/processing/dataAggregator');
+const { DatabaseUtils } = require('../../src/config/database');
+const { getScoringModel } = require('../../src/config/scoringModel');
+const { startApi } = require('./helpers/api');
+
+const source = (riskLevel, score) => ({ riskLevel, score, confidence: 0.8, available: true, indicators: [] });
+
+describe('POST /crisis/:id/analyze', () => {
+  let api;
+  let analyst;
+  let reviewer;
+  let assess;
+
+  beforeAll(async () => {
+    jest.spyOn(GeographicDataService.prototype, 'getCountryByName')
+      .mockResolvedValue({ success: false, error: 'offline' });
+    assess = jest.spyOn(DataAggregator.prototype, 'getComprehensiveCrisisAssessment').mockImplementation(async function (country) {
+      return this.scoreSources(
+        { conflict: source('HIGH', 80), economic: source('HIGH', 70), climate: source('MEDIUM', 40), news: source('HIGH', 75) },
+        country,
+        getScoringModel()
+      );
+    });
+
+    api = await startApi();
+    analyst = (await api.createUser({
+      name: 'Analyze Analyst', email: 'analyze-analyst@example.org', password: 'analyst-password-1', role: 'analyst'
+    })).token;
+    reviewer = (await api.createUser({
+      name: 'Analyze Reviewer', email: 'analyze-reviewer@example.org', password: 'reviewer-password-1', role: 'analyst'
+    })).token;
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('returns the AI analysis of the assessment with its provenance', async () => {
+    const res = await api.as(analyst).post('/crisis/sudan-2025/analyze').expect(200);
+    const { analysis, provenance, review } = res.body.data;
+
+    expect(assess).toHaveBeenCalledWith('Sudan', expect.objectContaining({ source: 'analysis' }));
+    expect(res.body.data).toMatchObject({ crisisId: 'sudan-2025', country: 'Sudan' });
+    expect(['CRITICAL', 'HIGH', 'MEDIUM', 'LOW']).toContain(analysis.aiRiskAssessment);
+    expect(provenance).toMatchObject({
+      model: 'refugeewatch-mock-1',
+      fallback: false,
+      repairAttempts: 0,
+      triggeredBy: expect.objectContaining({ name: 'analyze-analyst@example.org' })
+    });
+    expect(provenance.tokensUsed).toBeGreaterThan(0);
+    expect(review).toMatchObject({ status: 'pending' });
+  });
+
+  test('the crisis and its predictions only change once the analysis is approved', async () => {
+    const before = await DatabaseUtils.getCrisisById('myanmar-2025');
+    const res = await api.as(analyst).post('/crisis/myanmar-2025/analyze').expect(200);
+
+    const pending = await DatabaseUtils.getCrisisById('myanmar-2025');
+    expect(pending.ai_analysis).toBe(before.ai_analysis);
+
+    await api.as(reviewer).post(`/ai/reviews/${res.body.data.review.id}/approve`, {}).expect(200);
+
+    const approved = await DatabaseUtils.getCrisisById('myanmar-2025');
+    expect(approved.risk_level).toBe(res.body.data.analysis.aiRiskAssessment);
+    expect(JSON.parse(approved.ai_analysis).provenance.model).toBe('refugeewatch-mock-1');
+    expect(await DatabaseUtils.getPredictionsByCrisisId('myanmar-2025')).not.toHaveLength(0);
+  });
+
+  test('needs an analyst and a known crisis', async () => {
+    await api.as(null).post('/crisis/sudan-2025/analyze').expect(401);
+    await api.as(analyst).post('/crisis/atlantis/analyze').expect(404);
+  });
+});
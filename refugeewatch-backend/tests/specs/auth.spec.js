@@ -0,0 +1,164 @@
+/**
+ * Every request resolves to a principal: a signed-in user, an API key or an
+ * anonymous viewer. Routes then require a role or a signed-in caller, and
+ * audit fields always name the caller rather than anything in the body.
+ */
+
+const { AuthService } = require('../../src/services/processing/authService');
+const { requireRole, requireSignIn } = require('../../src/middleware/auth');
+const { signToken, verifyToken, isInRegionScope, regionScope } = require('../../src/utils/authUtils');
+const { startApi } = require('./helpers/api');
+
+const mockResponse = () => {
+  const res = { headers: {} };
+  res.set = jest.fn((name, value) => { res.headers[name] = value; return res; });
+  res.status = jest.fn((code) => { res.statusCode = code; return res; });
+  res.json = jest.fn((body) => { res.body = body; return res; });
+  return res;
+};
+
+const runMiddleware = (middleware, principal) => {
+  const res = mockResponse();
+  const next = jest.fn();
+  middleware({ principal }, res, next);
+  return { res, next };
+};
+
+const anonymous = { type: 'anonymous', role: 'viewer' };
+const analystUser = { type: 'user', role: 'analyst', email: 'a@example.org' };
+
+describe('auth middleware', () => {
+  test('requireRole asks anonymous callers to sign in and forbids low roles', () => {
+    const anon = runMiddleware(requireRole('analyst'), anonymous);
+    expect(anon.res.statusCode).toBe(401);
+    expect(anon.res.headers['WWW-Authenticate']).toMatch(/^Bearer/);
+    expect(anon.next).not.toHaveBeenCalled();
+
+    const low = runMiddleware(requireRole('coordinator'), analystUser);
+    expect(low.res.statusCode).toBe(403);
+    expect(low.res.body.error).toBe('Requires the coordinator role (you have analyst)');
+
+    expect(runMiddleware(requireRole('analyst'), analystUser).next).toHaveBeenCalled();
+    expect(runMiddleware(requireRole('viewer'), anonymous).next).toHaveBeenCalled();
+  });
+
+  test('requireSignIn rejects anonymous and missing principals', () => {
+    expect(runMiddleware(requireSignIn(), anonymous).res.statusCode).toBe(401);
+    expect(runMiddleware(requireSignIn(), undefined).res.statusCode).toBe(401);
+    expect(runMiddleware(requireSignIn(), analystUser).next).toHaveBeenCalled();
+  });
+});
+
+describe('auth utils', () => {
+  const secret = 'spec-secret';
+  const inAnHour = () => Math.floor(Date.now() / 1000) + 3600;
+
+  test('verifyToken rejects tampered, foreign and expired tokens', () => {
+    const token = signToken({ sid: 'abc', sub: 1, exp: inAnHour() }, secret);
+    expect(verifyToken(token, secret)).toMatchObject({ sid: 'abc', sub: 1 });
+
+    const [, signature] = token.split('.');
+    const forged = `${Buffer.from(JSON.stringify({ sid: 'abc', sub: 2, exp: inAnHour() })).toString('base64url')}.${signature}`;
+    expect(verifyToken(forged, secret)).toBeNull();
+    expect(verifyToken(token, 'other-secret')).toBeNull();
+    expect(verifyToken(`${token}.extra`, secret)).toBeNull();
+    expect(verifyToken(signToken({ sid: 'abc', sub: 1, exp: inAnHour() - 7200 }, secret), secret)).toBeNull();
+  });
+
+  test('region scope covers assigned regions and countries only', () => {
+    const eastAfrica = { role: 'analyst', regions: ['East Africa', 'Chad'] };
+
+    expect(regionScope({ role: 'admin', regions: ['East Africa'] })).toBeNull();
+    expect(regionScope(anonymous)).toBeNull();
+    expect(isInRegionScope(eastAfrica, { country: 'Sudan', region: 'East Africa' })).toBe(true);
+    expect(isInRegionScope(eastAfrica, { country: 'Chad', region: 'Central Africa' })).toBe(true);
+    expect(isInRegionScope(eastAfrica, { country: 'Myanmar', region: 'Southeast Asia' })).toBe(false);
+  });
+});
+
+describe('auth API', () => {
+  let api;
+  let viewer;
+
+  beforeAll(async () => {
+    api = await startApi();
+    viewer = await api.createUser({
+      name: 'Auth Viewer', email: 'auth-viewer@example.org', password: 'viewer-password-12', role: 'viewer'
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('signs in and reports the session', async () => {
+    const res = await api.as(viewer.token).get('/auth/session').expect(200);
+
+    expect(res.body.data).toMatchObject({
+      authenticated: true,
+      principal: { type: 'user', email: 'auth-viewer@example.org', role: 'viewer' }
+    });
+  });
+
+  test('a wrong password and an unknown email fail alike, both checking a hash', async () => {
+    const dummyHash = jest.spyOn(AuthService.prototype, 'getDummyHash');
+    const attempt = (email, password) => api.as(null).post('/auth/login', { email, password }).expect(401);
+
+    const wrong = await attempt('auth-viewer@example.org', 'not-the-password');
+    expect(dummyHash).not.toHaveBeenCalled();
+
+    const unknown = await attempt('nobody@example.org', 'not-the-password');
+    expect(dummyHash).toHaveBeenCalledTimes(1);
+    expect(unknown.body.error).toBe(wrong.body.error);
+  });
+
+  test('rejects a tampered token instead of treating the caller as anonymous', async () => {
+    await api.as(`${viewer.token}x`).get('/auth/session').expect(401);
+  });
+
+  test('signing out revokes the token', async () => {
+    const token = await api.login('auth-viewer@example.org', 'viewer-password-12');
+
+    await api.as(token).post('/auth/logout').expect(200);
+    await api.as(token).get('/auth/session').expect(401);
+    await api.as(null).post('/auth/logout').expect(401);
+  });
+
+  test('API keys authenticate until revoked and never outrank their owner', async () => {
+    await api.as(viewer.token).post('/auth/api-keys', { name: 'Too strong', role: 'analyst' }).expect(403);
+    await api.as(null).post('/auth/api-keys', { name: 'Anonymous key' }).expect(401);
+
+    const created = await api.as(viewer.token).post('/auth/api-keys', { name: 'Dashboard' }).expect(201);
+    const { key, id } = created.body.data;
+
+    const session = await api.as(null).get('/auth/session').set('X-API-Key', key).expect(200);
+    expect(session.body.data.principal).toMatchObject({ type: 'api_key', role: 'viewer', apiKeyId: id });
+
+    await api.as(null).post('/auth/logout').set('X-API-Key', key).expect(400);
+    await api.as(viewer.token).delete(`/auth/api-keys/${id}`).expect(200);
+    await api.as(null).get('/auth/session').set('X-API-Key', key).expect(401);
+  });
+
+  test('alert audit fields name the signed-in caller, not the request body', async () => {
+    const { token } = await api.createUser({
+      name: 'Alert Coordinator', email: 'alert-coordinator@example.org', password: 'coordinator-password-1', role: 'coordinator'
+    });
+
+    const created = await api.as(token).post('/alerts', {
+      crisisId: 'sudan-2025',
+      type: 'WARNING',
+      title: 'Border crossing closed',
+      message: 'The Adre crossing was closed to civilians this morning',
+      severity: 'MODERATE',
+      createdBy: 'someone-else@example.org'
+    }).expect(201);
+    expect(created.body.data.triggeredBy).toBe('manual:alert-coordinator@example.org');
+
+    const { id } = created.body.data;
+    const acknowledged = await api.as(token).post(`/alerts/${id}/acknowledge`, { acknowledgedBy: 'someone-else@example.org' }).expect(200);
+    expect(acknowledged.body.data.acknowledgedBy).toBe('alert-coordinator@example.org');
+
+    const resolved = await api.as(token).post(`/alerts/${id}/resolve`, { resolvedBy: 'someone-else@example.org', note: 'Crossing reopened' }).expect(200);
+    expect(resolved.body.data).toMatchObject({ resolvedBy: 'alert-coordinator@example.org', resolutionNote: 'Crossing reopened' });
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Back-testing compares a prediction with the growth in UNHCR displacement
+ * figures over its timeline once the timeline has ended, stores the result
+ * and writes the score back to the prediction.
+ */
+
+const moment = require('moment');
+const { runQuery, DatabaseUtils } = require('../../src/config/database');
+const { PredictionBacktestService } = require('../../src/services/processing/backtestService');
+const { toDbTimestamp } = require('../../src/utils/analyticsUtils');
+const { startApi } = require('./helpers/api');
+
+const daysAgo = (days) => toDbTimestamp(moment.utc().subtract(days, 'days'));
+
+const observation = (id, daysBefore, total, year = 2024) => ({
+  id, country: 'Sudan', total_displaced: total, data_year: year, observed_at: daysAgo(daysBefore)
+});
+
+describe('PredictionBacktestService.evaluatePrediction', () => {
+  const service = new PredictionBacktestService({ refugeeService: {} });
+  const prediction = {
+    id: 1,
+    crisis_id: 'sudan-2025',
+    country: 'Sudan',
+    model_version: 'spec-model',
+    displacement_estimate: 40000,
+    timeline_days: 90,
+    created_at: daysAgo(120)
+  };
+
+  test('scores the growth in figures over the timeline', () => {
+    const { evaluation } = service.evaluatePrediction(prediction, [
+      observation(1, 121, 100000),
+      observation(2, 90, 145000),
+      observation(3, 10, 150000, 2025)
+    ]);
+
+    expect(evaluation).toMatchObject({
+      prediction_id: 1,
+      model_version: 'spec-model',
+      predicted_displacement: 40000,
+      observed_displacement: 50000,
+      observed_timeline_days: 30,
+      absolute_error: 10000,
+      percentage_error: 20,
+      accuracy_score: 0.8
+    });
+  });
+
+  test('waits for figures from around the prediction date and after its timeline', () => {
+    expect(service.evaluatePrediction(prediction, [observation(1, 20, 150000)]))
+      .toEqual({ pending: true, reason: 'No UNHCR figures from around the prediction date' });
+
+    // A refetch of the same published figures is not an outcome
+    expect(service.evaluatePrediction(prediction, [observation(1, 121, 100000), observation(2, 10, 100000)]))
+      .toMatchObject({ pending: true, reason: expect.stringContaining('No newer UNHCR figures') });
+  });
+});
+
+describe('back-testing runs and the accuracy report', () => {
+  let api;
+  let predictionId;
+  let refugeeService;
+
+  beforeAll(async () => {
+    api = await startApi();
+
+    ({ lastID: predictionId } = await DatabaseUtils.insertPrediction({
+      crisis_id: 'sudan-2025', displacement_estimate: 40000, confidence_level: 0.7, timeline_days: 90, model_version: 'spec-model'
+    }));
+    await runQuery('UPDATE predictions SET created_at = ? WHERE id = ?', [daysAgo(120), predictionId]);
+
+    const { lastID: baselineId } = await DatabaseUtils.insertDisplacementObservation({ country: 'Sudan', total_displaced: 100000, data_year: 2024 });
+    await runQuery('UPDATE displacement_observations SET observed_at = ? WHERE id = ?', [daysAgo(121), baselineId]);
+
+    refugeeService = {
+      getRefugeeDataByCountry: jest.fn(async (country) => (country === 'Sudan'
+        ? { success: true, source: 'UNHCR', data: { countryCode: 'SDN', year: 2025, displacement: { total: 160000, refugees: 90000 } } }
+        : { success: false, error: 'offline' }))
+    };
+  });
+
+  test('records fresh figures and scores predictions whose timeline has ended', async () => {
+    const service = new PredictionBacktestService({ refugeeService });
+
+    const run = await service.runBacktest();
+
+    expect(run.missingFigures).toContain('Myanmar');
+    expect(run.evaluated).toContainEqual({ predictionId, country: 'Sudan', accuracyScore: 0.667 });
+    const [prediction] = await runQuery('SELECT accuracy_score FROM predictions WHERE id = ?', [predictionId]);
+    expect(prediction.accuracy_score).toBe(0.667);
+
+    // An evaluated prediction is not back-tested again
+    const rerun = await service.runBacktest();
+    expect(rerun.evaluated.map(result => result.predictionId)).not.toContain(predictionId);
+  });
+
+  test('reports accuracy by country and model version', async () => {
+    const res = await api.as(null).get('/analytics/accuracy?country=Sudan').expect(200);
+    const { coverage, byCountry, byModelVersion, evaluations } = res.body.data;
+
+    expect(coverage.evaluated).toBe(1);
+    expect(coverage.awaitingEvaluation).toBe(coverage.predictions - 1);
+    expect(byCountry.Sudan.displacement.meanAccuracyScore).toBe(0.67);
+    expect(byModelVersion['spec-model']).toBeDefined();
+    expect(evaluations).toEqual([expect.objectContaining({
+      predictionId, predictedDisplacement: 40000, observedDisplacement: 60000, absoluteError: 20000
+    })]);
+  });
+
+  test('rejects malformed filters', async () => {
+    await api.as(null).get('/analytics/accuracy?from=last-year').expect(400);
+    await api.as(null).get('/analytics/accuracy?limit=1000').expect(400);
+  });
+});
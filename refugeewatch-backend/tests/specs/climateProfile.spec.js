@@ -0,0 +1,96 @@
+/**
+ * The country climate profile combines USGS earthquakes, Open-Meteo
+ * forecasts sampled across the country and NASA EONET events near it into
+ * the shape the data aggregator normalizes.
+ */
+
+const RealClimateDataService = require('../../src/services/data/climateData');
+const DataAggregator = require('../../src/services/processing/dataAggregator');
+
+// Sudan's centroid and area
+const SUDAN = { lat: 15.5, lon: 30.2, areaKm2: 1861484 };
+
+const forecast = (precipitation) => ({
+  data: {
+    forecast: [
+      { date: '2026-10-20', temperature: { max: 41, min: 24 }, precipitation: 0, windSpeed: 20 },
+      { date: '2026-10-21', temperature: { max: 39, min: 23 }, precipitation, windSpeed: 25 }
+    ]
+  }
+});
+
+describe('RealClimateDataService.getCountryClimateData', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new RealClimateDataService();
+    jest.spyOn(service, 'getRecentEarthquakes').mockResolvedValue({
+      data: [
+        { magnitude: 6.2, location: '40 km E of Kassala', time: '2026-10-15T04:00:00Z' },
+        { magnitude: 4.4, location: 'Red Sea coast', time: '2026-10-12T09:00:00Z' }
+      ]
+    });
+    jest.spyOn(service, 'getNASAEvents').mockResolvedValue({
+      data: [
+        { title: 'Nile floods', category: 'Floods', coordinates: [16.0, 31.0], date: '2026-10-14' },
+        { title: 'Siberian wildfire', category: 'Wildfires', coordinates: [62.0, 110.0], date: '2026-10-13' }
+      ]
+    });
+    // Only the first point halfway to the edge sees heavy rain
+    jest.spyOn(service, 'getWeatherData').mockImplementation(async (point) => (
+      point[0] > SUDAN.lat ? forecast(120) : forecast(2)
+    ));
+  });
+
+  test('samples forecasts across the country and keeps the worst day', async () => {
+    const profile = await service.getCountryClimateData('Sudan', SUDAN.lat, SUDAN.lon, { areaKm2: SUDAN.areaKm2, population: 48000000 });
+
+    expect(service.getWeatherData).toHaveBeenCalledTimes(5);
+    expect(service.getRecentEarthquakes).toHaveBeenCalledWith([SUDAN.lat, SUDAN.lon], profile.extentKm + 100, 4.0);
+    expect(profile.availability).toEqual({ usgs: true, openMeteo: true, nasa: true });
+    expect(profile.activeHazards.map(hazard => hazard.type)).toEqual(['earthquake', 'heavy_precipitation', 'floods']);
+    expect(profile.displacementRisk).toMatchObject({ riskLevel: 'HIGH', confidence: 0.85 });
+    expect(profile.displacementRisk.estimatedAffected).toBeGreaterThan(0);
+    expect(profile.climateTrends).toMatchObject({
+      forecastDays: 2,
+      samplePoints: 5,
+      precipitation: { peakDaily: 120, outlook: 'wet' },
+      temperature: { peak: 41, outlook: 'hot' },
+      seismic: { events: 2, maxMagnitude: 6.2, activity: 'elevated' }
+    });
+
+    expect(new DataAggregator().normalizeClimateData(profile)).toMatchObject({
+      riskLevel: 'HIGH',
+      available: true,
+      indicators: expect.arrayContaining(['M6.2 earthquake: 40 km E of Kassala'])
+    });
+  });
+
+  test('uses one forecast point for small countries', async () => {
+    await service.getCountryClimateData('Djibouti', 11.8, 42.6, { areaKm2: 23200 });
+
+    expect(service.getWeatherData).toHaveBeenCalledTimes(1);
+    expect(service.getWeatherData).toHaveBeenCalledWith([11.8, 42.6], 14);
+  });
+
+  test('builds the profile from whichever sources answer', async () => {
+    service.getNASAEvents.mockResolvedValue({ data: [], error: 'timeout' });
+    service.getWeatherData.mockResolvedValue({ data: null, error: 'rate limited' });
+
+    const profile = await service.getCountryClimateData('Sudan', SUDAN.lat, SUDAN.lon, { areaKm2: SUDAN.areaKm2 });
+
+    expect(profile.availability).toEqual({ usgs: true, openMeteo: false, nasa: false });
+    expect(profile.displacementRisk).toMatchObject({ riskLevel: 'LOW', confidence: 0.55 });
+  });
+
+  test('reports the climate source as unavailable when every source fails', async () => {
+    service.getRecentEarthquakes.mockResolvedValue({ data: [], error: 'timeout' });
+    service.getNASAEvents.mockResolvedValue({ data: [], error: 'timeout' });
+    service.getWeatherData.mockResolvedValue({ data: null, error: 'timeout' });
+
+    const profile = await service.getCountryClimateData('Sudan', SUDAN.lat, SUDAN.lon);
+
+    expect(profile).toMatchObject({ displacementRisk: null, error: 'No climate source returned data' });
+    expect(new DataAggregator().normalizeClimateData(profile)).toMatchObject({ riskLevel: 'UNKNOWN', available: false });
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Stored predictions are served as migration corridors: GeoJSON LineStrings
+ * from the crisis to each destination with the predicted volume and the
+ * dates the map's time slider steps through.
+ */
+
+const moment = require('moment');
+const { runQuery, DatabaseUtils } = require('../../src/config/database');
+const GeographicDataService = require('../../src/services/data/geographicData');
+const { toDbTimestamp } = require('../../src/utils/analyticsUtils');
+const { startApi } = require('./helpers/api');
+
+// India is left out so the seeded Myanmar -> India route cannot be placed
+const COUNTRIES = [
+  { name: 'Chad', code3: 'TCD', coordinates: [15.4, 18.7] },
+  { name: 'Egypt', code3: 'EGY', coordinates: [26.8, 30.8] },
+  { name: 'Ethiopia', code3: 'ETH', coordinates: [9.1, 40.5] },
+  { name: 'Bangladesh', code3: 'BGD', coordinates: [23.7, 90.4] },
+  { name: 'Thailand', code3: 'THA', coordinates: [15.8, 101.0] }
+];
+
+describe('GET /crisis/corridors', () => {
+  let api;
+  let modelledId;
+
+  beforeAll(async () => {
+    jest.spyOn(GeographicDataService.prototype, 'getAllCountries')
+      .mockResolvedValue({ success: true, data: COUNTRIES, source: 'spec' });
+    api = await startApi();
+
+    // A destination-model prediction from 40 days ago carries its own coordinates and volumes
+    ({ lastID: modelledId } = await DatabaseUtils.insertPrediction({
+      crisis_id: 'sudan-2025',
+      displacement_estimate: 50000,
+      confidence_level: 0.8,
+      timeline_days: 30,
+      destinations: ['South Sudan'],
+      migration_routes: [{
+        from: 'Sudan', to: 'South Sudan', probability: 0.4, estimatedPeople: 20000, distance: 850,
+        route: 'Land border crossing (south)', type: 'border', fromCoordinates: [15.5, 30.2], toCoordinates: [7.9, 29.7]
+      }],
+      triggers: [],
+      model_version: 'spec-model'
+    }));
+    await runQuery('UPDATE predictions SET created_at = ? WHERE id = ?', [toDbTimestamp(moment.utc().subtract(40, 'days')), modelledId]);
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  const corridorsOf = (res, predictionId) => res.body.data.features.filter(feature => feature.properties.predictionId === predictionId);
+
+  test('draws every stored route as a line from the crisis to its destination', async () => {
+    const res = await api.as(null).get('/crisis/corridors').expect(200);
+
+    expect(res.body.data.type).toBe('FeatureCollection');
+    expect(res.body.summary).toEqual({ predictions: 3, corridors: 6, unplaced: 1, maxVolume: 48000 });
+
+    const chad = res.body.data.features.find(feature => feature.properties.to === 'Chad');
+    expect(chad.geometry).toEqual({ type: 'LineString', coordinates: [[30.0, 15.0], [18.7, 15.4]] });
+    expect(chad.properties).toMatchObject({ crisisId: 'sudan-2025', from: 'Sudan', probability: 0.6, volume: 48000, distanceKm: 280 });
+    expect(moment(chad.properties.arrivalBy).diff(chad.properties.predictedAt, 'days')).toBe(67);
+  });
+
+  test('modelled corridors keep their own coordinates and volumes', async () => {
+    const res = await api.as(null).get('/crisis/corridors?country=Sudan').expect(200);
+    const [modelled] = corridorsOf(res, modelledId);
+
+    expect(modelled.geometry.coordinates).toEqual([[30.2, 15.5], [29.7, 7.9]]);
+    expect(modelled.properties).toMatchObject({ volume: 20000, type: 'border', modelVersion: 'spec-model' });
+    expect(res.body.timeline).toHaveLength(2);
+    expect(res.body.timeline[0]).toBe(modelled.properties.predictedAt);
+  });
+
+  test('filters by prediction date and country', async () => {
+    const recent = await api.as(null).get(`/crisis/corridors?from=${moment.utc().subtract(10, 'days').toISOString()}`).expect(200);
+    expect(corridorsOf(recent, modelledId)).toEqual([]);
+    expect(recent.body.summary.predictions).toBe(2);
+
+    const myanmar = await api.as(null).get('/crisis/corridors?country=Myanmar').expect(200);
+    expect(myanmar.body.data.features.map(feature => feature.properties.to)).toEqual(['Bangladesh', 'Thailand']);
+    expect(myanmar.body.summary.unplaced).toBe(1);
+
+    await api.as(null).get('/crisis/corridors?from=yesterday').expect(400);
+  });
+
+  test('regional users only see corridors from their regions', async () => {
+    const { token } = await api.createUser({
+      name: 'Asia Desk', email: 'corridor-asia@example.org', password: 'analyst-password-1', role: 'analyst', regions: ['Southeast Asia']
+    });
+
+    const res = await api.as(token).get('/crisis/corridors').expect(200);
+
+    expect(new Set(res.body.data.features.map(feature => feature.properties.crisisId))).toEqual(new Set(['myanmar-2025']));
+  });
+});
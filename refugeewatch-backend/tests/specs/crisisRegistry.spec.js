@@ -0,0 +1,88 @@
+/**
+ * Coordinators manage the crisis registry through the CRUD routes. Deleting
+ * retires a crisis unless permanent is set, in any of its boolean spellings.
+ */
+
+const GeographicDataService = require('../../src/services/data/geographicData');
+const { DatabaseUtils } = require('../../src/config/database');
+const { startApi } = require('./helpers/api');
+
+const crisisBody = (overrides = {}) => ({
+  location: 'Specland',
+  region: 'Spec Region',
+  type: 'conflict',
+  title: 'Specland conflict',
+  description: 'Fighting displaces families across Specland',
+  severity: 'HIGH',
+  populationAffected: 120000,
+  ...overrides
+});
+
+describe('crisis registry API', () => {
+  let api;
+  let coordinator;
+  let viewer;
+
+  const register = async (overrides) => {
+    const res = await api.as(coordinator).post('/crisis', crisisBody(overrides)).expect(201);
+    return res.body.data.id;
+  };
+
+  beforeAll(async () => {
+    // Locations are stored as given instead of being looked up online
+    jest.spyOn(GeographicDataService.prototype, 'getCountryByName')
+      .mockResolvedValue({ success: false, error: 'offline' });
+
+    api = await startApi();
+    coordinator = (await api.createUser({
+      name: 'Registry Coordinator', email: 'coordinator@example.org', password: 'coordinator-password-1', role: 'coordinator'
+    })).token;
+    viewer = (await api.createUser({
+      name: 'Registry Viewer', email: 'viewer@example.org', password: 'viewer-password-123', role: 'viewer'
+    })).token;
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('registers, updates and lists a crisis', async () => {
+    const id = await register();
+    expect(id).toMatch(/^specland-\d{4}/);
+
+    const patched = await api.as(coordinator).patch(`/crisis/${id}`, { status: 'MONITORING' }).expect(200);
+    expect(patched.body.data).toMatchObject({ id, status: 'MONITORING', region: 'Spec Region', riskLevel: 'HIGH' });
+    expect(patched.body.updatedFields).toEqual(['status']);
+
+    const list = await api.as(null).get('/crisis?status=ALL').expect(200);
+    expect(list.body.data.crises.map(crisis => crisis.id)).toContain(id);
+  });
+
+  test('only coordinators may change the registry', async () => {
+    await api.as(null).post('/crisis', crisisBody()).expect(401);
+    await api.as(viewer).post('/crisis', crisisBody()).expect(403);
+    await api.as(viewer).delete('/crisis/sudan-2025').expect(403);
+    await api.as(coordinator).patch('/crisis/no-such-crisis', { status: 'RESOLVED' }).expect(404);
+  });
+
+  test('delete retires a crisis unless permanent is set', async () => {
+    const retired = await register({ location: 'Retireland' });
+    const res = await api.as(coordinator).delete(`/crisis/${retired}?permanent=false`).expect(200);
+    expect(res.body.data.status).toBe('RESOLVED');
+    expect(await DatabaseUtils.getCrisisById(retired)).toBeTruthy();
+
+    for (const permanent of ['true', '1']) {
+      const id = await register({ location: `Deleteland ${permanent}` });
+      const deleted = await api.as(coordinator).delete(`/crisis/${id}?permanent=${permanent}`).expect(200);
+      expect(deleted.body.data).toEqual({ id, deleted: true });
+      expect(await DatabaseUtils.getCrisisById(id)).toBeFalsy();
+    }
+  });
+
+  test('rejects a permanent flag that is not a boolean', async () => {
+    const id = await register({ location: 'Keepland' });
+
+    await api.as(coordinator).delete(`/crisis/${id}?permanent=yes`).expect(400);
+    expect((await DatabaseUtils.getCrisisById(id)).status).toBe('ACTIVE');
+  });
+});
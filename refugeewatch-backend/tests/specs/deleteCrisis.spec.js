@@ -0,0 +1,118 @@
+/**
+ * Deleting a crisis removes everything recorded against it, including AI
+ * reviews linked to its predictions and alerts queued for digests, and
+ * leaves other crises alone.
+ */
+
+const { initializeDatabase, runQuery, DatabaseUtils } = require('../../src/config/database');
+
+const CRISIS_ID = 'spec-delete-2025';
+const OTHER_ID = 'sudan-2025';
+
+async function countFor(table, crisisId) {
+  const [row] = await runQuery(`SELECT COUNT(*) AS count FROM ${table} WHERE crisis_id = ?`, [crisisId]);
+  return row.count;
+}
+
+async function seedCrisisRecords(crisisId) {
+  const alert = await DatabaseUtils.insertAlert({
+    crisis_id: crisisId,
+    alert_level: 'HIGH',
+    title: 'Spec alert',
+    message: 'Spec alert message'
+  });
+  const prediction = await DatabaseUtils.insertPrediction({
+    crisis_id: crisisId,
+    displacement_estimate: 12000,
+    confidence_level: 0.7,
+    timeline_days: 30,
+    destinations: [],
+    migration_routes: [],
+    triggers: []
+  });
+  const review = await DatabaseUtils.insertAIReview({
+    crisis_id: crisisId,
+    analysis_type: 'crisis',
+    ai_risk_level: 'HIGH',
+    ai_analysis: { riskLevel: 'HIGH' },
+    review_due_at: '2030-01-01 00:00:00'
+  });
+  await DatabaseUtils.setAIReviewPrediction(review.lastID, prediction.lastID);
+  await DatabaseUtils.savePredictionEvaluation({
+    prediction_id: prediction.lastID,
+    crisis_id: crisisId,
+    country: 'Specland',
+    model_version: 'spec',
+    predicted_at: '2025-01-01 00:00:00',
+    predicted_displacement: 12000,
+    observed_displacement: 10000,
+    baseline_total: 0,
+    outcome_total: 10000,
+    baseline_observed_at: '2025-01-01 00:00:00',
+    outcome_observed_at: '2025-02-01 00:00:00',
+    absolute_error: 2000,
+    percentage_error: 20,
+    accuracy_score: 80
+  });
+  await DatabaseUtils.insertResponsePlan({
+    crisis_id: crisisId,
+    plan_type: 'EMERGENCY',
+    resources_needed: {},
+    timeline_weeks: 4,
+    estimated_cost: 1000,
+    cost_breakdown: {}
+  });
+  return alert.lastID;
+}
+
+describe('DatabaseUtils.deleteCrisis', () => {
+  let subscriberId;
+
+  beforeAll(async () => {
+    await initializeDatabase();
+    await DatabaseUtils.insertCrisis({
+      id: CRISIS_ID,
+      region: 'Spec Region',
+      country: 'Specland',
+      risk_level: 'HIGH',
+      title: 'Spec crisis',
+      crisis_type: 'CONFLICT',
+      description: 'Crisis created for the delete cascade spec',
+      population_affected: 1000
+    });
+    const subscriber = await DatabaseUtils.insertNotificationSubscriber({
+      name: 'Digest reader',
+      email: 'digest@example.org',
+      channels: ['email'],
+      severity_levels: ['HIGH'],
+      frequency: 'daily'
+    });
+    subscriberId = subscriber.lastID;
+  });
+
+  test('removes the crisis and every record that references it', async () => {
+    const alertId = await seedCrisisRecords(CRISIS_ID);
+    await DatabaseUtils.queueNotification(subscriberId, alertId);
+
+    const result = await DatabaseUtils.deleteCrisis(CRISIS_ID);
+
+    expect(result.changes).toBe(1);
+    expect(await DatabaseUtils.getCrisisById(CRISIS_ID)).toBeFalsy();
+    for (const table of ['alerts', 'predictions', 'ai_reviews', 'prediction_evaluations', 'response_plans']) {
+      expect(await countFor(table, CRISIS_ID)).toBe(0);
+    }
+    expect(await DatabaseUtils.getQueuedNotifications(subscriberId)).toEqual([]);
+  });
+
+  test('leaves records of other crises in place', async () => {
+    const alertId = await seedCrisisRecords(OTHER_ID);
+    await DatabaseUtils.queueNotification(subscriberId, alertId);
+    const before = await countFor('predictions', OTHER_ID);
+
+    await DatabaseUtils.deleteCrisis('no-such-crisis');
+
+    expect(await DatabaseUtils.getCrisisById(OTHER_ID)).toBeTruthy();
+    expect(await countFor('predictions', OTHER_ID)).toBe(before);
+    expect(await DatabaseUtils.getQueuedNotifications(subscriberId)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * The destination model ranks past hosts and land neighbours of an origin
+ * by historical flows, border adjacency and distance, discounts hosts
+ * already under pressure, and splits the displacement estimate into shares
+ * and corridors.
+ */
+
+const { initializeDatabase } = require('../../src/config/database');
+const GeographicDataService = require('../../src/services/data/geographicData');
+const { DestinationModelService } = require('../../src/services/processing/destinationModel');
+const DataAggregator = require('../../src/services/processing/dataAggregator');
+
+const country = (name, code3, coordinates, population, borders = []) => ({ name, code3, coordinates, population, borders });
+
+const COUNTRIES = [
+  country('Sudan', 'SDN', [15.5, 30.2], 48000000, ['TCD', 'EGY', 'SSD', 'ETH']),
+  country('Chad', 'TCD', [15.4, 18.7], 18000000),
+  country('Egypt', 'EGY', [26.8, 30.8], 110000000),
+  country('South Sudan', 'SSD', [7.9, 29.7], 11000000),
+  country('Ethiopia', 'ETH', [9.1, 40.5], 120000000),
+  country('Uganda', 'UGA', [1.4, 32.3], 47000000)
+];
+
+describe('DestinationModelService.predictDestinations', () => {
+  let refugeeService;
+  let model;
+
+  beforeAll(async () => {
+    await initializeDatabase();
+  });
+
+  beforeEach(() => {
+    const geoService = new GeographicDataService();
+    jest.spyOn(geoService, 'getAllCountries').mockResolvedValue({ success: true, data: COUNTRIES, source: 'spec' });
+    refugeeService = {
+      getAsylumFlows: jest.fn(async () => ({
+        success: true,
+        source: 'UNHCR',
+        data: {
+          year: 2024,
+          flows: [
+            { code3: 'TCD', country: 'Chad', share: 0.5 },
+            { code3: 'EGY', country: 'Egypt', share: 0.3 },
+            { code3: 'UGA', country: 'Uganda', share: 0.2 }
+          ]
+        }
+      })),
+      // South Sudan already hosts far more refugees than it can absorb
+      getHostedTotals: jest.fn(() => ({ SSD: 900000, UGA: 1500000 }))
+    };
+    model = new DestinationModelService({ refugeeService, geoService });
+  });
+
+  test('ranks past hosts and neighbours and splits the estimate between them', async () => {
+    const result = await model.predictDestinations('Sudan', { estimatedNumbers: 100000 });
+
+    expect(result.success).toBe(true);
+    const { origin, destinations, sources } = result.data;
+    expect(origin).toEqual({ country: 'Sudan', code3: 'SDN', coordinates: [15.5, 30.2] });
+    expect(refugeeService.getAsylumFlows).toHaveBeenCalledWith('SDN');
+    expect(destinations.map(d => d.code3)).toEqual(['TCD', 'EGY', 'ETH', 'SSD', 'UGA']);
+    expect(destinations.reduce((sum, d) => sum + d.share, 0)).toBeCloseTo(1, 2);
+    destinations.forEach(d => expect(d.estimatedPeople).toBe(Math.round(d.share * 100000)));
+    expect(sources).toEqual({ flows: 'UNHCR', flowYear: 2024, geography: 'spec' });
+  });
+
+  test('discounts hosts under pressure', async () => {
+    const { destinations } = (await model.predictDestinations('Sudan')).data;
+    const southSudan = destinations.find(d => d.code3 === 'SSD');
+    const ethiopia = destinations.find(d => d.code3 === 'ETH');
+
+    expect(southSudan.components).toMatchObject({ border: true, historicalShare: 0, hostPressure: 1 });
+    expect(ethiopia.components).toMatchObject({ border: true, historicalShare: 0, hostPressure: 0 });
+    expect(southSudan.components.distanceScore).toBeGreaterThan(ethiopia.components.distanceScore);
+    expect(southSudan.score).toBeLessThan(ethiopia.score);
+
+    const crisisLevels = new Map([['chad', 'HIGH']]);
+    expect(model.calculateHostPressure('TCD', COUNTRIES[1], {}, crisisLevels)).toBe(0.25);
+  });
+
+  test('describes border crossings and onward routes as corridors', async () => {
+    const { corridors } = (await model.predictDestinations('SDN', { estimatedNumbers: 100000, limit: 6 })).data;
+
+    expect(corridors.find(c => c.to === 'Chad')).toMatchObject({
+      from: 'Sudan', type: 'border', route: 'Land border crossing (west)', fromCoordinates: [15.5, 30.2], toCoordinates: [15.4, 18.7]
+    });
+    const uganda = corridors.find(c => c.to === 'Uganda');
+    expect(uganda.type).toBe('onward');
+    expect(uganda.route).toMatch(/^Onward route \(south\), [\d,]+ km$/);
+  });
+
+  test('limits the ranking and fails without candidates', async () => {
+    expect((await model.predictDestinations('Sudan', { limit: 2 })).data.destinations).toHaveLength(2);
+
+    await expect(model.predictDestinations('Atlantis')).resolves.toEqual({ success: false, error: 'Country not recognised: Atlantis' });
+
+    refugeeService.getAsylumFlows.mockResolvedValue({ success: false, error: 'offline' });
+    await expect(model.predictDestinations('Uganda')).resolves.toEqual({ success: false, error: 'No destination candidates for Uganda' });
+  });
+});
+
+describe('DataAggregator.modelDestinations', () => {
+  const assessment = () => ({
+    country: 'Sudan',
+    displacementRisk: { estimatedNumbers: 50000, likelyDestinations: ['Chad', 'Egypt'] }
+  });
+
+  test('replaces the static destinations with the modelled ones', async () => {
+    const aggregator = new DataAggregator();
+    const destinations = [{ country: 'Chad', code3: 'TCD', share: 1, estimatedPeople: 50000 }];
+    const predict = jest.spyOn(aggregator.destinationModel, 'predictDestinations').mockResolvedValue({
+      success: true, data: { destinations, corridors: [{ from: 'Sudan', to: 'Chad' }], sources: { flows: 'UNHCR' } }
+    });
+    const modelled = assessment();
+
+    await aggregator.modelDestinations(modelled, { name: 'Sudan', code3: 'SDN' });
+
+    expect(predict).toHaveBeenCalledWith('SDN', { estimatedNumbers: 50000 });
+    expect(modelled.displacementRisk).toMatchObject({
+      likelyDestinations: ['Chad'], destinations, corridors: [{ from: 'Sudan', to: 'Chad' }], destinationSources: { flows: 'UNHCR' }
+    });
+  });
+
+  test('keeps the static destinations when the model has no data', async () => {
+    const aggregator = new DataAggregator();
+    jest.spyOn(aggregator.destinationModel, 'predictDestinations').mockResolvedValue({ success: false, error: 'offline' });
+    const unmodelled = assessment();
+
+    await aggregator.modelDestinations(unmodelled, { name: 'Sudan', code3: 'SDN' });
+
+    expect(unmodelled.displacementRisk).toEqual(assessment().displacementRisk);
+  });
+});
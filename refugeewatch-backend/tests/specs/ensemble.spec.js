@@ -0,0 +1,134 @@
+/**
+ * Ensemble reconciliation works on what each model actually answered: a
+ * model that leaves out the risk level or displacement estimate abstains
+ * and the analysis is sent for human review.
+ */
+
+const { setLLMProvider } = require('../../src/config/llm');
+const AdvancedAICrisisService = require('../../src/services/data/advancedCrisisService');
+
+const MODELS = ['model-a', 'model-b', 'model-c'];
+const CRISIS = { country: 'Sudan', overallRisk: 'HIGH' };
+
+/**
+ * Provider whose models answer with the given responses, keyed by model name.
+ * A response of null fails the call.
+ */
+function useProvider(responses) {
+  setLLMProvider({
+    name: 'spec',
+    label: 'Spec provider',
+    defaultModel: MODELS[0],
+    getModelChain: () => MODELS.map(model => ({ model, maxTokens: 1000, temperature: 0 })),
+    chatCompletion: jest.fn(async (messages, options) => {
+      const response = responses[options.model];
+      return response === null
+        ? { success: false, error: `${options.model} unavailable` }
+        : { success: true, content: JSON.stringify(response), model: options.model };
+    })
+  });
+}
+
+const answer = (riskLevel, estimatedAffected) => ({
+  riskLevel,
+  confidence: 0.8,
+  displacementPrediction: estimatedAffected === undefined ? {} : { estimatedAffected }
+});
+
+describe('AdvancedAICrisisService ensemble', () => {
+  afterAll(() => {
+    setLLMProvider('mock');
+  });
+
+  test('agreeing models with every field need no review', async () => {
+    useProvider({
+      'model-a': answer('HIGH', 40000),
+      'model-b': answer('HIGH', 50000),
+      'model-c': answer('HIGH', 45000)
+    });
+
+    const { success, analysis } = await new AdvancedAICrisisService().performAdvancedCrisisAnalysis(CRISIS, { mode: 'ensemble' });
+
+    expect(success).toBe(true);
+    expect(analysis.riskLevel).toBe('HIGH');
+    expect(analysis.displacementPrediction.estimatedAffected).toBe(45000);
+    expect(analysis.humanReview).toEqual({ required: false, reasons: [] });
+  });
+
+  test('a model without a risk level or estimate abstains and triggers review', async () => {
+    useProvider({
+      'model-a': answer('HIGH', 40000),
+      'model-b': answer('HIGH', 60000),
+      'model-c': answer(undefined)
+    });
+
+    const { analysis } = await new AdvancedAICrisisService().performAdvancedCrisisAnalysis(CRISIS, { mode: 'ensemble' });
+
+    expect(analysis.riskLevel).toBe('HIGH');
+    expect(analysis.ensemble.riskVotes).toEqual({ HIGH: 2 });
+    expect(analysis.ensemble.consensusShare).toBe(0.67);
+    expect(analysis.ensemble.displacement).toMatchObject({ median: 50000, min: 40000, max: 60000 });
+    expect(analysis.ensemble.models.find(model => model.model === 'model-c'))
+      .toMatchObject({ success: true, riskLevel: null, estimatedAffected: null });
+    expect(analysis.humanReview.required).toBe(true);
+    expect(analysis.humanReview.reasons).toEqual([
+      'No usable risk level from model-c',
+      'No displacement estimate from model-c'
+    ]);
+  });
+
+  test('too few voting models and failed calls are reported', async () => {
+    useProvider({
+      'model-a': answer('MEDIUM', 10000),
+      'model-b': null,
+      'model-c': answer('SEVERE', 12000)
+    });
+
+    const { analysis } = await new AdvancedAICrisisService().performAdvancedCrisisAnalysis(CRISIS, { mode: 'ensemble' });
+
+    expect(analysis.riskLevel).toBe('MEDIUM');
+    expect(analysis.metadata.modelsUsed).toEqual(['model-a', 'model-c']);
+    expect(analysis.ensemble.models.find(model => model.model === 'model-b'))
+      .toEqual({ model: 'model-b', success: false, error: 'model-b unavailable' });
+    expect(analysis.humanReview.reasons).toEqual([
+      'Only 1 of 3 models gave a risk level (minimum 2)',
+      'No usable risk level from model-c'
+    ]);
+  });
+
+  test('without any risk vote the crisis keeps its current level', () => {
+    const service = new AdvancedAICrisisService();
+    const result = (model, answerFields) => ({
+      success: true,
+      model,
+      analysis: { riskLevel: 'MEDIUM', confidence: 0.6, displacementPrediction: {} },
+      answer: answerFields
+    });
+
+    const analysis = service.reconcileEnsemble([
+      result('model-a', { riskLevel: null, estimatedAffected: 30000 }),
+      result('model-b', { riskLevel: null, estimatedAffected: null })
+    ], CRISIS);
+
+    expect(analysis.riskLevel).toBe('HIGH');
+    expect(analysis.confidence).toBe(0);
+    expect(analysis.ensemble.riskAgreement).toBeNull();
+    expect(analysis.displacementPrediction.estimatedAffected).toBe(30000);
+    expect(analysis.humanReview.reasons).toEqual([
+      'Only 0 of 2 models gave a risk level (minimum 2)',
+      'No usable risk level from model-a, model-b',
+      'No displacement estimate from model-b'
+    ]);
+  });
+
+  test('when every model fails the system fallback is flagged for review', async () => {
+    useProvider({ 'model-a': null, 'model-b': null, 'model-c': null });
+
+    const result = await new AdvancedAICrisisService().performAdvancedCrisisAnalysis(CRISIS, { mode: 'ensemble' });
+
+    expect(result.success).toBe(false);
+    expect(result.analysis.metadata.mode).toBe('fallback');
+    expect(result.analysis.humanReview.required).toBe(true);
+    expect(result.analysis.humanReview.reasons[0]).toMatch(/^AI analysis failed: All 3 AI models failed \(model-a: model-a unavailable;/);
+  });
+});
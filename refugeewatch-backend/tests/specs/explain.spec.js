@@ -0,0 +1,95 @@
+/**
+ * The explain route breaks a stored assessment down by source. Anyone can
+ * read stored explanations under any name for the country; running a fresh
+ * assessment needs an analyst.
+ */
+
+const GeographicDataService = require('../../src/services/data/geographicData');
+const DataAggregator = require('../../src/services/processing/dataAggregator');
+const { DatabaseUtils } = require('../../src/config/database');
+const { getScoringModel } = require('../../src/config/scoringModel');
+const { startApi } = require('./helpers/api');
+
+const source = (riskLevel, score) => ({ riskLevel, score, confidence: 0.8, available: true, indicators: [] });
+const missing = { riskLevel: 'UNKNOWN', score: 0, confidence: 0.3, available: false, indicators: [] };
+
+// Conflict and economic data only, so completeness halves every source's points
+const scoreMyanmar = () => new DataAggregator().scoreSources(
+  { conflict: source('HIGH', 75), economic: source('MEDIUM', 50), climate: missing, news: missing },
+  'Myanmar',
+  getScoringModel()
+);
+
+describe('GET /crisis/:country/explain', () => {
+  let api;
+  let analyst;
+  let viewer;
+  let freshAssessment;
+
+  beforeAll(async () => {
+    jest.spyOn(GeographicDataService.prototype, 'getAllCountries').mockImplementation(async function () {
+      return { success: true, data: this.getFallbackCountries(), source: 'Fallback Data' };
+    });
+    freshAssessment = jest.spyOn(DataAggregator.prototype, 'getComprehensiveCrisisAssessment')
+      .mockImplementation(async () => scoreMyanmar());
+
+    api = await startApi();
+    await DatabaseUtils.insertAssessmentHistory({ assessment: scoreMyanmar(), crisis_id: 'myanmar-2025' });
+
+    analyst = (await api.createUser({
+      name: 'Explain Analyst', email: 'explain-analyst@example.org', password: 'analyst-password-1', role: 'analyst'
+    })).token;
+    viewer = (await api.createUser({
+      name: 'Explain Viewer', email: 'explain-viewer@example.org', password: 'viewer-password-12', role: 'viewer'
+    })).token;
+  });
+
+  beforeEach(() => {
+    freshAssessment.mockClear();
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test.each(['Myanmar', 'Burma', 'myanmar-2025'])('%s explains the stored Myanmar assessment', async (param) => {
+    const res = await api.as(null).get(`/crisis/${param}/explain`).expect(200);
+
+    expect(res.body.data).toMatchObject({ country: 'Myanmar', crisisId: 'myanmar-2025', origin: 'history', overallRisk: 'MINIMAL' });
+    expect(freshAssessment).not.toHaveBeenCalled();
+  });
+
+  test('per-source sums show the completeness multiplier', async () => {
+    const res = await api.as(null).get('/crisis/Myanmar/explain?format=text').expect(200);
+
+    expect(res.text).toContain('weighted score 38.75 x completeness 0.5 = 19.38');
+    expect(res.text).toContain('conflict: HIGH (source score 75) -> 75 x weight 0.35 x completeness 0.5 = 13.13 points (68% of the total).');
+    expect(res.text).toContain('climate: no data, contributed nothing.');
+  });
+
+  test('only analysts can refresh', async () => {
+    await api.as(null).get('/crisis/Myanmar/explain?refresh=true').expect(401);
+    await api.as(viewer).get('/crisis/Myanmar/explain?refresh=true').expect(403);
+    expect(freshAssessment).not.toHaveBeenCalled();
+
+    const res = await api.as(analyst).get('/crisis/Burma/explain?refresh=true').expect(200);
+    expect(res.body.data.origin).toBe('fresh');
+    expect(freshAssessment).toHaveBeenCalledWith('Myanmar', { raiseAlerts: false });
+  });
+
+  test('without a stored assessment only analysts get a fresh one', async () => {
+    await api.as(null).get('/crisis/Chad/explain').expect(404);
+    await api.as(viewer).get('/crisis/Chad/explain').expect(404);
+    expect(freshAssessment).not.toHaveBeenCalled();
+
+    await api.as(analyst).get('/crisis/Chad/explain').expect(200);
+    expect(freshAssessment).toHaveBeenCalledWith('Chad', { raiseAlerts: false });
+  });
+
+  test('caps requested simulation runs', async () => {
+    await api.as(null).get('/crisis/Myanmar/explain?uncertainty=true&iterations=5001').expect(400);
+
+    const res = await api.as(null).get('/crisis/Myanmar/explain?uncertainty=true&iterations=200&seed=7').expect(200);
+    expect(res.body.data.displacementRisk.uncertainty.iterations).toBe(200);
+  });
+});
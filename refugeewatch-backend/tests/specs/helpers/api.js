@@ -0,0 +1,55 @@
+/**
+ * RefugeeWatch AI - Spec API Helpers
+ *
+ * Starts the Express app against the spec database and signs callers in,
+ * so route specs can act as the bootstrap admin, as users they create or
+ * anonymously.
+ *
+ * @author RefugeeWatch AI Team
+ * @version 1.0.0
+ */
+
+const request = require('supertest');
+const { initializeDatabase } = require('../../../src/config/database');
+const { getAuthService } = require('../../../src/services/processing/authService');
+
+/**
+ * Initialize the database and bootstrap admin, then load the app
+ * @returns {Promise<Object>} { app, login, as, createUser, adminToken }
+ */
+async function startApi() {
+  await initializeDatabase();
+  await getAuthService().ensureBootstrapAdmin();
+  const app = require('../../../src/app');
+
+  const login = async (email, password) => {
+    const res = await request(app).post('/api/auth/login').send({ email, password }).expect(200);
+    return res.body.data.token;
+  };
+
+  // Requests signed with a session token; without one they are anonymous
+  const as = (token) => {
+    const call = (method) => (path, body) => {
+      const req = request(app)[method](`/api${path}`);
+      if (token) req.set('Authorization', `Bearer ${token}`);
+      return body === undefined ? req : req.send(body);
+    };
+    return { get: call('get'), post: call('post'), put: call('put'), patch: call('patch'), delete: call('delete') };
+  };
+
+  const adminToken = await login(process.env.AUTH_ADMIN_EMAIL, process.env.AUTH_ADMIN_PASSWORD);
+
+  /**
+   * Create a user through the API and sign them in
+   * @param {Object} user - { name, email, password, role, regions }
+   * @returns {Promise<Object>} { id, token }
+   */
+  const createUser = async (user) => {
+    const res = await as(adminToken).post('/users', user).expect(201);
+    return { id: res.body.data.id, token: await login(user.email, user.password) };
+  };
+
+  return { app, login, as, createUser, adminToken };
+}
+
+module.exports = { startApi };
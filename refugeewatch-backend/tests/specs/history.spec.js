@@ -0,0 +1,67 @@
+/**
+ * The risk history of a country is read from stored assessments, whether it
+ * is asked for by name, alias, ISO code or registry crisis ID.
+ */
+
+const GeographicDataService = require('../../src/services/data/geographicData');
+const { DatabaseUtils } = require('../../src/config/database');
+const { startApi } = require('./helpers/api');
+
+const recordAssessment = (overallRisk, previousRisk = null) => DatabaseUtils.insertAssessmentHistory({
+  assessment: {
+    country: 'Myanmar',
+    overallRisk,
+    confidence: 0.7,
+    dataQuality: 'GOOD',
+    displacementRisk: { level: overallRisk, estimatedNumbers: 30000 }
+  },
+  crisis_id: 'myanmar-2025',
+  previous_risk: previousRisk,
+  risk_changed: Boolean(previousRisk),
+  source: 'scheduled'
+});
+
+describe('GET /crisis/:country/history', () => {
+  let api;
+
+  beforeAll(async () => {
+    jest.spyOn(GeographicDataService.prototype, 'getAllCountries').mockImplementation(async function () {
+      return { success: true, data: this.getFallbackCountries(), source: 'Fallback Data' };
+    });
+
+    api = await startApi();
+    await recordAssessment('MEDIUM');
+    await recordAssessment('HIGH', 'MEDIUM');
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test.each(['Myanmar', 'Burma', 'MMR', 'myanmar-2025'])('%s reads the Myanmar series', async (param) => {
+    const res = await api.as(null).get(`/crisis/${param}/history?interval=raw`).expect(200);
+
+    expect(res.body.data).toMatchObject({ country: 'Myanmar', crisisId: 'myanmar-2025', interval: 'raw' });
+    expect(res.body.data.summary).toMatchObject({ assessments: 2, latestRisk: 'HIGH', riskChanges: 1 });
+    expect(res.body.data.changes).toEqual([expect.objectContaining({ from: 'MEDIUM', to: 'HIGH', source: 'scheduled' })]);
+  });
+
+  test('an unknown country has an empty series', async () => {
+    const res = await api.as(null).get('/crisis/Atlantis/history').expect(200);
+
+    expect(res.body.data).toMatchObject({ country: 'Atlantis', crisisId: null, series: [] });
+  });
+
+  test('rejects a range that ends before it starts', async () => {
+    await api.as(null).get('/crisis/Myanmar/history?from=2025-02-01&to=2025-01-01').expect(400);
+  });
+
+  test('hides countries outside the caller regions, including by alias', async () => {
+    const { token } = await api.createUser({
+      name: 'Africa Analyst', email: 'africa@example.org', password: 'africa-password-1', role: 'analyst', regions: ['East Africa']
+    });
+
+    await api.as(token).get('/crisis/Burma/history').expect(404);
+    await api.as(token).get('/crisis/sudan-2025/history').expect(200);
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * The AI services talk to whichever LLM provider is configured. The mock
+ * provider answers offline and deterministically, replaying recorded
+ * responses when it has them.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LLM_CONFIG, getLLMProvider, setLLMProvider, chatCompletion, chatCompletionWithRetry, getLLMConfig } = require('../../src/config/llm');
+const MockProvider = require('../../src/services/ai/providers/mockProvider');
+
+const analysisPrompt = [
+  { role: 'system', content: 'Answer with a JSON object containing "aiRiskAssessment".' },
+  { role: 'user', content: 'Analyze the crisis situation for Sudan:\nOverall Risk Level: HIGH' }
+];
+
+describe('LLM provider selection', () => {
+  afterEach(() => {
+    setLLMProvider('mock');
+  });
+
+  test('uses the provider named by LLM_PROVIDER', () => {
+    expect(getLLMProvider()).toBeInstanceOf(MockProvider);
+    expect(getLLMConfig()).toMatchObject({
+      provider: 'mock',
+      defaultModel: 'refugeewatch-mock-1',
+      availableProviders: ['huggingface', 'openai', 'ollama', 'mock']
+    });
+  });
+
+  test('rejects an unknown provider', () => {
+    expect(() => setLLMProvider('gpt-in-a-box')).toThrow(/^Unknown LLM provider "gpt-in-a-box"/);
+  });
+
+  test('completions go through the active provider', async () => {
+    const provider = { name: 'stub', chatCompletion: jest.fn(async () => ({ success: true, content: 'ok', model: 'stub-1' })) };
+    setLLMProvider(provider);
+
+    await expect(chatCompletion(analysisPrompt, { max_tokens: 50 })).resolves.toMatchObject({ content: 'ok' });
+    expect(provider.chatCompletion).toHaveBeenCalledWith(analysisPrompt, { max_tokens: 50 });
+  });
+
+  test('gives up with a fallback answer after the configured retries', async () => {
+    const provider = { name: 'stub', chatCompletion: jest.fn(async () => ({ success: false, error: 'rate limited' })) };
+    setLLMProvider(provider);
+    const { maxRetries, retryDelay } = LLM_CONFIG;
+    Object.assign(LLM_CONFIG, { maxRetries: 2, retryDelay: 0 });
+
+    try {
+      const result = await chatCompletionWithRetry(analysisPrompt);
+      expect(result).toMatchObject({ success: false, error: 'rate limited', provider: 'stub' });
+      expect(provider.chatCompletion).toHaveBeenCalledTimes(2);
+    } finally {
+      Object.assign(LLM_CONFIG, { maxRetries, retryDelay });
+    }
+  });
+});
+
+describe('MockProvider', () => {
+  test('answers the same prompt the same way, in the requested format', async () => {
+    const provider = new MockProvider();
+
+    const first = await provider.chatCompletion(analysisPrompt);
+    const second = await provider.chatCompletion(analysisPrompt);
+
+    expect(second.content).toBe(first.content);
+    expect(JSON.parse(first.content)).toMatchObject({ aiRiskAssessment: 'HIGH' });
+    expect(first).toMatchObject({ success: true, provider: 'mock', model: 'refugeewatch-mock-1', recorded: false });
+    expect(first.usage.total_tokens).toBeGreaterThan(0);
+  });
+
+  test('replays a recorded response for the same conversation', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'refugeewatch-recordings-'));
+    try {
+      fs.writeFileSync(
+        path.join(dir, `${MockProvider.getRecordingKey(analysisPrompt)}.json`),
+        JSON.stringify({ content: '{"recorded": true}', model: 'recorded-model', usage: { total_tokens: 7 } })
+      );
+      const provider = new MockProvider({ recordingsDir: dir });
+
+      await expect(provider.chatCompletion(analysisPrompt)).resolves.toMatchObject({
+        content: '{"recorded": true}', model: 'recorded-model', recorded: true
+      });
+      await expect(provider.chatCompletion([{ role: 'user', content: 'Something else' }]))
+        .resolves.toMatchObject({ recorded: false });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
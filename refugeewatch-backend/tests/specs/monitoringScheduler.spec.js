@@ -0,0 +1,116 @@
+/**
+ * The monitoring scheduler re-assesses watched countries and pushes risk
+ * changes to WebSocket subscribers. Jobs can be paused, resumed and run on
+ * demand; a manual run works while the job is paused.
+ */
+
+const { initializeDatabase } = require('../../src/config/database');
+const { MonitoringScheduler } = require('../../src/services/processing/monitoringScheduler');
+const { startApi } = require('./helpers/api');
+
+const assessmentOf = (country, overallRisk, history = {}) => ({
+  country,
+  overallRisk,
+  history: { crisisId: null, riskChanged: false, ...history }
+});
+
+describe('MonitoringScheduler', () => {
+  let aggregator;
+  let wsService;
+  let scheduler;
+
+  beforeAll(async () => {
+    await initializeDatabase();
+  });
+
+  beforeEach(() => {
+    aggregator = {
+      updateInterval: 300000,
+      getMultiCountryCrisisMonitoring: jest.fn(async (countries) => countries.map(country => (
+        country === 'Sudan'
+          ? assessmentOf('Sudan', 'CRITICAL', { id: 9, crisisId: 'sudan-2025', riskChanged: true, previousRisk: 'HIGH' })
+          : assessmentOf(country, country === 'Myanmar' ? 'UNKNOWN' : 'HIGH')
+      )))
+    };
+    wsService = { sendCrisisUpdate: jest.fn() };
+    scheduler = new MonitoringScheduler({ aggregator, wsService });
+  });
+
+  afterEach(() => {
+    scheduler.stop();
+  });
+
+  test('watches every open crisis and schedules from the update interval', async () => {
+    expect(await scheduler.getWatchlist()).toEqual(['Sudan', 'Myanmar']);
+    expect(scheduler.getJob('watchlist-assessment').schedule).toBe('*/5 * * * *');
+  });
+
+  test('broadcasts risk changes with the registry region', async () => {
+    const summary = await scheduler.runWatchlistAssessment('watchlist-assessment');
+
+    expect(aggregator.getMultiCountryCrisisMonitoring).toHaveBeenCalledWith(expect.any(Array), { source: 'watchlist-assessment' });
+    expect(summary.changes).toEqual([expect.objectContaining({ country: 'Sudan', crisisId: 'sudan-2025', from: 'HIGH', to: 'CRITICAL', historyId: 9 })]);
+    expect(summary.unknown).toEqual(['Myanmar']);
+    expect(wsService.sendCrisisUpdate).toHaveBeenCalledTimes(1);
+    expect(wsService.sendCrisisUpdate).toHaveBeenCalledWith(expect.objectContaining({
+      country: 'Sudan',
+      region: 'East Africa',
+      riskChange: expect.objectContaining({ to: 'CRITICAL' })
+    }));
+  });
+
+  test('runs a paused job on demand and records the outcome', async () => {
+    scheduler.pauseJob('watchlist-assessment');
+
+    const run = await scheduler.triggerJob('watchlist-assessment');
+
+    expect(run).toMatchObject({ job: 'watchlist-assessment', trigger: 'manual', success: true });
+    expect(scheduler.listJobs().find(job => job.name === 'watchlist-assessment')).toMatchObject({ paused: true, runCount: 1 });
+    expect(await scheduler.triggerJob('no-such-job')).toBeNull();
+  });
+
+  test('records failures and skips overlapping runs', async () => {
+    let finish;
+    aggregator.getMultiCountryCrisisMonitoring.mockImplementationOnce(() => new Promise(resolve => { finish = resolve; }));
+
+    const first = scheduler.triggerJob('watchlist-assessment');
+    while (!finish) await new Promise(resolve => setImmediate(resolve));
+    await expect(scheduler.triggerJob('watchlist-assessment')).resolves.toMatchObject({ skipped: true });
+    finish([]);
+    await first;
+
+    aggregator.getMultiCountryCrisisMonitoring.mockRejectedValueOnce(new Error('sources offline'));
+    await expect(scheduler.triggerJob('watchlist-assessment')).resolves.toMatchObject({ success: false, error: 'sources offline' });
+    expect(scheduler.describeJob(scheduler.getJob('watchlist-assessment'))).toMatchObject({ runCount: 2, failureCount: 1 });
+  });
+
+  test('rejects duplicate jobs and invalid schedules', () => {
+    const task = jest.fn();
+
+    expect(() => scheduler.registerJob('watchlist-assessment', { schedule: '* * * * *', task })).toThrow('already registered');
+    expect(() => scheduler.registerJob('spec-job', { schedule: 'every minute', task })).toThrow('Invalid cron expression');
+  });
+});
+
+describe('monitoring jobs API', () => {
+  let api;
+
+  beforeAll(async () => {
+    api = await startApi();
+  });
+
+  test('lists jobs and the watchlist', async () => {
+    const res = await api.as(null).get('/monitoring/jobs').expect(200);
+
+    expect(res.body.data.jobs.map(job => job.name)).toEqual(expect.arrayContaining(['watchlist-assessment', 'alert-escalation']));
+    expect(res.body.data.watchlist).toContain('Sudan');
+  });
+
+  test('only admins pause and resume jobs', async () => {
+    await api.as(null).post('/monitoring/jobs/watchlist-assessment/pause').expect(401);
+
+    const paused = await api.as(api.adminToken).post('/monitoring/jobs/watchlist-assessment/pause').expect(200);
+    expect(paused.body.data).toMatchObject({ name: 'watchlist-assessment', paused: true });
+    await api.as(api.adminToken).post('/monitoring/jobs/no-such-job/resume').expect(404);
+  });
+});
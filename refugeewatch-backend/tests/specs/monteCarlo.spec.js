@@ -0,0 +1,167 @@
+/**
+ * Monte Carlo simulation turns a displacement point estimate into P10/P50/P90
+ * ranges by sampling sources and multipliers within their uncertainty.
+ * Runs are reproducible from their seed, capped, and the range scales plan
+ * budgets into low, expected and high variants.
+ */
+
+const GeographicDataService = require('../../src/services/data/geographicData');
+const DataAggregator = require('../../src/services/processing/dataAggregator');
+const ResponsePlanService = require('../../src/services/ai/responsePlanService');
+const MockProvider = require('../../src/services/ai/providers/mockProvider');
+const { DatabaseUtils } = require('../../src/config/database');
+const { getScoringModel, validateScoringModel } = require('../../src/config/scoringModel');
+const { startApi } = require('./helpers/api');
+
+const source = (riskLevel, score, confidence = 0.6) => ({ riskLevel, score, confidence, available: true, indicators: [] });
+
+describe('DataAggregator.simulateDisplacement', () => {
+  const aggregator = new DataAggregator();
+  const assess = (confidence, model = getScoringModel()) => aggregator.scoreSources({
+    conflict: source('HIGH', 75, confidence),
+    economic: source('HIGH', 70, confidence),
+    climate: source('LOW', 20, confidence),
+    news: source('MEDIUM', 50, confidence)
+  }, 'Sudan', model);
+
+  test('gives ordered percentiles and level probabilities around the point estimate', () => {
+    const assessment = assess(0.6);
+
+    const range = aggregator.simulateDisplacement(assessment, getScoringModel(), { iterations: 500, seed: 42 });
+
+    expect(range).toMatchObject({ method: 'monte_carlo', iterations: 500, seed: 42, scoringModelVersion: '1.0.0' });
+    expect(range.pointEstimate).toBe(assessment.displacementRisk.estimatedNumbers);
+    const { p10, p50, p90, min, max } = range.estimatedNumbers;
+    expect(min).toBeLessThanOrEqual(p10);
+    expect(p10).toBeLessThan(p90);
+    expect(p50).toBeGreaterThanOrEqual(p10);
+    expect(p90).toBeLessThanOrEqual(max);
+    expect(Object.values(range.level.probabilities).reduce((sum, share) => sum + share, 0)).toBeCloseTo(1, 2);
+    expect(range.level.pointLevelProbability).toBe(range.level.probabilities[assessment.displacementRisk.level]);
+    expect(range.timeline.days.p10).toBeLessThanOrEqual(range.timeline.days.p90);
+  });
+
+  test('is reproducible from its seed', () => {
+    const assessment = assess(0.6);
+    const run = (seed) => aggregator.simulateDisplacement(assessment, getScoringModel(), { iterations: 200, seed });
+
+    expect(run(7)).toEqual(run(7));
+    expect(run(8).estimatedNumbers).not.toEqual(run(7).estimatedNumbers);
+    // Without a seed the assessment picks one, so stored assessments keep their ranges
+    expect(aggregator.simulateDisplacement(assessment, getScoringModel(), { iterations: 200 }).seed)
+      .toBe(aggregator.simulateDisplacement(assessment, getScoringModel(), { iterations: 200 }).seed);
+  });
+
+  test('collapses to the point estimate without uncertainty', () => {
+    const model = getScoringModel();
+    const certain = { ...model, uncertainty: { ...model.uncertainty, multiplierSpread: 0 } };
+    const assessment = assess(1, certain);
+
+    const range = aggregator.simulateDisplacement(assessment, certain, { iterations: 100, seed: 1 });
+
+    const point = assessment.displacementRisk.estimatedNumbers;
+    expect(range.estimatedNumbers).toEqual({ p10: point, p50: point, p90: point, mean: point, min: point, max: point });
+    expect(range.level.pointLevelProbability).toBe(1);
+  });
+
+  test('runs the scoring model iteration count by default', () => {
+    expect(aggregator.simulateDisplacement(assess(0.6), getScoringModel(), { seed: 3 }).iterations).toBe(1000);
+  });
+});
+
+describe('simulation caps', () => {
+  const withIterations = (iterations) => {
+    const model = JSON.parse(JSON.stringify(getScoringModel()));
+    model.uncertainty.iterations = iterations;
+    return validateScoringModel(model);
+  };
+
+  test('scoring models run 100 to 20000 iterations', () => {
+    expect(withIterations(20000).valid).toBe(true);
+    expect(withIterations(20001).errors).toEqual(['"uncertainty.iterations" must be less than or equal to 20000']);
+    expect(withIterations(99).errors).toEqual(['"uncertainty.iterations" must be greater than or equal to 100']);
+    expect(withIterations(500.5).valid).toBe(false);
+  });
+
+  describe('explain requests', () => {
+    let api;
+    let stored;
+
+    beforeAll(async () => {
+      jest.spyOn(GeographicDataService.prototype, 'getAllCountries').mockImplementation(async function () {
+        return { success: true, data: this.getFallbackCountries(), source: 'Fallback Data' };
+      });
+      api = await startApi();
+
+      const aggregator = new DataAggregator();
+      stored = aggregator.scoreSources({
+        conflict: source('HIGH', 75), economic: source('HIGH', 70), climate: source('LOW', 20), news: source('MEDIUM', 50)
+      }, 'Sudan', getScoringModel());
+      stored.displacementRisk.uncertainty = aggregator.simulateDisplacement(stored, getScoringModel(), { iterations: 300, seed: 11 });
+      await DatabaseUtils.insertAssessmentHistory({ assessment: stored, crisis_id: 'sudan-2025' });
+    });
+
+    afterAll(() => {
+      jest.restoreAllMocks();
+    });
+
+    const explain = (query) => api.as(null).get(`/crisis/Sudan/explain?uncertainty=true${query}`);
+
+    test('reuse the stored range unless runs or a seed are requested', async () => {
+      const reused = await explain('').expect(200);
+      expect(reused.body.data.displacementRisk.uncertainty).toEqual(stored.displacementRisk.uncertainty);
+
+      const rerun = await explain('&seed=12').expect(200);
+      expect(rerun.body.data.displacementRisk.uncertainty).toMatchObject({ seed: 12, iterations: 1000 });
+    });
+
+    test('accept 100 to 5000 runs', async () => {
+      await explain('&iterations=99').expect(400);
+      await explain('&iterations=5001').expect(400);
+      await explain('&iterations=many').expect(400);
+
+      const res = await explain('&iterations=5000&format=text').expect(200);
+      expect(res.text).toMatch(/Displacement range over 5000 simulated runs: P10 \d+, P50 \d+, P90 \d+/);
+    });
+  });
+});
+
+describe('ResponsePlanService budget variants', () => {
+  const service = new ResponsePlanService();
+  const range = { p10: 40000, p50: 80000, p90: 160000, iterations: 1000 };
+
+  test('scale the plan population by the P10/P50 and P90/P50 ratios', () => {
+    const variants = service.calculateBudgetVariants(50000, range);
+
+    expect(variants.basis).toEqual(range);
+    expect(variants.low).toMatchObject({ percentile: 'P10', targetPopulation: 25000 });
+    expect(variants.expected).toMatchObject({ percentile: 'P50', targetPopulation: 50000 });
+    expect(variants.high).toMatchObject({ percentile: 'P90', targetPopulation: 100000 });
+    expect(variants.low.totalCost).toBeLessThan(variants.expected.totalCost);
+    expect(variants.expected.totalCost).toBeLessThan(variants.high.totalCost);
+    expect(variants.expected.totalCost).toBe(service.calculateDetailedCosts(50000, {}).total);
+  });
+
+  test('are left out without a usable range', () => {
+    expect(service.calculateBudgetVariants(50000, null)).toBeNull();
+    expect(service.calculateBudgetVariants(50000, { p10: 0, p50: 0, p90: 0 })).toBeNull();
+  });
+
+  test('come with every calculated plan', async () => {
+    const { content } = await new MockProvider().chatCompletion([
+      { role: 'user', content: 'Return "planOverview" for **Country**: Sudan\n**AI Risk Assessment**: HIGH' }
+    ]);
+    const analysis = {
+      aiRiskAssessment: 'HIGH',
+      metadata: { country: 'Sudan' },
+      displacementPrediction: { estimatedPopulation: 80000, range }
+    };
+
+    const plan = service.enhancePlanWithCalculations(JSON.parse(content), analysis);
+
+    const population = plan.metadata.targetPopulation;
+    expect(plan.budgetVariants).toEqual(plan.costAnalysis.budgetVariants);
+    expect(plan.budgetVariants.high.targetPopulation).toBe(Math.round(population * 2));
+    expect(plan.budgetVariants.expected.totalCost).toBe(plan.totalCost);
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * The country news analysis merges NewsAPI and Guardian coverage, drops
+ * stories both report, flags recent reports of acute events as breaking and
+ * scores urgency from volume, negativity and breaking reports.
+ */
+
+const moment = require('moment');
+const RealNewsDataService = require('../../src/services/data/newsData');
+const DataAggregator = require('../../src/services/processing/dataAggregator');
+
+const article = (title, url, hoursAgo, sentiment, crisisKeywords = []) => ({
+  title,
+  url,
+  description: '',
+  source: url.includes('guardian') ? 'The Guardian' : 'Reuters',
+  publishedAt: moment().subtract(hoursAgo, 'hours').toISOString(),
+  sentiment,
+  crisisKeywords
+});
+
+const found = (source, data) => ({ success: true, source, data });
+
+describe('RealNewsDataService.getCountryNewsAnalysis', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new RealNewsDataService();
+    jest.spyOn(service, 'searchNewsAPI').mockResolvedValue(found('NewsAPI', [
+      article('Sudan: civilians fled El Fasher after shelling', 'https://news.example.org/el-fasher?utm_source=feed', 2, 'negative', ['displaced', 'crisis']),
+      article('Aid convoy reaches Darfur', 'https://news.example.org/convoy', 72, 'positive', ['aid'])
+    ]));
+    jest.spyOn(service, 'searchGuardianNews').mockResolvedValue(found('The Guardian', [
+      article('Sudan: Civilians fled El Fasher after shelling!', 'https://guardian.example.org/el-fasher', 3, 'negative', ['displaced']),
+      article('Shelling and war in Sudan have displaced millions', 'https://guardian.example.org/millions', 120, 'negative', ['war', 'displaced'])
+    ]));
+  });
+
+  test('merges both sources without duplicate stories', async () => {
+    const analysis = await service.getCountryNewsAnalysis('Sudan', 7);
+
+    expect(service.searchNewsAPI).toHaveBeenCalledWith('Sudan', 50, 7);
+    expect(analysis).toMatchObject({ sources: ['NewsAPI', 'The Guardian'], articleCount: 3, mediaAttention: 'low', confidence: 0.73 });
+    expect(analysis.topArticles.map(a => a.url)).toEqual([
+      'https://news.example.org/el-fasher?utm_source=feed',
+      'https://news.example.org/convoy',
+      'https://guardian.example.org/millions'
+    ]);
+  });
+
+  test('flags only recent reports of acute events as breaking', async () => {
+    const { breakingNews } = await service.getCountryNewsAnalysis('Sudan', 7);
+
+    expect(breakingNews).toEqual([expect.objectContaining({
+      title: 'Sudan: civilians fled El Fasher after shelling',
+      triggers: ['shelling', 'fled'],
+      urgency: 'high'
+    })]);
+  });
+
+  test('tracks sentiment and crisis keywords over the window', async () => {
+    const analysis = await service.getCountryNewsAnalysis('Sudan', 7);
+
+    expect(analysis.sentimentBreakdown).toEqual({
+      overall: 'negative', positive: 1, negative: 2, neutral: 0, negativeShare: 0.67, trend: 'insufficient_data'
+    });
+    expect(analysis.keywordVolume.daily).toHaveLength(7);
+    expect(analysis.keywordVolume.keywords).toEqual({ displaced: 2, crisis: 1, aid: 1, war: 1 });
+    expect(analysis).toMatchObject({ urgencyScore: 33, crisisLevel: 'MEDIUM', sentiment: 'negative' });
+    expect(analysis.keyIndicators[0]).toBe('3 articles in 7 days (keyword volume stable)');
+
+    expect(new DataAggregator().normalizeNewsData(analysis)).toMatchObject({
+      riskLevel: 'MEDIUM',
+      score: 33,
+      sentiment: 'negative',
+      available: true,
+      breakingNews: [expect.objectContaining({ urgency: 'high' })],
+      drivers: expect.arrayContaining([{ indicator: 'negativeShare', value: 0.67 }])
+    });
+  });
+
+  test('uses whichever source answers and is unavailable when neither does', async () => {
+    service.searchGuardianNews.mockResolvedValue({ success: false, error: 'Guardian API key missing', data: [] });
+    expect((await service.getCountryNewsAnalysis('Sudan', 7)).sources).toEqual(['NewsAPI']);
+
+    service.searchNewsAPI.mockResolvedValue({ success: false, error: 'rate limited', data: [] });
+    const empty = await service.getCountryNewsAnalysis('Myanmar', 7);
+
+    expect(empty.error).toBe('No news source available (rate limited; Guardian API key missing)');
+    expect(new DataAggregator().normalizeNewsData(empty)).toMatchObject({ riskLevel: 'UNKNOWN', available: false });
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * New alerts reach matching subscribers once: immediate deliveries are sent
+ * under a claim, digest subscribers get the alert queued, and a due retry is
+ * only sent by the dispatcher that claims it.
+ */
+
+const { initializeDatabase, runQuery, DatabaseUtils } = require('../../src/config/database');
+const { NotificationService } = require('../../src/services/processing/notificationService');
+const { formatAlert } = require('../../src/services/processing/alertService');
+const { toDbTimestamp } = require('../../src/utils/analyticsUtils');
+
+async function raiseAlert(crisisId, level = 'HIGH') {
+  const { lastID } = await DatabaseUtils.insertAlert({
+    crisis_id: crisisId,
+    alert_level: level,
+    alert_type: 'THRESHOLD',
+    title: `Spec ${level} alert`,
+    message: 'Raised by the notification spec'
+  });
+  return formatAlert(await DatabaseUtils.getAlertById(lastID));
+}
+
+describe('NotificationService delivery', () => {
+  let service;
+  let send;
+  let eastAfrica;
+  let digest;
+
+  beforeAll(async () => {
+    await initializeDatabase();
+    send = jest.fn(async () => {});
+    service = new NotificationService({ transports: { send } });
+
+    eastAfrica = await service.createSubscriber({
+      name: 'East Africa desk',
+      email: 'east-africa@example.org',
+      channels: ['email'],
+      severityLevels: ['HIGH', 'CRITICAL'],
+      regions: ['East Africa']
+    });
+    digest = await service.createSubscriber({
+      name: 'Daily digest',
+      email: 'digest@example.org',
+      channels: ['email'],
+      severityLevels: ['HIGH'],
+      frequency: 'daily'
+    });
+    await service.createSubscriber({
+      name: 'Asia desk',
+      email: 'asia@example.org',
+      channels: ['email'],
+      severityLevels: ['HIGH'],
+      regions: ['Southeast Asia']
+    });
+  });
+
+  beforeEach(() => {
+    send.mockReset();
+    send.mockResolvedValue();
+  });
+
+  test('an alert is sent once to matching immediate subscribers and queued for digests', async () => {
+    const alert = await raiseAlert('sudan-2025');
+
+    const summary = await service.notifyAlert(alert);
+
+    expect(summary).toMatchObject({ subscribers: 2, queued: 1, deferred: 0 });
+    expect(summary.deliveries).toHaveLength(1);
+    expect(summary.deliveries[0]).toMatchObject({ subscriberId: eastAfrica.id, status: 'sent', attempts: 1 });
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(send).toHaveBeenCalledWith('email', 'east-africa@example.org', expect.objectContaining({ subject: expect.any(String) }));
+    expect(await DatabaseUtils.getQueuedNotifications(digest.id)).toHaveLength(1);
+
+    // The delivery was claimed when it was recorded, so the dispatcher has nothing to resend
+    const dispatched = await service.dispatchDue();
+    expect(dispatched.attempted).toBe(0);
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+
+  test('alerts below the chosen severity are not delivered', async () => {
+    const alert = await raiseAlert('sudan-2025', 'MEDIUM');
+
+    const summary = await service.notifyAlert(alert);
+
+    expect(summary.subscribers).toBe(0);
+    expect(send).not.toHaveBeenCalled();
+  });
+
+  test('a failed delivery is retried later by exactly one dispatcher', async () => {
+    send.mockRejectedValueOnce(new Error('SMTP timeout'));
+    const alert = await raiseAlert('sudan-2025', 'CRITICAL');
+
+    const [delivery] = (await service.notifyAlert(alert)).deliveries;
+    expect(delivery).toMatchObject({ status: 'pending', attempts: 1, lastError: 'SMTP timeout' });
+
+    // Not due until the retry delay has passed
+    expect((await service.dispatchDue()).attempted).toBe(0);
+
+    await runQuery('UPDATE notification_deliveries SET scheduled_for = ? WHERE id = ?', ['2000-01-01 00:00:00', delivery.id]);
+    const [first, second] = await Promise.all([service.dispatchDue(), service.dispatchDue()]);
+
+    expect(first.attempted + second.attempted).toBe(1);
+    expect(first.sent + second.sent).toBe(1);
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(await DatabaseUtils.getNotificationDeliveryById(delivery.id)).toMatchObject({ status: 'sent', attempts: 2 });
+  });
+
+  test('a due delivery can only be claimed once until the claim expires', async () => {
+    const { lastID } = await DatabaseUtils.insertNotificationDelivery({
+      subscriber_id: eastAfrica.id,
+      channel: 'email',
+      kind: 'test',
+      subject: 'Claim spec',
+      message: { text: 'Claim spec' },
+      scheduled_for: '2000-01-01 00:00:00'
+    });
+    const now = toDbTimestamp(new Date());
+    const claimUntil = '2999-01-01 00:00:00';
+
+    expect(await DatabaseUtils.claimNotificationDelivery(lastID, now, claimUntil)).toBe(true);
+    expect(await DatabaseUtils.claimNotificationDelivery(lastID, now, claimUntil)).toBe(false);
+    expect(await DatabaseUtils.claimNotificationDelivery(lastID, '2999-01-01 00:00:01', '2999-01-01 00:10:00')).toBe(true);
+  });
+});
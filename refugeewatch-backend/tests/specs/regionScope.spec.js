@@ -0,0 +1,190 @@
+/**
+ * Accounts with regional assignments only see and change crises, alerts,
+ * reports and scenarios inside their regions; anything else answers 404 as
+ * if it did not exist. Reports across every crisis need an unscoped account.
+ */
+
+const request = require('supertest');
+const { initializeDatabase, DatabaseUtils } = require('../../src/config/database');
+const { getAuthService } = require('../../src/services/processing/authService');
+const GeographicDataService = require('../../src/services/data/geographicData');
+
+const ASIA_ANALYST = { name: 'Asia Analyst', email: 'asia@example.org', password: 'asia-password-123' };
+const ASIA_COORDINATOR = { name: 'Asia Coordinator', email: 'asia-coordinator@example.org', password: 'asia-password-456' };
+
+describe('region scope', () => {
+  let app;
+  let adminToken;
+  let asiaToken;
+  let asiaCoordinatorToken;
+
+  const login = async ({ email, password }) => {
+    const res = await request(app).post('/api/auth/login').send({ email, password }).expect(200);
+    return res.body.data.token;
+  };
+  const as = (token) => ({
+    get: (path) => request(app).get(`/api${path}`).set('Authorization', `Bearer ${token}`),
+    post: (path, body) => request(app).post(`/api${path}`).set('Authorization', `Bearer ${token}`).send(body),
+    patch: (path, body) => request(app).patch(`/api${path}`).set('Authorization', `Bearer ${token}`).send(body),
+    delete: (path) => request(app).delete(`/api${path}`).set('Authorization', `Bearer ${token}`)
+  });
+  const createReport = async (body) => {
+    const res = await as(adminToken).post('/reports', { type: 'crisis_summary', format: 'markdown', ...body }).expect(201);
+    return res.body.data;
+  };
+  const createScenario = async (country, crisisId) => {
+    const base = await DatabaseUtils.insertAssessmentHistory({
+      assessment: { country, overallRisk: 'HIGH', confidence: 0.7, dataQuality: 'GOOD' },
+      crisis_id: crisisId
+    });
+    const result = await DatabaseUtils.insertScenario({
+      name: `${country} scenario`,
+      simulation_type: 'escalation',
+      country,
+      crisis_id: crisisId,
+      base_assessment_id: base.lastID,
+      modifications: {},
+      baseline: {},
+      outcome: {},
+      comparison: { overallRisk: { from: 'HIGH', to: 'HIGH' }, displacement: { estimatedNumbers: 0 }, costs: { total: 0 } }
+    });
+    return result.lastID;
+  };
+
+  beforeAll(async () => {
+    // Locations are stored as given instead of being looked up online
+    jest.spyOn(GeographicDataService.prototype, 'getCountryByName')
+      .mockResolvedValue({ success: false, error: 'offline' });
+
+    await initializeDatabase();
+    await getAuthService().ensureBootstrapAdmin();
+    app = require('../../src/app');
+
+    adminToken = await login({ email: process.env.AUTH_ADMIN_EMAIL, password: process.env.AUTH_ADMIN_PASSWORD });
+    await as(adminToken).post('/users', { ...ASIA_ANALYST, role: 'analyst', regions: ['Southeast Asia'] }).expect(201);
+    asiaToken = await login(ASIA_ANALYST);
+    await as(adminToken).post('/users', { ...ASIA_COORDINATOR, role: 'coordinator', regions: ['Southeast Asia'] }).expect(201);
+    asiaCoordinatorToken = await login(ASIA_COORDINATOR);
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('crisis registry', () => {
+    const crisisBody = (location, region) => ({
+      location,
+      region,
+      type: 'conflict',
+      title: `${location} conflict`,
+      description: `Fighting displaces families across ${location}`,
+      severity: 'HIGH',
+      populationAffected: 50000
+    });
+
+    test('only registers crises in the account regions', async () => {
+      await as(asiaCoordinatorToken).post('/crisis', crisisBody('Thailand', 'Southeast Asia')).expect(201);
+      await as(asiaCoordinatorToken).post('/crisis', crisisBody('Chad', 'Central Africa')).expect(403);
+      expect(await DatabaseUtils.getCrisisByCountry('Chad')).toBeFalsy();
+    });
+
+    test('crises outside the regions cannot be updated or deleted', async () => {
+      await as(asiaCoordinatorToken).patch('/crisis/sudan-2025', { status: 'MONITORING' }).expect(404);
+      await as(asiaCoordinatorToken).delete('/crisis/sudan-2025?permanent=true').expect(404);
+      expect((await DatabaseUtils.getCrisisById('sudan-2025')).status).toBe('ACTIVE');
+
+      await as(asiaCoordinatorToken).patch('/crisis/myanmar-2025', { status: 'MONITORING' }).expect(200);
+    });
+
+    test('a crisis cannot be moved out of the account regions', async () => {
+      await as(asiaCoordinatorToken).patch('/crisis/myanmar-2025', { region: 'East Africa' }).expect(403);
+      expect((await DatabaseUtils.getCrisisById('myanmar-2025')).region).toBe('Southeast Asia');
+    });
+  });
+
+  describe('alerts', () => {
+    const alertBody = (crisisId) => ({
+      crisisId,
+      type: 'WARNING',
+      title: 'Border crossing closed',
+      message: 'The main crossing was closed to civilians this morning',
+      severity: 'MODERATE'
+    });
+
+    test('only raises alerts for crises in the account regions', async () => {
+      await as(asiaCoordinatorToken).post('/alerts', alertBody('sudan-2025')).expect(404);
+      await as(asiaCoordinatorToken).post('/alerts', alertBody('myanmar-2025')).expect(201);
+    });
+
+    test('alerts outside the regions cannot be acknowledged or resolved', async () => {
+      const sudan = (await as(adminToken).post('/alerts', alertBody('sudan-2025')).expect(201)).body.data;
+
+      await as(asiaCoordinatorToken).post(`/alerts/${sudan.id}/acknowledge`, {}).expect(404);
+      await as(asiaCoordinatorToken).post(`/alerts/${sudan.id}/resolve`, {}).expect(404);
+      await as(adminToken).post(`/alerts/${sudan.id}/resolve`, {}).expect(200);
+    });
+  });
+
+  describe('reports', () => {
+    let sudanReport;
+    let myanmarReport;
+    let allCrisesReport;
+
+    beforeAll(async () => {
+      sudanReport = await createReport({ crisisId: 'sudan-2025' });
+      myanmarReport = await createReport({ crisisId: 'myanmar-2025' });
+      allCrisesReport = await createReport({});
+    });
+
+    test('lists only reports about crises in the account regions', async () => {
+      const res = await as(asiaToken).get('/reports').expect(200);
+      expect(res.body.data.map(report => report.id)).toEqual([myanmarReport.id]);
+
+      const adminList = await as(adminToken).get('/reports').expect(200);
+      expect(adminList.body.data.map(report => report.id))
+        .toEqual(expect.arrayContaining([sudanReport.id, myanmarReport.id, allCrisesReport.id]));
+    });
+
+    test('hides reports outside the regions and across every crisis', async () => {
+      await as(asiaToken).get(`/reports/${myanmarReport.id}`).expect(200);
+      await as(asiaToken).get(`/reports/${sudanReport.id}`).expect(404);
+      await as(asiaToken).get(`/reports/${allCrisesReport.id}`).expect(404);
+      await as(asiaToken).get(`/reports/${sudanReport.id}/download`).expect(404);
+      await as(asiaToken).get(`/reports/${myanmarReport.id}/download`).expect(200);
+    });
+
+    test('only creates reports for crises in the account regions', async () => {
+      await as(asiaToken).post('/reports', { type: 'crisis_summary', format: 'markdown', crisisId: 'myanmar-2025' }).expect(201);
+      await as(asiaToken).post('/reports', { type: 'crisis_summary', format: 'markdown', crisisId: 'sudan-2025' }).expect(404);
+      await as(asiaToken).post('/reports', { type: 'crisis_summary', format: 'markdown' }).expect(403);
+    });
+  });
+
+  describe('scenarios', () => {
+    let sudanScenario;
+    let myanmarScenario;
+    let untrackedScenario;
+
+    beforeAll(async () => {
+      sudanScenario = await createScenario('Sudan', 'sudan-2025');
+      myanmarScenario = await createScenario('Myanmar', null);
+      untrackedScenario = await createScenario('Atlantis', null);
+    });
+
+    test('lists scenarios in the account regions and for countries without a crisis', async () => {
+      const res = await as(asiaToken).get('/scenarios').expect(200);
+      const ids = res.body.data.map(scenario => scenario.id);
+      expect(ids).toEqual(expect.arrayContaining([myanmarScenario, untrackedScenario]));
+      expect(ids).not.toContain(sudanScenario);
+
+      const adminList = await as(adminToken).get('/scenarios').expect(200);
+      expect(adminList.body.data.map(scenario => scenario.id)).toContain(sudanScenario);
+    });
+
+    test('hides scenarios for crises outside the regions', async () => {
+      await as(asiaToken).get(`/scenarios/${myanmarScenario}`).expect(200);
+      await as(asiaToken).get(`/scenarios/${sudanScenario}`).expect(404);
+      await as(adminToken).get(`/scenarios/${sudanScenario}`).expect(200);
+    });
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Reports are rendered from stored crises, predictions and plans in the
+ * requested type and format, saved, and downloaded later. The crisis picker
+ * accepts a crisis ID or country name; without one the report covers every
+ * active crisis.
+ */
+
+const { startApi } = require('./helpers/api');
+
+describe('reports API', () => {
+  let api;
+  let analyst;
+
+  beforeAll(async () => {
+    api = await startApi();
+    analyst = (await api.createUser({
+      name: 'Report Analyst', email: 'report-analyst@example.org', password: 'analyst-password-1', role: 'analyst'
+    })).token;
+  });
+
+  const generate = (body, token = analyst) => api.as(token).post('/reports', body);
+  // downloadUrl is the full /api path
+  const download = ({ downloadUrl }, token = null) => api.as(token).get(downloadUrl.replace(/^\/api/, ''));
+
+  test('renders a crisis summary for the picked crisis and stores it', async () => {
+    const res = await generate({ type: 'crisis_summary', crisisId: 'sudan-2025', format: 'markdown' }).expect(201);
+    const report = res.body.data;
+
+    expect(report).toMatchObject({
+      type: 'crisis_summary',
+      format: 'markdown',
+      crisisId: 'sudan-2025',
+      mimeType: 'text/markdown; charset=utf-8',
+      options: { includeAnalysis: true, includePredictions: true, customSections: [] },
+      downloadUrl: `/api/reports/${report.id}/download`
+    });
+    expect(report.filename).toMatch(/\.md$/);
+    expect(report.sections).toEqual(expect.arrayContaining(['Overview', 'Crisis Drivers', 'AI Analysis', 'Displacement Predictions', 'Open Alerts']));
+
+    const file = await download(report).expect(200);
+    expect(file.headers['content-type']).toBe('text/markdown; charset=utf-8');
+    expect(file.headers['content-disposition']).toBe(`attachment; filename="${report.filename}"`);
+    expect(file.text).toMatch(new RegExp(`^# ${report.title}`));
+    expect(file.text).toContain('## Displacement Predictions');
+    expect(Number(file.headers['content-length'])).toBe(report.sizeBytes);
+  });
+
+  test('picks a crisis by country name', async () => {
+    const res = await generate({ type: 'displacement_analysis', crisisId: 'Myanmar', format: 'html' }).expect(201);
+
+    expect(res.body.data).toMatchObject({ crisisId: 'myanmar-2025', mimeType: 'text/html; charset=utf-8' });
+    expect(res.body.data.sections).toContain('Likely Destinations');
+  });
+
+  test('include flags given as strings leave their sections out', async () => {
+    const res = await generate({
+      type: 'crisis_summary', crisisId: 'sudan-2025', includeAnalysis: 'false', includePredictions: 'false'
+    }).expect(201);
+
+    expect(res.body.data.options).toMatchObject({ includeAnalysis: false, includePredictions: false });
+    expect(res.body.data.sections).not.toContain('Displacement Predictions');
+    expect(res.body.data.sections).not.toContain('AI Analysis');
+  });
+
+  test('custom sections follow the generated ones', async () => {
+    const res = await generate({
+      type: 'situation_update',
+      crisisId: 'sudan-2025',
+      format: 'csv',
+      customSections: ['Road to Adre reopened', { title: 'Field Notes', content: 'Camps near capacity.\n\nWater trucking resumed.' }]
+    }).expect(201);
+    const { sections } = res.body.data;
+
+    expect(sections.slice(-2)).toEqual(['Field Notes', 'Additional Notes']);
+    const file = await download(res.body.data).expect(200);
+    expect(file.text).toContain('Field Notes\r\nCamps near capacity.\r\nWater trucking resumed.');
+    expect(file.text).toContain('Additional Notes\r\nRoad to Adre reopened');
+  });
+
+  test('every format downloads with its own file type', async () => {
+    const pdf = (await generate({ type: 'donor_briefing', crisisId: 'sudan-2025', format: 'pdf' }).expect(201)).body.data;
+    const word = (await generate({ type: 'donor_briefing', crisisId: 'sudan-2025', format: 'word' }).expect(201)).body.data;
+
+    expect(pdf.sections[0]).toBe('Key Figures');
+    expect(pdf.filename).toMatch(/\.pdf$/);
+    const file = await download(pdf).buffer(true).expect(200);
+    expect(file.headers['content-type']).toBe('application/pdf');
+    expect(file.body.toString('latin1', 0, 5)).toBe('%PDF-');
+
+    expect(word).toMatchObject({ mimeType: 'application/msword' });
+    expect(word.filename).toMatch(/\.doc$/);
+  });
+
+  test('a response plan report needs a crisis; other types cover every active crisis', async () => {
+    const planless = await generate({ type: 'response_plan' }).expect(400);
+    expect(planless.body.error).toBe('response_plan reports need a crisisId');
+
+    const plan = await generate({ type: 'response_plan', crisisId: 'sudan-2025' }).expect(201);
+    expect(plan.body.data.sections).toContain('Response Plan');
+
+    const all = await generate({ type: 'crisis_summary', format: 'markdown' }).expect(201);
+    expect(all.body.data).toMatchObject({ crisisId: null, title: expect.stringMatching(/: All Active Crises$/) });
+  });
+
+  test('lists stored reports newest first with filters', async () => {
+    const all = await api.as(null).get('/reports').expect(200);
+    expect(all.body.count).toBeGreaterThanOrEqual(8);
+    const ids = all.body.data.map(report => report.id);
+    expect(ids).toEqual([...ids].sort((a, b) => b - a));
+
+    const filtered = await api.as(null).get('/reports?type=donor_briefing&format=pdf&crisisId=sudan-2025').expect(200);
+    expect(filtered.body.data).toHaveLength(1);
+    expect(filtered.body.filters).toEqual({ type: 'donor_briefing', crisisId: 'sudan-2025', format: 'pdf' });
+
+    expect((await api.as(null).get('/reports?limit=2').expect(200)).body.data).toHaveLength(2);
+    await api.as(null).get('/reports?type=weekly_digest').expect(400);
+    await api.as(null).get('/reports?format=docx').expect(400);
+  });
+
+  test('rejects invalid requests and unknown crises', async () => {
+    await generate({ type: 'weekly_digest' }).expect(400);
+    await generate({ type: 'crisis_summary', format: 'docx' }).expect(400);
+    await generate({ type: 'crisis_summary', includeAnalysis: 'sometimes' }).expect(400);
+    await generate({ type: 'crisis_summary', customSections: [{ title: 'No content' }] }).expect(400);
+    await generate({ type: 'crisis_summary', customSections: Array(21).fill('note') }).expect(400);
+
+    const unknown = await generate({ type: 'crisis_summary', crisisId: 'atlantis-2025' }).expect(404);
+    expect(unknown.body.error).toBe('Crisis not found: atlantis-2025');
+
+    await api.as(null).get('/reports/999999').expect(404);
+    await api.as(null).get('/reports/999999/download').expect(404);
+    await api.as(null).get('/reports/latest').expect(400);
+  });
+
+  test('only analysts and admins generate reports', async () => {
+    const { token: viewer } = await api.createUser({
+      name: 'Report Viewer', email: 'report-viewer@example.org', password: 'viewer-password-1', role: 'viewer'
+    });
+
+    await generate({ type: 'crisis_summary', crisisId: 'sudan-2025' }, null).expect(401);
+    await generate({ type: 'crisis_summary', crisisId: 'sudan-2025' }, viewer).expect(403);
+    await generate({ type: 'crisis_summary', crisisId: 'sudan-2025' }, api.adminToken).expect(201);
+  });
+
+  test('regional users only report on and see crises in their regions', async () => {
+    const { token } = await api.createUser({
+      name: 'Asia Reports', email: 'report-asia@example.org', password: 'analyst-password-1', role: 'analyst', regions: ['Southeast Asia']
+    });
+    const sudan = (await generate({ type: 'crisis_summary', crisisId: 'sudan-2025' }).expect(201)).body.data;
+    const all = (await generate({ type: 'crisis_summary' }).expect(201)).body.data;
+
+    await generate({ type: 'crisis_summary', crisisId: 'sudan-2025' }, token).expect(404);
+    await generate({ type: 'crisis_summary' }, token).expect(403);
+    await generate({ type: 'crisis_summary', crisisId: 'myanmar-2025' }, token).expect(201);
+
+    await api.as(token).get(`/reports/${sudan.id}`).expect(404);
+    await download(all, token).expect(404);
+    await download(sudan).expect(200);
+    const list = await api.as(token).get('/reports').expect(200);
+    expect(new Set(list.body.data.map(report => report.crisisId))).toEqual(new Set(['myanmar-2025']));
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Scenarios re-score a stored assessment with what-if modifications applied
+ * and save the outcome side by side with the baseline, including response
+ * costs. The stored assessment itself never changes.
+ */
+
+const { DatabaseUtils } = require('../../src/config/database');
+const DataAggregator = require('../../src/services/processing/dataAggregator');
+const { getScoringModel } = require('../../src/config/scoringModel');
+const { startApi } = require('./helpers/api');
+
+const source = (riskLevel, score) => ({ riskLevel, score, confidence: 0.8, available: true, indicators: [] });
+
+describe('scenarios API', () => {
+  let api;
+  let analyst;
+  let baseId;
+
+  beforeAll(async () => {
+    api = await startApi();
+    analyst = (await api.createUser({
+      name: 'Scenario Analyst', email: 'scenario-analyst@example.org', password: 'analyst-password-1', role: 'analyst'
+    })).token;
+
+    const assessment = new DataAggregator().scoreSources(
+      { conflict: source('HIGH', 75), economic: source('HIGH', 70), climate: source('LOW', 20), news: source('MEDIUM', 50) },
+      'Sudan',
+      getScoringModel()
+    );
+    ({ lastID: baseId } = await DatabaseUtils.insertAssessmentHistory({ assessment, crisis_id: 'sudan-2025' }));
+  });
+
+  const simulate = (body, token = analyst) => api.as(token).post('/scenarios', { baseDataId: 'sudan-2025', ...body });
+
+  test('an intervention lowers the risk it targets, the displacement and the costs', async () => {
+    const res = await simulate({ modifications: { interventions: ['ceasefire'] } }).expect(201);
+    const { comparison } = res.body.data;
+
+    expect(res.body.data).toMatchObject({
+      name: 'Sudan intervention scenario', simulationType: 'intervention', crisisId: 'sudan-2025', baseAssessmentId: baseId, scoringModelVersion: '1.0.0'
+    });
+    expect(comparison.sources.conflict).toEqual({ baseline: 'HIGH', scenario: 'MEDIUM', changed: true });
+    expect(comparison.applied).toEqual(expect.arrayContaining([
+      { modification: 'intervention', intervention: 'ceasefire', source: 'conflict', from: 'HIGH', to: 'MEDIUM' },
+      expect.objectContaining({ modification: 'intervention', intervention: 'ceasefire', displacementReduction: 0.4 })
+    ]));
+    expect(comparison.displacement.estimatedNumbers.change).toBeLessThan(0);
+    expect(comparison.costs.total.change).toBeLessThan(0);
+  });
+
+  test('escalation raises the targeted sources and scales the estimate by spread', async () => {
+    const res = await simulate({
+      name: 'Conflict spreads nationwide',
+      modifications: { severity: 'CRITICAL', type: 'conflict', geographicSpread: 'national', externalFactors: ['Border closure'] }
+    }).expect(201);
+    const { comparison, outcome } = res.body.data;
+
+    expect(res.body.data).toMatchObject({ name: 'Conflict spreads nationwide', simulationType: 'escalation' });
+    expect(comparison.sources.conflict).toMatchObject({ baseline: 'HIGH', scenario: 'CRITICAL' });
+    expect(comparison.sources.economic.changed).toBe(false);
+    expect(comparison.applied).toContainEqual({ modification: 'geographicSpread', spread: 'national', factor: 1.5 });
+    expect(comparison.displacement.estimatedNumbers.percentChange).toBeGreaterThan(50);
+    expect(outcome.displacement.primaryCauses[0]).toBe('Border closure');
+  });
+
+  test('an affected population replaces the estimate and drives the costs', async () => {
+    const res = await simulate({ simulationType: 'displacement', modifications: { populationAffected: 100000, duration: 12 } }).expect(201);
+    const { outcome, comparison } = res.body.data;
+
+    expect(comparison.applied).toEqual([
+      expect.objectContaining({ modification: 'populationAffected', to: 100000 }),
+      { modification: 'duration', months: 12, factor: 2 }
+    ]);
+    expect(outcome.displacement.estimatedNumbers).toBe(200000);
+    expect(outcome.costs.targetPopulation).toBe(200000);
+    expect(outcome.costs.breakdown.total).toBeGreaterThan(0);
+  });
+
+  test('saved scenarios are listed and fetched, and the stored assessment is untouched', async () => {
+    const before = await DatabaseUtils.getAssessmentById(baseId);
+    const { id } = (await simulate({ modifications: { interventions: [{ type: 'cash_transfers', coverage: 0.5 }] } }).expect(201)).body.data;
+
+    const list = await api.as(null).get(`/scenarios?country=Sudan&baseAssessmentId=${baseId}`).expect(200);
+    expect(list.body.data[0]).toMatchObject({ id, simulationType: 'intervention', baseAssessmentId: baseId });
+    expect(list.body.data[0].totalCost).toMatchObject({ baseline: expect.any(Number), scenario: expect.any(Number) });
+
+    const saved = await api.as(null).get(`/scenarios/${id}`).expect(200);
+    expect(saved.body.data.modifications.interventions).toEqual([{ type: 'cash_transfers', coverage: 0.5 }]);
+    expect((await DatabaseUtils.getAssessmentById(baseId)).assessment).toBe(before.assessment);
+  });
+
+  test('rejects invalid modifications and unknown baselines', async () => {
+    await simulate({ modifications: { weather: 'stormy' } }).expect(400);
+    await simulate({ modifications: { interventions: ['airdrop'] } }).expect(400);
+
+    const noIntervention = await simulate({ simulationType: 'intervention', modifications: { duration: 3 } }).expect(400);
+    expect(noIntervention.body).toMatchObject({
+      error: 'Invalid scenario modifications', details: ['An intervention simulation needs at least one intervention']
+    });
+
+    await simulate({ baseDataId: 'atlantis-2025', modifications: {} }).expect(404);
+    await simulate({ modifications: {} }, null).expect(401);
+    await api.as(null).get('/scenarios/999999').expect(404);
+  });
+
+  test('regional users only simulate and see crises in their regions', async () => {
+    const { token } = await api.createUser({
+      name: 'Asia Scenarios', email: 'scenario-asia@example.org', password: 'analyst-password-1', role: 'analyst', regions: ['Southeast Asia']
+    });
+    const { id } = (await simulate({ modifications: { duration: 3 } }).expect(201)).body.data;
+
+    await simulate({ modifications: { duration: 3 } }, token).expect(404);
+    await api.as(token).get(`/scenarios/${id}`).expect(404);
+    const list = await api.as(token).get('/scenarios').expect(200);
+    expect(list.body.data.map(scenario => scenario.country)).not.toContain('Sudan');
+  });
+});
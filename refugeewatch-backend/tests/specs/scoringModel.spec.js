@@ -0,0 +1,122 @@
+/**
+ * Assessments are scored with a versioned scoring model. Candidate models
+ * are validated and can be dry-run against stored assessments, which are
+ * re-scored with both models without writing anything.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runQuery, DatabaseUtils } = require('../../src/config/database');
+const { getScoringModel, validateScoringModel, loadScoringModel } = require('../../src/config/scoringModel');
+const DataAggregator = require('../../src/services/processing/dataAggregator');
+const { startApi } = require('./helpers/api');
+
+const source = (riskLevel, score) => ({ riskLevel, score, confidence: 0.8, available: true, indicators: [] });
+const sudanSources = () => ({
+  conflict: source('HIGH', 75), economic: source('HIGH', 70), climate: source('LOW', 20), news: source('MEDIUM', 50)
+});
+
+// The active model with every overall threshold lowered
+const lenientModel = () => {
+  const model = JSON.parse(JSON.stringify(getScoringModel()));
+  model.version = '2.0.0-lenient';
+  model.overall.thresholds = model.overall.thresholds.map(threshold => ({
+    ...threshold, minScore: Math.max(0, threshold.minScore - 20)
+  }));
+  return model;
+};
+
+describe('scoring model validation', () => {
+  test('the default model is valid with thresholds sorted highest first', () => {
+    const model = getScoringModel();
+
+    expect(model.version).toBe('1.0.0');
+    expect(model.overall.thresholds.map(threshold => threshold.level)).toEqual(['CRITICAL', 'HIGH', 'MEDIUM', 'LOW', 'MINIMAL']);
+    expect(model.uncertainty).toMatchObject({ iterations: 1000 });
+  });
+
+  test('lists schema errors and missing catch-all levels', () => {
+    const { sourceWeights, ...withoutWeights } = lenientModel();
+    expect(validateScoringModel(withoutWeights)).toEqual({ valid: false, errors: ['"sourceWeights" is required'] });
+
+    const noFloor = lenientModel();
+    noFloor.overall.thresholds = noFloor.overall.thresholds.filter(threshold => threshold.minScore > 0);
+    expect(validateScoringModel(noFloor).errors).toEqual(['overall.thresholds must include a level with minScore 0']);
+  });
+
+  test('refuses to load an invalid model file', () => {
+    const file = path.join(os.tmpdir(), `scoring-model-${process.pid}.json`);
+    fs.writeFileSync(file, JSON.stringify({ ...lenientModel(), version: 'two point oh' }));
+    try {
+      expect(() => loadScoringModel(file)).toThrow(/^Invalid scoring model .*"version"/);
+    } finally {
+      fs.rmSync(file, { force: true });
+    }
+  });
+
+  test('assessments record the model that scored them', () => {
+    const aggregator = new DataAggregator();
+
+    const active = aggregator.scoreSources(sudanSources(), 'Sudan', getScoringModel());
+    const lenient = aggregator.scoreSources(sudanSources(), 'Sudan', lenientModel());
+
+    expect(active).toMatchObject({ scoringModelVersion: '1.0.0', explanation: { modelVersion: '1.0.0' } });
+    expect(lenient.scoringModelVersion).toBe('2.0.0-lenient');
+    expect(active.riskScore).toBeGreaterThan(0);
+    expect(lenient.riskScore).toBe(active.riskScore);
+  });
+});
+
+describe('scoring model API', () => {
+  let api;
+  let analyst;
+  let storedId;
+
+  beforeAll(async () => {
+    api = await startApi();
+    analyst = (await api.createUser({
+      name: 'Model Analyst', email: 'model-analyst@example.org', password: 'analyst-password-1', role: 'analyst'
+    })).token;
+
+    const assessment = new DataAggregator().scoreSources(sudanSources(), 'Sudan', getScoringModel());
+    ({ lastID: storedId } = await DatabaseUtils.insertAssessmentHistory({ assessment, crisis_id: 'sudan-2025' }));
+  });
+
+  const historyCount = async () => (await runQuery('SELECT COUNT(*) AS count FROM assessment_history'))[0].count;
+
+  test('returns the active model', async () => {
+    const res = await api.as(null).get('/scoring-model').expect(200);
+    expect(res.body.data.version).toBe('1.0.0');
+  });
+
+  test('dry-runs a candidate against stored assessments without saving', async () => {
+    const before = await historyCount();
+
+    const res = await api.as(analyst).post('/scoring-model/dry-run', { model: lenientModel(), country: 'Sudan' }).expect(200);
+    const { data } = res.body;
+
+    expect(data).toMatchObject({ activeVersion: '1.0.0', candidateVersion: '2.0.0-lenient', assessments: 1 });
+    expect(data.overallRisk).toMatchObject({ changed: 1, escalated: 1, deescalated: 0 });
+    expect(data.differences).toEqual([expect.objectContaining({ assessmentId: storedId, storedModelVersion: '1.0.0' })]);
+    const [difference] = data.differences;
+    expect(difference.candidate.riskScore).toBe(difference.active.riskScore);
+    expect(difference.candidate.overallRisk).not.toBe(difference.active.overallRisk);
+    expect(await historyCount()).toBe(before);
+  });
+
+  test('the same model changes nothing', async () => {
+    const res = await api.as(analyst).post('/scoring-model/dry-run', { model: getScoringModel() }).expect(200);
+
+    expect(res.body.data.overallRisk.changed).toBe(0);
+    expect(res.body.data.differences).toEqual([]);
+  });
+
+  test('rejects invalid models and anonymous callers', async () => {
+    await api.as(null).post('/scoring-model/dry-run', { model: lenientModel() }).expect(401);
+
+    const invalid = await api.as(analyst).post('/scoring-model/dry-run', { model: { version: '3.0.0' } }).expect(400);
+    expect(invalid.body).toMatchObject({ error: 'Invalid scoring model', details: expect.arrayContaining(['"riskScores" is required']) });
+    await api.as(analyst).post('/scoring-model/dry-run', { model: 'lenient' }).expect(400);
+  });
+});
@@ -0,0 +1,28 @@
+/**
+ * RefugeeWatch AI - Jest Spec Setup
+ *
+ * Runs before each spec file. Every spec gets its own throwaway SQLite
+ * database (seeded with the demo crises on first use), the offline mock LLM
+ * provider and a bootstrap admin for route tests.
+ *
+ * @author RefugeeWatch AI Team
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dbPath = path.join(os.tmpdir(), `refugeewatch-spec-${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2)}.db`);
+
+process.env.DB_PATH = dbPath;
+process.env.LLM_PROVIDER = 'mock';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.AUTH_ADMIN_EMAIL = 'admin@example.org';
+process.env.AUTH_ADMIN_PASSWORD = 'admin-password-123';
+process.env.AUTH_TOKEN_SECRET = 'spec-token-secret-'.padEnd(48, 'x');
+
+afterAll(async () => {
+  await require('../../src/config/database').closeDatabase();
+  fs.rmSync(dbPath, { force: true });
+});
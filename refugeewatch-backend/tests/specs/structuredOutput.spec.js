@@ -0,0 +1,144 @@
+/**
+ * AI analyses and plans must match their schemas. A response that does not
+ * is sent back to the model with the validation errors until it does or the
+ * repair budget runs out; the number of repairs is kept with the result.
+ */
+
+const { setLLMProvider } = require('../../src/config/llm');
+const MockProvider = require('../../src/services/ai/providers/mockProvider');
+const AICrisisService = require('../../src/services/ai/aiCrisisService');
+const DataAggregator = require('../../src/services/processing/dataAggregator');
+const { getScoringModel } = require('../../src/config/scoringModel');
+const {
+  crisisAnalysisSchema,
+  responsePlanSchema,
+  AIOutputValidationError,
+  parseStructuredOutput,
+  completeWithRepair,
+  MAX_REPAIR_ATTEMPTS
+} = require('../../src/services/ai/structuredOutput');
+
+const mockAnswer = async (messages) => (await new MockProvider().chatCompletion(messages)).content;
+const analysisPrompt = [{ role: 'user', content: 'Return "aiRiskAssessment" for the crisis situation for Chad:\nOverall Risk Level: HIGH' }];
+
+// Answers from a script, one per call; the last answer repeats
+const scriptedProvider = (answers) => {
+  const provider = {
+    name: 'scripted',
+    calls: [],
+    chatCompletion: jest.fn(async (messages) => {
+      provider.calls.push(messages);
+      const answer = answers[Math.min(provider.calls.length - 1, answers.length - 1)];
+      return { success: true, content: await answer(messages), model: 'scripted-1', usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 } };
+    })
+  };
+  return provider;
+};
+
+describe('parseStructuredOutput', () => {
+  test('reads JSON from fences and after reasoning, normalizing enum case', async () => {
+    const answer = JSON.parse(await mockAnswer(analysisPrompt));
+    const wrapped = `<think>weighing the sources</think>\n\`\`\`json\n${JSON.stringify({ ...answer, aiRiskAssessment: 'high' })}\n\`\`\``;
+
+    expect(parseStructuredOutput(wrapped, crisisAnalysisSchema).aiRiskAssessment).toBe('HIGH');
+  });
+
+  test('lists every schema violation', () => {
+    let error;
+    try {
+      parseStructuredOutput('{"aiRiskAssessment": "SEVERE", "confidence": 2}', crisisAnalysisSchema);
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toBeInstanceOf(AIOutputValidationError);
+    expect(error.errors).toEqual(expect.arrayContaining([
+      expect.stringContaining('"aiRiskAssessment" must be one of'),
+      expect.stringContaining('"confidence" must be less than or equal to 1'),
+      '"reasoning" is required'
+    ]));
+  });
+
+  test('plans need an overview and an emergency phase', async () => {
+    const plan = JSON.parse(await mockAnswer([{ role: 'user', content: 'Return "planOverview" for **Country**: Chad\n**AI Risk Assessment**: HIGH' }]));
+
+    expect(parseStructuredOutput(JSON.stringify(plan), responsePlanSchema).planOverview.planName).toBeTruthy();
+    expect(() => parseStructuredOutput(JSON.stringify({ ...plan, phases: {} }), responsePlanSchema))
+      .toThrow('"phases.emergency" is required');
+  });
+
+  test('rejects answers without a JSON object', () => {
+    expect(() => parseStructuredOutput('I cannot help with that.', crisisAnalysisSchema))
+      .toThrow('Response does not contain a JSON object');
+  });
+});
+
+describe('completeWithRepair', () => {
+  afterEach(() => {
+    setLLMProvider('mock');
+  });
+
+  const parse = (content) => parseStructuredOutput(content, crisisAnalysisSchema);
+
+  test('sends the validation errors back until the answer is valid', async () => {
+    const provider = setLLMProvider(scriptedProvider([async () => '{"aiRiskAssessment": "HIGH"}', () => mockAnswer(analysisPrompt)]));
+
+    const result = await completeWithRepair(analysisPrompt, {}, { parse, label: 'spec' });
+
+    expect(result).toMatchObject({ success: true, repairAttempts: 1, model: 'scripted-1', validationErrors: [] });
+    expect(result.usage.total_tokens).toBe(30);
+    const repair = provider.calls[1];
+    expect(repair).toHaveLength(3);
+    expect(repair[1]).toEqual({ role: 'assistant', content: '{"aiRiskAssessment": "HIGH"}' });
+    expect(repair[2].content).toContain('- "confidence" is required');
+  });
+
+  test('stops after the repair budget with the last errors', async () => {
+    const provider = setLLMProvider(scriptedProvider([async () => 'not json']));
+
+    const result = await completeWithRepair(analysisPrompt, {}, { parse, label: 'spec', maxRepairs: 2 });
+
+    expect(result).toMatchObject({ success: false, repairAttempts: 2, error: 'spec output failed validation after 2 repair attempts' });
+    expect(result.validationErrors).toEqual(['Response must be a single JSON object']);
+    expect(provider.chatCompletion).toHaveBeenCalledTimes(3);
+  });
+
+  test('AI crisis analyses record their repairs', async () => {
+    setLLMProvider(scriptedProvider([async () => '{}', mockAnswer]));
+    const source = { riskLevel: 'HIGH', score: 75, confidence: 0.8, available: true, indicators: [] };
+    const assessment = new DataAggregator().scoreSources(
+      { conflict: source, economic: source, climate: source, news: source }, 'Chad', getScoringModel()
+    );
+
+    const analysis = await new AICrisisService().performCrisisAnalysis(assessment);
+
+    expect(analysis.metadata).toMatchObject({ repairAttempts: 1, fallback: false });
+  });
+});
+
+describe('AI_MAX_REPAIR_ATTEMPTS', () => {
+  const repairBudget = (value) => {
+    let budget;
+    const previous = process.env.AI_MAX_REPAIR_ATTEMPTS;
+    process.env.AI_MAX_REPAIR_ATTEMPTS = value;
+    jest.isolateModules(() => {
+      budget = require('../../src/services/ai/structuredOutput').MAX_REPAIR_ATTEMPTS;
+    });
+    if (previous === undefined) delete process.env.AI_MAX_REPAIR_ATTEMPTS;
+    else process.env.AI_MAX_REPAIR_ATTEMPTS = previous;
+    return budget;
+  };
+
+  test('defaults to two repairs', () => {
+    expect(MAX_REPAIR_ATTEMPTS).toBe(2);
+    expect(repairBudget('')).toBe(2);
+  });
+
+  test('accepts a non-negative integer and ignores anything else', () => {
+    expect(repairBudget('0')).toBe(0);
+    expect(repairBudget(' 4 ')).toBe(4);
+    expect(repairBudget('-1')).toBe(2);
+    expect(repairBudget('1.5')).toBe(2);
+    expect(repairBudget('Infinity')).toBe(2);
+  });
+});
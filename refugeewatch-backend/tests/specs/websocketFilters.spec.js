@@ -0,0 +1,120 @@
+/**
+ * Subscription filters narrow what a WebSocket client receives. Fields a
+ * message does not carry never filter it out; an unranked risk level does.
+ * Messages outside a client's assigned regions never reach it.
+ */
+
+const WebSocketService = require('../../src/services/external/websocket');
+
+const { normalizeFilters, matchesFilters } = WebSocketService;
+
+const message = (topic, data) => ({ type: 'update', topic, data });
+const filtersFor = (input) => {
+  const { filters, error } = normalizeFilters(input);
+  expect(error).toBeUndefined();
+  return filters;
+};
+
+describe('normalizeFilters', () => {
+  test('lower-cases countries and regions and accepts a single region', () => {
+    expect(normalizeFilters({ countries: [' Sudan ', 'Chad'], region: 'East Africa' })).toEqual({
+      filters: { countries: ['sudan', 'chad'], regions: ['east africa'] }
+    });
+  });
+
+  test('maps alert levels onto severities', () => {
+    expect(normalizeFilters({ alertSeverity: ['info', 'MEDIUM', 'HIGH', 'HIGH'] })).toEqual({
+      filters: { alertSeverity: ['LOW', 'MODERATE', 'HIGH'] }
+    });
+  });
+
+  test('accepts MINIMAL as the lowest risk level', () => {
+    expect(normalizeFilters({ minRiskLevel: 'minimal' })).toEqual({ filters: { minRiskLevel: 'MINIMAL' } });
+  });
+
+  test('treats missing or empty filters as no filtering', () => {
+    expect(normalizeFilters(undefined)).toEqual({ filters: null });
+    expect(normalizeFilters({ countries: [], regions: '' })).toEqual({ filters: null });
+  });
+
+  test('rejects unknown risk levels, severities and non-object filters', () => {
+    expect(normalizeFilters({ minRiskLevel: 'SEVERE' }).error).toMatch(/^minRiskLevel must be one of: MINIMAL, LOW/);
+    expect(normalizeFilters({ minRiskLevel: 'UNKNOWN' }).error).toBeDefined();
+    expect(normalizeFilters({ alertSeverity: ['URGENT'] }).error).toMatch(/^alertSeverity must contain only/);
+    expect(normalizeFilters(['Sudan']).error).toBe('Filters must be an object');
+  });
+});
+
+describe('matchesFilters', () => {
+  test('passes everything without filters', () => {
+    expect(matchesFilters(null, message('crisis_updates', { country: 'Sudan' }))).toBe(true);
+  });
+
+  test('matches countries and regions case-insensitively', () => {
+    const filters = filtersFor({ countries: ['Sudan'], regions: ['Eastern Africa'] });
+
+    expect(matchesFilters(filters, message('crisis_updates', { country: 'SUDAN', subregion: 'Eastern Africa' }))).toBe(true);
+    expect(matchesFilters(filters, message('crisis_updates', { country: 'Myanmar' }))).toBe(false);
+    expect(matchesFilters(filters, message('crisis_updates', { country: 'Sudan', region: 'Asia' }))).toBe(false);
+  });
+
+  test('lets through messages that do not carry the filtered field', () => {
+    const filters = filtersFor({ countries: ['Sudan'], regions: ['East Africa'], minRiskLevel: 'HIGH', alertSeverity: ['CRITICAL'] });
+
+    expect(matchesFilters(filters, message('global_metrics', {}))).toBe(true);
+    expect(matchesFilters(filters, { type: 'system_status', topic: 'system_status' })).toBe(true);
+  });
+
+  test('compares risk levels by rank, including MINIMAL and AI risk levels', () => {
+    const high = filtersFor({ minRiskLevel: 'HIGH' });
+    const minimal = filtersFor({ minRiskLevel: 'MINIMAL' });
+
+    expect(matchesFilters(high, message('crisis_updates', { riskLevel: 'critical' }))).toBe(true);
+    expect(matchesFilters(high, message('crisis_updates', { riskLevel: 'MEDIUM' }))).toBe(false);
+    expect(matchesFilters(high, message('ai_analysis', { aiRiskLevel: 'HIGH' }))).toBe(true);
+    expect(matchesFilters(high, message('crisis_updates', { riskLevel: 'MINIMAL' }))).toBe(false);
+    expect(matchesFilters(minimal, message('crisis_updates', { riskLevel: 'MINIMAL' }))).toBe(true);
+  });
+
+  test('drops messages with an unranked risk level once a minimum is set', () => {
+    const filters = filtersFor({ minRiskLevel: 'MINIMAL' });
+
+    expect(matchesFilters(filters, message('crisis_updates', { riskLevel: 'UNKNOWN' }))).toBe(false);
+    expect(matchesFilters(null, message('crisis_updates', { riskLevel: 'UNKNOWN' }))).toBe(true);
+  });
+
+  test('applies alert severity only to the alerts topic', () => {
+    const filters = filtersFor({ alertSeverity: ['HIGH', 'CRITICAL'] });
+
+    expect(matchesFilters(filters, message('alerts', { level: 'CRITICAL' }))).toBe(true);
+    expect(matchesFilters(filters, message('alerts', { level: 'MEDIUM' }))).toBe(false);
+    expect(matchesFilters(filters, message('alerts', { level: 'INFO' }))).toBe(false);
+    expect(matchesFilters(filters, message('crisis_updates', { level: 'INFO' }))).toBe(true);
+  });
+});
+
+describe('sendCriticalAlert', () => {
+  // A service with connected clients but no server behind it
+  const serviceWith = (principals) => {
+    const ws = Object.create(WebSocketService.prototype);
+    Object.assign(ws, { authService: {}, clients: new Map(), rooms: new Map(), replayBuffer: [], sequence: 0 });
+    Object.entries(principals).forEach(([clientId, principal]) => {
+      ws.clients.set(clientId, { id: clientId, filters: new Map(), principal });
+    });
+    ws.sendToClient = jest.fn(() => true);
+    return ws;
+  };
+
+  test('only sends the system alert to clients in the alert region', () => {
+    const ws = serviceWith({
+      asia: { type: 'user', role: 'viewer', regions: ['Southeast Asia'] },
+      africa: { type: 'user', role: 'viewer', regions: ['East Africa'] },
+      everywhere: { type: 'anonymous', role: 'viewer' }
+    });
+
+    ws.sendCriticalAlert({ id: 1, country: 'Sudan', region: 'East Africa', level: 'CRITICAL', message: 'Mass displacement' });
+
+    expect(ws.sendToClient.mock.calls.map(([clientId]) => clientId)).toEqual(['africa', 'everywhere']);
+    expect(ws.sendToClient.mock.calls[0][1]).toMatchObject({ type: 'system_alert', priority: 'critical' });
+  });
+});
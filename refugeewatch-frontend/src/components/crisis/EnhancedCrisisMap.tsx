@@ -3,11 +3,12 @@
  * Integrates with Crisis Intelligence System
  */
 
-import React, { useEffect, useRef, useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import { useQuery } from '@tanstack/react-query';
 import { Card, CardContent } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
 import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Slider } from '@/components/ui/slider';
 import { 
   MapPin, 
   Users, 
@@ -27,6 +28,7 @@ import 'mapbox-gl/dist/mapbox-gl.css';
 
 // Import intelligence system
 import CrisisIntelligencePanel, { intelligenceAPIService } from './CrisisIntelligenceSystem';
+import { apiService, CorridorFeature } from '@/services/api';
 
 interface CrisisLocation {
   id: string;
@@ -49,13 +51,6 @@ interface CrisisLocation {
   }>;
 }
 
-interface RefugeeFlow {
-  from: [number, number];
-  to: [number, number];
-  volume: number;
-  trend: 'increasing' | 'decreasing' | 'stable';
-}
-
 interface BorderAlert {
   countryCode: string;
   coordinates: [number, number];
@@ -68,22 +63,16 @@ const enhancedMapAPIService = {
   // Get comprehensive crisis data with predictions
   getCrisisDataWithPredictions: async (): Promise<{ 
     locations: CrisisLocation[], 
-    refugeeFlows: RefugeeFlow[],
     borderAlerts: BorderAlert[]
   }> => {
     try {
-      // Parallel fetch crisis data and flows
-      const [crisisResponse, flowsResponse] = await Promise.allSettled([
-        fetch('http://localhost:3001/api/crisis'),
-        fetch('http://localhost:3001/api/refugees/unhcr')
-      ]);
+      const crisisResponse = await fetch('http://localhost:3001/api/crisis');
 
       let locations: CrisisLocation[] = [];
-      let refugeeFlows: RefugeeFlow[] = [];
 
       // Process crisis data
-      if (crisisResponse.status === 'fulfilled' && crisisResponse.value.ok) {
-        const crisisData = await crisisResponse.value.json();
+      if (crisisResponse.ok) {
+        const crisisData = await crisisResponse.json();
         if (crisisData.success && crisisData.data?.crises) {
           locations = crisisData.data.crises
             .filter((crisis: any) => 
@@ -108,19 +97,10 @@ const enhancedMapAPIService = {
         }
       }
 
-      // Process refugee flow data
-      if (flowsResponse.status === 'fulfilled' && flowsResponse.value.ok) {
-        const flowData = await flowsResponse.value.json();
-        if (flowData.success && flowData.data) {
-          // Generate refugee flows between major crisis locations
-          refugeeFlows = enhancedMapAPIService.generateRefugeeFlows(locations);
-        }
-      }
-
       // Generate border alerts
       const borderAlerts = enhancedMapAPIService.generateBorderAlerts(locations);
 
-      return { locations, refugeeFlows, borderAlerts };
+      return { locations, borderAlerts };
       
     } catch (error) {
       console.error('Enhanced crisis data fetch error:', error);
@@ -128,45 +108,6 @@ const enhancedMapAPIService = {
     }
   },
 
-  // Generate realistic refugee flows
-  generateRefugeeFlows: (locations: CrisisLocation[]): RefugeeFlow[] => {
-    const flows: RefugeeFlow[] = [];
-    const neighboringCountries = [
-      { name: 'Germany', coords: [52.5200, 13.4050] },
-      { name: 'Chad', coords: [15.5007, 32.5599] },
-      { name: 'Turkey', coords: [39.9334, 32.8597] },
-      { name: 'Jordan', coords: [31.9454, 35.9284] },
-      { name: 'Poland', coords: [51.9194, 19.1451] }
-    ];
-
-    locations.forEach(location => {
-      if (location.displacement > 500000) {
-        // Find nearest neighboring countries
-        const nearbyCountries = neighboringCountries
-          .map(country => ({
-            ...country,
-            distance: Math.sqrt(
-              Math.pow(location.coordinates[0] - country.coords[0], 2) +
-              Math.pow(location.coordinates[1] - country.coords[1], 2)
-            )
-          }))
-          .sort((a, b) => a.distance - b.distance)
-          .slice(0, 2);
-
-        nearbyCountries.forEach(country => {
-          flows.push({
-            from: location.coordinates,
-            to: country.coords as [number, number],
-            volume: Math.floor(location.displacement * 0.1 * Math.random()),
-            trend: ['increasing', 'stable', 'decreasing'][Math.floor(Math.random() * 3)] as any
-          });
-        });
-      }
-    });
-
-    return flows;
-  },
-
   // Generate border alerts based on crisis proximity
   generateBorderAlerts: (locations: CrisisLocation[]): BorderAlert[] => {
     const alerts: BorderAlert[] = [];
@@ -205,14 +146,6 @@ const enhancedMapAPIService = {
         sources: ['Fallback']
       }
     ],
-    refugeeFlows: [
-      {
-        from: [48.3794, 31.1656] as [number, number],
-        to: [52.5200, 13.4050] as [number, number],
-        volume: 1200000,
-        trend: 'stable' as const
-      }
-    ],
     borderAlerts: []
   })
 };
@@ -237,6 +170,32 @@ const getRiskColor = (riskLevel: string): string => {
   return colors[riskLevel as keyof typeof colors] || '#6b7280';
 };
 
+// Corridor names come from stored predictions and are inserted into popup HTML
+const escapeHtml = (value: unknown): string => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Each crisis's corridors from its latest prediction made at or before `at`
+const selectCorridorsAt = (features: CorridorFeature[], at: string | undefined): CorridorFeature[] => {
+  if (!at) return [];
+
+  const cutoff = new Date(at).getTime();
+  const latestPrediction = new Map<string, number>();
+
+  features.forEach(feature => {
+    const { crisisId, predictionId, predictedAt } = feature.properties;
+    if (new Date(predictedAt).getTime() > cutoff) return;
+    latestPrediction.set(crisisId, Math.max(latestPrediction.get(crisisId) ?? 0, predictionId));
+  });
+
+  return features.filter(feature =>
+    latestPrediction.get(feature.properties.crisisId) === feature.properties.predictionId
+  );
+};
+
 const formatNumber = (num: number): string => {
   if (num >= 1000000) return `${(num / 1000000).toFixed(1)}M`;
   if (num >= 1000) return `${(num / 1000).toFixed(0)}K`;
@@ -268,6 +227,7 @@ const EnhancedCrisisMap: React.FC<EnhancedCrisisMapProps> = ({
   const [showIntelligence, setShowIntelligence] = useState(false);
   const [showRefugeeFlows, setShowRefugeeFlows] = useState(true);
   const [showBorderAlerts, setShowBorderAlerts] = useState(true);
+  const [timeIndex, setTimeIndex] = useState<number | null>(null);
 
   const MAPBOX_TOKEN = import.meta.env.VITE_MAPBOX_ACCESS_TOKEN;
   
@@ -288,10 +248,27 @@ const EnhancedCrisisMap: React.FC<EnhancedCrisisMapProps> = ({
     retry: 2,
   });
 
+  // Predicted migration corridors from stored predictions
+  const { data: corridorData } = useQuery({
+    queryKey: ['migration-corridors'],
+    queryFn: () => apiService.getMigrationCorridors(),
+    refetchInterval: 300000,
+    retry: 2,
+  });
+
   const locations = propLocations || enhancedData?.locations || [];
-  const refugeeFlows = enhancedData?.refugeeFlows || [];
   const borderAlerts = enhancedData?.borderAlerts || [];
 
+  // Time slider steps through prediction dates; it follows the newest until moved
+  const timeline = corridorData?.timeline || [];
+  const selectedTimeIndex = timeIndex === null ? timeline.length - 1 : Math.min(timeIndex, timeline.length - 1);
+  const selectedTime = timeline[selectedTimeIndex];
+  const refugeeFlows = useMemo(
+    () => selectCorridorsAt(corridorData?.data?.features || [], selectedTime),
+    [corridorData, selectedTime]
+  );
+  const maxFlowVolume = Math.max(1, ...refugeeFlows.map(flow => flow.properties.volume));
+
   // Initialize map
   useEffect(() => {
     if (!mapContainer.current || map.current || useSimpleMap || !MAPBOX_TOKEN) return;
@@ -319,7 +296,7 @@ const EnhancedCrisisMap: React.FC<EnhancedCrisisMapProps> = ({
             }
           });
 
-          // Add animated line layer
+          // Corridor lines, widened in proportion to predicted flow (see flow update below)
           map.current.addLayer({
             id: 'refugee-flow-lines',
             type: 'line',
@@ -329,12 +306,36 @@ const EnhancedCrisisMap: React.FC<EnhancedCrisisMapProps> = ({
               'line-cap': 'round'
             },
             paint: {
-              'line-color': '#ff6b6b',
+              'line-color': [
+                'match', ['get', 'riskLevel'],
+                'CRITICAL', getRiskColor('CRITICAL'),
+                'HIGH', getRiskColor('HIGH'),
+                'MEDIUM', getRiskColor('MEDIUM'),
+                '#ff6b6b'
+              ],
               'line-width': 3,
               'line-opacity': 0.7
             }
           });
 
+          map.current.on('click', 'refugee-flow-lines', (e) => {
+            const corridor = e.features?.[0]?.properties;
+            if (!corridor || !map.current) return;
+
+            new mapboxgl.Popup({ closeButton: true })
+              .setLngLat(e.lngLat)
+              .setHTML(`
+                <div style="padding: 8px; min-width: 200px; font-size: 13px;">
+                  <div style="font-weight: bold; margin-bottom: 6px;">${escapeHtml(corridor.from)} → ${escapeHtml(corridor.to)}</div>
+                  <div><strong>Predicted flow:</strong> ${formatNumber(Number(corridor.volume))} people</div>
+                  ${corridor.probability ? `<div><strong>Share:</strong> ${Math.round(Number(corridor.probability) * 100)}%</div>` : ''}
+                  ${corridor.route ? `<div><strong>Route:</strong> ${escapeHtml(corridor.route)}</div>` : ''}
+                  <div style="color: #6b7280; margin-top: 6px;">Predicted ${new Date(corridor.predictedAt).toLocaleDateString()}</div>
+                </div>
+              `)
+              .addTo(map.current);
+          });
+
           // Add pulsing border alerts
           map.current.addSource('border-alerts', {
             type: 'geojson',
@@ -384,31 +385,21 @@ const EnhancedCrisisMap: React.FC<EnhancedCrisisMapProps> = ({
   useEffect(() => {
     if (!map.current || !mapLoaded || !showRefugeeFlows) return;
 
-    const flowFeatures = refugeeFlows.map((flow, index) => ({
-      type: 'Feature' as const,
-      properties: {
-        volume: flow.volume,
-        trend: flow.trend
-      },
-      geometry: {
-        type: 'LineString' as const,
-        coordinates: [
-          [flow.from[1], flow.from[0]], // lng, lat
-          [flow.to[1], flow.to[0]]
-        ]
-      }
-    }));
-
     const flowData = {
       type: 'FeatureCollection' as const,
-      features: flowFeatures
+      features: refugeeFlows
     };
 
     const source = map.current.getSource('refugee-flows') as mapboxgl.GeoJSONSource;
     if (source) {
       source.setData(flowData);
+      map.current.setPaintProperty('refugee-flow-lines', 'line-width', [
+        'interpolate', ['linear'], ['get', 'volume'],
+        0, 1,
+        maxFlowVolume, 12
+      ]);
     }
-  }, [refugeeFlows, mapLoaded, showRefugeeFlows]);
+  }, [refugeeFlows, maxFlowVolume, mapLoaded, showRefugeeFlows]);
 
   // Update border alerts
   useEffect(() => {
@@ -838,6 +829,25 @@ const EnhancedCrisisMap: React.FC<EnhancedCrisisMapProps> = ({
         )}
       </div>
       
+      {/* Corridor time slider */}
+      {mapLoaded && showRefugeeFlows && timeline.length > 0 && (
+        <div className="mt-3 flex items-center gap-4 text-xs">
+          <span className="whitespace-nowrap font-medium">Predicted corridors</span>
+          <Slider
+            min={0}
+            max={Math.max(0, timeline.length - 1)}
+            step={1}
+            value={[selectedTimeIndex]}
+            onValueChange={([value]) => setTimeIndex(value)}
+            disabled={timeline.length < 2}
+            className="flex-1"
+          />
+          <span className="whitespace-nowrap text-muted-foreground">
+            as of {new Date(selectedTime).toLocaleDateString()}
+          </span>
+        </div>
+      )}
+
       {mapLoaded && (
         <div className="mt-3 flex items-center justify-between text-xs text-muted-foreground">
           <div className="flex items-center gap-4">
@@ -849,7 +859,7 @@ const EnhancedCrisisMap: React.FC<EnhancedCrisisMapProps> = ({
               {markersRef.current.length} active crises
             </Badge>
             <Badge variant="outline" className="text-xs">
-              {refugeeFlows.length} refugee flows
+              {refugeeFlows.length} predicted corridors
             </Badge>
           </div>
           <div className="flex items-center gap-3">
@@ -1,6 +1,6 @@
 // src/pages/Reports.tsx
 import React, { useState } from 'react';
-import { useQuery, useMutation } from '@tanstack/react-query';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
 import { Button } from "@/components/ui/button";
@@ -12,7 +12,6 @@ import {
   BarChart3,
   Clock,
   Filter,
-  Share,
   Settings,
   Eye,
   Loader2,
@@ -23,40 +22,41 @@ import {
   Users,
   AlertTriangle
 } from "lucide-react";
-import { apiService } from '@/services/api';
+import { apiService, CrisisData, ReportFormat, ReportMetadata, ReportType } from '@/services/api';
 import { useToast } from "@/hooks/use-toast";
 
 interface ReportTemplate {
-  id: string;
+  id: ReportType;
   name: string;
   description: string;
-  type: 'crisis-summary' | 'ai-analysis' | 'metrics-overview' | 'regional-assessment' | 'custom';
-  lastGenerated?: string;
-  frequency: 'manual' | 'daily' | 'weekly' | 'monthly';
-  format: 'pdf' | 'excel' | 'json';
+  requiresCrisis: boolean;
   icon: any;
 }
 
-interface GeneratedReport {
-  id: string;
-  name: string;
-  type: string;
-  generatedAt: string;
-  size: string;
-  status: 'completed' | 'generating' | 'failed';
-  downloadUrl?: string;
-}
+const REPORT_FORMATS: { value: ReportFormat; label: string }[] = [
+  { value: 'pdf', label: 'PDF' },
+  { value: 'html', label: 'HTML' },
+  { value: 'markdown', label: 'Markdown' },
+  { value: 'word', label: 'Word' },
+  { value: 'csv', label: 'CSV' }
+];
+
+const formatFileSize = (bytes: number): string => {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${bytes} B`;
+};
 
 const Reports = () => {
   const [selectedTemplate, setSelectedTemplate] = useState<string>('');
   const [reportFilters, setReportFilters] = useState({
-    dateRange: '30d',
-    regions: [] as string[],
-    riskLevels: [] as string[],
+    crisisId: '',
+    format: 'pdf' as ReportFormat,
     includeAI: true,
     includePredictions: true
   });
   const { toast } = useToast();
+  const queryClient = useQueryClient();
 
   // Fetch crisis data for report generation
   const { data: crisesData } = useQuery({
@@ -70,27 +70,29 @@ const Reports = () => {
     queryFn: () => apiService.getGlobalMetrics(),
   });
 
-  // Mock report generation mutation (in real implementation, this would call backend)
+  // Stored reports, newest first
+  const { data: reportsData, isLoading: reportsLoading } = useQuery({
+    queryKey: ['reports'],
+    queryFn: () => apiService.getReports({ limit: 50 }),
+  });
+
   const generateReportMutation = useMutation({
     mutationFn: async (template: ReportTemplate) => {
-      // Simulate report generation
-      await new Promise(resolve => setTimeout(resolve, 3000));
-      return {
-        id: Date.now().toString(),
-        name: `${template.name} - ${new Date().toLocaleDateString()}`,
-        type: template.type,
-        generatedAt: new Date().toISOString(),
-        size: '2.4 MB',
-        status: 'completed' as const,
-        downloadUrl: '#'
-      };
+      const response = await apiService.generateReport({
+        type: template.id,
+        format: reportFilters.format,
+        crisisId: reportFilters.crisisId || undefined,
+        includeAnalysis: reportFilters.includeAI,
+        includePredictions: reportFilters.includePredictions
+      });
+      return response.data;
     },
     onSuccess: (report) => {
       toast({
         title: "Report Generated Successfully",
-        description: `${report.name} is ready for download.`,
+        description: `${report.title} is ready for download.`,
       });
-      setGeneratedReports(prev => [report, ...prev]);
+      queryClient.invalidateQueries({ queryKey: ['reports'] });
     },
     onError: (error: any) => {
       toast({
@@ -103,95 +105,87 @@ const Reports = () => {
 
   const reportTemplates: ReportTemplate[] = [
     {
-      id: 'crisis-summary',
+      id: 'crisis_summary',
       name: 'Crisis Summary Report',
-      description: 'Comprehensive overview of all active crises with displacement statistics',
-      type: 'crisis-summary',
-      frequency: 'weekly',
-      format: 'pdf',
+      description: 'Overview of active crises with risk levels, drivers and displacement statistics',
+      requiresCrisis: false,
       icon: AlertTriangle
     },
     {
-      id: 'ai-analysis',
-      name: 'AI Analysis Report',
-      description: 'Detailed AI predictions and risk assessments for crisis situations',
-      type: 'ai-analysis',
-      frequency: 'daily',
-      format: 'pdf',
+      id: 'displacement_analysis',
+      name: 'Displacement Analysis',
+      description: 'Displacement outlook with predicted ranges, likely destinations and AI predictions',
+      requiresCrisis: false,
       icon: BarChart3
     },
     {
-      id: 'metrics-overview',
-      name: 'Global Metrics Dashboard',
-      description: 'Key performance indicators and global humanitarian metrics',
-      type: 'metrics-overview',
-      frequency: 'monthly',
-      format: 'excel',
+      id: 'response_plan',
+      name: 'Response Plan',
+      description: 'Phased response plan with costs, budget range and staffing for one crisis',
+      requiresCrisis: true,
+      icon: Users
+    },
+    {
+      id: 'situation_update',
+      name: 'Situation Update',
+      description: 'Recent changes in risk, displacement and open alerts',
+      requiresCrisis: false,
       icon: TrendingUp
     },
     {
-      id: 'regional-assessment',
-      name: 'Regional Assessment',
-      description: 'Region-specific crisis analysis and comparative assessments',
-      type: 'regional-assessment',
-      frequency: 'weekly',
-      format: 'pdf',
+      id: 'donor_briefing',
+      name: 'Donor Briefing',
+      description: 'Key figures and funding requirements drawn from stored response plans',
+      requiresCrisis: false,
       icon: MapPin
     }
   ];
 
-  const [generatedReports, setGeneratedReports] = useState<GeneratedReport[]>([
-    {
-      id: '1',
-      name: 'Crisis Summary Report - December 2024',
-      type: 'crisis-summary',
-      generatedAt: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(),
-      size: '3.2 MB',
-      status: 'completed',
-      downloadUrl: '#'
-    },
-    {
-      id: '2',
-      name: 'AI Analysis Report - Weekly',
-      type: 'ai-analysis',
-      generatedAt: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString(),
-      size: '1.8 MB',
-      status: 'completed',
-      downloadUrl: '#'
-    },
-    {
-      id: '3',
-      name: 'Global Metrics Dashboard - Q4 2024',
-      type: 'metrics-overview',
-      generatedAt: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000).toISOString(),
-      size: '4.1 MB',
-      status: 'completed',
-      downloadUrl: '#'
+  // Report files need the auth headers, so they are fetched and handed to the browser as a Blob
+  const openReport = async (report: ReportMetadata, mode: 'preview' | 'download') => {
+    const preview = mode === 'preview' ? window.open('', '_blank') : null;
+    try {
+      const url = URL.createObjectURL(await apiService.downloadReport(report));
+      if (preview) {
+        preview.location.href = url;
+      } else {
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = report.filename;
+        link.click();
+      }
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (error) {
+      preview?.close();
+      toast({
+        title: "Report Download Failed",
+        description: (error as Error).message,
+        variant: "destructive",
+      });
     }
-  ]);
+  };
+
+  const generatedReports: ReportMetadata[] = reportsData?.data || [];
+  const templateNames = Object.fromEntries(reportTemplates.map(template => [template.id, template.name]));
+  const lastGenerated = (type: ReportType) => generatedReports.find(report => report.type === type)?.createdAt;
 
   const crises = crisesData?.data?.crises || [];
   const totalCrises = crises.length;
   const criticalCrises = crises.filter((c: any) => c.riskLevel === 'CRITICAL').length;
 
   const handleGenerateReport = (template: ReportTemplate) => {
+    if (template.requiresCrisis && !reportFilters.crisisId) {
+      toast({
+        title: "Select a Crisis",
+        description: `${template.name} reports are generated for a single crisis.`,
+        variant: "destructive",
+      });
+      return;
+    }
     setSelectedTemplate(template.id);
     generateReportMutation.mutate(template);
   };
 
-  const getStatusBadge = (status: string) => {
-    switch (status) {
-      case 'completed':
-        return <Badge variant="outline" className="border-green-500 text-green-700 dark:text-green-400">Completed</Badge>;
-      case 'generating':
-        return <Badge variant="outline" className="border-blue-500 text-blue-700 dark:text-blue-400">Generating</Badge>;
-      case 'failed':
-        return <Badge variant="destructive">Failed</Badge>;
-      default:
-        return <Badge variant="secondary">Unknown</Badge>;
-    }
-  };
-
   return (
     <div className="p-6 space-y-8 bg-background min-h-screen">
       {/* Header */}
@@ -309,14 +303,14 @@ const Reports = () => {
                               <template.icon className="w-5 h-5 text-primary" />
                               <h3 className="font-semibold text-foreground">{template.name}</h3>
                             </div>
-                            <Badge variant="outline" className="text-xs">{template.format.toUpperCase()}</Badge>
+                            <Badge variant="outline" className="text-xs">{reportFilters.format.toUpperCase()}</Badge>
                           </div>
                           
                           <p className="text-sm text-muted-foreground mb-4">{template.description}</p>
                           
                           <div className="flex items-center justify-between">
                             <div className="text-xs text-muted-foreground">
-                              Frequency: {template.frequency}
+                              {template.requiresCrisis ? 'Single crisis' : 'Crisis or all active crises'}
                             </div>
                             <Button 
                               size="sm" 
@@ -355,34 +349,30 @@ const Reports = () => {
                 </CardHeader>
                 <CardContent className="space-y-4">
                   <div className="space-y-3">
-                    <label className="text-sm font-medium text-foreground">Date Range</label>
+                    <label className="text-sm font-medium text-foreground">Crisis</label>
                     <select 
                       className="w-full p-2 border border-border rounded-lg bg-background text-foreground"
-                      value={reportFilters.dateRange}
-                      onChange={(e) => setReportFilters(prev => ({ ...prev, dateRange: e.target.value }))}
+                      value={reportFilters.crisisId}
+                      onChange={(e) => setReportFilters(prev => ({ ...prev, crisisId: e.target.value }))}
                     >
-                      <option value="7d">Last 7 days</option>
-                      <option value="30d">Last 30 days</option>
-                      <option value="90d">Last 90 days</option>
-                      <option value="1y">Last year</option>
-                      <option value="all">All time</option>
+                      <option value="">All active crises</option>
+                      {crises.map((crisis: CrisisData) => (
+                        <option key={crisis.id} value={crisis.id}>{crisis.country}</option>
+                      ))}
                     </select>
                   </div>
 
                   <div className="space-y-3">
-                    <label className="text-sm font-medium text-foreground">Risk Levels</label>
-                    <div className="space-y-2">
-                      {['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'].map((level) => (
-                        <label key={level} className="flex items-center space-x-2 text-sm">
-                          <input 
-                            type="checkbox" 
-                            className="rounded border-border" 
-                            defaultChecked 
-                          />
-                          <span className="text-foreground">{level}</span>
-                        </label>
+                    <label className="text-sm font-medium text-foreground">Format</label>
+                    <select 
+                      className="w-full p-2 border border-border rounded-lg bg-background text-foreground"
+                      value={reportFilters.format}
+                      onChange={(e) => setReportFilters(prev => ({ ...prev, format: e.target.value as ReportFormat }))}
+                    >
+                      {REPORT_FORMATS.map((format) => (
+                        <option key={format.value} value={format.value}>{format.label}</option>
                       ))}
-                    </div>
+                    </select>
                   </div>
 
                   <div className="space-y-3">
@@ -454,38 +444,46 @@ const Reports = () => {
             </CardHeader>
             <CardContent>
               <div className="space-y-4">
+                {reportsLoading && (
+                  <div className="flex items-center gap-2 text-sm text-muted-foreground">
+                    <Loader2 className="w-4 h-4 animate-spin" />
+                    Loading reports...
+                  </div>
+                )}
+                {!reportsLoading && generatedReports.length === 0 && (
+                  <p className="text-sm text-muted-foreground">No reports generated yet.</p>
+                )}
                 {generatedReports.map((report) => (
                   <div key={report.id} className="flex items-center justify-between p-4 rounded-lg border border-border bg-muted/20">
                     <div className="flex items-center gap-4">
                       <FileText className="w-8 h-8 text-blue-500" />
                       <div>
-                        <h3 className="font-medium text-foreground">{report.name}</h3>
+                        <h3 className="font-medium text-foreground">{report.title}</h3>
                         <div className="flex items-center gap-3 text-sm text-muted-foreground">
-                          <span>Generated: {new Date(report.generatedAt).toLocaleString()}</span>
+                          <span>{templateNames[report.type] || report.type}</span>
+                          <span>•</span>
+                          <span>Generated: {new Date(report.createdAt).toLocaleString()}</span>
                           <span>•</span>
-                          <span>Size: {report.size}</span>
+                          <span>Size: {formatFileSize(report.sizeBytes)}</span>
                         </div>
                       </div>
                     </div>
                     
                     <div className="flex items-center gap-3">
-                      {getStatusBadge(report.status)}
+                      <Badge variant="outline" className="text-xs">{report.format.toUpperCase()}</Badge>
                       
-                      {report.status === 'completed' && (
-                        <div className="flex items-center gap-2">
-                          <Button variant="ghost" size="sm">
+                      <div className="flex items-center gap-2">
+                        {report.format === 'html' && (
+                          <Button variant="ghost" size="sm" onClick={() => openReport(report, 'preview')}>
                             <Eye className="w-4 h-4 mr-1" />
                             Preview
                           </Button>
-                          <Button variant="outline" size="sm">
-                            <Download className="w-4 h-4 mr-1" />
-                            Download
-                          </Button>
-                          <Button variant="ghost" size="sm">
-                            <Share className="w-4 h-4" />
-                          </Button>
-                        </div>
-                      )}
+                        )}
+                        <Button variant="outline" size="sm" onClick={() => openReport(report, 'download')}>
+                          <Download className="w-4 h-4 mr-1" />
+                          Download
+                        </Button>
+                      </div>
                     </div>
                   </div>
                 ))}
@@ -510,20 +508,20 @@ const Reports = () => {
                   <div className="grid grid-cols-2 gap-4 text-sm">
                     <div>
                       <span className="text-muted-foreground">Type:</span>
-                      <div className="font-medium text-foreground capitalize">{template.type.replace('-', ' ')}</div>
+                      <div className="font-medium text-foreground capitalize">{template.id.replace('_', ' ')}</div>
                     </div>
                     <div>
                       <span className="text-muted-foreground">Format:</span>
-                      <div className="font-medium text-foreground">{template.format.toUpperCase()}</div>
+                      <div className="font-medium text-foreground">{reportFilters.format.toUpperCase()}</div>
                     </div>
                     <div>
-                      <span className="text-muted-foreground">Frequency:</span>
-                      <div className="font-medium text-foreground capitalize">{template.frequency}</div>
+                      <span className="text-muted-foreground">Scope:</span>
+                      <div className="font-medium text-foreground">{template.requiresCrisis ? 'Single crisis' : 'Crisis or all active'}</div>
                     </div>
                     <div>
                       <span className="text-muted-foreground">Last Generated:</span>
                       <div className="font-medium text-foreground">
-                        {template.lastGenerated ? new Date(template.lastGenerated).toLocaleDateString() : 'Never'}
+                        {lastGenerated(template.id) ? new Date(lastGenerated(template.id)!).toLocaleDateString() : 'Never'}
                       </div>
                     </div>
                   </div>
@@ -12,6 +12,10 @@ console.log('- process.env.NODE_ENV:', import.meta.env.NODE_ENV);
 
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001';
 
+// Session token from POST /api/auth/login; VITE_API_KEY is used when nobody is signed in
+const AUTH_TOKEN_STORAGE_KEY = 'refugeewatch.authToken';
+const API_KEY = import.meta.env.VITE_API_KEY || '';
+
 console.log('🔍 Final API_BASE_URL:', API_BASE_URL);
 
 // ===================================================
@@ -133,6 +137,169 @@ export interface CrisisLocation {
   confidence?: number;
 }
 
+export type HistoryInterval = 'raw' | 'hour' | 'day' | 'week' | 'month';
+
+export interface RiskHistoryPoint {
+  timestamp: string;
+  assessments: number;
+  overallRisk: string;
+  peakRisk: string;
+  riskScore: number | null;
+  confidence: number | null;
+  dataQuality: string | null;
+  sources: Record<'conflict' | 'economic' | 'climate' | 'news', { riskLevel: string | null; score: number | null }>;
+  displacement: {
+    level: string | null;
+    estimate: number | null;
+    confidence: number | null;
+    timeline: string | null;
+  };
+  riskChanged: boolean;
+}
+
+export interface CrisisHistory {
+  country: string;
+  crisisId: string | null;
+  interval: HistoryInterval;
+  from: string;
+  to: string;
+  series: RiskHistoryPoint[];
+  changes: { from: string; to: string; at: string; source: string }[];
+  summary: {
+    assessments: number;
+    firstAssessmentAt: string | null;
+    latestRisk: string | null;
+    riskChanges: number;
+  };
+}
+
+export interface CorridorProperties {
+  predictionId: number;
+  crisisId: string;
+  crisis: string;
+  riskLevel: string;
+  from: string;
+  to: string;
+  probability: number | null;
+  volume: number;
+  distanceKm: number | null;
+  route: string | null;
+  type: 'border' | 'onward' | null;
+  predictedAt: string;
+  arrivalBy: string | null;
+  modelVersion: string;
+}
+
+export interface CorridorFeature {
+  type: 'Feature';
+  id: string;
+  geometry: {
+    type: 'LineString';
+    coordinates: [number, number][]; // [lng, lat]
+  };
+  properties: CorridorProperties;
+}
+
+export interface CorridorCollection {
+  type: 'FeatureCollection';
+  features: CorridorFeature[];
+}
+
+export interface CorridorResponse extends APIResponse<CorridorCollection> {
+  timeline: string[];
+  summary: {
+    predictions: number;
+    corridors: number;
+    unplaced: number;
+    maxVolume: number;
+  };
+}
+
+export type ReportType = 'crisis_summary' | 'displacement_analysis' | 'response_plan' | 'situation_update' | 'donor_briefing';
+
+export type ReportFormat = 'html' | 'pdf' | 'markdown' | 'word' | 'csv';
+
+export interface ReportRequest {
+  type: ReportType;
+  format?: ReportFormat;
+  crisisId?: string;
+  includeAnalysis?: boolean;
+  includePredictions?: boolean;
+  customSections?: Array<string | { title: string; content: string }>;
+}
+
+export interface ReportMetadata {
+  id: number;
+  type: ReportType;
+  format: ReportFormat;
+  title: string;
+  crisisId: string | null;
+  options: Record<string, any>;
+  sections: string[];
+  filename: string;
+  mimeType: string;
+  sizeBytes: number;
+  downloadUrl: string;
+  createdAt: string;
+}
+
+export type UserRole = 'viewer' | 'analyst' | 'coordinator' | 'admin';
+
+export interface AuthUser {
+  id: number;
+  name: string;
+  email: string;
+  role: UserRole;
+  organization: { id: number; name: string } | null;
+  position: string | null;
+  expertise: string[];
+  regions: string[];
+  preferences: {
+    notifications?: string[];
+    crisisTypes?: string[];
+    alertChannels?: string[];
+  };
+  active: boolean;
+  lastLoginAt: string | null;
+  createdAt: string;
+}
+
+export interface UserProfile {
+  user: AuthUser;
+  credential: {
+    type: 'user' | 'api_key';
+    role: UserRole;
+    apiKeyId: number | null;
+  };
+  scope: {
+    regions: string[];
+    limited: boolean;
+  };
+  notifications: {
+    preferences: AuthUser['preferences'];
+    subscriptions: Array<Record<string, unknown>>;
+  };
+}
+
+export interface AuthSession {
+  token: string;
+  expiresAt: string;
+  user: AuthUser;
+}
+
+export interface SessionInfo {
+  authenticated: boolean;
+  principal: {
+    type: 'user' | 'api_key' | 'anonymous';
+    userId: number | null;
+    name: string;
+    email: string | null;
+    role: UserRole;
+    apiKeyId: number | null;
+  } | null;
+  roles: UserRole[];
+}
+
 // ===================================================
 // MAIN API SERVICE CLASS - FULLY DEBUGGED
 // ===================================================
@@ -142,7 +309,9 @@ class ProfessionalAPIService {
     console.log('🔍 API Service initialized with base URL:', API_BASE_URL);
   }
 
-  private async request<T>(endpoint: string, options?: RequestInit): Promise<APIResponse<T>> {
+  private async request<T>(endpoint: string, options?: RequestInit): Promise<APIResponse<T>>;
+  private async request(endpoint: string, options: RequestInit | undefined, responseType: 'blob'): Promise<Blob>;
+  private async request<T>(endpoint: string, options?: RequestInit, responseType: 'json' | 'blob' = 'json'): Promise<APIResponse<T> | Blob> {
     const url = `${API_BASE_URL}${endpoint}`;
     
     console.log('=================================');
@@ -166,6 +335,7 @@ class ProfessionalAPIService {
           'Content-Type': 'application/json',
           'Accept': 'application/json',
           'Origin': window.location.origin,
+          ...this.getAuthHeaders(),
           ...options?.headers,
         },
         ...options,
@@ -187,6 +357,10 @@ class ProfessionalAPIService {
         throw new Error(`HTTP ${response.status}: ${response.statusText} - ${errorText}`);
       }
 
+      if (responseType === 'blob') {
+        return await response.blob();
+      }
+
       const data = await response.json();
       console.log('✅ Response data received:');
       console.log('  - Success:', data.success);
@@ -260,6 +434,22 @@ class ProfessionalAPIService {
     return this.request(endpoint);
   }
 
+  async getCrisisHistory(country: string, params?: {
+    from?: string;
+    to?: string;
+    interval?: HistoryInterval;
+  }): Promise<APIResponse<CrisisHistory>> {
+    console.log('🎯 getCrisisHistory called for:', country, params);
+
+    const searchParams = new URLSearchParams();
+    if (params?.from) searchParams.append('from', params.from);
+    if (params?.to) searchParams.append('to', params.to);
+    if (params?.interval) searchParams.append('interval', params.interval);
+
+    const query = searchParams.toString();
+    return this.request(`/api/crisis/${encodeURIComponent(country)}/history${query ? `?${query}` : ''}`);
+  }
+
   async healthCheck(): Promise<APIResponse<HealthStatus>> {
     console.log('🎯 healthCheck called');
     return this.request('/health');
@@ -345,6 +535,103 @@ class ProfessionalAPIService {
     return this.request(endpoint);
   }
 
+  async getMigrationCorridors(params?: {
+    country?: string;
+    from?: string;
+    to?: string;
+  }): Promise<CorridorResponse> {
+    console.log('🎯 getMigrationCorridors called with params:', params);
+
+    const searchParams = new URLSearchParams();
+    if (params?.country) searchParams.append('country', params.country);
+    if (params?.from) searchParams.append('from', params.from);
+    if (params?.to) searchParams.append('to', params.to);
+
+    const query = searchParams.toString();
+    return this.request(`/api/crisis/corridors${query ? `?${query}` : ''}`) as Promise<CorridorResponse>;
+  }
+
+  // ===================================================
+  // AUTHENTICATION
+  // ===================================================
+
+  getAuthToken(): string | null {
+    return localStorage.getItem(AUTH_TOKEN_STORAGE_KEY);
+  }
+
+  private getAuthHeaders(): Record<string, string> {
+    const token = this.getAuthToken();
+    if (token) return { Authorization: `Bearer ${token}` };
+    if (API_KEY) return { 'X-API-Key': API_KEY };
+    return {};
+  }
+
+  async login(email: string, password: string): Promise<APIResponse<AuthSession>> {
+    console.log('🎯 login called for:', email);
+    const response = await this.request<AuthSession>('/api/auth/login', {
+      method: 'POST',
+      body: JSON.stringify({ email, password })
+    });
+    if (response.success && response.data?.token) {
+      localStorage.setItem(AUTH_TOKEN_STORAGE_KEY, response.data.token);
+    }
+    return response;
+  }
+
+  async logout(): Promise<void> {
+    try {
+      if (this.getAuthToken()) {
+        await this.request('/api/auth/logout', { method: 'POST' });
+      }
+    } finally {
+      localStorage.removeItem(AUTH_TOKEN_STORAGE_KEY);
+    }
+  }
+
+  async getSession(): Promise<APIResponse<SessionInfo>> {
+    return this.request('/api/auth/session');
+  }
+
+  async getMe(): Promise<APIResponse<UserProfile>> {
+    return this.request('/api/me');
+  }
+
+  // ===================================================
+  // REPORTS
+  // ===================================================
+
+  async generateReport(request: ReportRequest): Promise<APIResponse<ReportMetadata>> {
+    console.log('🎯 generateReport called with:', request);
+    return this.request('/api/reports', {
+      method: 'POST',
+      body: JSON.stringify(request)
+    });
+  }
+
+  async getReports(params?: {
+    type?: ReportType;
+    crisisId?: string;
+    format?: ReportFormat;
+    limit?: number;
+  }): Promise<APIResponse<ReportMetadata[]>> {
+    console.log('🎯 getReports called with params:', params);
+
+    const searchParams = new URLSearchParams();
+    if (params?.type) searchParams.append('type', params.type);
+    if (params?.crisisId) searchParams.append('crisisId', params.crisisId);
+    if (params?.format) searchParams.append('format', params.format);
+    if (params?.limit) searchParams.append('limit', params.limit.toString());
+
+    const query = searchParams.toString();
+    return this.request(`/api/reports${query ? `?${query}` : ''}`);
+  }
+
+  // Fetched with the auth headers rather than linked, so the download is authenticated
+  async downloadReport(report: Pick<ReportMetadata, 'downloadUrl'>): Promise<Blob> {
+    console.log('🎯 downloadReport called for:', report.downloadUrl);
+    return this.request(report.downloadUrl, undefined, 'blob');
+  }
+
   // ===================================================
   // CONNECTION TESTING
   // ===================================================